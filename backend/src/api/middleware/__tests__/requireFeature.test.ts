@@ -0,0 +1,97 @@
+jest.mock('@/api/middleware/auth', () => ({}));
+jest.mock('@/services/billing/entitlements', () => ({
+  assertWorkspaceFeature: jest.fn(),
+  resolveUserWorkspaceId: jest.fn(),
+}));
+
+import { AuthorizationError, FeatureNotInPlanError, PlanFeature } from '@/types';
+import { assertWorkspaceFeature, resolveUserWorkspaceId } from '@/services/billing/entitlements';
+import { requireFeature } from '../requireFeature';
+
+const mockAssert = assertWorkspaceFeature as jest.Mock;
+const mockResolve = resolveUserWorkspaceId as jest.Mock;
+
+function buildRequest(overrides: Record<string, unknown> = {}) {
+  return {
+    user: { id: 'user-1' },
+    params: {},
+    body: {},
+    get: jest.fn(() => undefined),
+    ...overrides,
+  } as any;
+}
+
+describe('requireFeature middleware', () => {
+  beforeEach(() => {
+    mockAssert.mockReset();
+    mockResolve.mockReset();
+  });
+
+  it('should pass entitled workspaces through and remember the workspace', async () => {
+    mockResolve.mockResolvedValue('ws-1');
+    mockAssert.mockResolvedValue({ features: [PlanFeature.API_ACCESS] });
+    const req = buildRequest({ body: { workspaceId: 'ws-1' } });
+    const next = jest.fn();
+
+    await requireFeature(PlanFeature.API_ACCESS)(req, {} as any, next);
+
+    expect(mockResolve).toHaveBeenCalledWith('user-1', 'ws-1');
+    expect(mockAssert).toHaveBeenCalledWith('ws-1', 'API_ACCESS');
+    expect(req.workspaceId).toBe('ws-1');
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should read the workspace from the X-Workspace-ID header', async () => {
+    mockResolve.mockResolvedValue('ws-header');
+    mockAssert.mockResolvedValue({});
+    const req = buildRequest({ get: jest.fn(() => 'ws-header') });
+
+    await requireFeature(PlanFeature.API_ACCESS)(req, {} as any, jest.fn());
+
+    expect(req.get).toHaveBeenCalledWith('X-Workspace-ID');
+    expect(mockResolve).toHaveBeenCalledWith('user-1', 'ws-header');
+  });
+
+  it('should forward 402 errors when the plan lacks the feature', async () => {
+    mockResolve.mockResolvedValue('ws-1');
+    mockAssert.mockRejectedValue(new FeatureNotInPlanError('AUTO_FIXES'));
+    const next = jest.fn();
+
+    await requireFeature(PlanFeature.AUTO_FIXES)(buildRequest(), {} as any, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(FeatureNotInPlanError);
+    expect(next.mock.calls[0][0].statusCode).toBe(402);
+  });
+
+  it('should let another entitlement stand in for the plan', async () => {
+    mockResolve.mockResolvedValue('ws-1');
+    mockAssert.mockRejectedValue(new FeatureNotInPlanError('DETAILED_REPORTS'));
+    const unless = jest.fn().mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const middleware = requireFeature(PlanFeature.DETAILED_REPORTS, { unless });
+
+    const allowed = jest.fn();
+    await middleware(buildRequest(), {} as any, allowed);
+    const refused = jest.fn();
+    await middleware(buildRequest(), {} as any, refused);
+
+    expect(unless).toHaveBeenCalledWith(expect.any(Object), 'ws-1');
+    expect(allowed).toHaveBeenCalledWith();
+    expect(refused.mock.calls[0][0]).toBeInstanceOf(FeatureNotInPlanError);
+  });
+
+  it('should forward 403 errors for foreign workspaces', async () => {
+    mockResolve.mockRejectedValue(new AuthorizationError('nope', 'WORKSPACE_ACCESS_DENIED'));
+    const next = jest.fn();
+
+    await requireFeature(PlanFeature.AUTO_FIXES)(buildRequest({ params: { workspaceId: 'ws-2' } }), {} as any, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+    expect(mockAssert).not.toHaveBeenCalled();
+  });
+
+  it('should reject unauthenticated requests', async () => {
+    const next = jest.fn();
+    await requireFeature(PlanFeature.AUTO_FIXES)(buildRequest({ user: undefined }), {} as any, next);
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+  });
+});
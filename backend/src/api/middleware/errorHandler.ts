@@ -14,12 +14,14 @@ export const errorHandler = (
   let statusCode = 500;
   let message = 'Internal Server Error';
   let code: string | undefined;
+  let details: Record<string, unknown> | undefined;
 
   // Handle known AppError instances
   if (error instanceof AppError) {
     statusCode = error.statusCode;
     message = error.message;
     code = error.code;
+    details = error.details;
   }
 
   // Handle specific error types
@@ -81,5 +83,9 @@ export const errorHandler = (
     (response as any).code = code;
   }
 
+  if (details) {
+    (response as any).details = details;
+  }
+
   res.status(statusCode).json(response);
 };
\ No newline at end of file
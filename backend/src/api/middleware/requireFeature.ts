@@ -0,0 +1,44 @@
+import { Response, NextFunction } from 'express';
+import { AuthenticationError, FeatureNotInPlanError, PlanFeature } from '@/types';
+import { AuthRequest } from '@/api/middleware/auth';
+import { assertWorkspaceFeature, resolveUserWorkspaceId } from '@/services/billing/entitlements';
+
+/**
+ * Middleware to gate a route behind a plan_features key. Must run after authenticateToken.
+ *
+ * The workspace comes from requireWorkspaceAccess, the route, the body or the X-Workspace-ID
+ * header, falling back to the user's own workspace. Responds 403 WORKSPACE_ACCESS_DENIED for
+ * workspaces the user is not a member of and 402 FEATURE_NOT_IN_PLAN when the plan lacks the feature.
+ * `unless` lets a route accept another entitlement instead of the plan, such as a report credit.
+ */
+export interface RequireFeatureOptions {
+  unless?: (req: AuthRequest, workspaceId: string) => Promise<boolean>;
+}
+
+export const requireFeature = (feature: PlanFeature | string, options: RequireFeatureOptions = {}) => {
+  return async (req: AuthRequest, _res: Response, next: NextFunction) => {
+    try {
+      if (!req.user) {
+        throw new AuthenticationError('Authentication required');
+      }
+
+      const requestedWorkspaceId = req.workspaceId
+        || req.params.workspaceId
+        || req.body?.workspaceId
+        || req.get('X-Workspace-ID');
+      const workspaceId = await resolveUserWorkspaceId(req.user.id, requestedWorkspaceId);
+
+      try {
+        await assertWorkspaceFeature(workspaceId, feature);
+      } catch (error) {
+        if (!(error instanceof FeatureNotInPlanError) || !options.unless || !(await options.unless(req, workspaceId))) {
+          throw error;
+        }
+      }
+      req.workspaceId = workspaceId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,86 @@
+jest.mock('@/config', () => ({ isDevelopment: false }));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/api/middleware/auth', () => ({
+  authenticateToken: (req: any, _res: any, next: any) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireWorkspaceAccess: (req: any, _res: any, next: any) => {
+    req.workspaceId = req.params.workspaceId;
+    next();
+  },
+  requireWorkspaceRole: () => (_req: any, _res: any, next: any) => next(),
+}));
+jest.mock('@/services/billing/entitlements', () => ({
+  assertWorkspaceFeature: (...args: unknown[]) => mockAssertWorkspaceFeature(...args),
+  resolveUserWorkspaceId: async (_userId: string, workspaceId: string) => workspaceId,
+}));
+jest.mock('@/services/regressions/regressionService', () => ({
+  getRegressionSettings: jest.fn(),
+  listRegressions: jest.fn(),
+  toPublicSettings: (settings: unknown) => settings,
+  updateRegressionSettings: (...args: unknown[]) => mockUpdateRegressionSettings(...args),
+}));
+
+import express from 'express';
+import request from 'supertest';
+import { FeatureNotInPlanError } from '@/types';
+import { errorHandler } from '@/api/middleware/errorHandler';
+import regressionRoutes from '../regressions';
+
+const mockAssertWorkspaceFeature = jest.fn();
+const mockUpdateRegressionSettings = jest.fn();
+
+const app = express();
+app.use(express.json());
+app.use('/api/workspaces/:workspaceId/regressions', regressionRoutes);
+app.use(errorHandler);
+
+describe('Regression routes', () => {
+  beforeEach(() => {
+    mockAssertWorkspaceFeature.mockReset();
+    mockUpdateRegressionSettings.mockReset();
+    mockUpdateRegressionSettings.mockImplementation(async (_workspaceId: string, body: unknown) => body);
+  });
+
+  describe('PUT /settings', () => {
+    it('should answer 402 when a workspace without API access sets a webhook', async () => {
+      mockAssertWorkspaceFeature.mockRejectedValue(new FeatureNotInPlanError('API_ACCESS'));
+
+      const response = await request(app)
+        .put('/api/workspaces/ws-1/regressions/settings')
+        .send({ webhookUrl: 'https://hooks.example.com/alerts' });
+
+      expect(response.status).toBe(402);
+      expect(response.body.code).toBe('FEATURE_NOT_IN_PLAN');
+      expect(mockAssertWorkspaceFeature).toHaveBeenCalledWith('ws-1', 'API_ACCESS');
+      expect(mockUpdateRegressionSettings).not.toHaveBeenCalled();
+    });
+
+    it('should save webhooks for workspaces with API access', async () => {
+      mockAssertWorkspaceFeature.mockResolvedValue({ features: ['API_ACCESS'] });
+
+      const response = await request(app)
+        .put('/api/workspaces/ws-1/regressions/settings')
+        .send({ webhookUrl: 'https://hooks.example.com/alerts' });
+
+      expect(response.status).toBe(200);
+      expect(mockUpdateRegressionSettings).toHaveBeenCalledWith('ws-1', { webhookUrl: 'https://hooks.example.com/alerts' });
+    });
+
+    it('should not require the feature for email alerts or to remove a webhook', async () => {
+      const response = await request(app)
+        .put('/api/workspaces/ws-1/regressions/settings')
+        .send({ emailRecipients: ['dev@example.com'], webhookUrl: null });
+
+      expect(response.status).toBe(200);
+      expect(mockAssertWorkspaceFeature).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('@/config', () => ({ isDevelopment: false }));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/api/middleware/auth', () => ({
+  authenticateToken: (req: any, _res: any, next: any) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+}));
+jest.mock('@/services/billing/entitlements', () => ({
+  assertWorkspaceFeature: (...args: unknown[]) => mockAssertWorkspaceFeature(...args),
+  resolveUserWorkspaceId: async (_userId: string, workspaceId: string) => workspaceId,
+}));
+jest.mock('@/services/reports/reportService', () => ({
+  canUnlockDetailedReport: (...args: unknown[]) => mockCanUnlockDetailedReport(...args),
+  generateReport: (...args: unknown[]) => mockGenerateReport(...args),
+  loadAuthorizedAnalysis: (...args: unknown[]) => mockLoadAuthorizedAnalysis(...args),
+}));
+jest.mock('@/services/reports/pdfReport', () => ({ renderReportPdf: jest.fn() }));
+jest.mock('@/services/reports/shareLinks', () => ({
+  createShareLink: jest.fn(),
+  listShareLinks: jest.fn(),
+  resolveSharedReport: jest.fn(),
+  revokeShareLink: jest.fn(),
+}));
+
+import express from 'express';
+import request from 'supertest';
+import { AuthorizationError, FeatureNotInPlanError } from '@/types';
+import { errorHandler } from '@/api/middleware/errorHandler';
+import reportRoutes from '../reports';
+
+const mockAssertWorkspaceFeature = jest.fn();
+const mockCanUnlockDetailedReport = jest.fn();
+const mockGenerateReport = jest.fn();
+const mockLoadAuthorizedAnalysis = jest.fn();
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+app.use(errorHandler);
+
+describe('Report routes', () => {
+  beforeEach(() => {
+    mockAssertWorkspaceFeature.mockReset();
+    mockCanUnlockDetailedReport.mockReset();
+    mockGenerateReport.mockReset();
+    mockLoadAuthorizedAnalysis.mockReset();
+    mockLoadAuthorizedAnalysis.mockResolvedValue({ analysis: { id: 'analysis-1' }, workspaceId: 'ws-1' });
+    mockGenerateReport.mockResolvedValue({ reportId: 'report-1' });
+  });
+
+  describe('detailed reports', () => {
+    it('should answer 402 for detailed reports without the plan or a credit', async () => {
+      mockAssertWorkspaceFeature.mockRejectedValue(new FeatureNotInPlanError('DETAILED_REPORTS'));
+      mockCanUnlockDetailedReport.mockResolvedValue(false);
+
+      const response = await request(app).get('/api/reports/analysis-1?type=detailed');
+
+      expect(response.status).toBe(402);
+      expect(response.body.code).toBe('FEATURE_NOT_IN_PLAN');
+      expect(mockAssertWorkspaceFeature).toHaveBeenCalledWith('ws-1', 'DETAILED_REPORTS');
+      expect(mockCanUnlockDetailedReport).toHaveBeenCalledWith('analysis-1', 'ws-1');
+      expect(mockGenerateReport).not.toHaveBeenCalled();
+    });
+
+    it('should let a report credit unlock the detailed report', async () => {
+      mockAssertWorkspaceFeature.mockRejectedValue(new FeatureNotInPlanError('DETAILED_REPORTS'));
+      mockCanUnlockDetailedReport.mockResolvedValue(true);
+
+      const response = await request(app).get('/api/reports/analysis-1?type=detailed');
+
+      expect(response.status).toBe(200);
+      expect(mockGenerateReport).toHaveBeenCalledWith('analysis-1', 'user-1', 'detailed');
+    });
+
+    it('should answer 403 for analyses of other workspaces', async () => {
+      mockLoadAuthorizedAnalysis.mockRejectedValue(new AuthorizationError('Access denied', 'WORKSPACE_ACCESS_DENIED'));
+
+      const response = await request(app).get('/api/reports/analysis-1/pdf');
+
+      expect(response.status).toBe(403);
+      expect(mockAssertWorkspaceFeature).not.toHaveBeenCalled();
+    });
+
+    it('should not gate free reports', async () => {
+      const response = await request(app).get('/api/reports/analysis-1');
+
+      expect(response.status).toBe(200);
+      expect(mockLoadAuthorizedAnalysis).not.toHaveBeenCalled();
+      expect(mockAssertWorkspaceFeature).not.toHaveBeenCalled();
+    });
+  });
+});
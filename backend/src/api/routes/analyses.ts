@@ -5,6 +5,12 @@ import { masterQueue } from '@/lib/queue/master';
 import { supabase } from '@/config/supabase';
 import { createLogger } from '@/config/logger';
 import { authenticateToken, AuthRequest } from '@/api/middleware/auth';
+import { calculateModuleScores } from '@/services/analysis/scoring';
+import { resolveCrawlOptions } from '@/services/analysis/siteCrawl';
+import { resolveUserFlow } from '@/services/analysis/userFlow';
+import { compareAnalyses } from '@/services/analysis/analysisComparison';
+import { loadScreenReaderTranscript } from '@/services/analysis/screenReaderTranscript';
+import { partitionSuppressed } from '@/services/reports/reportBuilder';
 
 const router = express.Router();
 const logger = createLogger('analyses-route');
@@ -49,6 +55,80 @@ async function addSignedUrlsToScreenshots(screenshots: any[]) {
   return screenshotsWithUrls;
 }
 
+/**
+ * Score each crawled page from its own issues and persist the result
+ * @param analysisId - Analysis whose pages should be rolled up
+ * @param issues - All issues of the analysis, keyed by module
+ * @param persist - Whether page scores should be written back to analysis_pages
+ * @returns Pages ordered by crawl index with scores and issue counts
+ */
+async function buildPageRollup(
+  analysisId: string,
+  issues: { accessibility?: any[] | null; seo?: any[] | null; performance?: any[] | null },
+  persist: boolean
+) {
+  const { data: pages, error } = await supabase
+    .from('analysis_pages')
+    .select('id, page_index, url, depth, source, flow_step, screenshot_path, asset_path, status_code, performance_metrics')
+    .eq('analysis_id', analysisId)
+    .order('page_index', { ascending: true });
+
+  if (error || !pages || pages.length === 0) {
+    if (error) {
+      logger.warn('Failed to fetch analysis pages', { error, analysisId });
+    }
+    return [];
+  }
+
+  const forPage = (list: any[] | null | undefined, pageId: string) =>
+    (list || []).filter(issue => issue.analysis_page_id === pageId);
+
+  return Promise.all(pages.map(async page => {
+    const pageIssues = {
+      accessibility: forPage(issues.accessibility, page.id),
+      seo: forPage(issues.seo, page.id),
+      performance: forPage(issues.performance, page.id),
+    };
+    const scores = calculateModuleScores(pageIssues, { performance: page.performance_metrics?.score });
+
+    if (persist) {
+      const { error: updateError } = await supabase
+        .from('analysis_pages')
+        .update({
+          overall_score: scores.overall,
+          accessibility_score: scores.accessibility,
+          seo_score: scores.seo,
+          performance_score: scores.performance,
+        })
+        .eq('id', page.id);
+
+      if (updateError) {
+        logger.warn('Failed to update page scores', { error: updateError, pageId: page.id });
+      }
+    }
+
+    // User flow snapshots keep their own screenshot of the captured state
+    let screenshotUrl: string | null = null;
+    if (page.screenshot_path) {
+      const { data: signed } = await supabase.storage
+        .from('analysis-assets')
+        .createSignedUrl(page.screenshot_path, 3600);
+      screenshotUrl = signed?.signedUrl || null;
+    }
+
+    return {
+      ...page,
+      screenshot_url: screenshotUrl,
+      scores,
+      issueCounts: {
+        accessibility: pageIssues.accessibility.length,
+        seo: pageIssues.seo.length,
+        performance: pageIssues.performance.length,
+      },
+    };
+  }));
+}
+
 /**
  * @swagger
  * /api/analyses:
@@ -67,13 +147,93 @@ async function addSignedUrlsToScreenshots(screenshots: any[]) {
  *               websiteId:
  *                 type: string
  *                 format: uuid
+ *               crawl:
+ *                 type: object
+ *                 description: Multi-page crawl mode. When omitted only the given URL is analyzed.
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   maxPages:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 50
+ *                   maxDepth:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 5
+ *                   includePatterns:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["/blog/*"]
+ *                   excludePatterns:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   useSitemap:
+ *                     type: boolean
+ *               flow:
+ *                 type: object
+ *                 description: Scripted user flow run after the page loaded. Every snapshot step is
+ *                   analyzed like an extra page and its issues carry the snapshot name.
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   steps:
+ *                     type: array
+ *                     maxItems: 50
+ *                     items:
+ *                       type: object
+ *                       required: [action]
+ *                       properties:
+ *                         action:
+ *                           type: string
+ *                           enum: [navigate, click, type, waitForSelector, snapshot]
+ *                         url:
+ *                           type: string
+ *                           description: navigate; relative URLs resolve against the current page
+ *                         selector:
+ *                           type: string
+ *                           description: click, type and waitForSelector
+ *                         text:
+ *                           type: string
+ *                           description: type
+ *                         clear:
+ *                           type: boolean
+ *                           description: type; empty the field first
+ *                         visible:
+ *                           type: boolean
+ *                           description: waitForSelector; defaults to true
+ *                         timeoutMs:
+ *                           type: integer
+ *                           maximum: 30000
+ *                           description: waitForSelector
+ *                         name:
+ *                           type: string
+ *                           description: snapshot; unique within the flow
+ *                 example:
+ *                   name: Newsletter signup
+ *                   steps:
+ *                     - { action: click, selector: "#newsletter-open" }
+ *                     - { action: waitForSelector, selector: "[role=dialog]" }
+ *                     - { action: snapshot, name: Signup dialog }
+ *                     - { action: type, selector: "#newsletter-email", text: "qa@example.com" }
+ *                     - { action: click, selector: "[role=dialog] button[type=submit]" }
+ *                     - { action: snapshot, name: Signup confirmation }
+ *               probeForms:
+ *                 type: boolean
+ *                 description: Fill and submit every form with empty and invalid values in a sandboxed
+ *                   page to check how errors are announced. Navigation and form posts are blocked.
  *     responses:
  *       201:
  *         description: Analysis started
+ *       400:
+ *         description: Invalid user flow
  */
 router.post('/', authenticateToken, async (req: AuthRequest, res, next) => {
   try {
-    const { websiteId, url, forceNew } = req.body;
+    const { websiteId, url, forceNew, crawl, flow, probeForms } = req.body;
+    const userFlow = resolveUserFlow(flow);
 
     // Handle both websiteId (existing flow) and url (new flow from homepage)
     let targetWebsiteId = websiteId;
@@ -134,8 +294,8 @@ router.post('/', authenticateToken, async (req: AuthRequest, res, next) => {
       });
     }
 
-    // Check for recent analysis within last 24 hours (unless forceNew is true)
-    if (!forceNew) {
+    // Check for recent analysis within last 24 hours (unless forceNew is true or a flow was requested)
+    if (!forceNew && !userFlow) {
       const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
       const { data: recentAnalyses, error: recentAnalysisError } = await supabase
@@ -213,7 +373,10 @@ router.post('/', authenticateToken, async (req: AuthRequest, res, next) => {
       workspaceId,
       websiteId: targetWebsiteId,
       userId,
-      url // Pass URL for both authenticated and public analyses
+      url, // Pass URL for both authenticated and public analyses
+      crawl: resolveCrawlOptions(crawl),
+      flow: userFlow || undefined,
+      probeForms: probeForms === true
     });
 
     const response: ApiResponse = {
@@ -541,7 +704,8 @@ router.get('/:id', async (req, res, next) => {
         *,
         websites (
           id,
-          url
+          url,
+          workspace_id
         ),
         analysis_jobs (
           id,
@@ -606,6 +770,11 @@ router.get('/:id', async (req, res, next) => {
           name,
           description,
           default_severity
+        ),
+        issue_suppressions (
+          id,
+          reason,
+          expires_at
         )
       `)
       .in('analysis_job_id', analysis.analysis_jobs.map((j: any) => j.id));
@@ -625,6 +794,11 @@ router.get('/:id', async (req, res, next) => {
           name,
           description,
           default_severity
+        ),
+        issue_suppressions (
+          id,
+          reason,
+          expires_at
         )
       `)
       .in('analysis_job_id', analysis.analysis_jobs.map((j: any) => j.id));
@@ -644,6 +818,11 @@ router.get('/:id', async (req, res, next) => {
           name,
           description,
           default_severity
+        ),
+        issue_suppressions (
+          id,
+          reason,
+          expires_at
         )
       `)
       .in('analysis_job_id', analysis.analysis_jobs.map((j: any) => j.id));
@@ -652,73 +831,22 @@ router.get('/:id', async (req, res, next) => {
       logger.error('Failed to fetch performance issues', { error: performanceError });
     }
 
-    // Calculate total issues for summary
-    const totalAccessibilityIssues = accessibilityIssues?.length || 0;
-    const totalSeoIssues = seoIssues?.length || 0;
-    const totalPerformanceIssues = performanceIssues?.length || 0;
+    // Suppressed issues are reported separately and not counted in scores or totals
+    const accessibility = partitionSuppressed(accessibilityIssues || []);
+    const seo = partitionSuppressed(seoIssues || []);
+    const performance = partitionSuppressed(performanceIssues || []);
 
-    // Improved scoring algorithm that groups similar issues
-    const calculateImprovedScore = (issues, type) => {
-      if (!issues || issues.length === 0) return 100;
-      
-      // Group issues primarily by rule for better consolidation
-      const groupedIssues = new Map();
-      
-      issues.forEach(issue => {
-        const ruleKey = issue.rules?.rule_key || 'unknown';
-        const ruleName = issue.rules?.name || 'Unknown Rule';
-        const severity = issue.severity;
-        
-        // Create a key that groups by rule and severity (not message)
-        const groupKey = `${ruleKey}:${severity}`;
-        
-        if (!groupedIssues.has(groupKey)) {
-          groupedIssues.set(groupKey, {
-            rule: issue.rules,
-            message: issue.message, // Use first message as representative
-            severity: issue.severity,
-            occurrences: []
-          });
-        }
-        
-        groupedIssues.get(groupKey).occurrences.push({
-          location: issue.location_path,
-          code: issue.code_snippet,
-          fix: issue.fix_suggestion,
-          message: issue.message // Keep individual messages for each occurrence
-        });
-      });
-      
-      // Calculate score based on unique issue groups, not total count
-      let totalDeduction = 0;
-      
-      groupedIssues.forEach(group => {
-        const occurrenceCount = group.occurrences.length;
-        let baseDeduction;
-        
-        // Base deduction per unique issue type
-        switch (group.severity) {
-          case 'critical': baseDeduction = 15; break;
-          case 'serious': baseDeduction = 10; break;
-          case 'moderate': baseDeduction = 6; break;
-          case 'minor': baseDeduction = 3; break;
-          default: baseDeduction = 5; break;
-        }
-        
-        // Add small penalty for multiple occurrences (logarithmic to avoid over-penalizing)
-        const occurrencePenalty = occurrenceCount > 1 ? Math.log2(occurrenceCount) : 0;
-        const totalDeductionForGroup = baseDeduction + occurrencePenalty;
-        
-        totalDeduction += totalDeductionForGroup;
-      });
-      
-      return Math.max(0, Math.round(100 - totalDeduction));
-    };
+    // Calculate total issues for summary
+    const totalAccessibilityIssues = accessibility.active.length;
+    const totalSeoIssues = seo.active.length;
+    const totalPerformanceIssues = performance.active.length;
 
-    const accessibilityScore = calculateImprovedScore(accessibilityIssues, 'accessibility');
-    const seoScore = calculateImprovedScore(seoIssues, 'seo');
-    const performanceScore = calculateImprovedScore(performanceIssues, 'performance');
-    const overallScore = Math.round((accessibilityScore + seoScore + performanceScore) / 3);
+    const { overall: overallScore, accessibility: accessibilityScore, seo: seoScore, performance: performanceScore } =
+      calculateModuleScores({
+        accessibility: accessibilityIssues,
+        seo: seoIssues,
+        performance: performanceIssues,
+      }, { performance: analysis.performance_metrics?.score });
 
     // Update scores in database when we have issues to score (regardless of analysis status)
     // This ensures real-time score updates and allows recalculation when new issues are found
@@ -741,6 +869,19 @@ router.get('/:id', async (req, res, next) => {
         .eq('id', id);
     }
 
+    // Per-page scores for crawled analyses (single-page analyses have one page row)
+    const pages = await buildPageRollup(id, {
+      accessibility: accessibilityIssues,
+      seo: seoIssues,
+      performance: performanceIssues,
+    }, shouldUpdateScores);
+
+    // Issues found on a user flow snapshot carry the snapshot name
+    const flowSteps = new Map(pages.filter(page => page.flow_step).map(page => [page.id, page.flow_step]));
+    [accessibilityIssues, seoIssues, performanceIssues].forEach(list => (list || []).forEach((issue: any) => {
+      issue.flow_step = (issue.analysis_page_id && flowSteps.get(issue.analysis_page_id)) || null;
+    }));
+
     // Group issues for better display
     const groupIssues = (issues) => {
       if (!issues || issues.length === 0) return [];
@@ -772,6 +913,7 @@ router.get('/:id', async (req, res, next) => {
           code: issue.code_snippet,
           fix: issue.fix_suggestion,
           message: issue.message, // Keep individual messages for each occurrence
+          flowStep: issue.flow_step || null,
           original_issue: issue
         });
         group.count = group.occurrences.length;
@@ -790,6 +932,8 @@ router.get('/:id', async (req, res, next) => {
     const responseData = {
       ...analysis,
       screenshots: screenshotsWithSignedUrls,
+      pages,
+      performance: analysis.performance_metrics || null,
       scores: {
         overall: overallScore,
         accessibility: accessibilityScore,
@@ -797,26 +941,32 @@ router.get('/:id', async (req, res, next) => {
         performance: performanceScore
       },
       issues: {
-        accessibility: accessibilityIssues || [],
-        seo: seoIssues || [],
-        performance: performanceIssues || []
+        accessibility: accessibility.active,
+        seo: seo.active,
+        performance: performance.active
+      },
+      suppressedIssues: {
+        accessibility: accessibility.suppressed,
+        seo: seo.suppressed,
+        performance: performance.suppressed
       },
       groupedIssues: {
-        accessibility: groupIssues(accessibilityIssues),
-        seo: groupIssues(seoIssues),
-        performance: groupIssues(performanceIssues)
+        accessibility: groupIssues(accessibility.active),
+        seo: groupIssues(seo.active),
+        performance: groupIssues(performance.active)
       },
       summary: {
         totalIssues: totalAccessibilityIssues + totalSeoIssues + totalPerformanceIssues,
+        suppressedIssues: accessibility.suppressed.length + seo.suppressed.length + performance.suppressed.length,
         criticalIssues: [
-          ...(accessibilityIssues?.filter((i: any) => i.severity === 'critical') || []),
-          ...(seoIssues?.filter((i: any) => i.severity === 'critical') || []),
-          ...(performanceIssues?.filter((i: any) => i.severity === 'critical') || [])
+          ...accessibility.active.filter((i: any) => i.severity === 'critical'),
+          ...seo.active.filter((i: any) => i.severity === 'critical'),
+          ...performance.active.filter((i: any) => i.severity === 'critical')
         ].length,
         highIssues: [
-          ...(accessibilityIssues?.filter((i: any) => i.severity === 'high') || []),
-          ...(seoIssues?.filter((i: any) => i.severity === 'high') || []),
-          ...(performanceIssues?.filter((i: any) => i.severity === 'high') || [])
+          ...accessibility.active.filter((i: any) => i.severity === 'high'),
+          ...seo.active.filter((i: any) => i.severity === 'high'),
+          ...performance.active.filter((i: any) => i.severity === 'high')
         ].length
       }
     };
@@ -835,6 +985,101 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/analyses/{id}/screen-reader:
+ *   get:
+ *     summary: Get the screen reader transcript of an analysed page
+ *     description: The accessibility tree linearised as a screen reader reads it, with the heading and
+ *       landmark outline. Lines for unnamed controls and content read out of visual order are flagged.
+ *     tags: [Analyses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: pageId
+ *         description: Page of a crawled analysis; defaults to the requested URL
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transcript of the page and the list of analysed pages
+ *       404:
+ *         description: Analysis or page not found, or no transcript was recorded
+ */
+router.get('/:id/screen-reader', authenticateToken, async (req: AuthRequest, res, next) => {
+  try {
+    const pageId = typeof req.query.pageId === 'string' ? req.query.pageId : undefined;
+    const result = await loadScreenReaderTranscript(req.params.id, req.user!.id, pageId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Screen reader transcript retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/analyses/{id}/compare/{otherId}:
+ *   get:
+ *     summary: Compare an analysis with an earlier run of the same website
+ *     description: Issues are matched by a fingerprint of rule, page, selector and code snippet and
+ *       classified as new, fixed or unchanged. Scores are returned with their delta per module.
+ *     tags: [Analyses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: otherId
+ *         required: true
+ *         description: Baseline analysis id, or "previous" for the latest earlier completed analysis
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Score deltas and new, fixed and unchanged issues per module
+ *       400:
+ *         description: The analyses belong to different websites
+ *       404:
+ *         description: Analysis not found, or no previous analysis exists
+ *       409:
+ *         description: One of the analyses has not completed yet
+ */
+router.get('/:id/compare/:otherId', authenticateToken, async (req: AuthRequest, res, next) => {
+  try {
+    const comparison = await compareAnalyses(req.params.id, req.params.otherId, req.user!.id);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Analyses compared successfully',
+      data: comparison,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/analyses/{id}:
@@ -0,0 +1,209 @@
+import express from 'express';
+import { ApiResponse } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess, requireWorkspaceRole } from '@/api/middleware/auth';
+import { deleteAuthProfile, getAuthProfile, upsertAuthProfile } from '@/services/authProfiles/authProfiles';
+
+// Mounted at /api/workspaces/:workspaceId/websites/:websiteId/auth-profile
+const router = express.Router({ mergeParams: true });
+
+// Even redacted profiles reveal login URLs and usernames, so they are admin-only
+router.use(authenticateToken, requireWorkspaceAccess, requireWorkspaceRole('admin'));
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/auth-profile:
+ *   get:
+ *     summary: Get the authentication profile used to scan the website
+ *     description: Passwords, cookie values and header values are never returned.
+ *     tags: [Auth Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Redacted auth profile
+ *       404:
+ *         description: Website not found or no profile configured
+ */
+router.get('/', async (req: AuthRequest, res, next) => {
+  try {
+    const profile = await getAuthProfile(req.workspaceId!, req.params.websiteId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Auth profile retrieved successfully',
+      data: profile,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/auth-profile:
+ *   put:
+ *     summary: Create or update the authentication profile of the website
+ *     description: Methods left out of the body are kept, methods set to null are removed.
+ *       Omitted passwords and cookie or header values keep the stored secret.
+ *     tags: [Auth Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isEnabled:
+ *                 type: boolean
+ *               formLogin:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   loginUrl:
+ *                     type: string
+ *                   usernameSelector:
+ *                     type: string
+ *                     example: "#email"
+ *                   passwordSelector:
+ *                     type: string
+ *                     example: "#password"
+ *                   submitSelector:
+ *                     type: string
+ *                     description: Omit to submit with Enter
+ *                   successSelector:
+ *                     type: string
+ *                     description: Element that is only shown when logged in
+ *                   username:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ *               cookies:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                     domain:
+ *                       type: string
+ *                       description: Defaults to the host of the scanned page
+ *                     path:
+ *                       type: string
+ *                     secure:
+ *                       type: boolean
+ *                     httpOnly:
+ *                       type: boolean
+ *               basicAuth:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ *               headers:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Saved auth profile (redacted)
+ *       400:
+ *         description: No method configured or invalid settings
+ *       403:
+ *         description: Only workspace admins can manage auth profiles
+ *       500:
+ *         description: Credential encryption is not configured on the server
+ */
+router.put('/', async (req: AuthRequest, res, next) => {
+  try {
+    const profile = await upsertAuthProfile(req.workspaceId!, req.params.websiteId, req.user!.id, req.body || {});
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Auth profile saved successfully',
+      data: profile,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/auth-profile:
+ *   delete:
+ *     summary: Remove the authentication profile, later scans run anonymously
+ *     tags: [Auth Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Auth profile deleted
+ *       404:
+ *         description: No profile configured
+ */
+router.delete('/', async (req: AuthRequest, res, next) => {
+  try {
+    await deleteAuthProfile(req.workspaceId!, req.params.websiteId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Auth profile deleted successfully',
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
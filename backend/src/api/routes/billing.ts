@@ -1,8 +1,49 @@
 import express from 'express';
 import { ApiResponse } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess, requireWorkspaceRole } from '@/api/middleware/auth';
+import { createCreditCheckout, createSubscriptionCheckout } from '@/services/billing/checkout';
+import { getWorkspaceEntitlements, resolveUserWorkspaceId } from '@/services/billing/entitlements';
+import { constructStripeEvent, handleStripeEvent } from '@/services/billing/webhooks';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /api/billing/entitlements:
+ *   get:
+ *     summary: Get the plan and features of a workspace
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the workspace the user owns
+ *     responses:
+ *       200:
+ *         description: Workspace entitlements
+ *       403:
+ *         description: Not a member of the workspace
+ */
+router.get('/entitlements', authenticateToken, async (req: AuthRequest, res, next) => {
+  try {
+    const workspaceId = await resolveUserWorkspaceId(req.user!.id, (req.query.workspaceId as string) || req.get('X-Workspace-ID'));
+    const entitlements = await getWorkspaceEntitlements(workspaceId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Entitlements retrieved successfully',
+      data: entitlements,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/billing/subscription:
@@ -17,20 +58,36 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [workspaceId, planId]
  *             properties:
+ *               workspaceId:
+ *                 type: string
  *               planId:
  *                 type: string
+ *               interval:
+ *                 type: string
+ *                 enum: [monthly, yearly]
+ *                 default: monthly
  *     responses:
  *       200:
  *         description: Checkout session created
+ *       409:
+ *         description: Workspace already has a subscription
  */
-router.post('/subscription', (req, res) => {
-  const response: ApiResponse = {
-    success: false,
-    message: 'Billing endpoints not yet implemented',
-    timestamp: new Date().toISOString(),
-  };
-  res.status(501).json(response);
+router.post('/subscription', authenticateToken, requireWorkspaceAccess, requireWorkspaceRole('admin'), async (req: AuthRequest, res, next) => {
+  try {
+    const session = await createSubscriptionCheckout(req.user!, req.workspaceId!, req.body.planId, req.body.interval);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Checkout session created',
+      data: session,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -47,7 +104,10 @@ router.post('/subscription', (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [workspaceId, package]
  *             properties:
+ *               workspaceId:
+ *                 type: string
  *               package:
  *                 type: string
  *                 enum: [single, starter, value]
@@ -55,13 +115,20 @@ router.post('/subscription', (req, res) => {
  *       200:
  *         description: Credit purchase session created
  */
-router.post('/credits', (req, res) => {
-  const response: ApiResponse = {
-    success: false,
-    message: 'Billing endpoints not yet implemented',
-    timestamp: new Date().toISOString(),
-  };
-  res.status(501).json(response);
+router.post('/credits', authenticateToken, requireWorkspaceAccess, async (req: AuthRequest, res, next) => {
+  try {
+    const session = await createCreditCheckout(req.user!, req.workspaceId!, req.body.package);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Credit purchase session created',
+      data: session,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -69,6 +136,7 @@ router.post('/credits', (req, res) => {
  * /api/billing/webhook:
  *   post:
  *     summary: Stripe webhook handler
+ *     description: Expects the raw request body and a valid Stripe-Signature header
  *     tags: [Billing]
  *     requestBody:
  *       required: true
@@ -79,14 +147,25 @@ router.post('/credits', (req, res) => {
  *     responses:
  *       200:
  *         description: Webhook processed
+ *       400:
+ *         description: Missing or invalid signature
  */
-router.post('/webhook', (req, res) => {
-  const response: ApiResponse = {
-    success: false,
-    message: 'Billing endpoints not yet implemented',
-    timestamp: new Date().toISOString(),
-  };
-  res.status(501).json(response);
+router.post('/webhook', async (req, res, next) => {
+  try {
+    // server.ts mounts express.raw() for this path, so req.body is the signed Buffer
+    const event = constructStripeEvent(req.body, req.get('Stripe-Signature'));
+    const outcome = await handleStripeEvent(event);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Webhook processed',
+      data: { eventId: event.id, type: event.type, outcome },
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,280 @@
+import express from 'express';
+import { ApiResponse } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess } from '@/api/middleware/auth';
+import {
+  addIssueComment,
+  deleteIssueComment,
+  listIssueComments,
+  listIssuesWithTriage,
+  updateIssueTriage,
+} from '@/services/triage/issueTriage';
+
+// Mounted at /api/workspaces/:workspaceId/websites/:websiteId/issues
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requireWorkspaceAccess);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/issues:
+ *   get:
+ *     summary: List the issues of an analysis with their triage state
+ *     tags: [Issue Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: analysisId
+ *         description: Defaults to the latest completed analysis of the website
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Issues with fingerprint, status, assignee and comment count
+ *       404:
+ *         description: Website or analysis not found
+ */
+router.get('/', async (req: AuthRequest, res, next) => {
+  try {
+    const analysisId = typeof req.query.analysisId === 'string' ? req.query.analysisId : undefined;
+    const result = await listIssuesWithTriage(req.workspaceId!, req.params.websiteId, analysisId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Issues retrieved successfully',
+      data: result,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/issues/{fingerprint}:
+ *   patch:
+ *     summary: Set the status or assignee of an issue
+ *     tags: [Issue Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fingerprint
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, in_progress, fixed, wont_fix, false_positive]
+ *               assigneeId:
+ *                 type: string
+ *                 nullable: true
+ *               module:
+ *                 type: string
+ *                 enum: [accessibility, seo, performance]
+ *                 description: Required the first time an issue is triaged
+ *               ruleKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Triage state updated
+ */
+router.patch('/:fingerprint', async (req: AuthRequest, res, next) => {
+  try {
+    const triage = await updateIssueTriage(req.workspaceId!, req.params.websiteId, req.params.fingerprint, req.user!.id, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Issue updated successfully',
+      data: triage,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/issues/{fingerprint}/comments:
+ *   get:
+ *     summary: List the comment thread of an issue
+ *     tags: [Issue Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fingerprint
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comments, oldest first
+ */
+router.get('/:fingerprint/comments', async (req: AuthRequest, res, next) => {
+  try {
+    const comments = await listIssueComments(req.workspaceId!, req.params.websiteId, req.params.fingerprint);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Comments retrieved successfully',
+      data: comments,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/issues/{fingerprint}/comments:
+ *   post:
+ *     summary: Comment on an issue
+ *     tags: [Issue Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fingerprint
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *               module:
+ *                 type: string
+ *                 description: Required when the issue has not been triaged yet
+ *               ruleKey:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ */
+router.post('/:fingerprint/comments', async (req: AuthRequest, res, next) => {
+  try {
+    const comment = await addIssueComment(req.workspaceId!, req.params.websiteId, req.params.fingerprint, req.user!.id, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Comment added successfully',
+      data: comment,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/websites/{websiteId}/issues/{fingerprint}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete your own comment
+ *     tags: [Issue Triage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: websiteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fingerprint
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: The comment was written by someone else
+ */
+router.delete('/:fingerprint/comments/:commentId', async (req: AuthRequest, res, next) => {
+  try {
+    await deleteIssueComment(req.workspaceId!, req.params.commentId, req.user!.id);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Comment deleted successfully',
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express, { NextFunction, Response } from 'express';
+import { ApiResponse, PlanFeature } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess, requireWorkspaceRole } from '@/api/middleware/auth';
+import { requireFeature } from '@/api/middleware/requireFeature';
+import {
+  getRegressionSettings,
+  listRegressions,
+  toPublicSettings,
+  updateRegressionSettings,
+} from '@/services/regressions/regressionService';
+
+// Mounted at /api/workspaces/:workspaceId/regressions
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requireWorkspaceAccess);
+
+// Webhooks are an API integration; email alerts and thresholds stay available on every plan
+const requireWebhookFeature = (req: AuthRequest, res: Response, next: NextFunction) => {
+  if (!req.body?.webhookUrl) return next();
+  return requireFeature(PlanFeature.API_ACCESS)(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/regressions:
+ *   get:
+ *     summary: List detected regressions, newest first
+ *     tags: [Regressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: websiteId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Regressions with score drops, new issues and notification results
+ */
+router.get('/', async (req: AuthRequest, res, next) => {
+  try {
+    const regressions = await listRegressions(req.workspaceId!, {
+      websiteId: typeof req.query.websiteId === 'string' ? req.query.websiteId : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit as string, 10) : undefined,
+    });
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Regressions retrieved successfully',
+      data: regressions,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/regressions/settings:
+ *   get:
+ *     summary: Get regression thresholds and notification channels
+ *     tags: [Regressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert settings; the webhook secret is reported as hasWebhookSecret only
+ */
+router.get('/settings', async (req: AuthRequest, res, next) => {
+  try {
+    const settings = await getRegressionSettings(req.workspaceId!);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Regression alert settings retrieved successfully',
+      data: toPublicSettings(settings),
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/regressions/settings:
+ *   put:
+ *     summary: Update regression thresholds and notification channels
+ *     tags: [Regressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isEnabled:
+ *                 type: boolean
+ *               scoreDropThreshold:
+ *                 type: integer
+ *                 description: Points a score may drop before alerting
+ *               moduleThresholds:
+ *                 type: object
+ *                 example: { "accessibility": 3 }
+ *               alertSeverities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [critical, serious, moderate, minor]
+ *               emailRecipients:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               webhookUrl:
+ *                 type: string
+ *                 nullable: true
+ *               webhookSecret:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       402:
+ *         description: Setting a webhook requires a plan with API access
+ *       403:
+ *         description: Only workspace admins can change alert settings
+ */
+router.put('/settings', requireWorkspaceRole('admin'), requireWebhookFeature, async (req: AuthRequest, res, next) => {
+  try {
+    const settings = await updateRegressionSettings(req.workspaceId!, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Regression alert settings updated successfully',
+      data: toPublicSettings(settings),
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
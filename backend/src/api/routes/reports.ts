@@ -1,8 +1,207 @@
-import express from 'express';
-import { ApiResponse } from '@/types';
+import express, { NextFunction, Response } from 'express';
+import { ApiResponse, PlanFeature, ReportType, ValidationError } from '@/types';
+import { authenticateToken, AuthRequest } from '@/api/middleware/auth';
+import { requireFeature } from '@/api/middleware/requireFeature';
+import { canUnlockDetailedReport, generateReport, loadAuthorizedAnalysis } from '@/services/reports/reportService';
+import { renderReportPdf } from '@/services/reports/pdfReport';
+import { DetailedReport } from '@/services/reports/reportBuilder';
+import { createShareLink, listShareLinks, resolveSharedReport, revokeShareLink } from '@/services/reports/shareLinks';
 
 const router = express.Router();
 
+// Detailed reports come with the plan or are unlocked with a report credit. The gate runs
+// against the analysis' workspace; the report service still makes the final, atomic decision.
+const detailedReportFeature = requireFeature(PlanFeature.DETAILED_REPORTS, {
+  unless: (req, workspaceId) => canUnlockDetailedReport(req.params.analysisId, workspaceId),
+});
+
+const requireDetailedReports = (isDetailed: (req: AuthRequest) => boolean) => (
+  async (req: AuthRequest, res: Response, next: NextFunction) => {
+    if (!isDetailed(req)) return next();
+    try {
+      ({ workspaceId: req.workspaceId } = await loadAuthorizedAnalysis(req.params.analysisId, req.user!.id));
+    } catch (error) {
+      return next(error);
+    }
+    return detailedReportFeature(req, res, next);
+  }
+);
+
+/**
+ * @swagger
+ * /api/reports/shared/{key}:
+ *   get:
+ *     summary: Get a shared report without authentication
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: Required when the link is password protected
+ *     responses:
+ *       200:
+ *         description: Read-only report
+ *       401:
+ *         description: Password required or incorrect
+ *       404:
+ *         description: Unknown or revoked link
+ *       410:
+ *         description: Link expired
+ */
+router.get('/shared/:key', async (req, res, next) => {
+  try {
+    const report = await resolveSharedReport(req.params.key, req.get('X-Share-Password'));
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Shared report retrieved successfully',
+      data: report,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/shared/{key}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ */
+router.delete('/shared/:key', authenticateToken, async (req: AuthRequest, res, next) => {
+  try {
+    const shareLink = await revokeShareLink(req.params.key, req.user!.id);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Share link revoked',
+      data: shareLink,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{analysisId}/share:
+ *   post:
+ *     summary: Create a public share link for a report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: analysisId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [free, detailed]
+ *                 default: free
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *       402:
+ *         description: Payment required for detailed report
+ */
+router.post('/:analysisId/share', authenticateToken, requireDetailedReports(req => req.body?.type === ReportType.DETAILED), async (req: AuthRequest, res, next) => {
+  try {
+    const { type, expiresInDays, expiresAt, password } = req.body || {};
+    const shareLink = await createShareLink(req.params.analysisId, req.user!.id, {
+      type,
+      expiresInDays,
+      expiresAt,
+      password,
+    });
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Share link created',
+      data: shareLink,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{analysisId}/shares:
+ *   get:
+ *     summary: List share links of an analysis
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: analysisId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Share links, newest first
+ */
+router.get('/:analysisId/shares', authenticateToken, async (req: AuthRequest, res, next) => {
+  try {
+    const shareLinks = await listShareLinks(req.params.analysisId, req.user!.id);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Share links retrieved successfully',
+      data: shareLinks,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/reports/{analysisId}:
@@ -26,17 +225,81 @@ const router = express.Router();
  *           default: free
  *     responses:
  *       200:
- *         description: Analysis report
+ *         description: Analysis report. Free reports contain scores, severity counts and the
+ *           top issues; detailed reports add every issue with location and fix suggestion.
  *       402:
  *         description: Payment required for detailed report
+ *       403:
+ *         description: Analysis belongs to another workspace
+ *       404:
+ *         description: Analysis not found
+ *       409:
+ *         description: Analysis has not completed yet
  */
-router.get('/:analysisId', (req, res) => {
-  const response: ApiResponse = {
-    success: false,
-    message: 'Report endpoints not yet implemented',
-    timestamp: new Date().toISOString(),
-  };
-  res.status(501).json(response);
+router.get('/:analysisId', authenticateToken, requireDetailedReports(req => req.query.type === ReportType.DETAILED), async (req: AuthRequest, res, next) => {
+  try {
+    const { analysisId } = req.params;
+    const type = (req.query.type as string) || ReportType.FREE;
+
+    if (type !== ReportType.FREE && type !== ReportType.DETAILED) {
+      throw new ValidationError('type must be either "free" or "detailed"', 'INVALID_REPORT_TYPE');
+    }
+
+    const report = await generateReport(analysisId, req.user!.id, type as ReportType);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Report generated successfully',
+      data: report,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{analysisId}/pdf:
+ *   get:
+ *     summary: Download the detailed report as a branded PDF
+ *     description: Uses the same access rules as the detailed report (plan feature or one report credit).
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: analysisId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       402:
+ *         description: Payment required for detailed report
+ */
+router.get('/:analysisId/pdf', authenticateToken, requireDetailedReports(() => true), async (req: AuthRequest, res, next) => {
+  try {
+    const { analysisId } = req.params;
+    const report = await generateReport(analysisId, req.user!.id, ReportType.DETAILED);
+    const pdf = await renderReportPdf(report as DetailedReport);
+
+    const host = report.website ? new URL(report.website).hostname.replace(/[^a-z0-9.-]/gi, '') : 'website';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${host}-report-${analysisId.slice(0, 8)}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,252 @@
+import express from 'express';
+import { ApiResponse } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess } from '@/api/middleware/auth';
+import {
+  createSchedule,
+  deleteSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+} from '@/services/scheduling/schedules';
+
+// Mounted at /api/workspaces/:workspaceId/schedules
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requireWorkspaceAccess);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AnalysisScheduleInput:
+ *       type: object
+ *       properties:
+ *         websiteId:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, cron]
+ *         time:
+ *           type: string
+ *           example: "03:00"
+ *           description: HH:MM for daily and weekly schedules
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 = Sunday, weekly schedules only
+ *         cronExpression:
+ *           type: string
+ *           example: "0 6 * * 1-5"
+ *           description: Five-field cron expression, frequency cron only
+ *         timezone:
+ *           type: string
+ *           example: Europe/Berlin
+ *         crawl:
+ *           type: object
+ *           description: Same crawl options as POST /api/analyses
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/schedules:
+ *   get:
+ *     summary: List analysis schedules of a workspace
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedules with their last and next run
+ */
+router.get('/', async (req: AuthRequest, res, next) => {
+  try {
+    const schedules = await listSchedules(req.workspaceId!);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Schedules retrieved successfully',
+      data: schedules,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/schedules:
+ *   post:
+ *     summary: Schedule recurring analyses of a website
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnalysisScheduleInput'
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *       409:
+ *         description: The website already has a schedule
+ */
+router.post('/', async (req: AuthRequest, res, next) => {
+  try {
+    const schedule = await createSchedule(req.workspaceId!, req.user!.id, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Schedule created successfully',
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/schedules/{scheduleId}:
+ *   get:
+ *     summary: Get an analysis schedule
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:scheduleId', async (req: AuthRequest, res, next) => {
+  try {
+    const schedule = await getSchedule(req.workspaceId!, req.params.scheduleId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Schedule retrieved successfully',
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/schedules/{scheduleId}:
+ *   patch:
+ *     summary: Change timing, crawl options or pause a schedule
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnalysisScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ */
+router.patch('/:scheduleId', async (req: AuthRequest, res, next) => {
+  try {
+    const schedule = await updateSchedule(req.workspaceId!, req.params.scheduleId, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Schedule updated successfully',
+      data: schedule,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/schedules/{scheduleId}:
+ *   delete:
+ *     summary: Delete an analysis schedule
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ */
+router.delete('/:scheduleId', async (req: AuthRequest, res, next) => {
+  try {
+    await deleteSchedule(req.workspaceId!, req.params.scheduleId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Schedule deleted successfully',
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,285 @@
+import express from 'express';
+import { ApiResponse } from '@/types';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess, requireWorkspaceRole } from '@/api/middleware/auth';
+import {
+  applySuppressions,
+  createSuppression,
+  deleteSuppression,
+  listSuppressions,
+  updateSuppression,
+} from '@/services/suppressions/issueSuppressions';
+
+// Mounted at /api/workspaces/:workspaceId/suppressions
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken, requireWorkspaceAccess);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/suppressions:
+ *   get:
+ *     summary: List issue suppressions of the workspace
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: websiteId
+ *         description: Only suppressions that apply to this website, including workspace-wide ones
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeExpired
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Suppressions, newest first
+ */
+router.get('/', async (req: AuthRequest, res, next) => {
+  try {
+    const suppressions = await listSuppressions(req.workspaceId!, {
+      websiteId: typeof req.query.websiteId === 'string' ? req.query.websiteId : undefined,
+      includeExpired: req.query.includeExpired === 'true',
+    });
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Suppressions retrieved successfully',
+      data: suppressions,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/suppressions:
+ *   post:
+ *     summary: Suppress matching issues in future analyses
+ *     description: Every matcher that is set has to match. At least one of ruleKey, selectorPattern,
+ *       urlPattern or fingerprint is required. Patterns are globs where * matches anything.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               websiteId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Omit to suppress on every website of the workspace
+ *               ruleKey:
+ *                 type: string
+ *                 example: ACC_CLR_04_COLOR_ONLY_MEANING
+ *               selectorPattern:
+ *                 type: string
+ *                 description: Matched anywhere in the issue's DOM path or location
+ *                 example: "#site-footer *"
+ *               urlPattern:
+ *                 type: string
+ *                 description: Matched against the whole page URL
+ *                 example: "https://example.com/blog/*"
+ *               fingerprint:
+ *                 type: string
+ *                 description: Suppress one specific issue
+ *               reason:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Suppression created
+ *       400:
+ *         description: No matcher, invalid pattern, reason or expiry
+ *       403:
+ *         description: Only workspace admins can manage suppressions
+ */
+router.post('/', requireWorkspaceRole('admin'), async (req: AuthRequest, res, next) => {
+  try {
+    const suppression = await createSuppression(req.workspaceId!, req.user!.id, req.body);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Suppression created successfully',
+      data: suppression,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(201).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/suppressions/apply:
+ *   post:
+ *     summary: Re-apply the current suppressions to an existing analysis
+ *     description: New analyses are checked when they complete. Use this after changing suppressions
+ *       to update the scores and reports of an analysis that already finished.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [analysisId]
+ *             properties:
+ *               analysisId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of suppressed issues in the analysis
+ *       404:
+ *         description: Analysis not found in this workspace
+ */
+router.post('/apply', requireWorkspaceRole('admin'), async (req: AuthRequest, res, next) => {
+  try {
+    const suppressedIssues = await applySuppressions(String(req.body.analysisId || ''), {
+      workspaceId: req.workspaceId!,
+    });
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Suppressions applied successfully',
+      data: { suppressedIssues },
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/suppressions/{suppressionId}:
+ *   patch:
+ *     summary: Change the reason or expiry of a suppression
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: suppressionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Suppression updated
+ *       404:
+ *         description: Suppression not found
+ */
+router.patch('/:suppressionId', requireWorkspaceRole('admin'), async (req: AuthRequest, res, next) => {
+  try {
+    const suppression = await updateSuppression(req.workspaceId!, req.params.suppressionId, {
+      reason: req.body.reason,
+      expiresAt: req.body.expiresAt,
+    });
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Suppression updated successfully',
+      data: suppression,
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/suppressions/{suppressionId}:
+ *   delete:
+ *     summary: Delete a suppression
+ *     description: Issues it matched count again in every analysis, including finished ones. Set
+ *       expiresAt instead to keep earlier reports unchanged.
+ *     tags: [Suppressions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: suppressionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suppression deleted
+ *       404:
+ *         description: Suppression not found
+ */
+router.delete('/:suppressionId', requireWorkspaceRole('admin'), async (req: AuthRequest, res, next) => {
+  try {
+    await deleteSuppression(req.workspaceId!, req.params.suppressionId);
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Suppression deleted successfully',
+      timestamp: new Date().toISOString(),
+    };
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
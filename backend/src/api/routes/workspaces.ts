@@ -1,6 +1,6 @@
 import express from 'express';
 import { ApiResponse } from '@/types';
-import { authenticateToken, AuthRequest } from '@/api/middleware/auth';
+import { authenticateToken, AuthRequest, requireWorkspaceAccess } from '@/api/middleware/auth';
 import { supabase } from '@/config/supabase';
 
 const router = express.Router();
@@ -54,6 +54,62 @@ router.get('/websites', authenticateToken, async (req: AuthRequest, res, next) =
   }
 });
 
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members:
+ *   get:
+ *     summary: List workspace members, e.g. to assign issues
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members with role and name
+ */
+router.get('/:workspaceId/members', authenticateToken, requireWorkspaceAccess, async (req: AuthRequest, res, next) => {
+  try {
+    const { data: members, error } = await supabase
+      .from('workspace_members')
+      .select(`
+        user_id,
+        role,
+        users (
+          id,
+          full_name,
+          email
+        )
+      `)
+      .eq('workspace_id', req.workspaceId!)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const response: ApiResponse = {
+      success: true,
+      message: 'Members retrieved successfully',
+      data: (members || []).map((member: any) => ({
+        userId: member.user_id,
+        role: member.role,
+        name: member.users?.full_name || member.users?.email || null,
+        email: member.users?.email || null,
+      })),
+      timestamp: new Date().toISOString(),
+    };
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/workspaces:
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { createLogger } from '@/config/logger';
+
+const logger = createLogger('branding');
+
+/**
+ * Subset of shared/branding/index.js that server-rendered documents use
+ */
+export interface BrandingConfig {
+  company: {
+    name: string;
+    tagline?: string;
+    website?: string;
+    email?: string;
+  };
+  logo: {
+    primary: { pdf?: string };
+  };
+  colors: Record<string, Record<string, string>>;
+  typography: {
+    fonts: Record<string, { name: string; fallback: string }>;
+  };
+  pdf: {
+    pageSize: string;
+    margins: { top: number; bottom: number; left: number; right: number };
+    watermark?: { enabled: boolean; text: string; opacity: number };
+  };
+  legal: {
+    footerText?: string;
+    disclaimer?: string;
+  };
+  features?: Record<string, boolean>;
+}
+
+// Used when the shared branding directory is not deployed next to the backend
+const DEFAULT_BRANDING: BrandingConfig = {
+  company: { name: 'StreetWiseWeb' },
+  logo: { primary: {} },
+  colors: {
+    primary: { 500: '#3b82f6', 700: '#1d4ed8' },
+    neutral: { 0: '#ffffff', 100: '#f3f4f6', 200: '#e5e7eb', 500: '#6b7280', 800: '#1f2937' },
+    success: { 500: '#10b981' },
+    warning: { 500: '#f59e0b' },
+    error: { 500: '#ef4444' },
+  },
+  typography: {
+    fonts: { primary: { name: 'Helvetica', fallback: 'Arial, sans-serif' } },
+  },
+  pdf: {
+    pageSize: 'A4',
+    margins: { top: 60, bottom: 60, left: 50, right: 50 },
+  },
+  legal: {},
+};
+
+export function getBrandingDir(): string {
+  return process.env.BRANDING_DIR || path.resolve(process.cwd(), '../shared/branding');
+}
+
+let cachedBranding: BrandingConfig | null = null;
+
+/**
+ * Load the shared branding config once. Set BRANDING_DIR when the backend runs
+ * outside the monorepo layout (e.g. in its own container).
+ */
+export function getBranding(): BrandingConfig {
+  if (cachedBranding) return cachedBranding;
+
+  const brandingDir = getBrandingDir();
+  try {
+    // The shared config is a CommonJS module outside the backend's source tree
+    const loaded = createRequire(__filename)(path.join(brandingDir, 'index.js'));
+    cachedBranding = {
+      ...DEFAULT_BRANDING,
+      ...loaded,
+      pdf: { ...DEFAULT_BRANDING.pdf, ...loaded.pdf },
+    };
+  } catch (error: any) {
+    logger.warn('Shared branding not found, using defaults', { brandingDir, error: error?.message });
+    cachedBranding = DEFAULT_BRANDING;
+  }
+  return cachedBranding;
+}
+
+/**
+ * Read the high-resolution PDF logo as a data URI so Chromium can render it offline
+ */
+export function getPdfLogoDataUri(branding: BrandingConfig = getBranding()): string | null {
+  const logoFile = branding.logo?.primary?.pdf;
+  if (!logoFile) return null;
+
+  const logoPath = path.join(getBrandingDir(), 'assets', logoFile);
+  if (!fs.existsSync(logoPath)) return null;
+
+  const extension = path.extname(logoFile).slice(1).toLowerCase();
+  const mimeType = extension === 'svg' ? 'image/svg+xml' : `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+  return `data:${mimeType};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+}
@@ -59,6 +59,28 @@ export const config: AppConfig = {
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '',
     successUrl: process.env.STRIPE_SUCCESS_URL || `${getEnvVar('DEV_FRONTEND_URL', 'PROD_FRONTEND_URL')}/billing/success`,
     cancelUrl: process.env.STRIPE_CANCEL_URL || `${getEnvVar('DEV_FRONTEND_URL', 'PROD_FRONTEND_URL')}/billing/cancel`,
+    apiBase: process.env.STRIPE_API_BASE || undefined, // e.g. http://localhost:12111 for stripe-mock
+  },
+
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  },
+
+  email: {
+    smtpHost: process.env.SMTP_HOST || '', // e.g. localhost with Mailpit or MailHog in development
+    smtpPort: parseInt(process.env.SMTP_PORT || '587', 10),
+    smtpUser: process.env.SMTP_USER || undefined,
+    smtpPass: process.env.SMTP_PASS || undefined,
+    from: process.env.FROM_EMAIL || 'noreply@sitecraft.com',
+  },
+
+  regressions: {
+    // Workspace defaults until a workspace saves its own alert settings
+    scoreDropThreshold: parseInt(process.env.REGRESSION_SCORE_DROP_THRESHOLD || '5', 10),
+  },
+
+  notifications: {
+    webhookTimeout: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT || '10000', 10),
   },
 
   openai: {
@@ -74,6 +96,8 @@ export const config: AppConfig = {
     jwtSecret: process.env.JWT_SECRET || 'dev-jwt-secret-change-in-production',
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '12', 10),
+    // 32 bytes as hex or base64; encrypts website login credentials and captured sessions
+    encryptionKey: process.env.CREDENTIALS_ENCRYPTION_KEY || '',
   },
 
   logging: {
@@ -0,0 +1,138 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { SCREENSHOT_VIEWPORTS, clipToScreenshot, recordScreenshotHighlights } from '../screenshotHighlights';
+
+const mockFrom = jest.fn();
+
+const SCREENSHOTS = [{ id: 'shot-desktop', type: 'desktop' }, { id: 'shot-mobile', type: 'mobile' }];
+const ISSUES = [
+  { id: 'issue-nav', location_path: 'nav > a.logo' },
+  { id: 'issue-hero', location_path: '#hero img' },
+  { id: 'issue-footer', location_path: 'footer a' },
+  { id: 'issue-frame', location_path: 'iframe > #x' },
+];
+
+// Element positions per viewport width
+const LAYOUT: { [width: number]: { [selector: string]: any } } = {
+  1920: {
+    'nav > a.logo': { x: 40, y: 20, width: 120, height: 40 },
+    '#hero img': { x: 960, y: 900, width: 800, height: 600 }, // Cut off at the fold
+    'footer a': { x: 40, y: 4000, width: 80, height: 20 },
+  },
+  375: {
+    'nav > a.logo': { x: 10, y: 10, width: 90, height: 30 },
+    '#hero img': { x: 0, y: 700, width: 375, height: 280 }, // Below the fold
+    'footer a': { x: 10, y: 6000, width: 80, height: 20 },
+  },
+};
+
+function mockPage() {
+  let width = 1280;
+  return {
+    viewport: jest.fn(() => ({ width: 1280, height: 800 })),
+    setViewport: jest.fn(async (viewport: any) => { width = viewport.width; }),
+    waitForTimeout: jest.fn(),
+    evaluate: jest.fn(async (_fn: any, selectors: string[]) => selectors.map(selector => LAYOUT[width]?.[selector] || null)),
+  } as any;
+}
+
+describe('Screenshot highlights', () => {
+  let updates: any[];
+
+  beforeEach(() => {
+    updates = [];
+    mockFrom.mockReset();
+    mockFrom.mockImplementation((table: string) => {
+      if (table === 'screenshots') {
+        return mockQuery({ data: SCREENSHOTS });
+      }
+      const query = mockQuery({ data: ISSUES });
+      query.update = jest.fn((values: any) => {
+        const update = mockQuery();
+        update.eq = jest.fn((_column: string, id: string) => {
+          updates.push({ id, ...values });
+          return update;
+        });
+        return update;
+      });
+      return query;
+    });
+  });
+
+  describe('clipToScreenshot', () => {
+    it('should keep the part of an element inside the screenshot', () => {
+      expect(clipToScreenshot({ x: 960, y: 900, width: 800, height: 600 }, SCREENSHOT_VIEWPORTS.desktop))
+        .toEqual({ x: 960, y: 900, width: 800, height: 180 });
+      expect(clipToScreenshot({ x: -50, y: 10, width: 100, height: 20 }, SCREENSHOT_VIEWPORTS.desktop))
+        .toEqual({ x: 0, y: 10, width: 50, height: 20 });
+      expect(clipToScreenshot({ x: 0, y: 1200, width: 100, height: 20 }, SCREENSHOT_VIEWPORTS.desktop)).toBeNull();
+    });
+  });
+
+  describe('recordScreenshotHighlights', () => {
+    it('should store boxes for issues visible on the desktop and mobile screenshots', async () => {
+      const page = mockPage();
+
+      const count = await recordScreenshotHighlights(page, {
+        analysisId: 'analysis-1',
+        jobId: 'job-1',
+        pageId: 'page-1',
+        pageIndex: 0,
+        table: 'accessibility_issues',
+      });
+
+      expect(count).toBe(2);
+      expect(updates).toEqual([
+        {
+          id: 'issue-nav',
+          screenshot_highlight: {
+            screenshot_id: 'shot-desktop', x: 40, y: 20, width: 120, height: 40, viewport_width: 1920, viewport_height: 1080,
+            other_screenshots: [
+              { screenshot_id: 'shot-mobile', x: 10, y: 10, width: 90, height: 30, viewport_width: 375, viewport_height: 667 },
+            ],
+          },
+        },
+        {
+          id: 'issue-hero',
+          screenshot_highlight: {
+            screenshot_id: 'shot-desktop', x: 960, y: 900, width: 800, height: 180, viewport_width: 1920, viewport_height: 1080,
+          },
+        },
+      ]);
+      expect(page.setViewport).toHaveBeenNthCalledWith(1, SCREENSHOT_VIEWPORTS.desktop);
+      expect(page.setViewport).toHaveBeenNthCalledWith(2, SCREENSHOT_VIEWPORTS.mobile);
+      expect(page.setViewport).toHaveBeenLastCalledWith({ width: 1280, height: 800 });
+      // Each selector is measured once per screenshot
+      expect(page.evaluate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip pages other than the root page', async () => {
+      const page = mockPage();
+
+      expect(await recordScreenshotHighlights(page, { analysisId: 'analysis-1', jobId: 'job-1', pageId: 'page-3', pageIndex: 2, table: 'accessibility_issues' })).toBe(0);
+      expect(mockFrom).not.toHaveBeenCalled();
+      expect(page.setViewport).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the analyzer when the page cannot be measured', async () => {
+      const page = mockPage();
+      page.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+
+      expect(await recordScreenshotHighlights(page, { analysisId: 'analysis-1', jobId: 'job-1', table: 'accessibility_issues' })).toBe(0);
+      expect(page.setViewport).toHaveBeenLastCalledWith({ width: 1280, height: 800 });
+      expect(updates).toEqual([]);
+    });
+  });
+});
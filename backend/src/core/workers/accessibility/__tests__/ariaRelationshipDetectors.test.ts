@@ -0,0 +1,137 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { JSDOM } from 'jsdom';
+import {
+  detectAriaRelationshipViolations,
+  detectDanglingIdReferences,
+  detectMissingExpandedState,
+  detectRedundantRoles,
+} from '../ariaRelationshipDetectors';
+
+// Runs the page.evaluate callbacks against a jsdom document instead of a browser
+function mockPage(html: string) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+  (globalThis as any).window = dom.window;
+  (globalThis as any).document = dom.window.document;
+
+  return {
+    evaluate: jest.fn((fn: (...args: any[]) => any, ...args: any[]) => Promise.resolve(fn(...args))),
+  } as any;
+}
+
+describe('ARIA Relationship Detectors', () => {
+  afterEach(() => {
+    delete (globalThis as any).window;
+    delete (globalThis as any).document;
+  });
+
+  describe('detectDanglingIdReferences', () => {
+    it('should report labelledby, describedby and controls references to missing IDs', async () => {
+      const page = mockPage(`
+        <span id="name">Email</span>
+        <input id="email" aria-labelledby="name missing-hint">
+        <input id="phone" aria-describedby="phone-help">
+        <button id="menu-toggle" aria-controls="menu" aria-expanded="false">Menu</button>
+      `);
+
+      const violations = await detectDanglingIdReferences(page);
+
+      expect(violations.map(v => v.ruleKey)).toEqual([
+        'ACC_ARIA_07_LABELLEDBY_MISSING',
+        'ACC_ARIA_08_DESCRIBEDBY_MISSING',
+        'ACC_ARIA_10_CONTROLS_MISSING',
+      ]);
+      expect(violations[0]).toMatchObject({
+        severity: 'serious',
+        elements: [{ selector: '#email', context: 'Missing ID: missing-hint' }],
+      });
+      expect(violations[2].elements[0].selector).toBe('#menu-toggle');
+    });
+
+    it('should not report references that resolve', async () => {
+      const page = mockPage(`
+        <h2 id="title">Settings</h2>
+        <p id="help">Changes are saved automatically</p>
+        <section aria-labelledby="title" aria-describedby="help"></section>
+        <button aria-controls="panel" aria-expanded="true">Toggle</button>
+        <div id="panel"></div>
+      `);
+
+      expect(await detectDanglingIdReferences(page)).toEqual([]);
+    });
+  });
+
+  describe('detectMissingExpandedState', () => {
+    it('should report popup, collapse and hidden content triggers without aria-expanded', async () => {
+      const page = mockPage(`
+        <button id="account" aria-haspopup="menu">Account</button>
+        <a id="faq" href="#answer" data-bs-toggle="collapse">Question</a>
+        <button id="filters" aria-controls="filter-panel">Filters</button>
+        <div id="filter-panel" hidden></div>
+      `);
+
+      const [violation] = await detectMissingExpandedState(page);
+
+      expect(violation.ruleKey).toBe('ACC_ARIA_09_EXPANDED_MISSING');
+      expect(violation.elements.map(e => e.selector)).toEqual(['#account', '#faq', '#filters']);
+    });
+
+    it('should ignore triggers with state, tabs, summaries and controls of visible content', async () => {
+      const page = mockPage(`
+        <button aria-haspopup="menu" aria-expanded="false">Account</button>
+        <button role="tab" aria-controls="tab-panel">Tab</button>
+        <div id="tab-panel" style="display: none"></div>
+        <details><summary aria-controls="details-body">More</summary><div id="details-body"></div></details>
+        <button aria-controls="carousel">Next slide</button>
+        <div id="carousel"></div>
+      `);
+
+      expect(await detectMissingExpandedState(page)).toEqual([]);
+    });
+  });
+
+  describe('detectRedundantRoles', () => {
+    it('should report roles that repeat the implicit role', async () => {
+      const page = mockPage(`
+        <nav id="primary" role="navigation"></nav>
+        <button role="button">Save</button>
+        <a href="/" role="link">Home</a>
+        <input type="checkbox" role="checkbox">
+      `);
+
+      const [violation] = await detectRedundantRoles(page);
+
+      expect(violation).toMatchObject({ ruleKey: 'ACC_ARIA_04_REDUNDANT_ROLE', severity: 'minor' });
+      expect(violation.elements.map(e => e.selector)).toEqual([
+        '#primary',
+        'button[role="button"]',
+        'a[role="link"]',
+        'input[role="checkbox"]',
+      ]);
+    });
+
+    it('should not report roles that change semantics or restore them', async () => {
+      const page = mockPage(`
+        <ul role="list"><li>Item</li></ul>
+        <a role="link">No href</a>
+        <div role="button" tabindex="0">Custom</div>
+        <article><header role="banner"></header></article>
+        <button role="switch" aria-checked="false">Wifi</button>
+      `);
+
+      expect(await detectRedundantRoles(page)).toEqual([]);
+    });
+  });
+
+  it('should combine all relationship detectors', async () => {
+    const page = mockPage(`
+      <main role="main"><input aria-labelledby="nothing"></main>
+    `);
+
+    const violations = await detectAriaRelationshipViolations(page);
+
+    expect(violations.map(v => v.ruleKey)).toEqual([
+      'ACC_ARIA_07_LABELLEDBY_MISSING',
+      'ACC_ARIA_04_REDUNDANT_ROLE',
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    storage: {
+      from: () => ({ download: (path: string) => mockDownload(path) }),
+    },
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import {
+  CaptionTrackSource,
+  captionTrackAssetPath,
+  evaluateCaptionTrack,
+  evaluateTranscript,
+  loadCaptionTrack,
+  parseCaptionFile,
+  resolveMediaUrl,
+} from '../captionTracks';
+
+const mockDownload = jest.fn();
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE Produced for the launch video
+
+intro
+00:00.000 --> 00:04.500
+<v Narrator>Welcome to the tour.
+
+00:05.000 --> 01:00:02.250 align:start
+[upbeat music]
+`;
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,000
+Welcome to the tour.
+
+2
+00:00:05,000 --> 00:00:09,500
+[upbeat music]
+`;
+
+function track(overrides: Partial<CaptionTrackSource> = {}): CaptionTrackSource {
+  return { kind: 'captions', src: 'https://example.com/captions.vtt', srclang: 'en', label: 'English', ...overrides };
+}
+
+describe('Caption Tracks', () => {
+  describe('parseCaptionFile', () => {
+    it('should read WebVTT cues and skip the header and notes', () => {
+      const parsed = parseCaptionFile(`\uFEFF${VTT.replace(/\n/g, '\r\n')}`);
+
+      expect(parsed.format).toBe('webvtt');
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.cues).toEqual([
+        { start: 0, end: 4.5, text: 'Welcome to the tour.' },
+        { start: 5, end: 3602.25, text: '[upbeat music]' },
+      ]);
+    });
+
+    it('should read SRT cues', () => {
+      const parsed = parseCaptionFile(SRT);
+
+      expect(parsed.format).toBe('srt');
+      expect(parsed.cues.map(cue => [cue.start, cue.end])).toEqual([[1, 4], [5, 9.5]]);
+    });
+
+    it('should report malformed cues with their line numbers', () => {
+      const parsed = parseCaptionFile(`WEBVTT
+
+00:10.000 --> 00:08.000
+Backwards
+
+00:05.000 --> 00:06.000
+Out of order
+
+00:07,000 --> 00:08.000
+SRT separator
+
+Just text
+`);
+
+      expect(parsed.errors).toEqual([
+        'Line 3: cue ends before it starts',
+        'Line 6: cue starts before the previous cue',
+        'Line 9: invalid cue timing "00:07,000 --> 00:08.000"',
+        'Line 12: cue has no timing line',
+      ]);
+      expect(parsed.cues).toHaveLength(2);
+    });
+
+    it('should not guess a format for other files', () => {
+      expect(parseCaptionFile('<html><body>Not found</body></html>')).toEqual({
+        format: 'unknown',
+        cues: [],
+        errors: ['File has no WEBVTT header and no SRT cue timings'],
+      });
+    });
+  });
+
+  describe('evaluateCaptionTrack', () => {
+    it('should pass a complete WebVTT track', () => {
+      expect(evaluateCaptionTrack(track(), 'video', VTT, 3700)).toEqual([]);
+    });
+
+    it('should report tracks without a file or that cannot be loaded', () => {
+      expect(evaluateCaptionTrack(track({ src: null }), 'video', null, null)).toEqual([
+        expect.objectContaining({ ruleKey: 'ACC_MED_01_VIDEO_CAPTIONS', severity: 'critical' }),
+      ]);
+      expect(evaluateCaptionTrack(track(), 'audio', null, null)).toEqual([
+        expect.objectContaining({ ruleKey: 'ACC_MED_02_AUDIO_TRANSCRIPT', severity: 'serious' }),
+      ]);
+    });
+
+    it('should report SRT files and empty tracks', () => {
+      const srt = evaluateCaptionTrack(track({ src: 'captions.srt' }), 'video', SRT, null);
+      expect(srt.map(finding => finding.severity)).toEqual(['serious']);
+      expect(srt[0].message).toContain('SRT file');
+
+      const empty = evaluateCaptionTrack(track(), 'video', 'WEBVTT\n\n00:01.000 --> 00:02.000\n\n', null);
+      expect(empty).toEqual([expect.objectContaining({
+        severity: 'critical',
+        message: 'The captions track https://example.com/captions.vtt has no cues with text',
+      })]);
+    });
+
+    it('should report missing srclang and label', () => {
+      const findings = evaluateCaptionTrack(track({ srclang: null, label: '' }), 'video', VTT, null);
+
+      expect(findings.map(finding => finding.severity)).toEqual(['moderate', 'minor']);
+    });
+
+    it('should report captions that stop long before the media ends', () => {
+      const short = 'WEBVTT\n\n00:00.000 --> 00:40.000\nHello\n';
+
+      expect(evaluateCaptionTrack(track(), 'video', short, 70)).toEqual([]);
+      expect(evaluateCaptionTrack(track(), 'video', short, 310)).toEqual([expect.objectContaining({
+        severity: 'serious',
+        message: 'The captions track https://example.com/captions.vtt ends at 0:40 but the video runs 5:10 (13% covered)',
+      })]);
+    });
+  });
+
+  describe('evaluateTranscript', () => {
+    it('should require readable text behind a transcript link', () => {
+      expect(evaluateTranscript('https://example.com/t', '<main><p>Host: Hello</p></main>')).toEqual([]);
+      expect(evaluateTranscript('https://example.com/t', '<script>app()</script><div></div>')).toEqual([
+        expect.objectContaining({ ruleKey: 'ACC_MED_02_AUDIO_TRANSCRIPT', severity: 'critical' }),
+      ]);
+      expect(evaluateTranscript('https://example.com/t', null)).toEqual([
+        expect.objectContaining({ severity: 'serious' }),
+      ]);
+    });
+  });
+
+  describe('loading', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      mockDownload.mockReset();
+    });
+
+    it('should resolve track URLs against the page', () => {
+      expect(resolveMediaUrl('/media/captions.vtt', 'https://example.com/tour/')).toBe('https://example.com/media/captions.vtt');
+      expect(resolveMediaUrl('captions.vtt', null)).toBeNull();
+      expect(resolveMediaUrl('javascript:void(0)', 'https://example.com/')).toBeNull();
+    });
+
+    it('should prefer the stored copy of a track', async () => {
+      const mockFetch = jest.fn();
+      global.fetch = mockFetch as any;
+      mockDownload.mockResolvedValue({ data: { text: async () => VTT }, error: null });
+
+      expect(await loadCaptionTrack('https://example.com/captions.vtt', 'ws/analysis')).toBe(VTT);
+      expect(mockDownload).toHaveBeenCalledWith(captionTrackAssetPath('ws/analysis', 'https://example.com/captions.vtt'));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    it('should fetch tracks that were not stored', async () => {
+      mockDownload.mockResolvedValue({ data: null, error: { message: 'Object not found' } });
+      global.fetch = jest.fn(async () => new Response(SRT)) as any;
+
+      expect(await loadCaptionTrack('https://example.com/captions.srt', 'ws/analysis')).toBe(SRT);
+
+      global.fetch = jest.fn(async () => new Response('Not found', { status: 404 })) as any;
+      expect(await loadCaptionTrack('https://example.com/missing.vtt', 'ws/analysis')).toBeNull();
+    });
+  });
+});
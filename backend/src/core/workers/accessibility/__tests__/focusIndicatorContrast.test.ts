@@ -0,0 +1,152 @@
+import sharp from 'sharp';
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  contrastRatio,
+  detectFocusIndicatorContrast,
+  evaluateFocusAppearance,
+  measureFocusIndicator,
+} from '../focusIndicatorContrast';
+
+type Rgb = [number, number, number];
+
+const WHITE: Rgb = [255, 255, 255];
+const BUTTON: Rgb = [0, 102, 204];
+// A 100x30 button inside a 116x46 crop, as the detector pads by 8px
+const CROP = { width: 116, height: 46 };
+const COMPONENT = { x: 8, y: 8, width: 100, height: 30 };
+
+// Render a PNG crop of the button, optionally with an outline `thickness` px outside it
+function crop(outline?: { color: Rgb; thickness: number }): Promise<Buffer> {
+  const data = Buffer.alloc(CROP.width * CROP.height * 3);
+  for (let y = 0; y < CROP.height; y++) {
+    for (let x = 0; x < CROP.width; x++) {
+      const inside = (pad: number) => x >= COMPONENT.x - pad && x < COMPONENT.x + COMPONENT.width + pad
+        && y >= COMPONENT.y - pad && y < COMPONENT.y + COMPONENT.height + pad;
+      let color = WHITE;
+      if (inside(0)) {
+        color = BUTTON;
+      } else if (outline && inside(outline.thickness)) {
+        color = outline.color;
+      }
+      data.set(color, (y * CROP.width + x) * 3);
+    }
+  }
+  return sharp(data, { raw: { ...CROP, channels: 3 } }).png().toBuffer();
+}
+
+describe('Focus Indicator Contrast', () => {
+  describe('contrastRatio', () => {
+    it('should follow the WCAG formula', () => {
+      expect(contrastRatio([0, 0, 0], WHITE)).toBeCloseTo(21);
+      expect(contrastRatio(WHITE, WHITE)).toBe(1);
+      expect(contrastRatio([118, 118, 118], WHITE)).toBeCloseTo(4.54, 1);
+    });
+  });
+
+  describe('measureFocusIndicator', () => {
+    it('should pass a 2px dark outline', async () => {
+      const metrics = await measureFocusIndicator(await crop(), await crop({ color: [0, 0, 0], thickness: 2 }), COMPONENT);
+
+      expect(metrics).toMatchObject({ requiredArea: 520, indicatorColor: [0, 0, 0], adjacentColor: WHITE });
+      expect(metrics!.contrastingArea).toBeGreaterThanOrEqual(metrics!.requiredArea);
+      expect(evaluateFocusAppearance(metrics!)).toBeNull();
+    });
+
+    it('should fail a 1px outline for its area', async () => {
+      const metrics = await measureFocusIndicator(await crop(), await crop({ color: [0, 0, 0], thickness: 1 }), COMPONENT);
+
+      expect(evaluateFocusAppearance(metrics!)).toMatch(/^Only \d+px² of the focus indicator/);
+    });
+
+    it('should fail a light outline for its contrast', async () => {
+      const metrics = await measureFocusIndicator(await crop(), await crop({ color: [200, 220, 255], thickness: 3 }), COMPONENT);
+
+      expect(metrics!.changedArea).toBeGreaterThan(metrics!.requiredArea);
+      expect(metrics!.contrastingArea).toBe(0);
+      expect(evaluateFocusAppearance(metrics!)).toContain('3:1 contrast');
+    });
+
+    it('should fail an element that does not change on focus', async () => {
+      const metrics = await measureFocusIndicator(await crop(), await crop(), COMPONENT);
+
+      expect(metrics!.changedArea).toBe(0);
+      expect(evaluateFocusAppearance(metrics!)).toBe('Focusing the element does not change how it looks');
+    });
+
+    it('should fail an indicator that blends into adjacent colours', () => {
+      expect(evaluateFocusAppearance({
+        changedArea: 600,
+        contrastingArea: 600,
+        requiredArea: 520,
+        indicatorColor: [0, 0, 0],
+        adjacentColor: [40, 40, 40],
+        adjacentContrast: contrastRatio([0, 0, 0], [40, 40, 40]),
+      })).toMatch(/^Focus indicator has 1\.\d\d:1 contrast against adjacent colours/);
+    });
+  });
+
+  describe('detectFocusIndicatorContrast', () => {
+    const targets = [
+      { selector: '#good', html: '<button id="good">Save</button>', rect: { x: 40, y: 1200, width: 100, height: 30 } },
+      { selector: '#bad', html: '<button id="bad">Cancel</button>', rect: { x: 160, y: 1200, width: 100, height: 30 } },
+    ];
+
+    // Screenshots alternate before/after; `#good` gains an outline on focus, `#bad` does not
+    function mockPage(images: { unfocused: Buffer; outlined: Buffer }) {
+      let current = -1;
+      let focused = false;
+
+      return {
+        viewport: jest.fn().mockReturnValue({ width: 1920, height: 1080 }),
+        keyboard: { press: jest.fn() },
+        screenshot: jest.fn(async () => (focused && current === 0 ? images.outlined : images.unfocused)),
+        evaluate: jest.fn(async (fn: any, arg?: any) => {
+          if (fn.name === 'collectFocusTargets') {
+            return targets.length;
+          }
+          if (fn.name === 'prepareFocusTarget') {
+            current = arg;
+            focused = false;
+            return targets[arg];
+          }
+          if (typeof arg === 'number') {
+            focused = true; // focus()
+          }
+          return undefined;
+        }),
+      } as any;
+    }
+
+    it('should focus each element, crop around it and report failing indicators', async () => {
+      const page = mockPage({ unfocused: await crop(), outlined: await crop({ color: [0, 0, 0], thickness: 2 }) });
+
+      const [violation] = await detectFocusIndicatorContrast(page);
+
+      expect(page.keyboard.press).toHaveBeenCalledWith('Shift');
+      expect(page.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        clip: { x: 32, y: 1192, width: 116, height: 46 },
+        captureBeyondViewport: false,
+      });
+      expect(violation).toMatchObject({
+        ruleKey: 'ACC_CLR_05_FOCUS_CONTRAST',
+        severity: 'serious',
+        viewport: { width: 1920, height: 1080 },
+        elements: [{
+          selector: '#bad',
+          context: 'Focusing the element does not change how it looks',
+          rect: { x: 160, y: 1200, width: 100, height: 30 },
+        }],
+      });
+      // Freeze style is removed and focus released at the end
+      expect(page.evaluate).toHaveBeenLastCalledWith(expect.any(Function), '__focus-contrast-freeze');
+    });
+
+    it('should do nothing on pages without focusable elements', async () => {
+      const page = { evaluate: jest.fn(async () => 0), screenshot: jest.fn() } as any;
+
+      expect(await detectFocusIndicatorContrast(page)).toEqual([]);
+      expect(page.screenshot).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  ProbeField,
+  ProbeObservation,
+  evaluateProbeObservation,
+  probeFormValidation,
+} from '../formValidationProbe';
+
+const FORM = {
+  index: 0,
+  selector: 'form#signup',
+  html: '<form id="signup">',
+  rect: { x: 100, y: 300, width: 400, height: 200 },
+};
+
+function field(overrides: Partial<ProbeField> = {}): ProbeField {
+  return {
+    selector: '#email',
+    html: '<input id="email" name="email">',
+    ariaInvalid: false,
+    nativeInvalid: false,
+    visuallyFlagged: false,
+    message: null,
+    nearbyError: null,
+    ...overrides,
+  };
+}
+
+function observation(overrides: Partial<ProbeObservation> = {}): ProbeObservation {
+  return {
+    form: FORM,
+    scenario: 'invalid',
+    fields: [field()],
+    liveMessages: [],
+    visibleErrors: [],
+    dialogs: [],
+    focusOnError: false,
+    rectAfter: FORM.rect,
+    ...overrides,
+  };
+}
+
+// Answers page.evaluate by the in-page function that is called
+function mockPage(inspected: Partial<ProbeObservation> = {}) {
+  return {
+    on: jest.fn(),
+    setContent: jest.fn(),
+    screenshot: jest.fn(async () => Buffer.from('png')),
+    waitForTimeout: jest.fn(),
+    evaluate: jest.fn(async (fn: any) => {
+      if (fn.name === 'listProbeForms') {
+        return [FORM];
+      }
+      if (fn.name === 'inspectProbeForm') {
+        return { fields: [field()], liveMessages: [], visibleErrors: [], focusOnError: false, rectAfter: { ...FORM.rect, height: 260 }, ...inspected };
+      }
+      return undefined;
+    }),
+  } as any;
+}
+
+describe('Form Validation Probe', () => {
+  describe('evaluateProbeObservation', () => {
+    it('should report fields that are only flagged visually', () => {
+      const findings = evaluateProbeObservation(observation({
+        scenario: 'empty',
+        fields: [field({ visuallyFlagged: true, nearbyError: 'Required' })],
+        visibleErrors: ['Required'],
+      }));
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleKey: 'ACC_FRM_06_ERROR_IDENTIFICATION',
+        severity: 'critical',
+        selector: '#email',
+        context: 'Form submitted empty; "Required" is not referenced by aria-describedby or aria-errormessage and aria-invalid is not set',
+        formIndex: 0,
+        scenario: 'empty',
+      })]);
+    });
+
+    it('should accept errors that are referenced, announced or left to the browser', () => {
+      expect(evaluateProbeObservation(observation({
+        scenario: 'empty',
+        fields: [field({ visuallyFlagged: true, ariaInvalid: true, message: 'Enter your email address' })],
+      }))).toEqual([]);
+      expect(evaluateProbeObservation(observation({
+        scenario: 'empty',
+        fields: [field({ visuallyFlagged: true })],
+        liveMessages: ['2 fields need your attention'],
+      }))).toEqual([]);
+      expect(evaluateProbeObservation(observation({
+        scenario: 'empty',
+        fields: [field({ nativeInvalid: true })],
+      }))).toEqual([]);
+    });
+
+    it('should report error text that no field or live region refers to', () => {
+      const findings = evaluateProbeObservation(observation({ scenario: 'empty', visibleErrors: ['Please fix the errors below'] }));
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleKey: 'ACC_FRM_06_ERROR_IDENTIFICATION',
+        selector: 'form#signup',
+      })]);
+    });
+
+    it('should ignore forms that do not react to the submit', () => {
+      expect(evaluateProbeObservation(observation())).toEqual([]);
+    });
+
+    it('should report format errors without a suggestion once', () => {
+      const findings = evaluateProbeObservation(observation({
+        fields: [
+          field({ ariaInvalid: true, message: 'Invalid email' }),
+          field({ selector: '#zip', ariaInvalid: true, message: 'Enter 5 digits, for example 90210' }),
+        ],
+        liveMessages: ['Invalid email'],
+      }));
+
+      expect(findings).toEqual([expect.objectContaining({
+        ruleKey: 'ACC_FRM_07_ERROR_SUGGESTION',
+        severity: 'moderate',
+        selector: '#email',
+        context: 'Form submitted with invalid values; message: "Invalid email"',
+      })]);
+    });
+
+    it('should not ask for suggestions on required-field errors', () => {
+      expect(evaluateProbeObservation(observation({
+        scenario: 'empty',
+        fields: [field({ ariaInvalid: true, message: 'Required' })],
+      }))).toEqual([]);
+    });
+  });
+
+  describe('probeFormValidation', () => {
+    it('should submit every scenario on a fresh copy of the page and keep evidence for findings', async () => {
+      const page = mockPage({ fields: [field({ visuallyFlagged: true, nearbyError: 'Wrong' })], visibleErrors: ['Wrong'] });
+
+      const result = await probeFormValidation(page, '<form id="signup"></form>');
+
+      const calls = page.evaluate.mock.calls.map((call: any[]) => call[0].name).filter(Boolean);
+      expect(calls).toEqual([
+        'listProbeForms', 'fillProbeForm', 'submitProbeForm', 'inspectProbeForm',
+        'listProbeForms', 'fillProbeForm', 'submitProbeForm', 'inspectProbeForm',
+      ]);
+      expect(page.setContent).toHaveBeenCalledTimes(1);
+      expect(result.findings.map(finding => `${finding.scenario}:${finding.ruleKey}`)).toEqual([
+        'empty:ACC_FRM_06_ERROR_IDENTIFICATION',
+        'invalid:ACC_FRM_06_ERROR_IDENTIFICATION',
+        'invalid:ACC_FRM_07_ERROR_SUGGESTION',
+      ]);
+      expect(result.evidence).toHaveLength(2);
+      // The after crop grows with the form
+      expect(page.screenshot).toHaveBeenNthCalledWith(2, { type: 'png', clip: { x: 84, y: 284, width: 432, height: 292 } });
+    });
+
+    it('should skip a form whose scripts throw and record nothing for it', async () => {
+      const page = mockPage();
+      page.evaluate.mockImplementation(async (fn: any) => {
+        if (fn.name === 'listProbeForms') return [FORM];
+        if (fn.name === 'submitProbeForm') throw new Error('Execution context was destroyed');
+        return undefined;
+      });
+
+      expect(await probeFormValidation(page, '<form></form>')).toEqual({ findings: [], evidence: [] });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  FocusPath,
+  FocusStop,
+  analyzeFocusPath,
+  detectNonFocusableInteractive,
+  findFocusJumps,
+  traverseFocusOrder,
+} from '../keyboardTraversal';
+
+function stop(id: number, x: number, y: number, overrides: Partial<FocusStop> = {}): FocusStop {
+  return {
+    id,
+    selector: `#stop-${id}`,
+    tag: 'a',
+    role: null,
+    name: `Stop ${id}`,
+    html: `<a id="stop-${id}" href="/${id}">Stop ${id}</a>`,
+    tabIndex: 0,
+    rect: { x, y, width: 100, height: 20 },
+    fixed: false,
+    inMain: false,
+    isSkipLink: false,
+    ...overrides,
+  };
+}
+
+function path(forward: FocusStop[], overrides: Partial<FocusPath> = {}): FocusPath {
+  return {
+    forward,
+    backward: forward.slice(0, -1).reverse().map(s => s.id),
+    trappedAt: null,
+    truncated: false,
+    ...overrides,
+  };
+}
+
+// Simulates a browser where Tab moves through `order` and `stuckAfter` keeps focus in place
+function mockPage(order: FocusStop[], stuckAfter?: number) {
+  let position = -1;
+  let shift = false;
+
+  return {
+    keyboard: {
+      press: jest.fn(async () => {
+        if (shift) {
+          position = Math.max(position - 1, 0);
+        } else if (stuckAfter === undefined || position < stuckAfter) {
+          position++;
+        }
+      }),
+      down: jest.fn(async () => { shift = true; }),
+      up: jest.fn(async () => { shift = false; }),
+    },
+    evaluate: jest.fn(async (fn: any, arg?: any) => {
+      if (fn.name === 'readActiveElement') {
+        return order[position] || null;
+      }
+      if (arg !== undefined) {
+        position = order.findIndex(s => s.id === arg);
+      }
+      return undefined;
+    }),
+  } as any;
+}
+
+describe('Keyboard Traversal', () => {
+  describe('traverseFocusOrder', () => {
+    it('should record the Tab sequence and retrace it with Shift+Tab', async () => {
+      const stops = [stop(0, 0, 0), stop(1, 0, 100), stop(2, 0, 200)];
+      const page = mockPage(stops);
+
+      const result = await traverseFocusOrder(page);
+
+      expect(result.forward.map(s => s.id)).toEqual([0, 1, 2]);
+      expect(result.backward).toEqual([1, 0]);
+      expect(result.trappedAt).toBeNull();
+      expect(page.keyboard.down).toHaveBeenCalledWith('Shift');
+    });
+
+    it('should stop at an element that keeps focus', async () => {
+      const stops = [stop(0, 0, 0), stop(1, 0, 100), stop(2, 0, 200)];
+
+      const result = await traverseFocusOrder(mockPage(stops, 1));
+
+      expect(result.forward.map(s => s.id)).toEqual([0, 1]);
+      expect(result.trappedAt?.id).toBe(1);
+      expect(result.backward).toEqual([]);
+    });
+
+    it('should bound the number of stops', async () => {
+      const stops = Array.from({ length: 10 }, (_, i) => stop(i, 0, i * 50));
+
+      const result = await traverseFocusOrder(mockPage(stops), 5);
+
+      expect(result.forward).toHaveLength(5);
+      expect(result.truncated).toBe(true);
+    });
+  });
+
+  describe('analyzeFocusPath', () => {
+    it('should report positive tabindex values', () => {
+      const violations = analyzeFocusPath(path([stop(0, 0, 300, { tabIndex: 2 }), stop(1, 0, 0), stop(2, 0, 40)]));
+
+      const positive = violations.find(v => v.ruleKey === 'ACC_KBD_03_TABINDEX_POSITIVE');
+      expect(positive?.elements).toEqual([expect.objectContaining({ selector: '#stop-0', context: expect.stringContaining('tabindex="2"') })]);
+    });
+
+    it('should report upward focus jumps but not moves into the next column', () => {
+      const jumps = findFocusJumps([
+        stop(0, 0, 0),
+        stop(1, 0, 500),
+        stop(2, 400, 0), // Next column to the right
+        stop(3, 400, 200),
+        stop(4, 0, 100), // Back up on the left
+        stop(5, 0, 0, { fixed: true }), // Sticky header
+      ]);
+
+      expect(jumps.map(({ from, to }) => [from.id, to.id])).toEqual([[3, 4]]);
+
+      const violations = analyzeFocusPath(path([stop(0, 0, 0), stop(1, 0, 500), stop(2, 0, 100)]));
+      expect(violations.map(v => v.ruleKey)).toEqual(['ACC_KBD_05_FOCUS_ORDER_LOGICAL']);
+    });
+
+    it('should report Shift+Tab not retracing the Tab order', () => {
+      const forward = [stop(0, 0, 0), stop(1, 0, 100), stop(2, 0, 200)];
+
+      const [violation] = analyzeFocusPath(path(forward, { backward: [0, 1] }));
+
+      expect(violation.ruleKey).toBe('ACC_KBD_05_FOCUS_ORDER_LOGICAL');
+      expect(violation.elements[0]).toMatchObject({ selector: '#stop-1', context: expect.stringContaining('Shift+Tab moves to #stop-0') });
+    });
+
+    it('should report keyboard traps', () => {
+      const forward = [stop(0, 0, 0), stop(1, 0, 100)];
+
+      const [violation] = analyzeFocusPath(path(forward, { backward: [], trappedAt: forward[1] }));
+
+      expect(violation).toMatchObject({ ruleKey: 'ACC_KBD_02_KEYBOARD_TRAP', severity: 'critical' });
+    });
+
+    it('should report missing bypass only without a skip link before the main content', () => {
+      const header = Array.from({ length: 12 }, (_, i) => stop(i, i * 60, 0));
+      const main = stop(12, 0, 200, { inMain: true });
+
+      expect(analyzeFocusPath(path([...header, main])).map(v => v.ruleKey)).toEqual(['ACC_KBD_06_BYPASS_BLOCKS']);
+
+      const skipLink = stop(99, 0, 0, { isSkipLink: true, rect: { x: 0, y: 0, width: 0, height: 0 } });
+      expect(analyzeFocusPath(path([skipLink, ...header, main]))).toEqual([]);
+    });
+  });
+
+  describe('detectNonFocusableInteractive', () => {
+    function element(id: string, reason?: string) {
+      return { id, tagName: 'DIV', className: '', outerHTML: `<div id="${id}"></div>`, __kbdReason: reason };
+    }
+
+    function mockInteractivePage(elements: any[], listeners: { [objectId: string]: Array<{ type: string }> }) {
+      const handles = new Map(elements.map((el, index) => [String(index), {
+        remoteObject: () => ({ objectId: el.id }),
+        evaluate: jest.fn(async (fn: any) => fn(el)),
+      }]));
+      const client = {
+        send: jest.fn(async (_method: string, params: any) => ({ listeners: listeners[params.objectId] || [] })),
+        detach: jest.fn(),
+      };
+
+      return {
+        page: {
+          evaluateHandle: jest.fn(async () => ({ getProperties: async () => handles, dispose: jest.fn() })),
+          target: () => ({ createCDPSession: async () => client }),
+        } as any,
+        client,
+      };
+    }
+
+    it('should report elements with click handlers or interactive roles that are not focusable', async () => {
+      const { page, client } = mockInteractivePage(
+        [element('menu-toggle', 'role="button"'), element('card'), element('decoration')],
+        { card: [{ type: 'click' }], decoration: [{ type: 'scroll' }] }
+      );
+
+      const [violation] = await detectNonFocusableInteractive(page);
+
+      expect(violation.ruleKey).toBe('ACC_KBD_04_INTERACTIVE_NOT_FOCUSABLE');
+      expect(violation.elements).toEqual([
+        expect.objectContaining({ selector: '#menu-toggle', context: 'Has a role="button" but is not in the tab order' }),
+        expect.objectContaining({ selector: '#card', context: 'Has a click listener but is not in the tab order' }),
+      ]);
+      expect(client.detach).toHaveBeenCalled();
+    });
+
+    it('should return nothing when no candidate listens for clicks', async () => {
+      const { page } = mockInteractivePage([element('decoration')], {});
+
+      expect(await detectNonFocusableInteractive(page)).toEqual([]);
+    });
+  });
+});
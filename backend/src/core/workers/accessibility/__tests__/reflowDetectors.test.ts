@@ -0,0 +1,103 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  REFLOW_VIEWPORT,
+  TEXT_SPACING_CSS,
+  detectReflowViolations,
+  detectTextSpacingViolations,
+} from '../reflowDetectors';
+
+const CLIPPED = {
+  selector: '.card-title',
+  html: '<h3 class="card-title">Quarterly results</h3>',
+  context: 'Text is cut off by a container that hides overflow',
+  rect: { x: 16, y: 400, width: 288, height: 24 },
+};
+
+const WIDE = {
+  selector: '#pricing',
+  html: '<div id="pricing"></div>',
+  context: 'Element is 960px wide and extends to 960px in a 320px viewport',
+  rect: { x: 0, y: 120, width: 960, height: 300 },
+};
+
+// Answers page.evaluate by the in-page function that is called
+function mockPage(results: { clipped?: any[]; overflow?: any; throwOnOverflow?: boolean } = {}) {
+  return {
+    viewport: jest.fn().mockReturnValue({ width: 1920, height: 1080 }),
+    setViewport: jest.fn(),
+    waitForTimeout: jest.fn(),
+    evaluate: jest.fn(async (fn: any, ...args: any[]) => {
+      if (fn.name === 'findClippedText') {
+        return args[0] === 'check' ? results.clipped || [] : [];
+      }
+      if (fn.name === 'findHorizontalOverflow') {
+        if (results.throwOnOverflow) {
+          throw new Error('Execution context was destroyed');
+        }
+        return results.overflow || { scrollWidth: REFLOW_VIEWPORT.width, elements: [] };
+      }
+      return undefined;
+    }),
+  } as any;
+}
+
+describe('Reflow Detectors', () => {
+  describe('detectReflowViolations', () => {
+    it('should render at 320px, report overflow and clipping, and restore the viewport', async () => {
+      const page = mockPage({ clipped: [CLIPPED], overflow: { scrollWidth: 960, elements: [WIDE] } });
+
+      const [violation] = await detectReflowViolations(page);
+
+      expect(page.setViewport).toHaveBeenNthCalledWith(1, REFLOW_VIEWPORT);
+      expect(page.setViewport).toHaveBeenLastCalledWith({ width: 1920, height: 1080 });
+      expect(violation).toMatchObject({
+        ruleKey: 'ACC_CLR_07_REFLOW_CONTENT',
+        viewport: REFLOW_VIEWPORT,
+        elements: [WIDE, CLIPPED],
+      });
+    });
+
+    it('should blame the page when it scrolls but no element sticks out', async () => {
+      const page = mockPage({ overflow: { scrollWidth: 400, elements: [] } });
+
+      const [violation] = await detectReflowViolations(page);
+
+      expect(violation.elements).toEqual([expect.objectContaining({
+        selector: 'html',
+        context: 'Page is 400px wide in a 320px viewport',
+      })]);
+    });
+
+    it('should report nothing for a page that reflows', async () => {
+      expect(await detectReflowViolations(mockPage())).toEqual([]);
+    });
+
+    it('should restore the viewport when measuring fails', async () => {
+      const page = mockPage({ throwOnOverflow: true });
+
+      await expect(detectReflowViolations(page)).rejects.toThrow('Execution context was destroyed');
+      expect(page.setViewport).toHaveBeenLastCalledWith({ width: 1920, height: 1080 });
+    });
+  });
+
+  describe('detectTextSpacingViolations', () => {
+    it('should apply the WCAG text spacing overrides and report newly clipped text', async () => {
+      const page = mockPage({ clipped: [CLIPPED] });
+
+      const [violation] = await detectTextSpacingViolations(page);
+
+      expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), TEXT_SPACING_CSS);
+      expect(page.evaluate).toHaveBeenCalledTimes(4); // baseline, inject, check, remove
+      expect(violation).toMatchObject({
+        ruleKey: 'ACC_CLR_06_TEXT_SPACING',
+        severity: 'moderate',
+        elements: [CLIPPED],
+        viewport: { width: 1920, height: 1080 },
+      });
+    });
+
+    it('should report nothing when spacing does not clip text', async () => {
+      expect(await detectTextSpacingViolations(mockPage())).toEqual([]);
+    });
+  });
+});
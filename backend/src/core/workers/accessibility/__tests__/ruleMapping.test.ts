@@ -0,0 +1,24 @@
+import { RULE_CATEGORY_MAPPING, RULE_WCAG_CRITERIA, getRuleWcagCriteria } from '../ruleMapping';
+
+describe('Rule Mapping', () => {
+  describe('getRuleWcagCriteria', () => {
+    it('should read the exact criteria from axe-core tags', () => {
+      expect(getRuleWcagCriteria('ACC_ARIA_02_REQUIRED_ATTR_MISSING', ['cat.aria', 'wcag2a', 'wcag412'])).toBe('4.1.2');
+      expect(getRuleWcagCriteria('color-contrast-enhanced', ['wcag2aaa', 'wcag146', 'wcag1411'])).toBe('1.4.6, 1.4.11');
+    });
+
+    it('should fall back to the criteria of the rule key', () => {
+      expect(getRuleWcagCriteria('ACC_KBD_09_FOCUS_NOT_OBSCURED')).toBe('2.4.11');
+      expect(getRuleWcagCriteria('ACC_CLR_07_REFLOW_CONTENT', ['best-practice'])).toBe('1.4.10');
+      expect(getRuleWcagCriteria('region')).toBeNull();
+    });
+
+    it('should know the criteria of every categorised accessibility rule', () => {
+      const missing = Object.keys(RULE_CATEGORY_MAPPING)
+        .filter(ruleKey => ruleKey.startsWith('ACC_'))
+        .filter(ruleKey => !RULE_WCAG_CRITERIA[ruleKey]);
+
+      expect(missing).toEqual([]);
+    });
+  });
+});
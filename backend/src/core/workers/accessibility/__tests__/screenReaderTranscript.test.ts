@@ -0,0 +1,155 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  AXNodeRecord,
+  TranscriptLine,
+  buildTranscript,
+  flagReadingOrder,
+  linearizeAxTree,
+} from '../screenReaderTranscript';
+
+// Builds a getFullAXTree node list from a nested description
+type Spec = { role: string; name?: string; ignored?: boolean; props?: { [name: string]: unknown }; children?: Spec[] };
+
+function axTree(spec: Spec): AXNodeRecord[] {
+  const nodes: AXNodeRecord[] = [];
+  const add = (entry: Spec, parentId?: string): string => {
+    const nodeId = String(nodes.length + 1);
+    const node: AXNodeRecord = {
+      nodeId,
+      ignored: entry.ignored,
+      role: { value: entry.role },
+      name: { value: entry.name ?? '' },
+      properties: Object.entries(entry.props || {}).map(([name, value]) => ({ name, value: { value } })),
+      parentId,
+      backendDOMNodeId: Number(nodeId) + 100,
+    };
+    nodes.push(node);
+    node.childIds = (entry.children || []).map(child => add(child, nodeId));
+    return nodeId;
+  };
+  add(spec);
+  return nodes;
+}
+
+const PAGE: Spec = {
+  role: 'RootWebArea',
+  name: 'Shop',
+  children: [
+    {
+      role: 'banner',
+      children: [
+        { role: 'link', name: 'Home' },
+        { role: 'button', children: [{ role: 'image' }] },
+      ],
+    },
+    {
+      role: 'main',
+      children: [
+        { role: 'heading', name: 'Pricing', props: { level: 1 }, children: [{ role: 'StaticText', name: 'Pricing' }] },
+        {
+          role: 'generic',
+          ignored: true,
+          children: [
+            { role: 'StaticText', name: 'Plans start at ' },
+            { role: 'StaticText', name: '$5.' },
+          ],
+        },
+        {
+          role: 'list',
+          children: [
+            { role: 'listitem', children: [{ role: 'ListMarker', name: '• ' }, { role: 'StaticText', name: 'Basic' }] },
+            { role: 'listitem', children: [{ role: 'StaticText', name: 'Pro' }] },
+          ],
+        },
+        { role: 'checkbox', name: 'Yearly billing', props: { checked: 'false', required: true } },
+        { role: 'button', name: 'Plans', props: { expanded: false, disabled: true } },
+        { role: 'region', children: [{ role: 'StaticText', name: 'Unnamed regions are not landmarks' }] },
+      ],
+    },
+  ],
+};
+
+function line(index: number, rect: TranscriptLine['rect']): TranscriptLine {
+  return { index, depth: 0, role: 'StaticText', name: `Line ${index}`, states: [], announcement: `Line ${index}`, rect, flags: [] };
+}
+
+describe('Screen Reader Transcript', () => {
+  describe('linearizeAxTree', () => {
+    it('should read the page as a screen reader announces it', () => {
+      const { lines, truncated } = linearizeAxTree(axTree(PAGE));
+
+      expect(truncated).toBe(false);
+      expect(lines.map(entry => [entry.line.depth, entry.line.announcement])).toEqual([
+        [0, 'banner landmark'],
+        [1, 'link, Home'],
+        [1, 'button, unlabelled'],
+        [0, 'main landmark'],
+        [1, 'heading level 1, Pricing'],
+        [1, 'Plans start at $5.'],
+        [1, 'list, 2 items'],
+        [2, 'Basic'],
+        [2, 'Pro'],
+        [1, 'check box, Yearly billing, not checked, required'],
+        [1, 'button, Plans, collapsed, unavailable'],
+        [1, 'Unnamed regions are not landmarks'],
+      ]);
+    });
+
+    it('should flag controls without an accessible name', () => {
+      const { lines } = linearizeAxTree(axTree(PAGE));
+
+      const unnamed = lines.filter(entry => entry.line.flags.includes('unnamed'));
+      expect(unnamed).toHaveLength(1);
+      expect(unnamed[0].line.role).toBe('button');
+      expect(unnamed[0].backendNodeId).toBe(104);
+      expect(unnamed[0].line.note).toContain('no accessible name');
+    });
+
+    it('should stop at the line limit', () => {
+      const { lines, truncated } = linearizeAxTree(axTree(PAGE), 3);
+
+      expect(lines).toHaveLength(3);
+      expect(truncated).toBe(true);
+    });
+  });
+
+  describe('flagReadingOrder', () => {
+    it('should flag content read after something it is shown above', () => {
+      const lines = [
+        line(0, { x: 0, y: 300, width: 600, height: 20 }),
+        line(1, { x: 0, y: 100, width: 600, height: 20 }),
+      ];
+
+      flagReadingOrder(lines);
+
+      expect(lines[1].flags).toEqual(['reading-order']);
+      expect(lines[1].note).toBe('Read after "Line 0" but shown above it');
+    });
+
+    it('should accept the next column and lines without a position', () => {
+      const lines = [
+        line(0, { x: 0, y: 100, width: 300, height: 20 }),
+        line(1, { x: 0, y: 600, width: 300, height: 20 }),
+        line(2, undefined),
+        line(3, { x: 320, y: 100, width: 300, height: 20 }),
+        line(4, { x: 320, y: 90, width: 300, height: 20 }),
+      ];
+
+      flagReadingOrder(lines);
+
+      expect(lines.map(entry => entry.flags)).toEqual([[], [], [], [], []]);
+    });
+  });
+
+  describe('buildTranscript', () => {
+    it('should outline headings and landmarks and count flagged lines', () => {
+      const lines = linearizeAxTree(axTree(PAGE)).lines.map(entry => entry.line);
+
+      const transcript = buildTranscript(lines, 'https://example.com/', false);
+
+      expect(transcript.headings).toEqual([{ level: 1, name: 'Pricing', line: 4 }]);
+      expect(transcript.landmarks.map(landmark => landmark.role)).toEqual(['banner', 'main']);
+      expect(transcript.summary).toEqual({ lines: 12, unnamed: 1, readingOrder: 0 });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  PointerTarget,
+  detectFocusNotObscured,
+  detectTargetSizeViolations,
+  evaluateTargetSizes,
+} from '../wcag22Detectors';
+
+function target(selector: string, x: number, y: number, width: number, height: number, inline = false): PointerTarget {
+  return { selector, html: `<a class="${selector}"></a>`, rect: { x, y, width, height }, inline };
+}
+
+// Answers page.evaluate by the in-page function that is called
+function mockPage(results: { targets?: PointerTarget[]; coverage?: any[] } = {}) {
+  return {
+    viewport: jest.fn().mockReturnValue({ width: 1280, height: 800 }),
+    evaluate: jest.fn(async (fn: any) => {
+      if (fn.name === 'collectPointerTargets') {
+        return results.targets || [];
+      }
+      if (fn.name === 'measureFocusCoverage') {
+        return results.coverage || [];
+      }
+      return undefined;
+    }),
+  } as any;
+}
+
+describe('WCAG 2.2 Detectors', () => {
+  describe('evaluateTargetSizes', () => {
+    it('should report small targets that crowd their neighbours', () => {
+      const findings = evaluateTargetSizes([
+        target('.prev', 100, 100, 16, 16),
+        target('.next', 120, 100, 16, 16),
+      ]);
+
+      expect(findings.map(finding => finding.selector)).toEqual(['.prev', '.next']);
+      expect(findings[0]).toMatchObject({
+        context: 'Target is 16x16px and too close to .next',
+        rect: { x: 100, y: 100, width: 16, height: 16 },
+      });
+    });
+
+    it('should accept small targets with enough spacing', () => {
+      expect(evaluateTargetSizes([
+        target('.facebook', 100, 100, 16, 16),
+        target('.twitter', 130, 100, 16, 16),
+      ])).toEqual([]);
+    });
+
+    it('should report a small target next to a large one', () => {
+      const findings = evaluateTargetSizes([
+        target('.close', 100, 100, 12, 12),
+        target('.submit', 114, 96, 120, 40),
+      ]);
+
+      expect(findings.map(finding => finding.selector)).toEqual(['.close']);
+    });
+
+    it('should exempt inline links and targets of at least 24x24', () => {
+      expect(evaluateTargetSizes([
+        target('.terms', 100, 100, 40, 18, true),
+        target('.privacy', 142, 100, 40, 18, true),
+        target('.menu', 200, 100, 24, 24),
+        target('.search', 226, 100, 24, 24),
+      ])).toEqual([]);
+    });
+  });
+
+  describe('detectTargetSizeViolations', () => {
+    it('should report crowded targets with the measured viewport', async () => {
+      const page = mockPage({ targets: [target('.prev', 100, 100, 16, 16), target('.next', 120, 100, 16, 16)] });
+
+      const [violation] = await detectTargetSizeViolations(page);
+
+      expect(violation).toMatchObject({
+        ruleKey: 'ACC_FRM_16_TARGET_SIZE_MINIMUM',
+        severity: 'moderate',
+        viewport: { width: 1280, height: 800 },
+      });
+      expect(violation.elements).toHaveLength(2);
+    });
+
+    it('should report nothing when all targets are large enough', async () => {
+      expect(await detectTargetSizeViolations(mockPage({ targets: [target('.cta', 0, 0, 200, 48)] }))).toEqual([]);
+    });
+  });
+
+  describe('detectFocusNotObscured', () => {
+    it('should split hidden and partly covered focus between the AA and AAA rules', async () => {
+      const page = mockPage({
+        coverage: [
+          { selector: '#footer-link', html: '<a id="footer-link">', rect: { x: 0, y: 760, width: 80, height: 20 }, coveredRatio: 1, coveredBy: '#cookie-banner' },
+          { selector: '#search', html: '<input id="search">', rect: { x: 0, y: 40, width: 200, height: 30 }, coveredRatio: 0.4, coveredBy: 'header.sticky' },
+        ],
+      });
+
+      const violations = await detectFocusNotObscured(page);
+
+      expect(violations).toEqual([
+        expect.objectContaining({
+          ruleKey: 'ACC_KBD_09_FOCUS_NOT_OBSCURED',
+          severity: 'serious',
+          elements: [expect.objectContaining({ selector: '#footer-link', context: '100% of the focused element is covered by #cookie-banner' })],
+        }),
+        expect.objectContaining({
+          ruleKey: 'ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED',
+          elements: [expect.objectContaining({ selector: '#search', context: '40% of the focused element is covered by header.sticky' })],
+        }),
+      ]);
+    });
+
+    it('should report nothing when focus is never covered', async () => {
+      expect(await detectFocusNotObscured(mockPage())).toEqual([]);
+    });
+  });
+});
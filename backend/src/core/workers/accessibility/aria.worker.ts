@@ -6,7 +6,10 @@ import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { AppError } from '@/types';
 import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
-import { getDatabaseRuleKey, mapImpactToSeverity, validateRuleMappings } from './ruleMapping';
+import { recordScreenshotHighlights } from '@/core/workers/screenshotHighlights';
+import { openSession, restoreSession } from '@/services/authProfiles/browserAuth';
+import { getDatabaseRuleKey, getRuleWcagCriteria, mapImpactToSeverity, validateRuleMappings } from './ruleMapping';
+import { detectAriaRelationshipViolations } from './ariaRelationshipDetectors';
 
 const logger = createLogger('aria-worker');
 
@@ -17,6 +20,9 @@ interface AriaJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
+  session?: string; // Sealed login session of the fetcher for pages behind authentication
 }
 
 interface AxeViolation {
@@ -25,6 +31,7 @@ interface AxeViolation {
   description: string;
   help: string;
   helpUrl: string;
+  tags: string[];
   nodes: Array<{
     html: string;
     target: string[];
@@ -155,7 +162,7 @@ function mapAxeRuleToDbRule(axeRuleId: string): string {
     'aria-hidden-focus': 'ACC_ARIA_05_HIDDEN_FOCUSABLE',
     
     // Note: aria-labelledby, aria-describedby, aria-expanded, aria-controls
-    // are not standalone axe-core rules - they are handled by custom detection
+    // are not standalone axe-core rules - see ariaRelationshipDetectors.ts
     
     // Live regions
     'aria-live-region-missing': 'ACC_ARIA_06_LIVE_REGION_MISSING',
@@ -202,6 +209,14 @@ function mapAxeRuleToDbRule(axeRuleId: string): string {
   return mappings[axeRuleId] || mappings['default'];
 }
 
+const ARIA_RELATIONSHIP_FIXES: { [ruleKey: string]: string } = {
+  'ACC_ARIA_04_REDUNDANT_ROLE': 'Remove the role attribute; the element already exposes this role',
+  'ACC_ARIA_07_LABELLEDBY_MISSING': 'Point aria-labelledby at the id of visible text that labels the element, or use aria-label',
+  'ACC_ARIA_08_DESCRIBEDBY_MISSING': 'Point aria-describedby at the id of the element holding the description, or remove the attribute',
+  'ACC_ARIA_09_EXPANDED_MISSING': 'Add aria-expanded="false" to the control and toggle it to "true" when the content is shown',
+  'ACC_ARIA_10_CONTROLS_MISSING': 'Set aria-controls to the id of the element the control shows, hides or updates'
+};
+
 function mapAxeImpactToSeverity(impact: string): 'minor' | 'moderate' | 'serious' | 'critical' {
   switch (impact) {
     case 'critical': return 'critical';
@@ -266,7 +281,7 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
   try {
     logger.info('🚀 processAriaAnalysis FUNCTION CALLED', { jobId: job.id, jobData: job.data });
     
-    const { analysisId, workspaceId, websiteId, userId, assetPath, metadata } = job.data;
+    const { analysisId, workspaceId, websiteId, userId, assetPath, metadata, pageId, pageIndex } = job.data;
     
     logger.info('🔥 ARIA WORKER v2.0 - LIVE DOM VERSION CONFIRMED 🔥', { analysisId, websiteId, version: 'v2.0-live-dom', timestamp: Date.now() });
 
@@ -339,6 +354,9 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
     } else if (targetUrl) {
       // Navigate to the page
       logger.info('Navigating to target URL for ARIA analysis');
+      if (job.data.session) {
+        await restoreSession(page, openSession(job.data.session), targetUrl);
+      }
       try {
         await page.goto(targetUrl, { 
           waitUntil: 'networkidle2',
@@ -395,7 +413,7 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
           'aria-valid-attr-value': { enabled: true },
           
           // Note: aria-labelledby, aria-describedby, aria-expanded, aria-controls 
-          // are not standalone axe-core rules - they are handled by custom detection below
+          // are not standalone axe-core rules - they are handled by ariaRelationshipDetectors after the axe run
           
           // Expanded accessibility rules that are commonly violated
           'button-name': { enabled: true },            // Buttons must have accessible text
@@ -560,12 +578,14 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
       for (const node of violation.nodes) {
         const issueData = {
           analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
           rule_id: ruleId,
           severity: mapAxeImpactToSeverity(violation.impact),
           message: violation.help,
           location_path: node.target.join(' > '),
           code_snippet: node.html.substring(0, 500),
-          fix_suggestion: node.failureSummary || violation.description
+          fix_suggestion: node.failureSummary || violation.description,
+          wcag_criteria: getRuleWcagCriteria(dbRuleKey, violation.tags)
         };
 
         logger.info(`🔍 DEBUG: Attempting to insert ARIA issue`, {
@@ -622,12 +642,14 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
         for (const violation of liveRegionViolations) {
           const issueData = {
             analysis_job_id: moduleJobInfo.jobId,
+            analysis_page_id: pageId || null,
             rule_id: liveRegionRuleId,
             severity: 'moderate' as const,
             message: violation.message,
             location_path: violation.selector,
             code_snippet: violation.html,
-            fix_suggestion: 'Add aria-live="polite" or appropriate role (alert, status) to dynamic content areas'
+            fix_suggestion: 'Add aria-live="polite" or appropriate role (alert, status) to dynamic content areas',
+            wcag_criteria: getRuleWcagCriteria('ACC_ARIA_06_LIVE_REGION_MISSING')
           };
           
           const { error: insertError } = await supabase
@@ -641,6 +663,42 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
       }
     }
 
+    // Relationship attributes (labelledby, describedby, expanded, controls) and redundant roles
+    const relationshipViolations = await detectAriaRelationshipViolations(page);
+
+    for (const violation of relationshipViolations) {
+      const ruleId = await getRuleIdFromDatabase(violation.ruleKey);
+      if (!ruleId) {
+        skippedCount++;
+        continue;
+      }
+
+      for (const element of violation.elements) {
+        const issueData = {
+          analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
+          rule_id: ruleId,
+          severity: violation.severity,
+          message: element.context ? `${violation.message} (${element.context})` : violation.message,
+          location_path: element.selector,
+          code_snippet: element.html,
+          fix_suggestion: ARIA_RELATIONSHIP_FIXES[violation.ruleKey],
+          wcag_criteria: getRuleWcagCriteria(violation.ruleKey)
+        };
+
+        const { error: insertError } = await supabase
+          .from('accessibility_issues')
+          .insert(issueData);
+
+        if (insertError) {
+          errorCount++;
+          logger.error('Failed to insert ARIA relationship violation', { error: insertError, ruleKey: violation.ruleKey });
+        } else {
+          insertedCount++;
+        }
+      }
+    }
+
     // ARIA worker completed - let colorContrast handle final job status update
     logger.info('🔍 DEBUG: ARIA analysis completed', { 
       analysisId,
@@ -655,8 +713,11 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
     });
     logger.info('ARIA analysis completed successfully', { analysisId });
 
+    // Mark the elements on the root page screenshots
+    await recordScreenshotHighlights(page, { analysisId, jobId: moduleJobInfo.jobId, pageId, pageIndex, table: 'accessibility_issues' });
+
     // Check if all jobs are complete
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'aria' });
 
   } catch (error: any) {
     const { analysisId: errorAnalysisId, websiteId: errorWebsiteId } = job.data;
@@ -682,6 +743,11 @@ export async function processAriaAnalysis(job: Job<AriaJobData>) {
       errorMessage,
       errorDetails: error
     });
+
+    // A failed page still counts as processed so the analysis can finish
+    if (errorAnalysisId) {
+      await checkAndUpdateAnalysisCompletion(errorAnalysisId, { pageId: job.data.pageId, analyzer: 'aria' });
+    }
     
     throw error;
   } finally {
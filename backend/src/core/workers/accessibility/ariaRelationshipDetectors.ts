@@ -0,0 +1,252 @@
+/**
+ * ARIA Relationship Detectors
+ *
+ * aria-labelledby, aria-describedby, aria-expanded and aria-controls are not
+ * covered by standalone axe-core rules, and axe only reports redundant roles
+ * for a handful of elements. These detectors run in the page and report
+ * ACC_ARIA_04, ACC_ARIA_07, ACC_ARIA_08, ACC_ARIA_09 and ACC_ARIA_10.
+ */
+
+import { Page } from 'puppeteer';
+import { CustomViolation } from './customRuleDetectors';
+
+interface DetectedElement {
+  selector: string;
+  html: string;
+  context?: string;
+}
+
+/**
+ * ID reference attributes and the rule reported when they point at missing elements
+ */
+const ID_REFERENCE_RULES: Array<{
+  attribute: 'aria-labelledby' | 'aria-describedby' | 'aria-controls';
+  ruleKey: string;
+  severity: CustomViolation['severity'];
+  message: string;
+}> = [
+  {
+    attribute: 'aria-labelledby',
+    ruleKey: 'ACC_ARIA_07_LABELLEDBY_MISSING',
+    severity: 'serious',
+    message: 'aria-labelledby must reference elements that exist on the page',
+  },
+  {
+    attribute: 'aria-describedby',
+    ruleKey: 'ACC_ARIA_08_DESCRIBEDBY_MISSING',
+    severity: 'moderate',
+    message: 'aria-describedby must reference elements that exist on the page',
+  },
+  {
+    attribute: 'aria-controls',
+    ruleKey: 'ACC_ARIA_10_CONTROLS_MISSING',
+    severity: 'moderate',
+    message: 'aria-controls must reference the element that the control operates',
+  },
+];
+
+/**
+ * Find elements whose ID reference attribute names IDs that are not in the document
+ */
+export async function detectDanglingIdReferences(page: Page): Promise<CustomViolation[]> {
+  const violations: CustomViolation[] = [];
+
+  for (const rule of ID_REFERENCE_RULES) {
+    const elements: DetectedElement[] = await page.evaluate((attribute: string) => {
+      const doc = (globalThis as any).document;
+      const found: Array<{ selector: string; html: string; context: string }> = [];
+
+      doc.querySelectorAll(`[${attribute}]`).forEach((element: any) => {
+        const ids: string[] = (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+        const missing = ids.filter(id => !doc.getElementById(id));
+        if (missing.length === 0) {
+          return;
+        }
+
+        found.push({
+          selector: element.id ? `#${element.id}` : `${element.tagName.toLowerCase()}[${attribute}="${element.getAttribute(attribute)}"]`,
+          html: element.outerHTML.substring(0, 200),
+          context: `Missing ID${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`,
+        });
+      });
+
+      return found;
+    }, rule.attribute);
+
+    if (elements.length > 0) {
+      violations.push({
+        ruleKey: rule.ruleKey,
+        severity: rule.severity,
+        message: rule.message,
+        elements,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Find disclosure triggers (menu buttons, collapse toggles, buttons that show hidden
+ * content) that do not expose their state with aria-expanded
+ */
+export async function detectMissingExpandedState(page: Page): Promise<CustomViolation[]> {
+  const elements: DetectedElement[] = await page.evaluate(() => {
+    const doc = (globalThis as any).document;
+    const found: Array<{ selector: string; html: string; context: string }> = [];
+
+    const isHidden = (element: any): boolean => {
+      if (element.hasAttribute('hidden')) {
+        return true;
+      }
+      const style = (globalThis as any).window.getComputedStyle(element);
+      return style.display === 'none' || style.visibility === 'hidden';
+    };
+
+    const triggers = doc.querySelectorAll(
+      'button, [role="button"], a[href], summary, [aria-haspopup], [aria-controls], [data-toggle], [data-bs-toggle]'
+    );
+
+    triggers.forEach((trigger: any) => {
+      if (trigger.hasAttribute('aria-expanded')) {
+        return;
+      }
+
+      // Tabs use aria-selected and native <details> exposes its own state
+      const role = (trigger.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase();
+      if (role === 'tab' || trigger.tagName.toLowerCase() === 'summary') {
+        return;
+      }
+
+      const popup = trigger.getAttribute('aria-haspopup');
+      const toggle = (trigger.getAttribute('data-bs-toggle') || trigger.getAttribute('data-toggle') || '').toLowerCase();
+      const controlled = (trigger.getAttribute('aria-controls') || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((id: string) => doc.getElementById(id))
+        .filter((element: any) => element !== null);
+
+      let reason: string | null = null;
+      if (popup !== null && popup !== 'false') {
+        reason = 'Opens a popup (aria-haspopup) without aria-expanded';
+      } else if (toggle === 'collapse' || toggle === 'dropdown') {
+        reason = `Toggles a ${toggle} without aria-expanded`;
+      } else if (controlled.length > 0 && controlled.some(isHidden)) {
+        reason = 'Controls hidden content without aria-expanded';
+      }
+
+      if (reason) {
+        found.push({
+          selector: trigger.id ? `#${trigger.id}` : trigger.tagName.toLowerCase(),
+          html: trigger.outerHTML.substring(0, 200),
+          context: reason,
+        });
+      }
+    });
+
+    return found;
+  });
+
+  if (elements.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_ARIA_09_EXPANDED_MISSING',
+    severity: 'moderate',
+    message: 'Controls that show or hide content must expose their state with aria-expanded',
+    elements,
+  }];
+}
+
+/**
+ * Find explicit roles that repeat the implicit role of the element
+ */
+export async function detectRedundantRoles(page: Page): Promise<CustomViolation[]> {
+  const elements: DetectedElement[] = await page.evaluate(() => {
+    const doc = (globalThis as any).document;
+    const found: Array<{ selector: string; html: string; context: string }> = [];
+
+    // <ul role="list"> and <ol role="list"> are left out on purpose: they restore list
+    // semantics that Safari drops when list-style is removed
+    const implicitRole = (element: any): string | null => {
+      const tag = element.tagName.toLowerCase();
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      // header and footer are only landmarks outside of sectioning content
+      const sectioned = Boolean(element.parentElement?.closest('article, aside, main, nav, section'));
+
+      switch (tag) {
+        case 'a':
+        case 'area':
+          return element.hasAttribute('href') ? 'link' : null;
+        case 'article': return 'article';
+        case 'aside': return 'complementary';
+        case 'button': return 'button';
+        case 'dialog': return 'dialog';
+        case 'fieldset': return 'group';
+        case 'footer': return sectioned ? null : 'contentinfo';
+        case 'form': return 'form';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+        case 'header': return sectioned ? null : 'banner';
+        case 'hr': return 'separator';
+        case 'img': return element.getAttribute('alt') ? 'img' : null;
+        case 'input':
+          if (type === 'checkbox') return 'checkbox';
+          if (type === 'radio') return 'radio';
+          if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+          if (type === 'range') return 'slider';
+          return null;
+        case 'li': return 'listitem';
+        case 'main': return 'main';
+        case 'nav': return 'navigation';
+        case 'option': return 'option';
+        case 'progress': return 'progressbar';
+        case 'select':
+          return element.hasAttribute('multiple') || Number(element.getAttribute('size') || 0) > 1 ? 'listbox' : 'combobox';
+        case 'table': return 'table';
+        case 'textarea': return 'textbox';
+        default: return null;
+      }
+    };
+
+    doc.querySelectorAll('[role]').forEach((element: any) => {
+      const role = (element.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase();
+      if (!role || role !== implicitRole(element)) {
+        return;
+      }
+
+      const tag = element.tagName.toLowerCase();
+      found.push({
+        selector: element.id ? `#${element.id}` : `${tag}[role="${element.getAttribute('role')}"]`,
+        html: element.outerHTML.substring(0, 200),
+        context: `<${tag}> already has the implicit role "${role}"`,
+      });
+    });
+
+    return found;
+  });
+
+  if (elements.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_ARIA_04_REDUNDANT_ROLE',
+    severity: 'minor',
+    message: 'ARIA roles should not repeat the implicit role of the element',
+    elements,
+  }];
+}
+
+/**
+ * Run all ARIA relationship detectors
+ */
+export async function detectAriaRelationshipViolations(page: Page): Promise<CustomViolation[]> {
+  const [references, expanded, redundant] = await Promise.all([
+    detectDanglingIdReferences(page),
+    detectMissingExpandedState(page),
+    detectRedundantRoles(page),
+  ]);
+
+  return [...references, ...expanded, ...redundant];
+}
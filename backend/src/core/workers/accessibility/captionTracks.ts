@@ -0,0 +1,387 @@
+/**
+ * Caption Tracks
+ *
+ * Checks the files behind <track kind="captions|subtitles"> instead of only their presence:
+ * the file must be WebVTT (browsers do not render SRT in a track), parse without errors,
+ * contain cues with text, declare srclang and label, and run for most of the media. The
+ * fetcher stores track files next to the page HTML; tracks it could not store are fetched
+ * from the page origin. Transcript links found near audio are loaded the same way.
+ */
+
+import crypto from 'crypto';
+import { Page } from 'puppeteer';
+import { createLogger } from '@/config/logger';
+import { supabase } from '@/config/supabase';
+import { fetchText } from '@/services/analysis/siteCrawl';
+
+const logger = createLogger('caption-tracks');
+
+export type CaptionRuleKey = 'ACC_MED_01_VIDEO_CAPTIONS' | 'ACC_MED_02_AUDIO_TRANSCRIPT';
+
+export interface CaptionTrackSource {
+  kind: string;
+  src: string | null; // Attribute value as written in the HTML
+  srclang: string | null;
+  label: string | null;
+}
+
+export interface CaptionCue {
+  start: number; // Seconds
+  end: number;
+  text: string;
+}
+
+export interface ParsedCaptions {
+  format: 'webvtt' | 'srt' | 'unknown';
+  cues: CaptionCue[];
+  errors: string[];
+}
+
+export interface CaptionFinding {
+  ruleKey: CaptionRuleKey;
+  severity: 'minor' | 'moderate' | 'serious' | 'critical';
+  message: string;
+  fixSuggestion: string;
+}
+
+export const CAPTION_KINDS = ['captions', 'subtitles'];
+export const CAPTION_TRACK_SELECTOR = 'track[kind="captions"], track[kind="subtitles"]';
+export const MAX_STORED_TRACKS = 10;
+// Captions that stop before this share of the media leave the rest uncaptioned
+export const MIN_CAPTION_COVERAGE = 0.5;
+
+export const MAX_TRACK_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 8000;
+const DURATION_TIMEOUT_MS = 5000;
+const MAX_LISTED_ERRORS = 3;
+
+const VTT_TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+const SRT_TIMESTAMP = /^(\d{1,}):([0-5]\d):([0-5]\d),(\d{3})$/;
+const SRT_TIMING_LINE = /^\s*\d+:\d{2}:\d{2},\d{3}\s+-->/m;
+
+/**
+ * Storage path of a track file captured with a page, keyed by its absolute URL.
+ */
+export function captionTrackAssetPath(assetPath: string, url: string): string {
+  const key = crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+  return `${assetPath}/media/tracks/${key}.txt`;
+}
+
+/**
+ * Resolve a src or href from the stored HTML against the page URL. Only http(s) and data
+ * URLs can be loaded; anything else resolves to null.
+ */
+export function resolveMediaUrl(value: string | null | undefined, baseUrl: string | null | undefined): string | null {
+  if (!value || !value.trim()) {
+    return null;
+  }
+  try {
+    const url = baseUrl ? new URL(value.trim(), baseUrl) : new URL(value.trim());
+    return ['http:', 'https:', 'data:'].includes(url.protocol) ? url.toString() : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseTimestamp(value: string, pattern: RegExp): number | null {
+  const match = pattern.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds, millis] = match;
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+// Non-empty line runs with the 1-based line number they start on
+function splitBlocks(text: string): { line: number; lines: string[] }[] {
+  const blocks: { line: number; lines: string[] }[] = [];
+  let current: { line: number; lines: string[] } | null = null;
+  const lines = text.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    if (lines[index].trim() === '') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(lines[index]);
+  }
+  return blocks;
+}
+
+/**
+ * Parse a WebVTT or SRT file into cues, collecting the problems a player would trip over
+ * (missing or invalid timings, cues that end before they start or are out of order).
+ */
+export function parseCaptionFile(content: string): ParsedCaptions {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const isVtt = /^WEBVTT(?:[ \t]|$)/.test(text.split('\n', 1)[0]);
+  const format: ParsedCaptions['format'] = isVtt ? 'webvtt' : SRT_TIMING_LINE.test(text) ? 'srt' : 'unknown';
+  if (format === 'unknown') {
+    return { format, cues: [], errors: ['File has no WEBVTT header and no SRT cue timings'] };
+  }
+
+  const timestamp = format === 'webvtt' ? VTT_TIMESTAMP : SRT_TIMESTAMP;
+  const cues: CaptionCue[] = [];
+  const errors: string[] = [];
+  const blocks = splitBlocks(text);
+
+  // The WebVTT header block ends at the first blank line
+  for (const block of isVtt ? blocks.slice(1) : blocks) {
+    if (isVtt && /^(NOTE|STYLE|REGION)(?:\s|$)/.test(block.lines[0])) {
+      continue;
+    }
+    // An identifier (WebVTT) or sequence number (SRT) may precede the timing line
+    const timingIndex = block.lines[0].includes('-->') ? 0 : block.lines[1]?.includes('-->') ? 1 : -1;
+    if (timingIndex === -1) {
+      errors.push(`Line ${block.line}: cue has no timing line`);
+      continue;
+    }
+
+    const timingLine = block.line + timingIndex;
+    const timing = /^\s*(\S+)\s+-->\s+(\S+)/.exec(block.lines[timingIndex]);
+    const start = timing ? parseTimestamp(timing[1], timestamp) : null;
+    const end = timing ? parseTimestamp(timing[2], timestamp) : null;
+    if (start === null || end === null) {
+      errors.push(`Line ${timingLine}: invalid cue timing "${block.lines[timingIndex].trim()}"`);
+      continue;
+    }
+    if (end <= start) {
+      errors.push(`Line ${timingLine}: cue ends before it starts`);
+    }
+    if (cues.length > 0 && start < cues[cues.length - 1].start) {
+      errors.push(`Line ${timingLine}: cue starts before the previous cue`);
+    }
+
+    cues.push({
+      start,
+      end,
+      text: block.lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim(),
+    });
+  }
+
+  return { format, cues, errors };
+}
+
+function formatTime(seconds: number): string {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Judge one caption track. `content` is null when the file could not be loaded and
+ * `mediaDuration` is null when the media metadata could not be read.
+ */
+export function evaluateCaptionTrack(
+  track: CaptionTrackSource,
+  mediaType: 'video' | 'audio',
+  content: string | null,
+  mediaDuration: number | null
+): CaptionFinding[] {
+  const ruleKey: CaptionRuleKey = mediaType === 'video' ? 'ACC_MED_01_VIDEO_CAPTIONS' : 'ACC_MED_02_AUDIO_TRANSCRIPT';
+  const name = `${track.kind} track${track.src ? ` ${track.src}` : ''}`;
+
+  if (!track.src) {
+    return [{
+      ruleKey,
+      severity: 'critical',
+      message: `The ${track.kind} track has no src, so no ${track.kind} are shown`,
+      fixSuggestion: 'Point the track at a WebVTT file: <track kind="captions" src="captions.vtt" srclang="en" label="English">',
+    }];
+  }
+  if (content === null) {
+    return [{
+      ruleKey,
+      severity: 'serious',
+      message: `The ${name} could not be loaded, so no ${track.kind} are shown`,
+      fixSuggestion: 'Make sure the track URL returns the WebVTT file. Tracks from another origin also need CORS headers and crossorigin on the media element.',
+    }];
+  }
+
+  const parsed = parseCaptionFile(content);
+  const findings: CaptionFinding[] = [];
+
+  if (parsed.format === 'srt') {
+    findings.push({
+      ruleKey,
+      severity: 'serious',
+      message: `The ${name} is an SRT file. Browsers only render WebVTT in <track>, so the ${track.kind} are not shown`,
+      fixSuggestion: 'Convert the file to WebVTT: add a "WEBVTT" first line and use a period instead of a comma before the milliseconds (00:01:02.500).',
+    });
+  }
+
+  const spoken = parsed.cues.filter(cue => cue.text.length > 0);
+  if (spoken.length === 0) {
+    findings.push({
+      ruleKey,
+      severity: 'critical',
+      message: parsed.format === 'unknown'
+        ? `The ${name} is not a WebVTT file`
+        : `The ${name} has no cues with text`,
+      fixSuggestion: 'Provide a WebVTT file with timed cues for all dialogue and meaningful sounds.',
+    });
+    return findings;
+  }
+
+  if (parsed.errors.length > 0) {
+    const listed = parsed.errors.slice(0, MAX_LISTED_ERRORS).join('; ');
+    const more = parsed.errors.length > MAX_LISTED_ERRORS ? ` and ${parsed.errors.length - MAX_LISTED_ERRORS} more` : '';
+    findings.push({
+      ruleKey,
+      severity: 'serious',
+      message: `The ${name} has malformed cues that players skip or misplace (${listed}${more})`,
+      fixSuggestion: 'Fix the cue timings so every cue has a valid "start --> end" line, ends after it starts and follows the previous cue. A WebVTT validator lists the exact lines.',
+    });
+  }
+
+  if (!track.srclang) {
+    findings.push({
+      ruleKey,
+      severity: 'moderate',
+      message: `The ${name} has no srclang, so players cannot offer it by language`,
+      fixSuggestion: `Add the language of the ${track.kind}: srclang="en". It is required on subtitle tracks.`,
+    });
+  }
+  if (!track.label) {
+    findings.push({
+      ruleKey,
+      severity: 'minor',
+      message: `The ${name} has no label, so the caption menu shows a generic name`,
+      fixSuggestion: 'Add a label that names the track in the caption menu: label="English captions".',
+    });
+  }
+
+  if (mediaDuration && mediaDuration > 0) {
+    const lastEnd = Math.max(...spoken.map(cue => cue.end));
+    const coverage = lastEnd / mediaDuration;
+    if (coverage < MIN_CAPTION_COVERAGE) {
+      findings.push({
+        ruleKey,
+        severity: 'serious',
+        message: `The ${name} ends at ${formatTime(lastEnd)} but the ${mediaType} runs ${formatTime(mediaDuration)} (${Math.round(coverage * 100)}% covered)`,
+        fixSuggestion: `Caption the whole ${mediaType}. The track may belong to a shorter cut or be incomplete.`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Judge the file behind a transcript link. Caption files are held to the caption rules,
+ * anything else only needs readable text.
+ */
+export function evaluateTranscript(url: string, content: string | null): CaptionFinding[] {
+  const fixSuggestion = 'Link to a transcript that contains all spoken content and meaningful sounds, or show it on the page next to the audio.';
+  if (content === null) {
+    return [{
+      ruleKey: 'ACC_MED_02_AUDIO_TRANSCRIPT',
+      severity: 'serious',
+      message: `The transcript link ${url} could not be loaded`,
+      fixSuggestion,
+    }];
+  }
+
+  const parsed = parseCaptionFile(content);
+  const text = parsed.format === 'unknown'
+    ? content.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').trim()
+    : parsed.cues.map(cue => cue.text).join(' ').trim();
+  if (text.length > 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_MED_02_AUDIO_TRANSCRIPT',
+    severity: 'critical',
+    message: `The transcript at ${url} is empty`,
+    fixSuggestion,
+  }];
+}
+
+function fetchMediaText(url: string): Promise<string | null> {
+  return fetchText(url, FETCH_TIMEOUT_MS, MAX_TRACK_BYTES);
+}
+
+/**
+ * Load a track file from the page's stored assets, falling back to its URL.
+ */
+export async function loadCaptionTrack(url: string, assetPath: string): Promise<string | null> {
+  const { data, error } = await supabase.storage
+    .from('analysis-assets')
+    .download(captionTrackAssetPath(assetPath, url));
+  if (!error && data) {
+    return await data.text();
+  }
+
+  const text = await fetchMediaText(url);
+  if (text === null) {
+    logger.info('Caption track could not be loaded', { url });
+  }
+  return text;
+}
+
+/**
+ * Load the document a transcript link points to.
+ */
+export async function loadTranscript(url: string): Promise<string | null> {
+  return fetchMediaText(url);
+}
+
+/**
+ * Read the duration from the media metadata. The stored HTML runs on about:blank, so the
+ * media is loaded again from its absolute URL in a detached element.
+ */
+function readMediaDuration(src: string, timeoutMs: number): Promise<number | null> {
+  const doc = (globalThis as any).document;
+  const media = doc.createElement('video');
+  media.preload = 'metadata';
+  media.muted = true;
+
+  return new Promise(resolve => {
+    const done = (duration: number | null) => {
+      clearTimeout(timer);
+      media.removeAttribute('src');
+      resolve(duration);
+    };
+    const timer = setTimeout(() => done(null), timeoutMs);
+    media.addEventListener('loadedmetadata', () => done(Number.isFinite(media.duration) ? media.duration : null));
+    media.addEventListener('error', () => done(null));
+    media.src = src;
+  });
+}
+
+export async function measureMediaDuration(page: Page, src: string): Promise<number | null> {
+  try {
+    return await page.evaluate(readMediaDuration, src, DURATION_TIMEOUT_MS);
+  } catch (error: any) {
+    logger.warn('Failed to read media duration', { src, error: error?.message });
+    return null;
+  }
+}
+
+/**
+ * Load and judge every caption and subtitle track of one media element.
+ */
+export async function validateCaptionTracks(
+  page: Page,
+  media: { type: 'video' | 'audio'; sources: string[]; tracks: CaptionTrackSource[] },
+  context: { assetPath: string; baseUrl: string | null }
+): Promise<CaptionFinding[]> {
+  const tracks = media.tracks.filter(track => CAPTION_KINDS.includes(track.kind));
+  if (tracks.length === 0) {
+    return [];
+  }
+
+  const mediaUrl = media.sources.map(source => resolveMediaUrl(source, context.baseUrl)).find(Boolean) || null;
+  const duration = mediaUrl ? await measureMediaDuration(page, mediaUrl) : null;
+
+  const findings: CaptionFinding[] = [];
+  for (const track of tracks) {
+    const url = resolveMediaUrl(track.src, context.baseUrl);
+    const content = url ? await loadCaptionTrack(url, context.assetPath) : null;
+    findings.push(...evaluateCaptionTrack(track, media.type, content, duration));
+  }
+  return findings;
+}
@@ -6,8 +6,12 @@ import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { AppError } from '@/types';
 import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
-import { getDatabaseRuleKey, mapImpactToSeverity } from './ruleMapping';
+import { recordScreenshotHighlights } from '@/core/workers/screenshotHighlights';
+import { openSession, restoreSession } from '@/services/authProfiles/browserAuth';
+import { getDatabaseRuleKey, getRuleWcagCriteria, mapImpactToSeverity } from './ruleMapping';
 import { detectCustomColorViolations } from './customRuleDetectors';
+import { detectReflowViolations, detectTextSpacingViolations } from './reflowDetectors';
+import { detectFocusIndicatorContrast } from './focusIndicatorContrast';
 
 const logger = createLogger('color-contrast-worker');
 
@@ -18,6 +22,9 @@ interface ColorContrastJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
+  session?: string; // Sealed login session of the fetcher for pages behind authentication
 }
 
 interface AxeViolation {
@@ -26,6 +33,7 @@ interface AxeViolation {
   description: string;
   help: string;
   helpUrl: string;
+  tags: string[];
   nodes: Array<{
     html: string;
     target: string[];
@@ -117,6 +125,13 @@ async function getModuleAndJobId(analysisId: string): Promise<{ moduleId: string
   return { moduleId: module.id, jobId: job.id };
 }
 
+const LAYOUT_FIX_SUGGESTIONS: { [ruleKey: string]: string } = {
+  'ACC_CLR_06_TEXT_SPACING': 'Let text containers grow with their content: avoid fixed heights and overflow: hidden on text, and size boxes in em or with min-height instead of px heights.',
+  'ACC_CLR_07_REFLOW_CONTENT': 'Use fluid widths (max-width: 100%, flex-wrap, grid with minmax) and media queries so content fits a 320px wide viewport without horizontal scrolling.'
+};
+
+const FOCUS_INDICATOR_FIX_SUGGESTION = 'Give :focus-visible a solid outline of at least 2px (for example outline: 2px solid currentColor; outline-offset: 2px) in a colour with 3:1 contrast against both the component and the page background.';
+
 function mapAxeImpactToSeverity(impact: string): 'minor' | 'moderate' | 'serious' | 'critical' {
   switch (impact) {
     case 'minor':
@@ -153,7 +168,7 @@ async function getTargetUrl(websiteId: string, metadata: any): Promise<string> {
 }
 
 export const colorContrastWorker = new Worker('color-contrast', async (job: Job<ColorContrastJobData>) => {
-  const { analysisId, workspaceId, websiteId, metadata } = job.data;
+  const { analysisId, workspaceId, websiteId, metadata, pageId, pageIndex } = job.data;
   
   logger.info('Starting color contrast analysis with live DOM', { 
     analysisId, 
@@ -225,6 +240,9 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
     } else if (targetUrl) {
       // Navigate to the page
       logger.info('Navigating to target URL for accessibility analysis');
+      if (job.data.session) {
+        await restoreSession(page, openSession(job.data.session), targetUrl);
+      }
       try {
         await page.goto(targetUrl, { 
           waitUntil: 'networkidle2',
@@ -300,12 +318,14 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
       for (const node of violation.nodes) {
         const issue = {
           analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
           rule_id: ruleId,
           severity: mapImpactToSeverity(violation.impact as any),
           location_path: node.target.join(' > '),
           code_snippet: node.html,
           message: node.failureSummary || violation.help,
-          fix_suggestion: `${violation.description}\n\nHow to fix:\n${violation.help}\n\nFor more information: ${violation.helpUrl}`
+          fix_suggestion: `${violation.description}\n\nHow to fix:\n${violation.help}\n\nFor more information: ${violation.helpUrl}`,
+          wcag_criteria: getRuleWcagCriteria(violation.id, violation.tags)
         };
 
         issuePromises.push(
@@ -342,12 +362,14 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
         for (const element of violation.elements) {
           const issueData = {
             analysis_job_id: moduleJobInfo.jobId,
+            analysis_page_id: pageId || null,
             rule_id: ruleId,
             severity: mapImpactToSeverity(violation.severity as any),
             location_path: element.selector,
             code_snippet: element.html.substring(0, 500),
             message: violation.message,
-            fix_suggestion: `${violation.message}\n\nCustom detection identified this issue through advanced color analysis beyond standard axe-core testing.`
+            fix_suggestion: `${violation.message}\n\nCustom detection identified this issue through advanced color analysis beyond standard axe-core testing.`,
+            wcag_criteria: getRuleWcagCriteria(violation.ruleKey)
           };
 
           issuePromises.push(
@@ -369,9 +391,114 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
       logger.error('Error detecting custom color violations', { error });
     }
 
+    // Focus indicators are compared pixel by pixel, before the layout checks below re-render the page
+    try {
+      const focusViolations = await detectFocusIndicatorContrast(page);
+
+      for (const violation of focusViolations) {
+        const ruleId = await getRuleId(violation.ruleKey);
+        if (!ruleId) {
+          logger.warn('Skipping focus indicator violation - rule not found in database', { ruleKey: violation.ruleKey });
+          continue;
+        }
+
+        for (const element of violation.elements) {
+          const issueData = {
+            analysis_job_id: moduleJobInfo.jobId,
+            analysis_page_id: pageId || null,
+            rule_id: ruleId,
+            severity: violation.severity,
+            location_path: element.selector,
+            code_snippet: element.html.substring(0, 500),
+            message: element.context ? `${violation.message} (${element.context})` : violation.message,
+            fix_suggestion: FOCUS_INDICATOR_FIX_SUGGESTION,
+            wcag_criteria: getRuleWcagCriteria(violation.ruleKey),
+            screenshot_highlight: element.rect ? {
+              screenshot_id: null,
+              ...element.rect,
+              viewport_width: violation.viewport?.width ?? null,
+              viewport_height: violation.viewport?.height ?? null
+            } : null
+          };
+
+          issuePromises.push(
+            supabase
+              .from('accessibility_issues')
+              .insert([issueData])
+              .then(({ error }) => {
+                if (error) {
+                  logger.error('Failed to insert focus indicator accessibility issue', {
+                    error,
+                    ruleKey: violation.ruleKey
+                  });
+                }
+              })
+          );
+        }
+      }
+    } catch (error) {
+      logger.error('Error measuring focus indicator contrast', { error });
+    }
+
+    // Text spacing (WCAG 1.4.12) and reflow (WCAG 1.4.10) re-render the page, so they run last
+    try {
+      const layoutViolations = [
+        ...await detectTextSpacingViolations(page),
+        ...await detectReflowViolations(page)
+      ];
+
+      for (const violation of layoutViolations) {
+        const ruleId = await getRuleId(violation.ruleKey);
+        if (!ruleId) {
+          logger.warn('Skipping layout violation - rule not found in database', { ruleKey: violation.ruleKey });
+          continue;
+        }
+
+        for (const element of violation.elements) {
+          const issueData = {
+            analysis_job_id: moduleJobInfo.jobId,
+            analysis_page_id: pageId || null,
+            rule_id: ruleId,
+            severity: violation.severity,
+            location_path: element.selector,
+            code_snippet: element.html.substring(0, 500),
+            message: element.context ? `${violation.message} (${element.context})` : violation.message,
+            fix_suggestion: LAYOUT_FIX_SUGGESTIONS[violation.ruleKey],
+            wcag_criteria: getRuleWcagCriteria(violation.ruleKey),
+            // Measured in the re-rendered layout, not against a stored screenshot
+            screenshot_highlight: element.rect ? {
+              screenshot_id: null,
+              ...element.rect,
+              viewport_width: violation.viewport?.width ?? null,
+              viewport_height: violation.viewport?.height ?? null
+            } : null
+          };
+
+          issuePromises.push(
+            supabase
+              .from('accessibility_issues')
+              .insert([issueData])
+              .then(({ error }) => {
+                if (error) {
+                  logger.error('Failed to insert layout accessibility issue', {
+                    error,
+                    ruleKey: violation.ruleKey
+                  });
+                }
+              })
+          );
+        }
+      }
+    } catch (error) {
+      logger.error('Error detecting reflow and text spacing violations', { error });
+    }
+
     // Wait for all issues to be inserted
     await Promise.all(issuePromises);
 
+    // Mark the elements on the root page screenshots
+    await recordScreenshotHighlights(page, { analysisId, jobId: moduleJobInfo.jobId, pageId, pageIndex, table: 'accessibility_issues' });
+
     // Update job status to completed
     await updateJobStatus(analysisId, moduleJobInfo.moduleId, 'completed');
 
@@ -382,7 +509,7 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
     });
 
     // Check if all analysis jobs are complete
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'colorContrast' });
 
     return {
       success: true,
@@ -405,7 +532,7 @@ export const colorContrastWorker = new Worker('color-contrast', async (job: Job<
     }
 
     // Check if all analysis jobs are complete (even with failures)
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'colorContrast' });
 
     throw error;
   } finally {
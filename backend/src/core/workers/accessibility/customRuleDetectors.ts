@@ -16,7 +16,9 @@ export interface CustomViolation {
     selector: string;
     html: string;
     context?: string;
+    rect?: { x: number; y: number; width: number; height: number }; // Document coordinates at `viewport`
   }>;
+  viewport?: { width: number; height: number }; // Layout the element rectangles were measured in
 }
 
 /**
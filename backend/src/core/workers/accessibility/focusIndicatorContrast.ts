@@ -0,0 +1,295 @@
+/**
+ * Focus Indicator Contrast
+ *
+ * Focuses each focusable element and compares pixel crops taken before and after
+ * focus. The pixels that change form the focus indicator. It has to cover at least
+ * the area of a 2 CSS px perimeter with 3:1 contrast between the unfocused and
+ * focused state (WCAG 2.2 focus appearance) and reach 3:1 against the colours next
+ * to it (WCAG 1.4.11). Complements ACC_KBD_01_FOCUS_VISIBLE, which only reads CSS.
+ */
+
+import sharp from 'sharp';
+import { Page } from 'puppeteer';
+import { CustomViolation } from './customRuleDetectors';
+
+type Rgb = [number, number, number];
+
+interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface FocusIndicatorMetrics {
+  changedArea: number; // Pixels that differ between the unfocused and focused state
+  contrastingArea: number; // Changed pixels with at least 3:1 contrast against their unfocused colour
+  requiredArea: number; // Area of a 2 CSS px thick perimeter of the unfocused component
+  indicatorColor: Rgb | null;
+  adjacentColor: Rgb | null;
+  adjacentContrast: number | null;
+}
+
+interface FocusTarget {
+  selector: string;
+  html: string;
+  rect: Rect; // Document coordinates
+}
+
+export const MAX_FOCUS_TARGETS = 40;
+export const MIN_FOCUS_CONTRAST = 3;
+// Outlines are drawn outside the border box, so crops include some margin
+const FOCUS_CROP_PADDING = 8;
+// Channel difference below this is treated as anti-aliasing or compression noise
+const PIXEL_CHANGE_THRESHOLD = 24;
+const FREEZE_STYLE_ID = '__focus-contrast-freeze';
+
+function relativeLuminance([r, g, b]: Rgb): number {
+  const channel = (value: number) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * WCAG contrast ratio between two colours, from 1 to 21
+ */
+export function contrastRatio(a: Rgb, b: Rgb): number {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Most frequent colour, bucketed to 5 bits per channel so gradients and anti-aliasing collapse
+function dominantColor(colors: Rgb[]): Rgb | null {
+  if (colors.length === 0) {
+    return null;
+  }
+  const buckets = new Map<number, { count: number; sum: Rgb }>();
+  for (const [r, g, b] of colors) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] as Rgb };
+    bucket.count++;
+    bucket.sum = [bucket.sum[0] + r, bucket.sum[1] + g, bucket.sum[2] + b];
+    buckets.set(key, bucket);
+  }
+  const top = Array.from(buckets.values()).sort((a, b) => b.count - a.count)[0];
+  return top.sum.map(value => Math.round(value / top.count)) as Rgb;
+}
+
+/**
+ * Compare the unfocused and focused crops of an element. `component` is the
+ * element's rectangle inside the crop.
+ */
+export async function measureFocusIndicator(before: Buffer, after: Buffer, component: Rect): Promise<FocusIndicatorMetrics | null> {
+  const [unfocused, focused] = await Promise.all([before, after].map(image =>
+    sharp(image).removeAlpha().raw().toBuffer({ resolveWithObject: true })
+  ));
+  const { width, height } = unfocused.info;
+  if (width !== focused.info.width || height !== focused.info.height) {
+    return null;
+  }
+
+  const pixel = (data: Buffer, index: number): Rgb => [data[index * 3], data[index * 3 + 1], data[index * 3 + 2]];
+  const changed = new Uint8Array(width * height);
+  const indicatorColors: Rgb[] = [];
+  let changedArea = 0;
+  let contrastingArea = 0;
+
+  for (let i = 0; i < width * height; i++) {
+    const a = pixel(unfocused.data, i);
+    const b = pixel(focused.data, i);
+    if (Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2])) <= PIXEL_CHANGE_THRESHOLD) {
+      continue;
+    }
+    changed[i] = 1;
+    changedArea++;
+    indicatorColors.push(b);
+    if (contrastRatio(a, b) >= MIN_FOCUS_CONTRAST) {
+      contrastingArea++;
+    }
+  }
+
+  // Unchanged pixels touching the indicator are the colours it is seen against
+  const adjacentColors: Rgb[] = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (changed[i]) {
+        continue;
+      }
+      const touches = (x > 0 && changed[i - 1]) || (x < width - 1 && changed[i + 1])
+        || (y > 0 && changed[i - width]) || (y < height - 1 && changed[i + width]);
+      if (touches) {
+        adjacentColors.push(pixel(focused.data, i));
+      }
+    }
+  }
+
+  const indicatorColor = dominantColor(indicatorColors);
+  const adjacentColor = dominantColor(adjacentColors);
+
+  return {
+    changedArea,
+    contrastingArea,
+    requiredArea: Math.round(2 * (2 * component.width + 2 * component.height)),
+    indicatorColor,
+    adjacentColor,
+    adjacentContrast: indicatorColor && adjacentColor ? contrastRatio(indicatorColor, adjacentColor) : null,
+  };
+}
+
+/**
+ * Describe why a focus indicator fails, or return null when it passes
+ */
+export function evaluateFocusAppearance(metrics: FocusIndicatorMetrics): string | null {
+  if (metrics.changedArea === 0) {
+    return 'Focusing the element does not change how it looks';
+  }
+  if (metrics.contrastingArea < metrics.requiredArea) {
+    return `Only ${metrics.contrastingArea}px² of the focus indicator changes with ${MIN_FOCUS_CONTRAST}:1 contrast, `
+      + `${metrics.requiredArea}px² (a 2px perimeter) is needed`;
+  }
+  if (metrics.adjacentContrast !== null && metrics.adjacentContrast < MIN_FOCUS_CONTRAST) {
+    return `Focus indicator has ${metrics.adjacentContrast.toFixed(2)}:1 contrast against adjacent colours, `
+      + `${MIN_FOCUS_CONTRAST}:1 is needed`;
+  }
+  return null;
+}
+
+/**
+ * Remember the visible focusable elements in the page and return how many there are
+ */
+function collectFocusTargets(limit: number): number {
+  const win = globalThis as any;
+  const doc = win.document;
+  const focusable = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), '
+    + 'select:not([disabled]), textarea:not([disabled]), summary, [contenteditable="true"], [tabindex]:not([tabindex^="-"])';
+
+  win.__focusTargets = (Array.from(doc.querySelectorAll(focusable)) as any[])
+    .filter(element => {
+      const box = element.getBoundingClientRect();
+      const style = win.getComputedStyle(element);
+      return box.width > 0 && box.height > 0 && style.visibility !== 'hidden';
+    })
+    .slice(0, limit);
+  return win.__focusTargets.length;
+}
+
+/**
+ * Blur the page and scroll the target into view. Returns its description and position.
+ */
+function prepareFocusTarget(index: number): FocusTarget | null {
+  const win = globalThis as any;
+  const element = win.__focusTargets && win.__focusTargets[index];
+  if (!element || !element.isConnected) {
+    return null;
+  }
+  if (win.document.activeElement && win.document.activeElement.blur) {
+    win.document.activeElement.blur();
+  }
+  element.scrollIntoView({ block: 'center', inline: 'center' });
+
+  const box = element.getBoundingClientRect();
+  return {
+    selector: element.id ? `#${element.id}` : element.tagName.toLowerCase()
+      + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''),
+    html: element.outerHTML.substring(0, 200),
+    rect: {
+      x: box.left + win.scrollX,
+      y: box.top + win.scrollY,
+      width: box.width,
+      height: box.height,
+    },
+  };
+}
+
+/**
+ * Focus each focusable element, measure its focus indicator and report the ones
+ * that fail (ACC_CLR_05_FOCUS_CONTRAST)
+ */
+export async function detectFocusIndicatorContrast(page: Page, maxTargets = MAX_FOCUS_TARGETS): Promise<CustomViolation[]> {
+  const count = await page.evaluate(collectFocusTargets, maxTargets);
+  if (count === 0) {
+    return [];
+  }
+
+  // Transitions would be caught half way and a blinking caret counts as a change
+  await page.evaluate((id: string) => {
+    const doc = (globalThis as any).document;
+    const style = doc.createElement('style');
+    style.id = id;
+    style.textContent = '*, *::before, *::after { transition: none !important; animation: none !important; caret-color: transparent !important; }';
+    doc.head.appendChild(style);
+  }, FREEZE_STYLE_ID);
+  // Script focus only shows :focus-visible styles after keyboard interaction
+  await page.keyboard.press('Shift');
+
+  const elements: CustomViolation['elements'] = [];
+  try {
+    for (let index = 0; index < count; index++) {
+      const target = await page.evaluate(prepareFocusTarget, index);
+      if (!target) {
+        continue;
+      }
+
+      const x = Math.max(Math.floor(target.rect.x - FOCUS_CROP_PADDING), 0);
+      const y = Math.max(Math.floor(target.rect.y - FOCUS_CROP_PADDING), 0);
+      const clip = {
+        x,
+        y,
+        width: Math.ceil(target.rect.x + target.rect.width + FOCUS_CROP_PADDING) - x,
+        height: Math.ceil(target.rect.y + target.rect.height + FOCUS_CROP_PADDING) - y,
+      };
+
+      const before = await page.screenshot({ type: 'png', clip, captureBeyondViewport: false }) as Buffer;
+      await page.evaluate((i: number) => (globalThis as any).__focusTargets[i].focus(), index);
+      const after = await page.screenshot({ type: 'png', clip, captureBeyondViewport: false }) as Buffer;
+
+      const metrics = await measureFocusIndicator(before, after, {
+        x: target.rect.x - clip.x,
+        y: target.rect.y - clip.y,
+        width: target.rect.width,
+        height: target.rect.height,
+      });
+      const failure = metrics && evaluateFocusAppearance(metrics);
+      if (failure) {
+        elements.push({
+          selector: target.selector,
+          html: target.html,
+          context: failure,
+          rect: {
+            x: Math.round(target.rect.x),
+            y: Math.round(target.rect.y),
+            width: Math.round(target.rect.width),
+            height: Math.round(target.rect.height),
+          },
+        });
+      }
+    }
+  } finally {
+    await page.evaluate((id: string) => {
+      const doc = (globalThis as any).document;
+      if (doc.activeElement && doc.activeElement.blur) {
+        doc.activeElement.blur();
+      }
+      const style = doc.getElementById(id);
+      if (style) {
+        style.remove();
+      }
+    }, FREEZE_STYLE_ID);
+  }
+
+  if (elements.length === 0) {
+    return [];
+  }
+
+  const viewport = page.viewport();
+  return [{
+    ruleKey: 'ACC_CLR_05_FOCUS_CONTRAST',
+    severity: 'serious',
+    message: 'Focus indicators must be large enough and contrast at least 3:1 with the unfocused state and adjacent colours',
+    elements,
+    ...(viewport ? { viewport: { width: viewport.width, height: viewport.height } } : {}),
+  }];
+}
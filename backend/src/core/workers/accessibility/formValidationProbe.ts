@@ -0,0 +1,402 @@
+/**
+ * Form Validation Probe
+ *
+ * Opt-in interactive check for WCAG 3.3.1 (Error Identification) and 3.3.3 (Error
+ * Suggestion). The static form checks only see error markup that is already in the
+ * page. The probe fills each form with empty and with invalid values, submits it and
+ * looks at how the page reacts: aria-invalid, messages referenced by aria-describedby
+ * or aria-errormessage, live regions, alerts and focus movement. Navigation and
+ * requests that could send data are blocked, so nothing reaches the site.
+ */
+
+import { Browser, HTTPRequest, Page } from 'puppeteer';
+
+type Rect = { x: number; y: number; width: number; height: number };
+
+export type ProbeScenario = 'empty' | 'invalid';
+
+export interface ProbeForm {
+  index: number;
+  selector: string;
+  html: string;
+  rect: Rect; // Document coordinates
+}
+
+export interface ProbeField {
+  selector: string;
+  html: string;
+  ariaInvalid: boolean;
+  nativeInvalid: boolean; // Browser constraint validation blocked the submit
+  visuallyFlagged: boolean; // Error class or an error message appeared next to the field
+  message: string | null; // New text referenced by aria-describedby or aria-errormessage
+  nearbyError: string | null; // New visible error text next to the field
+}
+
+export interface ProbeObservation {
+  form: ProbeForm;
+  scenario: ProbeScenario;
+  fields: ProbeField[];
+  liveMessages: string[]; // Live regions and alerts whose text changed
+  visibleErrors: string[]; // New visible error texts anywhere on the page
+  dialogs: string[]; // alert() and confirm() messages
+  focusOnError: boolean; // Focus moved to an invalid field or an error summary
+  rectAfter: Rect;
+}
+
+export interface ProbeFinding {
+  ruleKey: 'ACC_FRM_06_ERROR_IDENTIFICATION' | 'ACC_FRM_07_ERROR_SUGGESTION';
+  severity: 'critical' | 'moderate';
+  message: string;
+  selector: string;
+  html: string;
+  context: string;
+  formIndex: number;
+  scenario: ProbeScenario;
+}
+
+export interface ProbeEvidence {
+  formIndex: number;
+  scenario: ProbeScenario;
+  before: Buffer;
+  after: Buffer;
+}
+
+export interface ProbeResult {
+  findings: ProbeFinding[];
+  evidence: ProbeEvidence[];
+}
+
+export const MAX_PROBED_FORMS = 5;
+export const PROBE_SCENARIOS: ProbeScenario[] = ['empty', 'invalid'];
+// Time for client-side validation to render after submit
+const PROBE_SETTLE_MS = 600;
+const EVIDENCE_PADDING = 16;
+const MAX_EVIDENCE_HEIGHT = 2000;
+// Phrases that tell the user how to fix the value
+const SUGGESTION_PATTERN = /\b(should|must|try|format|example|e\.g\.|such as|at least|at most|between|include|contain|characters?|digits?|like)\b|@/i;
+// Sub-resources the page needs to render and run its validation scripts
+const ALLOWED_RESOURCE_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+
+/**
+ * Open a page for probing. Navigation, form posts and XHR or fetch calls are aborted
+ * and dialogs are dismissed.
+ */
+export async function openProbePage(browser: Browser, html: string): Promise<Page> {
+  const page = await browser.newPage();
+  await page.setViewport({ width: 1280, height: 800 });
+  await page.setRequestInterception(true);
+  page.on('request', (request: HTTPRequest) => {
+    if (request.method() === 'GET' && ALLOWED_RESOURCE_TYPES.includes(request.resourceType())) {
+      request.continue();
+    } else {
+      request.abort('blockedbyclient');
+    }
+  });
+  await loadProbeContent(page, html);
+  return page;
+}
+
+// Fresh copy of the page for every submit, so errors from the previous one do not carry over
+async function loadProbeContent(page: Page, html: string): Promise<void> {
+  await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await page.evaluate(() => {
+    (globalThis as any).open = () => null;
+  });
+}
+
+/**
+ * Mark the visible forms that have fillable fields with data-probe-form and describe them.
+ */
+function listProbeForms(limit: number): ProbeForm[] {
+  const win = globalThis as any;
+  const doc = win.document;
+  const fillable = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const forms: ProbeForm[] = [];
+
+  for (const form of Array.from(doc.querySelectorAll('form')) as any[]) {
+    if (forms.length >= limit) {
+      break;
+    }
+    const box = form.getBoundingClientRect();
+    if (box.width === 0 || box.height === 0 || !form.querySelector(fillable)) {
+      continue;
+    }
+    form.setAttribute('data-probe-form', String(forms.length));
+    forms.push({
+      index: forms.length,
+      selector: form.id ? `form#${form.id}` : form.getAttribute('name') ? `form[name="${form.getAttribute('name')}"]` : 'form',
+      html: form.outerHTML.substring(0, 200),
+      rect: {
+        x: Math.round(box.left + win.scrollX),
+        y: Math.round(box.top + win.scrollY),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+    });
+  }
+
+  return forms;
+}
+
+/**
+ * Reset the form, enter the scenario's values and remember the page state to compare against.
+ */
+function fillProbeForm(index: number, scenario: ProbeScenario): void {
+  const win = globalThis as any;
+  const doc = win.document;
+  const form = doc.querySelector(`[data-probe-form="${index}"]`);
+  const fillable = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const errorSelector = '[class*="error" i], [class*="invalid" i], [id*="error" i], [role="alert"]';
+  const liveSelector = '[aria-live]:not([aria-live="off"]), [role="alert"], [role="status"]';
+
+  form.reset();
+
+  // Values that break common format rules
+  const invalidValue = (field: any): string | null => {
+    const type = (field.getAttribute('type') || 'text').toLowerCase();
+    const hint = `${field.name || ''} ${field.id || ''} ${field.getAttribute('autocomplete') || ''}`.toLowerCase();
+    if (type === 'email' || hint.includes('email')) return 'not-an-email';
+    if (type === 'url') return 'not a url';
+    if (type === 'tel' || hint.includes('phone') || hint.includes('tel')) return 'abc';
+    if (type === 'number') return '-999999999';
+    if (field.getAttribute('pattern') || hint.includes('zip') || hint.includes('postal')) return '!!';
+    if (field.getAttribute('minlength')) return 'a';
+    if (['text', 'search', 'password'].includes(type) || field.tagName.toLowerCase() === 'textarea') return 'Test';
+    return null;
+  };
+
+  for (const field of Array.from(form.querySelectorAll(fillable)) as any[]) {
+    const type = (field.getAttribute('type') || '').toLowerCase();
+    if (field.tagName.toLowerCase() === 'select' || type === 'checkbox' || type === 'radio' || type === 'file') {
+      continue;
+    }
+    const value = scenario === 'empty' ? '' : invalidValue(field);
+    if (value === null) {
+      continue;
+    }
+    field.value = value;
+    field.dispatchEvent(new win.Event('input', { bubbles: true }));
+    field.dispatchEvent(new win.Event('change', { bubbles: true }));
+  }
+
+  const visible = (element: any) => element.getClientRects().length > 0 && win.getComputedStyle(element).visibility !== 'hidden';
+  win.__probeBaseline = {
+    active: doc.activeElement,
+    live: new Map((Array.from(doc.querySelectorAll(liveSelector)) as any[]).map(region => [region, region.textContent.trim()])),
+    errors: new Set((Array.from(doc.querySelectorAll(errorSelector)) as any[])
+      .filter(element => visible(element))
+      .map(element => element.textContent.trim())),
+    classes: new Map((Array.from(form.querySelectorAll(fillable)) as any[]).map(field => [field, field.className])),
+    described: new Map((Array.from(form.querySelectorAll(fillable)) as any[]).map(field => [field, field.getAttribute('aria-describedby') || ''])),
+  };
+}
+
+/**
+ * Submit the form the way a user would, through its submit button when it has one.
+ */
+function submitProbeForm(index: number): void {
+  const form = (globalThis as any).document.querySelector(`[data-probe-form="${index}"]`);
+  const button = form.querySelector('button[type="submit"], button:not([type]), input[type="submit"], input[type="image"]');
+  if (button) {
+    button.click();
+  } else if (form.requestSubmit) {
+    form.requestSubmit();
+  } else {
+    form.dispatchEvent(new (globalThis as any).Event('submit', { bubbles: true, cancelable: true }));
+  }
+}
+
+/**
+ * Compare the page after submit with the remembered state.
+ */
+function inspectProbeForm(index: number): Omit<ProbeObservation, 'form' | 'scenario' | 'dialogs'> {
+  const win = globalThis as any;
+  const doc = win.document;
+  const form = doc.querySelector(`[data-probe-form="${index}"]`);
+  const baseline = win.__probeBaseline;
+  const fillable = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+  const errorSelector = '[class*="error" i], [class*="invalid" i], [id*="error" i], [role="alert"]';
+  const liveSelector = '[aria-live]:not([aria-live="off"]), [role="alert"], [role="status"]';
+
+  const visible = (element: any) => element.getClientRects().length > 0 && win.getComputedStyle(element).visibility !== 'hidden';
+  const textOf = (element: any) => (element.textContent || '').replace(/\s+/g, ' ').trim();
+  const referencedText = (ids: string) => ids.split(/\s+/).filter(Boolean)
+    .map(id => doc.getElementById(id))
+    .filter((element: any) => element && visible(element))
+    .map(textOf)
+    .filter(Boolean)
+    .join(' ');
+
+  const newErrorElements = (Array.from(doc.querySelectorAll(errorSelector)) as any[])
+    .filter(element => !element.matches(fillable) && visible(element) && textOf(element) && !baseline.errors.has(element.textContent.trim()));
+
+  const fields: ProbeField[] = (Array.from(form.querySelectorAll(fillable)) as any[]).map(field => {
+    const describedBy = field.getAttribute('aria-describedby') || '';
+    const described = referencedText(describedBy);
+    const describedBefore = baseline.described.get(field) || '';
+    // Hints referenced before the submit are not error messages
+    const message = referencedText(field.getAttribute('aria-errormessage') || '')
+      || (describedBy !== describedBefore || newErrorElements.some(element => describedBy.split(/\s+/).includes(element.id)) ? described : '');
+    const container = field.parentElement && field.parentElement.parentElement ? field.parentElement.parentElement : field.parentElement;
+    const nearby = newErrorElements.find(element => container && container.contains(element));
+    const classChanged = field.className !== baseline.classes.get(field) && /error|invalid/i.test(field.className);
+
+    return {
+      selector: field.id ? `#${field.id}` : `${field.tagName.toLowerCase()}${field.name ? `[name="${field.name}"]` : ''}`,
+      html: field.outerHTML.substring(0, 200),
+      ariaInvalid: field.getAttribute('aria-invalid') === 'true',
+      nativeInvalid: !form.noValidate && field.willValidate && !field.validity.valid,
+      visuallyFlagged: classChanged || Boolean(nearby),
+      message: message || null,
+      nearbyError: nearby ? textOf(nearby) : null,
+    };
+  });
+
+  const liveMessages = (Array.from(doc.querySelectorAll(liveSelector)) as any[])
+    .filter(region => textOf(region) && textOf(region) !== (baseline.live.get(region) || '').replace(/\s+/g, ' '))
+    .map(textOf);
+
+  const active = doc.activeElement;
+  const focusOnError = active !== baseline.active && active && active !== doc.body && (
+    fields.some((field, i) => (field.ariaInvalid || field.nativeInvalid || field.visuallyFlagged) && form.querySelectorAll(fillable)[i] === active)
+    || newErrorElements.some(element => element === active || active.contains(element))
+  );
+
+  const box = form.getBoundingClientRect();
+  return {
+    fields,
+    liveMessages,
+    visibleErrors: newErrorElements.map(textOf),
+    focusOnError: Boolean(focusOnError),
+    rectAfter: {
+      x: Math.round(box.left + win.scrollX),
+      y: Math.round(box.top + win.scrollY),
+      width: Math.round(box.width),
+      height: Math.round(box.height),
+    },
+  };
+}
+
+/**
+ * Turn one observation into findings. A form that shows no reaction at all is not reported,
+ * it probably validates on the server, which the probe cannot reach.
+ */
+export function evaluateProbeObservation(observation: ProbeObservation): ProbeFinding[] {
+  const { form, scenario, fields, liveMessages, visibleErrors, dialogs, focusOnError } = observation;
+  const findings: ProbeFinding[] = [];
+  const base = { formIndex: form.index, scenario };
+  const announced = liveMessages.length > 0 || dialogs.length > 0 || focusOnError;
+  const submitted = scenario === 'empty' ? 'submitted empty' : 'submitted with invalid values';
+
+  // Fields the page marks as wrong, but only visually
+  const hiddenErrors = fields.filter(field => field.visuallyFlagged && !field.nativeInvalid && !field.message && !announced);
+  for (const field of hiddenErrors) {
+    findings.push({
+      ...base,
+      ruleKey: 'ACC_FRM_06_ERROR_IDENTIFICATION',
+      severity: 'critical',
+      message: 'Field is shown as invalid but the error is not exposed to assistive technology',
+      selector: field.selector,
+      html: field.html,
+      context: `Form ${submitted}; ${field.nearbyError ? `"${field.nearbyError}" is not referenced by aria-describedby or aria-errormessage` : 'only the styling changed'}${field.ariaInvalid ? '' : ' and aria-invalid is not set'}`,
+    });
+  }
+
+  // Error text appeared, but no field is tied to it and nothing was announced
+  const tiedToFields = fields.some(field => field.ariaInvalid || field.nativeInvalid || field.message || field.visuallyFlagged);
+  if (visibleErrors.length > 0 && !tiedToFields && !announced) {
+    findings.push({
+      ...base,
+      ruleKey: 'ACC_FRM_06_ERROR_IDENTIFICATION',
+      severity: 'critical',
+      message: 'Error messages appear after submitting but are not announced or associated with the fields',
+      selector: form.selector,
+      html: form.html,
+      context: `Form ${submitted}; "${visibleErrors[0]}" is not in a live region and no field has aria-invalid`,
+    });
+  }
+
+  // Format errors should say how to fix the value; "This field is required" is enough for empty fields
+  if (scenario === 'invalid') {
+    const seen = new Set<string>();
+    const messages: Array<{ text: string; selector: string; html: string }> = [
+      ...fields.flatMap(field => [field.message, field.nearbyError]
+        .filter((text): text is string => Boolean(text))
+        .map(text => ({ text, selector: field.selector, html: field.html }))),
+      ...[...liveMessages, ...visibleErrors, ...dialogs].map(text => ({ text, selector: form.selector, html: form.html })),
+    ];
+    for (const entry of messages) {
+      if (seen.has(entry.text) || SUGGESTION_PATTERN.test(entry.text)) {
+        seen.add(entry.text);
+        continue;
+      }
+      seen.add(entry.text);
+      findings.push({
+        ...base,
+        ruleKey: 'ACC_FRM_07_ERROR_SUGGESTION',
+        severity: 'moderate',
+        message: 'Error message does not suggest how to correct the value',
+        selector: entry.selector,
+        html: entry.html,
+        context: `Form ${submitted}; message: "${entry.text.substring(0, 120)}"`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+// Crop around the form in document coordinates, large enough for both states
+function evidenceClip(before: Rect, after: Rect): Rect {
+  const x = Math.max(0, Math.min(before.x, after.x) - EVIDENCE_PADDING);
+  const y = Math.max(0, Math.min(before.y, after.y) - EVIDENCE_PADDING);
+  const right = Math.max(before.x + before.width, after.x + after.width) + EVIDENCE_PADDING;
+  const bottom = Math.max(before.y + before.height, after.y + after.height) + EVIDENCE_PADDING;
+  return { x, y, width: right - x, height: Math.min(bottom - y, MAX_EVIDENCE_HEIGHT) };
+}
+
+/**
+ * Probe up to MAX_PROBED_FORMS forms with every scenario on a page from openProbePage.
+ * Each submit is recorded as a before/after pair of PNG crops. A form that fails to
+ * probe is skipped.
+ */
+export async function probeFormValidation(page: Page, html: string): Promise<ProbeResult> {
+  const dialogs: string[] = [];
+  page.on('dialog', async dialog => {
+    dialogs.push(dialog.message());
+    await dialog.dismiss().catch(() => undefined);
+  });
+
+  const forms: ProbeForm[] = await page.evaluate(listProbeForms, MAX_PROBED_FORMS);
+  const result: ProbeResult = { findings: [], evidence: [] };
+  let submits = 0;
+
+  for (const form of forms) {
+    for (const scenario of PROBE_SCENARIOS) {
+      try {
+        if (submits++ > 0) {
+          await loadProbeContent(page, html);
+          await page.evaluate(listProbeForms, MAX_PROBED_FORMS);
+        }
+        dialogs.length = 0;
+        await page.evaluate(fillProbeForm, form.index, scenario);
+        const before = await page.screenshot({ type: 'png', clip: evidenceClip(form.rect, form.rect) }) as Buffer;
+
+        await page.evaluate(submitProbeForm, form.index);
+        await page.waitForTimeout(PROBE_SETTLE_MS);
+        const inspected = await page.evaluate(inspectProbeForm, form.index);
+        const after = await page.screenshot({ type: 'png', clip: evidenceClip(form.rect, inspected.rectAfter) }) as Buffer;
+
+        const findings = evaluateProbeObservation({ ...inspected, form, scenario, dialogs: [...dialogs] });
+        result.findings.push(...findings);
+        if (findings.length > 0) {
+          result.evidence.push({ formIndex: form.index, scenario, before, after });
+        }
+      } catch {
+        // Scripts on the page can remove the form or throw; the other forms are still probed
+      }
+    }
+  }
+
+  return result;
+}
@@ -4,12 +4,14 @@
  */
 
 import { Job, Worker } from 'bullmq';
-import puppeteer from 'puppeteer';
+import puppeteer, { Browser, Page } from 'puppeteer';
 import { config } from '@/config';
 import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { FormAnalysisWorker } from './forms.worker';
+import { ProbeFinding, openProbePage, probeFormValidation } from './formValidationProbe';
 import { checkAndUpdateAnalysisCompletion } from '../master.worker';
+import { recordScreenshotHighlights } from '../screenshotHighlights';
 
 const logger = createLogger('forms-analysis-worker');
 
@@ -20,10 +22,120 @@ interface FormsJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
+  probeForms?: boolean; // Opt-in interactive validation probe
+}
+
+const PROBE_FIX_SUGGESTIONS: { [ruleKey: string]: string } = {
+  ACC_FRM_06_ERROR_IDENTIFICATION: 'Set aria-invalid="true" on the field and reference the error text with aria-describedby or aria-errormessage, or announce the errors in a live region and move focus to them',
+  ACC_FRM_07_ERROR_SUGGESTION: 'Say what a valid value looks like, e.g. "Enter an email address like name@example.com"',
+};
+const PROBE_WCAG_CRITERIA: { [ruleKey: string]: string } = {
+  ACC_FRM_06_ERROR_IDENTIFICATION: '3.3.1',
+  ACC_FRM_07_ERROR_SUGGESTION: '3.3.3',
+};
+
+/**
+ * Submit the forms of the page in a sandboxed copy and store what the probe found, with the
+ * before/after crops as form_probe screenshots. Failures are logged only.
+ */
+async function runFormValidationProbe(
+  browser: Browser,
+  html: string,
+  context: { analysisId: string; analysisJobId: string; pageId?: string | null; assetPath: string; metadata: any }
+): Promise<number> {
+  const { analysisId, analysisJobId, pageId, assetPath, metadata } = context;
+  let probePage: Page | null = null;
+
+  try {
+    probePage = await openProbePage(browser, html);
+    const { findings, evidence } = await probeFormValidation(probePage, html);
+    if (findings.length === 0) {
+      return 0;
+    }
+
+    const { data: rules } = await supabase
+      .from('rules')
+      .select('id, rule_key')
+      .in('rule_key', Object.keys(PROBE_FIX_SUGGESTIONS));
+    const ruleIds = new Map((rules || []).map((rule: any) => [rule.rule_key, rule.id]));
+
+    // Store the crops and remember their screenshot ids per form and scenario
+    const screenshotIds = new Map<string, { before: string | null; after: string | null }>();
+    for (const shot of evidence) {
+      const ids = { before: null as string | null, after: null as string | null };
+      for (const phase of ['before', 'after'] as const) {
+        const storagePath = `${assetPath}/forms/probe-${shot.formIndex}-${shot.scenario}-${phase}.png`;
+        const { error: uploadError } = await supabase.storage
+          .from('analysis-assets')
+          .upload(storagePath, shot[phase] as any, { contentType: 'image/png', upsert: true });
+        if (uploadError) {
+          logger.warn('Failed to store form probe screenshot', { error: uploadError.message, analysisId, storagePath });
+          continue;
+        }
+
+        const { data: screenshot, error: screenshotError } = await supabase
+          .from('screenshots')
+          .upsert({
+            analysis_id: analysisId,
+            type: 'form_probe',
+            storage_bucket: 'analysis-assets',
+            storage_path: storagePath,
+            url: metadata?.finalUrl || metadata?.url || ''
+          }, { onConflict: 'storage_path' })
+          .select('id')
+          .single();
+        if (screenshotError) {
+          logger.warn('Failed to record form probe screenshot', { error: screenshotError.message, analysisId, storagePath });
+          continue;
+        }
+        ids[phase] = screenshot.id;
+      }
+      screenshotIds.set(`${shot.formIndex}:${shot.scenario}`, ids);
+    }
+
+    const rows = findings
+      .filter((finding: ProbeFinding) => ruleIds.has(finding.ruleKey))
+      .map((finding: ProbeFinding) => {
+        const ids = screenshotIds.get(`${finding.formIndex}:${finding.scenario}`);
+        return {
+          analysis_job_id: analysisJobId,
+          analysis_page_id: pageId || null,
+          rule_id: ruleIds.get(finding.ruleKey),
+          severity: finding.severity,
+          message: `${finding.message} (${finding.context})`,
+          location_path: finding.selector,
+          code_snippet: finding.html,
+          wcag_criteria: PROBE_WCAG_CRITERIA[finding.ruleKey],
+          fix_suggestion: `${PROBE_FIX_SUGGESTIONS[finding.ruleKey]}\n\nThis issue was found by submitting the form with ${finding.scenario === 'empty' ? 'empty fields' : 'invalid values'}.`,
+          evidence: {
+            kind: 'form_probe',
+            scenario: finding.scenario,
+            before_screenshot_id: ids?.before || null,
+            after_screenshot_id: ids?.after || null
+          }
+        };
+      });
+
+    const { error: insertError } = await supabase.from('accessibility_issues').insert(rows);
+    if (insertError) {
+      logger.warn('Failed to store form probe issues', { error: insertError.message, analysisId });
+      return 0;
+    }
+    return rows.length;
+  } catch (error: any) {
+    logger.warn('Form validation probe failed', { error: error?.message, analysisId });
+    return 0;
+  } finally {
+    if (probePage) {
+      await probePage.close().catch(() => undefined);
+    }
+  }
 }
 
 async function processFormsAnalysis(job: Job<FormsJobData>) {
-  const { analysisId, workspaceId, websiteId, userId, assetPath, metadata } = job.data;
+  const { analysisId, workspaceId, websiteId, userId, assetPath, metadata, pageId, pageIndex, probeForms } = job.data;
   
   logger.info('Starting forms analysis', { 
     analysisId, 
@@ -126,6 +238,7 @@ async function processFormsAnalysis(job: Job<FormsJobData>) {
         .insert(
           issues.map(issue => ({
             analysis_job_id: analysisJobId,
+            analysis_page_id: pageId || null,
             rule_id: issue.rule_id,
             severity: issue.severity,
             message: issue.message,
@@ -147,6 +260,17 @@ async function processFormsAnalysis(job: Job<FormsJobData>) {
       }
     }
 
+    // Interactive validation probe, only when the analysis asked for it
+    if (probeForms && analysisJobId) {
+      const probeIssues = await runFormValidationProbe(browser, storedHtml, { analysisId, analysisJobId, pageId, assetPath, metadata });
+      logger.info('Form validation probe completed', { analysisId, issuesFound: probeIssues });
+    }
+
+    // Mark the elements on the root page screenshots
+    if (analysisJobId) {
+      await recordScreenshotHighlights(page, { analysisId, jobId: analysisJobId, pageId, pageIndex, table: 'accessibility_issues' });
+    }
+
     // Update job status to completed
     if (analysisJobId) {
       await supabase
@@ -164,7 +288,7 @@ async function processFormsAnalysis(job: Job<FormsJobData>) {
     });
 
     // Check if all analysis jobs are complete
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'forms' });
 
     return {
       success: true,
@@ -218,6 +342,9 @@ async function processFormsAnalysis(job: Job<FormsJobData>) {
       }
     }
 
+    // A failed page still counts as processed so the analysis can finish
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'forms' });
+
     throw error;
   } finally {
     // Cleanup
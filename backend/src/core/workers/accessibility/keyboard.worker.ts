@@ -6,7 +6,17 @@ import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { AppError } from '@/types';
 import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
-import { getDatabaseRuleKey, mapImpactToSeverity } from './ruleMapping';
+import { recordScreenshotHighlights } from '@/core/workers/screenshotHighlights';
+import { getDatabaseRuleKey, getRuleWcagCriteria, mapImpactToSeverity } from './ruleMapping';
+import { CustomViolation } from './customRuleDetectors';
+import {
+  FocusPath,
+  analyzeFocusPath,
+  captureFocusPathOverlay,
+  detectNonFocusableInteractive,
+  traverseFocusOrder
+} from './keyboardTraversal';
+import { detectFocusNotObscured, detectTargetSizeViolations } from './wcag22Detectors';
 
 const logger = createLogger('keyboard-worker');
 
@@ -17,6 +27,8 @@ interface KeyboardJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
 }
 
 interface AxeViolation {
@@ -25,6 +37,7 @@ interface AxeViolation {
   description: string;
   help: string;
   helpUrl: string;
+  tags: string[];
   nodes: Array<{
     html: string;
     target: string[];
@@ -38,7 +51,7 @@ interface AxeViolation {
 }
 
 // Keyboard worker coordinates with other accessibility workers for job completion
-async function updateJobStatusCoordinated(analysisId: string, moduleId: string, workerName: string, status: 'running' | 'completed' | 'failed', errorMessage?: string) {
+async function updateJobStatusCoordinated(analysisId: string, moduleId: string, workerName: string, status: 'running' | 'completed' | 'failed', errorMessage?: string, pageId?: string | null) {
   if (status === 'running') {
     // Set job to running when first worker starts
     const { error } = await supabase
@@ -76,7 +89,7 @@ async function updateJobStatusCoordinated(analysisId: string, moduleId: string,
     }
 
     // Check if all accessibility workers are done
-    await checkAndUpdateAnalysisCompletion(analysisId, `keyboard-worker-${status}`);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'keyboard' });
   }
 }
 
@@ -143,12 +156,8 @@ async function loadStoredAsset(assetPath: string, filename: string): Promise<str
 
 interface KeyboardTestResults {
   axeViolations: AxeViolation[];
-  customViolations: Array<{
-    ruleKey: string;
-    severity: 'minor' | 'moderate' | 'serious' | 'critical';
-    message: string;
-    elements: string[];
-  }>;
+  customViolations: CustomViolation[];
+  focusPath: FocusPath;
 }
 
 async function performAdvancedKeyboardTesting(page: Page): Promise<KeyboardTestResults> {
@@ -157,17 +166,15 @@ async function performAdvancedKeyboardTesting(page: Page): Promise<KeyboardTestR
     const axeConfig = {
       rules: {
         // Core keyboard navigation rules
-        'tabindex': { enabled: true },                        // Positive tabindex issues
         'focus-order-semantics': { enabled: true },           // Logical focus order
         'scrollable-region-focusable': { enabled: true },    // Scrollable regions need keyboard access
-        'accesskeys': { enabled: true },                     // Duplicate access keys
         'skip-link': { enabled: true },                      // Skip link functionality
         
-        // Note: Keyboard trap detection is handled by custom testing below
+        // Note: Positive tabindex, keyboard traps and duplicate access keys are handled by
+        // the custom testing and the Tab traversal below
       },
       runOnly: [
-        'tabindex', 'focus-order-semantics', 'scrollable-region-focusable', 
-        'accesskeys', 'skip-link'
+        'focus-order-semantics', 'scrollable-region-focusable', 'skip-link'
       ]
     };
     
@@ -177,57 +184,33 @@ async function performAdvancedKeyboardTesting(page: Page): Promise<KeyboardTestR
   // Perform custom keyboard testing beyond what axe-core can detect
   const customViolations = await performCustomKeyboardTests(page);
 
+  // Press Tab and Shift+Tab through the page and analyze where focus actually goes
+  const focusPath = await traverseFocusOrder(page);
+  const nonFocusableViolations = await detectNonFocusableInteractive(page);
+
+  // WCAG 2.2: target size and focus hidden behind sticky or fixed content
+  const wcag22Violations = [
+    ...await detectTargetSizeViolations(page),
+    ...await detectFocusNotObscured(page)
+  ];
+
   return {
     axeViolations: axeResults.violations,
-    customViolations
+    customViolations: [...customViolations, ...analyzeFocusPath(focusPath), ...nonFocusableViolations, ...wcag22Violations],
+    focusPath
   };
 }
 
-async function performCustomKeyboardTests(page: Page): Promise<Array<{
-  ruleKey: string;
-  severity: 'minor' | 'moderate' | 'serious' | 'critical';
-  message: string;
-  elements: string[];
-}>> {
-  const violations = [];
+async function performCustomKeyboardTests(page: Page): Promise<CustomViolation[]> {
+  const violations: CustomViolation[] = [];
 
-  // Test 1: Keyboard trap detection
-  const keyboardTraps = await page.evaluate(() => {
-    const focusableElements = Array.from(document.querySelectorAll(
-      'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-    ));
-    
-    const traps: string[] = [];
-    
-    // Simulate tab navigation to detect traps
-    // This is a basic implementation - more sophisticated testing would involve actual keyboard events
-    focusableElements.forEach((element, index) => {
-      const tabIndex = element.getAttribute('tabindex');
-      if (tabIndex && parseInt(tabIndex) > 0) {
-        // Positive tabindex can create keyboard traps
-        traps.push((element as HTMLElement).outerHTML.substring(0, 100));
-      }
-    });
-    
-    return traps;
-  });
-
-  if (keyboardTraps.length > 0) {
-    violations.push({
-      ruleKey: 'ACC_KBD_02_KEYBOARD_TRAP',
-      severity: 'critical' as const,
-      message: 'Potential keyboard trap detected. Elements with positive tabindex values can prevent users from navigating away.',
-      elements: keyboardTraps
-    });
-  }
-
-  // Test 2: Focus visibility testing
+  // Test 1: Focus visibility testing
   const focusVisibilityIssues = await page.evaluate(() => {
     const focusableElements = Array.from(document.querySelectorAll(
       'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
     ));
     
-    const issues: string[] = [];
+    const issues: Array<{ selector: string; html: string }> = [];
     
     focusableElements.forEach(element => {
       const computedStyle = getComputedStyle(element);
@@ -239,7 +222,10 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
       const hasBoxShadow = focusStyle.boxShadow !== 'none' && focusStyle.boxShadow !== computedStyle.boxShadow;
       
       if (!hasOutline && !hasBorder && !hasBoxShadow) {
-        issues.push((element as HTMLElement).outerHTML.substring(0, 100));
+        issues.push({
+          selector: (element as any).id ? `#${(element as any).id}` : (element as any).tagName.toLowerCase(),
+          html: (element as HTMLElement).outerHTML.substring(0, 100)
+        });
       }
     });
     
@@ -255,7 +241,7 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
     });
   }
 
-  // Test 3: Skip link validation
+  // Test 2: Skip link validation
   const skipLinkIssues = await page.evaluate(() => {
     const skipLinks = Array.from(document.querySelectorAll('a[href*="#"]'))
       .filter(link => {
@@ -263,7 +249,7 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
         return text.includes('skip') || text.includes('jump') || text.includes('main');
       });
       
-    const issues: string[] = [];
+    const issues: Array<{ selector: string; html: string }> = [];
     
     skipLinks.forEach(link => {
       const href = (link as HTMLAnchorElement).getAttribute('href');
@@ -272,7 +258,10 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
         const target = document.getElementById(targetId);
         
         if (!target) {
-          issues.push((link as HTMLElement).outerHTML.substring(0, 100));
+          issues.push({
+            selector: `a[href="${href}"]`,
+            html: (link as HTMLElement).outerHTML.substring(0, 100)
+          });
         }
       }
     });
@@ -289,9 +278,9 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
     });
   }
 
-  // Test 4: Keyboard shortcuts conflict detection
-  const shortcutConflictViolations = await page.evaluate(() => {
-    const violations: string[] = [];
+  // Test 3: Duplicate access key detection
+  const duplicateAccessKeyViolations = await page.evaluate(() => {
+    const violations: Array<{ selector: string; html: string; context: string }> = [];
     const elementsWithAccessKeys = document.querySelectorAll('[accesskey]');
     const accessKeys = new Map<string, number>();
     
@@ -302,7 +291,11 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
         accessKeys.set(accessKey, count + 1);
         
         if (count > 0) { // Duplicate found
-          violations.push(element.outerHTML.substring(0, 100));
+          violations.push({
+            selector: element.id ? `#${element.id}` : `${element.tagName.toLowerCase()}[accesskey="${element.getAttribute('accesskey')}"]`,
+            html: element.outerHTML.substring(0, 100),
+            context: `accesskey "${accessKey}" is already used by another element`
+          });
         }
       }
     });
@@ -310,20 +303,76 @@ async function performCustomKeyboardTests(page: Page): Promise<Array<{
     return violations;
   });
 
-  if (shortcutConflictViolations.length > 0) {
+  if (duplicateAccessKeyViolations.length > 0) {
     violations.push({
-      ruleKey: 'ACC_KBD_07_KEYBOARD_SHORTCUTS',
+      ruleKey: 'ACC_KBD_08_ACCESS_KEY_DUPLICATE',
       severity: 'moderate' as const,
       message: 'Duplicate access keys detected - keyboard shortcuts conflict with each other',
-      elements: shortcutConflictViolations
+      elements: duplicateAccessKeyViolations
     });
   }
 
   return violations;
 }
 
+/**
+ * Store the recorded focus path as JSON and as an overlay screenshot for the report.
+ * Failures are logged only, the keyboard issues are already stored at this point.
+ */
+async function storeFocusPath(page: Page, focusPath: FocusPath, analysisId: string, assetPath: string, metadata: any) {
+  if (focusPath.forward.length === 0) {
+    return;
+  }
+
+  try {
+    const { error: pathError } = await supabase.storage
+      .from('analysis-assets')
+      .upload(`${assetPath}/keyboard/focus-path.json`, JSON.stringify(focusPath, null, 2), {
+        contentType: 'application/json',
+        upsert: true
+      });
+    if (pathError) {
+      logger.warn('Failed to store focus path', { error: pathError.message, analysisId });
+    }
+
+    const overlay = await captureFocusPathOverlay(page, focusPath.forward);
+    if (!overlay) {
+      return;
+    }
+
+    const overlayPath = `${assetPath}/keyboard/focus-path.jpg`;
+    const { error: overlayError } = await supabase.storage
+      .from('analysis-assets')
+      .upload(overlayPath, overlay as any, { contentType: 'image/jpeg', upsert: true });
+    if (overlayError) {
+      logger.warn('Failed to store focus path overlay', { error: overlayError.message, analysisId });
+      return;
+    }
+
+    let pageUrl = metadata?.finalUrl || metadata?.url;
+    if (!pageUrl) {
+      pageUrl = JSON.parse(await loadStoredAsset(assetPath, 'metadata.json')).finalUrl;
+    }
+
+    const { error: screenshotError } = await supabase
+      .from('screenshots')
+      .upsert({
+        analysis_id: analysisId,
+        type: 'focus_path',
+        storage_bucket: 'analysis-assets',
+        storage_path: overlayPath,
+        url: pageUrl || ''
+      }, { onConflict: 'storage_path' });
+    if (screenshotError) {
+      logger.warn('Failed to record focus path overlay', { error: screenshotError.message, analysisId });
+    }
+  } catch (error: any) {
+    logger.warn('Failed to store focus path artifacts', { error: error?.message, analysisId });
+  }
+}
+
 async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
-  const { analysisId, workspaceId, assetPath } = job.data;
+  const { analysisId, workspaceId, assetPath, pageId, metadata, pageIndex } = job.data;
   
   logger.info('Starting keyboard accessibility analysis', { 
     analysisId, 
@@ -360,6 +409,8 @@ async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
       timeout: 30000
     });
     const page = await browser.newPage();
+    // Focus positions are compared against the desktop layout
+    await page.setViewport({ width: 1280, height: 800 });
     
     // Set content
     await page.setContent(htmlContent, { waitUntil: 'domcontentloaded' });
@@ -401,12 +452,14 @@ async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
       for (const node of violation.nodes) {
         const issue = {
           analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
           rule_id: ruleId,
           severity: mapImpactToSeverity(violation.impact as any),
           location_path: node.target.join(' > '),
           code_snippet: node.html,
           message: node.failureSummary || violation.help,
-          fix_suggestion: `${violation.description}\n\nHow to fix:\n${violation.help}\n\nFor more information: ${violation.helpUrl}`
+          fix_suggestion: `${violation.description}\n\nHow to fix:\n${violation.help}\n\nFor more information: ${violation.helpUrl}`,
+          wcag_criteria: getRuleWcagCriteria(dbRuleKey, violation.tags)
         };
 
         axeIssuePromises.push(
@@ -437,12 +490,14 @@ async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
       for (const element of violation.elements) {
         const issue = {
           analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
           rule_id: ruleId,
           severity: violation.severity,
-          location_path: 'Custom keyboard test',
-          code_snippet: element,
-          message: violation.message,
-          fix_suggestion: `${violation.message}\n\nThis issue was detected through advanced keyboard navigation testing.`
+          location_path: element.selector,
+          code_snippet: element.html,
+          message: element.context ? `${violation.message} (${element.context})` : violation.message,
+          fix_suggestion: `${violation.message}\n\nThis issue was detected through advanced keyboard navigation testing.`,
+          wcag_criteria: getRuleWcagCriteria(violation.ruleKey)
         };
 
         customIssuePromises.push(
@@ -464,8 +519,13 @@ async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
     // Wait for all issues to be inserted
     await Promise.all([...axeIssuePromises, ...customIssuePromises]);
 
+    await storeFocusPath(page, testResults.focusPath, analysisId, assetPath, metadata);
+
+    // Mark the elements on the root page screenshots
+    await recordScreenshotHighlights(page, { analysisId, jobId: moduleJobInfo.jobId, pageId, pageIndex, table: 'accessibility_issues' });
+
     // Update job status to completed
-    await updateJobStatusCoordinated(analysisId, moduleJobInfo.moduleId, 'keyboard-worker', 'completed');
+    await updateJobStatusCoordinated(analysisId, moduleJobInfo.moduleId, 'keyboard-worker', 'completed', undefined, pageId);
     
     logger.info('Keyboard analysis job completed successfully', { analysisId });
 
@@ -478,7 +538,8 @@ async function processKeyboardAnalysis(job: Job<KeyboardJobData>) {
         moduleJobInfo.moduleId, 
         'keyboard-worker', 
         'failed', 
-        error instanceof Error ? error.message : 'Unknown error'
+        error instanceof Error ? error.message : 'Unknown error',
+        pageId
       );
     }
     
@@ -0,0 +1,455 @@
+/**
+ * Keyboard Traversal
+ *
+ * Drives real Tab and Shift+Tab presses through a page and records where focus
+ * lands. The recorded focus path is analyzed for positive tabindex values,
+ * keyboard traps, visually illogical focus jumps and missing bypass mechanisms,
+ * and drawn onto a screenshot for the report.
+ */
+
+import { Page } from 'puppeteer';
+import { CustomViolation } from './customRuleDetectors';
+
+export interface FocusStop {
+  id: number; // Stable identity of the element across key presses
+  selector: string;
+  tag: string;
+  role: string | null;
+  name: string;
+  html: string;
+  tabIndex: number;
+  rect: { x: number; y: number; width: number; height: number }; // Document coordinates
+  fixed: boolean; // position: fixed/sticky elements move with the viewport
+  inMain: boolean;
+  isSkipLink: boolean;
+}
+
+export interface FocusPath {
+  forward: FocusStop[];
+  backward: number[]; // Stop ids reached with Shift+Tab, starting from the last forward stop
+  trappedAt: FocusStop | null;
+  truncated: boolean;
+}
+
+// Bounds the number of key presses per page
+export const MAX_TAB_STOPS = 200;
+// Presses spent inside an iframe before the traversal gives up on leaving it
+const MAX_IFRAME_PRESSES = 50;
+// Focus moving up by less than this is treated as the same line
+export const FOCUS_JUMP_TOLERANCE_PX = 40;
+// Tab stops before the main content that warrant a skip link
+export const BYPASS_STOP_THRESHOLD = 10;
+// Overlay screenshots are cut off below this height
+const MAX_OVERLAY_HEIGHT = 8000;
+
+/**
+ * Describe the focused element, or return null when focus left the document
+ */
+function readActiveElement(): FocusStop | null {
+  const win = globalThis as any;
+  const doc = win.document;
+  const element = doc.activeElement;
+  if (!element || element === doc.body || element === doc.documentElement) {
+    return null;
+  }
+
+  win.__kbdStops = win.__kbdStops || [];
+  let id = win.__kbdStops.indexOf(element);
+  if (id === -1) {
+    id = win.__kbdStops.push(element) - 1;
+  }
+
+  // Short CSS path up to the closest ancestor with an id
+  const parts: string[] = [];
+  for (let node = element; node && node !== doc.body && parts.length < 4; node = node.parentElement) {
+    if (node.id) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    const sameTag = Array.from(node.parentElement ? node.parentElement.children : []).filter((sibling: any) => sibling.tagName === node.tagName);
+    const nodeTag = node.tagName.toLowerCase();
+    parts.unshift(sameTag.length > 1 ? `${nodeTag}:nth-of-type(${sameTag.indexOf(node) + 1})` : nodeTag);
+  }
+
+  const tag = element.tagName.toLowerCase();
+  const box = element.getBoundingClientRect();
+  const position = win.getComputedStyle(element).position;
+  const href = element.getAttribute('href') || '';
+  const text = (element.getAttribute('aria-label') || element.textContent || element.getAttribute('value') || '').trim();
+
+  return {
+    id,
+    selector: parts.join(' > '),
+    tag,
+    role: element.getAttribute('role'),
+    name: text.replace(/\s+/g, ' ').substring(0, 80),
+    html: element.outerHTML.substring(0, 200),
+    tabIndex: element.tabIndex,
+    rect: {
+      x: Math.round(box.left + win.scrollX),
+      y: Math.round(box.top + win.scrollY),
+      width: Math.round(box.width),
+      height: Math.round(box.height),
+    },
+    fixed: position === 'fixed' || position === 'sticky',
+    inMain: Boolean(element.closest('main, [role="main"]')),
+    isSkipLink: tag === 'a' && href.length > 1 && href.startsWith('#') && Boolean(doc.getElementById(href.substring(1))),
+  };
+}
+
+/**
+ * Press Tab through the page until focus leaves the document, returns to the
+ * first stop or gets stuck, then walk back with Shift+Tab from the last stop.
+ */
+export async function traverseFocusOrder(page: Page, maxStops = MAX_TAB_STOPS): Promise<FocusPath> {
+  await page.evaluate(() => {
+    const win = globalThis as any;
+    win.__kbdStops = [];
+    if (win.document.activeElement && win.document.activeElement.blur) {
+      win.document.activeElement.blur();
+    }
+    win.scrollTo(0, 0);
+  });
+
+  const forward: FocusStop[] = [];
+  let trappedAt: FocusStop | null = null;
+  let truncated = false;
+  let iframePresses = 0;
+
+  for (;;) {
+    if (forward.length >= maxStops) {
+      truncated = true;
+      break;
+    }
+
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(readActiveElement);
+    if (!stop) {
+      break;
+    }
+
+    const previous = forward[forward.length - 1];
+    if (previous && previous.id === stop.id) {
+      // Focus inside an iframe keeps the iframe as the active element
+      if (stop.tag === 'iframe' && iframePresses++ < MAX_IFRAME_PRESSES) {
+        continue;
+      }
+      trappedAt = stop;
+      break;
+    }
+    iframePresses = 0;
+
+    if (forward.some(visited => visited.id === stop.id)) {
+      // Wrapping around to the first stop ends a complete cycle, any other revisit is a trap
+      if (stop.id !== forward[0].id) {
+        trappedAt = stop;
+      }
+      break;
+    }
+
+    forward.push(stop);
+  }
+
+  const backward: number[] = [];
+  if (forward.length > 1 && !trappedAt) {
+    await page.evaluate((id: number) => {
+      const element = (globalThis as any).__kbdStops[id];
+      if (element) {
+        element.focus();
+      }
+    }, forward[forward.length - 1].id);
+
+    for (let press = 0; press < forward.length - 1; press++) {
+      await page.keyboard.down('Shift');
+      await page.keyboard.press('Tab');
+      await page.keyboard.up('Shift');
+      const stop = await page.evaluate(readActiveElement);
+      if (!stop) {
+        break;
+      }
+      backward.push(stop.id);
+    }
+  }
+
+  return { forward, backward, trappedAt, truncated };
+}
+
+function describeStop(stop: FocusStop): string {
+  return `${stop.selector}${stop.name ? ` "${stop.name}"` : ''} at (${stop.rect.x}, ${stop.rect.y})`;
+}
+
+function isVisible(stop: FocusStop): boolean {
+  return stop.rect.width > 0 && stop.rect.height > 0;
+}
+
+/**
+ * Find focus moves that jump back up the page to content that is not in a column to the right
+ */
+export function findFocusJumps(stops: FocusStop[]): Array<{ from: FocusStop; to: FocusStop }> {
+  const jumps: Array<{ from: FocusStop; to: FocusStop }> = [];
+  const positioned = stops.filter(stop => !stop.fixed && isVisible(stop));
+
+  for (let i = 1; i < positioned.length; i++) {
+    const from = positioned[i - 1];
+    const to = positioned[i];
+    const movesUp = to.rect.y + to.rect.height <= from.rect.y - FOCUS_JUMP_TOLERANCE_PX;
+    const nextColumn = to.rect.x >= from.rect.x + from.rect.width;
+    if (movesUp && !nextColumn) {
+      jumps.push({ from, to });
+    }
+  }
+
+  return jumps;
+}
+
+/**
+ * Turn a recorded focus path into keyboard violations
+ */
+export function analyzeFocusPath(path: FocusPath): CustomViolation[] {
+  const violations: CustomViolation[] = [];
+  const { forward, backward, trappedAt } = path;
+
+  if (trappedAt) {
+    violations.push({
+      ruleKey: 'ACC_KBD_02_KEYBOARD_TRAP',
+      severity: 'critical',
+      message: 'Keyboard focus gets stuck and cannot move on with the Tab key',
+      elements: [{
+        selector: trappedAt.selector,
+        html: trappedAt.html,
+        context: `Tab keeps focus at ${describeStop(trappedAt)} after ${forward.length} stops`,
+      }],
+    });
+  }
+
+  const positive = forward.filter(stop => stop.tabIndex > 0);
+  if (positive.length > 0) {
+    violations.push({
+      ruleKey: 'ACC_KBD_03_TABINDEX_POSITIVE',
+      severity: 'serious',
+      message: 'Positive tabindex values move elements ahead of the natural tab order',
+      elements: positive.map(stop => ({
+        selector: stop.selector,
+        html: stop.html,
+        context: `tabindex="${stop.tabIndex}", reached as tab stop ${forward.indexOf(stop) + 1}`,
+      })),
+    });
+  }
+
+  const orderElements: CustomViolation['elements'] = findFocusJumps(forward).map(({ from, to }) => ({
+    selector: to.selector,
+    html: to.html,
+    context: `Focus jumps up from ${describeStop(from)} to ${describeStop(to)}`,
+  }));
+
+  // Shift+Tab should retrace the Tab order exactly
+  const expectedBackward = forward.slice(0, -1).reverse();
+  const mismatch = backward.findIndex((id, index) => expectedBackward[index] && expectedBackward[index].id !== id);
+  if (mismatch !== -1) {
+    const expected = expectedBackward[mismatch];
+    const actual = forward.find(stop => stop.id === backward[mismatch]);
+    orderElements.push({
+      selector: expected.selector,
+      html: expected.html,
+      context: `Shift+Tab moves to ${actual ? describeStop(actual) : 'an element outside the Tab order'} instead of ${describeStop(expected)}`,
+    });
+  }
+
+  if (orderElements.length > 0) {
+    violations.push({
+      ruleKey: 'ACC_KBD_05_FOCUS_ORDER_LOGICAL',
+      severity: 'serious',
+      message: 'Focus order does not follow the visual reading order of the page',
+      elements: orderElements,
+    });
+  }
+
+  const firstMain = forward.findIndex(stop => stop.inMain);
+  if (firstMain >= BYPASS_STOP_THRESHOLD && !forward.slice(0, firstMain).some(stop => stop.isSkipLink)) {
+    violations.push({
+      ruleKey: 'ACC_KBD_06_BYPASS_BLOCKS',
+      severity: 'serious',
+      message: 'Keyboard users must tab through repeated content before reaching the main content',
+      elements: [{
+        selector: forward[firstMain].selector,
+        html: forward[firstMain].html,
+        context: `Main content is reached after ${firstMain} tab stops and no skip link leads there`,
+      }],
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Find elements that react to clicks but cannot be reached with the keyboard
+ */
+export async function detectNonFocusableInteractive(page: Page, maxCandidates = 200): Promise<CustomViolation[]> {
+  const candidates = await page.evaluateHandle((limit: number) => {
+    const win = globalThis as any;
+    const doc = win.document;
+    const focusable = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, '
+      + 'audio[controls], video[controls], [contenteditable=""], [contenteditable="true"], [tabindex]:not([tabindex^="-"])';
+    const interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+      'menuitemradio', 'option', 'slider', 'spinbutton', 'combobox', 'textbox', 'searchbox', 'treeitem'];
+
+    const found: any[] = [];
+    const elements = doc.body ? doc.body.querySelectorAll('*') : [];
+    for (const element of Array.from(elements) as any[]) {
+      if (found.length >= limit) {
+        break;
+      }
+      const tag = element.tagName.toLowerCase();
+      if (['label', 'option', 'svg', 'path', 'script', 'style'].includes(tag) || element.matches(focusable)) {
+        continue;
+      }
+      // Clicks on children of a focusable control reach that control
+      if (element.parentElement && element.parentElement.closest(focusable)) {
+        continue;
+      }
+      const box = element.getBoundingClientRect();
+      if (box.width === 0 || box.height === 0) {
+        continue;
+      }
+
+      const role = (element.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase();
+      const pointer = win.getComputedStyle(element).cursor === 'pointer'
+        && (!element.parentElement || win.getComputedStyle(element.parentElement).cursor !== 'pointer');
+
+      if (element.hasAttribute('onclick') || interactiveRoles.includes(role)) {
+        element.__kbdReason = element.hasAttribute('onclick') ? 'onclick attribute' : `role="${role}"`;
+        found.push(element);
+      } else if (pointer) {
+        found.push(element);
+      }
+    }
+    return found;
+  }, maxCandidates);
+
+  const client = await page.target().createCDPSession();
+  const elements: CustomViolation['elements'] = [];
+
+  try {
+    const properties = await candidates.getProperties();
+    for (const handle of properties.values()) {
+      const objectId = handle.remoteObject().objectId;
+      if (!objectId) {
+        continue;
+      }
+
+      let reason: string | null = await handle.evaluate((element: any) => element.__kbdReason || null);
+      if (!reason) {
+        // Pointer cursors only count when the element actually listens for clicks
+        const { listeners } = await client.send('DOMDebugger.getEventListeners', { objectId }) as any;
+        const click = (listeners || []).find((listener: any) =>
+          ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'].includes(listener.type));
+        reason = click ? `${click.type} listener` : null;
+      }
+
+      if (reason) {
+        const details = await handle.evaluate((element: any) => ({
+          selector: element.id ? `#${element.id}` : element.tagName.toLowerCase()
+            + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''),
+          html: element.outerHTML.substring(0, 200),
+        }));
+        elements.push({ ...details, context: `Has a ${reason} but is not in the tab order` });
+      }
+    }
+  } finally {
+    await candidates.dispose();
+    await client.detach();
+  }
+
+  if (elements.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_KBD_04_INTERACTIVE_NOT_FOCUSABLE',
+    severity: 'serious',
+    message: 'Elements that respond to clicks must also be reachable and operable with the keyboard',
+    elements,
+  }];
+}
+
+/**
+ * Draw the focus path (numbered badges connected in tab order) over the page and screenshot it
+ */
+export async function captureFocusPathOverlay(page: Page, stops: FocusStop[]): Promise<Buffer | null> {
+  const visible = stops.filter(isVisible);
+  if (visible.length === 0) {
+    return null;
+  }
+
+  const size = await page.evaluate((points: Array<{ x: number; y: number; width: number; height: number; fixed: boolean }>) => {
+    const win = globalThis as any;
+    const doc = win.document;
+    const width = doc.documentElement.scrollWidth;
+    const height = doc.documentElement.scrollHeight;
+    const ns = 'http://www.w3.org/2000/svg';
+
+    const svg = doc.createElementNS(ns, 'svg');
+    svg.setAttribute('id', '__kbd-focus-path');
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+    svg.setAttribute('style', 'position:absolute;left:0;top:0;z-index:2147483647;pointer-events:none');
+
+    const centers = points.map(point => ({ x: point.x + point.width / 2, y: point.y + point.height / 2 }));
+    const line = doc.createElementNS(ns, 'polyline');
+    line.setAttribute('points', centers.map(center => `${center.x},${center.y}`).join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', '#d946ef');
+    line.setAttribute('stroke-width', '2');
+    line.setAttribute('stroke-dasharray', '6 4');
+    svg.appendChild(line);
+
+    points.forEach((point, index) => {
+      const box = doc.createElementNS(ns, 'rect');
+      box.setAttribute('x', String(point.x));
+      box.setAttribute('y', String(point.y));
+      box.setAttribute('width', String(point.width));
+      box.setAttribute('height', String(point.height));
+      box.setAttribute('fill', 'none');
+      box.setAttribute('stroke', point.fixed ? '#f59e0b' : '#d946ef');
+      box.setAttribute('stroke-width', '2');
+      svg.appendChild(box);
+
+      const badge = doc.createElementNS(ns, 'circle');
+      badge.setAttribute('cx', String(point.x));
+      badge.setAttribute('cy', String(point.y));
+      badge.setAttribute('r', '11');
+      badge.setAttribute('fill', '#86198f');
+      svg.appendChild(badge);
+
+      const label = doc.createElementNS(ns, 'text');
+      label.setAttribute('x', String(point.x));
+      label.setAttribute('y', String(point.y + 4));
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('font-size', '11');
+      label.setAttribute('font-family', 'sans-serif');
+      label.setAttribute('fill', '#ffffff');
+      label.textContent = String(index + 1);
+      svg.appendChild(label);
+    });
+
+    doc.documentElement.appendChild(svg);
+    return { width, height };
+  }, visible.map(stop => ({ ...stop.rect, fixed: stop.fixed })));
+
+  try {
+    const screenshot = await page.screenshot({
+      type: 'jpeg',
+      quality: 70,
+      clip: { x: 0, y: 0, width: size.width, height: Math.min(size.height, MAX_OVERLAY_HEIGHT) },
+      captureBeyondViewport: true,
+    });
+    return screenshot as Buffer;
+  } finally {
+    await page.evaluate(() => {
+      const overlay = (globalThis as any).document.getElementById('__kbd-focus-path');
+      if (overlay) {
+        overlay.remove();
+      }
+    });
+  }
+}
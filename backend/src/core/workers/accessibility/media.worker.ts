@@ -5,6 +5,9 @@ import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { AppError } from '@/types';
 import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
+import { recordScreenshotHighlights } from '@/core/workers/screenshotHighlights';
+import { CaptionTrackSource, evaluateTranscript, loadTranscript, resolveMediaUrl, validateCaptionTracks } from './captionTracks';
+import { getRuleWcagCriteria } from './ruleMapping';
 
 const logger = createLogger('media-worker');
 
@@ -15,6 +18,8 @@ interface MediaJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
 }
 
 interface MediaElement {
@@ -27,6 +32,13 @@ interface MediaElement {
   hasTranscript?: boolean;
   title?: string;
   alt?: string;
+  sources?: string[]; // src attributes of the element and its <source> children
+  tracks?: CaptionTrackSource[];
+}
+
+interface MediaContext {
+  assetPath: string;
+  baseUrl: string | null; // URL the stored HTML was captured from
 }
 
 interface MediaViolation {
@@ -38,7 +50,7 @@ interface MediaViolation {
 }
 
 // Media worker coordinates with other accessibility workers for job completion
-async function updateJobStatusCoordinated(analysisId: string, moduleId: string, workerName: string, status: 'running' | 'completed' | 'failed', errorMessage?: string) {
+async function updateJobStatusCoordinated(analysisId: string, moduleId: string, workerName: string, status: 'running' | 'completed' | 'failed', errorMessage?: string, pageId?: string | null) {
   if (status === 'running') {
     // Set job to running when first worker starts
     const { error } = await supabase
@@ -76,7 +88,7 @@ async function updateJobStatusCoordinated(analysisId: string, moduleId: string,
     }
 
     // Check if all accessibility workers are done
-    await checkAndUpdateAnalysisCompletion(analysisId, `media-worker-${status}`);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'media' });
   }
 }
 
@@ -144,6 +156,19 @@ async function loadStoredAsset(assetPath: string, filename: string): Promise<str
 async function detectMediaElements(page: Page): Promise<MediaElement[]> {
   return await page.evaluate(() => {
     const mediaElements: MediaElement[] = [];
+
+    // Raw attribute values, resolved against the page URL by the worker
+    const readSources = (media: any): string[] => [media, ...Array.from(media.querySelectorAll('source')) as any[]]
+      .map(source => source.getAttribute('src') || '')
+      .filter(Boolean);
+    const readCaptionTracks = (media: any) => (Array.from(media.querySelectorAll('track')) as any[])
+      .filter(track => track.getAttribute('kind') === 'captions' || track.getAttribute('kind') === 'subtitles')
+      .map(track => ({
+        kind: track.getAttribute('kind') || '',
+        src: track.getAttribute('src'),
+        srclang: track.getAttribute('srclang'),
+        label: track.getAttribute('label')
+      }));
     
     // Detect video elements
     const videos = document.querySelectorAll('video');
@@ -159,7 +184,9 @@ async function detectMediaElements(page: Page): Promise<MediaElement[]> {
         element: video.outerHTML,
         hasControls: video.hasAttribute('controls'),
         hasCaptions: captionTracks.some(track => track.getAttribute('kind') === 'captions'),
-        hasSubtitles: captionTracks.some(track => track.getAttribute('kind') === 'subtitles')
+        hasSubtitles: captionTracks.some(track => track.getAttribute('kind') === 'subtitles'),
+        sources: readSources(video),
+        tracks: readCaptionTracks(video)
       });
     });
     
@@ -171,7 +198,9 @@ async function detectMediaElements(page: Page): Promise<MediaElement[]> {
         src: audio.src || audio.currentSrc,
         element: audio.outerHTML,
         hasControls: audio.hasAttribute('controls'),
-        hasTranscript: false // Will be detected separately
+        hasTranscript: false, // Will be detected separately
+        sources: readSources(audio),
+        tracks: readCaptionTracks(audio)
       });
     });
     
@@ -199,14 +228,15 @@ async function detectMediaElements(page: Page): Promise<MediaElement[]> {
   });
 }
 
-async function detectTranscriptsNearAudio(page: Page, audioElement: MediaElement): Promise<boolean> {
+async function detectTranscriptsNearAudio(page: Page, audioElement: MediaElement): Promise<{ found: boolean; href: string | null }> {
   // Look for transcript links or text near audio elements
   return await page.evaluate((audioHtml) => {
+    const notFound = { found: false, href: null as string | null };
     const tempDiv = document.createElement('div');
     tempDiv.innerHTML = audioHtml;
     const audio = tempDiv.querySelector('audio');
     
-    if (!audio) return false;
+    if (!audio) return notFound;
     
     // Find the actual audio element in the document
     const allAudios = document.querySelectorAll('audio');
@@ -219,7 +249,7 @@ async function detectTranscriptsNearAudio(page: Page, audioElement: MediaElement
       }
     }
     
-    if (!targetAudio) return false;
+    if (!targetAudio) return notFound;
     
     // Look for transcript indicators within 200px of the audio element
     const audioRect = targetAudio.getBoundingClientRect();
@@ -240,12 +270,14 @@ async function detectTranscriptsNearAudio(page: Page, audioElement: MediaElement
       if (distance < 200) {
         const text = element.textContent?.toLowerCase() || '';
         if (transcriptKeywords.some(keyword => text.includes(keyword))) {
-          return true;
+          // Links are followed so the transcript itself can be checked
+          const link = (element as any).closest('a[href]');
+          return { found: true, href: link ? link.getAttribute('href') : null };
         }
       }
     }
     
-    return false;
+    return notFound;
   }, audioElement.element);
 }
 
@@ -279,7 +311,17 @@ async function analyzeEmbeddedVideoAccessibility(element: MediaElement): Promise
   return violations;
 }
 
-async function performMediaAnalysis(page: Page): Promise<MediaViolation[]> {
+async function analyzeCaptionFiles(page: Page, element: MediaElement, context: MediaContext): Promise<MediaViolation[]> {
+  const findings = await validateCaptionTracks(page, {
+    type: element.type === 'audio' ? 'audio' : 'video',
+    sources: element.sources || [],
+    tracks: element.tracks || []
+  }, context);
+
+  return findings.map(finding => ({ ...finding, element: element.element }));
+}
+
+async function performMediaAnalysis(page: Page, context: MediaContext): Promise<MediaViolation[]> {
   const violations: MediaViolation[] = [];
   
   // Detect all media elements on the page
@@ -304,6 +346,9 @@ async function performMediaAnalysis(page: Page): Promise<MediaViolation[]> {
           element: element.element,
           fixSuggestion: 'Add caption or subtitle tracks to the video element. Use <track kind="captions" src="captions.vtt" srclang="en" label="English Captions"> or <track kind="subtitles" src="subtitles.vtt" srclang="en" label="English Subtitles">. Captions include sound effects and music, while subtitles only include dialogue.'
         });
+      } else {
+        // A track element is only as good as the file behind it
+        violations.push(...await analyzeCaptionFiles(page, element, context));
       }
       
       // Check for video audio descriptions
@@ -342,9 +387,9 @@ async function performMediaAnalysis(page: Page): Promise<MediaViolation[]> {
     } 
     else if (element.type === 'audio') {
       // Check for audio transcripts
-      const hasNearbyTranscript = await detectTranscriptsNearAudio(page, element);
+      const transcript = await detectTranscriptsNearAudio(page, element);
       
-      if (!hasNearbyTranscript) {
+      if (!transcript.found) {
         violations.push({
           ruleKey: 'ACC_MED_02_AUDIO_TRANSCRIPT',
           severity: 'critical',
@@ -352,7 +397,14 @@ async function performMediaAnalysis(page: Page): Promise<MediaViolation[]> {
           element: element.element,
           fixSuggestion: 'Provide a text transcript of the audio content. Link to or display the transcript near the audio element. The transcript should include all spoken content, sound effects, and music descriptions.'
         });
+      } else if (transcript.href && !transcript.href.startsWith('#')) {
+        const transcriptUrl = resolveMediaUrl(transcript.href, context.baseUrl);
+        if (transcriptUrl) {
+          const findings = evaluateTranscript(transcriptUrl, await loadTranscript(transcriptUrl));
+          violations.push(...findings.map(finding => ({ ...finding, element: element.element })));
+        }
       }
+      violations.push(...await analyzeCaptionFiles(page, element, context));
       
       // Check for audio controls
       if (!element.hasControls) {
@@ -466,7 +518,7 @@ async function performMediaAnalysis(page: Page): Promise<MediaViolation[]> {
 }
 
 async function processMediaAnalysis(job: Job<MediaJobData>) {
-  const { analysisId, workspaceId, assetPath } = job.data;
+  const { analysisId, workspaceId, assetPath, metadata, pageId, pageIndex } = job.data;
   
   logger.info('Starting media accessibility analysis', { 
     analysisId, 
@@ -511,7 +563,10 @@ async function processMediaAnalysis(job: Job<MediaJobData>) {
     await page.waitForTimeout(2000);
     
     // Perform media accessibility analysis
-    const violations = await performMediaAnalysis(page);
+    const violations = await performMediaAnalysis(page, {
+      assetPath,
+      baseUrl: metadata?.finalUrl || metadata?.url || null
+    });
     
     logger.info('Media analysis complete', {
       violationsFound: violations.length,
@@ -530,12 +585,14 @@ async function processMediaAnalysis(job: Job<MediaJobData>) {
 
       const issue = {
         analysis_job_id: moduleJobInfo.jobId,
+        analysis_page_id: pageId || null,
         rule_id: ruleId,
         severity: violation.severity,
         location_path: 'Media element',
         code_snippet: violation.element,
         message: violation.message,
-        fix_suggestion: violation.fixSuggestion
+        fix_suggestion: violation.fixSuggestion,
+        wcag_criteria: getRuleWcagCriteria(violation.ruleKey)
       };
 
       issuePromises.push(
@@ -556,8 +613,11 @@ async function processMediaAnalysis(job: Job<MediaJobData>) {
     // Wait for all issues to be inserted
     await Promise.all(issuePromises);
 
+    // Mark the elements on the root page screenshots
+    await recordScreenshotHighlights(page, { analysisId, jobId: moduleJobInfo.jobId, pageId, pageIndex, table: 'accessibility_issues' });
+
     // Update job status to completed
-    await updateJobStatusCoordinated(analysisId, moduleJobInfo.moduleId, 'media-worker', 'completed');
+    await updateJobStatusCoordinated(analysisId, moduleJobInfo.moduleId, 'media-worker', 'completed', undefined, pageId);
     
     logger.info('Media analysis job completed successfully', { analysisId });
 
@@ -570,7 +630,8 @@ async function processMediaAnalysis(job: Job<MediaJobData>) {
         moduleJobInfo.moduleId, 
         'media-worker', 
         'failed', 
-        error instanceof Error ? error.message : 'Unknown error'
+        error instanceof Error ? error.message : 'Unknown error',
+        pageId
       );
     }
     
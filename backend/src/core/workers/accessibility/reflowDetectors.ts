@@ -0,0 +1,265 @@
+/**
+ * Reflow and Text Spacing Detectors
+ *
+ * WCAG 1.4.10 (Reflow): content must fit 320 CSS px without horizontal scrolling
+ * or losing content. WCAG 1.4.12 (Text Spacing): content must survive the user
+ * increasing line, paragraph, letter and word spacing. Both checks re-render the
+ * page and compare against the original layout, so clipping that was already
+ * there (carousels, truncated teasers) is not reported again.
+ */
+
+import { Page } from 'puppeteer';
+import { CustomViolation } from './customRuleDetectors';
+
+interface LayoutFinding {
+  selector: string;
+  html: string;
+  context: string;
+  rect: { x: number; y: number; width: number; height: number };
+}
+
+// 1280x1024 at 400% zoom
+export const REFLOW_VIEWPORT = { width: 320, height: 256 };
+// Overrides from WCAG 1.4.12
+export const TEXT_SPACING_CSS = `
+  * { line-height: 1.5 !important; letter-spacing: 0.12em !important; word-spacing: 0.16em !important; }
+  p { margin-bottom: 2em !important; }
+`;
+export const MAX_LAYOUT_FINDINGS = 25;
+
+/**
+ * Find text that is clipped by an overflow container or spills out of its box.
+ * The 'baseline' phase remembers what is clipped in the original layout under
+ * `key`; the 'check' phase only returns elements that were fine before.
+ */
+function findClippedText(phase: 'baseline' | 'check', key: string, limit: number): LayoutFinding[] {
+  const win = globalThis as any;
+  const doc = win.document;
+  const found: LayoutFinding[] = [];
+  const skipped = ['script', 'style', 'noscript', 'template', 'svg', 'img', 'video', 'canvas', 'iframe', 'select', 'textarea', 'input', 'option'];
+
+  if (phase === 'baseline') {
+    win[key] = new WeakSet();
+  }
+  const baseline = win[key] || new WeakSet();
+
+  const elements = doc.body ? Array.from(doc.body.querySelectorAll('*')) as any[] : [];
+  for (const element of elements) {
+    if (phase === 'check' && found.length >= limit) {
+      break;
+    }
+    if (skipped.includes(element.tagName.toLowerCase())) {
+      continue;
+    }
+    const hasText = Array.from(element.childNodes).some((node: any) => node.nodeType === 3 && node.textContent.trim().length > 0);
+    if (!hasText) {
+      continue;
+    }
+    const box = element.getBoundingClientRect();
+    if (box.width === 0 || box.height === 0) {
+      continue;
+    }
+
+    const style = win.getComputedStyle(element);
+    let reason: string | null = null;
+
+    const clipsSelf = style.overflowX !== 'visible' || style.overflowY !== 'visible';
+    const overflowsSelf = element.scrollWidth > element.clientWidth + 1 || element.scrollHeight > element.clientHeight + 1;
+    if (overflowsSelf) {
+      reason = clipsSelf ? 'Text is cut off inside its own box' : 'Text overflows its box and overlaps surrounding content';
+    }
+
+    // Text pushed outside an ancestor that hides overflow
+    for (let ancestor = element.parentElement; !reason && ancestor && ancestor !== doc.body; ancestor = ancestor.parentElement) {
+      const ancestorStyle = win.getComputedStyle(ancestor);
+      if (ancestorStyle.overflowX === 'visible' && ancestorStyle.overflowY === 'visible') {
+        continue;
+      }
+      if (['auto', 'scroll'].includes(ancestorStyle.overflowX) || ['auto', 'scroll'].includes(ancestorStyle.overflowY)) {
+        break; // Scrollable containers keep the text reachable
+      }
+      const bounds = ancestor.getBoundingClientRect();
+      if (box.right > bounds.right + 1 || box.bottom > bounds.bottom + 1 || box.left < bounds.left - 1 || box.top < bounds.top - 1) {
+        reason = 'Text is cut off by a container that hides overflow';
+      }
+      break;
+    }
+
+    if (!reason) {
+      continue;
+    }
+    if (phase === 'baseline') {
+      baseline.add(element);
+      continue;
+    }
+    if (baseline.has(element)) {
+      continue;
+    }
+
+    found.push({
+      selector: element.id ? `#${element.id}` : element.tagName.toLowerCase()
+        + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''),
+      html: element.outerHTML.substring(0, 200),
+      context: reason,
+      rect: {
+        x: Math.round(box.left + win.scrollX),
+        y: Math.round(box.top + win.scrollY),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Find the outermost elements that stick out of the viewport horizontally.
+ * Content that needs two-dimensional layout (tables, media, maps) is exempt.
+ */
+function findHorizontalOverflow(limit: number): { scrollWidth: number; elements: LayoutFinding[] } {
+  const win = globalThis as any;
+  const doc = win.document;
+  const viewportWidth = win.innerWidth;
+  const scrollWidth = doc.documentElement.scrollWidth;
+  const exempt = 'table, pre, video, canvas, iframe, svg, [role="application"], [role="grid"], [role="toolbar"]';
+  const found: LayoutFinding[] = [];
+
+  if (scrollWidth <= viewportWidth + 1) {
+    return { scrollWidth, elements: found };
+  }
+
+  const sticksOut = (element: any): boolean => {
+    const box = element.getBoundingClientRect();
+    return box.width > 0 && box.height > 0 && (box.right > viewportWidth + 1 || box.left < -1);
+  };
+
+  const elements = doc.body ? Array.from(doc.body.querySelectorAll('*')) as any[] : [];
+  for (const element of elements) {
+    if (found.length >= limit) {
+      break;
+    }
+    if (!sticksOut(element) || element.closest(exempt)) {
+      continue;
+    }
+    // Only the outermost offender, its children stick out because of it
+    if (element.parentElement && element.parentElement !== doc.body && sticksOut(element.parentElement)) {
+      continue;
+    }
+    // Content inside a scroll container does not scroll the page
+    let contained = false;
+    for (let ancestor = element.parentElement; ancestor && ancestor !== doc.body; ancestor = ancestor.parentElement) {
+      if (win.getComputedStyle(ancestor).overflowX !== 'visible') {
+        contained = true;
+        break;
+      }
+    }
+    if (contained) {
+      continue;
+    }
+
+    const box = element.getBoundingClientRect();
+    found.push({
+      selector: element.id ? `#${element.id}` : element.tagName.toLowerCase()
+        + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''),
+      html: element.outerHTML.substring(0, 200),
+      context: `Element is ${Math.round(box.width)}px wide and extends to ${Math.round(box.right)}px in a ${viewportWidth}px viewport`,
+      rect: {
+        x: Math.round(box.left + win.scrollX),
+        y: Math.round(box.top + win.scrollY),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+    });
+  }
+
+  return { scrollWidth, elements: found };
+}
+
+/**
+ * Re-render the page at 320 CSS px and report horizontal scrolling and newly clipped text
+ * (ACC_CLR_07_REFLOW_CONTENT). The original viewport is restored afterwards.
+ */
+export async function detectReflowViolations(page: Page): Promise<CustomViolation[]> {
+  const original = page.viewport();
+
+  await page.evaluate(findClippedText, 'baseline', '__reflowClipped', MAX_LAYOUT_FINDINGS);
+  await page.setViewport(REFLOW_VIEWPORT);
+  await page.waitForTimeout(200);
+
+  let overflow: { scrollWidth: number; elements: LayoutFinding[] };
+  let clipped: LayoutFinding[];
+  try {
+    overflow = await page.evaluate(findHorizontalOverflow, MAX_LAYOUT_FINDINGS);
+    clipped = await page.evaluate(findClippedText, 'check', '__reflowClipped', MAX_LAYOUT_FINDINGS);
+  } finally {
+    if (original) {
+      await page.setViewport(original);
+    }
+  }
+
+  const elements: CustomViolation['elements'] = [...overflow.elements];
+  if (overflow.scrollWidth > REFLOW_VIEWPORT.width + 1 && elements.length === 0) {
+    // The page scrolls but no single element could be blamed
+    elements.push({
+      selector: 'html',
+      html: '<html>',
+      context: `Page is ${overflow.scrollWidth}px wide in a ${REFLOW_VIEWPORT.width}px viewport`,
+      rect: { x: 0, y: 0, width: overflow.scrollWidth, height: REFLOW_VIEWPORT.height },
+    });
+  }
+  elements.push(...clipped);
+
+  if (elements.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_CLR_07_REFLOW_CONTENT',
+    severity: 'moderate',
+    message: `Content must reflow at ${REFLOW_VIEWPORT.width} CSS pixels without horizontal scrolling or clipping`,
+    elements: elements.slice(0, MAX_LAYOUT_FINDINGS),
+    viewport: { ...REFLOW_VIEWPORT },
+  }];
+}
+
+/**
+ * Apply the WCAG 1.4.12 text spacing overrides and report text that gets clipped or
+ * overflows its container (ACC_CLR_06_TEXT_SPACING). The overrides are removed afterwards.
+ */
+export async function detectTextSpacingViolations(page: Page): Promise<CustomViolation[]> {
+  const viewport = page.viewport();
+
+  await page.evaluate(findClippedText, 'baseline', '__spacingClipped', MAX_LAYOUT_FINDINGS);
+  await page.evaluate((css: string) => {
+    const doc = (globalThis as any).document;
+    const style = doc.createElement('style');
+    style.id = '__wcag-text-spacing';
+    style.textContent = css;
+    doc.head.appendChild(style);
+  }, TEXT_SPACING_CSS);
+
+  let clipped: LayoutFinding[];
+  try {
+    clipped = await page.evaluate(findClippedText, 'check', '__spacingClipped', MAX_LAYOUT_FINDINGS);
+  } finally {
+    await page.evaluate(() => {
+      const style = (globalThis as any).document.getElementById('__wcag-text-spacing');
+      if (style) {
+        style.remove();
+      }
+    });
+  }
+
+  if (clipped.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_CLR_06_TEXT_SPACING',
+    severity: 'moderate',
+    message: 'Text must not be cut off or overlap when users increase line, letter, word and paragraph spacing',
+    elements: clipped,
+    ...(viewport ? { viewport: { width: viewport.width, height: viewport.height } } : {}),
+  }];
+}
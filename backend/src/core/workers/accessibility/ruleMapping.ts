@@ -36,7 +36,8 @@ export const AXE_TO_DATABASE_MAPPING: RuleMapping = {
   'aria-valid-attr-value': 'ACC_ARIA_03_INVALID_ATTR_VALUE',
   
   // Note: aria-labelledby, aria-describedby, aria-expanded, aria-controls
-  // are not standalone axe-core rules - they are handled by custom detection
+  // are not standalone axe-core rules - ariaRelationshipDetectors.ts reports
+  // ACC_ARIA_04, ACC_ARIA_07, ACC_ARIA_08, ACC_ARIA_09 and ACC_ARIA_10
   
   // ====================================
   // FORM & INPUT RULES MAPPING
@@ -224,6 +225,9 @@ export const RULE_CATEGORY_MAPPING = {
   'ACC_FRM_13_AUTOCOMPLETE_MISSING': 'forms-input',
   'ACC_FRM_14_INPUT_FORMAT_UNCLEAR': 'forms-input',
   'ACC_FRM_15_CHANGE_OF_CONTEXT': 'forms-input',
+  'ACC_FRM_16_TARGET_SIZE_MINIMUM': 'forms-input',
+  'ACC_FRM_17_REDUNDANT_ENTRY': 'forms-input',
+  'ACC_FRM_18_ACCESSIBLE_AUTHENTICATION': 'forms-input',
 
   // ARIA Implementation category
   'ACC_ARIA_01_ROLE_INVALID': 'aria',
@@ -246,6 +250,9 @@ export const RULE_CATEGORY_MAPPING = {
   'ACC_KBD_06_BYPASS_BLOCKS': 'keyboard',
   'ACC_KBD_07_KEYBOARD_SHORTCUTS': 'keyboard',
   'ACC_KBD_08_ACCESS_KEY_DUPLICATE': 'keyboard',
+  'ACC_KBD_09_FOCUS_NOT_OBSCURED': 'keyboard',
+  'ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED': 'keyboard',
+  'ACC_KBD_11_DRAGGING_MOVEMENTS': 'keyboard',
 
   // Color & Visual Design category
   'ACC_CLR_01_TEXT_CONTRAST_RATIO': 'color-visual',
@@ -269,6 +276,7 @@ export const RULE_CATEGORY_MAPPING = {
   'ACC_STR_10_LANDMARK_MISSING': 'content-structure',
   'ACC_STR_11_LANDMARK_DUPLICATE': 'content-structure',
   'ACC_STR_12_LIST_STRUCTURE_INVALID': 'content-structure',
+  'ACC_STR_13_CONSISTENT_HELP': 'content-structure',
 
   // Tables & Data Presentation category
   'ACC_TBL_01_HEADER_MISSING': 'tables-data',
@@ -333,4 +341,121 @@ export const RULE_CATEGORY_MAPPING = {
  */
 export function getRuleCategory(ruleKey: string): string {
   return RULE_CATEGORY_MAPPING[ruleKey] || 'general';
-}
\ No newline at end of file
+}
+/**
+ * WCAG success criteria for accessibility rules
+ * Maps database rule keys (and the axe-core rule IDs used as keys as-is) to the criteria
+ * they check, stored in accessibility_issues.wcag_criteria
+ */
+export const RULE_WCAG_CRITERIA: { [ruleKey: string]: string[] } = {
+  // Images & Media
+  'ACC_IMG_01_ALT_TEXT_MISSING': ['1.1.1'],
+  'ACC_IMG_02_ALT_TEXT_DECORATIVE': ['1.1.1'],
+  'ACC_IMG_03_ALT_TEXT_INFORMATIVE': ['1.1.1'],
+  'ACC_IMG_04_COMPLEX_IMAGE_DESC': ['1.1.1'],
+  'ACC_IMG_05_IMAGE_TEXT_REDUNDANT': ['1.1.1'],
+  'ACC_MED_01_VIDEO_CAPTIONS': ['1.2.2'],
+  'ACC_MED_02_AUDIO_TRANSCRIPT': ['1.2.1'],
+  'ACC_MED_03_VIDEO_AUDIO_DESC': ['1.2.5'],
+
+  // Forms & Input
+  'ACC_FRM_01_LABEL_MISSING': ['3.3.2'],
+  'ACC_FRM_02_LABEL_FOR_ID_MISMATCH': ['1.3.1'],
+  'ACC_FRM_03_LABEL_HIDDEN': ['3.3.2'],
+  'ACC_FRM_04_FIELDSET_LEGEND_MISSING': ['1.3.1'],
+  'ACC_FRM_05_REQUIRED_INDICATION': ['3.3.2'],
+  'ACC_FRM_06_ERROR_IDENTIFICATION': ['3.3.1'],
+  'ACC_FRM_07_ERROR_SUGGESTION': ['3.3.3'],
+  'ACC_FRM_08_INPUT_PURPOSE': ['1.3.5'],
+  'ACC_FRM_09_PLACEHOLDER_LABEL': ['3.3.2'],
+  'ACC_FRM_10_BUTTON_NAME_MISSING': ['4.1.2'],
+  'ACC_FRM_11_SUBMIT_BUTTON_GENERIC': ['2.4.6'],
+  'ACC_FRM_12_FORM_INSTRUCTION_MISSING': ['3.3.2'],
+  'ACC_FRM_13_AUTOCOMPLETE_MISSING': ['1.3.5'],
+  'ACC_FRM_14_INPUT_FORMAT_UNCLEAR': ['3.3.2'],
+  'ACC_FRM_15_CHANGE_OF_CONTEXT': ['3.2.2'],
+  'ACC_FRM_16_TARGET_SIZE_MINIMUM': ['2.5.8'],
+  'ACC_FRM_17_REDUNDANT_ENTRY': ['3.3.7'],
+  'ACC_FRM_18_ACCESSIBLE_AUTHENTICATION': ['3.3.8'],
+
+  // ARIA Implementation
+  'ACC_ARIA_01_ROLE_INVALID': ['4.1.2'],
+  'ACC_ARIA_02_REQUIRED_ATTR_MISSING': ['4.1.2'],
+  'ACC_ARIA_03_INVALID_ATTR_VALUE': ['4.1.2'],
+  'ACC_ARIA_04_REDUNDANT_ROLE': ['4.1.2'],
+  'ACC_ARIA_05_HIDDEN_FOCUSABLE': ['4.1.2'],
+  'ACC_ARIA_06_LIVE_REGION_MISSING': ['4.1.3'],
+  'ACC_ARIA_07_LABELLEDBY_MISSING': ['4.1.2'],
+  'ACC_ARIA_08_DESCRIBEDBY_MISSING': ['1.3.1'],
+  'ACC_ARIA_09_EXPANDED_MISSING': ['4.1.2'],
+  'ACC_ARIA_10_CONTROLS_MISSING': ['1.3.1'],
+
+  // Keyboard Navigation
+  'ACC_KBD_01_FOCUS_VISIBLE': ['2.4.7'],
+  'ACC_KBD_02_KEYBOARD_TRAP': ['2.1.2'],
+  'ACC_KBD_03_TABINDEX_POSITIVE': ['2.4.3'],
+  'ACC_KBD_04_INTERACTIVE_NOT_FOCUSABLE': ['2.1.1'],
+  'ACC_KBD_05_FOCUS_ORDER_LOGICAL': ['2.4.3'],
+  'ACC_KBD_06_BYPASS_BLOCKS': ['2.4.1'],
+  'ACC_KBD_07_KEYBOARD_SHORTCUTS': ['2.1.4'],
+  'ACC_KBD_08_ACCESS_KEY_DUPLICATE': ['2.1.1'],
+  'ACC_KBD_09_FOCUS_NOT_OBSCURED': ['2.4.11'],
+  'ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED': ['2.4.12'],
+  'ACC_KBD_11_DRAGGING_MOVEMENTS': ['2.5.7'],
+
+  // Color & Visual Design
+  'ACC_CLR_01_TEXT_CONTRAST_RATIO': ['1.4.3'],
+  'ACC_CLR_02_LARGE_TEXT_CONTRAST': ['1.4.3'],
+  'ACC_CLR_03_NON_TEXT_CONTRAST': ['1.4.11'],
+  'ACC_CLR_04_COLOR_ONLY_MEANING': ['1.4.1'],
+  'ACC_CLR_05_FOCUS_CONTRAST': ['1.4.11'],
+  'ACC_CLR_06_TEXT_SPACING': ['1.4.12'],
+  'ACC_CLR_07_REFLOW_CONTENT': ['1.4.10'],
+  'color-contrast': ['1.4.3'],
+  'color-contrast-enhanced': ['1.4.6'],
+  'link-in-text-block': ['1.4.1'],
+
+  // Content Structure
+  'ACC_STR_01_HEADING_ORDER': ['1.3.1'],
+  'ACC_STR_02_NO_H1': ['1.3.1'],
+  'ACC_STR_03_MULTIPLE_H1': ['1.3.1'],
+  'ACC_STR_04_PAGE_LANG_MISSING': ['3.1.1'],
+  'ACC_STR_05_ELEMENT_LANG_MISSING': ['3.1.2'],
+  'ACC_STR_06_PAGE_TITLE_MISSING': ['2.4.2'],
+  'ACC_STR_07_PAGE_TITLE_UNINFORMATIVE': ['2.4.2'],
+  'ACC_STR_08_SKIP_LINK_MISSING': ['2.4.1'],
+  'ACC_STR_09_SKIP_LINK_BROKEN': ['2.4.1'],
+  'ACC_STR_10_LANDMARK_MISSING': ['1.3.1'],
+  'ACC_STR_11_LANDMARK_DUPLICATE': ['1.3.1'],
+  'ACC_STR_12_LIST_STRUCTURE_INVALID': ['1.3.1'],
+  'ACC_STR_13_CONSISTENT_HELP': ['3.2.6'],
+  'skip-link': ['2.4.1'],
+
+  // Tables & Data Presentation
+  'ACC_TBL_01_HEADER_MISSING': ['1.3.1'],
+  'ACC_TBL_02_CAPTION_MISSING': ['1.3.1'],
+  'ACC_TBL_03_SCOPE_MISSING': ['1.3.1'],
+  'ACC_TBL_04_COMPLEX_TABLE_HEADERS': ['1.3.1'],
+  'ACC_TBL_05_LAYOUT_TABLE_HEADERS': ['1.3.1'],
+};
+
+/**
+ * Success criteria that WCAG 2.2 added, used to point them out in reports
+ */
+export const WCAG22_NEW_CRITERIA = ['2.4.11', '2.4.12', '2.4.13', '2.5.7', '2.5.8', '3.2.6', '3.3.7', '3.3.8', '3.3.9'];
+
+/**
+ * Get the WCAG success criteria of an issue as stored in accessibility_issues.wcag_criteria
+ * @param ruleKey - Database rule key or axe-core rule ID
+ * @param axeTags - Tags of the axe-core rule (e.g. 'wcag412'); they name the exact criteria
+ * @returns Comma separated criteria (e.g. '1.4.3, 1.4.6') or null if the rule has none
+ */
+export function getRuleWcagCriteria(ruleKey: string, axeTags: string[] = []): string | null {
+  const fromTags = axeTags
+    .map(tag => tag.match(/^wcag(\d)(\d)(\d{1,2})$/))
+    .filter((match): match is RegExpMatchArray => match !== null)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+
+  const criteria = fromTags.length > 0 ? [...new Set(fromTags)] : RULE_WCAG_CRITERIA[ruleKey] || [];
+  return criteria.length > 0 ? criteria.join(', ') : null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Screen Reader BullMQ Worker
+ * Consumes jobs from screen-reader-analysis queue and stores the screen reader transcript
+ * of the page. The transcript is an artifact for the report; no issues are recorded.
+ */
+
+import { Job, Worker } from 'bullmq';
+import puppeteer, { Browser } from 'puppeteer';
+import { config } from '@/config';
+import { createLogger } from '@/config/logger';
+import { supabase } from '@/config/supabase';
+import { AppError } from '@/types';
+import { SCREEN_READER_TRANSCRIPT_FILE, captureScreenReaderTranscript } from './screenReaderTranscript';
+import { checkAndUpdateAnalysisCompletion } from '../master.worker';
+
+const logger = createLogger('screen-reader-worker');
+
+interface ScreenReaderJobData {
+  analysisId: string;
+  workspaceId: string;
+  websiteId: string;
+  userId: string;
+  assetPath: string;
+  metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
+}
+
+async function processScreenReaderAnalysis(job: Job<ScreenReaderJobData>) {
+  const { analysisId, assetPath, metadata, pageId } = job.data;
+
+  logger.info('Starting screen reader transcript', { analysisId, assetPath });
+
+  let browser: Browser | null = null;
+
+  try {
+    const { data, error } = await supabase.storage
+      .from('analysis-assets')
+      .download(`${assetPath}/html/index.html`);
+
+    if (error || !data) {
+      throw new AppError(`Failed to download stored asset: ${assetPath}/html/index.html`, 500, true, 'ASSET_DOWNLOAD_ERROR');
+    }
+
+    browser = await puppeteer.launch({
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+      ],
+    });
+
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1280, height: 800 });
+    await page.setContent(await data.text(), {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+
+    const transcript = await captureScreenReaderTranscript(page, metadata?.finalUrl || metadata?.url || null);
+
+    const { error: uploadError } = await supabase.storage
+      .from('analysis-assets')
+      .upload(`${assetPath}/${SCREEN_READER_TRANSCRIPT_FILE}`, JSON.stringify(transcript), {
+        contentType: 'application/json',
+        upsert: true,
+      });
+
+    if (uploadError) {
+      throw new AppError('Failed to store the screen reader transcript', 500, true, 'ASSET_UPLOAD_ERROR');
+    }
+
+    logger.info('Screen reader transcript stored', {
+      analysisId,
+      lines: transcript.summary.lines,
+      unnamed: transcript.summary.unnamed,
+      readingOrder: transcript.summary.readingOrder
+    });
+
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'screenReader' });
+
+    return {
+      success: true,
+      analysisId,
+      lines: transcript.summary.lines
+    };
+
+  } catch (error) {
+    logger.error('Screen reader transcript failed', { error: error.message, analysisId });
+
+    // A page without a transcript still counts as processed so the analysis can finish
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'screenReader' });
+
+    throw error;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// Create and export the worker
+export const screenReaderWorker = new Worker(
+  'screen-reader-analysis',
+  processScreenReaderAnalysis,
+  {
+    connection: config.redis,
+    concurrency: 2,
+  }
+);
+
+screenReaderWorker.on('failed', (job, err) => {
+  logger.error('Screen reader job failed', {
+    jobId: job?.id,
+    analysisId: job?.data?.analysisId,
+    error: err.message
+  });
+});
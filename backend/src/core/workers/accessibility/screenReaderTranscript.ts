@@ -0,0 +1,356 @@
+/**
+ * Screen Reader Transcript
+ *
+ * Linearises Chromium's accessibility tree the way a screen reader in browse mode reads a
+ * page: one line per heading, landmark, control, image and run of text, with its role, name
+ * and states. Controls and images without an accessible name are flagged, and so is content
+ * that is read after something it is shown above and to the left of, which usually means
+ * CSS has reordered it. The transcript is stored as a JSON artifact next to the page HTML.
+ */
+
+import { CDPSession, Page } from 'puppeteer';
+
+type Rect = { x: number; y: number; width: number; height: number };
+
+export type TranscriptFlag = 'unnamed' | 'reading-order';
+
+export interface TranscriptLine {
+  index: number;
+  depth: number; // Nesting in landmarks, lists, tables and dialogs
+  role: string;
+  name: string;
+  states: string[];
+  announcement: string; // What a screen reader says for the line
+  level?: number; // Heading level
+  rect?: Rect; // Document coordinates
+  selector?: string; // Only resolved for flagged lines
+  flags: TranscriptFlag[];
+  note?: string;
+}
+
+export interface ScreenReaderTranscript {
+  url: string | null;
+  capturedAt: string;
+  truncated: boolean;
+  lines: TranscriptLine[];
+  headings: { level: number; name: string; line: number }[];
+  landmarks: { role: string; name: string; line: number }[];
+  summary: {
+    lines: number;
+    unnamed: number;
+    readingOrder: number;
+  };
+}
+
+// Accessibility.AXNode as returned by Accessibility.getFullAXTree
+export interface AXNodeRecord {
+  nodeId: string;
+  ignored?: boolean;
+  role?: { value?: string };
+  name?: { value?: string };
+  value?: { value?: unknown };
+  properties?: { name: string; value: { value?: unknown } }[];
+  childIds?: string[];
+  parentId?: string;
+  backendDOMNodeId?: number;
+}
+
+export interface LinearizedLine {
+  line: TranscriptLine;
+  backendNodeId?: number;
+  parentId?: string; // AX parent, used to merge text split by inline markup
+}
+
+export const SCREEN_READER_TRANSCRIPT_FILE = 'a11y/screen-reader-transcript.json';
+export const MAX_TRANSCRIPT_LINES = 2000;
+// Content must sit this far above the line read before it to count as out of order
+export const READING_ORDER_TOLERANCE = 8;
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'search'];
+// Regions and forms are only landmarks when they are named
+const NAMED_LANDMARK_ROLES = ['region', 'form'];
+const CONTAINER_ROLES = ['list', 'table', 'grid', 'treegrid', 'dialog', 'alertdialog', 'tablist', 'menu', 'menubar', 'listbox', 'radiogroup', 'tree'];
+const CONTROL_ROLES = [
+  'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'slider', 'spinbutton', 'switch',
+  'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem',
+];
+const IMAGE_ROLES = ['image', 'img'];
+const SKIPPED_ROLES = ['InlineTextBox', 'ListMarker', 'LineBreak'];
+
+const ROLE_NAMES: { [role: string]: string } = {
+  contentinfo: 'content info',
+  complementary: 'complementary',
+  textbox: 'edit text',
+  searchbox: 'search edit text',
+  combobox: 'combo box',
+  spinbutton: 'spin button',
+  menuitem: 'menu item',
+  menuitemcheckbox: 'menu item check box',
+  menuitemradio: 'menu item radio button',
+  radio: 'radio button',
+  checkbox: 'check box',
+  treeitem: 'tree item',
+  tablist: 'tab list',
+  menubar: 'menu bar',
+  listbox: 'list box',
+  radiogroup: 'radio group',
+  alertdialog: 'alert dialog',
+  img: 'image',
+};
+
+function property(node: AXNodeRecord, name: string): unknown {
+  return node.properties?.find(entry => entry.name === name)?.value?.value;
+}
+
+function statesOf(node: AXNodeRecord, role: string): string[] {
+  const states: string[] = [];
+  const checked = property(node, 'checked');
+  if (checked !== undefined && ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+    states.push(checked === 'mixed' ? 'partially checked' : checked === 'true' || checked === true ? 'checked' : 'not checked');
+  }
+  const pressed = property(node, 'pressed');
+  if (pressed !== undefined) {
+    states.push(pressed === 'true' || pressed === true ? 'pressed' : pressed === 'mixed' ? 'partially pressed' : 'not pressed');
+  }
+  const expanded = property(node, 'expanded');
+  if (expanded !== undefined) {
+    states.push(expanded === true || expanded === 'true' ? 'expanded' : 'collapsed');
+  }
+  if (property(node, 'selected') === true && ['tab', 'option', 'treeitem'].includes(role)) {
+    states.push('selected');
+  }
+  if (property(node, 'required') === true) {
+    states.push('required');
+  }
+  const invalid = property(node, 'invalid');
+  if (invalid !== undefined && invalid !== 'false' && invalid !== false) {
+    states.push('invalid entry');
+  }
+  if (property(node, 'disabled') === true) {
+    states.push('unavailable');
+  }
+  return states;
+}
+
+/**
+ * Announcement for a line, e.g. `heading level 2, Pricing` or `check box, Subscribe, not checked`.
+ */
+export function announce(line: Pick<TranscriptLine, 'role' | 'name' | 'states' | 'level'>, extra?: string): string {
+  if (line.role === 'StaticText') {
+    return line.name;
+  }
+  const isLandmark = LANDMARK_ROLES.includes(line.role) || NAMED_LANDMARK_ROLES.includes(line.role);
+  const roleName = `${ROLE_NAMES[line.role] || line.role}${line.role === 'heading' && line.level ? ` level ${line.level}` : ''}${isLandmark ? ' landmark' : ''}`;
+  const name = line.name || (CONTROL_ROLES.includes(line.role) || IMAGE_ROLES.includes(line.role) ? 'unlabelled' : '');
+  return [roleName, name, ...line.states, extra].filter(Boolean).join(', ');
+}
+
+/**
+ * Walk the tree in reading order and turn it into transcript lines. Names of headings,
+ * controls and images already contain their text, so their subtrees are not read again.
+ */
+export function linearizeAxTree(nodes: AXNodeRecord[], limit: number = MAX_TRANSCRIPT_LINES): { lines: LinearizedLine[]; truncated: boolean } {
+  const byId = new Map(nodes.map(node => [node.nodeId, node]));
+  const root = nodes.find(node => !node.parentId) || nodes[0];
+  const lines: LinearizedLine[] = [];
+  let truncated = false;
+
+  const push = (node: AXNodeRecord, role: string, depth: number, extra?: string) => {
+    if (lines.length >= limit) {
+      truncated = true;
+      return;
+    }
+    const name = String(node.name?.value ?? '').replace(/\s+/g, ' ').trim();
+    const level = role === 'heading' ? Number(property(node, 'level')) || undefined : undefined;
+    const states = statesOf(node, role);
+    const unnamed = !name && (CONTROL_ROLES.includes(role) || IMAGE_ROLES.includes(role));
+    lines.push({
+      line: {
+        index: lines.length,
+        depth,
+        role,
+        name,
+        states,
+        announcement: announce({ role, name, states, level }, extra),
+        ...(level ? { level } : {}),
+        flags: unnamed ? ['unnamed'] : [],
+        ...(unnamed ? { note: `This ${ROLE_NAMES[role] || role} has no accessible name, so a screen reader only announces its role` } : {}),
+      },
+      backendNodeId: node.backendDOMNodeId,
+      parentId: node.parentId,
+    });
+  };
+
+  const visit = (node: AXNodeRecord | undefined, depth: number) => {
+    if (!node || truncated) {
+      return;
+    }
+    const children = () => (node.childIds || []).forEach(childId => visit(byId.get(childId), depth));
+    const role = node.role?.value || '';
+
+    if (node.ignored || SKIPPED_ROLES.includes(role)) {
+      if (!SKIPPED_ROLES.includes(role)) {
+        children();
+      }
+      return;
+    }
+
+    if (role === 'StaticText') {
+      const text = String(node.name?.value ?? '').replace(/\s+/g, ' ').trim();
+      const previous = lines[lines.length - 1];
+      if (!text) {
+        return;
+      }
+      // Text split by inline markup is read as one run
+      if (previous && previous.line.role === 'StaticText' && previous.parentId === node.parentId) {
+        previous.line.name = `${previous.line.name} ${text}`;
+        previous.line.announcement = previous.line.name;
+        return;
+      }
+      push(node, role, depth);
+      return;
+    }
+
+    if (role === 'heading' || CONTROL_ROLES.includes(role) || IMAGE_ROLES.includes(role)) {
+      push(node, role, depth);
+      return;
+    }
+
+    const isLandmark = LANDMARK_ROLES.includes(role) || (NAMED_LANDMARK_ROLES.includes(role) && Boolean(node.name?.value));
+    if (isLandmark || CONTAINER_ROLES.includes(role)) {
+      const items = role === 'list'
+        ? (node.childIds || []).filter(childId => byId.get(childId)?.role?.value === 'listitem').length
+        : 0;
+      push(node, role, depth, role === 'list' ? `${items} ${items === 1 ? 'item' : 'items'}` : undefined);
+      (node.childIds || []).forEach(childId => visit(byId.get(childId), depth + 1));
+      return;
+    }
+
+    children();
+  };
+
+  visit(root, 0);
+  return { lines, truncated };
+}
+
+/**
+ * Flag content that is read after a line it is shown above and to the left of. Moving up and
+ * to the right is the next column of a multi-column layout and reads naturally.
+ */
+export function flagReadingOrder(lines: TranscriptLine[]): void {
+  let previous: TranscriptLine | null = null;
+  for (const line of lines) {
+    if (!line.rect || line.rect.width === 0 || line.rect.height === 0) {
+      continue;
+    }
+    if (previous?.rect) {
+      const above = line.rect.y + line.rect.height <= previous.rect.y - READING_ORDER_TOLERANCE;
+      const nextColumn = line.rect.x >= previous.rect.x + previous.rect.width - READING_ORDER_TOLERANCE;
+      if (above && !nextColumn) {
+        line.flags.push('reading-order');
+        const shown = `${previous.announcement.substring(0, 60)}${previous.announcement.length > 60 ? '…' : ''}`;
+        line.note = [line.note, `Read after "${shown}" but shown above it`].filter(Boolean).join('. ');
+      }
+    }
+    previous = line;
+  }
+}
+
+/**
+ * Build the stored transcript with the heading and landmark outline.
+ */
+export function buildTranscript(lines: TranscriptLine[], url: string | null, truncated: boolean): ScreenReaderTranscript {
+  return {
+    url,
+    capturedAt: new Date().toISOString(),
+    truncated,
+    lines,
+    headings: lines
+      .filter(line => line.role === 'heading')
+      .map(line => ({ level: line.level || 2, name: line.name, line: line.index })),
+    landmarks: lines
+      .filter(line => LANDMARK_ROLES.includes(line.role) || NAMED_LANDMARK_ROLES.includes(line.role))
+      .map(line => ({ role: line.role, name: line.name, line: line.index })),
+    summary: {
+      lines: lines.length,
+      unnamed: lines.filter(line => line.flags.includes('unnamed')).length,
+      readingOrder: lines.filter(line => line.flags.includes('reading-order')).length,
+    },
+  };
+}
+
+async function boxOf(client: CDPSession, backendNodeId: number): Promise<Rect | undefined> {
+  try {
+    const { model } = await client.send('DOM.getBoxModel', { backendNodeId });
+    const xs = [model.border[0], model.border[2], model.border[4], model.border[6]];
+    const ys = [model.border[1], model.border[3], model.border[5], model.border[7]];
+    return {
+      x: Math.round(Math.min(...xs)),
+      y: Math.round(Math.min(...ys)),
+      width: Math.round(Math.max(...xs) - Math.min(...xs)),
+      height: Math.round(Math.max(...ys) - Math.min(...ys)),
+    };
+  } catch (_) {
+    // Nodes without a layout box (display: contents, collapsed text) have no position
+    return undefined;
+  }
+}
+
+// Runs on the node of a flagged line; text lines are described by the element holding them
+function describeElement(this: any): string | null {
+  const element = this.nodeType === 3 ? this.parentElement : this;
+  if (!element || !element.tagName) {
+    return null;
+  }
+  return element.id ? `#${element.id}` : element.tagName.toLowerCase()
+    + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : '');
+}
+
+async function selectorOf(client: CDPSession, backendNodeId: number): Promise<string | undefined> {
+  try {
+    const { object } = await client.send('DOM.resolveNode', { backendNodeId });
+    if (!object.objectId) {
+      return undefined;
+    }
+    const { result } = await client.send('Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: describeElement.toString(),
+      returnByValue: true,
+    });
+    await client.send('Runtime.releaseObject', { objectId: object.objectId });
+    return result.value || undefined;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Capture the transcript of the page as currently rendered.
+ */
+export async function captureScreenReaderTranscript(page: Page, url: string | null): Promise<ScreenReaderTranscript> {
+  const client = await page.target().createCDPSession();
+  try {
+    const { nodes } = await client.send('Accessibility.getFullAXTree') as unknown as { nodes: AXNodeRecord[] };
+    const { lines, truncated } = linearizeAxTree(nodes);
+
+    await client.send('DOM.getDocument', { depth: 0 });
+    for (const entry of lines) {
+      if (entry.backendNodeId) {
+        entry.line.rect = await boxOf(client, entry.backendNodeId);
+      }
+    }
+
+    const transcriptLines = lines.map(entry => entry.line);
+    flagReadingOrder(transcriptLines);
+
+    for (const entry of lines) {
+      if (entry.line.flags.length > 0 && entry.backendNodeId) {
+        entry.line.selector = await selectorOf(client, entry.backendNodeId);
+      }
+    }
+
+    return buildTranscript(transcriptLines, url, truncated);
+  } finally {
+    await client.detach().catch(() => undefined);
+  }
+}
@@ -10,6 +10,7 @@ import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
 import { StructureAnalysisWorker } from './structure.worker';
 import { checkAndUpdateAnalysisCompletion } from '../master.worker';
+import { recordScreenshotHighlights } from '../screenshotHighlights';
 
 const logger = createLogger('structure-analysis-worker');
 
@@ -20,10 +21,12 @@ interface StructureJobData {
   userId: string;
   assetPath: string;
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // 0 for the root page
 }
 
 async function processStructureAnalysis(job: Job<StructureJobData>) {
-  const { analysisId, workspaceId, websiteId, userId, assetPath, metadata } = job.data;
+  const { analysisId, workspaceId, websiteId, userId, assetPath, metadata, pageId, pageIndex } = job.data;
   
   logger.info('Starting structure analysis', { 
     analysisId, 
@@ -126,6 +129,7 @@ async function processStructureAnalysis(job: Job<StructureJobData>) {
         .insert(
           issues.map(issue => ({
             analysis_job_id: analysisJobId,
+            analysis_page_id: pageId || null,
             rule_id: issue.rule_id,
             severity: issue.severity,
             message: issue.message,
@@ -147,6 +151,11 @@ async function processStructureAnalysis(job: Job<StructureJobData>) {
       }
     }
 
+    // Mark the elements on the root page screenshots
+    if (analysisJobId) {
+      await recordScreenshotHighlights(page, { analysisId, jobId: analysisJobId, pageId, pageIndex, table: 'accessibility_issues' });
+    }
+
     // Update job status to completed
     if (analysisJobId) {
       await supabase
@@ -164,7 +173,7 @@ async function processStructureAnalysis(job: Job<StructureJobData>) {
     });
 
     // Check if all analysis jobs are complete
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'structure' });
 
     return {
       success: true,
@@ -218,6 +227,9 @@ async function processStructureAnalysis(job: Job<StructureJobData>) {
       }
     }
 
+    // A failed page still counts as processed so the analysis can finish
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'structure' });
+
     throw error;
   } finally {
     // Cleanup
@@ -0,0 +1,284 @@
+/**
+ * WCAG 2.2 Detectors
+ *
+ * The two new WCAG 2.2 criteria that can be checked on a rendered page:
+ * 2.5.8 (Target Size (Minimum)): pointer targets need 24x24 CSS px, or enough
+ * spacing that a 24px circle around each small target does not touch another
+ * target. 2.4.11 / 2.4.12 (Focus Not Obscured): a focused element must not be
+ * hidden behind author-created sticky or fixed content such as cookie banners
+ * and sticky headers. Dragging movements, consistent help, redundant entry and
+ * accessible authentication need a human reviewer and have no detector.
+ */
+
+import { Page } from 'puppeteer';
+import { CustomViolation } from './customRuleDetectors';
+
+type Rect = { x: number; y: number; width: number; height: number };
+
+export interface PointerTarget {
+  selector: string;
+  html: string;
+  rect: Rect; // Document coordinates
+  inline: boolean; // Link inside a sentence, exempt from the size requirement
+}
+
+export interface FocusCoverage {
+  selector: string;
+  html: string;
+  rect: Rect;
+  coveredRatio: number; // Share of the visible focus box behind sticky or fixed content
+  coveredBy: string;
+}
+
+export const MIN_TARGET_SIZE = 24;
+export const MAX_TARGET_FINDINGS = 25;
+export const MAX_FOCUS_CHECKS = 60;
+
+/**
+ * Collect the visible pointer targets on the page with their document rectangles.
+ */
+function collectPointerTargets(limit: number): PointerTarget[] {
+  const win = globalThis as any;
+  const doc = win.document;
+  const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], '
+    + '[role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [onclick]';
+  const targets: PointerTarget[] = [];
+
+  const elements = Array.from(doc.querySelectorAll(selector)) as any[];
+  for (const element of elements) {
+    if (targets.length >= limit) {
+      break;
+    }
+    // Nested targets (an icon button inside a link) are measured by the outer one
+    if (element.parentElement && element.parentElement.closest(selector)) {
+      continue;
+    }
+    const style = win.getComputedStyle(element);
+    if (style.visibility === 'hidden' || style.display === 'none' || element.disabled) {
+      continue;
+    }
+    const box = element.getBoundingClientRect();
+    if (box.width === 0 || box.height === 0) {
+      continue;
+    }
+
+    // A link that flows with surrounding text is limited by the line height, not by the author
+    const parentText = (element.parentElement?.textContent || '').trim();
+    const ownText = (element.textContent || '').trim();
+    const inline = element.tagName.toLowerCase() === 'a' && style.display === 'inline' && parentText.length > ownText.length;
+
+    targets.push({
+      selector: element.id ? `#${element.id}` : element.tagName.toLowerCase()
+        + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''),
+      html: element.outerHTML.substring(0, 200),
+      rect: {
+        x: Math.round(box.left + win.scrollX),
+        y: Math.round(box.top + win.scrollY),
+        width: Math.round(box.width),
+        height: Math.round(box.height),
+      },
+      inline,
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Focus each keyboard-focusable element the way Tab would (scrolling it into view) and
+ * measure how much of it is covered by sticky or fixed content that does not contain it.
+ */
+function measureFocusCoverage(limit: number): FocusCoverage[] {
+  const win = globalThis as any;
+  const doc = win.document;
+  const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+  const results: FocusCoverage[] = [];
+
+  const describe = (element: any): string => element.id ? `#${element.id}` : element.tagName.toLowerCase()
+    + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : '');
+
+  // Nearest sticky or fixed ancestor of a painted element
+  const overlayOf = (element: any): any => {
+    for (let current = element; current && current !== doc.body; current = current.parentElement) {
+      const position = win.getComputedStyle(current).position;
+      if (position === 'fixed' || position === 'sticky') {
+        return current;
+      }
+    }
+    return null;
+  };
+
+  const elements = (Array.from(doc.querySelectorAll(selector)) as any[])
+    .filter(element => !element.disabled && element.getClientRects().length > 0)
+    .slice(0, limit);
+
+  for (const element of elements) {
+    element.focus();
+    if (doc.activeElement !== element) {
+      continue;
+    }
+    // Overlays that hold the focused element move with it
+    if (overlayOf(element)) {
+      continue;
+    }
+
+    const box = element.getBoundingClientRect();
+    const left = Math.max(box.left, 0);
+    const top = Math.max(box.top, 0);
+    const right = Math.min(box.right, win.innerWidth);
+    const bottom = Math.min(box.bottom, win.innerHeight);
+    if (right <= left || bottom <= top) {
+      continue;
+    }
+
+    // Sample a 5x5 grid inside the visible part of the focus box
+    let covered = 0;
+    let samples = 0;
+    let coveredBy: any = null;
+    for (let row = 0; row < 5; row++) {
+      for (let column = 0; column < 5; column++) {
+        const x = left + ((column + 0.5) / 5) * (right - left);
+        const y = top + ((row + 0.5) / 5) * (bottom - top);
+        const hit = doc.elementFromPoint(x, y);
+        samples++;
+        if (!hit || element.contains(hit) || hit.contains(element)) {
+          continue;
+        }
+        const overlay = overlayOf(hit);
+        if (overlay && !overlay.contains(element)) {
+          covered++;
+          coveredBy = coveredBy || overlay;
+        }
+      }
+    }
+
+    if (covered > 0) {
+      results.push({
+        selector: describe(element),
+        html: element.outerHTML.substring(0, 200),
+        rect: {
+          x: Math.round(box.left + win.scrollX),
+          y: Math.round(box.top + win.scrollY),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        },
+        coveredRatio: covered / samples,
+        coveredBy: describe(coveredBy),
+      });
+    }
+  }
+
+  if (doc.activeElement && doc.activeElement.blur) {
+    doc.activeElement.blur();
+  }
+  win.scrollTo(0, 0);
+
+  return results;
+}
+
+// Shortest distance from a point to a rectangle, 0 when the point is inside it
+function distanceToRect(x: number, y: number, rect: Rect): number {
+  const dx = Math.max(rect.x - x, 0, x - (rect.x + rect.width));
+  const dy = Math.max(rect.y - y, 0, y - (rect.y + rect.height));
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Apply WCAG 2.5.8 to measured targets: undersized targets pass when a 24px circle centred
+ * on them does not intersect another target or the circle of another undersized target.
+ */
+export function evaluateTargetSizes(targets: PointerTarget[]): CustomViolation['elements'] {
+  const radius = MIN_TARGET_SIZE / 2;
+  const isSmall = (target: PointerTarget) => target.rect.width < MIN_TARGET_SIZE || target.rect.height < MIN_TARGET_SIZE;
+  const centre = (target: PointerTarget) => ({ x: target.rect.x + target.rect.width / 2, y: target.rect.y + target.rect.height / 2 });
+
+  const findings: CustomViolation['elements'] = [];
+  for (const target of targets) {
+    if (!isSmall(target) || target.inline) {
+      continue;
+    }
+    const own = centre(target);
+    const crowdedBy = targets.find(other => {
+      if (other === target) {
+        return false;
+      }
+      if (isSmall(other) && !other.inline) {
+        const theirs = centre(other);
+        return Math.hypot(own.x - theirs.x, own.y - theirs.y) < MIN_TARGET_SIZE;
+      }
+      return distanceToRect(own.x, own.y, other.rect) < radius;
+    });
+    if (!crowdedBy) {
+      continue;
+    }
+
+    findings.push({
+      selector: target.selector,
+      html: target.html,
+      context: `Target is ${target.rect.width}x${target.rect.height}px and too close to ${crowdedBy.selector}`,
+      rect: target.rect,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Report pointer targets smaller than 24x24 CSS px without enough spacing
+ * (ACC_FRM_16_TARGET_SIZE_MINIMUM).
+ */
+export async function detectTargetSizeViolations(page: Page): Promise<CustomViolation[]> {
+  const viewport = page.viewport();
+  const targets: PointerTarget[] = await page.evaluate(collectPointerTargets, 500);
+  const findings = evaluateTargetSizes(targets);
+
+  if (findings.length === 0) {
+    return [];
+  }
+
+  return [{
+    ruleKey: 'ACC_FRM_16_TARGET_SIZE_MINIMUM',
+    severity: 'moderate',
+    message: `Pointer targets must be at least ${MIN_TARGET_SIZE}x${MIN_TARGET_SIZE} CSS pixels or spaced so they do not crowd neighbouring targets`,
+    elements: findings.slice(0, MAX_TARGET_FINDINGS),
+    ...(viewport ? { viewport: { width: viewport.width, height: viewport.height } } : {}),
+  }];
+}
+
+/**
+ * Report focused elements hidden behind sticky or fixed content. Entirely hidden elements fail
+ * 2.4.11 (ACC_KBD_09_FOCUS_NOT_OBSCURED), partly hidden ones fail the AAA criterion 2.4.12
+ * (ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED).
+ */
+export async function detectFocusNotObscured(page: Page): Promise<CustomViolation[]> {
+  const coverage: FocusCoverage[] = await page.evaluate(measureFocusCoverage, MAX_FOCUS_CHECKS);
+
+  const toElement = (entry: FocusCoverage) => ({
+    selector: entry.selector,
+    html: entry.html,
+    context: `${Math.round(entry.coveredRatio * 100)}% of the focused element is covered by ${entry.coveredBy}`,
+    rect: entry.rect,
+  });
+  const hidden = coverage.filter(entry => entry.coveredRatio >= 1);
+  const partial = coverage.filter(entry => entry.coveredRatio < 1);
+
+  const violations: CustomViolation[] = [];
+  if (hidden.length > 0) {
+    violations.push({
+      ruleKey: 'ACC_KBD_09_FOCUS_NOT_OBSCURED',
+      severity: 'serious',
+      message: 'Focused elements are completely hidden behind sticky or fixed content, so keyboard users cannot see where they are',
+      elements: hidden.map(toElement),
+    });
+  }
+  if (partial.length > 0) {
+    violations.push({
+      ruleKey: 'ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED',
+      severity: 'minor',
+      message: 'Focused elements are partly covered by sticky or fixed content',
+      elements: partial.map(toElement),
+    });
+  }
+
+  return violations;
+}
@@ -1,9 +1,33 @@
 import { Job, Worker } from 'bullmq';
-import puppeteer, { Browser, Page, Frame } from 'puppeteer';
+import puppeteer, { Browser, DEFAULT_INTERCEPT_RESOLUTION_PRIORITY, Page, Frame } from 'puppeteer';
 import { config } from '@/config';
 import { createLogger } from '@/config/logger';
 import { supabase } from '@/config/supabase';
-import { AppError } from '@/types';
+import { AppError, CrawlOptions, CrawlPageSource, UserFlow } from '@/types';
+import {
+  CrawlCandidate,
+  discoverSitemapUrls,
+  fetchText,
+  normalizeCrawlUrl,
+  parseRobotsTxt,
+  resolveCrawlOptions,
+  shouldCrawlUrl,
+} from '@/services/analysis/siteCrawl';
+import { DEFAULT_FLOW_WAIT_MS, redactUserFlow, resolveFlowUrl } from '@/services/analysis/userFlow';
+import {
+  LOGOUT_URL_PATTERNS,
+  configuredMethods,
+  loadAuthProfileForWebsite,
+  recordLoginResult,
+} from '@/services/authProfiles/authProfiles';
+import { applyAuthProfile, captureSession, sealSession } from '@/services/authProfiles/browserAuth';
+import { SCREENSHOT_VIEWPORTS } from './screenshotHighlights';
+import {
+  CAPTION_TRACK_SELECTOR,
+  MAX_STORED_TRACKS,
+  MAX_TRACK_BYTES,
+  captionTrackAssetPath,
+} from './accessibility/captionTracks';
 
 const logger = createLogger('fetcher-worker');
 
@@ -13,6 +37,26 @@ interface FetcherJobData {
   websiteId: string;
   userId: string;
   url?: string;
+  crawl?: Partial<CrawlOptions>;
+  flow?: UserFlow | null;
+}
+
+interface FetchedPage {
+  index: number;
+  url: string;
+  finalUrl: string;
+  status: number | null;
+  depth: number;
+  source: CrawlPageSource;
+  assetPath: string;
+  flowStep?: string | null;
+  screenshotPath?: string | null;
+}
+
+interface UserFlowRun {
+  pages: FetchedPage[];
+  completedSteps: number;
+  error: string | null;
 }
 
 async function updateAnalysisStatus(analysisId: string, status: 'processing' | 'completed' | 'failed') {
@@ -70,7 +114,7 @@ async function captureScreenshots(page: Page, workspaceId: string, analysisId: s
 
     // Desktop screenshot
     logger.info('Capturing desktop screenshot');
-    await page.setViewport({ width: 1920, height: 1080 });
+    await page.setViewport(SCREENSHOT_VIEWPORTS.desktop);
     await page.waitForTimeout(1000); // Allow viewport to settle
     const desktopScreenshot = await Promise.race([
       page.screenshot({ type: 'jpeg', quality: 85 }),
@@ -90,7 +134,7 @@ async function captureScreenshots(page: Page, workspaceId: string, analysisId: s
 
     // Mobile screenshot
     logger.info('Capturing mobile screenshot');
-    await page.setViewport({ width: 375, height: 667, isMobile: true });
+    await page.setViewport(SCREENSHOT_VIEWPORTS.mobile);
     await page.waitForTimeout(1000); // Allow viewport to settle
     const mobileScreenshot = await Promise.race([
       page.screenshot({ type: 'jpeg', quality: 85 }),
@@ -218,9 +262,352 @@ async function dismissCookieBanners(page: Page): Promise<boolean> {
   return false;
 }
 
+async function uploadAsset(path: string, body: string, contentType: string): Promise<boolean> {
+  const { error } = await supabase.storage
+    .from('analysis-assets')
+    .upload(path, body, { contentType, upsert: true });
+  if (error) {
+    logger.warn('Failed to upload analysis asset', { path, error: error.message });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Store the caption files the page references, so the media analyzer checks the files the
+ * browser saw instead of fetching them again later
+ */
+async function storeCaptionTracks(page: Page, pagePath: string): Promise<void> {
+  try {
+    const urls: string[] = await page.$$eval(CAPTION_TRACK_SELECTOR, tracks =>
+      tracks.map(track => (track as any).src as string).filter(src => /^https?:/.test(src))
+    );
+    for (const url of Array.from(new Set(urls)).slice(0, MAX_STORED_TRACKS)) {
+      const text = await fetchText(url, 6000, MAX_TRACK_BYTES);
+      if (text !== null) {
+        await uploadAsset(captionTrackAssetPath(pagePath, url), text, 'text/plain; charset=utf-8');
+      }
+    }
+  } catch (error: any) {
+    logger.warn('Failed to store caption tracks', { error: error?.message || 'unknown' });
+  }
+}
+
+async function collectPageLinks(page: Page): Promise<string[]> {
+  try {
+    return await page.$$eval('a[href]', anchors =>
+      anchors
+        .filter(a => !(a.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('nofollow'))
+        .map(a => a.getAttribute('href') || '')
+    );
+  } catch (error: any) {
+    logger.warn('Failed to collect page links', { error: error?.message || 'unknown' });
+    return [];
+  }
+}
+
+async function navigateForCapture(page: Page, url: string) {
+  try {
+    return await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 });
+  } catch (navigationError: any) {
+    logger.warn('Navigation failed, retrying with simpler settings', { error: navigationError?.message, url });
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    await page.waitForTimeout(2000);
+    return response;
+  }
+}
+
+/**
+ * Crawl additional same-origin pages breadth-first, starting from the links of
+ * the already captured root page. Every page gets its own asset set under
+ * `${basePath}/pages/<index>` with the same layout as the root page so
+ * analyzers can process it without knowing about crawl mode.
+ */
+async function crawlAdditionalPages(
+  page: Page,
+  basePath: string,
+  rootPage: FetchedPage,
+  rootLinks: string[],
+  options: CrawlOptions,
+  robotsTxt: string | null
+): Promise<FetchedPage[]> {
+  const origin = new URL(rootPage.finalUrl).origin;
+  const robots = parseRobotsTxt(robotsTxt);
+  const seen = new Set<string>([rootPage.url, rootPage.finalUrl].map(u => normalizeCrawlUrl(u, u) || u));
+  const queue: CrawlCandidate[] = [];
+  const crawled: FetchedPage[] = [];
+
+  const enqueue = (href: string, baseUrl: string, depth: number, source: CrawlCandidate['source']) => {
+    if (depth > options.maxDepth) return;
+    const normalized = normalizeCrawlUrl(href, baseUrl);
+    if (!normalized || seen.has(normalized)) return;
+    if (!shouldCrawlUrl(normalized, origin, options, robots)) return;
+    seen.add(normalized);
+    queue.push({ url: normalized, depth, source });
+  };
+
+  rootLinks.forEach(href => enqueue(href, rootPage.finalUrl, 1, 'link'));
+
+  if (options.useSitemap) {
+    const sitemapUrls = await discoverSitemapUrls(origin, robots, options.maxPages * 5);
+    logger.info('Sitemap discovery finished', { origin, urlsFound: sitemapUrls.length });
+    sitemapUrls.forEach(loc => enqueue(loc, origin, 1, 'sitemap'));
+  }
+
+  logger.info('Crawl frontier initialised', { origin, candidates: queue.length, maxPages: options.maxPages });
+
+  // Skipped or failed candidates still cost navigation time, so bound the attempts too
+  let attempts = 0;
+  while (queue.length > 0 && crawled.length + 1 < options.maxPages && attempts < options.maxPages * 2) {
+    const candidate = queue.shift()!;
+    attempts++;
+    const index = crawled.length + 1;
+    const pagePath = `${basePath}/pages/${index}`;
+
+    try {
+      const response = await navigateForCapture(page, candidate.url);
+      const finalUrl = page.url() || candidate.url;
+
+      // Redirects may leave the site; those pages are not part of this analysis
+      if (!shouldCrawlUrl(finalUrl, origin, { ...options, includePatterns: [] }, robots)) {
+        logger.info('Skipping crawled page redirected out of scope', { url: candidate.url, finalUrl });
+        continue;
+      }
+      const normalizedFinal = normalizeCrawlUrl(finalUrl, finalUrl);
+      if (normalizedFinal && normalizedFinal !== candidate.url && seen.has(normalizedFinal)) {
+        logger.info('Skipping crawled page redirected to an already known URL', { url: candidate.url, finalUrl });
+        continue;
+      }
+      if (normalizedFinal) seen.add(normalizedFinal);
+
+      const contentType = response?.headers?.()['content-type'] || '';
+      if (contentType && !contentType.includes('html')) {
+        logger.info('Skipping non-HTML crawl target', { url: candidate.url, contentType });
+        continue;
+      }
+
+      const fetched: FetchedPage = {
+        index,
+        url: candidate.url,
+        finalUrl,
+        status: response?.status?.() ?? null,
+        depth: candidate.depth,
+        source: candidate.source,
+        assetPath: pagePath,
+      };
+
+      const html = await page.content();
+      const stored = await uploadAsset(`${pagePath}/html/index.html`, html, 'text/html; charset=utf-8');
+      if (!stored) continue;
+
+      await uploadAsset(`${pagePath}/meta/headers.json`, JSON.stringify({
+        status: fetched.status,
+        url: finalUrl,
+        headers: response?.headers?.() ?? {},
+        capturedAt: new Date().toISOString(),
+      }, null, 2), 'application/json');
+
+      // Analyzers read robots.txt relative to their asset path
+      if (robotsTxt) {
+        await uploadAsset(`${pagePath}/meta/robots.txt`, robotsTxt, 'text/plain; charset=utf-8');
+      }
+      await storeCaptionTracks(page, pagePath);
+
+      await uploadAsset(`${pagePath}/metadata.json`, JSON.stringify({
+        url: candidate.url,
+        finalUrl,
+        status: fetched.status,
+        depth: candidate.depth,
+        source: candidate.source,
+        capturedAt: new Date().toISOString(),
+      }, null, 2), 'application/json');
+
+      crawled.push(fetched);
+      logger.info('Crawled page stored', { index, url: candidate.url, depth: candidate.depth, source: candidate.source });
+
+      if (candidate.depth < options.maxDepth) {
+        const links = await collectPageLinks(page);
+        links.forEach(href => enqueue(href, finalUrl, candidate.depth + 1, 'link'));
+      }
+    } catch (error: any) {
+      logger.warn('Failed to crawl page', { url: candidate.url, error: error?.message || 'unknown' });
+    }
+  }
+
+  return crawled;
+}
+
+// Time a click or typing gets to trigger requests or a navigation before the next step
+const FLOW_SETTLE_MS = 5000;
+
+/**
+ * Run a scripted user flow in the page used for the capture, so an auth profile
+ * applies to it as well. Each snapshot step stores the current DOM under
+ * `${basePath}/flow/<n>` with the same layout as a crawled page, plus a screenshot.
+ * A failing step ends the flow; snapshots taken until then are still analyzed.
+ */
+async function runUserFlow(
+  page: Page,
+  flow: UserFlow,
+  basePath: string,
+  firstIndex: number,
+  startUrl: string,
+  robotsTxt: string | null
+): Promise<UserFlowRun> {
+  const origin = new URL(startUrl).origin;
+  const pages: FetchedPage[] = [];
+
+  // Status and headers of a snapshot come from the last document the flow loaded
+  let documentResponse: any = null;
+  const onResponse = (response: any) => {
+    if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) {
+      documentResponse = response;
+    }
+  };
+  page.on('response', onResponse);
+
+  try {
+    // Screenshots of the root page leave the mobile viewport behind
+    await page.setViewport({ width: 1920, height: 1080 });
+    if (flow.steps[0].action !== 'navigate') {
+      await navigateForCapture(page, startUrl);
+    }
+
+    for (const [stepIndex, step] of flow.steps.entries()) {
+      try {
+        switch (step.action) {
+          case 'navigate':
+            await navigateForCapture(page, resolveFlowUrl(step.url, page.url() || startUrl, origin));
+            break;
+          case 'click':
+            await page.waitForSelector(step.selector, { visible: true, timeout: DEFAULT_FLOW_WAIT_MS });
+            await page.click(step.selector);
+            await page.waitForNetworkIdle({ idleTime: 500, timeout: FLOW_SETTLE_MS }).catch(() => null);
+            break;
+          case 'type':
+            await page.waitForSelector(step.selector, { visible: true, timeout: DEFAULT_FLOW_WAIT_MS });
+            if (step.clear) {
+              await page.$eval(step.selector, element => { (element as any).value = ''; });
+            }
+            await page.type(step.selector, step.text);
+            break;
+          case 'waitForSelector':
+            await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout: step.timeoutMs });
+            break;
+          case 'snapshot': {
+            const finalUrl = page.url();
+            if (new URL(finalUrl).origin !== origin) {
+              throw new AppError(`The flow left the analyzed website (${finalUrl})`, 422, true, 'USER_FLOW_FAILED');
+            }
+
+            const pagePath = `${basePath}/flow/${pages.length + 1}`;
+            const status = documentResponse?.status?.() ?? null;
+            const html = await page.content();
+            if (!await uploadAsset(`${pagePath}/html/index.html`, html, 'text/html; charset=utf-8')) {
+              throw new AppError('Failed to store the snapshot HTML', 500);
+            }
+
+            await uploadAsset(`${pagePath}/meta/headers.json`, JSON.stringify({
+              status,
+              url: finalUrl,
+              headers: documentResponse?.headers?.() ?? {},
+              capturedAt: new Date().toISOString(),
+            }, null, 2), 'application/json');
+            if (robotsTxt) {
+              await uploadAsset(`${pagePath}/meta/robots.txt`, robotsTxt, 'text/plain; charset=utf-8');
+            }
+            await storeCaptionTracks(page, pagePath);
+
+            let screenshotPath: string | null = `${pagePath}/screenshots/desktop.jpg`;
+            try {
+              const screenshot = await page.screenshot({ type: 'jpeg', quality: 85 });
+              const { error: screenshotError } = await supabase.storage
+                .from('analysis-assets')
+                .upload(screenshotPath, screenshot, { contentType: 'image/jpeg', upsert: true });
+              if (screenshotError) throw screenshotError;
+            } catch (screenshotError: any) {
+              logger.warn('Failed to store flow snapshot screenshot', { step: step.name, error: screenshotError?.message });
+              screenshotPath = null;
+            }
+
+            await uploadAsset(`${pagePath}/metadata.json`, JSON.stringify({
+              url: finalUrl,
+              finalUrl,
+              status,
+              source: 'flow',
+              flowStep: step.name,
+              capturedAt: new Date().toISOString(),
+            }, null, 2), 'application/json');
+
+            pages.push({
+              index: firstIndex + pages.length,
+              url: finalUrl,
+              finalUrl,
+              status,
+              depth: 0,
+              source: 'flow',
+              assetPath: pagePath,
+              flowStep: step.name,
+              screenshotPath,
+            });
+            logger.info('User flow snapshot stored', { step: step.name, url: finalUrl });
+            break;
+          }
+        }
+      } catch (error: any) {
+        const message = `Step ${stepIndex + 1} (${step.action}) failed: ${error?.message || 'unknown error'}`;
+        logger.warn('User flow stopped', { flow: flow.name, error: message });
+        return { pages, completedSteps: stepIndex, error: message };
+      }
+    }
+
+    return { pages, completedSteps: flow.steps.length, error: null };
+  } finally {
+    page.off('response', onResponse);
+  }
+}
+
+/**
+ * Record the captured pages so issues and scores can be attributed per page.
+ * Failures are non-fatal: analyzers then run without a page reference.
+ */
+async function registerAnalysisPages(analysisId: string, pages: FetchedPage[]): Promise<Map<number, string>> {
+  const ids = new Map<number, string>();
+
+  const { data, error } = await supabase
+    .from('analysis_pages')
+    .upsert(pages.map(p => ({
+      analysis_id: analysisId,
+      page_index: p.index,
+      url: p.finalUrl,
+      depth: p.depth,
+      source: p.source,
+      asset_path: p.assetPath,
+      status_code: p.status,
+      flow_step: p.flowStep ?? null,
+      screenshot_path: p.screenshotPath ?? null,
+    })), { onConflict: 'analysis_id,page_index' })
+    .select('id, page_index');
+
+  if (error) {
+    logger.warn('Failed to register analysis pages', { error: error.message, analysisId });
+    return ids;
+  }
+
+  (data || []).forEach(row => ids.set(row.page_index, row.id));
+  return ids;
+}
+
 export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobData>) => {
-  const { analysisId, workspaceId, websiteId, userId, url } = job.data;
-  logger.info('Starting lightweight fetcher job', { analysisId, workspaceId, websiteId });
+  const { analysisId, workspaceId, websiteId, userId, url, flow } = job.data;
+  const crawlOptions = resolveCrawlOptions(job.data.crawl);
+  logger.info('Starting lightweight fetcher job', {
+    analysisId,
+    workspaceId,
+    websiteId,
+    crawl: crawlOptions.enabled,
+    flowSteps: flow?.steps.length ?? 0,
+  });
 
   let browser: Browser | null = null;
   
@@ -256,6 +643,12 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
       targetUrl = website.url;
     }
 
+    const authProfile = await loadAuthProfileForWebsite(websiteId);
+    if (authProfile) {
+      // Following a logout link would end the session for the rest of the crawl
+      crawlOptions.excludePatterns = [...crawlOptions.excludePatterns, ...LOGOUT_URL_PATTERNS];
+    }
+
     logger.info('Launching browser for URL', { targetUrl });
 
     // Launch browser with optimized settings
@@ -288,16 +681,30 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
     
     // Block unnecessary resources for faster loading
     await page.setRequestInterception(true);
+    // Resolved with a priority so the auth profile's handler can add headers to the same requests
     page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
       const resourceType = request.resourceType();
       // Block media and fonts for faster loading
       if (['media', 'font'].includes(resourceType)) {
-        request.abort();
+        request.abort('failed', DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
       } else {
-        request.continue();
+        request.continue(request.continueRequestOverrides(), DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
       }
     });
 
+    // Log in before the capture so every page is seen as an authenticated user
+    if (authProfile) {
+      logger.info('Applying auth profile', { analysisId, methods: configuredMethods(authProfile.config) });
+      try {
+        await applyAuthProfile(page, authProfile.config, targetUrl);
+        await recordLoginResult(authProfile.id, null);
+      } catch (authError: any) {
+        await recordLoginResult(authProfile.id, authError?.message || 'Unknown login error');
+        throw authError;
+      }
+    }
+
     // Navigate to the page
     logger.info('Navigating to target URL');
     
@@ -326,6 +733,7 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
 
     // Persist rendered HTML, headers and robots.txt for analyzers
     const basePath = `${workspaceId}/${analysisId}`;
+    let robotsContent: string | null = null;
     try {
       // Save rendered HTML snapshot
       const html = await page.content();
@@ -341,6 +749,9 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
         logger.info('Rendered HTML uploaded');
       }
 
+      // Save the caption files referenced by media elements
+      await storeCaptionTracks(page, basePath);
+
       // Save response headers
       const headersPayload = {
         status: navigationResponse?.status?.() ?? null,
@@ -372,6 +783,7 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
         if (resp.ok) {
           const robotsTxt = await resp.text();
           if (robotsTxt && robotsTxt.trim().length > 0) {
+            robotsContent = robotsTxt;
             const { error: robotsError } = await supabase.storage
               .from('analysis-assets')
               .upload(`${basePath}/meta/robots.txt`, robotsTxt, {
@@ -394,6 +806,9 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
       logger.warn('Failed persisting analyzer artifacts', { error: persistError?.message || 'Unknown persist error' });
     }
 
+    // Collect root page links before cookie banners or viewport changes alter the DOM
+    const rootLinks = crawlOptions.enabled ? await collectPageLinks(page) : [];
+
     // Attempt to dismiss cookie banners for cleaner screenshots
     try {
       const dismissed = await dismissCookieBanners(page);
@@ -455,6 +870,57 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
       }
     }
 
+    // Crawl mode: capture additional same-origin pages
+    const rootPage: FetchedPage = {
+      index: 0,
+      url: targetUrl,
+      finalUrl: navigationResponse?.url?.() ?? targetUrl,
+      status: navigationResponse?.status?.() ?? null,
+      depth: 0,
+      source: 'root',
+      assetPath: basePath,
+    };
+    const fetchedPages: FetchedPage[] = [rootPage];
+
+    if (crawlOptions.enabled && crawlOptions.maxPages > 1) {
+      logger.info('Starting site crawl', { analysisId, options: crawlOptions });
+      try {
+        const crawled = await crawlAdditionalPages(page, basePath, rootPage, rootLinks, crawlOptions, robotsContent);
+        fetchedPages.push(...crawled);
+      } catch (crawlError: any) {
+        // The root page is already captured, so a failed crawl degrades to a single-page analysis
+        logger.warn('Site crawl failed', { analysisId, error: crawlError?.message || 'unknown' });
+      }
+    }
+
+    if (flow) {
+      logger.info('Running user flow', { analysisId, flow: flow.name, steps: flow.steps.length });
+      const flowRun = await runUserFlow(page, flow, basePath, fetchedPages.length, rootPage.finalUrl, robotsContent);
+      fetchedPages.push(...flowRun.pages);
+
+      const { error: flowError } = await supabase
+        .from('analyses')
+        .update({ user_flow: { ...redactUserFlow(flow), completedSteps: flowRun.completedSteps, error: flowRun.error } })
+        .eq('id', analysisId);
+      if (flowError) {
+        logger.warn('Failed to store user flow result', { analysisId, error: flowError.message });
+      }
+    }
+
+    const pageIds = await registerAnalysisPages(analysisId, fetchedPages);
+
+    if (fetchedPages.length > 1) {
+      await uploadAsset(`${basePath}/pages.json`, JSON.stringify({
+        options: crawlOptions,
+        pages: fetchedPages,
+      }, null, 2), 'application/json');
+    }
+
+    // Analyzers that load pages live again need the session of this capture
+    const session = authProfile
+      ? sealSession(await captureSession(page, authProfile.config, [targetUrl, ...fetchedPages.map(p => p.finalUrl)]))
+      : undefined;
+
     // Update job status
     if (fetcherModule) {
       await updateAnalysisJobStatus(analysisId, fetcherModule.id, 'completed');
@@ -464,7 +930,8 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
       analysisId, 
       workspaceId,
       assetPath: basePath,
-      screenshotCount: screenshots.length
+      screenshotCount: screenshots.length,
+      pageCount: fetchedPages.length
     });
 
     // Return minimal data for other workers
@@ -476,7 +943,21 @@ export const fetcherWorker = new Worker('fetcher', async (job: Job<FetcherJobDat
         finalUrl: navigationResponse?.url?.() ?? targetUrl,
         status: navigationResponse?.status?.() ?? null,
         screenshots: screenshots.length
-      }
+      },
+      session,
+      pages: fetchedPages.map(p => ({
+        id: pageIds.get(p.index) ?? null,
+        index: p.index,
+        url: p.finalUrl,
+        depth: p.depth,
+        assetPath: p.assetPath,
+        flowStep: p.flowStep ?? null,
+        metadata: {
+          url: p.url,
+          finalUrl: p.finalUrl,
+          status: p.status,
+        },
+      }))
     };
 
   } catch (error) {
@@ -10,8 +10,13 @@ import { mediaQueue } from '@/lib/queue/media';
 import { formsQueue } from '@/lib/queue/forms';
 import { structureQueue } from '@/lib/queue/structure';
 import { tablesQueue } from '@/lib/queue/tables';
-import { AppError } from '@/types';
+import { screenReaderQueue } from '@/lib/queue/screenReader';
+import { AppError, CrawlOptions, UserFlow } from '@/types';
 import { technicalSeoQueue } from '@/lib/queue/technicalSeo';
+import { siteDuplicatesQueue } from '@/lib/queue/siteDuplicates';
+import { performanceQueue } from '@/lib/queue/performance';
+import { checkAnalysisForRegression } from '@/services/regressions/regressionService';
+import { applySuppressions } from '@/services/suppressions/issueSuppressions';
 
 const logger = createLogger('master-worker');
 
@@ -29,14 +34,46 @@ interface MasterJobData {
   websiteId: string;
   userId: string;
   url?: string; // For public analyses
+  crawl?: CrawlOptions; // Multi-page crawl mode, single page when omitted
+  flow?: UserFlow; // Scripted journey whose snapshots are analyzed as extra pages
+  probeForms?: boolean; // Submit forms with empty and invalid values to observe their error handling
+  scheduleId?: string; // Set when the analysis scheduler started the run
+}
+
+interface FetchedPageResult {
+  id: string | null; // analysis_pages row, null if it could not be recorded
+  index: number;
+  url: string;
+  depth: number;
+  assetPath: string;
+  flowStep?: string | null; // Snapshot name when the page was captured by a user flow
+  metadata: any;
 }
 
 interface FetcherResult {
   success: boolean;
   assetPath: string;
   metadata: any;
+  pages?: FetchedPageResult[];
+  session?: string; // Sealed browser session when the website has an auth profile
+}
+
+export interface AnalyzerTaskInfo {
+  pageId?: string | null;
+  analyzer: string;
 }
 
+// Base fetcher budget plus time for every additional crawled page
+const FETCHER_BASE_TIMEOUT_MS = 180000;
+const FETCHER_PER_PAGE_TIMEOUT_MS = 30000;
+
+// Analyzers that audit the live URL rather than the captured HTML; they cannot reproduce
+// the state of a user flow snapshot and only run on crawled pages
+const LIVE_URL_ANALYZERS = new Set(['performance']);
+
+// Analyzers that look at the whole site rather than one page; they run once, on the root page
+const SITE_ANALYZERS = new Set(['siteDuplicates']);
+
 // Queue instances for all analyzer workers
 const analyzerQueues = {
   colorContrast: colorContrastQueue,
@@ -46,15 +83,16 @@ const analyzerQueues = {
   forms: formsQueue,              // NEW: Forms accessibility analysis
   structure: structureQueue,      // NEW: Content structure analysis
   tables: tablesQueue,            // NEW: Tables accessibility analysis
+  screenReader: screenReaderQueue, // Screen reader transcript artifact
   technicalSeo: technicalSeoQueue,
+  siteDuplicates: siteDuplicatesQueue, // Duplicate titles and descriptions across the sitemap
+  performance: performanceQueue,  // Lighthouse lab audits
   // TODO: Add other analyzer queues as they are implemented
   // altText: altTextQueue,
   // onPageSeo: onPageSeoQueue,
   // metaTags: metaTagsQueue,
   // structuredData: structuredDataQueue,
   // imageOptimization: imageOptimizationQueue,
-  // coreWebVitals: coreWebVitalsQueue,
-  // resourceLoading: resourceLoadingQueue,
   // aiSummary: aiSummaryQueue
 };
 
@@ -62,10 +100,9 @@ const analyzerQueues = {
 // Now supports multiple workers per module
 const moduleToWorkerMap = {
   'Fetcher': [], // Handled separately in the fetcher step
-  'Accessibility': ['colorContrast', 'aria', 'keyboard', 'media', 'forms', 'structure', 'tables'], // Enhanced accessibility workers
-  'SEO': ['technicalSeo'],
-  // TODO: Add these as workers are implemented
-  // 'Performance': ['coreWebVitals', 'imageOptimization']
+  'Accessibility': ['colorContrast', 'aria', 'keyboard', 'media', 'forms', 'structure', 'tables', 'screenReader'], // Enhanced accessibility workers
+  'SEO': ['technicalSeo', 'siteDuplicates'],
+  'Performance': ['performance'],
 };
 
 async function createAnalysisJob(analysisId: string, moduleId: string, workerName?: string) {
@@ -99,7 +136,7 @@ async function createAnalysisJob(analysisId: string, moduleId: string, workerNam
   }
 }
 
-async function waitForFetcherCompletion(fetcherJobId: string): Promise<FetcherResult> {
+async function waitForFetcherCompletion(fetcherJobId: string, timeoutMs = FETCHER_BASE_TIMEOUT_MS): Promise<FetcherResult> {
   const fetcherJob = await fetcherQueue.getJob(fetcherJobId);
   
   if (!fetcherJob) {
@@ -112,7 +149,7 @@ async function waitForFetcherCompletion(fetcherJobId: string): Promise<FetcherRe
   const result = await Promise.race([
     fetcherJob.waitUntilFinished(fetcherQueueEvents),
     new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Fetcher job timeout - took longer than 3 minutes')), 180000)
+      setTimeout(() => reject(new Error(`Fetcher job timeout - took longer than ${Math.round(timeoutMs / 60000)} minutes`)), timeoutMs)
     )
   ]);
   
@@ -126,14 +163,16 @@ async function waitForFetcherCompletion(fetcherJobId: string): Promise<FetcherRe
 }
 
 export const masterWorker = new Worker('master-analysis', async (job: Job<MasterJobData>) => {
-  const { analysisId, workspaceId, websiteId, userId, url } = job.data;
+  const { analysisId, workspaceId, websiteId, userId, url, crawl, flow, probeForms } = job.data;
   
   logger.info('Starting master analysis job', { 
     analysisId, 
     workspaceId, 
     websiteId,
     userId,
-    hasUrl: !!url 
+    hasUrl: !!url,
+    crawl: crawl?.enabled ? { maxPages: crawl.maxPages, maxDepth: crawl.maxDepth } : false,
+    flowSteps: flow?.steps.length ?? 0
   });
 
   try {
@@ -187,7 +226,9 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
       workspaceId,
       websiteId,
       userId,
-      url
+      url,
+      crawl,
+      flow
     }, {
       removeOnComplete: false, // Keep job for debugging
       removeOnFail: false
@@ -201,7 +242,11 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
     // Wait for fetcher to complete and get the asset path
     let fetcherResult: FetcherResult;
     try {
-      fetcherResult = await waitForFetcherCompletion(fetcherJob.id!);
+      const extraPages = (crawl?.enabled ? Math.max(0, crawl.maxPages - 1) : 0) + (flow?.steps.length ?? 0);
+      fetcherResult = await waitForFetcherCompletion(
+        fetcherJob.id!,
+        FETCHER_BASE_TIMEOUT_MS + extraPages * FETCHER_PER_PAGE_TIMEOUT_MS
+      );
     } catch (error) {
       logger.error('Fetcher job failed', { 
         error: error.message, 
@@ -218,10 +263,16 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
       throw error;
     }
 
+    // Analyzers fan out over every captured page; older fetcher results only carry the root page
+    const pages: FetchedPageResult[] = fetcherResult.pages && fetcherResult.pages.length > 0
+      ? fetcherResult.pages.map(page => page.index === 0 ? { ...page, metadata: fetcherResult.metadata } : page)
+      : [{ id: null, index: 0, url: fetcherResult.metadata?.finalUrl, depth: 0, assetPath: fetcherResult.assetPath, metadata: fetcherResult.metadata }];
+
     logger.info('Fetcher completed successfully', { 
       analysisId, 
       assetPath: fetcherResult.assetPath,
-      metadata: fetcherResult.metadata 
+      metadata: fetcherResult.metadata,
+      pageCount: pages.length
     });
 
     // Step 3: Enqueue analyzer jobs for implemented modules only
@@ -244,16 +295,41 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
       analysisId,
       implementedAnalyzers: implementedAnalyzerModules.map(m => `${m.moduleName}:${m.workerName}`)
     });
+
+    const analyzersForPage = (page: FetchedPageResult) => implementedAnalyzerModules.filter(m =>
+      !(page.flowStep && LIVE_URL_ANALYZERS.has(m.workerName)) &&
+      !(page.index !== 0 && SITE_ANALYZERS.has(m.workerName))
+    );
+
+    // Tell completion tracking how many analyzer runs each page has to finish
+    const trackedPages = pages.filter(page => page.id);
+    const pagesByAnalyzerCount = new Map<number, FetchedPageResult[]>();
+    for (const page of trackedPages) {
+      const count = analyzersForPage(page).length;
+      pagesByAnalyzerCount.set(count, [...(pagesByAnalyzerCount.get(count) || []), page]);
+    }
+    for (const [analyzersTotal, group] of pagesByAnalyzerCount) {
+      const { error: pagesError } = await supabase
+        .from('analysis_pages')
+        .update({ analyzers_total: analyzersTotal, completed_analyzers: [] })
+        .in('id', group.map(page => page.id));
+
+      if (pagesError) {
+        logger.warn('Failed to initialise page completion tracking', { error: pagesError.message, analysisId });
+      }
+    }
     
-    for (const { moduleName, workerName } of implementedAnalyzerModules) {
+    const analyzerRuns = pages.flatMap(page => analyzersForPage(page).map(m => ({ ...m, page })));
+
+    for (const { moduleName, workerName, page } of analyzerRuns) {
       const queue = analyzerQueues[workerName];
-      logger.info(`Enqueuing ${workerName} analyzer for ${moduleName} module`, { analysisId });
+      logger.info(`Enqueuing ${workerName} analyzer for ${moduleName} module`, { analysisId, pageIndex: page.index });
       
       try {
         const jobOptions = {
           removeOnComplete: false, // Keep for debugging
           removeOnFail: false,
-          attempts: workerName === 'aria' ? 1 : 2, // Reduce ARIA retries
+          attempts: workerName === 'aria' || workerName === 'performance' ? 1 : 2, // Reduce ARIA and Lighthouse retries
           backoff: {
             type: 'exponential',
             delay: 2000
@@ -265,8 +341,12 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
           workspaceId,
           websiteId,
           userId,
-          assetPath: fetcherResult.assetPath,
-          metadata: fetcherResult.metadata
+          assetPath: page.assetPath,
+          metadata: page.metadata,
+          pageId: page.id,
+          pageIndex: page.index,
+          session: fetcherResult.session,
+          probeForms: Boolean(probeForms)
         }, jobOptions);
         
         analyzerJobPromises.push(jobPromise);
@@ -309,14 +389,16 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
     logger.info('Master worker completed successfully', {
       analysisId,
       assetPath: fetcherResult.assetPath,
-      analyzersEnqueued: successfulJobs
+      analyzersEnqueued: successfulJobs,
+      pageCount: pages.length
     });
 
     return {
       success: true,
       analysisId,
       assetPath: fetcherResult.assetPath,
-      analyzersEnqueued: successfulJobs
+      analyzersEnqueued: successfulJobs,
+      pageCount: pages.length
     };
 
   } catch (error) {
@@ -343,10 +425,55 @@ export const masterWorker = new Worker('master-analysis', async (job: Job<Master
   concurrency: 10, // Can handle multiple analyses concurrently
 });
 
+/**
+ * Record that one analyzer finished (or gave up on) a page. The analyzer name is
+ * stored as a set so BullMQ retries of the same analyzer are only counted once.
+ */
+async function recordPageAnalyzerDone(pageId: string, analyzer: string) {
+  const { error } = await supabase.rpc('mark_analysis_page_analyzer_done', {
+    p_page_id: pageId,
+    p_analyzer: analyzer,
+  });
+
+  if (error) {
+    logger.warn('Failed to record page analyzer completion', { error: error.message, pageId, analyzer });
+  }
+}
+
+async function hasPendingAnalysisPages(analysisId: string): Promise<boolean> {
+  const { data: pages, error } = await supabase
+    .from('analysis_pages')
+    .select('page_index, analyzers_total, completed_analyzers')
+    .eq('analysis_id', analysisId);
+
+  // Without page tracking fall back to module job status only
+  if (error || !pages) return false;
+
+  const pending = pages.filter(p => (p.completed_analyzers?.length || 0) < (p.analyzers_total || 0));
+  if (pending.length > 0) {
+    logger.info('Analysis pages still being analyzed', {
+      analysisId,
+      pendingPages: pending.map(p => p.page_index)
+    });
+    return true;
+  }
+  return false;
+}
+
 // Analysis completion monitoring will be handled by analyzer workers
 // Each analyzer worker will check if all jobs are complete after finishing
-export async function checkAndUpdateAnalysisCompletion(analysisId: string) {
-  logger.info('Checking analysis completion status', { analysisId });
+export async function checkAndUpdateAnalysisCompletion(analysisId: string, task?: AnalyzerTaskInfo) {
+  logger.info('Checking analysis completion status', { analysisId, analyzer: task?.analyzer, pageId: task?.pageId });
+
+  if (task?.pageId) {
+    await recordPageAnalyzerDone(task.pageId, task.analyzer);
+  }
+
+  // In crawl mode a module job is marked completed by the first page that finishes,
+  // so the analysis is only complete once every page has seen every analyzer
+  if (await hasPendingAnalysisPages(analysisId)) {
+    return;
+  }
   
   // Check if all analyzer jobs are complete
   const { data: jobs } = await supabase
@@ -377,6 +504,14 @@ export async function checkAndUpdateAnalysisCompletion(analysisId: string) {
     
     if (allComplete) {
       const finalStatus = hasFailures ? 'completed_with_errors' : 'completed';
+
+      // Mark known false positives before the analysis is reported as complete, so scores,
+      // regression checks and reports of the finished analysis already leave them out
+      try {
+        await applySuppressions(analysisId);
+      } catch (error) {
+        logger.error('Applying suppressions failed', { analysisId, error: (error as Error).message });
+      }
       
       await supabase
         .from('analyses')
@@ -394,6 +529,13 @@ export async function checkAndUpdateAnalysisCompletion(analysisId: string) {
         completedJobs: analyzerJobs.filter(j => j.status === 'completed').length,
         failedJobs: analyzerJobs.filter(j => j.status === 'failed').length
       });
+
+      // Compare with the previous analysis of the website; alerting must not fail the analysis
+      try {
+        await checkAnalysisForRegression(analysisId);
+      } catch (error) {
+        logger.error('Regression check failed', { analysisId, error: (error as Error).message });
+      }
     }
   }
 }
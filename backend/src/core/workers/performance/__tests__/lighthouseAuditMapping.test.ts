@@ -0,0 +1,123 @@
+import {
+  LighthouseResult,
+  buildPerformanceSummary,
+  detectMissingCdn,
+  mapLighthouseResult,
+  mapMetricAudits,
+  mapOpportunityAudits,
+} from '../lighthouseAuditMapping';
+
+function createLhr(overrides: Partial<LighthouseResult['audits']> = {}): LighthouseResult {
+  return {
+    lighthouseVersion: '11.7.1',
+    finalDisplayedUrl: 'https://example.com/',
+    fetchTime: '2025-09-10T10:00:00.000Z',
+    categories: { performance: { score: 0.62 } },
+    audits: {
+      'largest-contentful-paint': { id: 'largest-contentful-paint', title: 'Largest Contentful Paint', score: 0.2, numericValue: 4800, displayValue: '4.8 s' },
+      'cumulative-layout-shift': { id: 'cumulative-layout-shift', title: 'Cumulative Layout Shift', score: 1, numericValue: 0.02, displayValue: '0.02' },
+      'max-potential-fid': { id: 'max-potential-fid', title: 'Max Potential First Input Delay', score: 0.7, numericValue: 150 },
+      'total-blocking-time': { id: 'total-blocking-time', title: 'Total Blocking Time', score: 0.9, numericValue: 120 },
+      'server-response-time': { id: 'server-response-time', title: 'Initial server response time was short', score: 1, numericValue: 90 },
+      'first-contentful-paint': { id: 'first-contentful-paint', title: 'First Contentful Paint', score: 0.95, numericValue: 1200 },
+      'render-blocking-resources': {
+        id: 'render-blocking-resources',
+        title: 'Eliminate render-blocking resources',
+        description: 'Resources are blocking the first paint. [Learn more](https://developer.chrome.com/docs/lighthouse)',
+        score: 0.3,
+        scoreDisplayMode: 'metricSavings',
+        displayValue: 'Potential savings of 820 ms',
+        details: {
+          type: 'opportunity',
+          overallSavingsMs: 820,
+          items: [
+            { url: 'https://example.com/styles.css', wastedMs: 600 },
+            { url: 'https://example.com/app.js', wastedMs: 220 },
+          ],
+        },
+      },
+      'unused-css-rules': { id: 'unused-css-rules', title: 'Reduce unused CSS', score: 0.7, scoreDisplayMode: 'metricSavings', details: { items: [{ url: 'https://example.com/styles.css', wastedBytes: 40960 }] } },
+      'uses-text-compression': { id: 'uses-text-compression', title: 'Enable text compression', score: 1, scoreDisplayMode: 'metricSavings' },
+      'font-display': { id: 'font-display', title: 'Ensure text remains visible', score: null, scoreDisplayMode: 'notApplicable' },
+      ...overrides,
+    },
+  };
+}
+
+describe('Lighthouse audit mapping', () => {
+  describe('mapMetricAudits', () => {
+    it('should report metrics above their thresholds with threshold based severity', () => {
+      const issues = mapMetricAudits(createLhr());
+      const byKey = Object.fromEntries(issues.map(i => [i.rule_key, i]));
+
+      expect(Object.keys(byKey).sort()).toEqual(['PERF_CWV_01_LCP_SLOW', 'PERF_CWV_03_FID_SLOW']);
+      expect(byKey.PERF_CWV_01_LCP_SLOW.severity).toBe('critical');
+      expect(byKey.PERF_CWV_01_LCP_SLOW.message).toContain('4.8 s');
+      expect(byKey.PERF_CWV_03_FID_SLOW.severity).toBe('moderate');
+    });
+
+    it('should format unitless metrics', () => {
+      const issues = mapMetricAudits(createLhr({
+        'cumulative-layout-shift': { id: 'cumulative-layout-shift', title: 'CLS', score: 0.5, numericValue: 0.18 },
+      }));
+      const cls = issues.find(i => i.rule_key === 'PERF_CWV_02_CLS_HIGH');
+      expect(cls?.severity).toBe('serious');
+      expect(cls?.message).toContain('0.180');
+    });
+  });
+
+  describe('mapOpportunityAudits', () => {
+    it('should map failed audits and list affected resources', () => {
+      const issues = mapOpportunityAudits(createLhr());
+      const renderBlocking = issues.find(i => i.rule_key === 'PERF_RES_06_RENDER_BLOCKING');
+
+      expect(renderBlocking?.severity).toBe('critical');
+      expect(renderBlocking?.location_path).toBe('https://example.com/styles.css (600 ms)');
+      expect(renderBlocking?.code_snippet).toContain('https://example.com/app.js (220 ms)');
+      expect(renderBlocking?.fix_suggestion).toContain('Learn more (https://developer.chrome.com/docs/lighthouse)');
+    });
+
+    it('should downgrade narrowly failing audits and skip passed or not applicable ones', () => {
+      const issues = mapOpportunityAudits(createLhr());
+      const keys = issues.map(i => i.rule_key);
+
+      expect(issues.find(i => i.rule_key === 'PERF_RES_04_UNUSED_CSS')?.severity).toBe('minor');
+      expect(keys).not.toContain('PERF_CACHE_03_COMPRESSION');
+      expect(keys).not.toContain('PERF_RES_07_FONT_LOADING');
+    });
+  });
+
+  describe('detectMissingCdn', () => {
+    it('should flag documents without CDN headers', () => {
+      expect(detectMissingCdn({ Server: 'nginx', 'Content-Type': 'text/html' })?.rule_key).toBe('PERF_CACHE_02_CDN_MISSING');
+    });
+
+    it('should accept known CDN headers and servers', () => {
+      expect(detectMissingCdn({ 'CF-RAY': '123abc', server: 'cloudflare' })).toBeNull();
+      expect(detectMissingCdn({ server: 'AmazonS3', via: '1.1 abc.cloudfront.net (CloudFront)' })).toBeNull();
+    });
+
+    it('should not guess without headers', () => {
+      expect(detectMissingCdn(null)).toBeNull();
+    });
+  });
+
+  describe('buildPerformanceSummary', () => {
+    it('should produce the PerformanceAnalysis shape', () => {
+      const summary = buildPerformanceSummary(createLhr());
+
+      expect(summary.score).toBe(62);
+      expect(summary.coreWebVitals.lcp).toEqual({ value: 4800, displayValue: '4.8 s', score: 20, status: 'poor' });
+      expect(summary.coreWebVitals.cls.status).toBe('good');
+      expect(summary.coreWebVitals.fid.status).toBe('needs-improvement');
+      expect(summary.loadingPerformance.opportunities.map(o => o.id)).toEqual(['render-blocking-resources', 'unused-css-rules']);
+      expect(summary.lighthouseVersion).toBe('11.7.1');
+    });
+  });
+
+  it('should combine issues and summary', () => {
+    const result = mapLighthouseResult(createLhr(), { 'x-cache': 'HIT' });
+    expect(result.summary.score).toBe(62);
+    expect(result.issues.map(i => i.rule_key)).not.toContain('PERF_CACHE_02_CDN_MISSING');
+  });
+});
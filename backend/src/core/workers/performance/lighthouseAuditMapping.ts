@@ -0,0 +1,362 @@
+/**
+ * Lighthouse Audit Mapping
+ * Maps Lighthouse lab results onto the PERF_* rule keys seeded in the database
+ * and builds the performance summary consumed by the frontend PerformanceAnalysis model
+ */
+
+export type PerformanceSeverity = 'critical' | 'serious' | 'moderate' | 'minor';
+
+// Minimal subset of the Lighthouse result (LHR) that the mapping relies on
+export interface LighthouseAudit {
+  id: string;
+  title: string;
+  description?: string;
+  score: number | null;
+  scoreDisplayMode?: string;
+  numericValue?: number;
+  numericUnit?: string;
+  displayValue?: string;
+  details?: {
+    type?: string;
+    overallSavingsMs?: number;
+    overallSavingsBytes?: number;
+    items?: Array<Record<string, any>>;
+  };
+}
+
+export interface LighthouseResult {
+  lighthouseVersion?: string;
+  finalDisplayedUrl?: string;
+  fetchTime?: string;
+  categories: {
+    performance?: { score: number | null };
+  };
+  audits: Record<string, LighthouseAudit>;
+}
+
+export interface PerformanceIssueRecord {
+  rule_key: string;
+  severity: PerformanceSeverity;
+  location_path: string | null;
+  code_snippet: string | null;
+  message: string;
+  fix_suggestion: string;
+}
+
+interface MetricRule {
+  ruleKey: string;
+  auditId: string;
+  // Values above `threshold` are reported, above `poor` with the higher severity
+  threshold: number;
+  poor: number;
+  severity: PerformanceSeverity;
+  poorSeverity: PerformanceSeverity;
+  label: string;
+  unit: 'ms' | 'unitless';
+  fix: string;
+}
+
+interface OpportunityRule {
+  ruleKey: string;
+  auditId: string;
+  severity: PerformanceSeverity;
+  fix: string;
+}
+
+export const METRIC_RULES: MetricRule[] = [
+  {
+    ruleKey: 'PERF_CWV_01_LCP_SLOW',
+    auditId: 'largest-contentful-paint',
+    threshold: 2500,
+    poor: 4000,
+    severity: 'serious',
+    poorSeverity: 'critical',
+    label: 'Largest Contentful Paint',
+    unit: 'ms',
+    fix: 'Preload the LCP image or font, serve correctly sized images, reduce server response time and remove render-blocking resources.',
+  },
+  {
+    ruleKey: 'PERF_CWV_02_CLS_HIGH',
+    auditId: 'cumulative-layout-shift',
+    threshold: 0.1,
+    poor: 0.25,
+    severity: 'serious',
+    poorSeverity: 'critical',
+    label: 'Cumulative Layout Shift',
+    unit: 'unitless',
+    fix: 'Set explicit width and height on images and embeds, reserve space for ads and banners, and avoid inserting content above existing content.',
+  },
+  {
+    // Lab runs have no real input, Max Potential FID is the closest lab proxy
+    ruleKey: 'PERF_CWV_03_FID_SLOW',
+    auditId: 'max-potential-fid',
+    threshold: 100,
+    poor: 300,
+    severity: 'moderate',
+    poorSeverity: 'serious',
+    label: 'Max Potential First Input Delay',
+    unit: 'ms',
+    fix: 'Break up long JavaScript tasks and defer non-critical scripts so the main thread can respond to input quickly.',
+  },
+  {
+    // INP needs real interactions; Total Blocking Time correlates best in lab conditions
+    ruleKey: 'PERF_CWV_04_INP_SLOW',
+    auditId: 'total-blocking-time',
+    threshold: 200,
+    poor: 600,
+    severity: 'moderate',
+    poorSeverity: 'serious',
+    label: 'Total Blocking Time',
+    unit: 'ms',
+    fix: 'Reduce JavaScript execution, split long tasks with scheduling APIs and move heavy work off the main thread.',
+  },
+  {
+    ruleKey: 'PERF_CWV_05_TTFB_SLOW',
+    auditId: 'server-response-time',
+    threshold: 600,
+    poor: 1800,
+    severity: 'moderate',
+    poorSeverity: 'serious',
+    label: 'Server Response Time',
+    unit: 'ms',
+    fix: 'Cache rendered pages, optimise database queries and serve content from a location close to your visitors.',
+  },
+  {
+    ruleKey: 'PERF_CWV_06_FCP_SLOW',
+    auditId: 'first-contentful-paint',
+    threshold: 1800,
+    poor: 3000,
+    severity: 'moderate',
+    poorSeverity: 'serious',
+    label: 'First Contentful Paint',
+    unit: 'ms',
+    fix: 'Inline critical CSS, defer non-critical CSS and JavaScript and reduce server response time.',
+  },
+];
+
+export const OPPORTUNITY_RULES: OpportunityRule[] = [
+  { ruleKey: 'PERF_RES_01_IMAGE_FORMAT', auditId: 'modern-image-formats', severity: 'serious', fix: 'Serve images as WebP or AVIF with a fallback for older browsers.' },
+  { ruleKey: 'PERF_RES_02_IMAGE_DIMENSIONS', auditId: 'uses-responsive-images', severity: 'serious', fix: 'Resize images to their rendered size and use srcset/sizes so each device downloads an appropriate version.' },
+  { ruleKey: 'PERF_RES_03_IMAGE_LAZY_LOADING', auditId: 'offscreen-images', severity: 'moderate', fix: 'Add loading="lazy" to images below the fold.' },
+  { ruleKey: 'PERF_RES_04_UNUSED_CSS', auditId: 'unused-css-rules', severity: 'moderate', fix: 'Remove unused CSS rules or split stylesheets so each page only loads the CSS it needs.' },
+  { ruleKey: 'PERF_RES_05_UNUSED_JS', auditId: 'unused-javascript', severity: 'serious', fix: 'Remove dead code and load JavaScript only on the pages and interactions that need it.' },
+  { ruleKey: 'PERF_RES_06_RENDER_BLOCKING', auditId: 'render-blocking-resources', severity: 'critical', fix: 'Inline critical CSS, add defer or async to scripts and load non-critical styles asynchronously.' },
+  { ruleKey: 'PERF_RES_07_FONT_LOADING', auditId: 'font-display', severity: 'moderate', fix: 'Use font-display: swap (or optional) in @font-face rules and preload key fonts.' },
+  { ruleKey: 'PERF_RES_08_THIRD_PARTY_IMPACT', auditId: 'third-party-summary', severity: 'serious', fix: 'Audit third-party scripts, remove unused ones and load the rest after the page becomes interactive.' },
+  { ruleKey: 'PERF_CACHE_01_BROWSER_CACHING', auditId: 'uses-long-cache-ttl', severity: 'serious', fix: 'Serve static assets with a long Cache-Control max-age and fingerprinted file names.' },
+  { ruleKey: 'PERF_CACHE_03_COMPRESSION', auditId: 'uses-text-compression', severity: 'serious', fix: 'Enable gzip or brotli compression for HTML, CSS, JavaScript and JSON responses.' },
+  { ruleKey: 'PERF_JS_01_MAIN_THREAD_BLOCKING', auditId: 'mainthread-work-breakdown', severity: 'critical', fix: 'Reduce script evaluation, style recalculation and layout work on the main thread.' },
+  { ruleKey: 'PERF_JS_02_CODE_SPLITTING', auditId: 'bootup-time', severity: 'moderate', fix: 'Split bundles by route and load features on demand with dynamic import().' },
+  { ruleKey: 'PERF_JS_03_POLYFILL_BLOAT', auditId: 'legacy-javascript', severity: 'minor', fix: 'Ship modern JavaScript to modern browsers and drop polyfills your target browsers do not need.' },
+];
+
+// Response headers that reveal a CDN or edge cache in front of the origin
+const CDN_HEADER_MARKERS = ['cf-ray', 'x-amz-cf-id', 'x-served-by', 'x-cache', 'x-vercel-cache', 'x-akamai-transformed', 'x-fastly-request-id', 'x-azure-ref', 'x-cdn', 'cdn-cache'];
+const CDN_SERVER_MARKERS = ['cloudflare', 'akamai', 'fastly', 'cloudfront', 'netlify', 'vercel', 'bunnycdn', 'keycdn'];
+
+// Lighthouse treats scores of 0.9 and above as passed
+const PASSING_SCORE = 0.9;
+
+const SEVERITY_ORDER: PerformanceSeverity[] = ['minor', 'moderate', 'serious', 'critical'];
+
+function downgrade(severity: PerformanceSeverity): PerformanceSeverity {
+  const index = SEVERITY_ORDER.indexOf(severity);
+  return SEVERITY_ORDER[Math.max(0, index - 1)];
+}
+
+function formatMetric(value: number, unit: MetricRule['unit']): string {
+  if (unit === 'unitless') return value.toFixed(3);
+  return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+}
+
+// Lighthouse descriptions carry markdown links: "[Learn more](https://...)"
+function stripMarkdownLinks(text: string | undefined): string {
+  return (text || '').replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)');
+}
+
+function describeItem(item: Record<string, any>): string | null {
+  const url = item.url || item.source?.url || item.entity?.text || item.entity || item.node?.selector;
+  if (!url || typeof url !== 'string') return null;
+  const savings = item.wastedBytes
+    ? ` (${Math.round(item.wastedBytes / 1024)} KiB)`
+    : item.wastedMs
+      ? ` (${Math.round(item.wastedMs)} ms)`
+      : item.blockingTime
+        ? ` (${Math.round(item.blockingTime)} ms blocking)`
+        : '';
+  return `${url}${savings}`;
+}
+
+function metricStatus(score: number | null | undefined): 'good' | 'needs-improvement' | 'poor' | 'unknown' {
+  if (score === null || score === undefined) return 'unknown';
+  if (score >= PASSING_SCORE) return 'good';
+  if (score >= 0.5) return 'needs-improvement';
+  return 'poor';
+}
+
+/**
+ * Convert metric audits that exceed their Core Web Vitals thresholds into issues
+ */
+export function mapMetricAudits(lhr: LighthouseResult): PerformanceIssueRecord[] {
+  const issues: PerformanceIssueRecord[] = [];
+
+  for (const rule of METRIC_RULES) {
+    const audit = lhr.audits[rule.auditId];
+    if (!audit || typeof audit.numericValue !== 'number') continue;
+    if (audit.numericValue <= rule.threshold) continue;
+
+    const isPoor = audit.numericValue > rule.poor;
+    issues.push({
+      rule_key: rule.ruleKey,
+      severity: isPoor ? rule.poorSeverity : rule.severity,
+      location_path: lhr.finalDisplayedUrl || null,
+      code_snippet: null,
+      message: `${rule.label} is ${formatMetric(audit.numericValue, rule.unit)} (target: ${formatMetric(rule.threshold, rule.unit)} or less)`,
+      fix_suggestion: `${rule.fix}\n\n${stripMarkdownLinks(audit.description)}`.trim(),
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Convert failed opportunity and diagnostic audits into issues, one per audit
+ */
+export function mapOpportunityAudits(lhr: LighthouseResult): PerformanceIssueRecord[] {
+  const issues: PerformanceIssueRecord[] = [];
+
+  for (const rule of OPPORTUNITY_RULES) {
+    const audit = lhr.audits[rule.auditId];
+    if (!audit || audit.score === null || audit.score === undefined) continue;
+    if (audit.scoreDisplayMode === 'notApplicable' || audit.scoreDisplayMode === 'informative') continue;
+    if (audit.score >= PASSING_SCORE) continue;
+
+    const resources = (audit.details?.items || [])
+      .map(describeItem)
+      .filter((item): item is string => Boolean(item))
+      .slice(0, 10);
+
+    issues.push({
+      rule_key: rule.ruleKey,
+      // Audits that only narrowly fail are reported one level lower than the rule default
+      severity: audit.score >= 0.5 ? downgrade(rule.severity) : rule.severity,
+      location_path: resources[0] || lhr.finalDisplayedUrl || null,
+      code_snippet: resources.length > 0 ? resources.join('\n') : null,
+      message: audit.displayValue ? `${audit.title}: ${audit.displayValue}` : audit.title,
+      fix_suggestion: `${rule.fix}\n\n${stripMarkdownLinks(audit.description)}`.trim(),
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Detect whether the main document was served through a CDN based on its response headers
+ */
+export function detectMissingCdn(headers: Record<string, string> | null | undefined, url?: string): PerformanceIssueRecord | null {
+  if (!headers || Object.keys(headers).length === 0) return null;
+
+  const normalized = Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), String(value).toLowerCase()])
+  );
+
+  const hasCdnHeader = CDN_HEADER_MARKERS.some(marker => marker in normalized);
+  const server = `${normalized['server'] || ''} ${normalized['via'] || ''}`;
+  const hasCdnServer = CDN_SERVER_MARKERS.some(marker => server.includes(marker));
+
+  if (hasCdnHeader || hasCdnServer) return null;
+
+  return {
+    rule_key: 'PERF_CACHE_02_CDN_MISSING',
+    severity: 'moderate',
+    location_path: url || null,
+    code_snippet: normalized['server'] ? `server: ${normalized['server']}` : null,
+    message: 'The page does not appear to be served through a CDN or edge cache',
+    fix_suggestion: 'Serve static assets (and ideally HTML) through a content delivery network so visitors download them from a nearby edge location.',
+  };
+}
+
+/**
+ * Build the summary stored on the analysis; the shape matches the frontend PerformanceAnalysis model
+ */
+export function buildPerformanceSummary(lhr: LighthouseResult) {
+  const metric = (auditId: string) => {
+    const audit = lhr.audits[auditId];
+    return {
+      value: typeof audit?.numericValue === 'number' ? audit.numericValue : 0,
+      displayValue: audit?.displayValue || null,
+      score: audit?.score !== null && audit?.score !== undefined ? Math.round(audit.score * 100) : 0,
+      status: metricStatus(audit?.score),
+    };
+  };
+
+  const auditsFor = (ids: string[]) => ids
+    .map(id => lhr.audits[id])
+    .filter(audit => audit && audit.score !== null && audit.score !== undefined && audit.score < PASSING_SCORE)
+    .map(audit => ({
+      id: audit.id,
+      title: audit.title,
+      displayValue: audit.displayValue || null,
+      score: Math.round((audit.score as number) * 100),
+      savingsMs: audit.details?.overallSavingsMs ?? null,
+      savingsBytes: audit.details?.overallSavingsBytes ?? null,
+    }));
+
+  const categoryScore = (ids: string[]) => {
+    const scores = ids.map(id => lhr.audits[id]?.score).filter((s): s is number => typeof s === 'number');
+    if (scores.length === 0) return 0;
+    return Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100);
+  };
+
+  const loadingIds = ['render-blocking-resources', 'unused-css-rules', 'unused-javascript', 'modern-image-formats', 'uses-responsive-images', 'offscreen-images', 'font-display'];
+  const renderingIds = ['mainthread-work-breakdown', 'bootup-time', 'legacy-javascript', 'third-party-summary'];
+  const networkIds = ['server-response-time', 'uses-long-cache-ttl', 'uses-text-compression', 'total-byte-weight'];
+
+  const performanceScore = lhr.categories.performance?.score;
+
+  return {
+    score: typeof performanceScore === 'number' ? Math.round(performanceScore * 100) : 0,
+    coreWebVitals: {
+      lcp: metric('largest-contentful-paint'),
+      fid: metric('max-potential-fid'),
+      cls: metric('cumulative-layout-shift'),
+      fcp: metric('first-contentful-paint'),
+      ttfb: metric('server-response-time'),
+    },
+    labMetrics: {
+      tbt: metric('total-blocking-time'),
+      speedIndex: metric('speed-index'),
+      interactive: metric('interactive'),
+    },
+    loadingPerformance: {
+      score: categoryScore(loadingIds),
+      opportunities: auditsFor(loadingIds),
+      diagnostics: [],
+    },
+    renderingPerformance: {
+      score: categoryScore(renderingIds),
+      opportunities: [],
+      diagnostics: auditsFor(renderingIds),
+    },
+    networkPerformance: {
+      score: categoryScore(networkIds),
+      opportunities: auditsFor(networkIds),
+      diagnostics: [],
+    },
+    lighthouseVersion: lhr.lighthouseVersion || null,
+    timestamp: lhr.fetchTime || new Date().toISOString(),
+  };
+}
+
+export type PerformanceSummary = ReturnType<typeof buildPerformanceSummary>;
+
+export function mapLighthouseResult(lhr: LighthouseResult, documentHeaders?: Record<string, string> | null) {
+  const issues = [...mapMetricAudits(lhr), ...mapOpportunityAudits(lhr)];
+  const cdnIssue = detectMissingCdn(documentHeaders, lhr.finalDisplayedUrl);
+  if (cdnIssue) issues.push(cdnIssue);
+
+  return {
+    issues,
+    summary: buildPerformanceSummary(lhr),
+  };
+}
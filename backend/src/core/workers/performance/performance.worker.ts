@@ -0,0 +1,289 @@
+import { Job, Worker } from 'bullmq';
+import puppeteer, { Browser } from 'puppeteer';
+import { config } from '@/config';
+import { createLogger } from '@/config/logger';
+import { supabase } from '@/config/supabase';
+import { AppError } from '@/types';
+import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
+import { BrowserSession, openSession, restoreSession } from '@/services/authProfiles/browserAuth';
+import { LighthouseResult, mapLighthouseResult } from './lighthouseAuditMapping';
+
+const logger = createLogger('performance-worker');
+
+interface PerformanceJobData {
+  analysisId: string;
+  workspaceId: string;
+  websiteId: string;
+  userId: string;
+  assetPath: string;
+  metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number;
+  session?: string; // Sealed login session of the fetcher for pages behind authentication
+}
+
+const LIGHTHOUSE_TIMEOUT_MS = 90000;
+
+// lighthouse is published as an ES module only. TypeScript compiles `import()` to
+// `require()` for CommonJS output, so the import has to bypass the transpiler.
+const importEsm = new Function('specifier', 'return import(specifier)') as (specifier: string) => Promise<any>;
+
+async function getPerformanceModuleAndJobId(analysisId: string): Promise<{ moduleId: string; jobId: string } | null> {
+  const { data: module, error: moduleError } = await supabase
+    .from('analysis_modules')
+    .select('id')
+    .eq('name', 'Performance')
+    .single();
+
+  if (moduleError || !module) {
+    logger.error('Performance module not found', { error: moduleError });
+    return null;
+  }
+
+  const { data: job, error: jobError } = await supabase
+    .from('analysis_jobs')
+    .select('id')
+    .eq('analysis_id', analysisId)
+    .eq('module_id', module.id)
+    .single();
+
+  if (jobError || !job) {
+    logger.error('Performance analysis job not found', { error: jobError, analysisId, moduleId: module.id });
+    return null;
+  }
+
+  return { moduleId: module.id, jobId: job.id };
+}
+
+async function updatePerformanceJobStatus(analysisId: string, moduleId: string, status: 'running' | 'completed' | 'failed', errorMessage?: string) {
+  const updateData: any = {
+    status,
+    ...(status === 'running' ? { started_at: new Date().toISOString() } : {}),
+    ...(status === 'completed' || status === 'failed' ? { completed_at: new Date().toISOString() } : {}),
+    ...(errorMessage ? { error_message: errorMessage } : {}),
+  };
+
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update(updateData)
+    .eq('analysis_id', analysisId)
+    .eq('module_id', moduleId);
+
+  if (error) {
+    logger.error('Failed to update performance job status', { error, analysisId, moduleId, status });
+  }
+}
+
+async function getRuleId(ruleKey: string): Promise<string | null> {
+  const { data, error } = await supabase
+    .from('rules')
+    .select('id')
+    .eq('rule_key', ruleKey)
+    .single();
+
+  if (error || !data) {
+    logger.warn('Rule not found', { ruleKey, error });
+    return null;
+  }
+  return data.id;
+}
+
+async function loadDocumentHeaders(assetPath: string): Promise<Record<string, string> | null> {
+  const { data, error } = await supabase.storage
+    .from('analysis-assets')
+    .download(`${assetPath}/meta/headers.json`);
+  if (error || !data) return null;
+
+  try {
+    const parsed = JSON.parse(await data.text());
+    return parsed?.headers || null;
+  } catch {
+    return null;
+  }
+}
+
+async function resolveTargetUrl(websiteId: string, metadata: any): Promise<string> {
+  if (metadata?.finalUrl || metadata?.url) {
+    return metadata.finalUrl || metadata.url;
+  }
+
+  const { data: website, error } = await supabase
+    .from('websites')
+    .select('url')
+    .eq('id', websiteId)
+    .single();
+
+  if (error || !website) {
+    throw new AppError('Website not found', 404);
+  }
+  return website.url;
+}
+
+/**
+ * Run a Lighthouse performance audit against a live URL using the local Chromium.
+ * With a session Lighthouse audits a page the session was restored on and keeps its
+ * cookies instead of resetting storage.
+ */
+async function runLighthouse(url: string, session?: BrowserSession): Promise<LighthouseResult> {
+  let browser: Browser | null = null;
+
+  try {
+    browser = await puppeteer.launch({
+      headless: 'new',
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--no-first-run',
+        '--no-zygote',
+      ],
+      timeout: 30000,
+    });
+
+    // Lighthouse drives the browser over its own CDP connection on the debugging port
+    const port = Number(new URL(browser.wsEndpoint()).port);
+    const { default: lighthouse } = await importEsm('lighthouse');
+
+    // Headers only go to the audited origin and basic auth answers its challenge, so they
+    // are set up on the page rather than passed as extraHeaders, which reach every origin
+    const sessionPage = session ? await browser.newPage() : undefined;
+    if (sessionPage && session) {
+      await restoreSession(sessionPage, session, url);
+    }
+
+    const runnerResult = await Promise.race([
+      lighthouse(url, {
+        port,
+        output: 'json',
+        logLevel: 'error',
+        onlyCategories: ['performance'],
+        maxWaitForLoad: 45000,
+        ...(session ? { disableStorageReset: true } : {}),
+      }, undefined, sessionPage),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Lighthouse audit timeout')), LIGHTHOUSE_TIMEOUT_MS)),
+    ]) as { lhr: LighthouseResult } | undefined;
+
+    if (!runnerResult?.lhr) {
+      throw new AppError('Lighthouse returned no result', 500);
+    }
+    if ((runnerResult.lhr as any).runtimeError) {
+      throw new AppError(`Lighthouse runtime error: ${(runnerResult.lhr as any).runtimeError.message}`, 500);
+    }
+
+    return runnerResult.lhr;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+export const performanceWorker = new Worker('performance-analysis', async (job: Job<PerformanceJobData>) => {
+  const { analysisId, websiteId, assetPath, metadata, pageId, pageIndex, session } = job.data;
+  logger.info('Starting Lighthouse performance analysis', { analysisId, assetPath, pageIndex });
+
+  let moduleJobInfo: { moduleId: string; jobId: string } | null = null;
+
+  try {
+    moduleJobInfo = await getPerformanceModuleAndJobId(analysisId);
+    if (!moduleJobInfo) throw new AppError('Failed to get performance job info', 500);
+
+    await updatePerformanceJobStatus(analysisId, moduleJobInfo.moduleId, 'running');
+
+    const targetUrl = await resolveTargetUrl(websiteId, metadata);
+    const lhr = await runLighthouse(targetUrl, session ? openSession(session) : undefined);
+    const documentHeaders = await loadDocumentHeaders(assetPath);
+    const { issues, summary } = mapLighthouseResult(lhr, documentHeaders);
+
+    logger.info('Lighthouse audit finished', {
+      analysisId,
+      targetUrl,
+      performanceScore: summary.score,
+      issuesFound: issues.length,
+    });
+
+    // Keep the raw report next to the other page assets for debugging and exports
+    const { error: reportError } = await supabase.storage
+      .from('analysis-assets')
+      .upload(`${assetPath}/performance/lighthouse.json`, JSON.stringify(lhr), {
+        contentType: 'application/json',
+        upsert: true,
+      });
+    if (reportError) {
+      logger.warn('Failed to store Lighthouse report', { error: reportError.message, analysisId });
+    }
+
+    let insertedCount = 0;
+    for (const issue of issues) {
+      const ruleId = await getRuleId(issue.rule_key);
+      if (!ruleId) continue;
+
+      const { error } = await supabase
+        .from('performance_issues')
+        .insert({
+          analysis_job_id: moduleJobInfo.jobId,
+          analysis_page_id: pageId || null,
+          rule_id: ruleId,
+          severity: issue.severity,
+          location_path: issue.location_path,
+          code_snippet: issue.code_snippet,
+          message: issue.message,
+          fix_suggestion: issue.fix_suggestion,
+        });
+
+      if (error) {
+        logger.error('Failed to insert performance issue', { error, ruleKey: issue.rule_key });
+      } else {
+        insertedCount++;
+      }
+    }
+
+    // The requested URL defines the analysis-level performance score, crawled pages only their own
+    if (!pageIndex) {
+      const { error } = await supabase
+        .from('analyses')
+        .update({ performance_score: summary.score, performance_metrics: summary })
+        .eq('id', analysisId);
+      if (error) {
+        logger.error('Failed to store performance score', { error, analysisId });
+      }
+    }
+
+    if (pageId) {
+      const { error } = await supabase
+        .from('analysis_pages')
+        .update({ performance_score: summary.score, performance_metrics: summary })
+        .eq('id', pageId);
+      if (error) {
+        logger.warn('Failed to store page performance score', { error, pageId });
+      }
+    }
+
+    await updatePerformanceJobStatus(analysisId, moduleJobInfo.moduleId, 'completed');
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'performance' });
+
+    logger.info('Performance analysis completed', { analysisId, issuesStored: insertedCount, score: summary.score });
+    return { success: true, score: summary.score, issues: insertedCount };
+  } catch (error: any) {
+    logger.error('Performance analysis failed', { error: error?.message || 'Unknown error', analysisId });
+    if (moduleJobInfo) {
+      await updatePerformanceJobStatus(analysisId, moduleJobInfo.moduleId, 'failed', error?.message || 'Unknown error');
+      await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'performance' });
+    }
+    throw error;
+  }
+}, {
+  connection: {
+    host: config.redis.host,
+    port: config.redis.port,
+  },
+  concurrency: 1, // Lighthouse needs an otherwise idle CPU for stable lab metrics
+});
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  logger.info('SIGTERM received, closing performance worker...');
+  await performanceWorker.close();
+});
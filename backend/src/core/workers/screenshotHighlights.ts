@@ -0,0 +1,189 @@
+/**
+ * Screenshot Highlights
+ *
+ * Locates issue elements on the desktop and mobile screenshots the fetcher captures
+ * for the root page and stores their boxes in `screenshot_highlight`, so the report
+ * can draw numbered markers over the screenshots.
+ */
+
+import { Page } from 'puppeteer';
+import { createLogger } from '@/config/logger';
+import { supabase } from '@/config/supabase';
+
+const logger = createLogger('screenshot-highlights');
+
+// Viewports of the screenshots taken by captureScreenshots in the fetcher
+export const SCREENSHOT_VIEWPORTS = {
+  desktop: { width: 1920, height: 1080 },
+  mobile: { width: 375, height: 667, isMobile: true },
+};
+export const MAX_HIGHLIGHTED_ISSUES = 300;
+
+interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ScreenshotBox extends Rect {
+  screenshot_id: string;
+  viewport_width: number;
+  viewport_height: number;
+}
+
+// The first screenshot an element is visible on; the mobile box follows when it is on both
+export interface ScreenshotHighlight extends ScreenshotBox {
+  other_screenshots?: ScreenshotBox[];
+}
+
+interface HighlightTarget {
+  analysisId: string;
+  jobId: string;
+  pageId?: string | null;
+  pageIndex?: number | null;
+  table: 'accessibility_issues' | 'seo_issues' | 'performance_issues';
+}
+
+/**
+ * Document position of the first element matching each selector, at the top of the page
+ */
+function measureSelectors(selectors: string[]): Array<Rect | null> {
+  const win = globalThis as any;
+  win.scrollTo(0, 0);
+
+  return selectors.map(selector => {
+    let element: any = null;
+    try {
+      element = win.document.querySelector(selector);
+    } catch (_) {
+      return null; // Not a CSS selector (e.g. an axe frame path or a URL)
+    }
+    if (!element) {
+      return null;
+    }
+    const box = element.getBoundingClientRect();
+    return { x: box.left + win.scrollX, y: box.top + win.scrollY, width: box.width, height: box.height };
+  });
+}
+
+/**
+ * Part of `rect` that lies inside a screenshot of `viewport` taken at the top of the page
+ */
+export function clipToScreenshot(rect: Rect, viewport: { width: number; height: number }): Rect | null {
+  const left = Math.max(rect.x, 0);
+  const top = Math.max(rect.y, 0);
+  const right = Math.min(rect.x + rect.width, viewport.width);
+  const bottom = Math.min(rect.y + rect.height, viewport.height);
+  if (right - left < 1 || bottom - top < 1) {
+    return null;
+  }
+  return {
+    x: Math.round(left),
+    y: Math.round(top),
+    width: Math.round(right - left),
+    height: Math.round(bottom - top),
+  };
+}
+
+async function storeHighlights(page: Page, target: HighlightTarget): Promise<number> {
+  const { data: screenshots, error: screenshotsError } = await supabase
+    .from('screenshots')
+    .select('id, type')
+    .eq('analysis_id', target.analysisId)
+    .in('type', Object.keys(SCREENSHOT_VIEWPORTS));
+
+  if (screenshotsError || !screenshots || screenshots.length === 0) {
+    return 0;
+  }
+
+  let issuesQuery = supabase
+    .from(target.table)
+    .select('id, location_path')
+    .eq('analysis_job_id', target.jobId)
+    .is('screenshot_highlight', null)
+    .not('location_path', 'is', null);
+  issuesQuery = target.pageId ? issuesQuery.eq('analysis_page_id', target.pageId) : issuesQuery.is('analysis_page_id', null);
+  const { data: issues, error: issuesError } = await issuesQuery.limit(MAX_HIGHLIGHTED_ISSUES);
+
+  if (issuesError) {
+    logger.warn('Failed to load issues for screenshot highlights', { error: issuesError.message, table: target.table });
+    return 0;
+  }
+  if (!issues || issues.length === 0) {
+    return 0;
+  }
+
+  const selectors: string[] = Array.from(new Set(issues.map((issue: any) => issue.location_path)));
+  const boxes = new Map<string, ScreenshotBox[]>();
+  const original = page.viewport();
+
+  try {
+    // Desktop first so it is the primary highlight
+    for (const type of Object.keys(SCREENSHOT_VIEWPORTS) as Array<keyof typeof SCREENSHOT_VIEWPORTS>) {
+      const screenshot = screenshots.find((s: any) => s.type === type);
+      if (!screenshot) {
+        continue;
+      }
+      const viewport = SCREENSHOT_VIEWPORTS[type];
+      await page.setViewport(viewport);
+      await page.waitForTimeout(300);
+
+      const rects = await page.evaluate(measureSelectors, selectors);
+      selectors.forEach((selector, index) => {
+        const visible = rects[index] && clipToScreenshot(rects[index], viewport);
+        if (!visible) {
+          return;
+        }
+        boxes.set(selector, [...(boxes.get(selector) || []), {
+          screenshot_id: screenshot.id,
+          ...visible,
+          viewport_width: viewport.width,
+          viewport_height: viewport.height,
+        }]);
+      });
+    }
+  } finally {
+    if (original) {
+      await page.setViewport(original);
+    }
+  }
+
+  const highlighted = issues.filter((issue: any) => boxes.has(issue.location_path));
+  await Promise.all(highlighted.map(async (issue: any) => {
+    const [primary, ...others] = boxes.get(issue.location_path);
+    const highlight: ScreenshotHighlight = others.length > 0 ? { ...primary, other_screenshots: others } : primary;
+
+    const { error } = await supabase
+      .from(target.table)
+      .update({ screenshot_highlight: highlight })
+      .eq('id', issue.id);
+
+    if (error) {
+      logger.warn('Failed to store screenshot highlight', { error: error.message, issueId: issue.id });
+    }
+  }));
+
+  logger.info('Stored screenshot highlights', { table: target.table, jobId: target.jobId, count: highlighted.length });
+  return highlighted.length;
+}
+
+/**
+ * Fill in `screenshot_highlight` for the issues this job found on the root page that are
+ * visible on one of its screenshots. Re-renders the page at each screenshot viewport and
+ * restores the original viewport. Returns the number of highlighted issues; failures are
+ * logged and never fail the analyzer.
+ */
+export async function recordScreenshotHighlights(page: Page, target: HighlightTarget): Promise<number> {
+  // Only the root page has desktop and mobile screenshots
+  if (target.pageIndex) {
+    return 0;
+  }
+
+  try {
+    return await storeHighlights(page, target);
+  } catch (error: any) {
+    logger.warn('Failed to record screenshot highlights', { error: error?.message, table: target.table, jobId: target.jobId });
+    return 0;
+  }
+}
@@ -0,0 +1,184 @@
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import http from 'http';
+import { AddressInfo } from 'net';
+import {
+  PageHead,
+  clusterDuplicates,
+  findSiteDuplicates,
+  sampleUrls,
+  toDuplicateIssues,
+} from '../siteDuplicates';
+
+const WIDGET_DESCRIPTION = 'Acme makes the finest widgets for home and office use, shipped worldwide within two days.';
+
+function page(title: string, description: string, extraHead = ''): string {
+  return `<!doctype html><html><head><title>${title}</title>
+<meta name="description" content="${description}">${extraHead}</head><body><h1>${title}</h1></body></html>`;
+}
+
+// A small site: robots.txt declares a sitemap index, which lists the page sitemap
+const FIXTURE_PAGES: Record<string, (origin: string) => string> = {
+  '/about': () => page('About us | Acme', 'Acme has built widgets since 1952.'),
+  '/team': () => page('About Us – Acme', 'Meet the people behind Acme.'),
+  '/blue': () => page('Blue widget | Acme', WIDGET_DESCRIPTION),
+  '/red': () => page('Red widget | Acme', WIDGET_DESCRIPTION.replace('two', 'three')),
+  '/blue-print': origin => page('Blue widget | Acme', WIDGET_DESCRIPTION, `<link rel="canonical" href="${origin}/blue">`),
+  '/private': () => page('About us | Acme', 'Internal'),
+};
+
+describe('Site Duplicates', () => {
+  let server: http.Server;
+  let origin: string;
+  const requested: string[] = [];
+  const openResponses: http.ServerResponse[] = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const path = req.url || '/';
+      requested.push(path);
+
+      if (path === '/robots.txt') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`User-agent: *\nDisallow: /private\nSitemap: ${origin}/sitemap-index.xml\n`);
+      } else if (path === '/sitemap-index.xml') {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0"?><sitemapindex><sitemap><loc>${origin}/sitemap-pages.xml</loc></sitemap></sitemapindex>`);
+      } else if (path === '/sitemap-pages.xml') {
+        const locs = ['/about', '/team', '/blue', '/red', '/blue-print', '/private', '/brochure.pdf', '/streaming', '/missing']
+          .map(loc => `<url><loc>${origin}${loc}</loc></url>`)
+          .join('');
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0"?><urlset>${locs}</urlset>`);
+      } else if (path === '/streaming') {
+        // The body never finishes; only the head may be read
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<html><head><title>Streaming | Acme</title></head><body>');
+        openResponses.push(res);
+      } else if (FIXTURE_PAGES[path]) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(FIXTURE_PAGES[path](origin));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    openResponses.forEach(res => res.end());
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requested.length = 0;
+  });
+
+  describe('findSiteDuplicates', () => {
+    it('should group duplicate titles and descriptions across the sitemap', async () => {
+      const robotsTxt = await (await fetch(`${origin}/robots.txt`)).text();
+      const root: PageHead = { url: `${origin}/`, title: 'Acme widgets', description: 'Acme has built widgets since 1952.', canonical: null };
+
+      const result = await findSiteDuplicates({ origin, robotsTxt, root });
+
+      expect(result.sitemapUrls).toBe(7);
+      expect(result.sampled).toBe(7);
+      expect(result.groups).toEqual([
+        { field: 'title', value: 'About us | Acme', urls: [`${origin}/about`, `${origin}/team`], exact: true },
+        { field: 'description', value: 'Acme has built widgets since 1952.', urls: [`${origin}/`, `${origin}/about`], exact: true },
+        { field: 'description', value: WIDGET_DESCRIPTION, urls: [`${origin}/blue`, `${origin}/red`], exact: false },
+      ]);
+    });
+
+    it('should not fetch pages robots.txt disallows or that are not HTML', async () => {
+      const robotsTxt = `User-agent: *\nDisallow: /private\nSitemap: ${origin}/sitemap-index.xml\n`;
+
+      await findSiteDuplicates({ origin, robotsTxt });
+
+      expect(requested).toContain('/sitemap-pages.xml');
+      expect(requested).toContain('/streaming');
+      expect(requested).not.toContain('/private');
+      expect(requested).not.toContain('/brochure.pdf');
+    });
+
+    it('should fall back to /sitemap.xml and fetch no more pages than the sample size', async () => {
+      const result = await findSiteDuplicates({ origin, robotsTxt: null, sampleSize: 3 });
+
+      expect(requested).toEqual(['/sitemap.xml']);
+      expect(result).toEqual({ sitemapUrls: 0, sampled: 0, groups: [] });
+
+      requested.length = 0;
+      const robotsTxt = `Sitemap: ${origin}/sitemap-pages.xml\n`;
+      const sampled = await findSiteDuplicates({ origin, robotsTxt, sampleSize: 3 });
+
+      expect(requested.filter(path => !path.endsWith('.xml'))).toHaveLength(3);
+      expect(sampled.sampled).toBeLessThanOrEqual(3);
+    });
+  });
+
+  describe('sampleUrls', () => {
+    it('should spread the sample over the whole list', () => {
+      const urls = Array.from({ length: 10 }, (_, i) => `/page-${i}`);
+
+      expect(sampleUrls(urls, 4)).toEqual(['/page-0', '/page-2', '/page-5', '/page-7']);
+      expect(sampleUrls(urls.slice(0, 3), 4)).toEqual(['/page-0', '/page-1', '/page-2']);
+    });
+  });
+
+  describe('clusterDuplicates', () => {
+    const head = (url: string, title: string | null): PageHead => ({ url, title, description: null, canonical: null });
+
+    it('should keep pages that only share a template apart', () => {
+      const pages = [
+        head('/a', 'Blue widget | Acme'),
+        head('/b', 'Red widget | Acme'),
+        head('/c', null),
+        head('/d', '   '),
+      ];
+
+      expect(clusterDuplicates(pages, 'title')).toEqual([]);
+    });
+
+    it('should merge groups that a later page links', () => {
+      const words = 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen twenty';
+      const pages = [
+        head('/a', words),
+        head('/b', words.replace('twenty', 'thirty').replace('one', 'zero')),
+        head('/c', words.replace('twenty', 'thirty')),
+      ];
+
+      const groups = clusterDuplicates(pages, 'title');
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].urls).toEqual(['/a', '/c', '/b']);
+      expect(groups[0].exact).toBe(false);
+    });
+  });
+
+  describe('toDuplicateIssues', () => {
+    it('should report each group with all affected URLs', () => {
+      const issues = toDuplicateIssues([
+        { field: 'description', value: 'Shop now', urls: ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'], exact: true },
+      ]);
+
+      expect(issues).toEqual([
+        expect.objectContaining({
+          rule_key: 'SEO_CON_06_META_DESC_DUPLICATE',
+          severity: 'moderate',
+          code_snippet: 'https://example.com/a\nhttps://example.com/b\nhttps://example.com/c',
+          message: '3 pages share the same meta description: "Shop now"',
+        }),
+      ]);
+    });
+  });
+});
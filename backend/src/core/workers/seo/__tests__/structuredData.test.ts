@@ -0,0 +1,180 @@
+import { JSDOM } from 'jsdom';
+import {
+  StructuredDataFinding,
+  extractStructuredData,
+  schemaName,
+  structuredDataTypes,
+  validateStructuredData,
+} from '../structuredData';
+
+function documentOf(body: string) {
+  return new JSDOM(`<!doctype html><html><head></head><body>${body}</body></html>`).window.document;
+}
+
+function jsonLd(data: unknown): string {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+function validate(body: string): StructuredDataFinding[] {
+  return validateStructuredData(extractStructuredData(documentOf(body)));
+}
+
+const paths = (findings: StructuredDataFinding[], kind?: StructuredDataFinding['kind']) =>
+  findings.filter(finding => !kind || finding.kind === kind).map(finding => finding.path);
+
+describe('Structured Data', () => {
+  describe('schemaName', () => {
+    it('should strip vocabulary prefixes', () => {
+      expect(schemaName('https://schema.org/Product')).toBe('Product');
+      expect(schemaName('schema:offers')).toBe('offers');
+      expect(schemaName('Event')).toBe('Event');
+    });
+  });
+
+  describe('JSON-LD', () => {
+    it('should resolve @graph members and @id references', () => {
+      const findings = validate(jsonLd({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'Product', name: 'Kettle', image: 'k.jpg', description: 'Steel', brand: 'Acme', sku: 'K1', offers: { '@id': '#offer' } },
+          { '@type': 'Offer', '@id': '#offer', price: '$19.99', availability: 'https://schema.org/InStock', url: '/kettle' },
+        ],
+      }));
+
+      expect(findings.map(({ kind, path }) => [kind, path])).toEqual([
+        ['required', 'Product.offers.priceCurrency'],
+        ['invalid', 'Product.offers.price'],
+      ]);
+      expect(findings[0].message).toBe(
+        'Product.offers.priceCurrency (or Product.offers.priceSpecification.priceCurrency) is required for Product rich results but missing'
+      );
+      expect(findings[1].fix).toBe('Use a plain number without currency symbols or thousands separators, e.g. "price": "19.99".');
+      expect(findings[0].source).toBe('JSON-LD block 1');
+      expect(findings[0].snippet).toContain('"price": "$19.99"');
+    });
+
+    it('should accept prices given in a price specification', () => {
+      const findings = validate(jsonLd({
+        '@type': 'Product',
+        name: 'Kettle',
+        offers: { '@type': 'Offer', priceSpecification: { '@type': 'PriceSpecification', price: 19.99, priceCurrency: 'EUR' } },
+      }));
+
+      expect(paths(findings, 'required')).toEqual([]);
+      expect(paths(findings, 'invalid')).toEqual([]);
+    });
+
+    it('should report blocks that are not valid JSON', () => {
+      const findings = validate(`${jsonLd({ '@type': 'Organization', name: 'Acme' })}<script type="application/ld+json">{"@type": "Product",}</script>`);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ kind: 'syntax', path: 'JSON-LD block 2' });
+      expect(findings[0].message).toMatch(/^JSON-LD block 2 is not valid JSON/);
+    });
+
+    it('should index repeated values and check nested item types', () => {
+      const findings = validate(jsonLd({
+        '@type': 'HowTo',
+        name: 'Descale a kettle',
+        totalTime: '30 minutes',
+        step: [
+          'Fill with vinegar',
+          { '@type': 'HowToStep', name: 'Boil' },
+          { '@type': 'HowToSection', name: 'Rinse', itemListElement: [{ '@type': 'HowToStep', text: 'Empty' }, { '@type': 'Recipe' }] },
+        ],
+      }));
+
+      expect(paths(findings, 'required')).toEqual(['HowTo.step[2].text']);
+      expect(paths(findings, 'invalid')).toEqual(['HowTo.totalTime', 'HowTo.step[1]', 'HowTo.step[3].itemListElement[2]']);
+      expect(findings.find(finding => finding.path === 'HowTo.step[1]')!.message).toBe(
+        'HowTo.step[1] is text but must be a HowToStep or HowToSection item'
+      );
+    });
+
+    it('should validate subtypes with the rules of their parent type and survive reference cycles', () => {
+      const findings = validate(jsonLd([
+        { '@type': 'Restaurant', '@id': '#diner', name: 'Diner', address: 'Main Street 1', parentOrganization: { '@id': '#diner' } },
+        { '@type': 'MusicEvent', name: 'Gig', startDate: '14/03/2025', location: { '@type': 'Place', name: 'Hall' } },
+      ]));
+
+      expect(paths(findings, 'invalid')).toEqual(['Restaurant.address', 'MusicEvent.startDate']);
+      expect(paths(findings, 'required')).toEqual(['MusicEvent.location.address']);
+    });
+  });
+
+  describe('Microdata', () => {
+    it('should read nested items and itemref properties', () => {
+      const findings = validate(`
+        <div itemscope itemtype="https://schema.org/FAQPage" itemref="extra">
+          <div itemprop="mainEntity" itemscope itemtype="https://schema.org/Question">
+            <h3 itemprop="name">Is it safe?</h3>
+            <div itemprop="acceptedAnswer" itemscope itemtype="https://schema.org/Answer">
+              <p itemprop="text">Yes.</p>
+            </div>
+          </div>
+        </div>
+        <div id="extra" itemprop="mainEntity" itemscope itemtype="https://schema.org/Question">
+          <h3 itemprop="name">Does it rust?</h3>
+          <div itemprop="acceptedAnswer" itemscope itemtype="https://schema.org/Answer"></div>
+        </div>`);
+
+      expect(paths(findings)).toEqual(['FAQPage.mainEntity[2].acceptedAnswer.text']);
+      expect(findings[0].fix).toContain('<meta itemprop="text" content="…">');
+      expect(findings[0].source).toBe('Microdata <div itemprop="acceptedAnswer" itemscope="" itemtype="https://schema.org/Answer">');
+    });
+
+    it('should take values from the attribute each element carries them in', () => {
+      const { items } = extractStructuredData(documentOf(`
+        <div itemscope itemtype="https://schema.org/Event">
+          <span itemprop="name">Gig</span>
+          <time itemprop="startDate" datetime="2025-03-14T20:00">Friday</time>
+          <meta itemprop="eventStatus" content="https://schema.org/EventScheduled">
+          <a itemprop="url" href="https://example.com/gig">Tickets</a>
+        </div>`));
+
+      expect(items[0].properties).toMatchObject({
+        name: ['Gig'],
+        startDate: ['2025-03-14T20:00'],
+        eventStatus: ['https://schema.org/EventScheduled'],
+        url: ['https://example.com/gig'],
+      });
+    });
+  });
+
+  describe('RDFa', () => {
+    it('should require links on every breadcrumb but the last', () => {
+      const findings = validate(`
+        <ol vocab="https://schema.org/" typeof="BreadcrumbList">
+          <li property="itemListElement" typeof="ListItem">
+            <a property="item" typeof="WebPage" href="/shop"><span property="name">Shop</span></a>
+            <meta property="position" content="1">
+          </li>
+          <li property="itemListElement" typeof="ListItem">
+            <span property="name">Kettles</span>
+            <meta property="position" content="second">
+          </li>
+          <li property="itemListElement" typeof="ListItem">
+            <span property="name">Steel kettle</span>
+            <meta property="position" content="3">
+          </li>
+        </ol>`);
+
+      expect(findings.map(({ kind, path }) => [kind, path])).toEqual([
+        ['required', 'BreadcrumbList.itemListElement[2].item'],
+        ['invalid', 'BreadcrumbList.itemListElement[2].position'],
+      ]);
+      expect(findings[0].fix).toContain('<meta property="item" content="https://example.com/category">');
+    });
+  });
+
+  describe('structuredDataTypes', () => {
+    it('should list the types of all syntaxes and nested items', () => {
+      const { items } = extractStructuredData(documentOf(`
+        ${jsonLd({ '@graph': [{ '@type': 'WebPage', publisher: { '@type': 'Organization', name: 'Acme' } }] })}
+        <div itemscope itemtype="http://schema.org/BlogPosting"></div>
+        <div vocab="https://schema.org/" typeof="BreadcrumbList"></div>`));
+
+      expect([...structuredDataTypes(items)].sort()).toEqual(['BlogPosting', 'BreadcrumbList', 'Organization', 'WebPage']);
+    });
+  });
+});
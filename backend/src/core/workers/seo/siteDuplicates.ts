@@ -0,0 +1,275 @@
+/**
+ * Site-wide Duplicate Titles and Descriptions
+ *
+ * A single page cannot tell whether its title or meta description is unique, so this
+ * check reads the URLs listed in the site's sitemap, fetches the <head> of a bounded,
+ * evenly spread sample of them and groups pages whose titles or descriptions are the
+ * same or nearly the same. Pages whose canonical points elsewhere are left out: they
+ * declare themselves as copies of another page.
+ */
+
+import { JSDOM } from 'jsdom';
+import { createLogger } from '@/config/logger';
+import { discoverSitemapUrls, normalizeCrawlUrl, parseRobotsTxt } from '@/services/analysis/siteCrawl';
+
+const logger = createLogger('seo-site-duplicates');
+
+export type DuplicateField = 'title' | 'description';
+
+export interface PageHead {
+  url: string;
+  title: string | null;
+  description: string | null;
+  canonical: string | null;
+}
+
+export interface DuplicateGroup {
+  field: DuplicateField;
+  value: string; // the text of the first page in the group
+  urls: string[];
+  exact: boolean; // false when some pages only nearly match
+}
+
+export interface SiteDuplicatesResult {
+  sitemapUrls: number;
+  sampled: number;
+  groups: DuplicateGroup[];
+}
+
+export interface DuplicateIssue {
+  rule_key: string;
+  severity: 'minor' | 'moderate' | 'serious' | 'critical';
+  location_path: string;
+  code_snippet: string;
+  message: string;
+  fix_suggestion: string;
+}
+
+// Pages fetched per analysis, the analysed page included
+export const MAX_SAMPLE_PAGES = 25;
+// Token overlap from which two texts count as the same text with small edits
+export const NEAR_DUPLICATE_SIMILARITY = 0.85;
+
+const FETCH_CONCURRENCY = 4;
+const FETCH_TIMEOUT_MS = 8000;
+// Stop reading a document that has not closed its <head> by then
+const MAX_HEAD_BYTES = 256 * 1024;
+
+const RULES: Record<DuplicateField, { ruleKey: string; severity: DuplicateIssue['severity']; location: string; label: string; fix: string }> = {
+  title: {
+    ruleKey: 'SEO_CON_03_TITLE_TAG_DUPLICATE',
+    severity: 'serious',
+    location: 'head > title',
+    label: 'title',
+    fix: 'Give every page a title that describes its own content, e.g. lead with the product, article or section name before the site name.',
+  },
+  description: {
+    ruleKey: 'SEO_CON_06_META_DESC_DUPLICATE',
+    severity: 'moderate',
+    location: 'head > meta[name="description"]',
+    label: 'meta description',
+    fix: 'Write a meta description for each page that summarises that page, or remove shared boilerplate descriptions so search engines build a snippet from the page content.',
+  },
+};
+
+/**
+ * Read a page up to the end of its <head> without downloading the rest of the document
+ */
+export async function fetchHead(url: string): Promise<{ url: string; head: string } | null> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal, redirect: 'follow', headers: { 'User-Agent': 'SiteCraft-Analyzer/1.0' } as any });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !response.body || (contentType && !/html/i.test(contentType))) {
+      return null;
+    }
+
+    const reader = (response.body as any).getReader();
+    const decoder = new TextDecoder();
+    let html = '';
+    while (html.length < MAX_HEAD_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      html += decoder.decode(value, { stream: true });
+      if (/<\/head\s*>|<body[\s>]/i.test(html)) break;
+    }
+    await reader.cancel().catch(() => undefined);
+
+    const end = html.search(/<\/head\s*>|<body[\s>]/i);
+    return { url: response.url || url, head: end === -1 ? html : html.slice(0, end) };
+  } catch (_) {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Title, meta description and canonical URL of a page
+ */
+export function parseHead(html: string, url: string): PageHead {
+  const document = new JSDOM(html).window.document;
+  const text = (value: string | null | undefined) => {
+    const trimmed = (value || '').replace(/\s+/g, ' ').trim();
+    return trimmed || null;
+  };
+
+  const canonicalHref = document.querySelector('link[rel~="canonical"]')?.getAttribute('href');
+
+  return {
+    url,
+    title: text(document.querySelector('title')?.textContent),
+    description: text(document.querySelector('meta[name="description" i]')?.getAttribute('content')),
+    canonical: canonicalHref ? normalizeCrawlUrl(canonicalHref, url) : null,
+  };
+}
+
+/**
+ * Pick `size` URLs spread evenly over the list, so a sitemap that is sorted by section
+ * is sampled across sections instead of only the first one
+ */
+export function sampleUrls(urls: string[], size: number): string[] {
+  if (urls.length <= size) return [...urls];
+  if (size <= 0) return [];
+  return Array.from({ length: size }, (_, i) => urls[Math.floor((i * urls.length) / size)]);
+}
+
+async function collectPageHeads(urls: string[]): Promise<PageHead[]> {
+  // Filled by position so the sample keeps sitemap order whichever request finishes first
+  const heads: Array<PageHead | null> = urls.map(() => null);
+  let cursor = 0;
+
+  const next = async (): Promise<void> => {
+    const index = cursor++;
+    if (index >= urls.length) return;
+    const fetched = await fetchHead(urls[index]);
+    if (fetched) {
+      heads[index] = parseHead(fetched.head, fetched.url);
+    }
+    return next();
+  };
+
+  await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, urls.length) }, next));
+  return heads.filter((head): head is PageHead => head !== null);
+}
+
+function isCanonicalOf(page: PageHead): boolean {
+  const strip = (url: string) => url.replace(/\/+$/, '');
+  const own = normalizeCrawlUrl(page.url, page.url);
+  return !page.canonical || !own || strip(page.canonical) === strip(own);
+}
+
+/**
+ * Lower-cased words of a text, with punctuation and separators such as `|` or `–` removed
+ */
+export function normalizeText(value: string): string {
+  return value
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Share of distinct words two normalised texts have in common (Jaccard index)
+ */
+export function textSimilarity(a: string, b: string): number {
+  if (a === b) return 1;
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Group pages whose field is identical or nearly identical. A page joins a group when it
+ * is close enough to any page already in it. Only groups of two or more pages are returned.
+ */
+export function clusterDuplicates(pages: PageHead[], field: DuplicateField): DuplicateGroup[] {
+  const entries = pages
+    .filter(page => page[field])
+    .map(page => ({ page, text: normalizeText(page[field]!) }))
+    .filter(entry => entry.text.length > 0);
+
+  const clusters: Array<typeof entries> = [];
+  for (const entry of entries) {
+    const matches = clusters.filter(cluster => cluster.some(member =>
+      textSimilarity(member.text, entry.text) >= NEAR_DUPLICATE_SIMILARITY
+    ));
+
+    if (matches.length === 0) {
+      clusters.push([entry]);
+      continue;
+    }
+
+    // The page links clusters that were apart so far
+    const [target, ...merged] = matches;
+    target.push(entry, ...merged.flat());
+    merged.forEach(cluster => clusters.splice(clusters.indexOf(cluster), 1));
+  }
+
+  return clusters
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => ({
+      field,
+      value: cluster[0].page[field]!,
+      urls: cluster.map(member => member.page.url),
+      exact: cluster.every(member => member.text === cluster[0].text),
+    }));
+}
+
+/**
+ * Fetch a sample of the sitemap's pages and group duplicate titles and descriptions.
+ * The analysed page is always part of the sample; its head comes from the stored HTML.
+ */
+export async function findSiteDuplicates(options: {
+  origin: string;
+  robotsTxt: string | null;
+  root?: PageHead | null;
+  sampleSize?: number;
+}): Promise<SiteDuplicatesResult> {
+  const { origin, robotsTxt, root } = options;
+  const sampleSize = Math.min(options.sampleSize ?? MAX_SAMPLE_PAGES, MAX_SAMPLE_PAGES);
+
+  const sitemapUrls = await discoverSitemapUrls(origin, parseRobotsTxt(robotsTxt));
+  const rootUrl = root ? normalizeCrawlUrl(root.url, origin) : null;
+  const candidates = sitemapUrls.filter(url => url !== rootUrl);
+  const fetched = await collectPageHeads(sampleUrls(candidates, root ? sampleSize - 1 : sampleSize));
+
+  // Sitemap entries that redirect to a page already in the sample count once, and pages
+  // that name another URL as canonical are intended copies
+  const pages = (root ? [root, ...fetched] : fetched)
+    .filter((page, index, all) => all.findIndex(other => other.url === page.url) === index)
+    .filter(isCanonicalOf);
+
+  const groups = [...clusterDuplicates(pages, 'title'), ...clusterDuplicates(pages, 'description')];
+  const sampled = fetched.length + (root ? 1 : 0);
+
+  logger.info('Site duplicate check finished', { origin, sitemapUrls: sitemapUrls.length, sampled, groups: groups.length });
+
+  return { sitemapUrls: sitemapUrls.length, sampled, groups };
+}
+
+/**
+ * One issue per duplicate group, listing every affected URL
+ */
+export function toDuplicateIssues(groups: DuplicateGroup[]): DuplicateIssue[] {
+  return groups.map(group => {
+    const rule = RULES[group.field];
+    const match = group.exact ? 'the same' : 'a nearly identical';
+    return {
+      rule_key: rule.ruleKey,
+      severity: rule.severity,
+      location_path: rule.location,
+      code_snippet: group.urls.join('\n'),
+      message: `${group.urls.length} pages share ${match} ${rule.label}: "${group.value}"`,
+      fix_suggestion: rule.fix,
+    };
+  });
+}
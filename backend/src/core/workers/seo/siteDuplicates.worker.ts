@@ -0,0 +1,145 @@
+/**
+ * Site Duplicates BullMQ Worker
+ * Consumes jobs from seo-site-duplicates queue. Runs once per analysis, on the root page,
+ * and records duplicate titles and meta descriptions found across the site's sitemap.
+ */
+
+import { Job, Worker } from 'bullmq';
+import { config } from '@/config';
+import { createLogger } from '@/config/logger';
+import { supabase } from '@/config/supabase';
+import { AppError } from '@/types';
+import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
+import { findSiteDuplicates, parseHead, toDuplicateIssues } from './siteDuplicates';
+
+const logger = createLogger('seo-site-duplicates-worker');
+
+interface SiteDuplicatesJobData {
+  analysisId: string;
+  workspaceId: string;
+  websiteId: string;
+  userId: string | null;
+  assetPath: string;
+  metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
+  pageIndex?: number; // always 0, the analyzer only runs on the root page
+}
+
+async function getSeoJobId(analysisId: string): Promise<string | null> {
+  const { data: job, error } = await supabase
+    .from('analysis_jobs')
+    .select('id, analysis_modules!inner(name)')
+    .eq('analysis_id', analysisId)
+    .eq('analysis_modules.name', 'SEO')
+    .single();
+
+  if (error || !job) {
+    logger.error('SEO analysis job not found', { error, analysisId });
+    return null;
+  }
+  return job.id;
+}
+
+async function getRuleId(ruleKey: string): Promise<string | null> {
+  const { data, error } = await supabase
+    .from('rules')
+    .select('id')
+    .eq('rule_key', ruleKey)
+    .single();
+
+  if (error || !data) {
+    logger.warn('Rule not found', { ruleKey, error });
+    return null;
+  }
+  return data.id;
+}
+
+async function downloadTextFromStorage(path: string): Promise<string | null> {
+  const { data, error } = await supabase.storage
+    .from('analysis-assets')
+    .download(path);
+  if (error || !data) return null;
+  return data.text();
+}
+
+export const siteDuplicatesWorker = new Worker('seo-site-duplicates', async (job: Job<SiteDuplicatesJobData>) => {
+  const { analysisId, assetPath, metadata, pageId } = job.data;
+  logger.info('Starting site duplicate check', { analysisId, assetPath });
+
+  try {
+    const jobId = await getSeoJobId(analysisId);
+    if (!jobId) throw new AppError('Failed to get SEO job info', 500);
+
+    const finalUrl: string = metadata?.finalUrl || metadata?.url || '';
+    const origin = new URL(finalUrl).origin;
+
+    // robots.txt decides which sitemaps are read and which of their pages may be fetched
+    const [robotsTxt, html] = await Promise.all([
+      downloadTextFromStorage(`${assetPath}/meta/robots.txt`),
+      downloadTextFromStorage(`${assetPath}/html/index.html`),
+    ]);
+
+    const result = await findSiteDuplicates({
+      origin,
+      robotsTxt,
+      root: html ? parseHead(html, finalUrl) : null,
+    });
+
+    const issues = toDuplicateIssues(result.groups);
+    let inserted = 0;
+
+    for (const issue of issues) {
+      const ruleId = await getRuleId(issue.rule_key);
+      if (!ruleId) continue;
+
+      const { error } = await supabase
+        .from('seo_issues')
+        .insert({
+          analysis_job_id: jobId,
+          analysis_page_id: pageId || null,
+          rule_id: ruleId,
+          severity: issue.severity,
+          location_path: issue.location_path,
+          code_snippet: issue.code_snippet,
+          message: issue.message,
+          fix_suggestion: issue.fix_suggestion,
+        });
+
+      if (error) {
+        logger.error('Failed to insert SEO issue', { error, ruleKey: issue.rule_key });
+      } else {
+        inserted++;
+      }
+    }
+
+    logger.info('Site duplicate check completed', {
+      analysisId,
+      sitemapUrls: result.sitemapUrls,
+      sampled: result.sampled,
+      groups: result.groups.length,
+      inserted
+    });
+
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'siteDuplicates' });
+    return { success: true, sampled: result.sampled, issues: inserted };
+  } catch (error: any) {
+    logger.error('Site duplicate check failed', { error: error?.message || 'Unknown error', analysisId });
+    // The SEO module job belongs to the technical SEO worker; only page completion is recorded
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'siteDuplicates' });
+    throw error;
+  }
+}, {
+  connection: {
+    host: config.redis.host,
+    port: config.redis.port,
+  },
+  concurrency: 2,
+});
+
+siteDuplicatesWorker.on('failed', (job, err) => {
+  logger.error('Site duplicate job failed', {
+    jobId: job?.id,
+    analysisId: job?.data?.analysisId,
+    error: err.message
+  });
+});
@@ -0,0 +1,592 @@
+/**
+ * Structured Data Validation
+ *
+ * Extracts schema.org items from JSON-LD, Microdata and RDFa into one shape, resolves
+ * `@graph` members and `@id` references between them and checks the properties Google
+ * requires or recommends for common rich-result types. Every finding names the exact
+ * property path, e.g. `Product.offers.price` or `FAQPage.mainEntity[2].acceptedAnswer.text`.
+ */
+
+import type { JSDOM } from 'jsdom';
+
+type StructuredDocument = JSDOM['window']['document'];
+
+export type StructuredSyntax = 'json-ld' | 'microdata' | 'rdfa';
+
+export interface StructuredNode {
+  types: string[];
+  id: string | null;
+  properties: Record<string, StructuredValue[]>;
+  syntax: StructuredSyntax;
+  source: string; // where the item is on the page, e.g. `JSON-LD block 2`
+  reference?: boolean; // a JSON-LD `{"@id": ...}` pointer to another node
+}
+
+export type StructuredValue = string | StructuredNode;
+
+export interface StructuredDataFinding {
+  kind: 'syntax' | 'required' | 'recommended' | 'invalid';
+  path: string;
+  source: string;
+  message: string;
+  fix: string;
+  snippet?: string;
+}
+
+export interface ExtractedStructuredData {
+  items: StructuredNode[]; // top-level items, @graph members included
+  syntaxErrors: StructuredDataFinding[];
+}
+
+type ValueFormat = 'number' | 'integer' | 'currency' | 'date' | 'duration';
+
+interface TypeRule {
+  // Each entry must be present; an array is satisfied by any one of its paths
+  required: Array<string | string[]>;
+  recommended?: string[];
+  formats?: Record<string, ValueFormat>;
+  // Properties whose values must be items of one of these types
+  expects?: Record<string, string[]>;
+}
+
+// Findings reported per page, required and invalid ones first
+export const MAX_STRUCTURED_DATA_FINDINGS = 40;
+// Nested items deeper than this are not validated; guards against @id reference cycles
+const MAX_VALIDATION_DEPTH = 6;
+
+const TYPE_RULES: Record<string, TypeRule> = {
+  Product: {
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku'],
+    expects: { offers: ['Offer', 'AggregateOffer'], review: ['Review'], aggregateRating: ['AggregateRating'] },
+  },
+  Offer: {
+    required: [['price', 'priceSpecification.price'], ['priceCurrency', 'priceSpecification.priceCurrency']],
+    recommended: ['availability', 'url'],
+    formats: { price: 'number', 'priceSpecification.price': 'number', priceCurrency: 'currency', 'priceSpecification.priceCurrency': 'currency', priceValidUntil: 'date' },
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+    formats: { lowPrice: 'number', highPrice: 'number', priceCurrency: 'currency', offerCount: 'integer' },
+  },
+  AggregateRating: {
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    formats: { ratingValue: 'number', ratingCount: 'integer', reviewCount: 'integer', bestRating: 'number', worstRating: 'number' },
+  },
+  Review: {
+    required: ['author', 'reviewRating'],
+    expects: { reviewRating: ['Rating'] },
+  },
+  Rating: {
+    required: ['ratingValue'],
+    formats: { ratingValue: 'number', bestRating: 'number', worstRating: 'number' },
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    expects: { mainEntity: ['Question'] },
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer'],
+    expects: { acceptedAnswer: ['Answer'] },
+  },
+  Answer: {
+    required: ['text'],
+  },
+  HowTo: {
+    required: ['name', 'step'],
+    recommended: ['image', 'totalTime', 'estimatedCost', 'supply', 'tool'],
+    formats: { totalTime: 'duration', prepTime: 'duration', performTime: 'duration' },
+    expects: { step: ['HowToStep', 'HowToSection'] },
+  },
+  HowToSection: {
+    required: ['name', 'itemListElement'],
+    expects: { itemListElement: ['HowToStep'] },
+  },
+  HowToStep: {
+    required: [['text', 'itemListElement']],
+    recommended: ['name', 'image'],
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification', 'priceRange'],
+    expects: { address: ['PostalAddress'] },
+  },
+  PostalAddress: {
+    required: [],
+    recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'],
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'description', 'image', 'offers', 'organizer', 'performer', 'eventStatus', 'eventAttendanceMode'],
+    formats: { startDate: 'date', endDate: 'date' },
+    expects: { location: ['Place', 'VirtualLocation'], offers: ['Offer', 'AggregateOffer'] },
+  },
+  Place: {
+    required: ['address'],
+    expects: { address: ['PostalAddress'] },
+  },
+  VirtualLocation: {
+    required: ['url'],
+  },
+  Article: {
+    required: [],
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author'],
+    formats: { datePublished: 'date', dateModified: 'date' },
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    expects: { itemListElement: ['ListItem'] },
+  },
+  ListItem: {
+    required: ['position', ['name', 'item.name']],
+    formats: { position: 'integer' },
+  },
+};
+
+// Subtypes validated with the rules of their parent type
+const TYPE_ALIASES: Record<string, string> = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  MedicalClinic: 'LocalBusiness',
+  AutoRepair: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  FoodEstablishment: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  BusinessEvent: 'Event',
+  MusicEvent: 'Event',
+  SportsEvent: 'Event',
+  EducationEvent: 'Event',
+  TheaterEvent: 'Event',
+};
+
+// Types that produce a rich result; only top-level items of these types are validated
+export const RICH_RESULT_TYPES = ['Product', 'FAQPage', 'HowTo', 'LocalBusiness', 'Event', 'Article', 'BreadcrumbList'];
+
+const FORMAT_CHECKS: Record<ValueFormat, { test: RegExp; expected: string; example: string }> = {
+  number: { test: /^-?\d+(\.\d+)?$/, expected: 'a plain number without currency symbols or thousands separators', example: '19.99' },
+  integer: { test: /^\d+$/, expected: 'a whole number', example: '3' },
+  currency: { test: /^[A-Z]{3}$/, expected: 'a three-letter ISO 4217 currency code', example: 'EUR' },
+  date: {
+    test: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+    expected: 'an ISO 8601 date',
+    example: '2025-03-14T19:30:00+01:00',
+  },
+  duration: { test: /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/, expected: 'an ISO 8601 duration', example: 'PT1H30M' },
+};
+
+/**
+ * Short schema.org name of a type or property: `https://schema.org/Product`, `schema:Product`
+ * and `Product` are all `Product`
+ */
+export function schemaName(value: string): string {
+  return value.trim().replace(/^.*[/#:]/, '');
+}
+
+function ruleTypeOf(node: StructuredNode): string | null {
+  for (const type of node.types) {
+    const ruleType = TYPE_ALIASES[type] || type;
+    if (TYPE_RULES[ruleType]) return ruleType;
+  }
+  return null;
+}
+
+function addValue(node: StructuredNode, names: string, value: StructuredValue) {
+  for (const name of names.split(/\s+/).filter(Boolean).map(schemaName)) {
+    (node.properties[name] = node.properties[name] || []).push(value);
+  }
+}
+
+function collapse(text: string | null | undefined): string {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function openingTag(element: any): string {
+  const html: string = element.outerHTML || '';
+  const end = html.indexOf('>');
+  return end === -1 ? html.slice(0, 200) : html.slice(0, Math.min(end + 1, 200));
+}
+
+// JSON-LD
+
+function jsonLdNode(value: any, source: string, nodes: StructuredNode[]): StructuredNode {
+  const types = ([] as any[]).concat(value['@type'] ?? []).filter(type => typeof type === 'string').map(schemaName);
+  const id = typeof value['@id'] === 'string' ? value['@id'] : null;
+  const keys = Object.keys(value).filter(key => !key.startsWith('@'));
+  const node: StructuredNode = { types, id, properties: {}, syntax: 'json-ld', source };
+
+  if (id && types.length === 0 && keys.length === 0) {
+    node.reference = true;
+  }
+
+  for (const key of keys) {
+    for (const entry of ([] as any[]).concat(value[key])) {
+      const jsonValue = jsonLdValue(entry, source, nodes);
+      jsonValue.forEach(item => addValue(node, key, item));
+    }
+  }
+
+  nodes.push(node);
+  return node;
+}
+
+function jsonLdValue(entry: any, source: string, nodes: StructuredNode[]): StructuredValue[] {
+  if (entry === null || entry === undefined) return [];
+  if (typeof entry !== 'object') return [String(entry)];
+  if (Array.isArray(entry)) return entry.flatMap(item => jsonLdValue(item, source, nodes));
+  if ('@value' in entry) return entry['@value'] === null ? [] : [String(entry['@value'])];
+  if ('@list' in entry || '@set' in entry) return jsonLdValue(entry['@list'] ?? entry['@set'], source, nodes);
+  return [jsonLdNode(entry, source, nodes)];
+}
+
+function extractJsonLd(document: StructuredDocument, nodes: StructuredNode[], syntaxErrors: StructuredDataFinding[]): StructuredNode[] {
+  const items: StructuredNode[] = [];
+  const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json" i]')) as any[];
+
+  scripts.forEach((script, index) => {
+    const source = `JSON-LD block ${index + 1}`;
+    const text = (script.textContent || '').trim().replace(/^<!--|-->$/g, '').trim();
+    if (!text) return;
+
+    let data: any;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      syntaxErrors.push({
+        kind: 'syntax',
+        path: source,
+        source,
+        message: `${source} is not valid JSON: ${(error as Error).message}`,
+        fix: 'Fix the JSON syntax (quotes, commas and brackets) so search engines can read the block; a single error hides every item in it.',
+        snippet: text.slice(0, 500),
+      });
+      return;
+    }
+
+    for (const entry of ([] as any[]).concat(data)) {
+      if (!entry || typeof entry !== 'object') continue;
+      const members = Array.isArray(entry['@graph']) ? entry['@graph'] : [entry];
+      for (const member of members) {
+        if (member && typeof member === 'object' && !Array.isArray(member)) {
+          items.push(jsonLdNode(member, source, nodes));
+        }
+      }
+    }
+  });
+
+  return items;
+}
+
+// Microdata
+
+function microdataValue(element: any): string {
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'meta') return collapse(element.getAttribute('content'));
+  if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) return collapse(element.getAttribute('src'));
+  if (['a', 'area', 'link'].includes(tag)) return collapse(element.getAttribute('href'));
+  if (tag === 'object') return collapse(element.getAttribute('data'));
+  if (tag === 'data' || tag === 'meter') return collapse(element.getAttribute('value'));
+  if (tag === 'time' && element.hasAttribute('datetime')) return collapse(element.getAttribute('datetime'));
+  return collapse(element.textContent);
+}
+
+function microdataItem(element: any, document: StructuredDocument, nodes: StructuredNode[], seen: Set<any>): StructuredNode {
+  const node: StructuredNode = {
+    types: collapse(element.getAttribute('itemtype')).split(' ').filter(Boolean).map(schemaName),
+    id: element.getAttribute('itemid') || null,
+    properties: {},
+    syntax: 'microdata',
+    source: `Microdata ${openingTag(element)}`,
+  };
+  seen.add(element);
+
+  const visit = (child: any) => {
+    if (child.hasAttribute('itemprop')) {
+      const isItem = child.hasAttribute('itemscope');
+      // An itemref loop would otherwise nest the item in itself forever
+      if (isItem && seen.has(child)) return;
+      addValue(node, child.getAttribute('itemprop'), isItem ? microdataItem(child, document, nodes, seen) : microdataValue(child));
+    }
+    if (!child.hasAttribute('itemscope')) {
+      Array.from(child.children).forEach(visit);
+    }
+  };
+
+  Array.from(element.children).forEach(visit);
+  collapse(element.getAttribute('itemref')).split(' ').filter(Boolean).forEach(ref => {
+    const referenced = document.getElementById(ref);
+    if (referenced) visit(referenced);
+  });
+
+  nodes.push(node);
+  return node;
+}
+
+function extractMicrodata(document: StructuredDocument, nodes: StructuredNode[]): StructuredNode[] {
+  return (Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')) as any[])
+    .map(element => microdataItem(element, document, nodes, new Set()));
+}
+
+// RDFa (Lite)
+
+function rdfaValue(element: any): string {
+  for (const attribute of ['content', 'href', 'src', 'resource']) {
+    if (element.hasAttribute(attribute)) return collapse(element.getAttribute(attribute));
+  }
+  if (element.tagName.toLowerCase() === 'time' && element.hasAttribute('datetime')) {
+    return collapse(element.getAttribute('datetime'));
+  }
+  return collapse(element.textContent);
+}
+
+function rdfaItem(element: any, nodes: StructuredNode[]): StructuredNode {
+  const node: StructuredNode = {
+    types: collapse(element.getAttribute('typeof')).split(' ').filter(Boolean).map(schemaName),
+    id: element.getAttribute('resource') || element.getAttribute('about') || null,
+    properties: {},
+    syntax: 'rdfa',
+    source: `RDFa ${openingTag(element)}`,
+  };
+
+  const visit = (child: any) => {
+    if (child.hasAttribute('property')) {
+      addValue(node, child.getAttribute('property'), child.hasAttribute('typeof') ? rdfaItem(child, nodes) : rdfaValue(child));
+    }
+    if (!child.hasAttribute('typeof')) {
+      Array.from(child.children).forEach(visit);
+    }
+  };
+
+  Array.from(element.children).forEach(visit);
+  nodes.push(node);
+  return node;
+}
+
+function extractRdfa(document: StructuredDocument, nodes: StructuredNode[]): StructuredNode[] {
+  return (Array.from(document.querySelectorAll('[typeof]:not([property])')) as any[])
+    .map(element => rdfaItem(element, nodes));
+}
+
+/**
+ * Extract the items of all three syntaxes and replace `@id` references with the node
+ * they point to. References to nodes that are not on the page become their URL.
+ */
+export function extractStructuredData(document: StructuredDocument): ExtractedStructuredData {
+  const nodes: StructuredNode[] = [];
+  const syntaxErrors: StructuredDataFinding[] = [];
+
+  const items = [
+    ...extractJsonLd(document, nodes, syntaxErrors),
+    ...extractMicrodata(document, nodes),
+    ...extractRdfa(document, nodes),
+  ];
+
+  const byId = new Map<string, StructuredNode>();
+  for (const node of nodes) {
+    if (node.id && !node.reference && !byId.has(node.id)) byId.set(node.id, node);
+  }
+
+  const resolve = (value: StructuredValue): StructuredValue => {
+    if (typeof value === 'string' || !value.reference) return value;
+    return byId.get(value.id!) || value.id!;
+  };
+
+  for (const node of nodes) {
+    for (const name of Object.keys(node.properties)) {
+      node.properties[name] = node.properties[name].map(resolve);
+    }
+  }
+
+  return {
+    items: items.filter(item => !item.reference),
+    syntaxErrors,
+  };
+}
+
+/**
+ * Values at a dotted property path, e.g. `priceSpecification.price`
+ */
+function valuesAt(node: StructuredNode, path: string): StructuredValue[] {
+  return path.split('.').reduce<StructuredValue[]>((values, name) => values.flatMap(value =>
+    typeof value === 'string' ? [] : value.properties[name] || []
+  ), [node]).filter(value => typeof value !== 'string' || value.length > 0);
+}
+
+function propertyHint(syntax: StructuredSyntax, path: string, example?: string): string {
+  const name = path.split('.').pop()!;
+  const sample = example || '…';
+  switch (syntax) {
+    case 'json-ld':
+      return `"${name}": "${sample}"`;
+    case 'microdata':
+      return `<meta itemprop="${name}" content="${sample}">`;
+    case 'rdfa':
+      return `<meta property="${name}" content="${sample}">`;
+  }
+}
+
+function indexed(path: string, name: string, index: number, count: number): string {
+  return `${path}.${name}${count > 1 ? `[${index + 1}]` : ''}`;
+}
+
+function validateNode(
+  node: StructuredNode,
+  ruleType: string,
+  path: string,
+  richType: string,
+  findings: StructuredDataFinding[],
+  depth: number
+) {
+  const rule = TYPE_RULES[ruleType];
+  const report = (finding: Omit<StructuredDataFinding, 'source'>) => findings.push({ ...finding, source: node.source });
+
+  for (const requirement of rule.required) {
+    const alternatives = ([] as string[]).concat(requirement);
+    if (alternatives.some(alternative => valuesAt(node, alternative).length > 0)) continue;
+
+    const property = `${path}.${alternatives[0]}`;
+    const either = alternatives.length > 1 ? ` (or ${alternatives.slice(1).map(alternative => `${path}.${alternative}`).join(', ')})` : '';
+    report({
+      kind: 'required',
+      path: property,
+      message: `${property}${either} is required for ${richType} rich results but missing`,
+      fix: `Add ${alternatives.map(alternative => `"${alternative}"`).join(' or ')} to the ${node.types[0] || ruleType} item, e.g. ${propertyHint(node.syntax, alternatives[0])}. Without it the page is not eligible for ${richType} rich results.`,
+    });
+  }
+
+  for (const recommended of rule.recommended || []) {
+    if (valuesAt(node, recommended).length > 0) continue;
+    report({
+      kind: 'recommended',
+      path: `${path}.${recommended}`,
+      message: `${path}.${recommended} is recommended for ${richType} rich results`,
+      fix: `Add "${recommended}" to the ${node.types[0] || ruleType} item, e.g. ${propertyHint(node.syntax, recommended)}, so search engines can show more detail.`,
+    });
+  }
+
+  for (const [property, format] of Object.entries(rule.formats || {})) {
+    const check = FORMAT_CHECKS[format];
+    valuesAt(node, property).forEach((value, index, values) => {
+      if (typeof value !== 'string' || check.test.test(value)) return;
+      const valuePath = `${path}.${property}${values.length > 1 ? `[${index + 1}]` : ''}`;
+      report({
+        kind: 'invalid',
+        path: valuePath,
+        message: `${valuePath} is "${value.slice(0, 80)}" but must be ${check.expected}`,
+        fix: `Use ${check.expected}, e.g. ${propertyHint(node.syntax, property, check.example)}.`,
+      });
+    });
+  }
+
+  for (const [property, expectedTypes] of Object.entries(rule.expects || {})) {
+    const values = node.properties[property] || [];
+    values.forEach((value, index) => {
+      const valuePath = indexed(path, property, index, values.length);
+      if (typeof value === 'string') {
+        report({
+          kind: 'invalid',
+          path: valuePath,
+          message: `${valuePath} is text but must be a ${expectedTypes.join(' or ')} item`,
+          fix: `Describe "${property}" as a nested ${expectedTypes[0]} item with its own properties instead of plain text.`,
+        });
+        return;
+      }
+
+      const nestedType = value.types.length === 0 ? expectedTypes[0] : ruleTypeOf(value);
+      if (!nestedType || !expectedTypes.includes(nestedType)) {
+        report({
+          kind: 'invalid',
+          path: valuePath,
+          message: `${valuePath} is a ${value.types.join(', ')} item but must be a ${expectedTypes.join(' or ')} item`,
+          fix: `Set the type of "${property}" to ${expectedTypes.join(' or ')}.`,
+        });
+        return;
+      }
+
+      if (depth < MAX_VALIDATION_DEPTH) {
+        validateNode(value, nestedType, valuePath, richType, findings, depth + 1);
+      }
+    });
+  }
+
+  // Every crumb but the last (the current page) must link to its page
+  if (ruleType === 'BreadcrumbList') {
+    const crumbs = node.properties.itemListElement || [];
+    crumbs.slice(0, -1).forEach((crumb, index) => {
+      if (typeof crumb === 'string' || valuesAt(crumb, 'item').length > 0) return;
+      const crumbPath = `${indexed(path, 'itemListElement', index, crumbs.length)}.item`;
+      findings.push({
+        kind: 'required',
+        path: crumbPath,
+        source: crumb.source,
+        message: `${crumbPath} is required for every breadcrumb except the last but missing`,
+        fix: `Add the URL of the page the breadcrumb links to, e.g. ${propertyHint(crumb.syntax, 'item', 'https://example.com/category')}.`,
+      });
+    });
+  }
+}
+
+function snippetOf(item: StructuredNode): string {
+  if (item.syntax !== 'json-ld') return item.source.replace(/^\S+ /, '');
+
+  const plain = (node: StructuredNode, depth: number): any => {
+    const result: any = {};
+    if (node.types.length > 0) result['@type'] = node.types.length === 1 ? node.types[0] : node.types;
+    if (node.id) result['@id'] = node.id;
+    for (const [name, values] of Object.entries(node.properties)) {
+      const mapped = values.map(value => typeof value === 'string' ? value : depth < 2 ? plain(value, depth + 1) : { '@type': value.types[0] });
+      result[name] = mapped.length === 1 ? mapped[0] : mapped;
+    }
+    return result;
+  };
+
+  const json = JSON.stringify(plain(item, 0), null, 2);
+  return json.length > 500 ? `${json.slice(0, 500)}…` : json;
+}
+
+const FINDING_ORDER: Record<StructuredDataFinding['kind'], number> = { syntax: 0, required: 1, invalid: 2, recommended: 3 };
+
+/**
+ * Validate the extracted structured data of a page. Findings are ordered by importance and capped.
+ */
+export function validateStructuredData({ items, syntaxErrors }: ExtractedStructuredData): StructuredDataFinding[] {
+  const findings: StructuredDataFinding[] = [...syntaxErrors];
+
+  for (const item of items) {
+    const ruleType = ruleTypeOf(item);
+    if (!ruleType || !RICH_RESULT_TYPES.includes(ruleType)) continue;
+
+    const itemFindings: StructuredDataFinding[] = [];
+    const type = item.types.find(candidate => (TYPE_ALIASES[candidate] || candidate) === ruleType)!;
+    validateNode(item, ruleType, type, ruleType, itemFindings, 0);
+    findings.push(...itemFindings.map(finding => ({ ...finding, snippet: finding.snippet ?? snippetOf(item) })));
+  }
+
+  return findings
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => FINDING_ORDER[a.finding.kind] - FINDING_ORDER[b.finding.kind] || a.index - b.index)
+    .slice(0, MAX_STRUCTURED_DATA_FINDINGS)
+    .map(({ finding }) => finding);
+}
+
+/**
+ * Every schema.org type used on the page, nested items included
+ */
+export function structuredDataTypes(items: StructuredNode[]): Set<string> {
+  const types = new Set<string>();
+  const visit = (node: StructuredNode, depth: number) => {
+    node.types.forEach(type => types.add(type));
+    if (depth >= MAX_VALIDATION_DEPTH) return;
+    Object.values(node.properties).flat().forEach(value => {
+      if (typeof value !== 'string') visit(value, depth + 1);
+    });
+  };
+  items.forEach(item => visit(item, 0));
+  return types;
+}
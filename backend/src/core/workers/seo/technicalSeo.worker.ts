@@ -6,6 +6,7 @@ import { AppError } from '@/types';
 import { checkAndUpdateAnalysisCompletion } from '@/core/workers/master.worker';
 import { JSDOM } from 'jsdom';
 import { AiContentAnalysisService, type PageContentData } from '@/services/analysis/aiContentAnalysis';
+import { StructuredDataFinding, extractStructuredData, structuredDataTypes, validateStructuredData } from './structuredData';
 
 const logger = createLogger('seo-technical-worker');
 
@@ -17,12 +18,21 @@ interface TechnicalSeoJobData {
   workspaceId: string;
   websiteId: string;
   userId: string | null;
-  assetPath: string; // `${workspaceId}/${analysisId}`
+  assetPath: string; // `${workspaceId}/${analysisId}` or `${workspaceId}/${analysisId}/pages/<n>` in crawl mode
   metadata: any;
+  pageId?: string | null; // analysis_pages row when the analysis covers multiple pages
 }
 
 type IssueSeverity = 'minor' | 'moderate' | 'serious' | 'critical';
 
+// Unreadable blocks and missing required properties cost the rich result; the rest degrade it
+const STRUCTURED_DATA_SEVERITY: Record<StructuredDataFinding['kind'], IssueSeverity> = {
+  syntax: 'serious',
+  required: 'serious',
+  invalid: 'moderate',
+  recommended: 'minor',
+};
+
 async function getSeoModuleAndJobId(analysisId: string): Promise<{ moduleId: string; jobId: string } | null> {
   const { data: module, error: moduleError } = await supabase
     .from('analysis_modules')
@@ -284,33 +294,25 @@ async function analyzeContentStructure(dom: Document, url: string): Promise<SeoI
 
 async function analyzeStructuredData(dom: Document, url: string): Promise<SeoIssue[]> {
   const issues: SeoIssue[] = [];
-  
-  // Check for JSON-LD structured data
-  const jsonLdScripts = dom.querySelectorAll('script[type="application/ld+json"]');
-  const hasValidStructuredData = Array.from(jsonLdScripts).some(script => {
-    try {
-      const data = JSON.parse(script.textContent || '');
-      return data['@context'] || data['@type'];
-    } catch {
-      return false;
-    }
-  });
 
-  // Check for microdata
-  const microdataElements = dom.querySelectorAll('[itemscope], [itemtype], [itemprop]');
+  // JSON-LD, Microdata and RDFa items, with @graph members and @id references resolved
+  const structuredData = extractStructuredData(dom);
+  const schemaTypes = structuredDataTypes(structuredData.items);
+
+  // SEO_TEC_09_STRUCTURED_DATA_VALIDATION
+  for (const finding of validateStructuredData(structuredData)) {
+    issues.push({
+      rule_key: 'SEO_TEC_09_STRUCTURED_DATA_VALIDATION',
+      severity: STRUCTURED_DATA_SEVERITY[finding.kind],
+      location_path: finding.path,
+      code_snippet: finding.snippet,
+      message: `${finding.message} (${finding.source})`,
+      fix_suggestion: finding.fix
+    });
+  }
   
   // SEO_SCHEMA_01_ORGANIZATION
-  const hasOrgSchema = Array.from(jsonLdScripts).some(script => {
-    try {
-      const data = JSON.parse(script.textContent || '');
-      return data['@type'] === 'Organization' || 
-             (Array.isArray(data) && data.some(item => item['@type'] === 'Organization'));
-    } catch {
-      return false;
-    }
-  });
-
-  if (!hasOrgSchema && !dom.querySelector('[itemtype*="Organization"]')) {
+  if (!schemaTypes.has('Organization')) {
     issues.push({
       rule_key: 'SEO_SCHEMA_01_ORGANIZATION',
       severity: 'moderate',
@@ -321,19 +323,9 @@ async function analyzeStructuredData(dom: Document, url: string): Promise<SeoIss
   }
 
   // SEO_SCHEMA_02_BREADCRUMB
-  const hasBreadcrumbSchema = Array.from(jsonLdScripts).some(script => {
-    try {
-      const data = JSON.parse(script.textContent || '');
-      return data['@type'] === 'BreadcrumbList' ||
-             (Array.isArray(data) && data.some(item => item['@type'] === 'BreadcrumbList'));
-    } catch {
-      return false;
-    }
-  });
-
   const hasBreadcrumbElements = dom.querySelector('nav[aria-label*="breadcrumb" i], .breadcrumb, .breadcrumbs');
   
-  if (hasBreadcrumbElements && !hasBreadcrumbSchema && !dom.querySelector('[itemtype*="BreadcrumbList"]')) {
+  if (hasBreadcrumbElements && !schemaTypes.has('BreadcrumbList')) {
     issues.push({
       rule_key: 'SEO_SCHEMA_02_BREADCRUMB',
       severity: 'minor',
@@ -344,22 +336,14 @@ async function analyzeStructuredData(dom: Document, url: string): Promise<SeoIss
   }
 
   // SEO_SCHEMA_03_ARTICLE
-  const hasArticleSchema = Array.from(jsonLdScripts).some(script => {
-    try {
-      const data = JSON.parse(script.textContent || '');
-      return data['@type'] === 'Article' || data['@type'] === 'BlogPosting' ||
-             (Array.isArray(data) && data.some(item => ['Article', 'BlogPosting'].includes(item['@type'])));
-    } catch {
-      return false;
-    }
-  });
+  const hasArticleSchema = ['Article', 'NewsArticle', 'BlogPosting'].some(type => schemaTypes.has(type));
 
   // Check if this looks like an article page
   const bodyText = dom.body?.textContent || '';
   const isArticlePage = dom.querySelector('article') || 
                        dom.querySelector('h1') && bodyText.split(/\s+/).length > 300;
 
-  if (isArticlePage && !hasArticleSchema && !dom.querySelector('[itemtype*="Article"]')) {
+  if (isArticlePage && !hasArticleSchema) {
     const pageTitle = dom.querySelector('title')?.textContent?.trim() || 'Your Article';
     issues.push({
       rule_key: 'SEO_SCHEMA_03_ARTICLE',
@@ -519,7 +503,7 @@ async function downloadTextFromStorage(path: string): Promise<string | null> {
 }
 
 export const technicalSeoWorker = new Worker('seo-technical', async (job: Job<TechnicalSeoJobData>) => {
-  const { analysisId, workspaceId, assetPath, metadata } = job.data;
+  const { analysisId, workspaceId, assetPath, metadata, pageId } = job.data;
   logger.info('Starting Enhanced SEO analysis with 25+ rules + AI insights', { analysisId, assetPath });
 
   let moduleJobInfo: { moduleId: string; jobId: string } | null = null;
@@ -796,6 +780,7 @@ export const technicalSeoWorker = new Worker('seo-technical', async (job: Job<Te
           .from('seo_issues')
           .insert({
             analysis_job_id: moduleJobInfo.jobId,
+            analysis_page_id: pageId || null,
             rule_id: ruleId,
             severity: issue.severity,
             location_path: issue.location_path,
@@ -821,7 +806,7 @@ export const technicalSeoWorker = new Worker('seo-technical', async (job: Job<Te
     }
 
     await updateSeoJobStatus(analysisId, moduleJobInfo.moduleId, 'completed');
-    await checkAndUpdateAnalysisCompletion(analysisId);
+    await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'technicalSeo' });
 
     logger.info('Enhanced SEO analysis completed with 25+ rules + AI insights', { analysisId, issueCount: allIssues.length });
     return { success: true, issues: allIssues.length };
@@ -829,7 +814,7 @@ export const technicalSeoWorker = new Worker('seo-technical', async (job: Job<Te
     logger.error('Technical SEO analysis failed', { error: error?.message || 'Unknown error', analysisId });
     if (moduleJobInfo) {
       await updateSeoJobStatus(analysisId, moduleJobInfo.moduleId, 'failed', error?.message || 'Unknown error');
-      await checkAndUpdateAnalysisCompletion(analysisId);
+      await checkAndUpdateAnalysisCompletion(analysisId, { pageId, analyzer: 'technicalSeo' });
     }
     throw error;
   }
@@ -0,0 +1,70 @@
+/**
+ * Secret encryption
+ * AES-256-GCM for credentials stored in the database or passed between workers.
+ * Ciphertexts are `v1.<iv>.<auth tag>.<data>` with base64url parts.
+ */
+
+import crypto from 'crypto';
+import { config } from '@/config';
+import { AppError } from '@/types';
+
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+function resolveKey(rawKey = config.security.encryptionKey): Buffer {
+  const key = /^[0-9a-f]{64}$/i.test(rawKey) ? Buffer.from(rawKey, 'hex') : Buffer.from(rawKey, 'base64');
+  if (key.length !== 32) {
+    throw new AppError(
+      'Credential encryption is not configured. Set CREDENTIALS_ENCRYPTION_KEY to 32 bytes of hex or base64.',
+      500,
+      true,
+      'ENCRYPTION_NOT_CONFIGURED'
+    );
+  }
+  return key;
+}
+
+export function isEncryptionConfigured(rawKey = config.security.encryptionKey): boolean {
+  try {
+    resolveKey(rawKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function encryptSecret(plaintext: string, rawKey?: string): string {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', resolveKey(rawKey), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map(part => (
+    typeof part === 'string' ? part : part.toString('base64url')
+  )).join('.');
+}
+
+/**
+ * Decrypt a value of encryptSecret. Throws when the key is wrong or the value was tampered with.
+ */
+export function decryptSecret(ciphertext: string, rawKey?: string): string {
+  const [version, iv, tag, data] = ciphertext.split('.');
+  if (version !== VERSION || !iv || !tag || data === undefined) {
+    throw new AppError('Encrypted value has an unknown format', 500, true, 'DECRYPTION_FAILED');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', resolveKey(rawKey), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError('Failed to decrypt value', 500, true, 'DECRYPTION_FAILED');
+  }
+}
+
+export function encryptJson(value: unknown, rawKey?: string): string {
+  return encryptSecret(JSON.stringify(value), rawKey);
+}
+
+export function decryptJson<T>(ciphertext: string, rawKey?: string): T {
+  return JSON.parse(decryptSecret(ciphertext, rawKey)) as T;
+}
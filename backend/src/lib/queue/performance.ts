@@ -0,0 +1,11 @@
+import { Queue } from 'bullmq';
+import { config } from '@/config';
+
+export const performanceQueue = new Queue('performance-analysis', {
+  connection: {
+    host: config.redis.host,
+    port: config.redis.port,
+  },
+});
+
+export default performanceQueue;
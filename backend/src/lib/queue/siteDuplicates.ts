@@ -0,0 +1,18 @@
+import { Queue } from 'bullmq';
+import { config } from '@/config';
+
+export const siteDuplicatesQueue = new Queue('seo-site-duplicates', {
+  connection: {
+    host: config.redis.host,
+    port: config.redis.port,
+  },
+  defaultJobOptions: {
+    removeOnComplete: 50,
+    removeOnFail: 100,
+    attempts: 2,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+  },
+});
\ No newline at end of file
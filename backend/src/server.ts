@@ -15,6 +15,11 @@ import { notFoundHandler } from '@/api/middleware/notFoundHandler';
 // Import routes
 import authRoutes from '@/api/routes/auth';
 import workspaceRoutes from '@/api/routes/workspaces';
+import scheduleRoutes from '@/api/routes/schedules';
+import regressionRoutes from '@/api/routes/regressions';
+import issueTriageRoutes from '@/api/routes/issueTriage';
+import suppressionRoutes from '@/api/routes/suppressions';
+import authProfileRoutes from '@/api/routes/authProfiles';
 import analysisRoutes from '@/api/routes/analyses';
 import reportRoutes from '@/api/routes/reports';
 import billingRoutes from '@/api/routes/billing';
@@ -64,7 +69,7 @@ class Server {
       origin: [config.frontendUrl, 'http://localhost:3000'],
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-ID'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-ID', 'X-Share-Password'],
     }));
 
     // Rate limiting
@@ -81,7 +86,8 @@ class Server {
       this.app.use(limiter);
     }
 
-    // Body parsing middleware
+    // Body parsing middleware. Stripe signs the raw body, so the webhook skips JSON parsing.
+    this.app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -105,6 +111,11 @@ class Server {
   private initializeRoutes(): void {
     // API routes
     this.app.use('/api/auth', authRoutes);
+    this.app.use('/api/workspaces/:workspaceId/schedules', scheduleRoutes);
+    this.app.use('/api/workspaces/:workspaceId/regressions', regressionRoutes);
+    this.app.use('/api/workspaces/:workspaceId/websites/:websiteId/issues', issueTriageRoutes);
+    this.app.use('/api/workspaces/:workspaceId/suppressions', suppressionRoutes);
+    this.app.use('/api/workspaces/:workspaceId/websites/:websiteId/auth-profile', authProfileRoutes);
     this.app.use('/api/workspaces', workspaceRoutes);
     this.app.use('/api/analyses', analysisRoutes);
     this.app.use('/api/reports', reportRoutes);
@@ -219,22 +230,34 @@ class Server {
       const { formsAnalysisWorker } = await import('@/core/workers/accessibility/forms.analysis.worker');
       const { structureAnalysisWorker } = await import('@/core/workers/accessibility/structure.analysis.worker');
       const { tablesAnalysisWorker } = await import('@/core/workers/accessibility/tables.analysis.worker');
+      const { screenReaderWorker } = await import('@/core/workers/accessibility/screenReader.worker');
       const { technicalSeoWorker } = await import('@/core/workers/seo/technicalSeo.worker');
+      const { siteDuplicatesWorker } = await import('@/core/workers/seo/siteDuplicates.worker');
+      const { performanceWorker } = await import('@/core/workers/performance/performance.worker');
       
       logger.info('BullMQ workers initialized successfully', {
-        workers: ['master', 'fetcher', 'colorContrast', 'aria', 'keyboard', 'media', 'forms', 'structure', 'tables', 'technicalSeo']
+        workers: ['master', 'fetcher', 'colorContrast', 'aria', 'keyboard', 'media', 'forms', 'structure', 'tables', 'screenReader', 'technicalSeo', 'siteDuplicates', 'performance']
       });
     } catch (error) {
       logger.error('Failed to initialize workers', { error: error.message });
       throw error;
     }
 
+    // Start recurring analyses; disable on instances that should only serve the API
+    if (config.scheduler.enabled) {
+      const { startScheduler } = await import('@/services/scheduling/scheduler');
+      startScheduler();
+    }
+
     logger.info('Services initialized successfully');
   }
 
   private async cleanup(): Promise<void> {
     logger.info('Starting cleanup...');
 
+    const { stopScheduler } = await import('@/services/scheduling/scheduler');
+    stopScheduler();
+
     try {
       // Close BullMQ workers
       const { masterWorker } = await import('@/core/workers/master.worker');
@@ -246,7 +269,10 @@ class Server {
       const { formsAnalysisWorker } = await import('@/core/workers/accessibility/forms.analysis.worker');
       const { structureAnalysisWorker } = await import('@/core/workers/accessibility/structure.analysis.worker');
       const { tablesAnalysisWorker } = await import('@/core/workers/accessibility/tables.analysis.worker');
+      const { screenReaderWorker } = await import('@/core/workers/accessibility/screenReader.worker');
       const { technicalSeoWorker } = await import('@/core/workers/seo/technicalSeo.worker');
+      const { siteDuplicatesWorker } = await import('@/core/workers/seo/siteDuplicates.worker');
+      const { performanceWorker } = await import('@/core/workers/performance/performance.worker');
       
       await Promise.all([
         masterWorker.close(),
@@ -258,7 +284,10 @@ class Server {
         formsAnalysisWorker.close(),
         structureAnalysisWorker.close(),
         tablesAnalysisWorker.close(),
-        technicalSeoWorker.close()
+        screenReaderWorker.close(),
+        technicalSeoWorker.close(),
+        siteDuplicatesWorker.close(),
+        performanceWorker.close()
       ]);
       
       logger.info('BullMQ workers closed successfully');
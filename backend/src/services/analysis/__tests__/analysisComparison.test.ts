@@ -0,0 +1,158 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/services/reports/reportService', () => ({
+  loadAuthorizedAnalysis: (...args: unknown[]) => mockLoadAuthorizedAnalysis(...args),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { ComparableIssue, compareAnalyses, diffModuleIssues, issueFingerprint } from '../analysisComparison';
+
+const mockFrom = jest.fn();
+const mockLoadAuthorizedAnalysis = jest.fn();
+
+const issue = (id: string, ruleKey: string, selector: string, snippet = '<img src="a.png">', extra: Partial<ComparableIssue> = {}): ComparableIssue => ({
+  id,
+  severity: 'serious',
+  dom_path: selector,
+  code_snippet: snippet,
+  rules: { rule_key: ruleKey, name: `Rule ${ruleKey}` },
+  ...extra,
+});
+
+const analysis = (id: string, overrides: Record<string, unknown> = {}) => ({
+  id,
+  status: 'completed',
+  created_at: id === 'current' ? '2025-09-22T03:00:00Z' : '2025-09-21T03:00:00Z',
+  completed_at: null,
+  performance_metrics: null,
+  websites: { id: 'site-1', url: 'https://example.com', workspace_id: 'ws-1' },
+  analysis_jobs: [{ id: `job-${id}` }],
+  ...overrides,
+});
+
+describe('Issue fingerprints', () => {
+  it('should ignore whitespace, message and severity changes', () => {
+    const before = issue('1', 'IMG_ALT', 'main > img', '<img\n   src="a.png">', { message: 'Missing alt', severity: 'serious' });
+    const after = issue('2', 'IMG_ALT', 'main >  img', '<img src="a.png">', { message: 'Image has no alt text', severity: 'critical' });
+
+    expect(issueFingerprint('accessibility', after)).toBe(issueFingerprint('accessibility', before));
+  });
+
+  it('should tell apart rules, selectors, snippets, modules and pages', () => {
+    const base = issueFingerprint('accessibility', issue('1', 'IMG_ALT', 'main > img'));
+
+    expect(issueFingerprint('accessibility', issue('1', 'LINK_NAME', 'main > img'))).not.toBe(base);
+    expect(issueFingerprint('accessibility', issue('1', 'IMG_ALT', 'footer > img'))).not.toBe(base);
+    expect(issueFingerprint('accessibility', issue('1', 'IMG_ALT', 'main > img', '<img src="b.png">'))).not.toBe(base);
+    expect(issueFingerprint('seo', issue('1', 'IMG_ALT', 'main > img'))).not.toBe(base);
+    expect(issueFingerprint('accessibility', issue('1', 'IMG_ALT', 'main > img'), 'https://example.com/about')).not.toBe(base);
+  });
+
+  it('should match crawled pages by URL across runs', () => {
+    const pageUrls = new Map([['page-old', 'https://example.com/about/'], ['page-new', 'https://example.com/about#team']]);
+    const diff = diffModuleIssues(
+      'accessibility',
+      [issue('2', 'IMG_ALT', 'img', undefined, { analysis_page_id: 'page-new' })],
+      [issue('1', 'IMG_ALT', 'img', undefined, { analysis_page_id: 'page-old' })],
+      pageUrls
+    );
+
+    expect(diff.counts).toEqual({ new: 0, fixed: 0, unchanged: 1 });
+  });
+});
+
+describe('Issue diff', () => {
+  it('should classify new, fixed and unchanged issues', () => {
+    const diff = diffModuleIssues(
+      'accessibility',
+      [issue('c1', 'IMG_ALT', 'main > img'), issue('c2', 'FORM_LABEL', '#email')],
+      [issue('p1', 'IMG_ALT', 'main > img'), issue('p2', 'LINK_NAME', 'nav a')]
+    );
+
+    expect(diff.counts).toEqual({ new: 1, fixed: 1, unchanged: 1 });
+    expect(diff.new[0]).toMatchObject({ ruleKey: 'FORM_LABEL', selector: '#email' });
+    expect(diff.fixed[0]).toMatchObject({ ruleKey: 'LINK_NAME', selector: 'nav a' });
+    expect(diff.unchanged[0]).toMatchObject({ ruleKey: 'IMG_ALT' });
+  });
+
+  it('should pair duplicate fingerprints one to one', () => {
+    const diff = diffModuleIssues(
+      'accessibility',
+      [issue('c1', 'IMG_ALT', 'img'), issue('c2', 'IMG_ALT', 'img')],
+      [issue('p1', 'IMG_ALT', 'img')]
+    );
+
+    expect(diff.counts).toEqual({ new: 1, fixed: 0, unchanged: 1 });
+  });
+});
+
+describe('compareAnalyses', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockLoadAuthorizedAnalysis.mockReset();
+  });
+
+  function mockIssues(byJob: Record<string, ComparableIssue[]>) {
+    mockFrom.mockImplementation((table: string) => {
+      const query = mockQuery({ data: [] });
+      if (table === 'accessibility_issues') {
+        query.in.mockImplementation((_column: string, jobIds: string[]) => mockQuery({ data: byJob[jobIds[0]] || [] }));
+      }
+      if (table === 'analyses') {
+        return mockQuery({ data: { id: 'previous' } });
+      }
+      return query;
+    });
+  }
+
+  it('should resolve "previous" and return score deltas', async () => {
+    mockLoadAuthorizedAnalysis.mockImplementation(async (id: string) => ({ analysis: analysis(id), workspaceId: 'ws-1' }));
+    mockIssues({
+      'job-current': [issue('c1', 'FORM_LABEL', '#email')],
+      'job-previous': [issue('p1', 'IMG_ALT', 'img'), issue('p2', 'LINK_NAME', 'nav a')],
+    });
+
+    const comparison = await compareAnalyses('current', 'previous', 'user-1');
+
+    expect(mockLoadAuthorizedAnalysis).toHaveBeenCalledWith('previous', 'user-1');
+    expect(comparison.baseline.id).toBe('previous');
+    expect(comparison.totals).toEqual({ new: 1, fixed: 2, unchanged: 0 });
+    // Two serious rules before (-20), one now (-10)
+    expect(comparison.scores.accessibility).toEqual({ current: 90, previous: 80, delta: 10 });
+  });
+
+  it('should refuse running analyses and other websites', async () => {
+    mockIssues({});
+    mockLoadAuthorizedAnalysis.mockImplementation(async (id: string) => ({
+      analysis: analysis(id, id === 'other' ? { status: 'processing' } : {}),
+      workspaceId: 'ws-1',
+    }));
+    await expect(compareAnalyses('current', 'other', 'user-1')).rejects.toMatchObject({ code: 'ANALYSIS_NOT_COMPLETED' });
+
+    mockLoadAuthorizedAnalysis.mockImplementation(async (id: string) => ({
+      analysis: analysis(id, id === 'other' ? { websites: { id: 'site-2', url: 'https://other.example' } } : {}),
+      workspaceId: 'ws-1',
+    }));
+    await expect(compareAnalyses('current', 'other', 'user-1')).rejects.toMatchObject({ code: 'ANALYSIS_WEBSITE_MISMATCH' });
+  });
+
+  it('should report when there is no earlier analysis', async () => {
+    mockLoadAuthorizedAnalysis.mockResolvedValue({ analysis: analysis('current'), workspaceId: 'ws-1' });
+    mockFrom.mockReturnValue(mockQuery({ data: null }));
+
+    await expect(compareAnalyses('current', 'previous', 'user-1')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'NO_PREVIOUS_ANALYSIS',
+    });
+  });
+});
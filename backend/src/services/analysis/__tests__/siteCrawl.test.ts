@@ -0,0 +1,188 @@
+import {
+  DEFAULT_CRAWL_OPTIONS,
+  MAX_CRAWL_PAGES,
+  discoverSitemapUrls,
+  fetchText,
+  isAllowedByRobots,
+  matchesAnyPattern,
+  normalizeCrawlUrl,
+  parseRobotsTxt,
+  parseSitemapXml,
+  readTextLimited,
+  resolveCrawlOptions,
+  shouldCrawlUrl,
+} from '../siteCrawl';
+
+describe('Site crawl helpers', () => {
+  describe('resolveCrawlOptions', () => {
+    it('should return defaults when no options are given', () => {
+      expect(resolveCrawlOptions(undefined)).toEqual(DEFAULT_CRAWL_OPTIONS);
+    });
+
+    it('should clamp page and depth limits', () => {
+      const options = resolveCrawlOptions({ enabled: true, maxPages: 10000, maxDepth: -3 });
+      expect(options.enabled).toBe(true);
+      expect(options.maxPages).toBe(MAX_CRAWL_PAGES);
+      expect(options.maxDepth).toBe(0);
+    });
+
+    it('should drop invalid patterns', () => {
+      const options = resolveCrawlOptions({ includePatterns: ['/blog/*', '', 42 as any, '  '] });
+      expect(options.includePatterns).toEqual(['/blog/*']);
+    });
+  });
+
+  describe('normalizeCrawlUrl', () => {
+    it('should resolve relative links and strip fragments', () => {
+      expect(normalizeCrawlUrl('../about#team', 'https://Example.com/docs/intro')).toBe('https://example.com/about');
+    });
+
+    it('should remove default ports', () => {
+      expect(normalizeCrawlUrl('https://example.com:443/a', 'https://example.com/')).toBe('https://example.com/a');
+    });
+
+    it('should ignore non-http links', () => {
+      expect(normalizeCrawlUrl('mailto:hi@example.com', 'https://example.com/')).toBeNull();
+      expect(normalizeCrawlUrl('javascript:void(0)', 'https://example.com/')).toBeNull();
+      expect(normalizeCrawlUrl('#top', 'https://example.com/')).toBeNull();
+    });
+  });
+
+  describe('robots.txt', () => {
+    const robots = parseRobotsTxt(`
+# comment
+User-agent: *
+Disallow: /admin
+Allow: /admin/public
+Disallow: /*.php$
+
+User-agent: SiteCraft-Analyzer
+User-agent: OtherBot
+Disallow: /private
+
+Sitemap: https://example.com/sitemap_index.xml
+    `);
+
+    it('should collect groups and sitemaps', () => {
+      expect(robots.groups).toHaveLength(2);
+      expect(robots.groups[1].userAgents).toEqual(['sitecraft-analyzer', 'otherbot']);
+      expect(robots.sitemaps).toEqual(['https://example.com/sitemap_index.xml']);
+    });
+
+    it('should prefer the group naming our user agent', () => {
+      expect(isAllowedByRobots(robots, 'https://example.com/admin')).toBe(true);
+      expect(isAllowedByRobots(robots, 'https://example.com/private/page')).toBe(false);
+    });
+
+    it('should use the longest matching rule for the wildcard group', () => {
+      expect(isAllowedByRobots(robots, 'https://example.com/admin/settings', 'GenericBot')).toBe(false);
+      expect(isAllowedByRobots(robots, 'https://example.com/admin/public/page', 'GenericBot')).toBe(true);
+      expect(isAllowedByRobots(robots, 'https://example.com/index.php', 'GenericBot')).toBe(false);
+      expect(isAllowedByRobots(robots, 'https://example.com/index.php?x=1', 'GenericBot')).toBe(true);
+    });
+
+    it('should allow everything without robots.txt', () => {
+      expect(isAllowedByRobots(parseRobotsTxt(null), 'https://example.com/admin')).toBe(true);
+    });
+  });
+
+  describe('parseSitemapXml', () => {
+    it('should extract page URLs from a urlset', () => {
+      const xml = `<?xml version="1.0"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://example.com/</loc></url>
+          <url><loc> https://example.com/a?x=1&amp;y=2 </loc></url>
+        </urlset>`;
+      expect(parseSitemapXml(xml)).toEqual({
+        urls: ['https://example.com/', 'https://example.com/a?x=1&y=2'],
+        sitemaps: [],
+      });
+    });
+
+    it('should extract nested sitemaps from a sitemap index', () => {
+      const xml = `<sitemapindex><sitemap><loc><![CDATA[https://example.com/posts.xml]]></loc></sitemap></sitemapindex>`;
+      expect(parseSitemapXml(xml)).toEqual({ urls: [], sitemaps: ['https://example.com/posts.xml'] });
+    });
+  });
+
+  describe('fetching', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should stop reading a body at the byte limit', async () => {
+      const cancel = jest.fn();
+      let pulls = 0;
+      const body = new ReadableStream<Uint8Array>({
+        pull(controller) {
+          pulls += 1;
+          controller.enqueue(new TextEncoder().encode('x'.repeat(1024)));
+        },
+        cancel,
+      });
+
+      const text = await readTextLimited(new Response(body), 2500);
+
+      expect(text).toHaveLength(2500);
+      expect(pulls).toBeLessThanOrEqual(4);
+      expect(cancel).toHaveBeenCalled();
+    });
+
+    it('should give up on bodies that do not finish within the timeout', async () => {
+      global.fetch = jest.fn(async (_url: string, init: any) => new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('<urlset>'));
+          init.signal.addEventListener('abort', () => controller.error(new Error('aborted')));
+        },
+      }))) as any;
+
+      expect(await fetchText('https://example.com/sitemap.xml', 20, 1024)).toBeNull();
+    });
+
+    it('should list allowed same-origin pages from nested sitemaps', async () => {
+      const documents: Record<string, string> = {
+        'https://example.com/sitemap-index.xml': '<sitemapindex><sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>',
+        'https://example.com/pages.xml': `<urlset>
+          <url><loc>https://example.com/</loc></url>
+          <url><loc>https://example.com/about</loc></url>
+          <url><loc>https://example.com/about</loc></url>
+          <url><loc>https://example.com/private/report</loc></url>
+          <url><loc>https://example.com/brochure.pdf</loc></url>
+          <url><loc>https://other.com/</loc></url>
+        </urlset>`,
+      };
+      global.fetch = jest.fn(async (url: string) => (
+        documents[url] ? new Response(documents[url]) : new Response('', { status: 404 })
+      )) as any;
+      const robots = parseRobotsTxt('User-agent: *\nDisallow: /private\nSitemap: https://example.com/sitemap-index.xml');
+
+      expect(await discoverSitemapUrls('https://example.com', robots)).toEqual([
+        'https://example.com/',
+        'https://example.com/about',
+      ]);
+      expect(await discoverSitemapUrls('https://example.com', robots, 1)).toEqual(['https://example.com/']);
+    });
+  });
+
+  describe('shouldCrawlUrl', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow: /cart');
+    const options = resolveCrawlOptions({ enabled: true, includePatterns: ['/blog/*', '/about'], excludePatterns: ['/blog/tag/*'] });
+
+    it('should apply include and exclude patterns', () => {
+      expect(matchesAnyPattern('https://example.com/blog/post-1', options.includePatterns)).toBe(true);
+      expect(shouldCrawlUrl('https://example.com/blog/post-1', 'https://example.com', options, robots)).toBe(true);
+      expect(shouldCrawlUrl('https://example.com/blog/tag/news', 'https://example.com', options, robots)).toBe(false);
+      expect(shouldCrawlUrl('https://example.com/pricing', 'https://example.com', options, robots)).toBe(false);
+    });
+
+    it('should reject other origins, files and robots-disallowed paths', () => {
+      const open = resolveCrawlOptions({ enabled: true });
+      expect(shouldCrawlUrl('https://other.com/', 'https://example.com', open, robots)).toBe(false);
+      expect(shouldCrawlUrl('https://example.com/brochure.pdf', 'https://example.com', open, robots)).toBe(false);
+      expect(shouldCrawlUrl('https://example.com/cart', 'https://example.com', open, robots)).toBe(false);
+      expect(shouldCrawlUrl('https://example.com/shop', 'https://example.com', open, robots)).toBe(true);
+    });
+  });
+});
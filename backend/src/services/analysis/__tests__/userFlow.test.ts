@@ -0,0 +1,79 @@
+import { MAX_FLOW_STEPS, REDACTED_FLOW_TEXT, redactUserFlow, resolveFlowUrl, resolveUserFlow } from '../userFlow';
+
+describe('User flow helpers', () => {
+  describe('resolveUserFlow', () => {
+    it('should return null when no flow is given', () => {
+      expect(resolveUserFlow(undefined)).toBeNull();
+      expect(resolveUserFlow(null)).toBeNull();
+    });
+
+    it('should normalize steps and apply defaults', () => {
+      expect(resolveUserFlow({
+        steps: [
+          { action: 'navigate', url: '/checkout' },
+          { action: 'type', selector: ' #email ', text: 'qa@example.com' },
+          { action: 'click', selector: '#continue' },
+          { action: 'waitForSelector', selector: '#payment' },
+          { action: 'snapshot', name: ' Payment step ' },
+        ],
+      })).toEqual({
+        name: 'User flow',
+        steps: [
+          { action: 'navigate', url: '/checkout' },
+          { action: 'type', selector: '#email', text: 'qa@example.com', clear: false },
+          { action: 'click', selector: '#continue' },
+          { action: 'waitForSelector', selector: '#payment', visible: true, timeoutMs: 10000 },
+          { action: 'snapshot', name: 'Payment step' },
+        ],
+      });
+    });
+
+    it('should reject unknown actions and missing fields', () => {
+      expect(() => resolveUserFlow({ steps: [{ action: 'hover', selector: 'a' }] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_USER_FLOW' })
+      );
+      expect(() => resolveUserFlow({ steps: [{ action: 'click' }, { action: 'snapshot', name: 'x' }] })).toThrow(
+        /steps\[0\]\.selector is required/
+      );
+      expect(() => resolveUserFlow({ steps: [{ action: 'navigate', url: 'javascript:alert(1)' }] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_USER_FLOW' })
+      );
+    });
+
+    it('should require unique snapshots and bound the number of steps', () => {
+      expect(() => resolveUserFlow({ steps: [{ action: 'click', selector: '#open' }] })).toThrow(/snapshot/);
+      expect(() => resolveUserFlow({
+        steps: [{ action: 'snapshot', name: 'Dialog' }, { action: 'snapshot', name: 'dialog' }],
+      })).toThrow(/used more than once/);
+      expect(() => resolveUserFlow({
+        steps: Array.from({ length: MAX_FLOW_STEPS + 1 }, () => ({ action: 'snapshot', name: 'x' })),
+      })).toThrow(/steps/);
+    });
+  });
+
+  describe('redactUserFlow', () => {
+    it('should replace typed text and keep the other steps', () => {
+      const flow = resolveUserFlow({
+        steps: [
+          { action: 'type', selector: '#password', text: 'hunter2', clear: true },
+          { action: 'snapshot', name: 'Signed in' },
+        ],
+      })!;
+
+      expect(redactUserFlow(flow).steps).toEqual([
+        { action: 'type', selector: '#password', text: REDACTED_FLOW_TEXT, clear: true },
+        { action: 'snapshot', name: 'Signed in' },
+      ]);
+      expect(flow.steps[0]).toMatchObject({ text: 'hunter2' });
+    });
+  });
+
+  describe('resolveFlowUrl', () => {
+    it('should resolve relative URLs and stay on the analyzed origin', () => {
+      expect(resolveFlowUrl('/cart', 'https://example.com/shop/item', 'https://example.com')).toBe('https://example.com/cart');
+      expect(() => resolveFlowUrl('https://evil.example/', 'https://example.com/', 'https://example.com')).toThrow(
+        expect.objectContaining({ code: 'USER_FLOW_FAILED' })
+      );
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Analysis Comparison
+ * Matches issues of two runs of a website by fingerprint and classifies them as new, fixed or unchanged
+ */
+
+import crypto from 'crypto';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { ConflictError, NotFoundError, ValidationError } from '@/types';
+import { ModuleScores, calculateModuleScores, isSuppressed } from '@/services/analysis/scoring';
+import { REPORT_MODULES, ReportModule } from '@/services/reports/reportBuilder';
+import { loadAuthorizedAnalysis } from '@/services/reports/reportService';
+import { COMPLETED_ANALYSIS_STATUSES, findPreviousCompletedAnalysis, loadIssuesByModule } from './analysisHistory';
+
+const logger = createLogger('analysis-comparison');
+
+// Compare with the latest earlier completed analysis of the same website
+export const PREVIOUS_ANALYSIS = 'previous';
+
+const MAX_SNIPPET_LENGTH = 500;
+
+// issueFingerprint() produces a hex SHA-1
+export const FINGERPRINT_PATTERN = /^[0-9a-f]{40}$/;
+
+const ISSUE_COLUMNS = `
+  id,
+  severity,
+  location_path,
+  code_snippet,
+  message,
+  fix_suggestion,
+  analysis_page_id,
+  suppression_id,
+  rules (
+    rule_key,
+    name
+  )
+`;
+
+const ISSUE_COLUMNS_BY_MODULE: Record<ReportModule, string> = {
+  accessibility: `${ISSUE_COLUMNS}, dom_path, wcag_criteria`,
+  seo: ISSUE_COLUMNS,
+  performance: ISSUE_COLUMNS,
+};
+
+export interface ComparableIssue {
+  id: string;
+  severity: string;
+  location_path?: string | null;
+  dom_path?: string | null;
+  code_snippet?: string | null;
+  message?: string | null;
+  fix_suggestion?: string | null;
+  wcag_criteria?: string | null;
+  analysis_page_id?: string | null;
+  suppression_id?: string | null;
+  rules?: { rule_key?: string; name?: string } | null;
+}
+
+export interface ComparedIssue {
+  fingerprint: string;
+  issueId: string;
+  ruleKey: string;
+  name: string;
+  severity: string;
+  message: string | null;
+  selector: string | null;
+  codeSnippet: string | null;
+  fixSuggestion: string | null;
+  wcagCriteria: string | null;
+  pageUrl: string | null;
+  suppressionId: string | null;
+}
+
+export interface ModuleDiff {
+  new: ComparedIssue[];
+  fixed: ComparedIssue[];
+  unchanged: ComparedIssue[];
+  counts: { new: number; fixed: number; unchanged: number };
+}
+
+function normalizeSnippet(snippet: string | null | undefined): string {
+  return (snippet || '').replace(/\s+/g, ' ').trim().slice(0, MAX_SNIPPET_LENGTH);
+}
+
+function normalizeSelector(issue: ComparableIssue): string {
+  return (issue.dom_path || issue.location_path || '').replace(/\s+/g, ' ').trim();
+}
+
+// Page ids differ between runs, so crawled pages are matched by URL without hash or trailing slash
+export function normalizePageUrl(url: string | null | undefined): string {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return url.replace(/#.*$/, '').replace(/\/$/, '');
+  }
+}
+
+/**
+ * Stable identity of an issue across runs: module, rule, page, selector and code snippet.
+ * Severity and message are left out so rewording a rule does not turn issues into new ones.
+ */
+export function issueFingerprint(module: ReportModule, issue: ComparableIssue, pageUrl?: string | null): string {
+  const parts = [
+    module,
+    issue.rules?.rule_key || 'unknown',
+    normalizePageUrl(pageUrl),
+    normalizeSelector(issue),
+    normalizeSnippet(issue.code_snippet),
+  ];
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex');
+}
+
+function toComparedIssue(fingerprint: string, issue: ComparableIssue, pageUrl: string | null): ComparedIssue {
+  return {
+    fingerprint,
+    issueId: issue.id,
+    ruleKey: issue.rules?.rule_key || 'unknown',
+    name: issue.rules?.name || issue.rules?.rule_key || 'Unknown rule',
+    severity: issue.severity,
+    message: issue.message || null,
+    selector: normalizeSelector(issue) || null,
+    codeSnippet: issue.code_snippet || null,
+    fixSuggestion: issue.fix_suggestion || null,
+    wcagCriteria: issue.wcag_criteria || null,
+    pageUrl,
+    suppressionId: issue.suppression_id || null,
+  };
+}
+
+export function fingerprintIssues(
+  module: ReportModule,
+  issues: ComparableIssue[],
+  pageUrls: Map<string, string> = new Map()
+): ComparedIssue[] {
+  return issues.map(issue => {
+    const pageUrl = issue.analysis_page_id ? pageUrls.get(issue.analysis_page_id) || null : null;
+    return toComparedIssue(issueFingerprint(module, issue, pageUrl), issue, pageUrl);
+  });
+}
+
+/**
+ * Diff the issues of one module. Identical fingerprints are paired one to one, so an
+ * element that fails twice now but once before counts one unchanged and one new issue.
+ */
+export function diffModuleIssues(
+  module: ReportModule,
+  current: ComparableIssue[],
+  previous: ComparableIssue[],
+  pageUrls: Map<string, string> = new Map()
+): ModuleDiff {
+  const unmatched = new Map<string, ComparedIssue[]>();
+  fingerprintIssues(module, previous, pageUrls).forEach(issue => {
+    unmatched.set(issue.fingerprint, [...(unmatched.get(issue.fingerprint) || []), issue]);
+  });
+
+  const diff: ModuleDiff = { new: [], fixed: [], unchanged: [], counts: { new: 0, fixed: 0, unchanged: 0 } };
+  fingerprintIssues(module, current, pageUrls).forEach(issue => {
+    const matches = unmatched.get(issue.fingerprint);
+    if (matches && matches.length > 0) {
+      matches.shift();
+      diff.unchanged.push(issue);
+    } else {
+      diff.new.push(issue);
+    }
+  });
+  unmatched.forEach(issues => diff.fixed.push(...issues));
+
+  diff.counts = { new: diff.new.length, fixed: diff.fixed.length, unchanged: diff.unchanged.length };
+  return diff;
+}
+
+export function scoreDeltas(current: ModuleScores, previous: ModuleScores) {
+  return Object.fromEntries((Object.keys(current) as Array<keyof ModuleScores>).map(module => [
+    module,
+    { current: current[module], previous: previous[module], delta: current[module] - previous[module] },
+  ])) as Record<keyof ModuleScores, { current: number; previous: number; delta: number }>;
+}
+
+async function loadPageUrls(analysisIds: string[]): Promise<Map<string, string>> {
+  const { data: pages, error } = await supabase
+    .from('analysis_pages')
+    .select('id, url')
+    .in('analysis_id', analysisIds);
+
+  if (error) {
+    logger.warn('Failed to load analysis pages for comparison', { error, analysisIds });
+  }
+  return new Map((pages || []).map(page => [page.id, page.url]));
+}
+
+/**
+ * Issues of one analysis with their fingerprints, for features that follow issues across runs
+ */
+export async function loadFingerprintedIssues(analysis: { id: string; analysis_jobs?: Array<{ id: string }> }) {
+  const jobIds = (analysis.analysis_jobs || []).map(job => job.id);
+  const [issues, pageUrls] = await Promise.all([
+    loadIssuesByModule<ComparableIssue>(jobIds, ISSUE_COLUMNS_BY_MODULE),
+    loadPageUrls([analysis.id]),
+  ]);
+
+  return Object.fromEntries(REPORT_MODULES.map(module => [
+    module,
+    fingerprintIssues(module, issues[module], pageUrls),
+  ])) as Record<ReportModule, ComparedIssue[]>;
+}
+
+function assertCompleted(analysis: any) {
+  if (!COMPLETED_ANALYSIS_STATUSES.includes(analysis.status)) {
+    throw new ConflictError('Analyses can be compared once they have completed', 'ANALYSIS_NOT_COMPLETED');
+  }
+}
+
+function summarize(analysis: any) {
+  return {
+    id: analysis.id,
+    status: analysis.status,
+    createdAt: analysis.created_at,
+    completedAt: analysis.completed_at,
+  };
+}
+
+/**
+ * Compare analysis `analysisId` with `otherId`, the baseline. `otherId` may be "previous"
+ * for the latest earlier completed analysis of the same website.
+ */
+export async function compareAnalyses(analysisId: string, otherId: string, userId: string) {
+  const { analysis } = await loadAuthorizedAnalysis(analysisId, userId);
+  assertCompleted(analysis);
+
+  const websiteId: string = analysis.websites?.id;
+  let baselineId = otherId;
+  if (otherId === PREVIOUS_ANALYSIS) {
+    const previous = await findPreviousCompletedAnalysis({ id: analysis.id, website_id: websiteId, created_at: analysis.created_at });
+    if (!previous) {
+      throw new NotFoundError('There is no earlier completed analysis of this website', 'NO_PREVIOUS_ANALYSIS');
+    }
+    baselineId = previous.id;
+  }
+  if (baselineId === analysisId) {
+    throw new ValidationError('An analysis cannot be compared with itself', 'SAME_ANALYSIS');
+  }
+
+  const { analysis: baseline } = await loadAuthorizedAnalysis(baselineId, userId);
+  assertCompleted(baseline);
+  if (baseline.websites?.id !== websiteId) {
+    throw new ValidationError('Only analyses of the same website can be compared', 'ANALYSIS_WEBSITE_MISMATCH');
+  }
+
+  const jobIds = (run: any) => (run.analysis_jobs || []).map((job: { id: string }) => job.id);
+  const [currentIssues, baselineIssues, pageUrls] = await Promise.all([
+    loadIssuesByModule<ComparableIssue>(jobIds(analysis), ISSUE_COLUMNS_BY_MODULE),
+    loadIssuesByModule<ComparableIssue>(jobIds(baseline), ISSUE_COLUMNS_BY_MODULE),
+    loadPageUrls([analysis.id, baseline.id]),
+  ]);
+
+  // Suppressed issues are not counted in either run
+  const unsuppressed = (issues: ComparableIssue[]) => issues.filter(issue => !isSuppressed(issue));
+  const modules = Object.fromEntries(REPORT_MODULES.map(module => [
+    module,
+    diffModuleIssues(module, unsuppressed(currentIssues[module]), unsuppressed(baselineIssues[module]), pageUrls),
+  ])) as Record<ReportModule, ModuleDiff>;
+
+  const totals = REPORT_MODULES.reduce((sum, module) => ({
+    new: sum.new + modules[module].counts.new,
+    fixed: sum.fixed + modules[module].counts.fixed,
+    unchanged: sum.unchanged + modules[module].counts.unchanged,
+  }), { new: 0, fixed: 0, unchanged: 0 });
+
+  return {
+    website: analysis.websites ? { id: websiteId, url: analysis.websites.url } : null,
+    analysis: summarize(analysis),
+    baseline: summarize(baseline),
+    scores: scoreDeltas(
+      calculateModuleScores(currentIssues, { performance: analysis.performance_metrics?.score }),
+      calculateModuleScores(baselineIssues, { performance: baseline.performance_metrics?.score })
+    ),
+    totals,
+    modules,
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Analysis History
+ * Loads earlier runs of a website and the issues of a run, for comparisons between analyses
+ */
+
+import { supabase } from '@/config/supabase';
+import { AppError } from '@/types';
+import { REPORT_MODULES, ReportModule } from '@/services/reports/reportBuilder';
+
+export const COMPLETED_ANALYSIS_STATUSES = ['completed', 'completed_with_errors'];
+
+export const ISSUE_TABLES: Record<ReportModule, string> = {
+  accessibility: 'accessibility_issues',
+  seo: 'seo_issues',
+  performance: 'performance_issues',
+};
+
+/**
+ * The latest completed analysis of a website created before `before`, or null
+ */
+export async function findPreviousCompletedAnalysis(
+  analysis: { id: string; website_id: string; created_at: string },
+  columns = 'id'
+) {
+  const { data, error } = await supabase
+    .from('analyses')
+    .select(columns)
+    .eq('website_id', analysis.website_id)
+    .neq('id', analysis.id)
+    .in('status', COMPLETED_ANALYSIS_STATUSES)
+    .lt('created_at', analysis.created_at)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load previous analysis', 500, true, error.message);
+  }
+  return data as any;
+}
+
+/**
+ * Load the issues of the given analysis jobs for every module.
+ * `columns` is either one select for all modules or a select per module.
+ */
+export async function loadIssuesByModule<T = any>(
+  jobIds: string[],
+  columns: string | Record<ReportModule, string>
+): Promise<Record<ReportModule, T[]>> {
+  const lists = await Promise.all(REPORT_MODULES.map(async module => {
+    if (jobIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from(ISSUE_TABLES[module])
+      .select(typeof columns === 'string' ? columns : columns[module])
+      .in('analysis_job_id', jobIds);
+
+    if (error) {
+      throw new AppError(`Failed to load ${module} issues`, 500, true, error.message);
+    }
+    return (data || []) as unknown as T[];
+  }));
+
+  return Object.fromEntries(REPORT_MODULES.map((module, i) => [module, lists[i]])) as Record<ReportModule, T[]>;
+}
@@ -0,0 +1,93 @@
+/**
+ * Analysis Scoring
+ * Shared scoring algorithm used for analysis-level and per-page scores
+ */
+
+export interface ScorableIssue {
+  severity: string;
+  rules?: { rule_key?: string } | null;
+  suppression_id?: string | null;
+}
+
+const SEVERITY_DEDUCTIONS: Record<string, number> = {
+  critical: 15,
+  serious: 10,
+  moderate: 6,
+  minor: 3,
+};
+
+/**
+ * Issues matched by a suppression stay in the report for auditing but are not counted
+ */
+export function isSuppressed(issue: { suppression_id?: string | null }): boolean {
+  return Boolean(issue.suppression_id);
+}
+
+/**
+ * Score a list of issues from 0-100. Issues are grouped by rule and severity so
+ * that repeated occurrences of the same problem only add a logarithmic penalty.
+ * Suppressed issues are ignored.
+ */
+export function calculateImprovedScore(issues: ScorableIssue[] | null | undefined): number {
+  const counted = (issues || []).filter(issue => !isSuppressed(issue));
+  if (counted.length === 0) return 100;
+
+  // Group issues primarily by rule for better consolidation
+  const occurrencesByGroup = new Map<string, { severity: string; count: number }>();
+
+  counted.forEach(issue => {
+    const ruleKey = issue.rules?.rule_key || 'unknown';
+    // Create a key that groups by rule and severity (not message)
+    const groupKey = `${ruleKey}:${issue.severity}`;
+    const group = occurrencesByGroup.get(groupKey);
+    if (group) {
+      group.count++;
+    } else {
+      occurrencesByGroup.set(groupKey, { severity: issue.severity, count: 1 });
+    }
+  });
+
+  // Calculate score based on unique issue groups, not total count
+  let totalDeduction = 0;
+
+  occurrencesByGroup.forEach(group => {
+    const baseDeduction = SEVERITY_DEDUCTIONS[group.severity] ?? 5;
+    // Add small penalty for multiple occurrences (logarithmic to avoid over-penalizing)
+    const occurrencePenalty = group.count > 1 ? Math.log2(group.count) : 0;
+    totalDeduction += baseDeduction + occurrencePenalty;
+  });
+
+  return Math.max(0, Math.round(100 - totalDeduction));
+}
+
+export interface ModuleScores {
+  overall: number;
+  accessibility: number;
+  seo: number;
+  performance: number;
+}
+
+/**
+ * Score every module from its issues. A measured score (e.g. the Lighthouse
+ * performance score) takes precedence over the issue-based estimate.
+ */
+export function calculateModuleScores(
+  issues: {
+    accessibility?: ScorableIssue[] | null;
+    seo?: ScorableIssue[] | null;
+    performance?: ScorableIssue[] | null;
+  },
+  measured: { performance?: number | null } = {}
+): ModuleScores {
+  const accessibility = calculateImprovedScore(issues.accessibility);
+  const seo = calculateImprovedScore(issues.seo);
+  const performance = typeof measured.performance === 'number'
+    ? measured.performance
+    : calculateImprovedScore(issues.performance);
+  return {
+    overall: Math.round((accessibility + seo + performance) / 3),
+    accessibility,
+    seo,
+    performance,
+  };
+}
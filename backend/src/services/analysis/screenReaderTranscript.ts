@@ -0,0 +1,64 @@
+/**
+ * Screen Reader Transcripts
+ * Serves the transcripts the screen reader worker stored next to each analysed page
+ */
+
+import { supabase } from '@/config/supabase';
+import { AppError, NotFoundError } from '@/types';
+import { SCREEN_READER_TRANSCRIPT_FILE, ScreenReaderTranscript } from '@/core/workers/accessibility/screenReaderTranscript';
+import { loadAuthorizedAnalysis } from '@/services/reports/reportService';
+
+export interface TranscriptPage {
+  id: string;
+  pageIndex: number;
+  url: string;
+  flowStep: string | null;
+}
+
+/**
+ * Load the transcript of one page of an analysis, the requested URL when no page is given.
+ * The pages of the analysis are returned as well so a client can switch between them.
+ */
+export async function loadScreenReaderTranscript(analysisId: string, userId: string, pageId?: string): Promise<{
+  page: TranscriptPage;
+  pages: TranscriptPage[];
+  transcript: ScreenReaderTranscript;
+}> {
+  const { analysis } = await loadAuthorizedAnalysis(analysisId, userId);
+
+  const { data: rows, error } = await supabase
+    .from('analysis_pages')
+    .select('id, page_index, url, flow_step, asset_path')
+    .eq('analysis_id', analysis.id)
+    .order('page_index', { ascending: true });
+
+  if (error) {
+    throw new AppError('Failed to load analysis pages', 500, true, error.message);
+  }
+
+  const row = pageId ? (rows || []).find(candidate => candidate.id === pageId) : (rows || [])[0];
+  if (!row) {
+    throw new NotFoundError('Page not found', 'PAGE_NOT_FOUND');
+  }
+
+  const { data, error: downloadError } = await supabase.storage
+    .from('analysis-assets')
+    .download(`${row.asset_path}/${SCREEN_READER_TRANSCRIPT_FILE}`);
+
+  if (downloadError || !data) {
+    throw new NotFoundError('No screen reader transcript was recorded for this page', 'TRANSCRIPT_NOT_FOUND');
+  }
+
+  const toPage = (page: any): TranscriptPage => ({
+    id: page.id,
+    pageIndex: page.page_index,
+    url: page.url,
+    flowStep: page.flow_step || null,
+  });
+
+  return {
+    page: toPage(row),
+    pages: (rows || []).map(toPage),
+    transcript: JSON.parse(await data.text()),
+  };
+}
@@ -0,0 +1,363 @@
+/**
+ * Site Crawl Helpers
+ * URL discovery, robots.txt evaluation and crawl option handling used by the
+ * fetcher worker when an analysis runs in multi-page crawl mode, and by the
+ * site-wide SEO checks that read the sitemap
+ */
+
+import { CrawlOptions } from '@/types';
+
+export const CRAWL_USER_AGENT = 'SiteCraft-Analyzer';
+
+export const DEFAULT_CRAWL_OPTIONS: CrawlOptions = {
+  enabled: false,
+  maxPages: 10,
+  maxDepth: 2,
+  includePatterns: [],
+  excludePatterns: [],
+  useSitemap: true,
+};
+
+// Hard ceiling so a single analysis can never turn into an unbounded crawl
+export const MAX_CRAWL_PAGES = 50;
+export const MAX_CRAWL_DEPTH = 5;
+// Sitemap documents read per discovery, following sitemap indexes
+export const MAX_SITEMAP_FILES = 4;
+// The sitemap protocol allows 50 MB per file; larger documents are cut off here
+export const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+
+const SITEMAP_TIMEOUT_MS = 6000;
+
+export interface RobotsRule {
+  type: 'allow' | 'disallow';
+  path: string;
+}
+
+export interface RobotsGroup {
+  userAgents: string[];
+  rules: RobotsRule[];
+}
+
+export interface ParsedRobotsTxt {
+  groups: RobotsGroup[];
+  sitemaps: string[];
+}
+
+export interface CrawlCandidate {
+  url: string;
+  depth: number;
+  source: 'root' | 'link' | 'sitemap';
+}
+
+// Links to these file types never produce an HTML document worth analyzing
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|tar|jpe?g|png|gif|webp|avif|svg|ico|bmp|mp4|webm|mov|avi|mp3|wav|ogg|woff2?|ttf|eot|css|js|json|xml|txt|csv|docx?|xlsx?|pptx?)$/i;
+
+function clampInt(value: unknown, fallback: number, min: number, max: number): number {
+  const parsed = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, Math.floor(parsed)));
+}
+
+function toPatternList(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((p): p is string => typeof p === 'string')
+    .map(p => p.trim())
+    .filter(p => p.length > 0)
+    .slice(0, 25);
+}
+
+/**
+ * Normalize user supplied crawl options, applying defaults and hard limits
+ */
+export function resolveCrawlOptions(input?: Partial<CrawlOptions> | null): CrawlOptions {
+  if (!input || typeof input !== 'object') {
+    return { ...DEFAULT_CRAWL_OPTIONS };
+  }
+
+  return {
+    enabled: Boolean(input.enabled),
+    maxPages: clampInt(input.maxPages, DEFAULT_CRAWL_OPTIONS.maxPages, 1, MAX_CRAWL_PAGES),
+    maxDepth: clampInt(input.maxDepth, DEFAULT_CRAWL_OPTIONS.maxDepth, 0, MAX_CRAWL_DEPTH),
+    includePatterns: toPatternList(input.includePatterns),
+    excludePatterns: toPatternList(input.excludePatterns),
+    useSitemap: input.useSitemap === undefined ? DEFAULT_CRAWL_OPTIONS.useSitemap : Boolean(input.useSitemap),
+  };
+}
+
+/**
+ * Resolve an href against its page and strip everything that doesn't identify a
+ * distinct document (fragments, default ports). Returns null for non-http(s) links.
+ */
+export function normalizeCrawlUrl(href: string, baseUrl: string): string | null {
+  if (!href) return null;
+  const trimmed = href.trim();
+  if (!trimmed || /^(mailto:|tel:|javascript:|data:|#)/i.test(trimmed)) return null;
+
+  try {
+    const url = new URL(trimmed, baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    if ((url.protocol === 'http:' && url.port === '80') || (url.protocol === 'https:' && url.port === '443')) {
+      url.port = '';
+    }
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+export function isSameOrigin(url: string, origin: string): boolean {
+  try {
+    return new URL(url).origin === new URL(origin).origin;
+  } catch {
+    return false;
+  }
+}
+
+export function isLikelyHtmlUrl(url: string): boolean {
+  try {
+    return !NON_HTML_EXTENSIONS.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a simple glob (`*` wildcard) into a RegExp. Patterns are matched
+ * against the path + query of a URL, e.g. `/blog/*` or `*?page=*`.
+ */
+function globToRegExp(pattern: string): RegExp {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+export function matchesAnyPattern(url: string, patterns: string[]): boolean {
+  if (patterns.length === 0) return false;
+  let target: string;
+  try {
+    const parsed = new URL(url);
+    target = `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return false;
+  }
+  return patterns.some(pattern => globToRegExp(pattern).test(target));
+}
+
+/**
+ * Parse robots.txt into user-agent groups and declared sitemaps
+ */
+export function parseRobotsTxt(content: string | null | undefined): ParsedRobotsTxt {
+  const result: ParsedRobotsTxt = { groups: [], sitemaps: [] };
+  if (!content) return result;
+
+  let current: RobotsGroup | null = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) result.sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share the same rule group
+      if (!current || !lastWasAgent) {
+        current = { userAgents: [], rules: [] };
+        result.groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and contributes no rule
+      if (value) current.rules.push({ type: field, path: value });
+    }
+  }
+
+  return result;
+}
+
+function robotsPathMatches(rulePath: string, target: string): boolean {
+  const anchored = rulePath.endsWith('$');
+  const body = anchored ? rulePath.slice(0, -1) : rulePath;
+  const escaped = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Decide whether a URL may be fetched. Uses the most specific matching
+ * user-agent group and the longest matching rule, with Allow winning ties.
+ */
+export function isAllowedByRobots(robots: ParsedRobotsTxt, url: string, userAgent = CRAWL_USER_AGENT): boolean {
+  if (robots.groups.length === 0) return true;
+
+  let target: string;
+  try {
+    const parsed = new URL(url);
+    target = `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return false;
+  }
+
+  const agent = userAgent.toLowerCase();
+  const specific = robots.groups.filter(g => g.userAgents.some(ua => ua !== '*' && agent.includes(ua)));
+  const groups = specific.length > 0 ? specific : robots.groups.filter(g => g.userAgents.includes('*'));
+  if (groups.length === 0) return true;
+
+  let best: RobotsRule | null = null;
+  for (const rule of groups.flatMap(g => g.rules)) {
+    if (!robotsPathMatches(rule.path, target)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.type === 'allow')
+    ) {
+      best = rule;
+    }
+  }
+
+  return !best || best.type === 'allow';
+}
+
+/**
+ * Extract <loc> entries from a sitemap or sitemap index document
+ */
+export function parseSitemapXml(xml: string | null | undefined): { urls: string[]; sitemaps: string[] } {
+  const result = { urls: [] as string[], sitemaps: [] as string[] };
+  if (!xml) return result;
+
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+  let match: RegExpExecArray | null;
+
+  while ((match = locPattern.exec(xml)) !== null) {
+    const loc = match[1]
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'");
+    if (isIndex) {
+      result.sitemaps.push(loc);
+    } else {
+      result.urls.push(loc);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply origin, file type, include/exclude and robots.txt filtering to a candidate URL
+ */
+export function shouldCrawlUrl(
+  url: string,
+  origin: string,
+  options: CrawlOptions,
+  robots: ParsedRobotsTxt
+): boolean {
+  if (!isSameOrigin(url, origin)) return false;
+  if (!isLikelyHtmlUrl(url)) return false;
+  if (options.includePatterns.length > 0 && !matchesAnyPattern(url, options.includePatterns)) return false;
+  if (matchesAnyPattern(url, options.excludePatterns)) return false;
+  return isAllowedByRobots(robots, url);
+}
+
+/**
+ * Read a response body as text, stopping after maxBytes so oversized files never sit in memory.
+ */
+export async function readTextLimited(response: Response, maxBytes: number): Promise<string> {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = (response.body as any).getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const chunk: Uint8Array = value.byteLength > maxBytes - received ? value.subarray(0, maxBytes - received) : value;
+    received += chunk.byteLength;
+    text += decoder.decode(chunk, { stream: true });
+  }
+  await reader.cancel().catch(() => undefined);
+  return text + decoder.decode();
+}
+
+/**
+ * GET a URL as text, or null when the request fails or is not 2xx. The timeout also
+ * covers reading the body, which stops after maxBytes.
+ */
+export async function fetchText(url: string, timeoutMs: number, maxBytes: number): Promise<string | null> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal, redirect: 'follow', headers: { 'User-Agent': 'SiteCraft-Analyzer/1.0' } as any });
+    if (!response.ok) {
+      return null;
+    }
+    return await readTextLimited(response, maxBytes);
+  } catch (_) {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Same-origin page URLs from the sitemaps declared in robots.txt, or /sitemap.xml, in
+ * sitemap order and without duplicates, non-HTML files and URLs robots.txt disallows
+ */
+export async function discoverSitemapUrls(
+  origin: string,
+  robots: ParsedRobotsTxt,
+  limit = Number.POSITIVE_INFINITY
+): Promise<string[]> {
+  const pending = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+  const seen = new Set<string>();
+  const urls: string[] = [];
+  let fetched = 0;
+
+  while (pending.length > 0 && fetched < MAX_SITEMAP_FILES && urls.length < limit) {
+    const sitemapUrl = pending.shift()!;
+    fetched++;
+    const xml = await fetchText(sitemapUrl, SITEMAP_TIMEOUT_MS, MAX_SITEMAP_BYTES);
+    if (!xml) continue;
+
+    const parsed = parseSitemapXml(xml);
+    pending.push(...parsed.sitemaps);
+    for (const loc of parsed.urls) {
+      const url = normalizeCrawlUrl(loc, origin);
+      if (!url || seen.has(url)) continue;
+      if (!isSameOrigin(url, origin) || !isLikelyHtmlUrl(url) || !isAllowedByRobots(robots, url)) continue;
+      seen.add(url);
+      urls.push(url);
+    }
+  }
+
+  return urls.slice(0, limit);
+}
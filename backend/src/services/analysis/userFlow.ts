@@ -0,0 +1,148 @@
+/**
+ * User Flow Helpers
+ * Validation of scripted user flows (navigate, click, type, wait, snapshot) that the
+ * fetcher runs to capture page states which only exist after interaction
+ */
+
+import { AppError, UserFlow, UserFlowStep, ValidationError } from '@/types';
+
+export const USER_FLOW_ACTIONS: UserFlowStep['action'][] = ['navigate', 'click', 'type', 'waitForSelector', 'snapshot'];
+
+// Every step costs browser time inside the fetcher job, so flows stay short
+export const MAX_FLOW_STEPS = 50;
+export const MAX_FLOW_SNAPSHOTS = 10;
+export const DEFAULT_FLOW_WAIT_MS = 10000;
+export const MAX_FLOW_WAIT_MS = 30000;
+
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_URL_LENGTH = 2048;
+const MAX_NAME_LENGTH = 100;
+// Stored in place of the text of type steps
+export const REDACTED_FLOW_TEXT = '[redacted]';
+
+function invalid(message: string): ValidationError {
+  return new ValidationError(message, 'INVALID_USER_FLOW');
+}
+
+function requireString(value: unknown, field: string, maxLength: number): string {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw invalid(`${field} is required`);
+  }
+  if (value.length > maxLength) {
+    throw invalid(`${field} must be at most ${maxLength} characters`);
+  }
+  return value;
+}
+
+function resolveStep(input: any, index: number): UserFlowStep {
+  const field = `flow.steps[${index}]`;
+  if (!input || typeof input !== 'object') {
+    throw invalid(`${field} must be an object`);
+  }
+
+  switch (input.action) {
+    case 'navigate': {
+      const url = requireString(input.url, `${field}.url`, MAX_URL_LENGTH).trim();
+      // Relative URLs are resolved against the current page when the flow runs
+      let parsed: URL;
+      try {
+        parsed = new URL(url, 'http://relative.invalid');
+      } catch {
+        throw invalid(`${field}.url is not a valid URL`);
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw invalid(`${field}.url must use http or https`);
+      }
+      return { action: 'navigate', url };
+    }
+    case 'click':
+      return { action: 'click', selector: requireString(input.selector, `${field}.selector`, MAX_SELECTOR_LENGTH).trim() };
+    case 'type':
+      if (typeof input.text !== 'string' || input.text.length > MAX_TEXT_LENGTH) {
+        throw invalid(`${field}.text must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return {
+        action: 'type',
+        selector: requireString(input.selector, `${field}.selector`, MAX_SELECTOR_LENGTH).trim(),
+        text: input.text,
+        clear: Boolean(input.clear),
+      };
+    case 'waitForSelector': {
+      const timeoutMs = input.timeoutMs === undefined ? DEFAULT_FLOW_WAIT_MS : Number(input.timeoutMs);
+      if (!Number.isFinite(timeoutMs) || timeoutMs < 0 || timeoutMs > MAX_FLOW_WAIT_MS) {
+        throw invalid(`${field}.timeoutMs must be between 0 and ${MAX_FLOW_WAIT_MS}`);
+      }
+      return {
+        action: 'waitForSelector',
+        selector: requireString(input.selector, `${field}.selector`, MAX_SELECTOR_LENGTH).trim(),
+        visible: input.visible === undefined ? true : Boolean(input.visible),
+        timeoutMs: Math.floor(timeoutMs),
+      };
+    }
+    case 'snapshot':
+      return { action: 'snapshot', name: requireString(input.name, `${field}.name`, MAX_NAME_LENGTH).trim() };
+    default:
+      throw invalid(`${field}.action must be one of ${USER_FLOW_ACTIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a user flow from an API request. Returns null when no flow was given.
+ * Throws ValidationError (INVALID_USER_FLOW) describing the first problem found.
+ */
+export function resolveUserFlow(input: unknown): UserFlow | null {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || !Array.isArray((input as any).steps)) {
+    throw invalid('flow.steps must be an array');
+  }
+
+  const { name, steps: rawSteps } = input as { name?: unknown; steps: unknown[] };
+  if (rawSteps.length === 0 || rawSteps.length > MAX_FLOW_STEPS) {
+    throw invalid(`A user flow needs between 1 and ${MAX_FLOW_STEPS} steps`);
+  }
+
+  const steps = rawSteps.map(resolveStep);
+  const snapshots = steps.filter((step): step is Extract<UserFlowStep, { action: 'snapshot' }> => step.action === 'snapshot');
+  if (snapshots.length === 0 || snapshots.length > MAX_FLOW_SNAPSHOTS) {
+    throw invalid(`A user flow needs between 1 and ${MAX_FLOW_SNAPSHOTS} snapshot steps`);
+  }
+
+  const seen = new Set<string>();
+  snapshots.forEach(snapshot => {
+    const key = snapshot.name.toLowerCase();
+    if (seen.has(key)) {
+      throw invalid(`Snapshot name "${snapshot.name}" is used more than once`);
+    }
+    seen.add(key);
+  });
+
+  return {
+    name: name === undefined || name === null ? 'User flow' : requireString(name, 'flow.name', MAX_NAME_LENGTH).trim(),
+    steps,
+  };
+}
+
+/**
+ * Copy of a flow that is safe to store on the analysis, which every workspace member can read.
+ * Typed text is often a password, so it is replaced; credentials belong in an auth profile.
+ */
+export function redactUserFlow(flow: UserFlow): UserFlow {
+  return {
+    ...flow,
+    steps: flow.steps.map(step => (step.action === 'type' ? { ...step, text: REDACTED_FLOW_TEXT } : step)),
+  };
+}
+
+/**
+ * Resolve the URL of a navigate step. Flows stay on the origin of the analyzed website.
+ */
+export function resolveFlowUrl(url: string, currentUrl: string, origin: string): string {
+  const resolved = new URL(url, currentUrl);
+  if (resolved.origin !== origin) {
+    throw new AppError(`Navigation to ${resolved.origin} leaves the analyzed website`, 422, true, 'USER_FLOW_FAILED');
+  }
+  return resolved.toString();
+}
@@ -0,0 +1,189 @@
+jest.mock('@/config', () => ({
+  config: { security: { encryptionKey: 'ab'.repeat(32) } },
+}));
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { decryptJson, decryptSecret, encryptJson, encryptSecret, isEncryptionConfigured } from '@/lib/crypto/secrets';
+import { AuthProfileConfig, upsertAuthProfile, validateAuthProfileInput } from '../authProfiles';
+import { applyAuthProfile, openSession, sealSession } from '../browserAuth';
+
+const mockFrom = jest.fn();
+
+const STORED: AuthProfileConfig = {
+  formLogin: {
+    loginUrl: 'https://example.com/login',
+    usernameSelector: '#email',
+    passwordSelector: '#password',
+    submitSelector: 'button[type=submit]',
+    successSelector: null,
+    username: 'qa@example.com',
+    password: 'hunter2',
+  },
+  headers: [{ name: 'X-Preview-Token', value: 'secret-token' }],
+};
+
+describe('Auth profiles', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+  });
+
+  describe('secrets', () => {
+    it('should round-trip values and reject tampered ciphertexts', () => {
+      const sealed = encryptSecret('hunter2');
+      expect(sealed).not.toContain('hunter2');
+      expect(decryptSecret(sealed)).toBe('hunter2');
+      expect(decryptJson(encryptJson({ a: 1 }))).toEqual({ a: 1 });
+
+      const [version, iv, tag] = sealed.split('.');
+      const tampered = [version, iv, tag, Buffer.from('hunter3').toString('base64url')].join('.');
+      expect(() => decryptSecret(tampered)).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+      expect(() => decryptSecret(sealed, 'cd'.repeat(32))).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+    });
+
+    it('should refuse to encrypt without a 32 byte key', () => {
+      expect(isEncryptionConfigured('')).toBe(false);
+      expect(() => encryptSecret('hunter2', 'too-short')).toThrow(
+        expect.objectContaining({ code: 'ENCRYPTION_NOT_CONFIGURED' })
+      );
+    });
+  });
+
+  describe('validateAuthProfileInput', () => {
+    it('should require at least one method', () => {
+      expect(() => validateAuthProfileInput({})).toThrow(expect.objectContaining({ code: 'AUTH_METHOD_REQUIRED' }));
+      expect(() => validateAuthProfileInput({ formLogin: null }, { formLogin: STORED.formLogin })).toThrow(
+        expect.objectContaining({ code: 'AUTH_METHOD_REQUIRED' })
+      );
+    });
+
+    it('should keep stored secrets that are left out of an update', () => {
+      const config = validateAuthProfileInput({
+        formLogin: { ...STORED.formLogin!, password: undefined, username: 'other@example.com' },
+        headers: [{ name: 'x-preview-token' }],
+      }, STORED);
+
+      expect(config.formLogin).toMatchObject({ username: 'other@example.com', password: 'hunter2' });
+      expect(config.headers).toEqual([{ name: 'x-preview-token', value: 'secret-token' }]);
+    });
+
+    it('should reject unsafe URLs, headers and cookies', () => {
+      expect(() => validateAuthProfileInput({
+        formLogin: { ...STORED.formLogin!, loginUrl: 'javascript:alert(1)' },
+      })).toThrow(expect.objectContaining({ code: 'INVALID_AUTH_PROFILE' }));
+      expect(() => validateAuthProfileInput({ headers: [{ name: 'X-Token', value: 'a\r\nHost: evil' }] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_AUTH_PROFILE' })
+      );
+      expect(() => validateAuthProfileInput({ headers: [{ name: 'Cookie', value: 'a=b' }] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_AUTH_PROFILE' })
+      );
+      expect(() => validateAuthProfileInput({ cookies: [{ name: 'session' }] })).toThrow(
+        expect.objectContaining({ code: 'INVALID_AUTH_PROFILE' })
+      );
+    });
+  });
+
+  it('should store the profile encrypted and only return redacted settings', async () => {
+    let inserted: any;
+    mockFrom.mockImplementation((table: string) => {
+      if (table === 'websites') return mockQuery({ data: { id: 'site-1' } });
+      const query = mockQuery({ data: null });
+      query.insert.mockImplementation((values: any) => {
+        inserted = values;
+        query.single.mockResolvedValue({ data: { id: 'profile-1', website_id: 'site-1', ...values }, error: null });
+        return query;
+      });
+      return query;
+    });
+
+    const profile = await upsertAuthProfile('ws-1', 'site-1', 'user-1', {
+      basicAuth: { username: 'staging', password: 'letmein' },
+    });
+
+    expect(inserted.methods).toEqual(['basic']);
+    expect(inserted.encrypted_config).not.toContain('letmein');
+    expect(decryptJson(inserted.encrypted_config)).toEqual({ basicAuth: { username: 'staging', password: 'letmein' } });
+    expect(profile.basicAuth).toEqual({ username: 'staging', hasPassword: true });
+    expect(JSON.stringify(profile)).not.toContain('letmein');
+  });
+
+  describe('browserAuth', () => {
+    const mockPage = (passwordFieldVisible: boolean) => ({
+      setRequestInterception: jest.fn(),
+      on: jest.fn(),
+      authenticate: jest.fn(),
+      setCookie: jest.fn(),
+      goto: jest.fn().mockResolvedValue(null),
+      waitForSelector: jest.fn().mockResolvedValue({}),
+      type: jest.fn(),
+      click: jest.fn(),
+      waitForNavigation: jest.fn().mockResolvedValue(null),
+      $: jest.fn().mockResolvedValue({ boundingBox: async () => (passwordFieldVisible ? { width: 100, height: 20 } : null) }),
+    });
+
+    it('should set headers and cookies and submit the login form', async () => {
+      const page = mockPage(false);
+      await applyAuthProfile(page as any, { ...STORED, cookies: [{ name: 'consent', value: 'yes' }] }, 'https://example.com/account');
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(page.setCookie).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'consent',
+        value: 'yes',
+        url: 'https://example.com/account',
+      }));
+      expect(page.goto).toHaveBeenCalledWith('https://example.com/login', expect.any(Object));
+      expect(page.type).toHaveBeenCalledWith('#password', 'hunter2');
+      expect(page.click).toHaveBeenCalledWith('button[type=submit]');
+    });
+
+    it('should only send the headers to the origin of the target page', async () => {
+      const page = mockPage(false);
+      await applyAuthProfile(page as any, { headers: STORED.headers }, 'https://example.com/account');
+      const onRequest = page.on.mock.calls.find(([event]) => event === 'request')[1];
+      const mockRequest = (url: string) => ({
+        url: () => url,
+        headers: () => ({ accept: 'text/html' }),
+        isInterceptResolutionHandled: () => false,
+        continueRequestOverrides: () => ({}),
+        continue: jest.fn(),
+      });
+
+      const own = mockRequest('https://example.com/app.js');
+      const thirdParty = mockRequest('https://cdn.example.net/lib.js');
+      onRequest(own);
+      onRequest(thirdParty);
+
+      expect(own.continue).toHaveBeenCalledWith({ headers: { accept: 'text/html', 'X-Preview-Token': 'secret-token' } }, 0);
+      expect(thirdParty.continue).toHaveBeenCalledWith({}, 0);
+    });
+
+    it('should fail when the login form is still shown after submitting', async () => {
+      await expect(applyAuthProfile(mockPage(true) as any, STORED, 'https://example.com/account')).rejects.toMatchObject({
+        code: 'AUTH_LOGIN_FAILED',
+      });
+    });
+
+    it('should seal sessions for job data', () => {
+      const session = {
+        cookies: [{ name: 'sid', value: 'session-cookie-value', domain: 'example.com', path: '/' }],
+        headers: { 'X-Preview-Token': 'secret-token' },
+        basicAuth: { username: 'staging', password: 'letmein' },
+      };
+      const sealed = sealSession(session);
+
+      expect(sealed).not.toContain('session-cookie-value');
+      expect(openSession(sealed)).toEqual(session);
+    });
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Website Auth Profiles
+ * Per-website login configuration for scanning pages behind authentication. The full
+ * configuration including credentials is stored encrypted; API responses only expose
+ * which methods are configured and never return secrets.
+ */
+
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { AppError, NotFoundError, ValidationError } from '@/types';
+import { decryptJson, encryptJson } from '@/lib/crypto/secrets';
+
+const logger = createLogger('auth-profiles');
+
+export const MAX_AUTH_COOKIES = 50;
+export const MAX_AUTH_HEADERS = 20;
+// Crawl exclusions while logged in (siteCrawl glob syntax, matched case-insensitively)
+export const LOGOUT_URL_PATTERNS = ['*logout*', '*log-out*', '*signout*', '*sign-out*', '*logoff*'];
+const MAX_VALUE_LENGTH = 4096;
+const MAX_SELECTOR_LENGTH = 500;
+
+// RFC 7230 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Headers the browser manages itself or that would break the capture
+const FORBIDDEN_HEADERS = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'cookie']);
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const PROFILE_COLUMNS = `
+  id,
+  workspace_id,
+  website_id,
+  is_enabled,
+  methods,
+  encrypted_config,
+  last_login_at,
+  last_login_status,
+  last_login_error,
+  created_by_user_id,
+  updated_by_user_id,
+  created_at,
+  updated_at
+`;
+
+export interface FormLoginConfig {
+  loginUrl: string;
+  usernameSelector: string;
+  passwordSelector: string;
+  submitSelector?: string | null;
+  // Element that only exists once logged in; without it the login counts as failed while the password field is still shown
+  successSelector?: string | null;
+  username: string;
+  password: string;
+}
+
+export interface AuthCookie {
+  name: string;
+  value: string;
+  domain?: string | null;
+  path?: string | null;
+  secure?: boolean;
+  httpOnly?: boolean;
+}
+
+export interface AuthHeader {
+  name: string;
+  value: string;
+}
+
+export interface AuthProfileConfig {
+  formLogin?: FormLoginConfig | null;
+  cookies?: AuthCookie[] | null;
+  basicAuth?: { username: string; password: string } | null;
+  headers?: AuthHeader[] | null;
+}
+
+export type AuthMethod = 'form' | 'cookies' | 'basic' | 'headers';
+
+/**
+ * Request body of the profile endpoint. Secrets may be left out to keep the stored ones,
+ * a method set to null is removed.
+ */
+export interface AuthProfileInput {
+  isEnabled?: boolean;
+  formLogin?: (Omit<FormLoginConfig, 'password'> & { password?: string }) | null;
+  cookies?: Array<Omit<AuthCookie, 'value'> & { value?: string }> | null;
+  basicAuth?: { username: string; password?: string } | null;
+  headers?: Array<{ name: string; value?: string }> | null;
+}
+
+export interface LoadedAuthProfile {
+  id: string;
+  config: AuthProfileConfig;
+}
+
+export function configuredMethods(config: AuthProfileConfig): AuthMethod[] {
+  const methods: AuthMethod[] = [];
+  if (config.formLogin) methods.push('form');
+  if (config.cookies?.length) methods.push('cookies');
+  if (config.basicAuth) methods.push('basic');
+  if (config.headers?.length) methods.push('headers');
+  return methods;
+}
+
+/**
+ * Profile as returned by the API: the non-secret settings plus flags for stored secrets
+ */
+export function toPublicProfile(row: any, config: AuthProfileConfig) {
+  return {
+    id: row.id,
+    websiteId: row.website_id,
+    isEnabled: row.is_enabled,
+    methods: configuredMethods(config),
+    formLogin: config.formLogin
+      ? {
+        loginUrl: config.formLogin.loginUrl,
+        usernameSelector: config.formLogin.usernameSelector,
+        passwordSelector: config.formLogin.passwordSelector,
+        submitSelector: config.formLogin.submitSelector || null,
+        successSelector: config.formLogin.successSelector || null,
+        username: config.formLogin.username,
+        hasPassword: Boolean(config.formLogin.password),
+      }
+      : null,
+    cookies: (config.cookies || []).map(cookie => ({
+      name: cookie.name,
+      domain: cookie.domain || null,
+      path: cookie.path || null,
+      secure: Boolean(cookie.secure),
+      httpOnly: Boolean(cookie.httpOnly),
+    })),
+    basicAuth: config.basicAuth
+      ? { username: config.basicAuth.username, hasPassword: Boolean(config.basicAuth.password) }
+      : null,
+    headers: (config.headers || []).map(header => ({ name: header.name })),
+    lastLoginAt: row.last_login_at,
+    lastLoginStatus: row.last_login_status,
+    lastLoginError: row.last_login_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function requireText(value: unknown, field: string, maxLength = MAX_VALUE_LENGTH): string {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new ValidationError(`${field} is required`, 'INVALID_AUTH_PROFILE');
+  }
+  if (value.length > maxLength) {
+    throw new ValidationError(`${field} must be at most ${maxLength} characters`, 'INVALID_AUTH_PROFILE');
+  }
+  return value;
+}
+
+function optionalText(value: unknown, field: string, maxLength: number): string | null {
+  if (value === undefined || value === null || value === '') return null;
+  return requireText(value, field, maxLength).trim();
+}
+
+function validateHttpUrl(value: unknown, field: string): string {
+  const text = requireText(value, field).trim();
+  let url: URL;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new ValidationError(`${field} must be a valid URL`, 'INVALID_AUTH_PROFILE');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(`${field} must use http or https`, 'INVALID_AUTH_PROFILE');
+  }
+  return url.toString();
+}
+
+function rejectLineBreaks(value: string, field: string): string {
+  if (/[\r\n\0]/.test(value)) {
+    throw new ValidationError(`${field} must not contain line breaks`, 'INVALID_AUTH_PROFILE');
+  }
+  return value;
+}
+
+function validateFormLogin(
+  input: NonNullable<AuthProfileInput['formLogin']>,
+  existing?: FormLoginConfig | null
+): FormLoginConfig {
+  const password = input.password ?? existing?.password;
+  return {
+    loginUrl: validateHttpUrl(input.loginUrl, 'formLogin.loginUrl'),
+    usernameSelector: requireText(input.usernameSelector, 'formLogin.usernameSelector', MAX_SELECTOR_LENGTH).trim(),
+    passwordSelector: requireText(input.passwordSelector, 'formLogin.passwordSelector', MAX_SELECTOR_LENGTH).trim(),
+    submitSelector: optionalText(input.submitSelector, 'formLogin.submitSelector', MAX_SELECTOR_LENGTH),
+    successSelector: optionalText(input.successSelector, 'formLogin.successSelector', MAX_SELECTOR_LENGTH),
+    username: requireText(input.username, 'formLogin.username'),
+    password: requireText(password, 'formLogin.password'),
+  };
+}
+
+function validateCookies(input: NonNullable<AuthProfileInput['cookies']>, existing?: AuthCookie[] | null): AuthCookie[] {
+  if (!Array.isArray(input)) {
+    throw new ValidationError('cookies must be an array', 'INVALID_AUTH_PROFILE');
+  }
+  if (input.length > MAX_AUTH_COOKIES) {
+    throw new ValidationError(`At most ${MAX_AUTH_COOKIES} cookies are allowed`, 'INVALID_AUTH_PROFILE');
+  }
+
+  return input.map(cookie => {
+    const name = requireText(cookie?.name, 'cookies.name', 256).trim();
+    if (!COOKIE_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Cookie name "${name}" is not valid`, 'INVALID_AUTH_PROFILE');
+    }
+    const value = cookie.value ?? existing?.find(stored => stored.name === name)?.value;
+    if (typeof value !== 'string' || /[\r\n\0;]/.test(value) || value.length > MAX_VALUE_LENGTH) {
+      throw new ValidationError(`Cookie "${name}" needs a value without line breaks or semicolons`, 'INVALID_AUTH_PROFILE');
+    }
+    return {
+      name,
+      value,
+      domain: optionalText(cookie.domain, 'cookies.domain', 255),
+      path: optionalText(cookie.path, 'cookies.path', 1024),
+      secure: Boolean(cookie.secure),
+      httpOnly: Boolean(cookie.httpOnly),
+    };
+  });
+}
+
+function validateHeaders(input: NonNullable<AuthProfileInput['headers']>, existing?: AuthHeader[] | null): AuthHeader[] {
+  if (!Array.isArray(input)) {
+    throw new ValidationError('headers must be an array', 'INVALID_AUTH_PROFILE');
+  }
+  if (input.length > MAX_AUTH_HEADERS) {
+    throw new ValidationError(`At most ${MAX_AUTH_HEADERS} headers are allowed`, 'INVALID_AUTH_PROFILE');
+  }
+
+  return input.map(header => {
+    const name = requireText(header?.name, 'headers.name', 256).trim();
+    if (!HEADER_NAME_PATTERN.test(name) || FORBIDDEN_HEADERS.has(name.toLowerCase())) {
+      throw new ValidationError(`Header "${name}" is not allowed`, 'INVALID_AUTH_PROFILE');
+    }
+    const value = header.value ?? existing?.find(stored => stored.name.toLowerCase() === name.toLowerCase())?.value;
+    return { name, value: rejectLineBreaks(requireText(value, `Header "${name}" value`), `Header "${name}" value`) };
+  });
+}
+
+/**
+ * Merge a request body into the stored configuration. Methods that are not part of the
+ * body stay as they are, omitted passwords and values keep the stored secret.
+ */
+export function validateAuthProfileInput(
+  input: AuthProfileInput,
+  existing: AuthProfileConfig = {}
+): AuthProfileConfig {
+  const config: AuthProfileConfig = { ...existing };
+
+  if (input.formLogin !== undefined) {
+    config.formLogin = input.formLogin ? validateFormLogin(input.formLogin, existing.formLogin) : null;
+  }
+  if (input.cookies !== undefined) {
+    config.cookies = input.cookies ? validateCookies(input.cookies, existing.cookies) : null;
+  }
+  if (input.basicAuth !== undefined) {
+    config.basicAuth = input.basicAuth
+      ? {
+        username: rejectLineBreaks(requireText(input.basicAuth.username, 'basicAuth.username', 256), 'basicAuth.username'),
+        password: requireText(input.basicAuth.password ?? existing.basicAuth?.password, 'basicAuth.password'),
+      }
+      : null;
+    if (config.basicAuth?.username.includes(':')) {
+      throw new ValidationError('basicAuth.username must not contain ":"', 'INVALID_AUTH_PROFILE');
+    }
+  }
+  if (input.headers !== undefined) {
+    config.headers = input.headers ? validateHeaders(input.headers, existing.headers) : null;
+  }
+
+  if (configuredMethods(config).length === 0) {
+    throw new ValidationError(
+      'Configure at least one of form login, cookies, basic auth or headers',
+      'AUTH_METHOD_REQUIRED'
+    );
+  }
+  return config;
+}
+
+async function loadProfileRow(workspaceId: string, websiteId: string) {
+  const { data: website, error: websiteError } = await supabase
+    .from('websites')
+    .select('id')
+    .eq('id', websiteId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (websiteError) {
+    throw new AppError('Failed to load website', 500, true, websiteError.message);
+  }
+  if (!website) {
+    throw new NotFoundError('Website not found in this workspace');
+  }
+
+  const { data: profile, error } = await supabase
+    .from('website_auth_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('website_id', websiteId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load auth profile', 500, true, error.message);
+  }
+  return profile;
+}
+
+export async function getAuthProfile(workspaceId: string, websiteId: string) {
+  const row = await loadProfileRow(workspaceId, websiteId);
+  if (!row) {
+    throw new NotFoundError('No auth profile configured for this website', 'AUTH_PROFILE_NOT_FOUND');
+  }
+  return toPublicProfile(row, decryptJson<AuthProfileConfig>(row.encrypted_config));
+}
+
+export async function upsertAuthProfile(
+  workspaceId: string,
+  websiteId: string,
+  userId: string,
+  input: AuthProfileInput
+) {
+  const row = await loadProfileRow(workspaceId, websiteId);
+  const existing = row ? decryptJson<AuthProfileConfig>(row.encrypted_config) : {};
+  const config = validateAuthProfileInput(input, existing);
+
+  const values = {
+    is_enabled: input.isEnabled ?? row?.is_enabled ?? true,
+    methods: configuredMethods(config),
+    encrypted_config: encryptJson(config),
+    updated_by_user_id: userId,
+    updated_at: new Date().toISOString(),
+  };
+
+  const query = row
+    ? supabase.from('website_auth_profiles').update(values).eq('id', row.id)
+    : supabase.from('website_auth_profiles').insert({
+      ...values,
+      workspace_id: workspaceId,
+      website_id: websiteId,
+      created_by_user_id: userId,
+    });
+
+  const { data: saved, error } = await query.select(PROFILE_COLUMNS).single();
+  if (error) {
+    throw new AppError('Failed to save auth profile', 500, true, error.message);
+  }
+
+  logger.info('Auth profile saved', { workspaceId, websiteId, methods: values.methods });
+  return toPublicProfile(saved, config);
+}
+
+export async function deleteAuthProfile(workspaceId: string, websiteId: string) {
+  const { data: deleted, error } = await supabase
+    .from('website_auth_profiles')
+    .delete()
+    .eq('website_id', websiteId)
+    .eq('workspace_id', workspaceId)
+    .select('id');
+
+  if (error) {
+    throw new AppError('Failed to delete auth profile', 500, true, error.message);
+  }
+  if (!deleted || deleted.length === 0) {
+    throw new NotFoundError('No auth profile configured for this website', 'AUTH_PROFILE_NOT_FOUND');
+  }
+}
+
+/**
+ * Decrypted configuration of the enabled profile of a website, for the fetcher
+ */
+export async function loadAuthProfileForWebsite(websiteId: string): Promise<LoadedAuthProfile | null> {
+  const { data: row, error } = await supabase
+    .from('website_auth_profiles')
+    .select('id, is_enabled, encrypted_config')
+    .eq('website_id', websiteId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load auth profile', 500, true, error.message);
+  }
+  if (!row || !row.is_enabled) {
+    return null;
+  }
+  return { id: row.id, config: decryptJson<AuthProfileConfig>(row.encrypted_config) };
+}
+
+/**
+ * Store the outcome of the last login so broken credentials show up in the settings
+ */
+export async function recordLoginResult(profileId: string, errorMessage: string | null): Promise<void> {
+  const { error } = await supabase
+    .from('website_auth_profiles')
+    .update({
+      last_login_at: new Date().toISOString(),
+      last_login_status: errorMessage ? 'failed' : 'succeeded',
+      last_login_error: errorMessage ? errorMessage.slice(0, 1000) : null,
+    })
+    .eq('id', profileId);
+
+  if (error) {
+    logger.warn('Failed to record login result', { profileId, error: error.message });
+  }
+}
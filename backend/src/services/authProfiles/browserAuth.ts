@@ -0,0 +1,169 @@
+/**
+ * Browser Authentication
+ * Applies a website auth profile to a Puppeteer page and carries the resulting session
+ * (cookies, headers, basic auth) from the fetcher to the analyzer workers. Sessions are
+ * sealed with the credentials key before they go into job data.
+ */
+
+import { DEFAULT_INTERCEPT_RESOLUTION_PRIORITY, HTTPRequest, Page, Protocol } from 'puppeteer';
+import { AppError } from '@/types';
+import { decryptJson, encryptJson } from '@/lib/crypto/secrets';
+import { AuthCookie, AuthProfileConfig, FormLoginConfig } from './authProfiles';
+
+const LOGIN_TIMEOUT_MS = 20000;
+
+export interface BrowserSession {
+  cookies: Protocol.Network.CookieParam[];
+  headers: Record<string, string>;
+  basicAuth: { username: string; password: string } | null;
+}
+
+function loginFailed(message: string): AppError {
+  return new AppError(`Login failed: ${message}`, 422, true, 'AUTH_LOGIN_FAILED');
+}
+
+function toCookieParam(cookie: AuthCookie, targetUrl: string): Protocol.Network.CookieParam {
+  const param: Protocol.Network.CookieParam = {
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path || '/',
+    secure: Boolean(cookie.secure),
+    httpOnly: Boolean(cookie.httpOnly),
+  };
+  // Without a domain the cookie is scoped to the host of the scanned page
+  return cookie.domain ? { ...param, domain: cookie.domain } : { ...param, url: targetUrl };
+}
+
+function customHeaders(config: AuthProfileConfig): Record<string, string> {
+  return Object.fromEntries((config.headers || []).map(header => [header.name, header.value]));
+}
+
+/**
+ * Add the profile's headers to requests for the origin of targetUrl only, so secrets are
+ * not sent to the CDNs, analytics and embeds the page loads. Uses cooperative interception:
+ * other request handlers on the page must resolve requests with a priority too.
+ */
+async function sendHeadersToOrigin(page: Page, headers: Record<string, string>, targetUrl: string): Promise<void> {
+  if (Object.keys(headers).length === 0) {
+    return;
+  }
+
+  const origin = new URL(targetUrl).origin;
+  await page.setRequestInterception(true);
+  page.on('request', (request: HTTPRequest) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    const overrides = request.continueRequestOverrides();
+    if (new URL(request.url()).origin === origin) {
+      request.continue(
+        { ...overrides, headers: { ...request.headers(), ...overrides.headers, ...headers } },
+        DEFAULT_INTERCEPT_RESOLUTION_PRIORITY
+      );
+    } else {
+      request.continue(overrides, DEFAULT_INTERCEPT_RESOLUTION_PRIORITY);
+    }
+  });
+}
+
+async function submitLoginForm(page: Page, login: FormLoginConfig): Promise<void> {
+  try {
+    await page.goto(login.loginUrl, { waitUntil: 'domcontentloaded', timeout: LOGIN_TIMEOUT_MS });
+    await page.waitForSelector(login.usernameSelector, { visible: true, timeout: LOGIN_TIMEOUT_MS });
+    await page.type(login.usernameSelector, login.username);
+    await page.type(login.passwordSelector, login.password);
+  } catch (error) {
+    throw loginFailed(`could not fill in the login form at ${login.loginUrl} (${(error as Error).message})`);
+  }
+
+  // Single page apps often log in without a navigation, so a missing one is not an error
+  const navigation = page
+    .waitForNavigation({ waitUntil: 'networkidle2', timeout: LOGIN_TIMEOUT_MS })
+    .catch(() => null);
+
+  try {
+    if (login.submitSelector) {
+      await page.click(login.submitSelector);
+    } else {
+      await page.focus(login.passwordSelector);
+      await page.keyboard.press('Enter');
+    }
+  } catch (error) {
+    throw loginFailed(`could not submit the login form (${(error as Error).message})`);
+  }
+  await navigation;
+
+  if (login.successSelector) {
+    const loggedIn = await page
+      .waitForSelector(login.successSelector, { timeout: LOGIN_TIMEOUT_MS })
+      .catch(() => null);
+    if (!loggedIn) {
+      throw loginFailed(`"${login.successSelector}" did not appear after submitting the login form`);
+    }
+    return;
+  }
+
+  const passwordField = await page.$(login.passwordSelector);
+  if (passwordField && await passwordField.boundingBox()) {
+    throw loginFailed('the login form is still shown after submitting it, check the credentials');
+  }
+}
+
+/**
+ * Prepare the page so the following navigation to targetUrl is authenticated.
+ * Headers, basic auth and cookies are set up first so a form login can rely on them.
+ */
+export async function applyAuthProfile(page: Page, config: AuthProfileConfig, targetUrl: string): Promise<void> {
+  await sendHeadersToOrigin(page, customHeaders(config), targetUrl);
+  if (config.basicAuth) {
+    await page.authenticate(config.basicAuth);
+  }
+  if (config.cookies?.length) {
+    await page.setCookie(...config.cookies.map(cookie => toCookieParam(cookie, targetUrl)));
+  }
+  if (config.formLogin) {
+    await submitLoginForm(page, config.formLogin);
+  }
+}
+
+/**
+ * Collect the session of an authenticated page for the analyzer workers
+ */
+export async function captureSession(page: Page, config: AuthProfileConfig, urls: string[]): Promise<BrowserSession> {
+  const cookies = await page.cookies(...urls);
+  return {
+    cookies: cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      ...(cookie.session ? {} : { expires: cookie.expires }),
+    })),
+    headers: customHeaders(config),
+    basicAuth: config.basicAuth || null,
+  };
+}
+
+/**
+ * Set up a page for an authenticated navigation to targetUrl with a captured session
+ */
+export async function restoreSession(page: Page, session: BrowserSession, targetUrl: string): Promise<void> {
+  await sendHeadersToOrigin(page, session.headers, targetUrl);
+  if (session.basicAuth) {
+    await page.authenticate(session.basicAuth);
+  }
+  if (session.cookies.length > 0) {
+    await page.setCookie(...session.cookies);
+  }
+}
+
+export function sealSession(session: BrowserSession): string {
+  return encryptJson(session);
+}
+
+export function openSession(sealed: string): BrowserSession {
+  return decryptJson<BrowserSession>(sealed);
+}
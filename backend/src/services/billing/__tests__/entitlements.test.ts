@@ -0,0 +1,125 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import { AuthorizationError, FeatureNotInPlanError, PlanFeature } from '@/types';
+import { mockQuery } from '@/test/supabaseMock';
+import {
+  assertWorkspaceFeature,
+  getWorkspaceEntitlements,
+  invalidateWorkspaceEntitlements,
+  resolveUserWorkspaceId,
+  workspaceHasFeature,
+} from '../entitlements';
+
+const mockFrom = jest.fn();
+
+const proSubscription = (status: string) => ({
+  plan_id: 'plan-pro',
+  status,
+  current_period_end: '2025-10-17T09:13:20.000Z',
+  plans: {
+    name: 'Pro',
+    plan_features: [{ feature_key: 'DETAILED_REPORTS' }, { feature_key: 'API_ACCESS' }],
+  },
+});
+
+describe('Workspace entitlements', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    invalidateWorkspaceEntitlements();
+  });
+
+  it('should list plan features of active subscriptions', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: proSubscription('active') }));
+
+    await expect(getWorkspaceEntitlements('ws-1')).resolves.toEqual({
+      workspaceId: 'ws-1',
+      planId: 'plan-pro',
+      planName: 'Pro',
+      subscriptionStatus: 'active',
+      currentPeriodEnd: '2025-10-17T09:13:20.000Z',
+      features: ['DETAILED_REPORTS', 'API_ACCESS'],
+    });
+  });
+
+  it('should withhold features while a subscription is past due', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: proSubscription('past_due') }));
+
+    const entitlements = await getWorkspaceEntitlements('ws-1');
+    expect(entitlements.planName).toBe('Pro');
+    expect(entitlements.features).toEqual([]);
+  });
+
+  it('should treat workspaces without a subscription as unentitled', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: null }));
+
+    await expect(workspaceHasFeature('ws-1', PlanFeature.DETAILED_REPORTS)).resolves.toBe(false);
+  });
+
+  it('should cache entitlements until invalidated', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: proSubscription('active') }));
+
+    await getWorkspaceEntitlements('ws-1');
+    await getWorkspaceEntitlements('ws-1');
+    expect(mockFrom).toHaveBeenCalledTimes(1);
+
+    invalidateWorkspaceEntitlements('ws-1');
+    await getWorkspaceEntitlements('ws-1');
+    expect(mockFrom).toHaveBeenCalledTimes(2);
+
+    await getWorkspaceEntitlements('ws-1', { fresh: true });
+    expect(mockFrom).toHaveBeenCalledTimes(3);
+  });
+
+  it('should explain which plans unlock a missing feature', async () => {
+    const tables: Record<string, any> = {
+      subscriptions: mockQuery({ data: proSubscription('active') }),
+      plan_features: mockQuery({ data: [{ plans: { name: 'Agency' } }] }),
+    };
+    mockFrom.mockImplementation((table: string) => tables[table]);
+
+    const error = await assertWorkspaceFeature('ws-1', PlanFeature.AUTO_FIXES).catch(e => e);
+    expect(error).toBeInstanceOf(FeatureNotInPlanError);
+    expect(error.statusCode).toBe(402);
+    expect(error.code).toBe('FEATURE_NOT_IN_PLAN');
+    expect(error.details).toEqual({
+      feature: 'AUTO_FIXES',
+      currentPlan: 'Pro',
+      subscriptionStatus: 'active',
+      requiredPlans: ['Agency'],
+    });
+
+    await expect(assertWorkspaceFeature('ws-1', PlanFeature.API_ACCESS)).resolves.toEqual(
+      expect.objectContaining({ planName: 'Pro' })
+    );
+  });
+
+  describe('resolveUserWorkspaceId', () => {
+    it('should require membership of an explicit workspace', async () => {
+      mockFrom.mockReturnValue(mockQuery({ data: null }));
+      await expect(resolveUserWorkspaceId('user-1', 'ws-2')).rejects.toThrow(AuthorizationError);
+
+      mockFrom.mockReturnValue(mockQuery({ data: { role: 'member' } }));
+      await expect(resolveUserWorkspaceId('user-1', 'ws-2')).resolves.toBe('ws-2');
+    });
+
+    it('should fall back to the workspace the user owns', async () => {
+      const workspaces = mockQuery({ data: { id: 'ws-own' } });
+      mockFrom.mockReturnValue(workspaces);
+
+      await expect(resolveUserWorkspaceId('user-1')).resolves.toBe('ws-own');
+      expect(mockFrom).toHaveBeenCalledWith('workspaces');
+      expect(workspaces.eq).toHaveBeenCalledWith('owner_id', 'user-1');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('@/config', () => ({
+  config: {
+    stripe: { webhookSecret: 'whsec_test_secret' },
+  },
+}));
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+    rpc: (fn: string, args: unknown) => mockRpc(fn, args),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import Stripe from 'stripe';
+import { SubscriptionStatus, ValidationError } from '@/types';
+import { mockQuery } from '@/test/supabaseMock';
+import {
+  constructStripeEvent,
+  handleStripeEvent,
+  mapSubscriptionStatus,
+  parseCreditPurchase,
+  toSubscriptionRow,
+} from '../webhooks';
+import creditsCompleted from './fixtures/checkout.session.completed.credits.json';
+import subscriptionUpdated from './fixtures/customer.subscription.updated.json';
+import subscriptionDeleted from './fixtures/customer.subscription.deleted.json';
+
+const mockFrom = jest.fn();
+const mockRpc = jest.fn();
+
+function sign(payload: string, secret = 'whsec_test_secret') {
+  return Stripe.webhooks.generateTestHeaderString({ payload, secret });
+}
+
+const asEvent = (fixture: unknown) => fixture as unknown as Stripe.Event;
+
+describe('Stripe webhooks', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockRpc.mockReset();
+  });
+
+  describe('constructStripeEvent', () => {
+    const payload = JSON.stringify(creditsCompleted);
+
+    it('should accept correctly signed payloads', () => {
+      const event = constructStripeEvent(Buffer.from(payload), sign(payload));
+      expect(event.id).toBe('evt_1PqCreditsCompleted0001');
+      expect(event.type).toBe('checkout.session.completed');
+    });
+
+    it('should reject missing and forged signatures', () => {
+      expect(() => constructStripeEvent(payload, undefined)).toThrow(ValidationError);
+      expect(() => constructStripeEvent(payload, sign(payload, 'whsec_other'))).toThrow(ValidationError);
+      expect(() => constructStripeEvent(payload.replace('7900', '1'), sign(payload))).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseCreditPurchase', () => {
+    const session = creditsCompleted.data.object as unknown as Stripe.Checkout.Session;
+
+    it('should take credits from the package catalog', () => {
+      expect(parseCreditPurchase(session)).toEqual(expect.objectContaining({
+        workspaceId: '5f0c6a53-2f8e-4a55-9b8e-1d2a3c4b5e6f',
+        userId: '0b7e9a1c-7d4f-4f3e-8a2b-6c5d4e3f2a1b',
+        amount: 7900,
+        currency: 'usd',
+        chargeId: 'pi_3PqCreditsStarter',
+        creditPackage: expect.objectContaining({ id: 'starter', credits: 5 }),
+      }));
+    });
+
+    it('should ignore sessions that are not credit purchases', () => {
+      expect(parseCreditPurchase({ ...session, mode: 'subscription' })).toBeNull();
+      expect(parseCreditPurchase({ ...session, metadata: { ...session.metadata, credit_package: 'unlimited' } })).toBeNull();
+      expect(parseCreditPurchase({ ...session, metadata: { credit_package: 'single' } })).toBeNull();
+    });
+  });
+
+  describe('subscription mapping', () => {
+    it('should collapse Stripe statuses into subscription_status', () => {
+      expect(mapSubscriptionStatus('active')).toBe(SubscriptionStatus.ACTIVE);
+      expect(mapSubscriptionStatus('trialing')).toBe(SubscriptionStatus.TRIALING);
+      expect(mapSubscriptionStatus('unpaid')).toBe(SubscriptionStatus.PAST_DUE);
+      expect(mapSubscriptionStatus('incomplete')).toBe(SubscriptionStatus.PAST_DUE);
+      expect(mapSubscriptionStatus('incomplete_expired')).toBe(SubscriptionStatus.CANCELED);
+    });
+
+    it('should build subscription rows', () => {
+      const subscription = subscriptionUpdated.data.object as unknown as Stripe.Subscription;
+      expect(toSubscriptionRow(subscription, 'ws-1', 'plan-1')).toEqual({
+        workspace_id: 'ws-1',
+        plan_id: 'plan-1',
+        stripe_subscription_id: 'sub_1PqProMonthly',
+        status: SubscriptionStatus.ACTIVE,
+        current_period_end: '2025-10-17T09:13:20.000Z',
+      });
+    });
+  });
+
+  describe('handleStripeEvent', () => {
+    it('should add credits once and record the event', async () => {
+      const events = mockQuery();
+      mockFrom.mockImplementation(() => events);
+      mockRpc.mockResolvedValue({ data: true, error: null });
+
+      await expect(handleStripeEvent(asEvent(creditsCompleted))).resolves.toBe('processed');
+      expect(mockRpc).toHaveBeenCalledWith('fulfill_credit_purchase', expect.objectContaining({
+        p_workspace_id: '5f0c6a53-2f8e-4a55-9b8e-1d2a3c4b5e6f',
+        p_charge_id: 'pi_3PqCreditsStarter',
+        p_credits: 5,
+      }));
+      expect(events.insert).toHaveBeenCalledWith({ id: 'evt_1PqCreditsCompleted0001', type: 'checkout.session.completed' });
+    });
+
+    it('should skip events that were already processed', async () => {
+      mockFrom.mockImplementation(() => mockQuery({ data: { id: 'evt_1PqCreditsCompleted0001' } }));
+
+      await expect(handleStripeEvent(asEvent(creditsCompleted))).resolves.toBe('duplicate');
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+
+    it('should not mark the event processed when fulfilment fails', async () => {
+      const events = mockQuery();
+      mockFrom.mockImplementation(() => events);
+      mockRpc.mockResolvedValue({ data: null, error: { message: 'connection reset' } });
+
+      await expect(handleStripeEvent(asEvent(creditsCompleted))).rejects.toThrow('Failed to fulfill credit purchase');
+      expect(events.insert).not.toHaveBeenCalled();
+    });
+
+    it('should sync subscriptions by workspace using the plan that owns the price', async () => {
+      const tables: Record<string, any> = {
+        stripe_events: mockQuery(),
+        plans: mockQuery({ data: { id: 'plan-from-price' } }),
+      };
+      mockFrom.mockImplementation((table: string) => tables[table]);
+      mockRpc.mockResolvedValue({ data: true, error: null });
+
+      await expect(handleStripeEvent(asEvent(subscriptionUpdated))).resolves.toBe('processed');
+      expect(tables.plans.or).toHaveBeenCalledWith('stripe_price_id_monthly.eq.price_pro_monthly,stripe_price_id_yearly.eq.price_pro_monthly');
+      expect(mockRpc).toHaveBeenCalledWith('sync_stripe_subscription', expect.objectContaining({
+        p_workspace_id: '5f0c6a53-2f8e-4a55-9b8e-1d2a3c4b5e6f',
+        p_plan_id: 'plan-from-price',
+        p_status: SubscriptionStatus.ACTIVE,
+        p_event_created_at: new Date(subscriptionUpdated.created * 1000).toISOString(),
+      }));
+    });
+
+    it('should acknowledge subscription events older than the stored state', async () => {
+      const tables: Record<string, any> = {
+        stripe_events: mockQuery(),
+        plans: mockQuery({ data: { id: 'plan-from-price' } }),
+      };
+      mockFrom.mockImplementation((table: string) => tables[table]);
+      mockRpc.mockResolvedValue({ data: false, error: null });
+
+      await expect(handleStripeEvent(asEvent(subscriptionUpdated))).resolves.toBe('processed');
+      expect(tables.stripe_events.insert).toHaveBeenCalledWith({ id: subscriptionUpdated.id, type: 'customer.subscription.updated' });
+    });
+
+    it('should cancel deleted subscriptions', async () => {
+      const tables: Record<string, any> = {
+        stripe_events: mockQuery(),
+        subscriptions: mockQuery(),
+      };
+      mockFrom.mockImplementation((table: string) => tables[table]);
+
+      await expect(handleStripeEvent(asEvent(subscriptionDeleted))).resolves.toBe('processed');
+      expect(tables.subscriptions.update).toHaveBeenCalledWith(expect.objectContaining({ status: SubscriptionStatus.CANCELED }));
+      expect(tables.subscriptions.eq).toHaveBeenCalledWith('stripe_subscription_id', 'sub_1PqProMonthly');
+      expect(tables.subscriptions.or).toHaveBeenCalledWith(
+        'stripe_event_created_at.is.null,stripe_event_created_at.lte.2025-10-17T11:20:00.000Z'
+      );
+    });
+
+    it('should ignore unrelated event types without recording them', async () => {
+      const events = mockQuery();
+      mockFrom.mockImplementation(() => events);
+
+      await expect(handleStripeEvent({ id: 'evt_other', type: 'invoice.created', data: { object: {} } } as any)).resolves.toBe('ignored');
+      expect(events.insert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Billing Checkout
+ * Creates Stripe Checkout sessions for plan subscriptions and report credit packages
+ */
+
+import Stripe from 'stripe';
+import { config } from '@/config';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { AppError, ConflictError, NotFoundError, User, ValidationError } from '@/types';
+import { CREDIT_PACKAGES, isCreditPackageId } from './creditPackages';
+import { getStripe } from './stripeClient';
+
+const logger = createLogger('billing-checkout');
+
+export type BillingInterval = 'monthly' | 'yearly';
+
+export interface CheckoutSessionResult {
+  sessionId: string;
+  url: string | null;
+}
+
+// The webhook reads these back to find the workspace a payment belongs to
+export interface CheckoutMetadata {
+  workspace_id: string;
+  user_id: string;
+  plan_id?: string;
+  credit_package?: string;
+}
+
+function successUrl(): string {
+  const separator = config.stripe.successUrl.includes('?') ? '&' : '?';
+  return `${config.stripe.successUrl}${separator}session_id={CHECKOUT_SESSION_ID}`;
+}
+
+function toResult(session: Stripe.Checkout.Session): CheckoutSessionResult {
+  return { sessionId: session.id, url: session.url };
+}
+
+/**
+ * Start a subscription checkout for a plan. Workspaces with a live subscription have to
+ * change plans through Stripe instead of subscribing twice.
+ */
+export async function createSubscriptionCheckout(
+  user: Pick<User, 'id' | 'email'>,
+  workspaceId: string,
+  planId: string,
+  interval: BillingInterval = 'monthly'
+): Promise<CheckoutSessionResult> {
+  if (!planId) {
+    throw new ValidationError('planId is required', 'PLAN_REQUIRED');
+  }
+  if (interval !== 'monthly' && interval !== 'yearly') {
+    throw new ValidationError('interval must be either "monthly" or "yearly"', 'INVALID_BILLING_INTERVAL');
+  }
+
+  const { data: plan, error: planError } = await supabase
+    .from('plans')
+    .select('id, name, stripe_price_id_monthly, stripe_price_id_yearly, is_active')
+    .eq('id', planId)
+    .maybeSingle();
+
+  if (planError) {
+    throw new AppError('Failed to load plan', 500, true, planError.message);
+  }
+  if (!plan || !plan.is_active) {
+    throw new NotFoundError('Plan not found');
+  }
+
+  const priceId = interval === 'yearly' ? plan.stripe_price_id_yearly : plan.stripe_price_id_monthly;
+  if (!priceId) {
+    throw new ValidationError(`The ${plan.name} plan cannot be purchased ${interval}`, 'PLAN_NOT_PURCHASABLE');
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('subscriptions')
+    .select('id, status')
+    .eq('workspace_id', workspaceId)
+    .in('status', ['active', 'trialing', 'past_due'])
+    .maybeSingle();
+
+  if (existingError) {
+    throw new AppError('Failed to check existing subscription', 500, true, existingError.message);
+  }
+  if (existing) {
+    throw new ConflictError('This workspace already has a subscription', 'SUBSCRIPTION_EXISTS');
+  }
+
+  const metadata: CheckoutMetadata = { workspace_id: workspaceId, user_id: user.id, plan_id: plan.id };
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'subscription',
+    line_items: [{ price: priceId, quantity: 1 }],
+    customer_email: user.email,
+    client_reference_id: workspaceId,
+    metadata: { ...metadata },
+    subscription_data: { metadata: { ...metadata } },
+    success_url: successUrl(),
+    cancel_url: config.stripe.cancelUrl,
+  });
+
+  logger.info('Subscription checkout created', { workspaceId, planId: plan.id, interval, sessionId: session.id });
+  return toResult(session);
+}
+
+/**
+ * Start a one-time checkout for a report credit package
+ */
+export async function createCreditCheckout(
+  user: Pick<User, 'id' | 'email'>,
+  workspaceId: string,
+  packageId: unknown
+): Promise<CheckoutSessionResult> {
+  if (!isCreditPackageId(packageId)) {
+    throw new ValidationError(
+      `package must be one of: ${Object.keys(CREDIT_PACKAGES).join(', ')}`,
+      'INVALID_CREDIT_PACKAGE'
+    );
+  }
+
+  const creditPackage = CREDIT_PACKAGES[packageId];
+  const metadata: CheckoutMetadata = { workspace_id: workspaceId, user_id: user.id, credit_package: creditPackage.id };
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'payment',
+    line_items: [{
+      price_data: {
+        currency: creditPackage.currency,
+        unit_amount: creditPackage.amount,
+        product_data: { name: creditPackage.name },
+      },
+      quantity: 1,
+    }],
+    customer_email: user.email,
+    client_reference_id: workspaceId,
+    metadata: { ...metadata },
+    payment_intent_data: { metadata: { ...metadata } },
+    success_url: successUrl(),
+    cancel_url: config.stripe.cancelUrl,
+  });
+
+  logger.info('Credit checkout created', { workspaceId, package: creditPackage.id, sessionId: session.id });
+  return toResult(session);
+}
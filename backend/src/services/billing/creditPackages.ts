@@ -0,0 +1,24 @@
+/**
+ * Report Credit Packages
+ * One-time credit bundles sold through Stripe Checkout. Prices are in cents.
+ */
+
+export type CreditPackageId = 'single' | 'starter' | 'value';
+
+export interface CreditPackage {
+  id: CreditPackageId;
+  name: string;
+  credits: number;
+  amount: number;
+  currency: string;
+}
+
+export const CREDIT_PACKAGES: Record<CreditPackageId, CreditPackage> = {
+  single: { id: 'single', name: '1 Detailed Report Credit', credits: 1, amount: 1900, currency: 'usd' },
+  starter: { id: 'starter', name: '5 Detailed Report Credits', credits: 5, amount: 7900, currency: 'usd' },
+  value: { id: 'value', name: '15 Detailed Report Credits', credits: 15, amount: 19900, currency: 'usd' },
+};
+
+export function isCreditPackageId(value: unknown): value is CreditPackageId {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(CREDIT_PACKAGES, value);
+}
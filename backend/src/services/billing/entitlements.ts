@@ -0,0 +1,170 @@
+/**
+ * Workspace Entitlements
+ * Resolves which plan_features a workspace can use from its subscription. Results are cached
+ * per workspace for a short time since gated routes check them on every request.
+ */
+
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import {
+  AppError,
+  AuthorizationError,
+  FeatureNotInPlanError,
+  NotFoundError,
+  SubscriptionStatus,
+} from '@/types';
+
+const logger = createLogger('entitlements');
+
+export const ENTITLEMENTS_CACHE_TTL_MS = 60 * 1000;
+
+// Only these statuses unlock plan features; past_due keeps the plan but withholds features
+const ENTITLED_STATUSES: SubscriptionStatus[] = [SubscriptionStatus.ACTIVE, SubscriptionStatus.TRIALING];
+
+export interface WorkspaceEntitlements {
+  workspaceId: string;
+  planId: string | null;
+  planName: string | null;
+  subscriptionStatus: SubscriptionStatus | null;
+  currentPeriodEnd: string | null;
+  features: string[];
+}
+
+const cache = new Map<string, { entitlements: WorkspaceEntitlements; expiresAt: number }>();
+
+async function loadEntitlements(workspaceId: string): Promise<WorkspaceEntitlements> {
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .select(`
+      plan_id,
+      status,
+      current_period_end,
+      plans (
+        name,
+        plan_features (
+          feature_key
+        )
+      )
+    `)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load workspace subscription', 500, true, error.message);
+  }
+
+  const plan = (subscription as any)?.plans;
+  const status = (subscription?.status as SubscriptionStatus) || null;
+  const entitled = status !== null && ENTITLED_STATUSES.includes(status);
+
+  return {
+    workspaceId,
+    planId: subscription?.plan_id || null,
+    planName: plan?.name || null,
+    subscriptionStatus: status,
+    currentPeriodEnd: subscription?.current_period_end || null,
+    features: entitled ? (plan?.plan_features || []).map((feature: { feature_key: string }) => feature.feature_key) : [],
+  };
+}
+
+/**
+ * Entitlements of a workspace, served from cache unless `fresh` is set
+ */
+export async function getWorkspaceEntitlements(workspaceId: string, { fresh = false } = {}): Promise<WorkspaceEntitlements> {
+  const cached = cache.get(workspaceId);
+  if (!fresh && cached && cached.expiresAt > Date.now()) {
+    return cached.entitlements;
+  }
+
+  const entitlements = await loadEntitlements(workspaceId);
+  cache.set(workspaceId, { entitlements, expiresAt: Date.now() + ENTITLEMENTS_CACHE_TTL_MS });
+  return entitlements;
+}
+
+/**
+ * Drop cached entitlements after a subscription change. Without a workspace the whole cache is cleared.
+ */
+export function invalidateWorkspaceEntitlements(workspaceId?: string) {
+  if (workspaceId) {
+    cache.delete(workspaceId);
+  } else {
+    cache.clear();
+  }
+}
+
+export async function workspaceHasFeature(workspaceId: string, feature: string): Promise<boolean> {
+  const entitlements = await getWorkspaceEntitlements(workspaceId);
+  return entitlements.features.includes(feature);
+}
+
+/**
+ * Names of active plans that include a feature, for upgrade prompts
+ */
+export async function plansWithFeature(feature: string): Promise<string[]> {
+  const { data, error } = await supabase
+    .from('plan_features')
+    .select('plans!inner ( name, is_active )')
+    .eq('feature_key', feature)
+    .eq('plans.is_active', true);
+
+  if (error) {
+    logger.warn('Failed to load plans with feature', { error, feature });
+    return [];
+  }
+  return (data || []).map((row: any) => row.plans?.name).filter(Boolean);
+}
+
+/**
+ * Throw a 402 FeatureNotInPlanError unless the workspace's plan includes the feature
+ */
+export async function assertWorkspaceFeature(workspaceId: string, feature: string): Promise<WorkspaceEntitlements> {
+  const entitlements = await getWorkspaceEntitlements(workspaceId);
+  if (entitlements.features.includes(feature)) {
+    return entitlements;
+  }
+
+  throw new FeatureNotInPlanError(feature, {
+    currentPlan: entitlements.planName,
+    subscriptionStatus: entitlements.subscriptionStatus,
+    requiredPlans: await plansWithFeature(feature),
+  });
+}
+
+/**
+ * Pick the workspace a request acts on. An explicit workspace must be one the user belongs to;
+ * otherwise the workspace the user owns is used.
+ */
+export async function resolveUserWorkspaceId(userId: string, requestedWorkspaceId?: string | null): Promise<string> {
+  if (requestedWorkspaceId) {
+    const { data: membership, error } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', requestedWorkspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new AppError('Failed to verify workspace access', 500, true, error.message);
+    }
+    if (!membership) {
+      throw new AuthorizationError('You do not have access to this workspace', 'WORKSPACE_ACCESS_DENIED');
+    }
+    return requestedWorkspaceId;
+  }
+
+  const { data: workspace, error } = await supabase
+    .from('workspaces')
+    .select('id')
+    .eq('owner_id', userId)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load workspace', 500, true, error.message);
+  }
+  if (!workspace) {
+    throw new NotFoundError('No workspace found for this user', 'WORKSPACE_NOT_FOUND');
+  }
+  return workspace.id;
+}
@@ -0,0 +1,40 @@
+/**
+ * Stripe Client
+ * Lazily created Stripe API client, optionally pointed at a local stripe-mock
+ */
+
+import Stripe from 'stripe';
+import { config } from '@/config';
+import { AppError } from '@/types';
+
+let client: Stripe | null = null;
+
+function apiBaseOptions(apiBase?: string): Pick<Stripe.StripeConfig, 'host' | 'port' | 'protocol'> {
+  if (!apiBase) return {};
+
+  const url = new URL(apiBase);
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'http:' ? 80 : 443),
+    protocol: url.protocol === 'http:' ? 'http' : 'https',
+  };
+}
+
+/**
+ * Shared Stripe client. Throws a 503 AppError when billing is not configured.
+ */
+export function getStripe(): Stripe {
+  if (!config.stripe.secretKey) {
+    throw new AppError('Billing is not configured', 503, true, 'BILLING_DISABLED');
+  }
+
+  if (!client) {
+    client = new Stripe(config.stripe.secretKey, {
+      apiVersion: '2023-10-16',
+      typescript: true,
+      appInfo: { name: 'sitecraft-backend' },
+      ...apiBaseOptions(config.stripe.apiBase),
+    });
+  }
+  return client;
+}
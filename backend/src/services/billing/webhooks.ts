@@ -0,0 +1,315 @@
+/**
+ * Stripe Webhooks
+ * Verifies webhook signatures and applies checkout and subscription events to the billing tables.
+ * Every event is applied at most once: processed event ids are stored in stripe_events, and the
+ * writes themselves are keyed on Stripe ids so a concurrent redelivery cannot double count.
+ */
+
+import Stripe from 'stripe';
+import { config } from '@/config';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { AppError, PurchaseStatus, SubscriptionStatus, ValidationError } from '@/types';
+import { CREDIT_PACKAGES, CreditPackage, isCreditPackageId } from './creditPackages';
+import { invalidateWorkspaceEntitlements } from './entitlements';
+
+const logger = createLogger('billing-webhooks');
+
+export type WebhookOutcome = 'processed' | 'duplicate' | 'ignored';
+
+export interface CreditPurchase {
+  workspaceId: string;
+  userId: string;
+  creditPackage: CreditPackage;
+  amount: number;
+  currency: string;
+  chargeId: string;
+}
+
+export interface SubscriptionRow {
+  workspace_id: string;
+  plan_id: string;
+  stripe_subscription_id: string;
+  status: SubscriptionStatus;
+  current_period_end: string | null;
+}
+
+const STRIPE_STATUS_MAP: Record<Stripe.Subscription.Status, SubscriptionStatus> = {
+  active: SubscriptionStatus.ACTIVE,
+  trialing: SubscriptionStatus.TRIALING,
+  past_due: SubscriptionStatus.PAST_DUE,
+  unpaid: SubscriptionStatus.PAST_DUE,
+  incomplete: SubscriptionStatus.PAST_DUE,
+  paused: SubscriptionStatus.PAST_DUE,
+  canceled: SubscriptionStatus.CANCELED,
+  incomplete_expired: SubscriptionStatus.CANCELED,
+};
+
+/**
+ * Verify the Stripe-Signature header against the raw request body
+ */
+export function constructStripeEvent(payload: Buffer | string, signature: string | undefined): Stripe.Event {
+  if (!config.stripe.webhookSecret) {
+    throw new AppError('Billing is not configured', 503, true, 'BILLING_DISABLED');
+  }
+  if (!signature) {
+    throw new ValidationError('Missing Stripe-Signature header', 'STRIPE_SIGNATURE_MISSING');
+  }
+
+  try {
+    return Stripe.webhooks.constructEvent(payload, signature, config.stripe.webhookSecret);
+  } catch (error) {
+    throw new ValidationError(`Invalid Stripe signature: ${(error as Error).message}`, 'STRIPE_SIGNATURE_INVALID');
+  }
+}
+
+/**
+ * Stripe has more subscription states than the subscription_status enum. Anything that is
+ * not paid up is stored as past_due so plan features are withheld.
+ */
+export function mapSubscriptionStatus(status: Stripe.Subscription.Status): SubscriptionStatus {
+  return STRIPE_STATUS_MAP[status] || SubscriptionStatus.PAST_DUE;
+}
+
+/**
+ * Read a credit purchase out of a completed payment-mode checkout session. Credits come from
+ * the package catalog rather than the session so metadata alone can't mint credits.
+ */
+export function parseCreditPurchase(session: Stripe.Checkout.Session): CreditPurchase | null {
+  const metadata = session.metadata || {};
+  if (session.mode !== 'payment' || !isCreditPackageId(metadata.credit_package)) return null;
+  if (!metadata.workspace_id || !metadata.user_id) return null;
+
+  const paymentIntent = session.payment_intent;
+  const chargeId = typeof paymentIntent === 'string' ? paymentIntent : paymentIntent?.id;
+  const creditPackage = CREDIT_PACKAGES[metadata.credit_package];
+
+  return {
+    workspaceId: metadata.workspace_id,
+    userId: metadata.user_id,
+    creditPackage,
+    amount: session.amount_total ?? creditPackage.amount,
+    currency: session.currency || creditPackage.currency,
+    chargeId: chargeId || session.id,
+  };
+}
+
+export function toSubscriptionRow(subscription: Stripe.Subscription, workspaceId: string, planId: string): SubscriptionRow {
+  return {
+    workspace_id: workspaceId,
+    plan_id: planId,
+    stripe_subscription_id: subscription.id,
+    status: mapSubscriptionStatus(subscription.status),
+    current_period_end: subscription.current_period_end
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : null,
+  };
+}
+
+async function isProcessed(eventId: string): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('stripe_events')
+    .select('id')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to check Stripe event', 500, true, error.message);
+  }
+  return Boolean(data);
+}
+
+async function markProcessed(event: Stripe.Event) {
+  const { error } = await supabase
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type });
+
+  // 23505: a concurrent delivery of the same event finished first
+  if (error && error.code !== '23505') {
+    throw new AppError('Failed to record Stripe event', 500, true, error.message);
+  }
+}
+
+async function fulfillCreditPurchase(purchase: CreditPurchase) {
+  const { data: credited, error } = await supabase.rpc('fulfill_credit_purchase', {
+    p_workspace_id: purchase.workspaceId,
+    p_user_id: purchase.userId,
+    p_item_name: purchase.creditPackage.name,
+    p_amount: purchase.amount,
+    p_currency: purchase.currency,
+    p_charge_id: purchase.chargeId,
+    p_credits: purchase.creditPackage.credits,
+  });
+
+  if (error) {
+    throw new AppError('Failed to fulfill credit purchase', 500, true, error.message);
+  }
+
+  logger.info(credited ? 'Report credits added' : 'Credit purchase already fulfilled', {
+    workspaceId: purchase.workspaceId,
+    package: purchase.creditPackage.id,
+    credits: purchase.creditPackage.credits,
+    chargeId: purchase.chargeId,
+  });
+}
+
+async function recordPurchaseStatus(purchase: CreditPurchase, status: PurchaseStatus.PENDING | PurchaseStatus.FAILED) {
+  const row = {
+    workspace_id: purchase.workspaceId,
+    user_id: purchase.userId,
+    item_name: purchase.creditPackage.name,
+    amount: purchase.amount,
+    currency: purchase.currency,
+    status,
+    stripe_charge_id: purchase.chargeId,
+  };
+
+  // Pending never overwrites an existing row; failed only follows a pending one
+  const { error } = status === PurchaseStatus.PENDING
+    ? await supabase.from('one_time_purchases').upsert(row, { onConflict: 'stripe_charge_id', ignoreDuplicates: true })
+    : await supabase.from('one_time_purchases').upsert(row, { onConflict: 'stripe_charge_id' });
+
+  if (error) {
+    throw new AppError('Failed to record credit purchase', 500, true, error.message);
+  }
+}
+
+async function handleCheckoutSession(event: Stripe.Event): Promise<WebhookOutcome> {
+  const session = event.data.object as Stripe.Checkout.Session;
+
+  // Subscription checkouts are applied from the customer.subscription.* events
+  const purchase = parseCreditPurchase(session);
+  if (!purchase) return 'ignored';
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      if (session.payment_status === 'paid') {
+        await fulfillCreditPurchase(purchase);
+      } else {
+        await recordPurchaseStatus(purchase, PurchaseStatus.PENDING);
+      }
+      return 'processed';
+    case 'checkout.session.async_payment_succeeded':
+      await fulfillCreditPurchase(purchase);
+      return 'processed';
+    case 'checkout.session.async_payment_failed':
+      await recordPurchaseStatus(purchase, PurchaseStatus.FAILED);
+      return 'processed';
+    default:
+      return 'ignored';
+  }
+}
+
+async function resolvePlanId(subscription: Stripe.Subscription): Promise<string | null> {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+
+  if (priceId) {
+    const { data: plan, error } = await supabase
+      .from('plans')
+      .select('id')
+      .or(`stripe_price_id_monthly.eq.${priceId},stripe_price_id_yearly.eq.${priceId}`)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new AppError('Failed to resolve plan for subscription', 500, true, error.message);
+    }
+    if (plan) return plan.id;
+  }
+
+  return subscription.metadata?.plan_id || null;
+}
+
+/**
+ * Stripe does not deliver events in order, so every write only applies when the stored row
+ * was synced from an event that is not newer than this one
+ */
+async function handleSubscription(event: Stripe.Event): Promise<WebhookOutcome> {
+  const subscription = event.data.object as Stripe.Subscription;
+  const eventCreatedAt = new Date(event.created * 1000).toISOString();
+
+  if (event.type === 'customer.subscription.deleted') {
+    const { error } = await supabase
+      .from('subscriptions')
+      .update({
+        status: SubscriptionStatus.CANCELED,
+        stripe_event_created_at: eventCreatedAt,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('stripe_subscription_id', subscription.id)
+      .or(`stripe_event_created_at.is.null,stripe_event_created_at.lte.${eventCreatedAt}`);
+
+    if (error) {
+      throw new AppError('Failed to cancel subscription', 500, true, error.message);
+    }
+    invalidateWorkspaceEntitlements(subscription.metadata?.workspace_id);
+    logger.info('Subscription canceled', { stripeSubscriptionId: subscription.id });
+    return 'processed';
+  }
+
+  const workspaceId = subscription.metadata?.workspace_id;
+  const planId = await resolvePlanId(subscription);
+  if (!workspaceId || !planId) {
+    // Not created through our checkout; acknowledge so Stripe stops retrying
+    logger.warn('Subscription event without workspace or plan', { eventId: event.id, stripeSubscriptionId: subscription.id });
+    return 'ignored';
+  }
+
+  const row = toSubscriptionRow(subscription, workspaceId, planId);
+  const { data: synced, error } = await supabase.rpc('sync_stripe_subscription', {
+    p_workspace_id: row.workspace_id,
+    p_plan_id: row.plan_id,
+    p_stripe_subscription_id: row.stripe_subscription_id,
+    p_status: row.status,
+    p_current_period_end: row.current_period_end,
+    p_event_created_at: eventCreatedAt,
+  });
+
+  if (error) {
+    throw new AppError('Failed to save subscription', 500, true, error.message);
+  }
+  if (!synced) {
+    logger.info('Ignoring subscription event older than the stored state', {
+      eventId: event.id,
+      workspaceId,
+      stripeSubscriptionId: subscription.id,
+    });
+    return 'processed';
+  }
+  invalidateWorkspaceEntitlements(workspaceId);
+
+  logger.info('Subscription synced', { workspaceId, planId, status: row.status, stripeSubscriptionId: subscription.id });
+  return 'processed';
+}
+
+/**
+ * Apply a verified Stripe event. Errors propagate so Stripe retries the delivery; the event
+ * is only marked processed once its changes are stored.
+ */
+export async function handleStripeEvent(event: Stripe.Event): Promise<WebhookOutcome> {
+  if (await isProcessed(event.id)) {
+    logger.info('Skipping already processed Stripe event', { eventId: event.id, type: event.type });
+    return 'duplicate';
+  }
+
+  let outcome: WebhookOutcome;
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+    case 'checkout.session.async_payment_failed':
+      outcome = await handleCheckoutSession(event);
+      break;
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      outcome = await handleSubscription(event);
+      break;
+    default:
+      outcome = 'ignored';
+  }
+
+  if (outcome === 'processed') {
+    await markProcessed(event);
+  }
+  return outcome;
+}
@@ -0,0 +1,131 @@
+jest.mock('@/config', () => ({
+  config: {
+    email: { smtpHost: 'localhost', smtpPort: 1025, from: 'alerts@sitecraft.test' },
+    notifications: { webhookTimeout: 1000 },
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('dns/promises', () => ({
+  lookup: (...args: unknown[]) => mockLookup(...args),
+}));
+jest.mock('undici', () => ({
+  Agent: jest.fn().mockImplementation((options: unknown) => ({ options, destroy: jest.fn().mockResolvedValue(undefined) })),
+  fetch: (...args: unknown[]) => mockFetch(...args),
+}));
+jest.mock('nodemailer', () => ({
+  __esModule: true,
+  default: {
+    createTransport: () => ({ sendMail: (...args: unknown[]) => mockSendMail(...args) }),
+  },
+}));
+
+import crypto from 'crypto';
+import {
+  Notification,
+  NotificationChannel,
+  dispatchNotification,
+  registerNotificationChannel,
+  unregisterNotificationChannel,
+} from '../notificationService';
+
+const mockSendMail = jest.fn();
+const mockFetch = jest.fn();
+const mockLookup = jest.fn();
+
+const notification: Notification = {
+  event: 'analysis.regression',
+  subject: 'Regression detected on https://example.com',
+  text: 'Accessibility: 90 -> 70',
+  payload: { analysisId: 'analysis-1' },
+};
+
+describe('Notification dispatch', () => {
+  beforeEach(() => {
+    mockSendMail.mockReset().mockResolvedValue({ messageId: 'message-1' });
+    mockFetch.mockReset().mockResolvedValue({ ok: true, status: 200 });
+    mockLookup.mockReset().mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  it('should only use channels that have targets', async () => {
+    const result = await dispatchNotification(notification, { emailRecipients: [] });
+
+    expect(result).toEqual({ delivered: [], errors: {} });
+    expect(mockSendMail).not.toHaveBeenCalled();
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should email the recipients over SMTP', async () => {
+    await dispatchNotification(notification, { emailRecipients: ['dev@example.com'] });
+
+    expect(mockSendMail).toHaveBeenCalledWith({
+      from: 'alerts@sitecraft.test',
+      to: ['dev@example.com'],
+      subject: notification.subject,
+      text: notification.text,
+    });
+  });
+
+  it('should sign webhook bodies with the secret', async () => {
+    await dispatchNotification(notification, { emailRecipients: [], webhookUrl: 'https://hooks.example.com/a11y', webhookSecret: 's3cret' });
+
+    const [url, init] = mockFetch.mock.calls[0];
+    const expected = crypto.createHmac('sha256', 's3cret').update(init.body).digest('hex');
+    expect(url).toBe('https://hooks.example.com/a11y');
+    expect(JSON.parse(init.body)).toEqual({ event: 'analysis.regression', analysisId: 'analysis-1' });
+    expect(init.headers['X-SiteCraft-Signature']).toBe(`sha256=${expected}`);
+  });
+
+  it('should connect webhooks to the addresses that were checked', async () => {
+    await dispatchNotification(notification, { emailRecipients: [], webhookUrl: 'https://hooks.example.com/a11y' });
+
+    const [, init] = mockFetch.mock.calls[0];
+    const { lookup } = init.dispatcher.options.connect;
+    const callback = jest.fn();
+    lookup('hooks.example.com', { all: true }, callback);
+    expect(callback).toHaveBeenCalledWith(null, [{ address: '93.184.215.14', family: 4 }]);
+    lookup('hooks.example.com', {}, callback);
+    expect(callback).toHaveBeenLastCalledWith(null, '93.184.215.14', 4);
+    expect(init.dispatcher.destroy).toHaveBeenCalled();
+  });
+
+  it('should not send webhooks to hosts that resolve to internal addresses', async () => {
+    mockLookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+    const result = await dispatchNotification(notification, { emailRecipients: [], webhookUrl: 'https://hooks.example.com/a11y' });
+
+    expect(result).toEqual({ delivered: [], errors: { webhook: 'webhookUrl must point to a public host' } });
+    expect(mockLookup).toHaveBeenCalledWith('hooks.example.com', { all: true, verbatim: true });
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should keep delivering when one channel fails', async () => {
+    mockFetch.mockResolvedValue({ ok: false, status: 500 });
+
+    const result = await dispatchNotification(notification, { emailRecipients: ['dev@example.com'], webhookUrl: 'https://hooks.example.com/a11y' });
+
+    expect(result).toEqual({ delivered: ['email'], errors: { webhook: 'Webhook responded with 500' } });
+  });
+
+  it('should support additional channels', async () => {
+    const slack: NotificationChannel = {
+      name: 'slack',
+      isConfigured: () => true,
+      send: jest.fn().mockResolvedValue(undefined),
+    };
+    registerNotificationChannel(slack);
+
+    try {
+      const result = await dispatchNotification(notification, { emailRecipients: [] });
+      expect(result.delivered).toEqual(['slack']);
+      expect(slack.send).toHaveBeenCalledWith(notification, { emailRecipients: [] });
+    } finally {
+      unregisterNotificationChannel('slack');
+    }
+  });
+});
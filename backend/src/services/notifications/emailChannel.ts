@@ -0,0 +1,39 @@
+/**
+ * Email Notification Channel
+ * Sends notifications over SMTP. In development point SMTP_HOST at Mailpit or MailHog.
+ */
+
+import nodemailer, { Transporter } from 'nodemailer';
+import { config } from '@/config';
+import type { NotificationChannel } from './notificationService';
+
+let transporter: Transporter | null = null;
+
+function getTransporter(): Transporter {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.email.smtpHost,
+      port: config.email.smtpPort,
+      secure: config.email.smtpPort === 465,
+      auth: config.email.smtpUser ? { user: config.email.smtpUser, pass: config.email.smtpPass } : undefined,
+    });
+  }
+  return transporter;
+}
+
+export const emailChannel: NotificationChannel = {
+  name: 'email',
+
+  isConfigured(targets) {
+    return Boolean(config.email.smtpHost) && targets.emailRecipients.length > 0;
+  },
+
+  async send(notification, targets) {
+    await getTransporter().sendMail({
+      from: config.email.from,
+      to: targets.emailRecipients,
+      subject: notification.subject,
+      text: notification.text,
+    });
+  },
+};
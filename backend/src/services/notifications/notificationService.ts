@@ -0,0 +1,73 @@
+/**
+ * Notification Service
+ * Sends a notification to every configured channel of a workspace. Channels are pluggable:
+ * register additional ones with registerNotificationChannel.
+ */
+
+import { createLogger } from '@/config/logger';
+import { emailChannel } from './emailChannel';
+import { webhookChannel } from './webhookChannel';
+
+const logger = createLogger('notifications');
+
+export interface Notification {
+  event: string; // e.g. analysis.regression
+  subject: string;
+  text: string;
+  payload: Record<string, unknown>; // Machine-readable body for webhooks
+}
+
+export interface NotificationTargets {
+  emailRecipients: string[];
+  webhookUrl?: string | null;
+  webhookSecret?: string | null;
+}
+
+export interface NotificationChannel {
+  name: string;
+  isConfigured(targets: NotificationTargets): boolean;
+  send(notification: Notification, targets: NotificationTargets): Promise<void>;
+}
+
+export interface DispatchResult {
+  delivered: string[];
+  errors: Record<string, string>;
+}
+
+const channels = new Map<string, NotificationChannel>();
+
+export function registerNotificationChannel(channel: NotificationChannel) {
+  channels.set(channel.name, channel);
+}
+
+export function unregisterNotificationChannel(name: string) {
+  channels.delete(name);
+}
+
+export function getNotificationChannels(): NotificationChannel[] {
+  return [...channels.values()];
+}
+
+/**
+ * Send to all configured channels. A failing channel does not stop the others.
+ */
+export async function dispatchNotification(notification: Notification, targets: NotificationTargets): Promise<DispatchResult> {
+  const result: DispatchResult = { delivered: [], errors: {} };
+
+  for (const channel of getNotificationChannels()) {
+    if (!channel.isConfigured(targets)) continue;
+
+    try {
+      await channel.send(notification, targets);
+      result.delivered.push(channel.name);
+    } catch (error) {
+      result.errors[channel.name] = (error as Error).message;
+      logger.warn('Notification channel failed', { channel: channel.name, event: notification.event, error: (error as Error).message });
+    }
+  }
+
+  return result;
+}
+
+registerNotificationChannel(emailChannel);
+registerNotificationChannel(webhookChannel);
@@ -0,0 +1,142 @@
+/**
+ * Webhook Notification Channel
+ * POSTs the notification payload as JSON. With a secret the body is signed so receivers can
+ * verify it: X-SiteCraft-Signature: sha256=<hex HMAC of the raw body>.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import { lookup } from 'dns/promises';
+import type { LookupAddress } from 'dns';
+import { Agent, fetch } from 'undici';
+import { config } from '@/config';
+import { ValidationError } from '@/types';
+import type { NotificationChannel } from './notificationService';
+
+// Webhooks are sent from inside our network, so they may only reach public addresses: no
+// loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast or reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+([
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+] as const).forEach(([network, prefix, type]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, type));
+
+export function isPublicAddress(address: string): boolean {
+  const version = net.isIP(address);
+  if (version === 0) return false;
+  // BlockList matches IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 against the IPv4 ranges
+  return !NON_PUBLIC_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL is http(s) and that its host only resolves to public addresses.
+ * Runs when the URL is saved and again before every delivery, as DNS may change in between.
+ * Returns the checked addresses so the delivery can connect to them.
+ */
+export async function assertPublicWebhookUrl(webhookUrl: string): Promise<LookupAddress[]> {
+  let url: URL;
+  try {
+    url = new URL(webhookUrl);
+  } catch {
+    throw new ValidationError('webhookUrl must be an absolute http(s) URL', 'INVALID_WEBHOOK_URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new ValidationError('webhookUrl must be an absolute http(s) URL', 'INVALID_WEBHOOK_URL');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses: LookupAddress[];
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true, verbatim: true });
+    } catch {
+      throw new ValidationError(`webhookUrl host ${host} could not be resolved`, 'INVALID_WEBHOOK_URL');
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+    throw new ValidationError('webhookUrl must point to a public host', 'WEBHOOK_HOST_NOT_ALLOWED');
+  }
+  return addresses;
+}
+
+/**
+ * Dispatcher whose connections only go to the given addresses. Without it the HTTP client would
+ * resolve the host again, and a rebinding DNS server could answer with an internal address.
+ */
+export function createPinnedDispatcher(addresses: LookupAddress[]): Agent {
+  return new Agent({
+    connect: {
+      lookup: (_hostname, options, callback) => {
+        if (options.all) {
+          callback(null, addresses);
+        } else {
+          callback(null, addresses[0].address, addresses[0].family);
+        }
+      },
+    },
+  });
+}
+
+export function signWebhookBody(body: string, secret: string): string {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+export const webhookChannel: NotificationChannel = {
+  name: 'webhook',
+
+  isConfigured(targets) {
+    return Boolean(targets.webhookUrl);
+  },
+
+  async send(notification, targets) {
+    const addresses = await assertPublicWebhookUrl(targets.webhookUrl!);
+
+    const body = JSON.stringify({ event: notification.event, ...notification.payload });
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SiteCraft-Notifications/1.0',
+      'X-SiteCraft-Event': notification.event,
+    };
+    if (targets.webhookSecret) {
+      headers['X-SiteCraft-Signature'] = signWebhookBody(body, targets.webhookSecret);
+    }
+
+    const dispatcher = createPinnedDispatcher(addresses);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.notifications.webhookTimeout);
+    try {
+      // Redirects are not followed, they could lead to a host that was never checked
+      const response = await fetch(targets.webhookUrl!, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+        redirect: 'manual',
+        dispatcher,
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } finally {
+      clearTimeout(timeout);
+      // The response body is never read, so close the connections instead of waiting on them
+      await dispatcher.destroy();
+    }
+  },
+};
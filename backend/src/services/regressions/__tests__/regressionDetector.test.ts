@@ -0,0 +1,73 @@
+import { ModuleScores } from '@/services/analysis/scoring';
+import { detectRegression, findNewIssues, findScoreDrops, RegressionThresholds } from '../regressionDetector';
+
+const thresholds: RegressionThresholds = {
+  scoreDropThreshold: 5,
+  moduleThresholds: { accessibility: 3 },
+  alertSeverities: ['critical', 'serious'],
+};
+
+const scores = (overrides: Partial<ModuleScores> = {}): ModuleScores => ({
+  overall: 80,
+  accessibility: 80,
+  seo: 80,
+  performance: 80,
+  ...overrides,
+});
+
+const issue = (ruleKey: string, severity: string) => ({ severity, rules: { rule_key: ruleKey, name: `Rule ${ruleKey}` } });
+
+const noIssues = { accessibility: [], seo: [], performance: [] };
+
+describe('Regression detector', () => {
+  it('should report drops that reach the module threshold', () => {
+    const drops = findScoreDrops(scores(), scores({ accessibility: 77, seo: 76, performance: 85 }), thresholds);
+
+    expect(drops).toEqual([
+      { module: 'accessibility', previous: 80, current: 77, drop: 3, threshold: 3 },
+    ]);
+  });
+
+  it('should fall back to the workspace threshold', () => {
+    const drops = findScoreDrops(scores(), scores({ overall: 75, seo: 74 }), thresholds);
+
+    expect(drops.map(drop => drop.module)).toEqual(['overall', 'seo']);
+  });
+
+  it('should report rules that newly fail with an alerting severity', () => {
+    const previous = { ...noIssues, accessibility: [issue('ARIA_01', 'serious'), issue('IMG_01', 'moderate')] };
+    const current = {
+      ...noIssues,
+      accessibility: [
+        issue('ARIA_01', 'serious'),
+        issue('IMG_01', 'critical'),
+        issue('FORM_01', 'serious'),
+        issue('FORM_01', 'serious'),
+        issue('HEAD_01', 'minor'),
+      ],
+    };
+
+    expect(findNewIssues(previous, current, thresholds.alertSeverities)).toEqual([
+      { module: 'accessibility', ruleKey: 'IMG_01', name: 'Rule IMG_01', severity: 'critical', occurrences: 1 },
+      { module: 'accessibility', ruleKey: 'FORM_01', name: 'Rule FORM_01', severity: 'serious', occurrences: 2 },
+    ]);
+  });
+
+  it('should not flag an unchanged analysis', () => {
+    const snapshot = { scores: scores(), issues: { ...noIssues, seo: [issue('SEO_01', 'critical')] } };
+
+    expect(detectRegression(snapshot, snapshot, thresholds)).toBeNull();
+  });
+
+  it('should combine score drops and new issues', () => {
+    const previous = { scores: scores(), issues: noIssues };
+    const current = { scores: scores({ overall: 70 }), issues: { ...noIssues, performance: [issue('PERF_01', 'serious')] } };
+
+    const findings = detectRegression(previous, current, thresholds);
+
+    expect(findings?.scoreDrops).toHaveLength(1);
+    expect(findings?.newIssues).toEqual([
+      expect.objectContaining({ module: 'performance', ruleKey: 'PERF_01' }),
+    ]);
+  });
+});
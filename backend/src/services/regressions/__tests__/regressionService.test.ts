@@ -0,0 +1,159 @@
+jest.mock('@/config', () => ({
+  config: {
+    frontendUrl: 'https://app.example.com',
+    regressions: { scoreDropThreshold: 5 },
+  },
+}));
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/services/notifications/notificationService', () => ({
+  dispatchNotification: (...args: unknown[]) => mockDispatch(...args),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { checkAnalysisForRegression, updateRegressionSettings } from '../regressionService';
+
+const mockFrom = jest.fn();
+const mockDispatch = jest.fn();
+
+const analysisRow = (id: string, jobId: string) => ({
+  id,
+  website_id: 'site-1',
+  status: 'completed',
+  created_at: id === 'current' ? '2025-09-22T03:00:00Z' : '2025-09-21T03:00:00Z',
+  performance_metrics: null,
+  websites: { id: 'site-1', url: 'https://example.com', workspace_id: 'ws-1' },
+  analysis_jobs: [{ id: jobId }],
+});
+
+const criticalIssue = { severity: 'critical', rules: { rule_key: 'ARIA_01', name: 'Invalid ARIA role' } };
+
+interface Tables {
+  settings?: unknown;
+  previous?: unknown;
+  currentIssues?: unknown[];
+  insertError?: unknown;
+}
+
+function mockTables({ settings = null, previous = analysisRow('previous', 'job-prev'), currentIssues = [criticalIssue], insertError = null }: Tables = {}) {
+  const regressions = mockQuery({
+    data: { id: 'regression-1', analysis_id: 'current', previous_analysis_id: 'previous', new_issues: [] },
+    error: insertError,
+  });
+  let analysesCalls = 0;
+
+  mockFrom.mockImplementation((table: string) => {
+    switch (table) {
+      case 'analyses':
+        return analysesCalls++ === 0
+          ? mockQuery({ data: analysisRow('current', 'job-current') })
+          : mockQuery({ data: previous });
+      case 'regression_alert_settings':
+        return mockQuery({ data: settings });
+      case 'analysis_regressions':
+        return regressions;
+      case 'accessibility_issues': {
+        const query = mockQuery({ data: [] });
+        query.in.mockImplementation((_column: string, jobIds: string[]) =>
+          mockQuery({ data: jobIds.includes('job-current') ? currentIssues : [] })
+        );
+        return query;
+      }
+      default:
+        return mockQuery({ data: [] });
+    }
+  });
+  return { regressions };
+}
+
+describe('Regression service', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockDispatch.mockReset().mockResolvedValue({ delivered: ['email'], errors: { webhook: 'Webhook responded with 500' } });
+  });
+
+  it('should skip the first analysis of a website', async () => {
+    mockTables({ previous: null });
+
+    await expect(checkAnalysisForRegression('current')).resolves.toBeNull();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+
+  it('should store and notify new critical issues', async () => {
+    const { regressions } = mockTables();
+
+    const regression = await checkAnalysisForRegression('current');
+
+    expect(regressions.insert).toHaveBeenCalledWith(expect.objectContaining({
+      analysis_id: 'current',
+      previous_analysis_id: 'previous',
+      new_issues: [expect.objectContaining({ ruleKey: 'ARIA_01', severity: 'critical' })],
+      // One critical rule costs 15 accessibility points, 5 overall
+      score_drops: [
+        expect.objectContaining({ module: 'overall', drop: 5 }),
+        expect.objectContaining({ module: 'accessibility', drop: 15 }),
+      ],
+    }));
+    expect(mockDispatch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        event: 'analysis.regression',
+        subject: 'Regression detected on https://example.com',
+        text: expect.stringContaining('https://app.example.com/results/current'),
+      }),
+      { emailRecipients: [], webhookUrl: null, webhookSecret: null }
+    );
+    expect(regressions.update).toHaveBeenCalledWith({
+      notified_channels: ['email'],
+      notification_errors: { webhook: 'Webhook responded with 500' },
+    });
+    expect(regression).toMatchObject({ id: 'regression-1', notifiedChannels: ['email'] });
+  });
+
+  it('should not alert twice when completion is reported twice', async () => {
+    mockTables({ insertError: { code: '23505', message: 'duplicate key value' } });
+
+    await expect(checkAnalysisForRegression('current')).resolves.toBeNull();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+
+  it('should respect workspace thresholds and disabled alerts', async () => {
+    mockTables({ settings: { is_enabled: false } });
+    await expect(checkAnalysisForRegression('current')).resolves.toBeNull();
+
+    mockTables({
+      settings: { is_enabled: true, score_drop_threshold: 20, alert_severities: ['critical'], module_thresholds: {} },
+      currentIssues: [{ severity: 'serious', rules: { rule_key: 'FORM_01', name: 'Missing label' } }],
+    });
+    await expect(checkAnalysisForRegression('current')).resolves.toBeNull();
+  });
+
+  it('should validate alert settings', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: null }));
+
+    await expect(updateRegressionSettings('ws-1', { scoreDropThreshold: 0 })).rejects.toMatchObject({ code: 'INVALID_THRESHOLD' });
+    await expect(updateRegressionSettings('ws-1', { moduleThresholds: { speed: 5 } as any })).rejects.toMatchObject({ code: 'INVALID_THRESHOLD' });
+    await expect(updateRegressionSettings('ws-1', { alertSeverities: ['urgent'] })).rejects.toMatchObject({ code: 'INVALID_ALERT_SEVERITY' });
+    await expect(updateRegressionSettings('ws-1', { emailRecipients: ['not-an-email'] })).rejects.toMatchObject({ code: 'INVALID_EMAIL_RECIPIENT' });
+    await expect(updateRegressionSettings('ws-1', { webhookUrl: 'ftp://example.com/hook' })).rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+  });
+
+  it('should refuse webhooks to internal hosts', async () => {
+    const settingsQuery = mockQuery({ data: null });
+    mockFrom.mockReturnValue(settingsQuery);
+
+    for (const webhookUrl of ['http://127.0.0.1:6379/', 'http://169.254.169.254/latest/meta-data', 'https://10.1.2.3/hook', 'http://[::1]/hook', 'http://[::ffff:192.168.0.1]/hook']) {
+      await expect(updateRegressionSettings('ws-1', { webhookUrl })).rejects.toMatchObject({ code: 'WEBHOOK_HOST_NOT_ALLOWED' });
+    }
+    expect(settingsQuery.upsert).not.toHaveBeenCalled();
+  });
+});
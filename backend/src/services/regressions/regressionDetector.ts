@@ -0,0 +1,107 @@
+/**
+ * Regression Detector
+ * Compares two analyses of the same website for score drops and newly introduced issues
+ */
+
+import { ModuleScores, ScorableIssue, isSuppressed } from '@/services/analysis/scoring';
+import { REPORT_MODULES, ReportModule } from '@/services/reports/reportBuilder';
+
+export type ScoreModule = keyof ModuleScores;
+
+export const SCORE_MODULES: ScoreModule[] = ['overall', 'accessibility', 'seo', 'performance'];
+export const ISSUE_SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+export const DEFAULT_ALERT_SEVERITIES = ['critical', 'serious'];
+
+export interface RegressionIssue extends ScorableIssue {
+  rules?: { rule_key?: string; name?: string } | null;
+}
+
+export interface AnalysisSnapshot {
+  scores: ModuleScores;
+  issues: Record<ReportModule, RegressionIssue[]>;
+}
+
+export interface RegressionThresholds {
+  scoreDropThreshold: number;
+  moduleThresholds: Partial<Record<ScoreModule, number>>;
+  alertSeverities: string[];
+}
+
+export interface ScoreDrop {
+  module: ScoreModule;
+  previous: number;
+  current: number;
+  drop: number;
+  threshold: number;
+}
+
+export interface NewIssue {
+  module: ReportModule;
+  ruleKey: string;
+  name: string;
+  severity: string;
+  occurrences: number;
+}
+
+export interface RegressionFindings {
+  scoreDrops: ScoreDrop[];
+  newIssues: NewIssue[];
+}
+
+export function findScoreDrops(previous: ModuleScores, current: ModuleScores, thresholds: RegressionThresholds): ScoreDrop[] {
+  return SCORE_MODULES.flatMap(module => {
+    const threshold = thresholds.moduleThresholds[module] ?? thresholds.scoreDropThreshold;
+    const drop = previous[module] - current[module];
+    return drop >= threshold
+      ? [{ module, previous: previous[module], current: current[module], drop, threshold }]
+      : [];
+  });
+}
+
+function groupIssues(module: ReportModule, issues: RegressionIssue[], severities: string[]) {
+  const groups = new Map<string, NewIssue>();
+  issues
+    .filter(issue => severities.includes(issue.severity) && !isSuppressed(issue))
+    .forEach(issue => {
+      const ruleKey = issue.rules?.rule_key || 'unknown';
+      const key = `${module}:${ruleKey}:${issue.severity}`;
+      const group = groups.get(key);
+      if (group) {
+        group.occurrences++;
+      } else {
+        groups.set(key, { module, ruleKey, name: issue.rules?.name || ruleKey, severity: issue.severity, occurrences: 1 });
+      }
+    });
+  return groups;
+}
+
+/**
+ * Rules that fail with an alerting severity now but did not fail with that severity before.
+ * A rule that was already failing only alerts when it escalates to a new severity.
+ */
+export function findNewIssues(
+  previous: Record<ReportModule, RegressionIssue[]>,
+  current: Record<ReportModule, RegressionIssue[]>,
+  severities: string[]
+): NewIssue[] {
+  return REPORT_MODULES.flatMap(module => {
+    const before = groupIssues(module, previous[module] || [], severities);
+    const after = groupIssues(module, current[module] || [], severities);
+    return [...after.entries()].filter(([key]) => !before.has(key)).map(([, issue]) => issue);
+  }).sort((a, b) =>
+    ISSUE_SEVERITIES.indexOf(a.severity) - ISSUE_SEVERITIES.indexOf(b.severity) || b.occurrences - a.occurrences
+  );
+}
+
+/**
+ * Returns null when the current analysis is not a regression of the previous one
+ */
+export function detectRegression(
+  previous: AnalysisSnapshot,
+  current: AnalysisSnapshot,
+  thresholds: RegressionThresholds
+): RegressionFindings | null {
+  const scoreDrops = findScoreDrops(previous.scores, current.scores, thresholds);
+  const newIssues = findNewIssues(previous.issues, current.issues, thresholds.alertSeverities);
+  return scoreDrops.length > 0 || newIssues.length > 0 ? { scoreDrops, newIssues } : null;
+}
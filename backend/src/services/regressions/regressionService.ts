@@ -0,0 +1,351 @@
+/**
+ * Regression Service
+ * Compares a completed analysis with the previous analysis of its website, stores regressions
+ * and notifies the workspace. Also manages the per-workspace alert settings.
+ */
+
+import { config } from '@/config';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { AppError, ValidationError } from '@/types';
+import { calculateModuleScores } from '@/services/analysis/scoring';
+import { findPreviousCompletedAnalysis, loadIssuesByModule } from '@/services/analysis/analysisHistory';
+import { Notification, dispatchNotification } from '@/services/notifications/notificationService';
+import { assertPublicWebhookUrl } from '@/services/notifications/webhookChannel';
+import {
+  AnalysisSnapshot,
+  DEFAULT_ALERT_SEVERITIES,
+  ISSUE_SEVERITIES,
+  RegressionFindings,
+  RegressionIssue,
+  SCORE_MODULES,
+  ScoreModule,
+  detectRegression,
+} from './regressionDetector';
+
+const logger = createLogger('regression-service');
+
+export const REGRESSION_EVENT = 'analysis.regression';
+export const MAX_EMAIL_RECIPIENTS = 20;
+
+const ANALYSIS_COLUMNS = `
+  id,
+  website_id,
+  status,
+  created_at,
+  performance_metrics,
+  websites (
+    id,
+    url,
+    workspace_id
+  ),
+  analysis_jobs (
+    id
+  )
+`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export interface RegressionAlertSettings {
+  isEnabled: boolean;
+  scoreDropThreshold: number;
+  moduleThresholds: Partial<Record<ScoreModule, number>>;
+  alertSeverities: string[];
+  emailRecipients: string[];
+  webhookUrl: string | null;
+  webhookSecret: string | null;
+}
+
+export type RegressionAlertSettingsInput = Partial<Omit<RegressionAlertSettings, 'webhookSecret'>> & {
+  webhookSecret?: string | null;
+};
+
+function defaultSettings(): RegressionAlertSettings {
+  return {
+    isEnabled: true,
+    scoreDropThreshold: config.regressions.scoreDropThreshold,
+    moduleThresholds: {},
+    alertSeverities: DEFAULT_ALERT_SEVERITIES,
+    emailRecipients: [],
+    webhookUrl: null,
+    webhookSecret: null,
+  };
+}
+
+function toSettings(row: any): RegressionAlertSettings {
+  if (!row) return defaultSettings();
+  return {
+    isEnabled: row.is_enabled,
+    scoreDropThreshold: row.score_drop_threshold,
+    moduleThresholds: row.module_thresholds || {},
+    alertSeverities: row.alert_severities || DEFAULT_ALERT_SEVERITIES,
+    emailRecipients: row.email_recipients || [],
+    webhookUrl: row.webhook_url,
+    webhookSecret: row.webhook_secret,
+  };
+}
+
+/**
+ * Settings as returned by the API; the webhook secret is never sent back
+ */
+export function toPublicSettings(settings: RegressionAlertSettings) {
+  const { webhookSecret, ...rest } = settings;
+  return { ...rest, hasWebhookSecret: Boolean(webhookSecret) };
+}
+
+export async function getRegressionSettings(workspaceId: string): Promise<RegressionAlertSettings> {
+  const { data, error } = await supabase
+    .from('regression_alert_settings')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load regression alert settings', 500, true, error.message);
+  }
+  return toSettings(data);
+}
+
+function validateThreshold(value: unknown, field: string): number {
+  if (!Number.isInteger(value) || (value as number) < 1 || (value as number) > 100) {
+    throw new ValidationError(`${field} must be a whole number of points from 1 to 100`, 'INVALID_THRESHOLD');
+  }
+  return value as number;
+}
+
+function validateSettingsInput(input: RegressionAlertSettingsInput, current: RegressionAlertSettings): RegressionAlertSettings {
+  const settings = { ...current };
+
+  if (input.isEnabled !== undefined) {
+    settings.isEnabled = Boolean(input.isEnabled);
+  }
+  if (input.scoreDropThreshold !== undefined) {
+    settings.scoreDropThreshold = validateThreshold(input.scoreDropThreshold, 'scoreDropThreshold');
+  }
+  if (input.moduleThresholds !== undefined) {
+    const thresholds = input.moduleThresholds || {};
+    settings.moduleThresholds = Object.fromEntries(Object.entries(thresholds).map(([module, value]) => {
+      if (!SCORE_MODULES.includes(module as ScoreModule)) {
+        throw new ValidationError(`moduleThresholds keys must be one of: ${SCORE_MODULES.join(', ')}`, 'INVALID_THRESHOLD');
+      }
+      return [module, validateThreshold(value, `moduleThresholds.${module}`)];
+    }));
+  }
+  if (input.alertSeverities !== undefined) {
+    const severities = input.alertSeverities;
+    if (!Array.isArray(severities) || severities.some(severity => !ISSUE_SEVERITIES.includes(severity))) {
+      throw new ValidationError(`alertSeverities may contain: ${ISSUE_SEVERITIES.join(', ')}`, 'INVALID_ALERT_SEVERITY');
+    }
+    settings.alertSeverities = [...new Set(severities)];
+  }
+  if (input.emailRecipients !== undefined) {
+    const recipients = input.emailRecipients;
+    if (!Array.isArray(recipients) || recipients.length > MAX_EMAIL_RECIPIENTS) {
+      throw new ValidationError(`emailRecipients must be a list of at most ${MAX_EMAIL_RECIPIENTS} addresses`, 'INVALID_EMAIL_RECIPIENT');
+    }
+    const invalid = recipients.find(recipient => typeof recipient !== 'string' || !EMAIL_PATTERN.test(recipient));
+    if (invalid !== undefined) {
+      throw new ValidationError(`"${invalid}" is not a valid email address`, 'INVALID_EMAIL_RECIPIENT');
+    }
+    settings.emailRecipients = [...new Set(recipients.map(recipient => recipient.toLowerCase()))];
+  }
+  if (input.webhookUrl !== undefined) {
+    settings.webhookUrl = input.webhookUrl || null;
+  }
+  if (input.webhookSecret !== undefined) {
+    settings.webhookSecret = input.webhookSecret || null;
+  }
+
+  return settings;
+}
+
+/**
+ * Update alert settings. Omitted fields keep their current value; webhookSecret null clears it.
+ */
+export async function updateRegressionSettings(workspaceId: string, input: RegressionAlertSettingsInput) {
+  const settings = validateSettingsInput(input, await getRegressionSettings(workspaceId));
+  if (input.webhookUrl) {
+    await assertPublicWebhookUrl(input.webhookUrl);
+  }
+
+  const { data, error } = await supabase
+    .from('regression_alert_settings')
+    .upsert({
+      workspace_id: workspaceId,
+      is_enabled: settings.isEnabled,
+      score_drop_threshold: settings.scoreDropThreshold,
+      module_thresholds: settings.moduleThresholds,
+      alert_severities: settings.alertSeverities,
+      email_recipients: settings.emailRecipients,
+      webhook_url: settings.webhookUrl,
+      webhook_secret: settings.webhookSecret,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'workspace_id' })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to save regression alert settings', 500, true, error.message);
+  }
+  return toSettings(data);
+}
+
+export function toRegression(row: any) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    websiteId: row.website_id,
+    websiteUrl: row.websites?.url || null,
+    analysisId: row.analysis_id,
+    previousAnalysisId: row.previous_analysis_id,
+    scoreDrops: row.score_drops || [],
+    newIssues: row.new_issues || [],
+    notifiedChannels: row.notified_channels || [],
+    notificationErrors: row.notification_errors || {},
+    createdAt: row.created_at,
+  };
+}
+
+export async function listRegressions(workspaceId: string, options: { websiteId?: string; limit?: number } = {}) {
+  let query = supabase
+    .from('analysis_regressions')
+    .select('*, websites (id, url)')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(options.limit || 20, 1), 100));
+
+  if (options.websiteId) {
+    query = query.eq('website_id', options.websiteId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new AppError('Failed to load regressions', 500, true, error.message);
+  }
+  return (data || []).map(toRegression);
+}
+
+/**
+ * Scores are recomputed from the issues; the score columns on analyses are only
+ * refreshed when the analysis is viewed and may be stale
+ */
+async function loadSnapshot(analysis: any): Promise<AnalysisSnapshot> {
+  const jobIds = (analysis.analysis_jobs || []).map((job: { id: string }) => job.id);
+  const issues = await loadIssuesByModule<RegressionIssue>(jobIds, 'severity, suppression_id, rules (rule_key, name)');
+
+  return {
+    issues,
+    scores: calculateModuleScores(issues, { performance: analysis.performance_metrics?.score }),
+  };
+}
+
+const MODULE_LABELS: Record<string, string> = {
+  overall: 'Overall',
+  accessibility: 'Accessibility',
+  seo: 'SEO',
+  performance: 'Performance',
+};
+
+export function buildRegressionNotification(regression: ReturnType<typeof toRegression>, websiteUrl: string): Notification {
+  const reportUrl = `${config.frontendUrl}/results/${regression.analysisId}`;
+  const lines = [`The latest analysis of ${websiteUrl} is worse than the previous one.`, ''];
+
+  if (regression.scoreDrops.length > 0) {
+    lines.push('Score drops:');
+    regression.scoreDrops.forEach((drop: any) => {
+      lines.push(`  - ${MODULE_LABELS[drop.module] || drop.module}: ${drop.previous} -> ${drop.current} (-${drop.drop})`);
+    });
+    lines.push('');
+  }
+  if (regression.newIssues.length > 0) {
+    lines.push('New issues:');
+    regression.newIssues.forEach((issue: any) => {
+      lines.push(`  - [${issue.severity}] ${issue.name} (${issue.occurrences}x, ${issue.module})`);
+    });
+    lines.push('');
+  }
+  lines.push(`Report: ${reportUrl}`);
+
+  return {
+    event: REGRESSION_EVENT,
+    subject: `Regression detected on ${websiteUrl}`,
+    text: lines.join('\n'),
+    payload: { regression: { ...regression, websiteUrl }, reportUrl },
+  };
+}
+
+async function notifyRegression(regression: ReturnType<typeof toRegression>, websiteUrl: string, settings: RegressionAlertSettings) {
+  const result = await dispatchNotification(buildRegressionNotification(regression, websiteUrl), {
+    emailRecipients: settings.emailRecipients,
+    webhookUrl: settings.webhookUrl,
+    webhookSecret: settings.webhookSecret,
+  });
+
+  const { error } = await supabase
+    .from('analysis_regressions')
+    .update({ notified_channels: result.delivered, notification_errors: result.errors })
+    .eq('id', regression.id);
+
+  if (error) {
+    logger.warn('Failed to record regression notifications', { error, regressionId: regression.id });
+  }
+  return { ...regression, notifiedChannels: result.delivered, notificationErrors: result.errors };
+}
+
+/**
+ * Compare a completed analysis with the previous completed analysis of the same website.
+ * Stores and notifies a regression once per analysis; returns null when there is none.
+ */
+export async function checkAnalysisForRegression(analysisId: string) {
+  const { data: analysis, error } = await supabase
+    .from('analyses')
+    .select(ANALYSIS_COLUMNS)
+    .eq('id', analysisId)
+    .single();
+
+  if (error || !analysis) {
+    throw new Error(`Failed to load analysis: ${error?.message || 'not found'}`);
+  }
+
+  const workspaceId: string = (analysis as any).websites?.workspace_id;
+  const settings = await getRegressionSettings(workspaceId);
+  if (!settings.isEnabled) return null;
+
+  const previous = await findPreviousCompletedAnalysis(analysis as any, ANALYSIS_COLUMNS);
+  if (!previous) return null;
+
+  const [previousSnapshot, currentSnapshot] = await Promise.all([loadSnapshot(previous), loadSnapshot(analysis)]);
+  const findings: RegressionFindings | null = detectRegression(previousSnapshot, currentSnapshot, settings);
+  if (!findings) {
+    logger.info('No regression detected', { analysisId, previousAnalysisId: previous.id });
+    return null;
+  }
+
+  const { data: row, error: insertError } = await supabase
+    .from('analysis_regressions')
+    .insert({
+      workspace_id: workspaceId,
+      website_id: (analysis as any).website_id,
+      analysis_id: analysisId,
+      previous_analysis_id: previous.id,
+      score_drops: findings.scoreDrops,
+      new_issues: findings.newIssues,
+    })
+    .select('*')
+    .single();
+
+  if (insertError) {
+    // Another worker reported completion of the same analysis first
+    if (insertError.code === '23505') return null;
+    throw new Error(`Failed to store regression: ${insertError.message}`);
+  }
+
+  logger.info('Regression detected', {
+    analysisId,
+    previousAnalysisId: previous.id,
+    scoreDrops: findings.scoreDrops.length,
+    newIssues: findings.newIssues.length,
+  });
+
+  return notifyRegression(toRegression(row), (analysis as any).websites?.url, settings);
+}
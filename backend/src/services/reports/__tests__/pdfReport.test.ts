@@ -0,0 +1,114 @@
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import { BrandingConfig } from '@/config/branding';
+import { escapeHtml, groupIssuesByWcagPrinciple, renderReportHtml, wcag22CriteriaOf } from '../pdfReport';
+import { DetailedReport, ReportIssueRow, buildDetailedReport } from '../reportBuilder';
+
+const branding: BrandingConfig = {
+  company: { name: 'Acme Audits', tagline: 'We check websites', website: 'https://acme.test' },
+  logo: { primary: { pdf: 'logo-pdf.png' } },
+  colors: { primary: { 500: '#123456', 700: '#0a0b0c' }, success: { 500: '#00aa00' }, warning: { 500: '#aaaa00' }, error: { 500: '#aa0000' } },
+  typography: { fonts: { primary: { name: 'Inter', fallback: 'sans-serif' } } },
+  pdf: { pageSize: 'A4', margins: { top: 60, bottom: 60, left: 50, right: 50 } },
+  legal: { disclaimer: 'Not legal advice.' },
+};
+
+function issue(id: string, ruleKey: string, severity: string, wcag: string | null): ReportIssueRow {
+  return {
+    id,
+    severity,
+    wcag_criteria: wcag,
+    location_path: `#${id}`,
+    message: `<b>${ruleKey}</b>`,
+    fix_suggestion: 'Add a label',
+    rules: { rule_key: ruleKey, name: `${ruleKey} name` },
+  };
+}
+
+function createReport(): DetailedReport {
+  return buildDetailedReport({
+    analysis: {
+      id: 'analysis-1',
+      status: 'completed',
+      created_at: '2025-09-12T09:00:00.000Z',
+      websites: { id: 'website-1', url: 'https://example.com' },
+    },
+    issues: {
+      accessibility: [
+        issue('a1', 'ACC_IMG_01', 'critical', '1.1.1'),
+        issue('a2', 'ACC_KBD_01', 'serious', '2.1.1, 2.4.7'),
+        issue('a3', 'ACC_ARIA_01', 'moderate', '4.1.2'),
+        issue('a5', 'ACC_FRM_16', 'serious', '2.5.8'),
+        issue('a4', 'ACC_BP_01', 'minor', null),
+      ],
+      seo: [issue('s1', 'SEO_TEC_01', 'serious', null)],
+      performance: [],
+    },
+    screenshots: [{ id: 'shot-1', type: 'desktop', signed_url: 'https://storage/desktop.png?token=a&b' }],
+    pages: [],
+  });
+}
+
+describe('PDF report', () => {
+  it('should escape HTML', () => {
+    expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+
+  it('should group accessibility issues by WCAG principle', () => {
+    const groups = groupIssuesByWcagPrinciple(createReport().modules.accessibility.issues);
+    expect(groups['1'].map(i => i.id)).toEqual(['a1']);
+    expect(groups['2'].map(i => i.id)).toEqual(['a2', 'a5']);
+    expect(groups['3']).toEqual([]);
+    expect(groups['4'].map(i => i.id)).toEqual(['a3']);
+    expect(groups.other.map(i => i.id)).toEqual(['a4']);
+  });
+
+  it('should pick the criteria WCAG 2.2 added', () => {
+    const issues = createReport().modules.accessibility.issues;
+    const a2 = issues.find(i => i.id === 'a2')!;
+    const a5 = issues.find(i => i.id === 'a5')!;
+    expect(wcag22CriteriaOf(a2)).toEqual([]);
+    expect(wcag22CriteriaOf(a5)).toEqual(['2.5.8']);
+    expect(wcag22CriteriaOf({ ...a5, wcagCriteria: '2.4.7, 2.4.11' })).toEqual(['2.4.11']);
+  });
+
+  describe('renderReportHtml', () => {
+    const html = renderReportHtml(createReport(), branding, 'data:image/png;base64,AAAA');
+
+    it('should render the cover page with branding', () => {
+      expect(html).toContain('<img src="data:image/png;base64,AAAA" alt="Acme Audits" />');
+      expect(html).toContain('https://example.com');
+      expect(html).toContain('We check websites');
+      expect(html).toContain('Not legal advice.');
+      expect(html).toContain('#123456');
+    });
+
+    it('should render scores, screenshots and principle sections', () => {
+      expect(html).toContain('Score Summary');
+      expect(html).toContain('src="https://storage/desktop.png?token=a&amp;b"');
+      ['Perceivable', 'Operable', 'Understandable', 'Robust', 'Other Accessibility Checks'].forEach(label => {
+        expect(html).toContain(label);
+      });
+    });
+
+    it('should list the WCAG 2.2 criteria of accessibility issues in their own column', () => {
+      expect(html).toContain('<th style="width: 9%">New in 2.2</th>');
+      expect(html).toMatch(/<td>2\.5\.8<\/td>\s*<td>2\.5\.8<\/td>/);
+    });
+
+    it('should escape issue content', () => {
+      expect(html).toContain('&lt;b&gt;ACC_IMG_01&lt;/b&gt;');
+      expect(html).not.toContain('<b>ACC_IMG_01</b>');
+    });
+
+    it('should fall back to the company name without a logo', () => {
+      expect(renderReportHtml(createReport(), branding, null)).toContain('<h2>Acme Audits</h2>');
+    });
+  });
+});
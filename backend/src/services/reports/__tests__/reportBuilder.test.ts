@@ -0,0 +1,134 @@
+import {
+  FREE_REPORT_TOP_ISSUES,
+  ReportIssueRow,
+  ReportSource,
+  buildDetailedReport,
+  buildFreeReport,
+  countBySeverity,
+  summarizeRules,
+} from '../reportBuilder';
+
+function issue(id: string, ruleKey: string, severity: string, extra: Partial<ReportIssueRow> = {}): ReportIssueRow {
+  return {
+    id,
+    severity,
+    message: `${ruleKey} message`,
+    location_path: `#el-${id}`,
+    fix_suggestion: `Fix ${ruleKey}`,
+    rules: { rule_key: ruleKey, name: `${ruleKey} name`, description: null },
+    ...extra,
+  };
+}
+
+function createSource(): ReportSource {
+  return {
+    analysis: {
+      id: 'analysis-1',
+      status: 'completed',
+      created_at: '2025-09-12T09:00:00.000Z',
+      completed_at: '2025-09-12T09:05:00.000Z',
+      performance_metrics: { score: 71 },
+      websites: { id: 'website-1', url: 'https://example.com' },
+    },
+    issues: {
+      accessibility: [
+        issue('a1', 'ACC_IMG_01_ALT_TEXT_MISSING', 'critical', { analysis_page_id: 'page-2' }),
+        issue('a2', 'ACC_IMG_01_ALT_TEXT_MISSING', 'critical'),
+        issue('a3', 'ACC_FRM_01_LABEL_MISSING', 'serious'),
+        issue('a4', 'ACC_STR_01_HEADING_ORDER', 'minor'),
+      ],
+      seo: [issue('s1', 'SEO_TEC_01_TITLE_MISSING', 'serious'), issue('s2', 'SEO_CON_02_THIN', 'moderate')],
+      performance: [issue('p1', 'PERF_CWV_01_LCP_SLOW', 'critical')],
+    },
+    screenshots: [
+      { id: 'shot-1', type: 'mobile', signed_url: 'https://storage/mobile.png' },
+      { id: 'shot-2', type: 'desktop', signed_url: 'https://storage/desktop.png' },
+    ],
+    pages: [
+      { id: 'page-1', page_index: 0, url: 'https://example.com/' },
+      { id: 'page-2', page_index: 1, url: 'https://example.com/about' },
+    ],
+  };
+}
+
+describe('Report builder', () => {
+  it('should count issues by severity', () => {
+    expect(countBySeverity(createSource().issues.accessibility)).toEqual({ critical: 2, serious: 1, moderate: 0, minor: 1 });
+  });
+
+  it('should summarize rules by severity and frequency', () => {
+    const rules = summarizeRules(createSource().issues.accessibility);
+    expect(rules.map(r => [r.ruleKey, r.occurrences])).toEqual([
+      ['ACC_IMG_01_ALT_TEXT_MISSING', 2],
+      ['ACC_FRM_01_LABEL_MISSING', 1],
+      ['ACC_STR_01_HEADING_ORDER', 1],
+    ]);
+  });
+
+  describe('buildFreeReport', () => {
+    const report = buildFreeReport(createSource());
+
+    it('should include scores and counts', () => {
+      expect(report.type).toBe('free');
+      expect(report.website).toBe('https://example.com');
+      expect(report.pagesAnalyzed).toBe(2);
+      expect(report.scores.performance).toBe(71);
+      expect(report.summary.totalIssues).toBe(7);
+      expect(report.summary.modules.seo).toEqual({ totalIssues: 2, severity: { critical: 0, serious: 1, moderate: 1, minor: 0 } });
+      expect(report.screenshot).toBe('https://storage/desktop.png');
+    });
+
+    it('should only name the top issues without locations or fixes', () => {
+      expect(report.topIssues).toHaveLength(FREE_REPORT_TOP_ISSUES);
+      expect(report.topIssues[0]).toEqual({
+        ruleKey: 'ACC_IMG_01_ALT_TEXT_MISSING',
+        name: 'ACC_IMG_01_ALT_TEXT_MISSING name',
+        severity: 'critical',
+        occurrences: 2,
+      });
+      expect(JSON.stringify(report)).not.toContain('#el-');
+      expect(JSON.stringify(report)).not.toContain('Fix ');
+    });
+  });
+
+  describe('buildDetailedReport', () => {
+    const report = buildDetailedReport(createSource());
+
+    it('should include every issue with location, fix and page', () => {
+      expect(report.type).toBe('detailed');
+      expect(report.modules.accessibility.issues).toHaveLength(4);
+      expect(report.modules.accessibility.issues[0]).toMatchObject({
+        id: 'a1',
+        location: '#el-a1',
+        fixSuggestion: 'Fix ACC_IMG_01_ALT_TEXT_MISSING',
+        pageUrl: 'https://example.com/about',
+      });
+      expect(report.modules.accessibility.issues[3].severity).toBe('minor');
+    });
+
+    it('should keep the free summary and add performance metrics and pages', () => {
+      expect(report.summary.totalIssues).toBe(7);
+      expect(report.performance).toEqual({ score: 71 });
+      expect(report.pages.map(p => p.url)).toEqual(['https://example.com/', 'https://example.com/about']);
+      expect(report.screenshots).toHaveLength(2);
+    });
+
+    it('should list suppressed issues separately and leave them out of counts and scores', () => {
+      const source = createSource();
+      const unsuppressed = buildDetailedReport(source);
+      source.issues.seo.push(issue('s3', 'SEO_TEC_01_TITLE_MISSING', 'critical', {
+        suppression_id: 'suppression-1',
+        issue_suppressions: { id: 'suppression-1', reason: 'Title is set client-side' },
+      }));
+
+      const suppressed = buildDetailedReport(source);
+      expect(suppressed.summary.totalIssues).toBe(7);
+      expect(suppressed.summary.suppressedIssues).toBe(1);
+      expect(suppressed.scores).toEqual(unsuppressed.scores);
+      expect(suppressed.modules.seo.issues.map(i => i.id)).toEqual(['s1', 's2']);
+      expect(suppressed.modules.seo.suppressed).toEqual([
+        expect.objectContaining({ id: 's3', suppression: { id: 'suppression-1', reason: 'Title is set client-side' } }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+    rpc: (...args: unknown[]) => mockRpc(...args),
+    storage: { from: () => ({ createSignedUrl: async () => ({ data: { signedUrl: 'https://storage.example.com/shot.png' } }) }) },
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/services/billing/entitlements', () => ({
+  workspaceHasFeature: (...args: unknown[]) => mockWorkspaceHasFeature(...args),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { ConflictError, PaymentRequiredError } from '@/types';
+import { canUnlockDetailedReport, loadAnalysisReportSource, unlockDetailedReport } from '../reportService';
+
+const mockFrom = jest.fn();
+const mockRpc = jest.fn();
+const mockWorkspaceHasFeature = jest.fn();
+
+const analysis = (overrides: Record<string, unknown> = {}) => ({
+  id: 'analysis-1',
+  status: 'completed',
+  user_id: 'user-1',
+  created_at: '2025-09-22T03:00:00Z',
+  completed_at: '2025-09-22T03:05:00Z',
+  performance_metrics: null,
+  websites: { id: 'site-1', url: 'https://example.com', workspace_id: 'ws-1' },
+  analysis_jobs: [{ id: 'job-1' }],
+  ...overrides,
+});
+
+describe('Report Service', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockRpc.mockReset();
+    mockWorkspaceHasFeature.mockReset();
+  });
+
+  describe('loadAnalysisReportSource', () => {
+    it('should load analyses that completed with errors', async () => {
+      mockFrom.mockImplementation((table: string) => {
+        if (table === 'seo_issues') {
+          return mockQuery({ data: [{ id: 'seo-1', severity: 'minor', rules: { rule_key: 'SEO_TITLE' } }] });
+        }
+        return mockQuery({ data: [] });
+      });
+
+      const source = await loadAnalysisReportSource(analysis({ status: 'completed_with_errors' }));
+
+      expect(source.issues.seo).toHaveLength(1);
+      expect(source.issues.accessibility).toEqual([]);
+    });
+
+    it('should reject analyses that are still running', async () => {
+      await expect(loadAnalysisReportSource(analysis({ status: 'processing' }))).rejects.toThrow(ConflictError);
+      expect(mockFrom).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('canUnlockDetailedReport', () => {
+    it('should allow analyses unlocked before or workspaces with a credit left', async () => {
+      const answer = async (unlocked: number, balance: number | null) => {
+        mockFrom.mockImplementation((table: string) => (
+          table === 'reports'
+            ? mockQuery({ count: unlocked })
+            : mockQuery({ data: balance === null ? null : { balance } })
+        ));
+        return canUnlockDetailedReport('analysis-1', 'ws-1');
+      };
+
+      expect(await answer(1, 0)).toBe(true);
+      expect(await answer(0, 2)).toBe(true);
+      expect(await answer(0, 0)).toBe(false);
+      expect(await answer(0, null)).toBe(false);
+    });
+  });
+
+  describe('unlockDetailedReport', () => {
+    it('should unlock, charge and record the report in one call', async () => {
+      mockWorkspaceHasFeature.mockResolvedValue(false);
+      mockRpc.mockResolvedValue({
+        data: [{ report_id: 'report-1', report_created_at: '2025-10-06T10:00:00Z', access: 'credit' }],
+        error: null,
+      });
+
+      const unlocked = await unlockDetailedReport('analysis-1', 'ws-1', 'user-1');
+
+      expect(unlocked).toEqual({ id: 'report-1', created_at: '2025-10-06T10:00:00Z', access: 'credit' });
+      expect(mockRpc).toHaveBeenCalledTimes(1);
+      expect(mockRpc).toHaveBeenCalledWith('unlock_detailed_report', expect.objectContaining({
+        p_analysis_id: 'analysis-1',
+        p_workspace_id: 'ws-1',
+        p_user_id: 'user-1',
+        p_plan_includes_detailed: false,
+        p_public_url_key: null,
+      }));
+      expect(mockFrom).not.toHaveBeenCalled();
+    });
+
+    it('should pass the plan and share link to the database function', async () => {
+      mockWorkspaceHasFeature.mockResolvedValue(true);
+      mockRpc.mockResolvedValue({ data: [{ report_id: 'report-2', report_created_at: '2025-10-06T10:00:00Z', access: 'plan' }], error: null });
+
+      await unlockDetailedReport('analysis-1', 'ws-1', 'user-1', { publicUrlKey: 'key', expiresAt: null, passwordHash: 'hash' });
+
+      expect(mockRpc.mock.calls[0][1]).toMatchObject({
+        p_plan_includes_detailed: true,
+        p_public_url_key: 'key',
+        p_share_password_hash: 'hash',
+      });
+    });
+
+    it('should require payment when no report was recorded', async () => {
+      mockWorkspaceHasFeature.mockResolvedValue(false);
+      mockRpc.mockResolvedValue({ data: [], error: null });
+
+      const error = await unlockDetailedReport('analysis-1', 'ws-1', 'user-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(PaymentRequiredError);
+      expect(error.code).toBe('REPORT_CREDITS_REQUIRED');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('@/config', () => ({
+  config: {
+    frontendUrl: 'https://app.example.com/',
+    security: { bcryptRounds: 8 },
+  },
+}));
+jest.mock('@/config/supabase', () => ({ supabase: {} }));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+import { ValidationError } from '@/types';
+import {
+  MAX_SHARE_DAYS,
+  buildShareUrl,
+  generateShareKey,
+  resolveShareExpiry,
+  validateSharePassword,
+} from '../shareLinks';
+
+describe('Report share links', () => {
+  const now = new Date('2025-09-15T12:00:00.000Z');
+
+  it('should generate unguessable url-safe keys', () => {
+    const keys = new Set(Array.from({ length: 50 }, () => generateShareKey()));
+    expect(keys.size).toBe(50);
+    keys.forEach(key => expect(key).toMatch(/^[A-Za-z0-9_-]{24}$/));
+  });
+
+  it('should build share urls on the frontend', () => {
+    expect(buildShareUrl('abc')).toBe('https://app.example.com/shared/abc');
+  });
+
+  describe('resolveShareExpiry', () => {
+    it('should return null without an expiry', () => {
+      expect(resolveShareExpiry({}, now)).toBeNull();
+    });
+
+    it('should add whole days', () => {
+      expect(resolveShareExpiry({ expiresInDays: 7 }, now)?.toISOString()).toBe('2025-09-22T12:00:00.000Z');
+    });
+
+    it('should accept absolute dates in the future', () => {
+      expect(resolveShareExpiry({ expiresAt: '2025-10-01T00:00:00Z' }, now)?.toISOString()).toBe('2025-10-01T00:00:00.000Z');
+    });
+
+    it('should reject invalid expiries', () => {
+      expect(() => resolveShareExpiry({ expiresInDays: 0 }, now)).toThrow(ValidationError);
+      expect(() => resolveShareExpiry({ expiresInDays: 1.5 }, now)).toThrow(ValidationError);
+      expect(() => resolveShareExpiry({ expiresInDays: MAX_SHARE_DAYS + 1 }, now)).toThrow(ValidationError);
+      expect(() => resolveShareExpiry({ expiresAt: 'tomorrow' }, now)).toThrow(ValidationError);
+      expect(() => resolveShareExpiry({ expiresAt: '2025-09-01T00:00:00Z' }, now)).toThrow(ValidationError);
+      expect(() => resolveShareExpiry({ expiresAt: '2027-01-01T00:00:00Z' }, now)).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateSharePassword', () => {
+    it('should treat empty passwords as unprotected', () => {
+      expect(validateSharePassword(undefined)).toBeNull();
+      expect(validateSharePassword('')).toBeNull();
+    });
+
+    it('should enforce length limits', () => {
+      expect(validateSharePassword('secret1')).toBe('secret1');
+      expect(() => validateSharePassword('short')).toThrow(ValidationError);
+      expect(() => validateSharePassword('x'.repeat(129))).toThrow(ValidationError);
+      expect(() => validateSharePassword(123456)).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * PDF Report
+ * Renders a detailed report to branded HTML and prints it with headless Chromium
+ */
+
+import puppeteer, { Browser, PaperFormat } from 'puppeteer';
+import { BrandingConfig, getBranding, getPdfLogoDataUri } from '@/config/branding';
+import { createLogger } from '@/config/logger';
+import { AppError } from '@/types';
+import { WCAG22_NEW_CRITERIA } from '@/core/workers/accessibility/ruleMapping';
+import { DetailedReport } from './reportBuilder';
+
+const logger = createLogger('pdf-report');
+
+type DetailedIssue = DetailedReport['modules'][string]['issues'][number];
+
+export const WCAG_PRINCIPLES: Array<{ key: string; label: string; description: string }> = [
+  { key: '1', label: 'Perceivable', description: 'Information and interface components must be presentable in ways users can perceive.' },
+  { key: '2', label: 'Operable', description: 'Interface components and navigation must be operable.' },
+  { key: '3', label: 'Understandable', description: 'Information and the operation of the interface must be understandable.' },
+  { key: '4', label: 'Robust', description: 'Content must be robust enough to be interpreted by assistive technologies.' },
+  { key: 'other', label: 'Other Accessibility Checks', description: 'Best practices without a single WCAG success criterion.' },
+];
+
+const PDF_RENDER_TIMEOUT_MS = 60000;
+
+export function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Group accessibility issues by the WCAG principle of their first success criterion
+ */
+export function groupIssuesByWcagPrinciple(issues: DetailedIssue[]): Record<string, DetailedIssue[]> {
+  const groups: Record<string, DetailedIssue[]> = Object.fromEntries(WCAG_PRINCIPLES.map(p => [p.key, []]));
+
+  issues.forEach(issue => {
+    const principle = issue.wcagCriteria?.match(/\b([1-4])\.\d+(?:\.\d+)?\b/)?.[1] || 'other';
+    groups[principle].push(issue);
+  });
+
+  return groups;
+}
+
+/**
+ * Criteria of an issue that WCAG 2.2 added, so clients can see what a 2.2 audit adds over 2.1
+ */
+export function wcag22CriteriaOf(issue: DetailedIssue): string[] {
+  return (issue.wcagCriteria || '')
+    .split(/[\s,]+/)
+    .filter(criterion => WCAG22_NEW_CRITERIA.includes(criterion));
+}
+
+function scoreColor(score: number, branding: BrandingConfig): string {
+  if (score >= 90) return branding.colors.success?.[500] || '#10b981';
+  if (score >= 50) return branding.colors.warning?.[500] || '#f59e0b';
+  return branding.colors.error?.[500] || '#ef4444';
+}
+
+function renderIssueTable(issues: DetailedIssue[], showWcag: boolean): string {
+  if (issues.length === 0) {
+    return '<p class="muted">No issues found.</p>';
+  }
+
+  const rows = issues.map(issue => `
+    <tr>
+      <td><span class="severity severity-${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span></td>
+      <td>
+        <strong>${escapeHtml(issue.rule || issue.ruleKey)}</strong>
+        ${issue.message ? `<div>${escapeHtml(issue.message)}</div>` : ''}
+        ${issue.pageUrl ? `<div class="muted">${escapeHtml(issue.pageUrl)}</div>` : ''}
+        ${issue.flowStep ? `<div class="muted">Flow step: ${escapeHtml(issue.flowStep)}</div>` : ''}
+      </td>
+      ${showWcag ? `<td>${escapeHtml(issue.wcagCriteria || '—')}</td>` : ''}
+      ${showWcag ? `<td>${escapeHtml(wcag22CriteriaOf(issue).join(', ') || '—')}</td>` : ''}
+      <td>${issue.location ? `<code>${escapeHtml(issue.location)}</code>` : '—'}</td>
+      <td>${escapeHtml(issue.fixSuggestion || '')}</td>
+    </tr>`).join('');
+
+  return `
+    <table class="issues">
+      <thead>
+        <tr>
+          <th style="width: 12%">Severity</th>
+          <th style="width: ${showWcag ? 26 : 30}%">Issue</th>
+          ${showWcag ? '<th style="width: 9%">WCAG</th>' : ''}
+          ${showWcag ? '<th style="width: 9%">New in 2.2</th>' : ''}
+          <th style="width: ${showWcag ? 14 : 18}%">Location</th>
+          <th>How to fix</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function renderSuppressedSection(report: DetailedReport): string {
+  const suppressed = (['accessibility', 'seo', 'performance'] as const)
+    .flatMap(module => (report.modules[module]?.suppressed || []).map(issue => ({ module, issue })));
+  if (suppressed.length === 0) return '';
+
+  const rows = suppressed.map(({ module, issue }) => `
+    <tr>
+      <td>${module === 'seo' ? 'SEO' : module.charAt(0).toUpperCase() + module.slice(1)}</td>
+      <td>
+        <strong>${escapeHtml(issue.rule || issue.ruleKey)}</strong>
+        ${issue.pageUrl ? `<div class="muted">${escapeHtml(issue.pageUrl)}</div>` : ''}
+      </td>
+      <td>${issue.location ? `<code>${escapeHtml(issue.location)}</code>` : '—'}</td>
+      <td>${escapeHtml(issue.suppression?.reason || '')}</td>
+    </tr>`).join('');
+
+  return `
+  <section class="module">
+    <h2>Suppressed Issues</h2>
+    <p class="muted">These issues matched a suppression rule of the workspace and are not included in the scores.</p>
+    <table class="issues">
+      <thead>
+        <tr>
+          <th style="width: 14%">Module</th>
+          <th style="width: 30%">Issue</th>
+          <th style="width: 22%">Location</th>
+          <th>Reason</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </section>`;
+}
+
+/**
+ * Build the full HTML document for a detailed report
+ */
+export function renderReportHtml(report: DetailedReport, branding: BrandingConfig = getBranding(), logoDataUri: string | null = null): string {
+  const primary = branding.colors.primary?.[500] || '#3b82f6';
+  const primaryDark = branding.colors.primary?.[700] || primary;
+  const font = branding.typography.fonts.primary;
+  const fontFamily = font ? `"${font.name}", ${font.fallback}` : 'Helvetica, Arial, sans-serif';
+  const analyzedAt = new Date(report.analyzedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const accessibilityGroups = groupIssuesByWcagPrinciple(report.modules.accessibility?.issues || []);
+  const scoreCards = (['overall', 'accessibility', 'seo', 'performance'] as const).map(key => `
+    <div class="score-card">
+      <div class="score" style="color: ${scoreColor(report.scores[key], branding)}">${report.scores[key]}</div>
+      <div class="score-label">${key === 'seo' ? 'SEO' : key.charAt(0).toUpperCase() + key.slice(1)}</div>
+    </div>`).join('');
+
+  const severityRow = (['critical', 'serious', 'moderate', 'minor'] as const)
+    .map(severity => `<td><span class="severity severity-${severity}">${severity}</span> ${report.summary.severity[severity]}</td>`)
+    .join('');
+
+  const screenshots = report.screenshots
+    .filter(screenshot => screenshot.signed_url)
+    .map(screenshot => `
+      <figure>
+        <img src="${escapeHtml(screenshot.signed_url)}" alt="${escapeHtml(screenshot.type)} screenshot" />
+        <figcaption>${escapeHtml(screenshot.type === 'focus_path' ? 'keyboard focus order' : screenshot.type)}</figcaption>
+      </figure>`).join('');
+
+  const principleSections = WCAG_PRINCIPLES
+    .filter(principle => accessibilityGroups[principle.key].length > 0 || principle.key !== 'other')
+    .map(principle => `
+      <section class="principle">
+        <h3>${escapeHtml(principle.label)} <span class="muted">(${accessibilityGroups[principle.key].length})</span></h3>
+        <p class="muted">${escapeHtml(principle.description)}</p>
+        ${renderIssueTable(accessibilityGroups[principle.key], true)}
+      </section>`).join('');
+
+  const watermark = branding.pdf.watermark?.enabled
+    ? `<div class="watermark" style="opacity: ${branding.pdf.watermark.opacity}">${escapeHtml(branding.pdf.watermark.text)}</div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(branding.company.name)} Report – ${escapeHtml(report.website || '')}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: ${fontFamily}; color: #1f2937; font-size: 11px; line-height: 1.45; margin: 0; }
+    h1, h2, h3 { color: ${primaryDark}; margin: 0 0 8px; }
+    h2 { font-size: 18px; border-bottom: 2px solid ${primary}; padding-bottom: 4px; margin-top: 24px; }
+    h3 { font-size: 14px; margin-top: 16px; }
+    .muted { color: #6b7280; }
+    .cover { height: 100vh; display: flex; flex-direction: column; justify-content: center; page-break-after: always; }
+    .cover img { max-width: 300px; max-height: 100px; margin-bottom: 32px; }
+    .cover h1 { font-size: 32px; }
+    .cover .site { font-size: 18px; color: ${primary}; margin: 12px 0; word-break: break-all; }
+    .cover .disclaimer { margin-top: auto; font-size: 9px; }
+    .scores { display: flex; gap: 12px; margin: 12px 0; }
+    .score-card { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; text-align: center; }
+    .score { font-size: 28px; font-weight: 700; }
+    .score-label { color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th { background: ${primary}; color: #ffffff; text-align: left; padding: 6px; font-size: 10px; }
+    td { border-bottom: 1px solid #e5e7eb; padding: 6px; vertical-align: top; word-break: break-word; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+    code { font-size: 9px; background: #f3f4f6; padding: 1px 3px; border-radius: 3px; }
+    .severity { display: inline-block; padding: 1px 6px; border-radius: 9999px; color: #ffffff; font-size: 9px; text-transform: uppercase; }
+    .severity-critical { background: #b91c1c; }
+    .severity-serious { background: #ea580c; }
+    .severity-moderate { background: #d97706; }
+    .severity-minor { background: #6b7280; }
+    .screenshots { display: flex; gap: 12px; flex-wrap: wrap; }
+    .screenshots figure { margin: 0; flex: 1; min-width: 200px; text-align: center; page-break-inside: avoid; }
+    .screenshots img { max-width: 100%; max-height: 420px; border: 1px solid #e5e7eb; }
+    .module { page-break-before: always; }
+    .watermark { position: fixed; top: 45%; left: 0; right: 0; text-align: center; font-size: 80px; transform: rotate(-30deg); color: #9ca3af; }
+  </style>
+</head>
+<body>
+  ${watermark}
+  <section class="cover">
+    ${logoDataUri ? `<img src="${logoDataUri}" alt="${escapeHtml(branding.company.name)}" />` : `<h2>${escapeHtml(branding.company.name)}</h2>`}
+    <h1>Website Analysis Report</h1>
+    <div class="site">${escapeHtml(report.website || '')}</div>
+    <div class="muted">Analyzed ${escapeHtml(analyzedAt)} · ${report.pagesAnalyzed} page${report.pagesAnalyzed === 1 ? '' : 's'}</div>
+    ${branding.company.tagline ? `<p>${escapeHtml(branding.company.tagline)}</p>` : ''}
+    ${branding.legal.disclaimer ? `<p class="disclaimer muted">${escapeHtml(branding.legal.disclaimer)}</p>` : ''}
+  </section>
+
+  <section>
+    <h2>Score Summary</h2>
+    <div class="scores">${scoreCards}</div>
+    <table>
+      <tbody>
+        <tr><td><strong>${report.summary.totalIssues} issues</strong></td>${severityRow}</tr>
+      </tbody>
+    </table>
+    ${screenshots ? `<h2>Screenshots</h2><div class="screenshots">${screenshots}</div>` : ''}
+  </section>
+
+  <section class="module">
+    <h2>Accessibility</h2>
+    ${principleSections}
+  </section>
+
+  <section class="module">
+    <h2>SEO</h2>
+    ${renderIssueTable(report.modules.seo?.issues || [], false)}
+  </section>
+
+  <section class="module">
+    <h2>Performance</h2>
+    ${renderIssueTable(report.modules.performance?.issues || [], false)}
+  </section>
+  ${renderSuppressedSection(report)}
+</body>
+</html>`;
+}
+
+function renderFooterTemplate(branding: BrandingConfig): string {
+  const footerText = [branding.legal.footerText, branding.company.website].filter(Boolean).join(' • ');
+  return `
+    <div style="font-size: 8px; color: #6b7280; width: 100%; padding: 0 40px; display: flex; justify-content: space-between;">
+      <span>${escapeHtml(footerText || branding.company.name)}</span>
+      <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+    </div>`;
+}
+
+/**
+ * Print a detailed report as a paginated PDF
+ */
+export async function renderReportPdf(report: DetailedReport): Promise<Buffer> {
+  const branding = getBranding();
+  const html = renderReportHtml(report, branding, getPdfLogoDataUri(branding));
+  const { margins } = branding.pdf;
+  let browser: Browser | null = null;
+
+  try {
+    browser = await puppeteer.launch({
+      headless: 'new',
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-zygote'],
+      timeout: 30000,
+    });
+
+    const page = await browser.newPage();
+    // Screenshots are signed storage URLs, wait for them before printing
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: PDF_RENDER_TIMEOUT_MS });
+
+    const pdf = await page.pdf({
+      format: (branding.pdf.pageSize || 'A4') as PaperFormat,
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: renderFooterTemplate(branding),
+      margin: {
+        top: `${margins.top}pt`,
+        bottom: `${margins.bottom}pt`,
+        left: `${margins.left}pt`,
+        right: `${margins.right}pt`,
+      },
+      timeout: PDF_RENDER_TIMEOUT_MS,
+    });
+
+    return Buffer.from(pdf);
+  } catch (error: any) {
+    logger.error('PDF rendering failed', { analysisId: report.analysisId, error: error?.message });
+    throw new AppError('Failed to render PDF report', 500, true, 'PDF_RENDER_FAILED');
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
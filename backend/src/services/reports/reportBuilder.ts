@@ -0,0 +1,206 @@
+/**
+ * Report Builder
+ * Assembles free and detailed report payloads from an analysis and its issues
+ */
+
+import { calculateModuleScores, isSuppressed } from '@/services/analysis/scoring';
+
+export type ReportModule = 'accessibility' | 'seo' | 'performance';
+
+export interface ReportIssueRow {
+  id: string;
+  severity: string;
+  location_path?: string | null;
+  code_snippet?: string | null;
+  dom_path?: string | null;
+  wcag_criteria?: string | null;
+  message?: string | null;
+  fix_suggestion?: string | null;
+  screenshot_highlight?: unknown;
+  analysis_page_id?: string | null;
+  suppression_id?: string | null;
+  issue_suppressions?: {
+    id: string;
+    reason: string;
+    expires_at?: string | null;
+  } | null;
+  rules?: {
+    rule_key?: string;
+    name?: string;
+    description?: string | null;
+  } | null;
+}
+
+export interface ReportSource {
+  analysis: {
+    id: string;
+    status: string;
+    created_at: string;
+    completed_at?: string | null;
+    performance_metrics?: { score?: number } | null;
+    websites?: { id: string; url: string } | null;
+  };
+  issues: Record<ReportModule, ReportIssueRow[]>;
+  screenshots: Array<{ id: string; type: string; signed_url?: string | null }>;
+  pages: Array<{ id: string; page_index: number; url: string; flow_step?: string | null }>;
+}
+
+export interface SeverityCounts {
+  critical: number;
+  serious: number;
+  moderate: number;
+  minor: number;
+}
+
+export interface ReportRuleSummary {
+  ruleKey: string;
+  name: string;
+  severity: string;
+  occurrences: number;
+}
+
+export const REPORT_MODULES: ReportModule[] = ['accessibility', 'seo', 'performance'];
+
+// Free reports name the most pressing problems but leave out locations and fixes
+export const FREE_REPORT_TOP_ISSUES = 5;
+
+const SEVERITY_ORDER: Record<string, number> = { critical: 4, serious: 3, moderate: 2, minor: 1 };
+
+export function countBySeverity(issues: ReportIssueRow[]): SeverityCounts {
+  const counts: SeverityCounts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  issues.forEach(issue => {
+    if (issue.severity in counts) {
+      counts[issue.severity as keyof SeverityCounts]++;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Collapse issues into one entry per rule and severity, most severe and most frequent first
+ */
+export function summarizeRules(issues: ReportIssueRow[]): ReportRuleSummary[] {
+  const byRule = new Map<string, ReportRuleSummary>();
+
+  issues.forEach(issue => {
+    const ruleKey = issue.rules?.rule_key || 'unknown';
+    const groupKey = `${ruleKey}:${issue.severity}`;
+    const entry = byRule.get(groupKey);
+    if (entry) {
+      entry.occurrences++;
+    } else {
+      byRule.set(groupKey, {
+        ruleKey,
+        name: issue.rules?.name || ruleKey,
+        severity: issue.severity,
+        occurrences: 1,
+      });
+    }
+  });
+
+  return Array.from(byRule.values()).sort((a, b) =>
+    (SEVERITY_ORDER[b.severity] || 0) - (SEVERITY_ORDER[a.severity] || 0) || b.occurrences - a.occurrences
+  );
+}
+
+function buildReportHeader(source: ReportSource) {
+  const scores = calculateModuleScores(source.issues, {
+    performance: source.analysis.performance_metrics?.score,
+  });
+
+  return {
+    analysisId: source.analysis.id,
+    website: source.analysis.websites?.url || null,
+    status: source.analysis.status,
+    analyzedAt: source.analysis.completed_at || source.analysis.created_at,
+    pagesAnalyzed: Math.max(source.pages.length, 1),
+    scores,
+  };
+}
+
+/**
+ * Split issues into counted ones and those hidden by a suppression
+ */
+export function partitionSuppressed<T extends { suppression_id?: string | null }>(issues: T[]) {
+  return {
+    active: issues.filter(issue => !isSuppressed(issue)),
+    suppressed: issues.filter(issue => isSuppressed(issue)),
+  };
+}
+
+export function buildFreeReport(source: ReportSource) {
+  const active = Object.fromEntries(REPORT_MODULES.map(module => [
+    module,
+    partitionSuppressed(source.issues[module]).active,
+  ])) as Record<ReportModule, ReportIssueRow[]>;
+  const allIssues = REPORT_MODULES.flatMap(module => active[module]);
+  const totalSuppressed = REPORT_MODULES.reduce((sum, module) => sum + source.issues[module].length - active[module].length, 0);
+
+  return {
+    type: 'free' as const,
+    ...buildReportHeader(source),
+    summary: {
+      totalIssues: allIssues.length,
+      suppressedIssues: totalSuppressed,
+      severity: countBySeverity(allIssues),
+      modules: Object.fromEntries(REPORT_MODULES.map(module => [module, {
+        totalIssues: active[module].length,
+        severity: countBySeverity(active[module]),
+      }])) as Record<ReportModule, { totalIssues: number; severity: SeverityCounts }>,
+    },
+    topIssues: summarizeRules(allIssues).slice(0, FREE_REPORT_TOP_ISSUES),
+    screenshot: source.screenshots.find(s => s.type === 'desktop')?.signed_url || null,
+  };
+}
+
+export function buildDetailedReport(source: ReportSource) {
+  const pageUrls = new Map(source.pages.map(page => [page.id, page.url]));
+  const flowSteps = new Map(source.pages.map(page => [page.id, page.flow_step || null]));
+
+  const detailIssues = (issues: ReportIssueRow[]) => issues
+    .map(issue => ({
+      id: issue.id,
+      ruleKey: issue.rules?.rule_key || 'unknown',
+      rule: issue.rules?.name || null,
+      description: issue.rules?.description || null,
+      severity: issue.severity,
+      message: issue.message || null,
+      location: issue.location_path || null,
+      domPath: issue.dom_path || null,
+      codeSnippet: issue.code_snippet || null,
+      wcagCriteria: issue.wcag_criteria || null,
+      fixSuggestion: issue.fix_suggestion || null,
+      screenshotHighlight: issue.screenshot_highlight || null,
+      pageUrl: issue.analysis_page_id ? pageUrls.get(issue.analysis_page_id) || null : null,
+      flowStep: issue.analysis_page_id ? flowSteps.get(issue.analysis_page_id) || null : null,
+      suppression: issue.suppression_id
+        ? { id: issue.suppression_id, reason: issue.issue_suppressions?.reason || null }
+        : null,
+    }))
+    .sort((a, b) => (SEVERITY_ORDER[b.severity] || 0) - (SEVERITY_ORDER[a.severity] || 0));
+
+  return {
+    ...buildFreeReport(source),
+    type: 'detailed' as const,
+    // Suppressed issues are listed apart so it stays auditable what was left out of the scores
+    modules: Object.fromEntries(REPORT_MODULES.map(module => {
+      const { active, suppressed } = partitionSuppressed(source.issues[module]);
+      return [module, {
+        rules: summarizeRules(active),
+        issues: detailIssues(active),
+        suppressed: detailIssues(suppressed),
+      }];
+    })),
+    performance: source.analysis.performance_metrics || null,
+    pages: source.pages.map(page => ({
+      id: page.id,
+      index: page.page_index,
+      url: page.url,
+      flowStep: page.flow_step || null,
+    })),
+    screenshots: source.screenshots,
+  };
+}
+
+export type FreeReport = ReturnType<typeof buildFreeReport>;
+export type DetailedReport = ReturnType<typeof buildDetailedReport>;
@@ -0,0 +1,309 @@
+/**
+ * Report Service
+ * Loads report data, enforces report access and records generated reports
+ */
+
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import {
+  AppError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  PaymentRequiredError,
+  PlanFeature,
+  ReportType,
+} from '@/types';
+import { workspaceHasFeature } from '@/services/billing/entitlements';
+import { COMPLETED_ANALYSIS_STATUSES } from '@/services/analysis/analysisHistory';
+import {
+  REPORT_MODULES,
+  ReportIssueRow,
+  ReportModule,
+  ReportSource,
+  buildDetailedReport,
+  buildFreeReport,
+} from './reportBuilder';
+
+const logger = createLogger('report-service');
+
+const ISSUE_TABLES: Record<ReportModule, string> = {
+  accessibility: 'accessibility_issues',
+  seo: 'seo_issues',
+  performance: 'performance_issues',
+};
+
+const ISSUE_SELECT = `
+  id,
+  severity,
+  location_path,
+  code_snippet,
+  message,
+  fix_suggestion,
+  analysis_page_id,
+  suppression_id,
+  issue_suppressions (
+    id,
+    reason,
+    expires_at
+  ),
+  rules (
+    rule_key,
+    name,
+    description
+  )
+`;
+
+// Accessibility issues carry extra WCAG and highlight columns
+const ACCESSIBILITY_ISSUE_SELECT = `${ISSUE_SELECT}, dom_path, wcag_criteria, screenshot_highlight, evidence`;
+
+export type DetailedAccessSource = 'previously_unlocked' | 'plan' | 'credit';
+
+async function loadAnalysis(analysisId: string) {
+  const { data: analysis, error } = await supabase
+    .from('analyses')
+    .select(`
+      id,
+      status,
+      user_id,
+      created_at,
+      completed_at,
+      performance_metrics,
+      websites (
+        id,
+        url,
+        workspace_id
+      ),
+      analysis_jobs (
+        id
+      )
+    `)
+    .eq('id', analysisId)
+    .single();
+
+  if (error || !analysis) {
+    if (error && error.code !== 'PGRST116') {
+      throw new AppError('Failed to load analysis', 500, true, error.message);
+    }
+    throw new NotFoundError('Analysis not found');
+  }
+
+  return analysis as any;
+}
+
+async function assertWorkspaceAccess(userId: string, workspaceId: string, analysisUserId: string | null) {
+  if (analysisUserId === userId) return;
+
+  const { data: membership, error } = await supabase
+    .from('workspace_members')
+    .select('role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to verify workspace access', 500, true, error.message);
+  }
+  if (!membership) {
+    throw new AuthorizationError('You do not have access to this analysis');
+  }
+}
+
+async function loadIssues(module: ReportModule, jobIds: string[]): Promise<ReportIssueRow[]> {
+  if (jobIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(ISSUE_TABLES[module])
+    .select(module === 'accessibility' ? ACCESSIBILITY_ISSUE_SELECT : ISSUE_SELECT)
+    .in('analysis_job_id', jobIds);
+
+  if (error) {
+    throw new AppError(`Failed to load ${module} issues`, 500, true, error.message);
+  }
+  return (data || []) as unknown as ReportIssueRow[];
+}
+
+async function loadScreenshots(analysisId: string) {
+  const { data: screenshots, error } = await supabase
+    .from('screenshots')
+    .select('id, type, storage_bucket, storage_path')
+    .eq('analysis_id', analysisId);
+
+  if (error) {
+    logger.warn('Failed to load screenshots for report', { error, analysisId });
+    return [];
+  }
+
+  return Promise.all((screenshots || []).map(async screenshot => {
+    const { data } = await supabase.storage
+      .from(screenshot.storage_bucket)
+      .createSignedUrl(screenshot.storage_path, 3600);
+    return { id: screenshot.id, type: screenshot.type, signed_url: data?.signedUrl || null };
+  }));
+}
+
+async function loadPages(analysisId: string) {
+  const { data: pages, error } = await supabase
+    .from('analysis_pages')
+    .select('id, page_index, url, flow_step')
+    .eq('analysis_id', analysisId)
+    .order('page_index', { ascending: true });
+
+  if (error) {
+    logger.warn('Failed to load analysis pages for report', { error, analysisId });
+    return [];
+  }
+  return pages || [];
+}
+
+/**
+ * Load an analysis the user may read. Throws NotFoundError or AuthorizationError.
+ */
+export async function loadAuthorizedAnalysis(analysisId: string, userId: string) {
+  const analysis = await loadAnalysis(analysisId);
+  const workspaceId: string = analysis.websites?.workspace_id;
+
+  await assertWorkspaceAccess(userId, workspaceId, analysis.user_id);
+  return { analysis, workspaceId };
+}
+
+/**
+ * Load the issues, screenshots and pages of a completed analysis, including one where some
+ * modules failed. Throws ConflictError while the analysis is still running.
+ */
+export async function loadAnalysisReportSource(analysis: any): Promise<ReportSource> {
+  if (!COMPLETED_ANALYSIS_STATUSES.includes(analysis.status)) {
+    throw new ConflictError('Reports are available once the analysis has completed', 'ANALYSIS_NOT_COMPLETED');
+  }
+
+  const jobIds = (analysis.analysis_jobs || []).map((job: { id: string }) => job.id);
+  const [issueLists, screenshots, pages] = await Promise.all([
+    Promise.all(REPORT_MODULES.map(module => loadIssues(module, jobIds))),
+    loadScreenshots(analysis.id),
+    loadPages(analysis.id),
+  ]);
+
+  return {
+    analysis,
+    issues: Object.fromEntries(REPORT_MODULES.map((module, i) => [module, issueLists[i]])) as Record<ReportModule, ReportIssueRow[]>,
+    screenshots,
+    pages,
+  };
+}
+
+/**
+ * Load everything a report is built from, after checking the user's access
+ */
+export async function loadReportSource(analysisId: string, userId: string): Promise<ReportSource & { workspaceId: string }> {
+  const { analysis, workspaceId } = await loadAuthorizedAnalysis(analysisId, userId);
+  return { workspaceId, ...(await loadAnalysisReportSource(analysis)) };
+}
+
+/**
+ * Load an analysis for a public share link, without any user context
+ */
+export async function loadSharedReportSource(analysisId: string): Promise<ReportSource> {
+  return loadAnalysisReportSource(await loadAnalysis(analysisId));
+}
+
+export interface DetailedReportShare {
+  publicUrlKey: string;
+  expiresAt: string | null;
+  passwordHash: string | null;
+}
+
+/**
+ * Record a detailed report and decide how it is paid for. A detailed report that was unlocked
+ * once stays unlocked, plans with DETAILED_REPORTS never use credits, otherwise one credit is
+ * consumed. The check, the credit and the reports row are one transaction in
+ * unlock_detailed_report(), so concurrent requests cannot spend two credits on one analysis.
+ */
+export async function unlockDetailedReport(
+  analysisId: string,
+  workspaceId: string,
+  userId: string,
+  share?: DetailedReportShare
+): Promise<{ id: string; created_at: string; access: DetailedAccessSource }> {
+  const planIncludesDetailed = await workspaceHasFeature(workspaceId, PlanFeature.DETAILED_REPORTS);
+
+  const { data, error } = await supabase.rpc('unlock_detailed_report', {
+    p_analysis_id: analysisId,
+    p_workspace_id: workspaceId,
+    p_user_id: userId,
+    p_plan_includes_detailed: planIncludesDetailed,
+    p_public_url_key: share?.publicUrlKey ?? null,
+    p_share_expires_at: share?.expiresAt ?? null,
+    p_share_password_hash: share?.passwordHash ?? null,
+  });
+
+  if (error) {
+    throw new AppError('Failed to unlock detailed report', 500, true, error.message);
+  }
+
+  const unlocked = Array.isArray(data) ? data[0] : data;
+  if (!unlocked) {
+    throw new PaymentRequiredError(
+      'A detailed report requires a report credit or a plan that includes detailed reports',
+      'REPORT_CREDITS_REQUIRED'
+    );
+  }
+  return { id: unlocked.report_id, created_at: unlocked.report_created_at, access: unlocked.access };
+}
+
+/**
+ * Whether a workspace whose plan lacks DETAILED_REPORTS can still get the detailed report of
+ * an analysis: it was unlocked before or a report credit is left. unlockDetailedReport() makes
+ * the final decision.
+ */
+export async function canUnlockDetailedReport(analysisId: string, workspaceId: string): Promise<boolean> {
+  const [unlocked, credits] = await Promise.all([
+    supabase
+      .from('reports')
+      .select('id', { count: 'exact', head: true })
+      .eq('analysis_id', analysisId)
+      .eq('type', ReportType.DETAILED),
+    supabase
+      .from('report_credits')
+      .select('balance')
+      .eq('workspace_id', workspaceId)
+      .maybeSingle(),
+  ]);
+
+  if (unlocked.error || credits.error) {
+    throw new AppError('Failed to check report credits', 500, true, (unlocked.error || credits.error)!.message);
+  }
+  return (unlocked.count || 0) > 0 || (credits.data?.balance || 0) > 0;
+}
+
+export async function recordReport(analysisId: string, userId: string, type: ReportType) {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .insert({ analysis_id: analysisId, generated_by_user_id: userId, type })
+    .select('id, type, created_at')
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to record report', 500, true, error.message);
+  }
+  return report;
+}
+
+/**
+ * Build a report for the user, charging for detailed reports where needed
+ */
+export async function generateReport(analysisId: string, userId: string, type: ReportType) {
+  const source = await loadReportSource(analysisId, userId);
+
+  let access: DetailedAccessSource | null = null;
+  let report: { id: string; created_at: string };
+  if (type === ReportType.DETAILED) {
+    ({ access, ...report } = await unlockDetailedReport(analysisId, source.workspaceId, userId));
+  } else {
+    report = await recordReport(analysisId, userId, type);
+  }
+
+  const payload = type === ReportType.DETAILED ? buildDetailedReport(source) : buildFreeReport(source);
+
+  logger.info('Report generated', { analysisId, reportId: report.id, type, access });
+  return { reportId: report.id, generatedAt: report.created_at, access, ...payload };
+}
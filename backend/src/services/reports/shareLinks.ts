@@ -0,0 +1,245 @@
+/**
+ * Report Share Links
+ * Mints, resolves and revokes public report links stored in reports.public_url_key
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { config } from '@/config';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ReportType,
+  ValidationError,
+} from '@/types';
+import { COMPLETED_ANALYSIS_STATUSES } from '@/services/analysis/analysisHistory';
+import { buildDetailedReport, buildFreeReport } from './reportBuilder';
+import { loadAuthorizedAnalysis, loadSharedReportSource, unlockDetailedReport } from './reportService';
+
+const logger = createLogger('report-share-links');
+
+export const MAX_SHARE_DAYS = 365;
+export const MIN_SHARE_PASSWORD_LENGTH = 6;
+
+const SHARE_KEY_BYTES = 18;
+
+const SHARE_COLUMNS = 'id, analysis_id, type, public_url_key, share_expires_at, share_password_hash, share_revoked_at, share_view_count, created_at';
+
+export interface ShareLinkOptions {
+  type?: ReportType;
+  expiresInDays?: number | null;
+  expiresAt?: string | null;
+  password?: string | null;
+}
+
+export function generateShareKey(): string {
+  return crypto.randomBytes(SHARE_KEY_BYTES).toString('base64url');
+}
+
+/**
+ * Turn the requested expiry into an absolute date, or null for links that never expire
+ */
+export function resolveShareExpiry(options: Pick<ShareLinkOptions, 'expiresInDays' | 'expiresAt'>, now = new Date()): Date | null {
+  if (options.expiresAt) {
+    const expiresAt = new Date(options.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw new ValidationError('expiresAt must be an ISO date', 'INVALID_SHARE_EXPIRY');
+    }
+    if (expiresAt <= now) {
+      throw new ValidationError('expiresAt must be in the future', 'INVALID_SHARE_EXPIRY');
+    }
+    if (expiresAt.getTime() - now.getTime() > MAX_SHARE_DAYS * 86400000) {
+      throw new ValidationError(`Share links can be valid for at most ${MAX_SHARE_DAYS} days`, 'INVALID_SHARE_EXPIRY');
+    }
+    return expiresAt;
+  }
+
+  if (options.expiresInDays !== undefined && options.expiresInDays !== null) {
+    const days = Number(options.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+      throw new ValidationError(`expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}`, 'INVALID_SHARE_EXPIRY');
+    }
+    return new Date(now.getTime() + days * 86400000);
+  }
+
+  return null;
+}
+
+export function validateSharePassword(password: unknown): string | null {
+  if (password === undefined || password === null || password === '') return null;
+  if (typeof password !== 'string' || password.length < MIN_SHARE_PASSWORD_LENGTH || password.length > 128) {
+    throw new ValidationError(
+      `Share password must be between ${MIN_SHARE_PASSWORD_LENGTH} and 128 characters`,
+      'INVALID_SHARE_PASSWORD'
+    );
+  }
+  return password;
+}
+
+export function buildShareUrl(key: string): string {
+  return `${config.frontendUrl.replace(/\/$/, '')}/shared/${key}`;
+}
+
+function toShareLink(report: any) {
+  return {
+    reportId: report.id,
+    key: report.public_url_key,
+    url: buildShareUrl(report.public_url_key),
+    type: report.type,
+    expiresAt: report.share_expires_at,
+    passwordProtected: Boolean(report.share_password_hash),
+    revokedAt: report.share_revoked_at,
+    viewCount: report.share_view_count || 0,
+    createdAt: report.created_at,
+  };
+}
+
+/**
+ * Mint a share link for an analysis. Detailed links go through the same access rules
+ * as detailed reports.
+ */
+export async function createShareLink(analysisId: string, userId: string, options: ShareLinkOptions) {
+  const type = options.type || ReportType.FREE;
+  if (type !== ReportType.FREE && type !== ReportType.DETAILED) {
+    throw new ValidationError('type must be either "free" or "detailed"', 'INVALID_REPORT_TYPE');
+  }
+  const expiresAt = resolveShareExpiry(options);
+  const password = validateSharePassword(options.password);
+
+  const { analysis, workspaceId } = await loadAuthorizedAnalysis(analysisId, userId);
+  if (!COMPLETED_ANALYSIS_STATUSES.includes(analysis.status)) {
+    throw new ConflictError('Reports can be shared once the analysis has completed', 'ANALYSIS_NOT_COMPLETED');
+  }
+  const share = {
+    publicUrlKey: generateShareKey(),
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    passwordHash: password ? await bcrypt.hash(password, config.security.bcryptRounds) : null,
+  };
+
+  // Detailed links are unlocked and recorded in one step, like detailed reports
+  const query = type === ReportType.DETAILED
+    ? supabase
+      .from('reports')
+      .select(SHARE_COLUMNS)
+      .eq('id', (await unlockDetailedReport(analysisId, workspaceId, userId, share)).id)
+    : supabase
+      .from('reports')
+      .insert({
+        analysis_id: analysisId,
+        generated_by_user_id: userId,
+        type,
+        public_url_key: share.publicUrlKey,
+        share_expires_at: share.expiresAt,
+        share_password_hash: share.passwordHash,
+      })
+      .select(SHARE_COLUMNS);
+  const { data: report, error } = await query.single();
+
+  if (error) {
+    throw new AppError('Failed to create share link', 500, true, error.message);
+  }
+
+  logger.info('Report share link created', { analysisId, reportId: report.id, type, expiresAt, passwordProtected: Boolean(password) });
+  return toShareLink(report);
+}
+
+export async function listShareLinks(analysisId: string, userId: string) {
+  await loadAuthorizedAnalysis(analysisId, userId);
+
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select(SHARE_COLUMNS)
+    .eq('analysis_id', analysisId)
+    .not('public_url_key', 'is', null)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new AppError('Failed to load share links', 500, true, error.message);
+  }
+  return (reports || []).map(toShareLink);
+}
+
+async function findShareReport(key: string) {
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select(SHARE_COLUMNS)
+    .eq('public_url_key', key)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load share link', 500, true, error.message);
+  }
+  if (!report) {
+    throw new NotFoundError('Shared report not found', 'SHARE_NOT_FOUND');
+  }
+  return report;
+}
+
+export async function revokeShareLink(key: string, userId: string) {
+  const report = await findShareReport(key);
+  await loadAuthorizedAnalysis(report.analysis_id, userId);
+
+  if (report.share_revoked_at) {
+    return toShareLink(report);
+  }
+
+  const { data: revoked, error } = await supabase
+    .from('reports')
+    .update({ share_revoked_at: new Date().toISOString() })
+    .eq('id', report.id)
+    .select(SHARE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to revoke share link', 500, true, error.message);
+  }
+
+  logger.info('Report share link revoked', { reportId: report.id, analysisId: report.analysis_id });
+  return toShareLink(revoked);
+}
+
+/**
+ * Resolve a public share key into a read-only report. Revoked and unknown keys look the
+ * same to the caller so keys can't be probed.
+ */
+export async function resolveSharedReport(key: string, password?: string | null) {
+  const report = await findShareReport(key);
+
+  if (report.share_revoked_at) {
+    throw new NotFoundError('Shared report not found', 'SHARE_NOT_FOUND');
+  }
+  if (report.share_expires_at && new Date(report.share_expires_at) <= new Date()) {
+    throw new AppError('This share link has expired', 410, true, 'SHARE_EXPIRED');
+  }
+  if (report.share_password_hash) {
+    if (!password) {
+      throw new AuthenticationError('This report is password protected', 'SHARE_PASSWORD_REQUIRED');
+    }
+    if (!(await bcrypt.compare(password, report.share_password_hash))) {
+      throw new AuthenticationError('Incorrect password', 'SHARE_PASSWORD_INVALID');
+    }
+  }
+
+  const source = await loadSharedReportSource(report.analysis_id);
+  const payload = report.type === ReportType.DETAILED ? buildDetailedReport(source) : buildFreeReport(source);
+
+  const { error: viewError } = await supabase
+    .from('reports')
+    .update({ share_view_count: (report.share_view_count || 0) + 1 })
+    .eq('id', report.id);
+  if (viewError) {
+    logger.warn('Failed to count share link view', { error: viewError, reportId: report.id });
+  }
+
+  return {
+    ...payload,
+    shared: {
+      expiresAt: report.share_expires_at,
+      sharedAt: report.created_at,
+    },
+  };
+}
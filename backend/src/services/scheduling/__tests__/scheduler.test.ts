@@ -0,0 +1,137 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/lib/db/analysis', () => ({
+  createAnalysis: (...args: unknown[]) => mockCreateAnalysis(...args),
+}));
+jest.mock('@/lib/queue/master', () => ({
+  masterQueue: {
+    add: (...args: unknown[]) => mockQueueAdd(...args),
+  },
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { runDueSchedules, runSchedule } from '../scheduler';
+
+const mockFrom = jest.fn();
+const mockCreateAnalysis = jest.fn();
+const mockQueueAdd = jest.fn();
+
+const now = new Date('2025-09-22T03:00:30Z');
+
+const dueSchedule = {
+  id: 'schedule-1',
+  workspace_id: 'ws-1',
+  website_id: 'site-1',
+  created_by_user_id: 'user-1',
+  frequency: 'daily',
+  cron_expression: '0 3 * * *',
+  timezone: 'UTC',
+  crawl_options: null,
+  is_active: true,
+  next_run_at: '2025-09-22T03:00:00.000Z',
+  websites: { id: 'site-1', url: 'https://example.com' },
+};
+
+// analysis_schedules is queried to claim the run and again to record it
+function mockTables({ claimed = true, inFlight = [] as { id: string; created_at: string }[] } = {}) {
+  const claim = mockQuery({ data: claimed ? { id: dueSchedule.id } : null });
+  const record = mockQuery({});
+  const analyses = mockQuery({ data: inFlight });
+  let scheduleCalls = 0;
+
+  mockFrom.mockImplementation((table: string) => {
+    if (table === 'analyses') return analyses;
+    return scheduleCalls++ === 0 ? claim : record;
+  });
+  return { claim, record, analyses };
+}
+
+describe('Analysis scheduler', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockCreateAnalysis.mockReset().mockResolvedValue({ id: 'analysis-1' });
+    mockQueueAdd.mockReset().mockResolvedValue({ id: 'job-1' });
+  });
+
+  it('should claim the run by moving next_run_at forward', async () => {
+    const { claim, record } = mockTables();
+
+    await expect(runSchedule(dueSchedule, now)).resolves.toBe('started');
+
+    expect(claim.update).toHaveBeenCalledWith({
+      next_run_at: '2025-09-23T03:00:00.000Z',
+      last_run_at: now.toISOString(),
+    });
+    expect(claim.eq).toHaveBeenCalledWith('next_run_at', dueSchedule.next_run_at);
+    expect(mockCreateAnalysis).toHaveBeenCalledWith('site-1', 'user-1');
+    expect(mockQueueAdd).toHaveBeenCalledWith(
+      'master-analysis-job',
+      expect.objectContaining({
+        analysisId: 'analysis-1',
+        workspaceId: 'ws-1',
+        websiteId: 'site-1',
+        url: 'https://example.com',
+        scheduleId: 'schedule-1',
+      })
+    );
+    expect(record.update).toHaveBeenCalledWith(
+      expect.objectContaining({ last_run_status: 'started', last_analysis_id: 'analysis-1' })
+    );
+  });
+
+  it('should not start runs another instance already claimed', async () => {
+    mockTables({ claimed: false });
+
+    await expect(runSchedule(dueSchedule, now)).resolves.toBe('claimed_elsewhere');
+    expect(mockCreateAnalysis).not.toHaveBeenCalled();
+  });
+
+  it('should skip the run while an analysis of the website is in flight', async () => {
+    const { record, analyses } = mockTables({ inFlight: [{ id: 'analysis-0', created_at: '2025-09-22T02:50:00Z' }] });
+
+    await expect(runSchedule(dueSchedule, now)).resolves.toBe('skipped');
+
+    expect(analyses.in).toHaveBeenCalledWith('status', ['pending', 'processing']);
+    expect(mockQueueAdd).not.toHaveBeenCalled();
+    expect(record.update).toHaveBeenCalledWith(expect.objectContaining({
+      last_run_status: 'skipped',
+      last_run_error: 'An analysis of this website started at 2025-09-22T02:50:00Z was still running',
+    }));
+  });
+
+  it('should not let analyses stuck in flight block the schedule', async () => {
+    mockTables({ inFlight: [{ id: 'analysis-0', created_at: '2025-09-21T03:00:00Z' }] });
+
+    await expect(runSchedule(dueSchedule, now)).resolves.toBe('started');
+    expect(mockQueueAdd).toHaveBeenCalled();
+  });
+
+  it('should record failures to enqueue', async () => {
+    const { record } = mockTables();
+    mockQueueAdd.mockRejectedValue(new Error('Redis unavailable'));
+
+    await expect(runSchedule(dueSchedule, now)).resolves.toBe('failed');
+    expect(record.update).toHaveBeenCalledWith(
+      expect.objectContaining({ last_run_status: 'failed', last_run_error: 'Redis unavailable' })
+    );
+  });
+
+  it('should only load active schedules that are due', async () => {
+    const due = mockQuery({ data: [] });
+    mockFrom.mockReturnValue(due);
+
+    await expect(runDueSchedules(now)).resolves.toEqual([]);
+    expect(due.eq).toHaveBeenCalledWith('is_active', true);
+    expect(due.lte).toHaveBeenCalledWith('next_run_at', now.toISOString());
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import {
+  computeNextRun,
+  createSchedule,
+  describeCronExpression,
+  resolveScheduleTiming,
+  updateSchedule,
+} from '../schedules';
+
+const mockFrom = jest.fn();
+
+const scheduleRow = (overrides: Record<string, unknown> = {}) => ({
+  id: 'schedule-1',
+  workspace_id: 'ws-1',
+  website_id: 'site-1',
+  created_by_user_id: 'user-1',
+  frequency: 'weekly',
+  cron_expression: '30 4 * * 2',
+  timezone: 'UTC',
+  crawl_options: null,
+  is_active: true,
+  next_run_at: '2025-09-23T04:30:00.000Z',
+  websites: { id: 'site-1', url: 'https://example.com' },
+  ...overrides,
+});
+
+describe('Schedule timing', () => {
+  it('should store daily and weekly schedules as cron expressions', () => {
+    expect(resolveScheduleTiming({ frequency: 'daily', time: '07:15' })).toEqual({
+      frequency: 'daily',
+      timezone: 'UTC',
+      cronExpression: '15 7 * * *',
+    });
+    expect(resolveScheduleTiming({ frequency: 'weekly', time: '23:05', dayOfWeek: 5, timezone: 'Europe/Berlin' })).toEqual({
+      frequency: 'weekly',
+      timezone: 'Europe/Berlin',
+      cronExpression: '5 23 * * 5',
+    });
+  });
+
+  it('should default to 03:00 on Mondays', () => {
+    expect(resolveScheduleTiming({ frequency: 'weekly' }).cronExpression).toBe('0 3 * * 1');
+  });
+
+  it('should round-trip time and weekday for display', () => {
+    expect(describeCronExpression('weekly', '5 7 * * 0')).toEqual({ time: '07:05', dayOfWeek: 0 });
+    expect(describeCronExpression('cron', '0 6 * * 1-5')).toEqual({});
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => resolveScheduleTiming({ frequency: 'hourly' as any })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SCHEDULE_FREQUENCY' })
+    );
+    expect(() => resolveScheduleTiming({ frequency: 'daily', time: '25:00' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SCHEDULE_TIME' })
+    );
+    expect(() => resolveScheduleTiming({ frequency: 'weekly', dayOfWeek: 7 })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SCHEDULE_DAY' })
+    );
+    expect(() => resolveScheduleTiming({ frequency: 'daily', timezone: 'Mars/Olympus' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_SCHEDULE_TIMEZONE' })
+    );
+    expect(() => resolveScheduleTiming({ frequency: 'cron', cronExpression: '0 6 * *' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_CRON_EXPRESSION' })
+    );
+  });
+
+  it('should refuse cron expressions that run more than once an hour', () => {
+    expect(() => resolveScheduleTiming({ frequency: 'cron', cronExpression: '*/15 * * * *' })).toThrow(
+      expect.objectContaining({ code: 'SCHEDULE_TOO_FREQUENT' })
+    );
+    expect(resolveScheduleTiming({ frequency: 'cron', cronExpression: '0  6 * * 1-5' }).cronExpression).toBe('0 6 * * 1-5');
+  });
+
+  it('should compute the next run in the schedule time zone', () => {
+    const from = new Date('2025-09-19T12:00:00Z');
+
+    expect(computeNextRun('0 3 * * *', 'UTC', from).toISOString()).toBe('2025-09-20T03:00:00.000Z');
+    // 03:00 in Berlin is 01:00 UTC during summer time
+    expect(computeNextRun('0 3 * * *', 'Europe/Berlin', from).toISOString()).toBe('2025-09-20T01:00:00.000Z');
+  });
+});
+
+describe('Schedule CRUD', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+  });
+
+  it('should reject websites outside the workspace', async () => {
+    mockFrom.mockReturnValue(mockQuery({ data: null }));
+
+    await expect(createSchedule('ws-1', 'user-1', { websiteId: 'site-9', frequency: 'daily' })).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  it('should report a second schedule for the same website as a conflict', async () => {
+    mockFrom.mockImplementation((table: string) =>
+      table === 'websites'
+        ? mockQuery({ data: { id: 'site-1' } })
+        : mockQuery({ error: { code: '23505', message: 'duplicate key value' } })
+    );
+
+    await expect(createSchedule('ws-1', 'user-1', { websiteId: 'site-1', frequency: 'daily' })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'SCHEDULE_EXISTS',
+    });
+  });
+
+  it('should insert the resolved cron expression and first run', async () => {
+    const websites = mockQuery({ data: { id: 'site-1' } });
+    const schedules = mockQuery({ data: scheduleRow({ frequency: 'daily', cron_expression: '0 3 * * *' }) });
+    mockFrom.mockImplementation((table: string) => (table === 'websites' ? websites : schedules));
+
+    const schedule = await createSchedule('ws-1', 'user-1', { websiteId: 'site-1', frequency: 'daily' });
+
+    expect(schedules.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        website_id: 'site-1',
+        cron_expression: '0 3 * * *',
+        is_active: true,
+        next_run_at: expect.any(String),
+      })
+    );
+    expect(schedule).toMatchObject({ websiteUrl: 'https://example.com', time: '03:00', isActive: true });
+  });
+
+  it('should keep the weekday when only the time changes', async () => {
+    const query = mockQuery({ data: scheduleRow() });
+    mockFrom.mockReturnValue(query);
+
+    await updateSchedule('ws-1', 'schedule-1', { time: '06:00' });
+
+    expect(query.update).toHaveBeenCalledWith(
+      expect.objectContaining({ cron_expression: '0 6 * * 2', next_run_at: expect.any(String) })
+    );
+  });
+
+  it('should clear the next run when a schedule is paused', async () => {
+    const query = mockQuery({ data: scheduleRow() });
+    mockFrom.mockReturnValue(query);
+
+    await updateSchedule('ws-1', 'schedule-1', { isActive: false });
+
+    expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ is_active: false, next_run_at: null }));
+  });
+});
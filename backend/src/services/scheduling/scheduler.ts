@@ -0,0 +1,172 @@
+/**
+ * Analysis Scheduler
+ * A node-cron tick that starts analyses for schedules whose next_run_at has passed.
+ * Several backend instances can run the scheduler: a run is claimed by moving next_run_at
+ * forward with a conditional update, so only one instance starts it.
+ */
+
+import cron, { ScheduledTask } from 'node-cron';
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { createAnalysis } from '@/lib/db/analysis';
+import { masterQueue } from '@/lib/queue/master';
+import { resolveCrawlOptions } from '@/services/analysis/siteCrawl';
+import { SCHEDULE_COLUMNS, computeNextRun } from './schedules';
+
+const logger = createLogger('analysis-scheduler');
+
+export const SCHEDULER_TICK = '* * * * *';
+export const SCHEDULER_BATCH_SIZE = 50;
+
+const IN_FLIGHT_STATUSES = ['pending', 'processing'];
+// Analyses pending or processing for longer than this crashed or got stuck; they no longer
+// block the schedule. The longest crawl's fetcher timeout is under half an hour.
+export const STALE_ANALYSIS_MS = 2 * 60 * 60 * 1000;
+
+export type ScheduleRunOutcome = 'started' | 'skipped' | 'failed' | 'claimed_elsewhere';
+
+let task: ScheduledTask | null = null;
+let ticking = false;
+
+async function recordRun(scheduleId: string, updates: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('analysis_schedules')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', scheduleId);
+
+  if (error) {
+    logger.error('Failed to record schedule run', { error, scheduleId });
+  }
+}
+
+/**
+ * The newest analysis of the website that is still running, ignoring (and logging) analyses
+ * that have been in flight for longer than STALE_ANALYSIS_MS
+ */
+async function findAnalysisInFlight(websiteId: string, now: Date): Promise<{ id: string; created_at: string } | null> {
+  const { data, error } = await supabase
+    .from('analyses')
+    .select('id, created_at')
+    .eq('website_id', websiteId)
+    .in('status', IN_FLIGHT_STATUSES)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to check running analyses: ${error.message}`);
+  }
+
+  const cutoff = now.getTime() - STALE_ANALYSIS_MS;
+  const isStale = (analysis: { created_at: string }) => new Date(analysis.created_at).getTime() < cutoff;
+  const stale = (data || []).filter(isStale);
+  if (stale.length > 0) {
+    logger.warn('Ignoring analyses stuck in flight', { websiteId, analysisIds: stale.map(analysis => analysis.id) });
+  }
+  return (data || []).find(analysis => !isStale(analysis)) || null;
+}
+
+/**
+ * Claim and start one due schedule. Never throws; failures are recorded on the schedule.
+ */
+export async function runSchedule(schedule: any, now = new Date()): Promise<ScheduleRunOutcome> {
+  const nextRunAt = computeNextRun(schedule.cron_expression, schedule.timezone, now).toISOString();
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('analysis_schedules')
+    .update({ next_run_at: nextRunAt, last_run_at: now.toISOString() })
+    .eq('id', schedule.id)
+    .eq('next_run_at', schedule.next_run_at)
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    logger.error('Failed to claim schedule', { error: claimError, scheduleId: schedule.id });
+    return 'failed';
+  }
+  if (!claimed) {
+    return 'claimed_elsewhere';
+  }
+
+  try {
+    const inFlight = await findAnalysisInFlight(schedule.website_id, now);
+    if (inFlight) {
+      logger.info('Skipping scheduled analysis, previous run still in flight', {
+        scheduleId: schedule.id,
+        websiteId: schedule.website_id,
+        analysisId: inFlight.id,
+      });
+      await recordRun(schedule.id, {
+        last_run_status: 'skipped',
+        last_run_error: `An analysis of this website started at ${inFlight.created_at} was still running`,
+      });
+      return 'skipped';
+    }
+
+    const analysis = await createAnalysis(schedule.website_id, schedule.created_by_user_id);
+    await masterQueue.add('master-analysis-job', {
+      analysisId: analysis.id,
+      workspaceId: schedule.workspace_id,
+      websiteId: schedule.website_id,
+      userId: schedule.created_by_user_id,
+      url: schedule.websites?.url,
+      crawl: resolveCrawlOptions(schedule.crawl_options),
+      scheduleId: schedule.id,
+    });
+
+    await recordRun(schedule.id, { last_run_status: 'started', last_run_error: null, last_analysis_id: analysis.id });
+    logger.info('Scheduled analysis started', { scheduleId: schedule.id, analysisId: analysis.id, nextRunAt });
+    return 'started';
+  } catch (error) {
+    logger.error('Scheduled analysis failed to start', { error: (error as Error).message, scheduleId: schedule.id });
+    await recordRun(schedule.id, { last_run_status: 'failed', last_run_error: (error as Error).message });
+    return 'failed';
+  }
+}
+
+/**
+ * Start every active schedule that is due at `now`
+ */
+export async function runDueSchedules(now = new Date()) {
+  const { data: schedules, error } = await supabase
+    .from('analysis_schedules')
+    .select(SCHEDULE_COLUMNS)
+    .eq('is_active', true)
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(SCHEDULER_BATCH_SIZE);
+
+  if (error) {
+    logger.error('Failed to load due schedules', { error });
+    return [];
+  }
+
+  const outcomes: ScheduleRunOutcome[] = [];
+  for (const schedule of schedules || []) {
+    outcomes.push(await runSchedule(schedule, now));
+  }
+  return outcomes;
+}
+
+export function startScheduler() {
+  if (task) return task;
+
+  task = cron.schedule(SCHEDULER_TICK, async () => {
+    // A slow tick must not overlap with the next one
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runDueSchedules();
+    } finally {
+      ticking = false;
+    }
+  });
+
+  logger.info('Analysis scheduler started', { tick: SCHEDULER_TICK });
+  return task;
+}
+
+export function stopScheduler() {
+  if (!task) return;
+  task.stop();
+  task = null;
+  logger.info('Analysis scheduler stopped');
+}
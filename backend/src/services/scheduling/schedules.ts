@@ -0,0 +1,319 @@
+/**
+ * Analysis Schedules
+ * Validation, next-run calculation and CRUD for per-website recurring analyses
+ */
+
+import cron from 'node-cron';
+import { parseExpression } from 'cron-parser';
+import { supabase } from '@/config/supabase';
+import { AppError, ConflictError, CrawlOptions, NotFoundError, ValidationError } from '@/types';
+import { resolveCrawlOptions } from '@/services/analysis/siteCrawl';
+
+export type ScheduleFrequency = 'daily' | 'weekly' | 'cron';
+
+export const SCHEDULE_FREQUENCIES: ScheduleFrequency[] = ['daily', 'weekly', 'cron'];
+export const DEFAULT_SCHEDULE_TIME = '03:00';
+export const DEFAULT_SCHEDULE_DAY_OF_WEEK = 1; // Monday
+export const MIN_SCHEDULE_INTERVAL_MINUTES = 60;
+
+export const SCHEDULE_COLUMNS = `
+  id,
+  workspace_id,
+  website_id,
+  created_by_user_id,
+  frequency,
+  cron_expression,
+  timezone,
+  crawl_options,
+  is_active,
+  next_run_at,
+  last_run_at,
+  last_run_status,
+  last_run_error,
+  last_analysis_id,
+  created_at,
+  updated_at,
+  websites (
+    id,
+    url
+  )
+`;
+
+export interface ScheduleInput {
+  websiteId?: string;
+  frequency?: ScheduleFrequency;
+  time?: string; // HH:MM for daily and weekly schedules
+  dayOfWeek?: number; // 0 = Sunday, weekly schedules only
+  cronExpression?: string; // Five-field cron, frequency "cron" only
+  timezone?: string;
+  crawl?: Partial<CrawlOptions> | null;
+  isActive?: boolean;
+}
+
+export interface ScheduleTiming {
+  frequency: ScheduleFrequency;
+  cronExpression: string;
+  timezone: string;
+}
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+export function validateTimezone(timezone: unknown): string {
+  if (timezone === undefined || timezone === null || timezone === '') return 'UTC';
+  if (typeof timezone !== 'string') {
+    throw new ValidationError('timezone must be an IANA time zone such as "Europe/Berlin"', 'INVALID_SCHEDULE_TIMEZONE');
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new ValidationError(`Unknown time zone "${timezone}"`, 'INVALID_SCHEDULE_TIMEZONE');
+  }
+  return timezone;
+}
+
+/**
+ * Next time a cron expression fires after `from`, evaluated in `timezone`
+ */
+export function computeNextRun(cronExpression: string, timezone: string, from = new Date()): Date {
+  return parseExpression(cronExpression, { currentDate: from, tz: timezone }).next().toDate();
+}
+
+function validateCronExpression(expression: unknown, timezone: string): string {
+  const normalized = typeof expression === 'string' ? expression.trim().replace(/\s+/g, ' ') : '';
+  if (!normalized || normalized.split(' ').length !== 5 || !cron.validate(normalized)) {
+    throw new ValidationError(
+      'cronExpression must be a five-field cron expression (minute hour day month weekday)',
+      'INVALID_CRON_EXPRESSION'
+    );
+  }
+
+  // Analyses take minutes and cost a crawl each; refuse schedules that would overlap constantly
+  const iterator = parseExpression(normalized, { currentDate: new Date('2025-01-01T00:00:00Z'), tz: timezone });
+  let previous = iterator.next().toDate();
+  for (let i = 0; i < 24; i++) {
+    const next = iterator.next().toDate();
+    if (next.getTime() - previous.getTime() < MIN_SCHEDULE_INTERVAL_MINUTES * 60000) {
+      throw new ValidationError(
+        `Schedules may run at most once every ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes`,
+        'SCHEDULE_TOO_FREQUENT'
+      );
+    }
+    previous = next;
+  }
+  return normalized;
+}
+
+function parseTime(time: unknown): [number, number] {
+  const match = TIME_PATTERN.exec(typeof time === 'string' ? time : DEFAULT_SCHEDULE_TIME);
+  if (!match) {
+    throw new ValidationError('time must use the 24-hour HH:MM format', 'INVALID_SCHEDULE_TIME');
+  }
+  return [Number(match[1]), Number(match[2])];
+}
+
+/**
+ * Turn daily/weekly/cron input into the cron expression that is stored and evaluated
+ */
+export function resolveScheduleTiming(input: ScheduleInput): ScheduleTiming {
+  const frequency = input.frequency;
+  if (!frequency || !SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw new ValidationError(`frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`, 'INVALID_SCHEDULE_FREQUENCY');
+  }
+  const timezone = validateTimezone(input.timezone);
+
+  if (frequency === 'cron') {
+    return { frequency, timezone, cronExpression: validateCronExpression(input.cronExpression, timezone) };
+  }
+
+  const [hour, minute] = parseTime(input.time ?? DEFAULT_SCHEDULE_TIME);
+  if (frequency === 'daily') {
+    return { frequency, timezone, cronExpression: `${minute} ${hour} * * *` };
+  }
+
+  const dayOfWeek = input.dayOfWeek ?? DEFAULT_SCHEDULE_DAY_OF_WEEK;
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    throw new ValidationError('dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)', 'INVALID_SCHEDULE_DAY');
+  }
+  return { frequency, timezone, cronExpression: `${minute} ${hour} * * ${dayOfWeek}` };
+}
+
+/**
+ * Recover time and weekday of daily and weekly schedules from their stored cron expression
+ */
+export function describeCronExpression(frequency: ScheduleFrequency, cronExpression: string) {
+  if (frequency === 'cron') return {};
+
+  const [minute, hour, , , dayOfWeek] = cronExpression.split(' ');
+  return {
+    time: `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`,
+    ...(frequency === 'weekly' ? { dayOfWeek: Number(dayOfWeek) } : {}),
+  };
+}
+
+export function toSchedule(row: any) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    websiteId: row.website_id,
+    websiteUrl: row.websites?.url || null,
+    frequency: row.frequency as ScheduleFrequency,
+    ...describeCronExpression(row.frequency, row.cron_expression),
+    cronExpression: row.cron_expression,
+    timezone: row.timezone,
+    crawl: row.crawl_options,
+    isActive: row.is_active,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastRunStatus: row.last_run_status,
+    lastRunError: row.last_run_error,
+    lastAnalysisId: row.last_analysis_id,
+    createdBy: row.created_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toCrawlColumn(crawl: ScheduleInput['crawl']) {
+  return crawl ? resolveCrawlOptions(crawl) : null;
+}
+
+async function loadScheduleRow(workspaceId: string, scheduleId: string) {
+  const { data: schedule, error } = await supabase
+    .from('analysis_schedules')
+    .select(SCHEDULE_COLUMNS)
+    .eq('id', scheduleId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load schedule', 500, true, error.message);
+  }
+  if (!schedule) {
+    throw new NotFoundError('Schedule not found');
+  }
+  return schedule as any;
+}
+
+export async function listSchedules(workspaceId: string) {
+  const { data: schedules, error } = await supabase
+    .from('analysis_schedules')
+    .select(SCHEDULE_COLUMNS)
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new AppError('Failed to load schedules', 500, true, error.message);
+  }
+  return (schedules || []).map(toSchedule);
+}
+
+export async function getSchedule(workspaceId: string, scheduleId: string) {
+  return toSchedule(await loadScheduleRow(workspaceId, scheduleId));
+}
+
+export async function createSchedule(workspaceId: string, userId: string, input: ScheduleInput) {
+  if (!input.websiteId) {
+    throw new ValidationError('websiteId is required', 'WEBSITE_REQUIRED');
+  }
+  const timing = resolveScheduleTiming(input);
+
+  const { data: website, error: websiteError } = await supabase
+    .from('websites')
+    .select('id')
+    .eq('id', input.websiteId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (websiteError) {
+    throw new AppError('Failed to load website', 500, true, websiteError.message);
+  }
+  if (!website) {
+    throw new NotFoundError('Website not found in this workspace');
+  }
+
+  const isActive = input.isActive ?? true;
+  const { data: schedule, error } = await supabase
+    .from('analysis_schedules')
+    .insert({
+      workspace_id: workspaceId,
+      website_id: website.id,
+      created_by_user_id: userId,
+      frequency: timing.frequency,
+      cron_expression: timing.cronExpression,
+      timezone: timing.timezone,
+      crawl_options: toCrawlColumn(input.crawl),
+      is_active: isActive,
+      next_run_at: isActive ? computeNextRun(timing.cronExpression, timing.timezone).toISOString() : null,
+    })
+    .select(SCHEDULE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('This website already has a schedule', 'SCHEDULE_EXISTS');
+    }
+    throw new AppError('Failed to create schedule', 500, true, error.message);
+  }
+  return toSchedule(schedule);
+}
+
+/**
+ * Update timing, crawl options or the active flag. Omitted fields keep their current value.
+ */
+export async function updateSchedule(workspaceId: string, scheduleId: string, input: ScheduleInput) {
+  const current = await loadScheduleRow(workspaceId, scheduleId);
+  const currentTiming = describeCronExpression(current.frequency, current.cron_expression) as { time?: string; dayOfWeek?: number };
+
+  const timing = resolveScheduleTiming({
+    frequency: input.frequency ?? current.frequency,
+    time: input.time ?? currentTiming.time,
+    dayOfWeek: input.dayOfWeek ?? currentTiming.dayOfWeek,
+    cronExpression: input.cronExpression ?? current.cron_expression,
+    timezone: input.timezone ?? current.timezone,
+  });
+  const isActive = input.isActive ?? current.is_active;
+  const timingChanged = timing.cronExpression !== current.cron_expression || timing.timezone !== current.timezone;
+
+  const updates: Record<string, unknown> = {
+    frequency: timing.frequency,
+    cron_expression: timing.cronExpression,
+    timezone: timing.timezone,
+    is_active: isActive,
+    updated_at: new Date().toISOString(),
+  };
+  if (input.crawl !== undefined) {
+    updates.crawl_options = toCrawlColumn(input.crawl);
+  }
+  if (!isActive) {
+    updates.next_run_at = null;
+  } else if (timingChanged || !current.is_active || !current.next_run_at) {
+    updates.next_run_at = computeNextRun(timing.cronExpression, timing.timezone).toISOString();
+  }
+
+  const { data: schedule, error } = await supabase
+    .from('analysis_schedules')
+    .update(updates)
+    .eq('id', scheduleId)
+    .eq('workspace_id', workspaceId)
+    .select(SCHEDULE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to update schedule', 500, true, error.message);
+  }
+  return toSchedule(schedule);
+}
+
+export async function deleteSchedule(workspaceId: string, scheduleId: string) {
+  await loadScheduleRow(workspaceId, scheduleId);
+
+  const { error } = await supabase
+    .from('analysis_schedules')
+    .delete()
+    .eq('id', scheduleId)
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    throw new AppError('Failed to delete schedule', 500, true, error.message);
+  }
+}
@@ -0,0 +1,187 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/services/analysis/analysisComparison', () => ({
+  FINGERPRINT_PATTERN: /^[0-9a-f]{40}$/,
+  loadFingerprintedIssues: (...args: unknown[]) => mockLoadFingerprintedIssues(...args),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import { calculateImprovedScore } from '@/services/analysis/scoring';
+import {
+  SuppressionRow,
+  applySuppressions,
+  createSuppression,
+  findSuppression,
+  matchesSuppression,
+  validateSuppressionInput,
+} from '../issueSuppressions';
+
+const mockFrom = jest.fn();
+const mockLoadFingerprintedIssues = jest.fn();
+
+const FINGERPRINT = 'a'.repeat(40);
+const NOW = new Date('2025-09-26T12:00:00Z');
+
+const suppression = (overrides: Partial<SuppressionRow> = {}): SuppressionRow => ({
+  id: 'suppression-1',
+  website_id: null,
+  rule_key: null,
+  selector_pattern: null,
+  url_pattern: null,
+  fingerprint: null,
+  expires_at: null,
+  ...overrides,
+});
+
+const issue = (overrides: Record<string, unknown> = {}) => ({
+  fingerprint: FINGERPRINT,
+  issueId: 'issue-1',
+  ruleKey: 'ACC_CLR_04_COLOR_ONLY_MEANING',
+  selector: 'html > body > footer#site-footer > p.legal',
+  pageUrl: 'https://example.com/blog/post-1',
+  suppressionId: null,
+  ...overrides,
+});
+
+describe('Issue suppressions', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockLoadFingerprintedIssues.mockReset();
+  });
+
+  describe('matchesSuppression', () => {
+    it('should require every configured matcher to match', () => {
+      const rule = suppression({ rule_key: 'ACC_CLR_04_COLOR_ONLY_MEANING', url_pattern: 'https://example.com/blog/*' });
+
+      expect(matchesSuppression(rule, issue())).toBe(true);
+      expect(matchesSuppression(rule, issue({ pageUrl: 'https://example.com/shop' }))).toBe(false);
+      expect(matchesSuppression(rule, issue({ ruleKey: 'ACC_IMG_01_ALT_TEXT_MISSING' }))).toBe(false);
+    });
+
+    it('should match selector globs anywhere and URL globs against the whole URL', () => {
+      expect(matchesSuppression(suppression({ selector_pattern: '#site-footer*' }), issue())).toBe(true);
+      expect(matchesSuppression(suppression({ selector_pattern: '#header*' }), issue())).toBe(false);
+      expect(matchesSuppression(suppression({ url_pattern: 'https://example.com/blog' }), issue())).toBe(false);
+      // Regex characters in patterns are literal
+      expect(matchesSuppression(suppression({ selector_pattern: 'p.legal' }), issue({ selector: 'p-legal' }))).toBe(false);
+    });
+
+    it('should match single issues by fingerprint', () => {
+      const rules = [suppression({ id: 'other', fingerprint: 'b'.repeat(40) }), suppression({ fingerprint: FINGERPRINT })];
+      expect(findSuppression(rules, issue())?.id).toBe('suppression-1');
+    });
+  });
+
+  describe('validateSuppressionInput', () => {
+    it('should require a matcher and a reason', () => {
+      expect(() => validateSuppressionInput({ reason: 'Noisy' })).toThrow(
+        expect.objectContaining({ code: 'SUPPRESSION_MATCHER_REQUIRED' })
+      );
+      expect(() => validateSuppressionInput({ ruleKey: 'ACC_CLR_04_COLOR_ONLY_MEANING', reason: ' ' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_SUPPRESSION_REASON' })
+      );
+      expect(() => validateSuppressionInput({ fingerprint: 'not-a-fingerprint', reason: 'Noisy' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_FINGERPRINT' })
+      );
+    });
+
+    it('should only accept expiry dates in the future', () => {
+      expect(() => validateSuppressionInput(
+        { ruleKey: 'ACC_CLR_04_COLOR_ONLY_MEANING', reason: 'Noisy', expiresAt: '2025-09-01T00:00:00Z' },
+        NOW
+      )).toThrow(expect.objectContaining({ code: 'INVALID_SUPPRESSION_EXPIRY' }));
+
+      expect(validateSuppressionInput(
+        { ruleKey: ' ACC_CLR_04_COLOR_ONLY_MEANING ', reason: 'Noisy', expiresAt: '2025-12-31T00:00:00Z' },
+        NOW
+      )).toEqual({
+        rule_key: 'ACC_CLR_04_COLOR_ONLY_MEANING',
+        selector_pattern: null,
+        url_pattern: null,
+        fingerprint: null,
+        reason: 'Noisy',
+        expires_at: '2025-12-31T00:00:00.000Z',
+      });
+    });
+  });
+
+  it('should refuse suppressions for websites of other workspaces', async () => {
+    mockFrom.mockImplementation(() => mockQuery({ data: null }));
+
+    await expect(createSuppression('ws-1', 'user-1', {
+      websiteId: 'site-2',
+      ruleKey: 'ACC_CLR_04_COLOR_ONLY_MEANING',
+      reason: 'Noisy',
+    })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  describe('applySuppressions', () => {
+    it('should mark matching issues and unmark issues whose suppression no longer applies', async () => {
+      const updates: Record<string, any[]> = {};
+      mockFrom.mockImplementation((table: string) => {
+        if (table === 'analyses') {
+          return mockQuery({
+            data: { id: 'analysis-1', websites: { id: 'site-1', url: 'https://example.com', workspace_id: 'ws-1' }, analysis_jobs: [{ id: 'job-1' }] },
+          });
+        }
+        if (table === 'issue_suppressions') {
+          return mockQuery({
+            data: [
+              suppression({ id: 'expired', selector_pattern: 'footer', expires_at: '2025-09-01T00:00:00Z' }),
+              suppression({ id: 'color-only', rule_key: 'ACC_CLR_04_COLOR_ONLY_MEANING' }),
+            ],
+          });
+        }
+        const query = mockQuery({ data: null });
+        updates[table] = [...(updates[table] || []), query];
+        return query;
+      });
+      mockLoadFingerprintedIssues.mockResolvedValue({
+        accessibility: [
+          issue({ issueId: 'a1' }),
+          issue({ issueId: 'a2', suppressionId: 'color-only' }),
+          issue({ issueId: 'a3', ruleKey: 'ACC_IMG_01_ALT_TEXT_MISSING', suppressionId: 'expired' }),
+          issue({ issueId: 'a4', ruleKey: 'ACC_IMG_01_ALT_TEXT_MISSING' }),
+        ],
+        seo: [],
+        performance: [],
+      });
+
+      await expect(applySuppressions('analysis-1', { now: NOW })).resolves.toBe(2);
+
+      const [mark, unmark] = updates.accessibility_issues;
+      expect(mark.update).toHaveBeenCalledWith({ suppression_id: 'color-only' });
+      expect(mark.in).toHaveBeenCalledWith('id', ['a1']);
+      expect(unmark.update).toHaveBeenCalledWith({ suppression_id: null });
+      expect(unmark.in).toHaveBeenCalledWith('id', ['a3']);
+      expect(updates.seo_issues).toBeUndefined();
+    });
+
+    it('should refuse analyses of other workspaces', async () => {
+      mockFrom.mockImplementation(() => mockQuery({
+        data: { id: 'analysis-1', websites: { id: 'site-1', url: 'https://example.com', workspace_id: 'ws-2' }, analysis_jobs: [] },
+      }));
+
+      await expect(applySuppressions('analysis-1', { workspaceId: 'ws-1' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  it('should leave suppressed issues out of scores', () => {
+    const issues = [
+      { severity: 'critical', rules: { rule_key: 'ACC_IMG_01_ALT_TEXT_MISSING' } },
+      { severity: 'serious', rules: { rule_key: 'ACC_CLR_04_COLOR_ONLY_MEANING' }, suppression_id: 'color-only' },
+    ];
+    expect(calculateImprovedScore(issues)).toBe(calculateImprovedScore([issues[0]]));
+    expect(calculateImprovedScore([issues[1]])).toBe(100);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Issue Suppressions
+ * Workspace- or website-scoped rules for known false positives. Matching issues are marked with the
+ * suppression instead of being deleted, so reports can still list them and scores leave them out.
+ */
+
+import { supabase } from '@/config/supabase';
+import { createLogger } from '@/config/logger';
+import { AppError, NotFoundError, ValidationError } from '@/types';
+import { ISSUE_TABLES } from '@/services/analysis/analysisHistory';
+import { ComparedIssue, FINGERPRINT_PATTERN, loadFingerprintedIssues } from '@/services/analysis/analysisComparison';
+import { REPORT_MODULES } from '@/services/reports/reportBuilder';
+
+const logger = createLogger('issue-suppressions');
+
+export const MAX_SUPPRESSION_REASON_LENGTH = 500;
+export const MAX_SUPPRESSION_PATTERN_LENGTH = 500;
+
+// Issue ids per update request, so the id list stays well below URL length limits
+const UPDATE_BATCH_SIZE = 200;
+
+const SUPPRESSION_COLUMNS = `
+  id,
+  workspace_id,
+  website_id,
+  rule_key,
+  selector_pattern,
+  url_pattern,
+  fingerprint,
+  reason,
+  expires_at,
+  created_by_user_id,
+  created_at,
+  updated_at
+`;
+
+export interface SuppressionInput {
+  websiteId?: string | null;
+  ruleKey?: string | null;
+  selectorPattern?: string | null;
+  urlPattern?: string | null;
+  fingerprint?: string | null;
+  reason?: string;
+  expiresAt?: string | null;
+}
+
+export interface SuppressionRow {
+  id: string;
+  website_id: string | null;
+  rule_key: string | null;
+  selector_pattern: string | null;
+  url_pattern: string | null;
+  fingerprint: string | null;
+  expires_at: string | null;
+}
+
+export interface SuppressibleIssue {
+  ruleKey: string;
+  selector: string | null;
+  pageUrl: string | null;
+  fingerprint: string;
+}
+
+export function toSuppression(row: any) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    websiteId: row.website_id,
+    ruleKey: row.rule_key,
+    selectorPattern: row.selector_pattern,
+    urlPattern: row.url_pattern,
+    fingerprint: row.fingerprint,
+    reason: row.reason,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Compile a glob where `*` matches any run of characters. Anchored globs must match the whole
+ * value, unanchored ones anywhere in it.
+ */
+export function globToRegExp(pattern: string, anchored: boolean): RegExp {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(anchored ? `^${source}$` : source, 'i');
+}
+
+export function isActiveSuppression(suppression: Pick<SuppressionRow, 'expires_at'>, now = new Date()): boolean {
+  return !suppression.expires_at || new Date(suppression.expires_at).getTime() > now.getTime();
+}
+
+/**
+ * Every matcher set on the suppression has to match the issue
+ */
+export function matchesSuppression(suppression: SuppressionRow, issue: SuppressibleIssue): boolean {
+  if (suppression.rule_key && suppression.rule_key !== issue.ruleKey) return false;
+  if (suppression.fingerprint && suppression.fingerprint !== issue.fingerprint) return false;
+  if (suppression.selector_pattern && !globToRegExp(suppression.selector_pattern, false).test(issue.selector || '')) {
+    return false;
+  }
+  if (suppression.url_pattern && !globToRegExp(suppression.url_pattern, true).test(issue.pageUrl || '')) {
+    return false;
+  }
+  return true;
+}
+
+export function findSuppression(suppressions: SuppressionRow[], issue: SuppressibleIssue): SuppressionRow | null {
+  return suppressions.find(suppression => matchesSuppression(suppression, issue)) || null;
+}
+
+function optionalText(value: unknown, field: string, code: string): string | null {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_SUPPRESSION_PATTERN_LENGTH) {
+    throw new ValidationError(`${field} must be a string of at most ${MAX_SUPPRESSION_PATTERN_LENGTH} characters`, code);
+  }
+  return value.trim() || null;
+}
+
+function validateReason(reason: unknown): string {
+  const trimmed = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmed || trimmed.length > MAX_SUPPRESSION_REASON_LENGTH) {
+    throw new ValidationError(
+      `reason is required and may be at most ${MAX_SUPPRESSION_REASON_LENGTH} characters`,
+      'INVALID_SUPPRESSION_REASON'
+    );
+  }
+  return trimmed;
+}
+
+function validateExpiry(expiresAt: unknown, now = new Date()): string | null {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') return null;
+  const date = typeof expiresAt === 'string' ? new Date(expiresAt) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.getTime() <= now.getTime()) {
+    throw new ValidationError('expiresAt must be a date in the future', 'INVALID_SUPPRESSION_EXPIRY');
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate the matchers of a new suppression. At least one of ruleKey, selectorPattern,
+ * urlPattern or fingerprint is required so a suppression can never hide every issue.
+ */
+export function validateSuppressionInput(input: SuppressionInput, now = new Date()) {
+  const matchers = {
+    rule_key: optionalText(input.ruleKey, 'ruleKey', 'INVALID_SUPPRESSION_RULE'),
+    selector_pattern: optionalText(input.selectorPattern, 'selectorPattern', 'INVALID_SUPPRESSION_PATTERN'),
+    url_pattern: optionalText(input.urlPattern, 'urlPattern', 'INVALID_SUPPRESSION_PATTERN'),
+    fingerprint: optionalText(input.fingerprint, 'fingerprint', 'INVALID_FINGERPRINT'),
+  };
+
+  if (matchers.fingerprint && !FINGERPRINT_PATTERN.test(matchers.fingerprint)) {
+    throw new ValidationError('Invalid issue fingerprint', 'INVALID_FINGERPRINT');
+  }
+  if (Object.values(matchers).every(value => value === null)) {
+    throw new ValidationError(
+      'A suppression needs at least one of ruleKey, selectorPattern, urlPattern or fingerprint',
+      'SUPPRESSION_MATCHER_REQUIRED'
+    );
+  }
+
+  return {
+    ...matchers,
+    reason: validateReason(input.reason),
+    expires_at: validateExpiry(input.expiresAt, now),
+  };
+}
+
+async function assertWebsiteInWorkspace(workspaceId: string, websiteId: string) {
+  const { data: website, error } = await supabase
+    .from('websites')
+    .select('id')
+    .eq('id', websiteId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load website', 500, true, error.message);
+  }
+  if (!website) {
+    throw new NotFoundError('Website not found in this workspace');
+  }
+}
+
+export async function listSuppressions(
+  workspaceId: string,
+  options: { websiteId?: string; includeExpired?: boolean } = {}
+) {
+  const { data, error } = await supabase
+    .from('issue_suppressions')
+    .select(SUPPRESSION_COLUMNS)
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new AppError('Failed to load suppressions', 500, true, error.message);
+  }
+
+  const now = new Date();
+  return (data || [])
+    .filter(row => !options.websiteId || !row.website_id || row.website_id === options.websiteId)
+    .filter(row => options.includeExpired || isActiveSuppression(row, now))
+    .map(toSuppression);
+}
+
+export async function createSuppression(workspaceId: string, userId: string, input: SuppressionInput) {
+  const values = validateSuppressionInput(input);
+  if (input.websiteId) {
+    await assertWebsiteInWorkspace(workspaceId, input.websiteId);
+  }
+
+  const { data: suppression, error } = await supabase
+    .from('issue_suppressions')
+    .insert({
+      ...values,
+      workspace_id: workspaceId,
+      website_id: input.websiteId || null,
+      created_by_user_id: userId,
+    })
+    .select(SUPPRESSION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to create suppression', 500, true, error.message);
+  }
+  return toSuppression(suppression);
+}
+
+/**
+ * Change the reason or expiry of a suppression. Matchers are fixed once created so the
+ * audit trail of already suppressed issues stays meaningful.
+ */
+export async function updateSuppression(
+  workspaceId: string,
+  suppressionId: string,
+  input: Pick<SuppressionInput, 'reason' | 'expiresAt'>
+) {
+  const updates: Record<string, unknown> = { updated_at: new Date().toISOString() };
+  if (input.reason !== undefined) {
+    updates.reason = validateReason(input.reason);
+  }
+  if (input.expiresAt !== undefined) {
+    updates.expires_at = validateExpiry(input.expiresAt);
+  }
+
+  const { data: suppression, error } = await supabase
+    .from('issue_suppressions')
+    .update(updates)
+    .eq('id', suppressionId)
+    .eq('workspace_id', workspaceId)
+    .select(SUPPRESSION_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to update suppression', 500, true, error.message);
+  }
+  if (!suppression) {
+    throw new NotFoundError('Suppression not found');
+  }
+  return toSuppression(suppression);
+}
+
+export async function deleteSuppression(workspaceId: string, suppressionId: string) {
+  const { data: deleted, error } = await supabase
+    .from('issue_suppressions')
+    .delete()
+    .eq('id', suppressionId)
+    .eq('workspace_id', workspaceId)
+    .select('id');
+
+  if (error) {
+    throw new AppError('Failed to delete suppression', 500, true, error.message);
+  }
+  if (!deleted || deleted.length === 0) {
+    throw new NotFoundError('Suppression not found');
+  }
+}
+
+/**
+ * Unexpired suppressions of the workspace that apply to the website
+ */
+export async function loadActiveSuppressions(workspaceId: string, websiteId: string, now = new Date()): Promise<SuppressionRow[]> {
+  const { data, error } = await supabase
+    .from('issue_suppressions')
+    .select(SUPPRESSION_COLUMNS)
+    .eq('workspace_id', workspaceId)
+    .or(`website_id.is.null,website_id.eq.${websiteId}`)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new AppError('Failed to load suppressions', 500, true, error.message);
+  }
+  return ((data || []) as SuppressionRow[]).filter(row => isActiveSuppression(row, now));
+}
+
+async function setSuppression(table: string, suppressionId: string | null, issueIds: string[]) {
+  for (let i = 0; i < issueIds.length; i += UPDATE_BATCH_SIZE) {
+    const { error } = await supabase
+      .from(table)
+      .update({ suppression_id: suppressionId })
+      .in('id', issueIds.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new AppError('Failed to mark suppressed issues', 500, true, error.message);
+    }
+  }
+}
+
+/**
+ * Mark the issues of an analysis with the suppression that matches them, and unmark issues
+ * whose suppression no longer applies. Runs when an analysis completes and can be repeated
+ * after suppressions change. Pass `workspaceId` to refuse analyses of other workspaces.
+ * Returns the number of suppressed issues.
+ */
+export async function applySuppressions(
+  analysisId: string,
+  options: { workspaceId?: string; now?: Date } = {}
+): Promise<number> {
+  const { data: analysis, error } = await supabase
+    .from('analyses')
+    .select('id, websites (id, url, workspace_id), analysis_jobs (id)')
+    .eq('id', analysisId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load analysis', 500, true, error.message);
+  }
+  if (!analysis) {
+    throw new NotFoundError('Analysis not found');
+  }
+
+  const website = (analysis as any).websites;
+  if (options.workspaceId && website?.workspace_id !== options.workspaceId) {
+    throw new NotFoundError('Analysis not found');
+  }
+  if (!website?.workspace_id) return 0;
+
+  const suppressions = await loadActiveSuppressions(website.workspace_id, website.id, options.now);
+  const issuesByModule = await loadFingerprintedIssues(analysis as any);
+
+  let suppressed = 0;
+  for (const module of REPORT_MODULES) {
+    const changes = new Map<string | null, string[]>();
+
+    issuesByModule[module].forEach((issue: ComparedIssue) => {
+      // Single-page analyses may have issues without a page; they belong to the website URL
+      const match = findSuppression(suppressions, { ...issue, pageUrl: issue.pageUrl || website.url });
+      const target = match?.id || null;
+      if (target) suppressed++;
+      if (target !== issue.suppressionId) {
+        changes.set(target, [...(changes.get(target) || []), issue.issueId]);
+      }
+    });
+
+    for (const [suppressionId, issueIds] of changes) {
+      await setSuppression(ISSUE_TABLES[module], suppressionId, issueIds);
+    }
+  }
+
+  if (suppressions.length > 0) {
+    logger.info('Suppressions applied', { analysisId, suppressions: suppressions.length, suppressedIssues: suppressed });
+  }
+  return suppressed;
+}
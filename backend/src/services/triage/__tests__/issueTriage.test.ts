@@ -0,0 +1,167 @@
+jest.mock('@/config/supabase', () => ({
+  supabase: {
+    from: (table: string) => mockFrom(table),
+  },
+}));
+jest.mock('@/config/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+jest.mock('@/services/analysis/analysisComparison', () => ({
+  FINGERPRINT_PATTERN: /^[0-9a-f]{40}$/,
+  loadFingerprintedIssues: (...args: unknown[]) => mockLoadFingerprintedIssues(...args),
+}));
+
+import { mockQuery } from '@/test/supabaseMock';
+import {
+  addIssueComment,
+  deleteIssueComment,
+  listIssuesWithTriage,
+  updateIssueTriage,
+} from '../issueTriage';
+
+const mockFrom = jest.fn();
+const mockLoadFingerprintedIssues = jest.fn();
+
+const FINGERPRINT = 'a'.repeat(40);
+const OTHER_FINGERPRINT = 'b'.repeat(40);
+
+const triageRow = (overrides: Record<string, unknown> = {}) => ({
+  id: 'triage-1',
+  fingerprint: FINGERPRINT,
+  module: 'accessibility',
+  rule_key: 'IMG_ALT',
+  status: 'in_progress',
+  assignee_user_id: 'user-2',
+  updated_by_user_id: 'user-1',
+  updated_at: '2025-09-24T10:00:00Z',
+  issue_comments: [{ count: 2 }],
+  ...overrides,
+});
+
+function mockTables(tables: Record<string, any>) {
+  mockFrom.mockImplementation((table: string) => tables[table] || mockQuery({ data: null }));
+}
+
+describe('Issue triage', () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+    mockLoadFingerprintedIssues.mockReset();
+  });
+
+  it('should attach triage state to the issues of the latest analysis', async () => {
+    const analyses = mockQuery({ data: { id: 'analysis-1', status: 'completed', created_at: '2025-09-24T03:00:00Z', analysis_jobs: [] } });
+    mockTables({
+      websites: mockQuery({ data: { id: 'site-1' } }),
+      analyses,
+      issue_triage: mockQuery({ data: [triageRow()] }),
+    });
+    mockLoadFingerprintedIssues.mockResolvedValue({
+      accessibility: [{ fingerprint: FINGERPRINT, ruleKey: 'IMG_ALT' }, { fingerprint: OTHER_FINGERPRINT, ruleKey: 'LINK_NAME' }],
+      seo: [],
+      performance: [],
+    });
+
+    const result = await listIssuesWithTriage('ws-1', 'site-1');
+
+    expect(analyses.in).toHaveBeenCalledWith('status', ['completed', 'completed_with_errors']);
+    expect(result.issues).toEqual([
+      expect.objectContaining({
+        fingerprint: FINGERPRINT,
+        module: 'accessibility',
+        triage: expect.objectContaining({ status: 'in_progress', assigneeId: 'user-2', commentCount: 2 }),
+      }),
+      expect.objectContaining({ fingerprint: OTHER_FINGERPRINT, triage: expect.objectContaining({ status: 'open', id: null }) }),
+    ]);
+    expect(result.statusCounts).toMatchObject({ open: 1, in_progress: 1, fixed: 0 });
+  });
+
+  it('should report websites without a completed analysis', async () => {
+    mockTables({ websites: mockQuery({ data: { id: 'site-1' } }), analyses: mockQuery({ data: null }) });
+
+    await expect(listIssuesWithTriage('ws-1', 'site-1')).rejects.toMatchObject({ code: 'NO_COMPLETED_ANALYSIS' });
+  });
+
+  it('should create triage records on first update', async () => {
+    const triage = mockQuery({ data: null });
+    triage.single.mockResolvedValue({ data: triageRow({ status: 'wont_fix', assignee_user_id: null }), error: null });
+    mockTables({ websites: mockQuery({ data: { id: 'site-1' } }), issue_triage: triage });
+
+    const result = await updateIssueTriage('ws-1', 'site-1', FINGERPRINT, 'user-1', {
+      module: 'accessibility',
+      ruleKey: 'IMG_ALT',
+      status: 'wont_fix',
+    });
+
+    expect(triage.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      workspace_id: 'ws-1',
+      website_id: 'site-1',
+      fingerprint: FINGERPRINT,
+      module: 'accessibility',
+      rule_key: 'IMG_ALT',
+      status: 'wont_fix',
+      assignee_user_id: null,
+      updated_by_user_id: 'user-1',
+    }), { onConflict: 'website_id,fingerprint' });
+    expect(result.status).toBe('wont_fix');
+  });
+
+  it('should keep the assignee when only the status changes', async () => {
+    const triage = mockQuery({ data: triageRow() });
+    mockTables({ websites: mockQuery({ data: { id: 'site-1' } }), issue_triage: triage });
+
+    await updateIssueTriage('ws-1', 'site-1', FINGERPRINT, 'user-1', { status: 'fixed' });
+
+    expect(triage.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'fixed', assignee_user_id: 'user-2', module: 'accessibility' }),
+      expect.anything()
+    );
+  });
+
+  it('should reject invalid input', async () => {
+    mockTables({
+      websites: mockQuery({ data: { id: 'site-1' } }),
+      workspace_members: mockQuery({ data: null }),
+      issue_triage: mockQuery({ data: null }),
+    });
+
+    await expect(updateIssueTriage('ws-1', 'site-1', 'not-a-fingerprint', 'user-1', { status: 'fixed' }))
+      .rejects.toMatchObject({ code: 'INVALID_FINGERPRINT' });
+    await expect(updateIssueTriage('ws-1', 'site-1', FINGERPRINT, 'user-1', { status: 'done' as any }))
+      .rejects.toMatchObject({ code: 'INVALID_TRIAGE_STATUS' });
+    await expect(updateIssueTriage('ws-1', 'site-1', FINGERPRINT, 'user-1', { assigneeId: 'outsider' }))
+      .rejects.toMatchObject({ code: 'INVALID_ASSIGNEE' });
+    await expect(updateIssueTriage('ws-1', 'site-1', FINGERPRINT, 'user-1', { status: 'fixed' }))
+      .rejects.toMatchObject({ code: 'INVALID_MODULE' });
+  });
+
+  it('should add comments to existing triage records', async () => {
+    const comments = mockQuery({
+      data: { id: 'comment-1', body: 'Fixed in the next release', created_at: '2025-09-24T11:00:00Z', users: { id: 'user-1', full_name: 'Sam Lee' } },
+    });
+    mockTables({
+      websites: mockQuery({ data: { id: 'site-1' } }),
+      issue_triage: mockQuery({ data: triageRow() }),
+      issue_comments: comments,
+    });
+
+    const comment = await addIssueComment('ws-1', 'site-1', FINGERPRINT, 'user-1', { body: '  Fixed in the next release ' });
+
+    expect(comments.insert).toHaveBeenCalledWith({
+      triage_id: 'triage-1',
+      workspace_id: 'ws-1',
+      author_user_id: 'user-1',
+      body: 'Fixed in the next release',
+    });
+    expect(comment.author).toEqual({ id: 'user-1', name: 'Sam Lee' });
+  });
+
+  it('should only let authors delete comments', async () => {
+    mockTables({ issue_comments: mockQuery({ data: { id: 'comment-1', author_user_id: 'user-2' } }) });
+
+    await expect(deleteIssueComment('ws-1', 'comment-1', 'user-1')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
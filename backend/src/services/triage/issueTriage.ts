@@ -0,0 +1,300 @@
+/**
+ * Issue Triage
+ * Status, assignee and comments for issues. Issue rows are written once per analysis, so triage is
+ * stored per website and issue fingerprint and applies to the same issue in every later run.
+ */
+
+import { supabase } from '@/config/supabase';
+import { AppError, AuthorizationError, NotFoundError, ValidationError } from '@/types';
+import { COMPLETED_ANALYSIS_STATUSES } from '@/services/analysis/analysisHistory';
+import { FINGERPRINT_PATTERN, loadFingerprintedIssues } from '@/services/analysis/analysisComparison';
+import { REPORT_MODULES, ReportModule } from '@/services/reports/reportBuilder';
+
+export type TriageStatus = 'open' | 'in_progress' | 'fixed' | 'wont_fix' | 'false_positive';
+
+export const TRIAGE_STATUSES: TriageStatus[] = ['open', 'in_progress', 'fixed', 'wont_fix', 'false_positive'];
+export const MAX_COMMENT_LENGTH = 5000;
+
+const COMMENT_COLUMNS = `
+  id,
+  body,
+  created_at,
+  author_user_id,
+  users (
+    id,
+    full_name,
+    email
+  )
+`;
+
+export interface TriageInput {
+  module?: ReportModule;
+  ruleKey?: string;
+  status?: TriageStatus;
+  assigneeId?: string | null;
+}
+
+export function toTriage(row: any) {
+  return {
+    id: row.id,
+    status: row.status as TriageStatus,
+    assigneeId: row.assignee_user_id,
+    updatedBy: row.updated_by_user_id,
+    updatedAt: row.updated_at,
+    commentCount: row.issue_comments?.[0]?.count ?? 0,
+  };
+}
+
+const UNTRIAGED = { id: null, status: 'open' as TriageStatus, assigneeId: null, updatedBy: null, updatedAt: null, commentCount: 0 };
+
+function toComment(row: any) {
+  return {
+    id: row.id,
+    body: row.body,
+    createdAt: row.created_at,
+    author: row.users
+      ? { id: row.users.id, name: row.users.full_name || row.users.email }
+      : { id: row.author_user_id, name: null },
+  };
+}
+
+function assertFingerprint(fingerprint: string) {
+  if (!FINGERPRINT_PATTERN.test(fingerprint)) {
+    throw new ValidationError('Invalid issue fingerprint', 'INVALID_FINGERPRINT');
+  }
+}
+
+async function assertWebsiteInWorkspace(workspaceId: string, websiteId: string) {
+  const { data: website, error } = await supabase
+    .from('websites')
+    .select('id')
+    .eq('id', websiteId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load website', 500, true, error.message);
+  }
+  if (!website) {
+    throw new NotFoundError('Website not found in this workspace');
+  }
+}
+
+async function assertWorkspaceMember(workspaceId: string, userId: string) {
+  const { data: member, error } = await supabase
+    .from('workspace_members')
+    .select('user_id')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to verify assignee', 500, true, error.message);
+  }
+  if (!member) {
+    throw new ValidationError('Issues can only be assigned to members of the workspace', 'INVALID_ASSIGNEE');
+  }
+}
+
+async function loadTriageRow(websiteId: string, fingerprint: string) {
+  const { data, error } = await supabase
+    .from('issue_triage')
+    .select('*, issue_comments(count)')
+    .eq('website_id', websiteId)
+    .eq('fingerprint', fingerprint)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load issue triage', 500, true, error.message);
+  }
+  return data as any;
+}
+
+async function loadAnalysisOfWebsite(websiteId: string, analysisId?: string) {
+  let query = supabase
+    .from('analyses')
+    .select('id, status, created_at, analysis_jobs (id)')
+    .eq('website_id', websiteId);
+
+  query = analysisId
+    ? query.eq('id', analysisId)
+    : query.in('status', COMPLETED_ANALYSIS_STATUSES).order('created_at', { ascending: false }).limit(1);
+
+  const { data: analysis, error } = await query.maybeSingle();
+  if (error) {
+    throw new AppError('Failed to load analysis', 500, true, error.message);
+  }
+  if (!analysis) {
+    throw analysisId
+      ? new NotFoundError('Analysis not found for this website')
+      : new NotFoundError('This website has no completed analysis yet', 'NO_COMPLETED_ANALYSIS');
+  }
+  return analysis as any;
+}
+
+/**
+ * Issues of an analysis (the latest completed one by default) with their triage state
+ */
+export async function listIssuesWithTriage(workspaceId: string, websiteId: string, analysisId?: string) {
+  await assertWebsiteInWorkspace(workspaceId, websiteId);
+  const analysis = await loadAnalysisOfWebsite(websiteId, analysisId);
+
+  const [issues, { data: triageRows, error }] = await Promise.all([
+    loadFingerprintedIssues(analysis),
+    supabase
+      .from('issue_triage')
+      .select('*, issue_comments(count)')
+      .eq('website_id', websiteId),
+  ]);
+
+  if (error) {
+    throw new AppError('Failed to load issue triage', 500, true, error.message);
+  }
+
+  const triageByFingerprint = new Map((triageRows || []).map((row: any) => [row.fingerprint, toTriage(row)]));
+  const rows = REPORT_MODULES.flatMap(module => issues[module].map(issue => ({
+    ...issue,
+    module,
+    triage: triageByFingerprint.get(issue.fingerprint) || UNTRIAGED,
+  })));
+
+  const statusCounts = Object.fromEntries(TRIAGE_STATUSES.map(status => [status, 0])) as Record<TriageStatus, number>;
+  rows.forEach(row => statusCounts[row.triage.status]++);
+
+  return {
+    analysis: { id: analysis.id, status: analysis.status, createdAt: analysis.created_at },
+    statusCounts,
+    issues: rows,
+  };
+}
+
+/**
+ * Create or update the triage record of an issue. Omitted fields keep their current value;
+ * assigneeId null unassigns.
+ */
+export async function updateIssueTriage(
+  workspaceId: string,
+  websiteId: string,
+  fingerprint: string,
+  userId: string,
+  input: TriageInput
+) {
+  assertFingerprint(fingerprint);
+  await assertWebsiteInWorkspace(workspaceId, websiteId);
+
+  if (input.status !== undefined && !TRIAGE_STATUSES.includes(input.status)) {
+    throw new ValidationError(`status must be one of: ${TRIAGE_STATUSES.join(', ')}`, 'INVALID_TRIAGE_STATUS');
+  }
+  if (input.assigneeId) {
+    await assertWorkspaceMember(workspaceId, input.assigneeId);
+  }
+
+  const current = await loadTriageRow(websiteId, fingerprint);
+  const module = current?.module ?? input.module;
+  if (!module || !REPORT_MODULES.includes(module)) {
+    throw new ValidationError(`module must be one of: ${REPORT_MODULES.join(', ')}`, 'INVALID_MODULE');
+  }
+
+  const { data, error } = await supabase
+    .from('issue_triage')
+    .upsert({
+      workspace_id: workspaceId,
+      website_id: websiteId,
+      fingerprint,
+      module,
+      rule_key: current?.rule_key ?? input.ruleKey ?? null,
+      status: input.status ?? current?.status ?? 'open',
+      assignee_user_id: input.assigneeId !== undefined ? input.assigneeId : current?.assignee_user_id ?? null,
+      updated_by_user_id: userId,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'website_id,fingerprint' })
+    .select('*, issue_comments(count)')
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to update issue triage', 500, true, error.message);
+  }
+  return toTriage(data);
+}
+
+export async function listIssueComments(workspaceId: string, websiteId: string, fingerprint: string) {
+  assertFingerprint(fingerprint);
+  await assertWebsiteInWorkspace(workspaceId, websiteId);
+
+  const triage = await loadTriageRow(websiteId, fingerprint);
+  if (!triage) return [];
+
+  const { data, error } = await supabase
+    .from('issue_comments')
+    .select(COMMENT_COLUMNS)
+    .eq('triage_id', triage.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new AppError('Failed to load comments', 500, true, error.message);
+  }
+  return (data || []).map(toComment);
+}
+
+/**
+ * Comment on an issue. The first comment on an untriaged issue creates its triage record.
+ */
+export async function addIssueComment(
+  workspaceId: string,
+  websiteId: string,
+  fingerprint: string,
+  userId: string,
+  input: { body?: string; module?: ReportModule; ruleKey?: string }
+) {
+  const body = typeof input.body === 'string' ? input.body.trim() : '';
+  if (!body || body.length > MAX_COMMENT_LENGTH) {
+    throw new ValidationError(`Comments must be between 1 and ${MAX_COMMENT_LENGTH} characters`, 'INVALID_COMMENT');
+  }
+
+  assertFingerprint(fingerprint);
+  let triage = await loadTriageRow(websiteId, fingerprint);
+  if (!triage) {
+    triage = await updateIssueTriage(workspaceId, websiteId, fingerprint, userId, { module: input.module, ruleKey: input.ruleKey });
+  } else {
+    await assertWebsiteInWorkspace(workspaceId, websiteId);
+  }
+
+  const { data, error } = await supabase
+    .from('issue_comments')
+    .insert({ triage_id: triage.id, workspace_id: workspaceId, author_user_id: userId, body })
+    .select(COMMENT_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new AppError('Failed to add comment', 500, true, error.message);
+  }
+  return toComment(data);
+}
+
+export async function deleteIssueComment(workspaceId: string, commentId: string, userId: string) {
+  const { data: comment, error } = await supabase
+    .from('issue_comments')
+    .select('id, author_user_id')
+    .eq('id', commentId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new AppError('Failed to load comment', 500, true, error.message);
+  }
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+  if (comment.author_user_id !== userId) {
+    throw new AuthorizationError('Only the author can delete a comment');
+  }
+
+  const { error: deleteError } = await supabase
+    .from('issue_comments')
+    .delete()
+    .eq('id', commentId);
+
+  if (deleteError) {
+    throw new AppError('Failed to delete comment', 500, true, deleteError.message);
+  }
+}
@@ -0,0 +1,14 @@
+// Chainable stand-in for a supabase query builder. Every filter returns the same object and
+// awaiting it (or calling single/maybeSingle) resolves to `result`.
+export function mockQuery(result: { data?: unknown; error?: unknown; count?: number } = {}) {
+  const resolved = { data: null, error: null, ...result };
+  const query: any = {
+    then: (resolve: any, reject: any) => Promise.resolve(resolved).then(resolve, reject),
+    single: jest.fn(() => Promise.resolve(resolved)),
+    maybeSingle: jest.fn(() => Promise.resolve(resolved)),
+  };
+  ['select', 'eq', 'neq', 'in', 'or', 'not', 'is', 'gt', 'gte', 'lt', 'lte', 'order', 'limit', 'insert', 'update', 'upsert', 'delete'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+}
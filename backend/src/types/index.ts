@@ -40,6 +40,7 @@ export interface Analysis {
   accessibilityScore?: number;
   seoScore?: number;
   performanceScore?: number;
+  performanceMetrics?: Record<string, unknown>; // Lighthouse summary written by the performance worker
   createdAt: Date;
   completedAt?: Date;
 }
@@ -54,6 +55,50 @@ export interface AnalysisJob {
   completedAt?: Date;
 }
 
+export interface AnalysisPage {
+  id: string;
+  analysisId: string;
+  pageIndex: number;
+  url: string;
+  depth: number;
+  source: CrawlPageSource;
+  flowStep?: string | null; // Snapshot name for pages captured by a user flow
+  assetPath: string;
+  statusCode?: number;
+  analyzersTotal: number;
+  completedAnalyzers: string[];
+  overallScore?: number;
+  accessibilityScore?: number;
+  seoScore?: number;
+  performanceScore?: number;
+  performanceMetrics?: Record<string, unknown>;
+  createdAt: Date;
+}
+
+export interface CrawlOptions {
+  enabled: boolean;
+  maxPages: number;
+  maxDepth: number;
+  includePatterns: string[];
+  excludePatterns: string[];
+  useSitemap: boolean;
+}
+
+export type CrawlPageSource = 'root' | 'link' | 'sitemap' | 'flow';
+
+export type UserFlowStep =
+  | { action: 'navigate'; url: string }
+  | { action: 'click'; selector: string }
+  | { action: 'type'; selector: string; text: string; clear?: boolean }
+  | { action: 'waitForSelector'; selector: string; visible?: boolean; timeoutMs?: number }
+  | { action: 'snapshot'; name: string };
+
+// Scripted journey run by the fetcher; every snapshot step is analyzed like a page
+export interface UserFlow {
+  name: string;
+  steps: UserFlowStep[];
+}
+
 export interface Screenshot {
   id: string;
   analysisId: string;
@@ -118,6 +163,7 @@ export interface ComplianceStandard {
 export interface BaseIssue {
   id: string;
   analysisJobId: string;
+  analysisPageId?: string;
   ruleId: string;
   severity: IssueSeverity;
   locationPath?: string;
@@ -128,7 +174,9 @@ export interface BaseIssue {
   createdAt: Date;
 }
 
-export interface AccessibilityIssue extends BaseIssue {}
+export interface AccessibilityIssue extends BaseIssue {
+  evidence?: IssueEvidence;
+}
 export interface SeoIssue extends BaseIssue {}
 export interface PerformanceIssue extends BaseIssue {}
 
@@ -138,6 +186,17 @@ export interface ScreenshotHighlight {
   y: number;
   width: number;
   height: number;
+  viewportWidth?: number;
+  viewportHeight?: number;
+  otherScreenshots?: ScreenshotHighlight[]; // Same element on the mobile screenshot
+}
+
+// Screenshots of the form before and after the validation probe submitted it
+export interface IssueEvidence {
+  kind: 'form_probe';
+  scenario: 'empty' | 'invalid';
+  beforeScreenshotId: string | null;
+  afterScreenshotId: string | null;
 }
 
 // Billing types
@@ -253,6 +312,13 @@ export enum SubscriptionStatus {
   TRIALING = 'trialing',
 }
 
+// Keys stored in plan_features.feature_key
+export enum PlanFeature {
+  DETAILED_REPORTS = 'DETAILED_REPORTS',
+  API_ACCESS = 'API_ACCESS',
+  AUTO_FIXES = 'AUTO_FIXES',
+}
+
 export enum ReportType {
   FREE = 'free',
   DETAILED = 'detailed',
@@ -269,6 +335,8 @@ export enum ScreenshotType {
   MOBILE = 'mobile',
   TABLET = 'tablet',
   FULL_PAGE = 'full_page',
+  FOCUS_PATH = 'focus_path',
+  FORM_PROBE = 'form_probe',
 }
 
 export enum WCAGLevel {
@@ -359,6 +427,8 @@ export interface MasterJobData extends QueueJobData {
 export interface FetcherJobData extends QueueJobData {
   url: string;
   screenshotTypes: ScreenshotType[];
+  crawl?: CrawlOptions;
+  flow?: UserFlow;
 }
 
 export interface AnalyzerJobData extends QueueJobData {
@@ -388,6 +458,23 @@ export interface AppConfig {
     webhookSecret: string;
     successUrl: string;
     cancelUrl: string;
+    apiBase?: string;
+  };
+  scheduler: {
+    enabled: boolean;
+  };
+  email: {
+    smtpHost: string;
+    smtpPort: number;
+    smtpUser?: string;
+    smtpPass?: string;
+    from: string;
+  };
+  regressions: {
+    scoreDropThreshold: number;
+  };
+  notifications: {
+    webhookTimeout: number;
   };
   openai: {
     apiKey: string;
@@ -400,6 +487,7 @@ export interface AppConfig {
     jwtSecret: string;
     jwtExpiresIn: string;
     bcryptRounds: number;
+    encryptionKey: string;
   };
   logging: {
     level: string;
@@ -419,6 +507,7 @@ export class AppError extends Error {
   statusCode: number;
   isOperational: boolean;
   code?: string;
+  details?: Record<string, unknown>; // Extra fields returned to the client alongside code
 
   constructor(message: string, statusCode: number, isOperational = true, code?: string) {
     super(message);
@@ -466,6 +555,13 @@ export class PaymentRequiredError extends AppError {
   }
 }
 
+export class FeatureNotInPlanError extends PaymentRequiredError {
+  constructor(feature: string, details: Record<string, unknown> = {}) {
+    super(`Your current plan does not include ${feature}`, 'FEATURE_NOT_IN_PLAN');
+    this.details = { feature, ...details };
+  }
+}
+
 export class RateLimitError extends AppError {
   constructor(message = 'Rate limit exceeded', code?: string) {
     super(message, 429, true, code);
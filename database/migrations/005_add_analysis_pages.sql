@@ -0,0 +1,69 @@
+-- Migration: Add per-page tracking for multi-page site crawls
+-- Date: 2025-09-08
+-- Description: Adds analysis_pages (one row per captured page, index 0 is the requested URL),
+--              links issues to the page they were found on and tracks per-page analyzer progress
+
+CREATE TABLE IF NOT EXISTS analysis_pages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  analysis_id UUID NOT NULL REFERENCES analyses(id) ON DELETE CASCADE,
+  page_index INT NOT NULL, -- 0 = requested URL, 1..n = crawled pages
+  url TEXT NOT NULL,
+  depth INT NOT NULL DEFAULT 0, -- Link distance from the requested URL
+  source TEXT NOT NULL DEFAULT 'root' CHECK (source IN ('root', 'link', 'sitemap')),
+  asset_path TEXT NOT NULL, -- Storage prefix holding html/index.html, meta/* and metadata.json
+  status_code INT,
+  analyzers_total INT NOT NULL DEFAULT 0,
+  completed_analyzers TEXT[] NOT NULL DEFAULT '{}',
+  overall_score INT,
+  accessibility_score INT,
+  seo_score INT,
+  performance_score INT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (analysis_id, page_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_pages_analysis_id ON analysis_pages(analysis_id);
+
+-- Link issues to the page they were found on (NULL for analyses created before crawl support)
+ALTER TABLE accessibility_issues
+ADD COLUMN IF NOT EXISTS analysis_page_id UUID REFERENCES analysis_pages(id) ON DELETE CASCADE;
+
+ALTER TABLE seo_issues
+ADD COLUMN IF NOT EXISTS analysis_page_id UUID REFERENCES analysis_pages(id) ON DELETE CASCADE;
+
+ALTER TABLE performance_issues
+ADD COLUMN IF NOT EXISTS analysis_page_id UUID REFERENCES analysis_pages(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_accessibility_issues_page_id ON accessibility_issues(analysis_page_id);
+CREATE INDEX IF NOT EXISTS idx_seo_issues_page_id ON seo_issues(analysis_page_id);
+CREATE INDEX IF NOT EXISTS idx_performance_issues_page_id ON performance_issues(analysis_page_id);
+
+-- Record that an analyzer finished a page. Stored as a set so job retries are only counted once.
+CREATE OR REPLACE FUNCTION mark_analysis_page_analyzer_done(
+  p_page_id UUID,
+  p_analyzer TEXT
+) RETURNS VOID AS $$
+BEGIN
+  UPDATE analysis_pages
+  SET completed_analyzers = array_append(completed_analyzers, p_analyzer)
+  WHERE id = p_page_id
+    AND NOT (p_analyzer = ANY(completed_analyzers));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Row Level Security
+ALTER TABLE analysis_pages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Workspace members can view analysis pages" ON analysis_pages;
+CREATE POLICY "Workspace members can view analysis pages" ON analysis_pages
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM analyses a
+      JOIN websites w ON a.website_id = w.id
+      JOIN workspace_members wm ON w.workspace_id = wm.workspace_id
+      WHERE a.id = analysis_pages.analysis_id AND wm.user_id = auth.uid()
+    )
+  );
+
+COMMENT ON TABLE analysis_pages IS 'Pages captured for an analysis; crawl mode produces more than one';
+COMMENT ON COLUMN analysis_pages.completed_analyzers IS 'Analyzer workers that finished this page (e.g. {aria,forms,technicalSeo})';
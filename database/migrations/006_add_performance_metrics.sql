@@ -0,0 +1,14 @@
+-- Migration: Store Lighthouse performance metrics
+-- Date: 2025-09-10
+-- Description: Adds performance_metrics JSONB to analyses and analysis_pages. It holds the
+--              summary written by the performance worker (Lighthouse score, Core Web Vitals,
+--              opportunities) in the shape of the frontend PerformanceAnalysis model.
+
+ALTER TABLE analyses
+ADD COLUMN IF NOT EXISTS performance_metrics JSONB;
+
+ALTER TABLE analysis_pages
+ADD COLUMN IF NOT EXISTS performance_metrics JSONB;
+
+COMMENT ON COLUMN analyses.performance_metrics IS 'Lighthouse summary for the requested URL: { score, coreWebVitals, loadingPerformance, renderingPerformance, networkPerformance, ... }';
+COMMENT ON COLUMN analysis_pages.performance_metrics IS 'Lighthouse summary for this page, same shape as analyses.performance_metrics';
@@ -0,0 +1,27 @@
+-- Migration: Atomic report credit consumption
+-- Date: 2025-09-12
+-- Description: Adds consume_report_credit() so unlocking a detailed report can decrement the
+--              workspace balance without a read-modify-write race between concurrent requests
+
+CREATE OR REPLACE FUNCTION consume_report_credit(p_workspace_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  updated_rows INT;
+BEGIN
+  UPDATE report_credits
+  SET balance = balance - 1,
+      updated_at = now()
+  WHERE workspace_id = p_workspace_id
+    AND balance > 0;
+
+  GET DIAGNOSTICS updated_rows = ROW_COUNT;
+  RETURN updated_rows > 0;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the backend (service role) may spend a workspace's credits
+REVOKE EXECUTE ON FUNCTION consume_report_credit(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_report_credit(UUID) TO service_role;
+
+-- Detailed reports already unlocked for an analysis are looked up on every report request
+CREATE INDEX IF NOT EXISTS idx_reports_analysis_id_type ON reports(analysis_id, type);
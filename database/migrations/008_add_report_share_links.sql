@@ -0,0 +1,20 @@
+-- Migration: Shareable public report links
+-- Date: 2025-09-15
+-- Description: Adds expiry, password and revocation to reports.public_url_key so a report can be
+--              shared with people who have no account. Keys are resolved by the backend with the
+--              service role, so no anonymous or member UPDATE policy is added.
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS share_expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS share_password_hash TEXT, -- bcrypt hash, NULL when the link is not protected
+ADD COLUMN IF NOT EXISTS share_revoked_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS share_view_count INT NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN reports.public_url_key IS 'Random key for /shared/:key links, NULL for reports that were never shared';
+COMMENT ON COLUMN reports.share_expires_at IS 'Share link stops resolving after this time, NULL = never expires';
+COMMENT ON COLUMN reports.share_revoked_at IS 'Set when the share link is revoked; revoked keys are never reused';
+
+-- Share links are created and revoked by the backend with the service role. Members must not
+-- update reports directly: that would let them turn a report into a detailed one without a credit
+-- or change another member's share key.
+DROP POLICY IF EXISTS "Workspace members can update reports" ON reports;
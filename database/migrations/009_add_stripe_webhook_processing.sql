@@ -0,0 +1,94 @@
+-- Migration: Stripe webhook processing
+-- Date: 2025-09-17
+-- Description: Records processed Stripe events so redelivered webhooks are acknowledged without
+--              side effects, adds fulfill_credit_purchase() so a paid credit checkout is
+--              recorded and credited exactly once, and sync_stripe_subscription() so subscription
+--              events that arrive out of order cannot overwrite a newer state
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  processed_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Only the backend (service role) reads and writes processed events
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION fulfill_credit_purchase(
+  p_workspace_id UUID,
+  p_user_id UUID,
+  p_item_name TEXT,
+  p_amount INT,
+  p_currency TEXT,
+  p_charge_id TEXT,
+  p_credits INT
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  purchase_id UUID;
+BEGIN
+  -- A pending purchase (async payment methods) is upgraded, a succeeded one is left alone
+  INSERT INTO one_time_purchases (workspace_id, user_id, item_name, amount, currency, status, stripe_charge_id)
+  VALUES (p_workspace_id, p_user_id, p_item_name, p_amount, p_currency, 'succeeded', p_charge_id)
+  ON CONFLICT (stripe_charge_id) DO UPDATE
+    SET status = 'succeeded'
+    WHERE one_time_purchases.status <> 'succeeded'
+  RETURNING id INTO purchase_id;
+
+  IF purchase_id IS NULL THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO report_credits (workspace_id, balance)
+  VALUES (p_workspace_id, p_credits)
+  ON CONFLICT (workspace_id) DO UPDATE
+    SET balance = report_credits.balance + p_credits,
+        updated_at = now();
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the Stripe webhook handler (service role) may grant credits
+REVOKE EXECUTE ON FUNCTION fulfill_credit_purchase(UUID, UUID, TEXT, INT, TEXT, TEXT, INT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION fulfill_credit_purchase(UUID, UUID, TEXT, INT, TEXT, TEXT, INT) TO service_role;
+
+-- Creation time of the Stripe event the row was last synced from
+ALTER TABLE subscriptions
+ADD COLUMN IF NOT EXISTS stripe_event_created_at TIMESTAMPTZ;
+
+-- Stripe does not deliver events in order. A row is only overwritten by an event at least as new
+-- as the one it came from, and a canceled subscription is never revived by a later delivery.
+CREATE OR REPLACE FUNCTION sync_stripe_subscription(
+  p_workspace_id UUID,
+  p_plan_id UUID,
+  p_stripe_subscription_id TEXT,
+  p_status subscription_status,
+  p_current_period_end TIMESTAMPTZ,
+  p_event_created_at TIMESTAMPTZ
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  synced_id UUID;
+BEGIN
+  INSERT INTO subscriptions (workspace_id, plan_id, stripe_subscription_id, status, current_period_end, stripe_event_created_at)
+  VALUES (p_workspace_id, p_plan_id, p_stripe_subscription_id, p_status, p_current_period_end, p_event_created_at)
+  ON CONFLICT (workspace_id) DO UPDATE
+    SET plan_id = EXCLUDED.plan_id,
+        stripe_subscription_id = EXCLUDED.stripe_subscription_id,
+        status = EXCLUDED.status,
+        current_period_end = EXCLUDED.current_period_end,
+        stripe_event_created_at = EXCLUDED.stripe_event_created_at,
+        updated_at = now()
+    WHERE (subscriptions.stripe_event_created_at IS NULL
+           OR subscriptions.stripe_event_created_at <= EXCLUDED.stripe_event_created_at)
+      AND NOT (subscriptions.stripe_subscription_id = EXCLUDED.stripe_subscription_id
+               AND subscriptions.status = 'canceled')
+  RETURNING id INTO synced_id;
+
+  RETURN synced_id IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION sync_stripe_subscription(UUID, UUID, TEXT, subscription_status, TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_stripe_subscription(UUID, UUID, TEXT, subscription_status, TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
@@ -0,0 +1,48 @@
+-- Migration: Scheduled recurring analyses
+-- Date: 2025-09-19
+-- Description: Adds analysis_schedules, one recurring schedule per website. The backend scheduler
+--              starts analyses whose next_run_at has passed and moves next_run_at forward.
+
+CREATE TABLE IF NOT EXISTS analysis_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  website_id UUID NOT NULL REFERENCES websites(id) ON DELETE CASCADE,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'cron')),
+  cron_expression TEXT NOT NULL, -- Daily and weekly schedules are stored as their cron equivalent
+  timezone TEXT NOT NULL DEFAULT 'UTC', -- IANA zone the cron expression is evaluated in
+  crawl_options JSONB, -- Same shape as the crawl option of POST /api/analyses, NULL = single page
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_run_status TEXT CHECK (last_run_status IN ('started', 'skipped', 'failed')),
+  last_run_error TEXT,
+  last_analysis_id UUID REFERENCES analyses(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (website_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_schedules_workspace_id ON analysis_schedules(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_analysis_schedules_due ON analysis_schedules(next_run_at) WHERE is_active;
+
+-- The scheduler checks for an analysis in flight before starting the next run
+CREATE INDEX IF NOT EXISTS idx_analyses_website_id_status ON analyses(website_id, status);
+
+ALTER TABLE analysis_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can view analysis schedules" ON analysis_schedules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = analysis_schedules.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace members can manage analysis schedules" ON analysis_schedules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = analysis_schedules.workspace_id AND user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,56 @@
+-- Migration: Score regression detection and alerts
+-- Date: 2025-09-22
+-- Description: When an analysis completes it is compared with the previous analysis of the same
+--              website. Score drops beyond the workspace thresholds and newly introduced issues are
+--              stored in analysis_regressions and sent to the workspace's notification channels.
+
+CREATE TABLE IF NOT EXISTS regression_alert_settings (
+  workspace_id UUID PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+  is_enabled BOOLEAN NOT NULL DEFAULT true,
+  score_drop_threshold INT NOT NULL DEFAULT 5 CHECK (score_drop_threshold BETWEEN 1 AND 100),
+  module_thresholds JSONB NOT NULL DEFAULT '{}'::jsonb, -- Per-module overrides, e.g. {"accessibility": 3}
+  alert_severities TEXT[] NOT NULL DEFAULT ARRAY['critical', 'serious'],
+  email_recipients TEXT[] NOT NULL DEFAULT '{}',
+  webhook_url TEXT,
+  webhook_secret TEXT, -- Signs webhook payloads (HMAC-SHA256) when set
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS analysis_regressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  website_id UUID NOT NULL REFERENCES websites(id) ON DELETE CASCADE,
+  analysis_id UUID NOT NULL REFERENCES analyses(id) ON DELETE CASCADE,
+  previous_analysis_id UUID REFERENCES analyses(id) ON DELETE SET NULL,
+  score_drops JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{module, previous, current, drop, threshold}]
+  new_issues JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{module, ruleKey, name, severity, occurrences}]
+  notified_channels TEXT[] NOT NULL DEFAULT '{}',
+  notification_errors JSONB NOT NULL DEFAULT '{}'::jsonb, -- Channel name -> error message
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (analysis_id) -- Completion can be reported by several workers; detect once
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_regressions_workspace_id ON analysis_regressions(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_regressions_website_id ON analysis_regressions(website_id);
+
+-- Finding the previous analysis of a website
+CREATE INDEX IF NOT EXISTS idx_analyses_website_id_created_at ON analyses(website_id, created_at DESC);
+
+ALTER TABLE regression_alert_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE analysis_regressions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can view regression alert settings" ON regression_alert_settings
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = regression_alert_settings.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace members can view analysis regressions" ON analysis_regressions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = analysis_regressions.workspace_id AND user_id = auth.uid()
+    )
+  );
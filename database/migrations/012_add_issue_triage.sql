@@ -0,0 +1,71 @@
+-- Migration: Issue triage workflow
+-- Date: 2025-09-24
+-- Description: Issue rows are written once per analysis. Triage state is kept per website and issue
+--              fingerprint (module, rule, page, selector and snippet) so it carries over between runs.
+
+CREATE TABLE IF NOT EXISTS issue_triage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  website_id UUID NOT NULL REFERENCES websites(id) ON DELETE CASCADE,
+  fingerprint TEXT NOT NULL,
+  module TEXT NOT NULL CHECK (module IN ('accessibility', 'seo', 'performance')),
+  rule_key TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'in_progress', 'fixed', 'wont_fix', 'false_positive')),
+  assignee_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (website_id, fingerprint)
+);
+
+CREATE TABLE IF NOT EXISTS issue_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  triage_id UUID NOT NULL REFERENCES issue_triage(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  author_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 5000),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_triage_workspace_status ON issue_triage(workspace_id, status);
+CREATE INDEX IF NOT EXISTS idx_issue_triage_assignee ON issue_triage(assignee_user_id) WHERE assignee_user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_issue_comments_triage_id ON issue_comments(triage_id, created_at);
+
+ALTER TABLE issue_triage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE issue_comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can view issue triage" ON issue_triage
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_triage.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace members can manage issue triage" ON issue_triage
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_triage.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace members can view issue comments" ON issue_comments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_comments.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace members can add issue comments" ON issue_comments
+  FOR INSERT WITH CHECK (
+    author_user_id = auth.uid() AND EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_comments.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Authors can delete their issue comments" ON issue_comments
+  FOR DELETE USING (author_user_id = auth.uid());
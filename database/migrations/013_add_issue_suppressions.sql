@@ -0,0 +1,54 @@
+-- Migration: Issue suppressions
+-- Date: 2025-09-26
+-- Description: Adds issue_suppressions, workspace- or website-scoped rules that mark known false
+--              positives as suppressed. Matching issues keep their rows for auditing but point at the
+--              suppression that matched them and are left out of scores.
+
+CREATE TABLE IF NOT EXISTS issue_suppressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  website_id UUID REFERENCES websites(id) ON DELETE CASCADE, -- NULL = every website of the workspace
+  rule_key TEXT,
+  selector_pattern TEXT, -- Glob matched anywhere in the issue's DOM path or location
+  url_pattern TEXT, -- Glob matched against the whole page URL
+  fingerprint TEXT, -- One specific issue, see analysisComparison.issueFingerprint
+  reason TEXT NOT NULL CHECK (char_length(reason) BETWEEN 1 AND 500),
+  expires_at TIMESTAMPTZ,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (COALESCE(rule_key, selector_pattern, url_pattern, fingerprint) IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_suppressions_workspace_id ON issue_suppressions(workspace_id);
+
+ALTER TABLE accessibility_issues
+  ADD COLUMN IF NOT EXISTS suppression_id UUID REFERENCES issue_suppressions(id) ON DELETE SET NULL;
+ALTER TABLE seo_issues
+  ADD COLUMN IF NOT EXISTS suppression_id UUID REFERENCES issue_suppressions(id) ON DELETE SET NULL;
+ALTER TABLE performance_issues
+  ADD COLUMN IF NOT EXISTS suppression_id UUID REFERENCES issue_suppressions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_accessibility_issues_suppression_id ON accessibility_issues(suppression_id) WHERE suppression_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_seo_issues_suppression_id ON seo_issues(suppression_id) WHERE suppression_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_performance_issues_suppression_id ON performance_issues(suppression_id) WHERE suppression_id IS NOT NULL;
+
+ALTER TABLE issue_suppressions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can view issue suppressions" ON issue_suppressions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_suppressions.workspace_id AND user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Workspace admins can manage issue suppressions" ON issue_suppressions
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = issue_suppressions.workspace_id
+        AND user_id = auth.uid()
+        AND role IN ('owner', 'admin')
+    )
+  );
@@ -0,0 +1,37 @@
+-- Migration: Website authentication profiles
+-- Date: 2025-09-29
+-- Description: Adds website_auth_profiles so the fetcher can log in before capturing pages behind a
+--              login. Credentials, cookies and headers are encrypted by the backend
+--              (CREDENTIALS_ENCRYPTION_KEY) and only stored as ciphertext.
+
+CREATE TABLE IF NOT EXISTS website_auth_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  website_id UUID NOT NULL REFERENCES websites(id) ON DELETE CASCADE,
+  is_enabled BOOLEAN NOT NULL DEFAULT true,
+  methods TEXT[] NOT NULL DEFAULT '{}', -- Configured methods without secrets: form, cookies, basic, headers
+  encrypted_config TEXT NOT NULL,
+  last_login_at TIMESTAMPTZ,
+  last_login_status TEXT CHECK (last_login_status IN ('succeeded', 'failed')),
+  last_login_error TEXT,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (website_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_website_auth_profiles_workspace_id ON website_auth_profiles(workspace_id);
+
+-- Only the backend (service role) reads the encrypted config; members see profiles through the API
+ALTER TABLE website_auth_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace admins can manage website auth profiles" ON website_auth_profiles
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = website_auth_profiles.workspace_id
+        AND user_id = auth.uid()
+        AND role IN ('owner', 'admin')
+    )
+  );
@@ -0,0 +1,20 @@
+-- Migration: Scripted user flows
+-- Date: 2025-10-01
+-- Description: Lets an analysis run a user flow (navigate, click, type, wait, snapshot). Every snapshot
+--              is stored as an analysis page with source 'flow' and the snapshot name, so analyzers
+--              attribute their issues to the flow step. The flow definition and its outcome are kept
+--              on the analysis.
+
+ALTER TABLE analysis_pages DROP CONSTRAINT IF EXISTS analysis_pages_source_check;
+ALTER TABLE analysis_pages
+ADD CONSTRAINT analysis_pages_source_check CHECK (source IN ('root', 'link', 'sitemap', 'flow'));
+
+ALTER TABLE analysis_pages
+ADD COLUMN IF NOT EXISTS flow_step TEXT, -- Snapshot name, only set for source = 'flow'
+ADD COLUMN IF NOT EXISTS screenshot_path TEXT; -- Screenshot of the captured state in analysis-assets
+
+-- { name, steps, completedSteps, error }; NULL for analyses without a flow
+ALTER TABLE analyses
+ADD COLUMN IF NOT EXISTS user_flow JSONB;
+
+COMMENT ON COLUMN analysis_pages.flow_step IS 'Name of the user flow snapshot this page was captured at';
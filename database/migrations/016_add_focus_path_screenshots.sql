@@ -0,0 +1,7 @@
+-- Migration: Keyboard focus path overlays
+-- Date: 2025-10-02
+-- Description: The keyboard worker now tabs through every analyzed page and stores a screenshot with the
+--              focus sequence drawn on top of it. These overlays are recorded as screenshots of type
+--              'focus_path' so reports can show them next to the page screenshots.
+
+ALTER TYPE screenshot_type ADD VALUE IF NOT EXISTS 'focus_path';
@@ -0,0 +1,62 @@
+-- Migration: WCAG 2.2 compliance standard
+-- Date: 2025-10-03
+-- Description: Adds WCAG 2.2 AA and AAA as compliance standards together with rules for the criteria
+--              new in 2.2. Target size (2.5.8) and focus not obscured (2.4.11, 2.4.12) are detected by
+--              the keyboard worker; dragging movements, consistent help, redundant entry and accessible
+--              authentication cannot be automated and are listed for manual review.
+--              WCAG 2.2 builds on 2.1, so every rule mapped to WCAG 2.1 AA is also mapped to 2.2 AA.
+
+INSERT INTO compliance_standards (name) VALUES
+('WCAG 2.2 AA'),
+('WCAG 2.2 AAA')
+ON CONFLICT (name) DO NOTHING;
+
+DO $$
+DECLARE
+    accessibility_module_id UUID;
+    wcag21_aa_standard_id UUID;
+    wcag22_aa_standard_id UUID;
+    wcag22_aaa_standard_id UUID;
+BEGIN
+    SELECT id INTO accessibility_module_id FROM analysis_modules WHERE name = 'Accessibility';
+    SELECT id INTO wcag21_aa_standard_id FROM compliance_standards WHERE name = 'WCAG 2.1 AA';
+    SELECT id INTO wcag22_aa_standard_id FROM compliance_standards WHERE name = 'WCAG 2.2 AA';
+    SELECT id INTO wcag22_aaa_standard_id FROM compliance_standards WHERE name = 'WCAG 2.2 AAA';
+
+    -- Criteria new in WCAG 2.2
+    INSERT INTO rules (module_id, rule_key, name, description, default_severity) VALUES
+    (accessibility_module_id, 'ACC_KBD_09_FOCUS_NOT_OBSCURED', 'Focused Element Hidden', 'Focused elements must not be entirely hidden by sticky or fixed content (WCAG 2.4.11)', 'serious'),
+    (accessibility_module_id, 'ACC_KBD_10_FOCUS_NOT_OBSCURED_ENHANCED', 'Focused Element Partly Hidden', 'No part of a focused element should be hidden by sticky or fixed content (WCAG 2.4.12)', 'minor'),
+    (accessibility_module_id, 'ACC_KBD_11_DRAGGING_MOVEMENTS', 'Dragging Without Alternative', 'Functionality that uses dragging must also work with single pointer clicks (WCAG 2.5.7)', 'moderate'),
+    (accessibility_module_id, 'ACC_FRM_16_TARGET_SIZE_MINIMUM', 'Pointer Target Too Small', 'Pointer targets must be at least 24x24 CSS pixels or sufficiently spaced (WCAG 2.5.8)', 'moderate'),
+    (accessibility_module_id, 'ACC_STR_13_CONSISTENT_HELP', 'Help Not in Consistent Location', 'Help mechanisms repeated across pages must appear in the same relative order (WCAG 3.2.6)', 'moderate'),
+    (accessibility_module_id, 'ACC_FRM_17_REDUNDANT_ENTRY', 'Information Requested Again', 'Information already entered in a process must be auto-populated or selectable (WCAG 3.3.7)', 'moderate'),
+    (accessibility_module_id, 'ACC_FRM_18_ACCESSIBLE_AUTHENTICATION', 'Authentication Requires Cognitive Test', 'Log-in must not depend on memorising, transcribing or solving puzzles without an alternative (WCAG 3.3.8, 3.3.9)', 'serious')
+    ON CONFLICT (rule_key) DO UPDATE SET
+        name = EXCLUDED.name,
+        description = EXCLUDED.description,
+        default_severity = EXCLUDED.default_severity;
+
+    -- WCAG 2.2 AA: everything in 2.1 AA plus the new A and AA criteria
+    INSERT INTO standard_rules_mapping (standard_id, rule_id)
+    SELECT wcag22_aa_standard_id, rule_id FROM standard_rules_mapping
+    WHERE standard_id = wcag21_aa_standard_id
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO standard_rules_mapping (standard_id, rule_id)
+    SELECT wcag22_aa_standard_id, id FROM rules
+    WHERE module_id = accessibility_module_id
+    AND rule_key IN (
+        'ACC_KBD_09_FOCUS_NOT_OBSCURED', 'ACC_KBD_11_DRAGGING_MOVEMENTS', 'ACC_FRM_16_TARGET_SIZE_MINIMUM',
+        'ACC_STR_13_CONSISTENT_HELP', 'ACC_FRM_17_REDUNDANT_ENTRY', 'ACC_FRM_18_ACCESSIBLE_AUTHENTICATION'
+    )
+    ON CONFLICT DO NOTHING;
+
+    -- WCAG 2.2 AAA: all accessibility rules
+    INSERT INTO standard_rules_mapping (standard_id, rule_id)
+    SELECT wcag22_aaa_standard_id, id FROM rules
+    WHERE module_id = accessibility_module_id
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE 'WCAG 2.2 standards and rules added.';
+END $$;
@@ -0,0 +1,13 @@
+-- Migration: Form validation probe evidence
+-- Date: 2025-10-04
+-- Description: Analyses started with probeForms fill and submit each form with empty and invalid
+--              values. The crops of a form before and after submitting are stored as screenshots of
+--              type 'form_probe', and the issues the probe reports point to them in `evidence`.
+
+ALTER TYPE screenshot_type ADD VALUE IF NOT EXISTS 'form_probe';
+
+-- { kind: 'form_probe', scenario: 'empty' | 'invalid', before_screenshot_id, after_screenshot_id }
+ALTER TABLE accessibility_issues
+ADD COLUMN IF NOT EXISTS evidence JSONB;
+
+COMMENT ON COLUMN accessibility_issues.evidence IS 'Screenshots that show how the issue was observed, e.g. a form before and after submitting';
@@ -0,0 +1,64 @@
+-- Migration: Atomic detailed report unlock
+-- Date: 2025-10-06
+-- Description: Adds unlock_detailed_report() so checking for an earlier unlock, consuming a report
+--              credit and recording the detailed report happen in one transaction. Before, two
+--              concurrent requests for the same analysis could both find no detailed report and
+--              both spend a credit, or spend a credit and then fail to record the report.
+
+CREATE OR REPLACE FUNCTION unlock_detailed_report(
+  p_analysis_id UUID,
+  p_workspace_id UUID,
+  p_user_id UUID,
+  p_plan_includes_detailed BOOLEAN,
+  p_public_url_key TEXT DEFAULT NULL,
+  p_share_expires_at TIMESTAMPTZ DEFAULT NULL,
+  p_share_password_hash TEXT DEFAULT NULL
+)
+RETURNS TABLE (report_id UUID, report_created_at TIMESTAMPTZ, access TEXT) AS $$
+DECLARE
+  v_access TEXT;
+  v_report_id UUID;
+  v_created_at TIMESTAMPTZ;
+BEGIN
+  -- Unlocks of the same (analysis, type) wait for each other until the transaction ends
+  PERFORM pg_advisory_xact_lock(hashtext(p_analysis_id::text), hashtext('detailed'));
+
+  IF EXISTS (
+    SELECT 1 FROM reports r
+    WHERE r.analysis_id = p_analysis_id AND r.type = 'detailed'
+  ) THEN
+    v_access := 'previously_unlocked';
+  ELSIF p_plan_includes_detailed THEN
+    v_access := 'plan';
+  ELSIF consume_report_credit(p_workspace_id) THEN
+    v_access := 'credit';
+  ELSE
+    -- No row tells the caller that a credit or plan is required
+    RETURN;
+  END IF;
+
+  INSERT INTO reports (
+    analysis_id,
+    generated_by_user_id,
+    type,
+    public_url_key,
+    share_expires_at,
+    share_password_hash
+  )
+  VALUES (
+    p_analysis_id,
+    p_user_id,
+    'detailed',
+    p_public_url_key,
+    p_share_expires_at,
+    p_share_password_hash
+  )
+  RETURNING reports.id, reports.created_at INTO v_report_id, v_created_at;
+
+  RETURN QUERY SELECT v_report_id, v_created_at, v_access;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The caller vouches for p_plan_includes_detailed, so only the backend (service role) may call this
+REVOKE EXECUTE ON FUNCTION unlock_detailed_report(UUID, UUID, UUID, BOOLEAN, TEXT, TIMESTAMPTZ, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION unlock_detailed_report(UUID, UUID, UUID, BOOLEAN, TEXT, TIMESTAMPTZ, TEXT) TO service_role;
@@ -0,0 +1,18 @@
+-- Migration: Restrict regression alert settings to workspace admins
+-- Date: 2025-10-06
+-- Description: regression_alert_settings holds the webhook secret that signs alert payloads, and
+--              the policy from 011 let every workspace member read the row. Only owners and admins
+--              can change the settings, so only they may read them. Members see the settings
+--              through the API, which reports the secret as hasWebhookSecret only.
+
+DROP POLICY IF EXISTS "Workspace members can view regression alert settings" ON regression_alert_settings;
+
+CREATE POLICY "Workspace admins can view regression alert settings" ON regression_alert_settings
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM workspace_members
+      WHERE workspace_id = regression_alert_settings.workspace_id
+        AND user_id = auth.uid()
+        AND role IN ('owner', 'admin')
+    )
+  );
@@ -2,7 +2,7 @@ import React from 'react';
 import { FaAccessibleIcon } from 'react-icons/fa';
 import { UnifiedResultsContainer, determineCategoryFromIssue } from './unified';
 
-const AccessibilityResults = ({ accessibilityData, score }) => {
+const AccessibilityResults = ({ accessibilityData, score, focusedIssue, markerNumbers }) => {
   // Transform issues to add proper categories
   const transformedIssues = React.useMemo(() => {
     if (!accessibilityData || accessibilityData.length === 0) return [];
@@ -20,6 +20,8 @@ const AccessibilityResults = ({ accessibilityData, score }) => {
       score={score}
       issues={transformedIssues}
       type="accessibility"
+      focusedIssue={focusedIssue}
+      markerNumbers={markerNumbers}
       emptyStateMessage={{
         title: 'Great Accessibility Implementation!',
         description: 'No accessibility issues found! Your website meets all accessibility requirements we tested.'
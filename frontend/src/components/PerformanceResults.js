@@ -0,0 +1,105 @@
+import React from 'react';
+import styled from 'styled-components';
+import { FaTachometerAlt } from 'react-icons/fa';
+import { UnifiedResultsContainer, determineCategoryFromIssue } from './unified';
+import { PerformanceAnalysis } from '../models/PerformanceAnalysis';
+
+const VITALS = [
+  { key: 'lcp', label: 'Largest Contentful Paint' },
+  { key: 'fid', label: 'Max Potential Input Delay' },
+  { key: 'cls', label: 'Cumulative Layout Shift' },
+  { key: 'fcp', label: 'First Contentful Paint' },
+  { key: 'ttfb', label: 'Server Response Time' }
+];
+
+const STATUS_COLORS = {
+  good: 'var(--color-success)',
+  'needs-improvement': 'var(--color-warning)',
+  poor: 'var(--color-error)'
+};
+
+const VitalsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+  gap: var(--spacing-md);
+  margin-bottom: var(--spacing-lg);
+`;
+
+const VitalCard = styled.div`
+  padding: var(--spacing-md);
+  background: var(--color-surface-secondary);
+  border-radius: var(--border-radius-md);
+  border: 1px solid var(--color-border-secondary);
+  border-top: 3px solid ${props => STATUS_COLORS[props.$status] || 'var(--color-border-secondary)'};
+`;
+
+const VitalLabel = styled.div`
+  font-size: var(--font-size-sm);
+  color: var(--color-text-secondary);
+  margin-bottom: var(--spacing-xs);
+`;
+
+const VitalValue = styled.div`
+  font-size: var(--font-size-lg);
+  font-weight: var(--font-weight-bold);
+  color: ${props => STATUS_COLORS[props.$status] || 'var(--color-text-primary)'};
+`;
+
+const VitalsFootnote = styled.p`
+  font-size: var(--font-size-xs);
+  color: var(--color-text-tertiary);
+  margin: 0 0 var(--spacing-lg);
+`;
+
+const PerformanceResults = ({ performanceData, score, metrics, focusedIssue, markerNumbers }) => {
+  const transformedIssues = React.useMemo(() => {
+    if (!performanceData || performanceData.length === 0) return [];
+
+    return performanceData.map(issue => ({
+      ...issue,
+      category: determineCategoryFromIssue(issue)
+    }));
+  }, [performanceData]);
+
+  const performance = React.useMemo(
+    () => (metrics ? new PerformanceAnalysis(metrics) : null),
+    [metrics]
+  );
+
+  return (
+    <UnifiedResultsContainer
+      title="Performance Analysis"
+      titleIcon={<FaTachometerAlt />}
+      score={performance ? performance.score : score}
+      issues={transformedIssues}
+      type="Performance"
+      focusedIssue={focusedIssue}
+      markerNumbers={markerNumbers}
+      emptyStateMessage={{
+        title: 'Fast and Efficient!',
+        description: 'No significant performance issues were found. Your website loads quickly and responds well.'
+      }}
+    >
+      {performance && (
+        <>
+          <VitalsGrid>
+            {VITALS.map(({ key, label }) => {
+              const vital = performance.coreWebVitals[key] || {};
+              return (
+                <VitalCard key={key} $status={vital.status}>
+                  <VitalLabel>{label}</VitalLabel>
+                  <VitalValue $status={vital.status}>{vital.displayValue || '—'}</VitalValue>
+                </VitalCard>
+              );
+            })}
+          </VitalsGrid>
+          <VitalsFootnote>
+            Lab data from Lighthouse {metrics.lighthouseVersion || ''} on a simulated mobile device.
+          </VitalsFootnote>
+        </>
+      )}
+    </UnifiedResultsContainer>
+  );
+};
+
+export default PerformanceResults;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useEntitlements } from '../hooks/useEntitlements';
 import styled from 'styled-components';
 
 const LoadingContainer = styled.div`
@@ -32,7 +33,8 @@ const LoadingText = styled.p`
 `;
 
 const ProtectedRoute = ({ children, requireProfile = false, requiredFeature = null }) => {
-  const { user, userProfile, loading, initializing, hasFeature } = useAuth();
+  const { user, userProfile, loading, initializing } = useAuth();
+  const { hasFeature, loading: entitlementsLoading } = useEntitlements();
   const location = useLocation();
 
   console.log('🛡️ ProtectedRoute: State check', {
@@ -66,10 +68,19 @@ const ProtectedRoute = ({ children, requireProfile = false, requiredFeature = nu
     return <Navigate to="/setup-profile" state={{ from: location }} replace />;
   }
 
-  // Check feature access if required
+  // Check plan feature access if required
+  if (requiredFeature && entitlementsLoading) {
+    return (
+      <LoadingContainer>
+        <LoadingSpinner />
+        <LoadingText>Loading...</LoadingText>
+      </LoadingContainer>
+    );
+  }
+
   if (requiredFeature && !hasFeature(requiredFeature)) {
-    console.log('🛡️ ProtectedRoute: Feature access denied, redirecting to upgrade');
-    return <Navigate to="/upgrade" state={{ from: location, feature: requiredFeature }} replace />;
+    console.log('🛡️ ProtectedRoute: Feature access denied, redirecting to pricing');
+    return <Navigate to={`/pricing?feature=${encodeURIComponent(requiredFeature)}`} state={{ from: location }} replace />;
   }
 
   console.log('🛡️ ProtectedRoute: All checks passed, rendering children');
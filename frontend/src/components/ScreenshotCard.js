@@ -162,7 +162,53 @@ const ModalImage = styled.img`
   display: block;
 `;
 
-const ScreenshotCard = ({ screenshots, className }) => {
+// Sized by the image so marker percentages line up with the screenshot
+const ModalImageFrame = styled.div`
+  position: relative;
+  display: block;
+  width: fit-content;
+  margin: 0 auto;
+`;
+
+const IssueMarker = styled.button`
+  position: absolute;
+  padding: 0;
+  border: 2px solid var(--color-error);
+  border-radius: var(--border-radius-sm);
+  background: rgba(220, 38, 38, 0.12);
+  cursor: pointer;
+
+  &:hover,
+  &:focus-visible {
+    background: rgba(220, 38, 38, 0.25);
+    outline: 2px solid var(--color-text-primary);
+    outline-offset: 1px;
+  }
+`;
+
+const MarkerNumber = styled.span`
+  position: absolute;
+  top: -11px;
+  left: -11px;
+  min-width: 22px;
+  height: 22px;
+  padding: 0 var(--spacing-xs);
+  border-radius: 11px;
+  background: var(--color-error);
+  color: white;
+  font-size: var(--font-size-xs);
+  font-weight: var(--font-weight-semibold);
+  line-height: 22px;
+  text-align: center;
+`;
+
+const MarkerHint = styled.span`
+  font-size: var(--font-size-xs);
+  font-weight: var(--font-weight-normal);
+  color: var(--color-text-secondary);
+`;
+
+const ScreenshotCard = ({ screenshots, className, markers = [], onMarkerClick }) => {
   const [selectedScreenshot, setSelectedScreenshot] = useState(null);
 
   const getScreenshotUrl = (screenshot) => {
@@ -185,6 +231,16 @@ const ScreenshotCard = ({ screenshots, className }) => {
     setSelectedScreenshot(null);
   };
 
+  // Issue boxes recorded against this screenshot
+  const getScreenshotMarkers = (screenshot) => markers.flatMap(marker => marker.boxes
+    .filter(box => box.screenshot_id === screenshot.id)
+    .map(box => ({ ...marker, box })));
+
+  const handleMarkerClick = (marker) => {
+    closeScreenshotModal();
+    if (onMarkerClick) onMarkerClick(marker);
+  };
+
   const getScreenshotTypeIcon = (type) => {
     switch (type) {
       case 'desktop': return <FaDesktop />;
@@ -264,15 +320,37 @@ const ScreenshotCard = ({ screenshots, className }) => {
               <ModalTitle>
                 {getScreenshotTypeIcon(selectedScreenshot.type)}
                 {selectedScreenshot.type.charAt(0).toUpperCase() + selectedScreenshot.type.slice(1)} Screenshot
+                {getScreenshotMarkers(selectedScreenshot).length > 0 && (
+                  <MarkerHint>Select a number to go to the issue</MarkerHint>
+                )}
               </ModalTitle>
               <ModalClose onClick={closeScreenshotModal}>
                 <FaTimes />
               </ModalClose>
             </ModalHeader>
-            <ModalImage
-              src={getScreenshotUrl(selectedScreenshot)}
-              alt={`${selectedScreenshot.type} screenshot`}
-            />
+            <ModalImageFrame>
+              <ModalImage
+                src={getScreenshotUrl(selectedScreenshot)}
+                alt={`${selectedScreenshot.type} screenshot`}
+              />
+              {getScreenshotMarkers(selectedScreenshot).map(marker => (
+                <IssueMarker
+                  key={marker.issueId}
+                  type="button"
+                  aria-label={`Go to issue ${marker.number}`}
+                  title={`Issue ${marker.number}`}
+                  onClick={() => handleMarkerClick(marker)}
+                  style={{
+                    left: `${(marker.box.x / marker.box.viewport_width) * 100}%`,
+                    top: `${(marker.box.y / marker.box.viewport_height) * 100}%`,
+                    width: `${(marker.box.width / marker.box.viewport_width) * 100}%`,
+                    height: `${(marker.box.height / marker.box.viewport_height) * 100}%`
+                  }}
+                >
+                  <MarkerNumber>{marker.number}</MarkerNumber>
+                </IssueMarker>
+              ))}
+            </ModalImageFrame>
           </ModalContent>
         </ScreenshotModal>
       )}
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import styled from 'styled-components';
-import { FaDesktop, FaMobile, FaTimes, FaExpand } from 'react-icons/fa';
+import { FaDesktop, FaMobile, FaTimes, FaExpand, FaKeyboard } from 'react-icons/fa';
 
 const ScreenshotContainer = styled.div`
   display: flex;
@@ -197,6 +197,7 @@ const ScreenshotDisplay = ({ screenshots, className }) => {
     switch (type) {
       case 'desktop': return <FaDesktop />;
       case 'mobile': return <FaMobile />;
+      case 'focus_path': return <FaKeyboard />;
       default: return <FaDesktop />;
     }
   };
@@ -207,6 +208,8 @@ const ScreenshotDisplay = ({ screenshots, className }) => {
 
   const desktopScreenshot = screenshots.find(s => s.type === 'desktop');
   const mobileScreenshot = screenshots.find(s => s.type === 'mobile');
+  // Tab order drawn over the page by the keyboard analyzer
+  const focusPathScreenshot = screenshots.find(s => s.type === 'focus_path');
 
   return (
     <>
@@ -243,7 +246,23 @@ const ScreenshotDisplay = ({ screenshots, className }) => {
           </MobileFrame>
         )}
         
-        {!desktopScreenshot && !mobileScreenshot && screenshots.length > 0 && (
+        {focusPathScreenshot && (
+          <DesktopFrame 
+            label="Focus order" 
+            onClick={() => openScreenshotModal(focusPathScreenshot)}
+          >
+            <ScreenshotImage
+              src={getScreenshotUrl(focusPathScreenshot)}
+              alt="Keyboard focus order"
+              loading="lazy"
+            />
+            <ExpandIcon className="expand-icon">
+              <FaExpand />
+            </ExpandIcon>
+          </DesktopFrame>
+        )}
+        
+        {!desktopScreenshot && !mobileScreenshot && !focusPathScreenshot && screenshots.length > 0 && (
           <DesktopFrame 
             label="Screenshot" 
             onClick={() => openScreenshotModal(screenshots[0])}
@@ -266,7 +285,7 @@ const ScreenshotDisplay = ({ screenshots, className }) => {
             <ModalHeader>
               <ModalTitle>
                 {getScreenshotTypeIcon(selectedScreenshot.type)}
-                Screenshot
+                {selectedScreenshot.type === 'focus_path' ? 'Keyboard focus order' : 'Screenshot'}
               </ModalTitle>
               <ModalClose onClick={closeScreenshotModal}>
                 <FaTimes />
@@ -2,7 +2,7 @@ import React from 'react';
 import { FaSearch } from 'react-icons/fa';
 import { UnifiedResultsContainer, determineCategoryFromIssue } from './unified';
 
-const SeoResults = ({ seoData, score }) => {
+const SeoResults = ({ seoData, score, focusedIssue, markerNumbers }) => {
   // Transform SEO data to include proper categories
   const transformedIssues = React.useMemo(() => {
     if (!seoData || seoData.length === 0) return [];
@@ -20,6 +20,8 @@ const SeoResults = ({ seoData, score }) => {
       score={score}
       issues={transformedIssues}
       type="SEO"
+      focusedIssue={focusedIssue}
+      markerNumbers={markerNumbers}
       emptyStateMessage={{
         title: 'Great SEO Implementation!',
         description: 'No significant SEO issues were found. Your website is well-optimized for search engines.'
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { FaLock, FaArrowRight } from 'react-icons/fa';
+import { FEATURE_LABELS } from '../hooks/useEntitlements';
+
+const PromptContainer = styled.div`
+  display: flex;
+  align-items: flex-start;
+  gap: var(--spacing-md);
+  padding: var(--spacing-md) var(--spacing-lg);
+  margin-top: var(--spacing-md);
+  background: var(--color-surface-secondary);
+  border: 1px solid var(--color-warning);
+  border-radius: var(--border-radius-lg);
+  color: var(--color-text-primary);
+`;
+
+const PromptIcon = styled.div`
+  color: var(--color-warning);
+  flex-shrink: 0;
+  padding-top: 2px;
+`;
+
+const PromptBody = styled.div`
+  flex: 1;
+  font-size: var(--font-size-sm);
+  line-height: var(--line-height-relaxed);
+`;
+
+const PromptTitle = styled.div`
+  font-weight: var(--font-weight-semibold);
+  margin-bottom: var(--spacing-xs);
+`;
+
+const UpgradeLink = styled(Link)`
+  display: inline-flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  margin-top: var(--spacing-sm);
+  color: var(--color-interactive-primary);
+  font-weight: var(--font-weight-semibold);
+  text-decoration: none;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+/**
+ * Explains that a feature is not part of the current plan and links to pricing.
+ * `requiredPlans` comes from the `details` of a FEATURE_NOT_IN_PLAN error when available.
+ */
+const UpgradePrompt = ({ feature, planName = null, requiredPlans = [], children, showLink = true }) => {
+  const label = FEATURE_LABELS[feature] || feature;
+
+  return (
+    <PromptContainer role="status">
+      <PromptIcon>
+        <FaLock />
+      </PromptIcon>
+      <PromptBody>
+        <PromptTitle>
+          Your {planName || 'current'} plan does not include {label.toLowerCase()}
+        </PromptTitle>
+        {children}
+        {requiredPlans.length > 0 && (
+          <div>Available on: {requiredPlans.join(', ')}</div>
+        )}
+        {showLink && (
+          <UpgradeLink to={`/pricing?feature=${encodeURIComponent(feature)}`}>
+            See plans
+            <FaArrowRight />
+          </UpgradeLink>
+        )}
+      </PromptBody>
+    </PromptContainer>
+  );
+};
+
+export default UpgradePrompt;
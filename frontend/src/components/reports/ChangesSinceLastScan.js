@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { FaArrowUp, FaArrowDown, FaPlusCircle, FaCheckCircle, FaMinusCircle } from 'react-icons/fa';
+import { analysisAPI } from '../../services/api';
+import LoadingSpinner from '../LoadingSpinner';
+
+const MODULES = [
+  { key: 'accessibility', label: 'Accessibility' },
+  { key: 'seo', label: 'SEO' },
+  { key: 'performance', label: 'Performance' }
+];
+
+const SCORE_LABELS = {
+  overall: 'Overall',
+  accessibility: 'Accessibility',
+  seo: 'SEO',
+  performance: 'Performance'
+};
+
+const CHANGE_GROUPS = [
+  { key: 'new', label: 'New issues', icon: FaPlusCircle, color: 'var(--color-error)' },
+  { key: 'fixed', label: 'Fixed issues', icon: FaCheckCircle, color: 'var(--color-success)' },
+  { key: 'unchanged', label: 'Unchanged issues', icon: FaMinusCircle, color: 'var(--color-text-secondary)' }
+];
+
+// Long lists are cut off; unchanged issues are usually the bulk of a report
+const VISIBLE_ISSUES = 25;
+
+const Summary = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0 0 var(--spacing-lg);
+`;
+
+const DeltaGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+  gap: var(--spacing-md);
+  margin-bottom: var(--spacing-xl);
+`;
+
+const DeltaCard = styled.div`
+  background: var(--color-surface-secondary);
+  border: 1px solid var(--color-border-secondary);
+  border-radius: var(--border-radius-lg);
+  padding: var(--spacing-md);
+  text-align: center;
+`;
+
+const DeltaValue = styled.div`
+  display: inline-flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  font-size: var(--font-size-xl);
+  font-weight: var(--font-weight-bold);
+  color: ${props => {
+    if (props.$delta > 0) return 'var(--color-success)';
+    if (props.$delta < 0) return 'var(--color-error)';
+    return 'var(--color-text-secondary)';
+  }};
+`;
+
+const DeltaLabel = styled.div`
+  font-size: var(--font-size-sm);
+  color: var(--color-text-secondary);
+  margin-top: var(--spacing-xs);
+`;
+
+const ModuleFilter = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--spacing-sm);
+  margin-bottom: var(--spacing-lg);
+`;
+
+const FilterButton = styled.button`
+  padding: var(--spacing-xs) var(--spacing-md);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-full);
+  background: ${props => props.$active ? 'var(--color-interactive-primary)' : 'transparent'};
+  color: ${props => props.$active ? 'var(--color-text-inverse)' : 'var(--color-text-primary)'};
+  font-size: var(--font-size-sm);
+  cursor: pointer;
+`;
+
+const Group = styled.section`
+  margin-bottom: var(--spacing-xl);
+`;
+
+const GroupTitle = styled.h3`
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-sm);
+  font-size: var(--font-size-lg);
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+  margin: 0 0 var(--spacing-md);
+
+  svg {
+    color: ${props => props.$color};
+  }
+`;
+
+const IssueList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+`;
+
+const IssueItem = styled.li`
+  border: 1px solid var(--color-border-secondary);
+  border-left: 4px solid ${props => props.$color};
+  border-radius: var(--border-radius-md);
+  padding: var(--spacing-sm) var(--spacing-md);
+  font-size: var(--font-size-sm);
+`;
+
+const IssueName = styled.div`
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+`;
+
+const IssueMeta = styled.div`
+  color: var(--color-text-secondary);
+  margin-top: var(--spacing-xs);
+  word-break: break-all;
+`;
+
+const Muted = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0;
+`;
+
+const ShowMoreButton = styled.button`
+  margin-top: var(--spacing-sm);
+  border: none;
+  background: none;
+  color: var(--color-interactive-primary);
+  cursor: pointer;
+  font-size: var(--font-size-sm);
+`;
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const ChangeGroup = ({ group, issues }) => {
+  const [expanded, setExpanded] = useState(false);
+  const Icon = group.icon;
+  const visible = expanded ? issues : issues.slice(0, VISIBLE_ISSUES);
+
+  return (
+    <Group>
+      <GroupTitle $color={group.color}>
+        <Icon />
+        {group.label} ({issues.length})
+      </GroupTitle>
+      {issues.length === 0 ? (
+        <Muted>None</Muted>
+      ) : (
+        <IssueList>
+          {visible.map((issue, index) => (
+            <IssueItem key={`${issue.fingerprint}-${index}`} $color={group.color}>
+              <IssueName>
+                [{issue.severity}] {issue.name}
+              </IssueName>
+              {issue.message && <IssueMeta>{issue.message}</IssueMeta>}
+              {(issue.selector || issue.pageUrl) && (
+                <IssueMeta>
+                  {issue.pageUrl && <span>{issue.pageUrl} </span>}
+                  {issue.selector && <code>{issue.selector}</code>}
+                </IssueMeta>
+              )}
+            </IssueItem>
+          ))}
+        </IssueList>
+      )}
+      {issues.length > VISIBLE_ISSUES && (
+        <ShowMoreButton onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${issues.length}`}
+        </ShowMoreButton>
+      )}
+    </Group>
+  );
+};
+
+/**
+ * "Changes since last scan": score deltas and new, fixed and unchanged issues compared
+ * with the previous completed analysis of the same website
+ */
+const ChangesSinceLastScan = ({ analysisId }) => {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [module, setModule] = useState('all');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadComparison = async () => {
+      setLoading(true);
+      try {
+        const response = await analysisAPI.compare(analysisId);
+        if (!cancelled) {
+          setComparison(response.data);
+          setError(null);
+        }
+      } catch (loadError) {
+        if (!cancelled) setError(loadError);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadComparison();
+    return () => {
+      cancelled = true;
+    };
+  }, [analysisId]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error?.code === 'NO_PREVIOUS_ANALYSIS') {
+    return <Muted>This is the first completed scan of this website. Changes appear after the next scan.</Muted>;
+  }
+  if (error?.code === 'ANALYSIS_NOT_COMPLETED') {
+    return <Muted>Changes are available once this analysis has completed.</Muted>;
+  }
+  if (error || !comparison) {
+    return <Muted>Failed to load changes since the last scan.</Muted>;
+  }
+
+  const modules = module === 'all' ? MODULES.map(m => m.key) : [module];
+  const issuesOf = (groupKey) => modules.flatMap(key => comparison.modules[key]?.[groupKey] || []);
+
+  return (
+    <div>
+      <Summary>
+        Compared with the scan from {new Date(comparison.baseline.createdAt).toLocaleString()}:{' '}
+        {comparison.totals.new} new, {comparison.totals.fixed} fixed and {comparison.totals.unchanged} unchanged issues.
+      </Summary>
+
+      <DeltaGrid>
+        {Object.entries(comparison.scores).map(([key, score]) => (
+          <DeltaCard key={key}>
+            <DeltaValue $delta={score.delta}>
+              {score.delta > 0 && <FaArrowUp />}
+              {score.delta < 0 && <FaArrowDown />}
+              {formatDelta(score.delta)}
+            </DeltaValue>
+            <DeltaLabel>
+              {SCORE_LABELS[key] || key}: {score.previous} → {score.current}
+            </DeltaLabel>
+          </DeltaCard>
+        ))}
+      </DeltaGrid>
+
+      <ModuleFilter>
+        <FilterButton $active={module === 'all'} onClick={() => setModule('all')}>
+          All modules
+        </FilterButton>
+        {MODULES.map(m => (
+          <FilterButton key={m.key} $active={module === m.key} onClick={() => setModule(m.key)}>
+            {m.label}
+          </FilterButton>
+        ))}
+      </ModuleFilter>
+
+      {CHANGE_GROUPS.map(group => (
+        <ChangeGroup key={group.key} group={group} issues={issuesOf(group.key)} />
+      ))}
+    </div>
+  );
+};
+
+export default ChangesSinceLastScan;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { toast } from 'react-toastify';
+import { FaTrash } from 'react-icons/fa';
+import { triageAPI } from '../../../../services/api';
+import { useAuth } from '../../../../contexts/AuthContext';
+
+const Thread = styled.div`
+  margin-top: var(--spacing-lg);
+`;
+
+const CommentList = styled.ul`
+  list-style: none;
+  margin: 0 0 var(--spacing-md);
+  padding: 0;
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+`;
+
+const Comment = styled.li`
+  background: var(--color-surface-primary);
+  border: 1px solid var(--color-border-secondary);
+  border-radius: var(--border-radius-md);
+  padding: var(--spacing-sm) var(--spacing-md);
+  font-size: var(--font-size-sm);
+  color: var(--color-text-primary);
+  white-space: pre-wrap;
+`;
+
+const CommentMeta = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: var(--font-size-xs);
+  color: var(--color-text-tertiary);
+  margin-bottom: var(--spacing-xs);
+`;
+
+const DeleteButton = styled.button`
+  border: none;
+  background: none;
+  color: var(--color-text-tertiary);
+  cursor: pointer;
+
+  &:hover {
+    color: var(--color-error);
+  }
+`;
+
+const CommentForm = styled.form`
+  display: flex;
+  gap: var(--spacing-sm);
+  align-items: flex-start;
+`;
+
+const TextArea = styled.textarea`
+  flex: 1;
+  min-height: 60px;
+  padding: var(--spacing-sm);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-primary);
+  color: var(--color-text-primary);
+  font-family: var(--font-family-secondary);
+  font-size: var(--font-size-sm);
+  resize: vertical;
+`;
+
+const SubmitButton = styled.button`
+  padding: var(--spacing-sm) var(--spacing-md);
+  border: none;
+  border-radius: var(--border-radius-md);
+  background: var(--color-interactive-primary);
+  color: var(--color-text-on-brand);
+  font-size: var(--font-size-sm);
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+`;
+
+/**
+ * Comment thread of one issue, loaded when the row is expanded
+ */
+const IssueComments = ({ issue, workspaceId, websiteId, onCountChange }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [body, setBody] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    triageAPI.getComments(workspaceId, websiteId, issue.fingerprint)
+      .then(response => {
+        if (!cancelled) setComments(response.data);
+      })
+      .catch(() => {
+        if (!cancelled) toast.error('Failed to load comments');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceId, websiteId, issue.fingerprint]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    try {
+      const response = await triageAPI.addComment(workspaceId, websiteId, issue.fingerprint, {
+        body,
+        module: issue.module,
+        ruleKey: issue.ruleKey
+      });
+      setComments(current => [...current, response.data]);
+      setBody('');
+      onCountChange?.(issue.fingerprint, 1);
+    } catch (submitError) {
+      toast.error(submitError.message || 'Failed to add comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    try {
+      await triageAPI.deleteComment(workspaceId, websiteId, issue.fingerprint, comment.id);
+      setComments(current => current.filter(c => c.id !== comment.id));
+      onCountChange?.(issue.fingerprint, -1);
+    } catch (deleteError) {
+      toast.error(deleteError.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <Thread>
+      <h5>Comments</h5>
+      {loading ? (
+        <p>Loading comments...</p>
+      ) : (
+        <CommentList>
+          {comments.map(comment => (
+            <Comment key={comment.id}>
+              <CommentMeta>
+                <span>
+                  {comment.author?.name || 'Former member'} · {new Date(comment.createdAt).toLocaleString()}
+                </span>
+                {comment.author?.id === user?.id && (
+                  <DeleteButton aria-label="Delete comment" onClick={() => handleDelete(comment)}>
+                    <FaTrash />
+                  </DeleteButton>
+                )}
+              </CommentMeta>
+              {comment.body}
+            </Comment>
+          ))}
+        </CommentList>
+      )}
+      <CommentForm onSubmit={handleSubmit}>
+        <TextArea
+          aria-label="Add a comment"
+          placeholder="Add a comment..."
+          value={body}
+          maxLength={5000}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <SubmitButton type="submit" disabled={saving || !body.trim()}>
+          {saving ? 'Saving...' : 'Comment'}
+        </SubmitButton>
+      </CommentForm>
+    </Thread>
+  );
+};
+
+export default IssueComments;
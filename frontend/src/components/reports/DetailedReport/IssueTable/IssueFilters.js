@@ -1,6 +1,8 @@
 import React from 'react';
 import styled from 'styled-components';
 import { FaTimes } from 'react-icons/fa';
+import { getCategoryConfig } from '../../../unified/categoryConfig';
+import { WCAG_VERSIONS } from '../../../../models/WcagCriteria';
 
 const FiltersContainer = styled.div`
   background: var(--color-surface-tertiary);
@@ -169,6 +171,9 @@ const IssueFilters = ({ issues, filters, onFilterChange }) => {
   const severityOptions = [...new Set(issues.map(issue => issue.severity))];
   const categoryOptions = [...new Set(issues.map(issue => issue.category))];
   const wcagLevelOptions = [...new Set(issues.map(issue => issue.wcagLevel || 'Unknown'))];
+  const wcagVersionOptions = WCAG_VERSIONS.filter(version =>
+    issues.some(issue => (issue.wcagVersions || []).includes(version))
+  );
   const disabilityGroupOptions = [...new Set(
     issues.flatMap(issue => issue.disabilityGroups || [])
   )];
@@ -196,6 +201,7 @@ const IssueFilters = ({ issues, filters, onFilterChange }) => {
       severity: [],
       category: [],
       wcagLevel: [],
+      wcagVersion: [],
       disabilityGroup: []
     });
   };
@@ -243,19 +249,19 @@ const IssueFilters = ({ issues, filters, onFilterChange }) => {
           <FilterLabel>Category</FilterLabel>
           <CheckboxGroup>
             {categoryOptions.map(category => {
-              const categoryInfo = getCategoryByKey(category);
+              const categoryInfo = getCategoryConfig(category);
+              const CategoryIconComponent = categoryInfo.icon;
               return (
                 <CategoryItem 
                   key={category}
-                  categoryColor={categoryInfo.color}
-                  borderColor={categoryInfo.borderColor}
+                  borderColor={categoryInfo.color}
                 >
                   <input
                     type="checkbox"
                     checked={filters.category && filters.category.includes(category)}
                     onChange={(e) => handleFilterChange('category', category, e.target.checked)}
                   />
-                  <CategoryIcon>{categoryInfo.icon}</CategoryIcon>
+                  <CategoryIcon><CategoryIconComponent /></CategoryIcon>
                   <CategoryLabel>
                     <CategoryName>{categoryInfo.label}</CategoryName>
                     <CategoryDescription>{categoryInfo.description}</CategoryDescription>
@@ -282,6 +288,22 @@ const IssueFilters = ({ issues, filters, onFilterChange }) => {
           </CheckboxGroup>
         </FilterGroup>
         
+        <FilterGroup>
+          <FilterLabel>WCAG Version</FilterLabel>
+          <CheckboxGroup>
+            {wcagVersionOptions.map(version => (
+              <CheckboxItem key={version}>
+                <input
+                  type="checkbox"
+                  checked={filters.wcagVersion && filters.wcagVersion.includes(version)}
+                  onChange={(e) => handleFilterChange('wcagVersion', version, e.target.checked)}
+                />
+                WCAG {version}
+              </CheckboxItem>
+            ))}
+          </CheckboxGroup>
+        </FilterGroup>
+        
         <FilterGroup>
           <FilterLabel>Disability Groups</FilterLabel>
           <CheckboxGroup>
@@ -2,6 +2,8 @@ import React from 'react';
 import styled from 'styled-components';
 import { FaChevronDown, FaChevronRight, FaExclamationTriangle, FaExclamationCircle, FaInfoCircle } from 'react-icons/fa';
 import { AccessibilityIssue } from '../../../../models/AccessibilityIssue';
+import TriageControls from './TriageControls';
+import IssueComments from './IssueComments';
 
 const TableRow = styled.tr`
   transition: var(--transition-fast);
@@ -220,7 +222,8 @@ const getSeverityIcon = (severity) => {
   }
 };
 
-const IssueRow = ({ issue, isExpanded, onToggle }) => {
+// `triage` is optional: { workspaceId, websiteId, members, onChange, onCommentCountChange }
+const IssueRow = ({ issue, isExpanded, onToggle, triage = null }) => {
   const handleRowClick = (e) => {
     // Don't toggle if clicking on action buttons
     if (e.target.closest('button') && !e.target.closest('.expand-button')) {
@@ -286,6 +289,12 @@ const IssueRow = ({ issue, isExpanded, onToggle }) => {
           </DisabilityGroups>
         </TableCell>
         
+        {triage && (
+          <TableCell>
+            <TriageControls issue={issue} members={triage.members} onChange={triage.onChange} />
+          </TableCell>
+        )}
+
         <TableCell>
           <ActionButton onClick={() => console.log('View details for:', issue.id)}>
             View Details
@@ -295,7 +304,7 @@ const IssueRow = ({ issue, isExpanded, onToggle }) => {
       
       {isExpanded && (
         <ExpandedRow>
-          <td colSpan="6">
+          <td colSpan={triage ? 7 : 6}>
             <ExpandedContent>
               <div>
                 <h4>Issue Details</h4>
@@ -332,6 +341,15 @@ const IssueRow = ({ issue, isExpanded, onToggle }) => {
                     )}
                   </>
                 )}
+
+                {triage && issue.fingerprint && (
+                  <IssueComments
+                    issue={issue}
+                    workspaceId={triage.workspaceId}
+                    websiteId={triage.websiteId}
+                    onCountChange={triage.onCommentCountChange}
+                  />
+                )}
               </div>
             </ExpandedContent>
           </td>
@@ -4,6 +4,7 @@ import { FaSort, FaSortUp, FaSortDown, FaFilter } from 'react-icons/fa';
 import IssueRow from './IssueRow';
 import IssueFilters from './IssueFilters';
 import TablePagination from './TablePagination';
+import { TRIAGE_STATUSES } from '../../../../hooks/useIssueTriage';
 
 const TableContainer = styled.div`
   background: var(--color-surface-elevated);
@@ -137,6 +138,16 @@ const SortIcon = styled.span`
   font-size: var(--font-size-xs);
 `;
 
+const StatusSelect = styled.select`
+  padding: var(--spacing-sm) var(--spacing-md);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  font-size: var(--font-size-sm);
+  font-family: var(--font-family-secondary);
+  background: var(--color-surface-primary);
+  color: var(--color-text-primary);
+`;
+
 const TableBody = styled.tbody``;
 
 const EmptyState = styled.div`
@@ -157,15 +168,18 @@ const EmptyState = styled.div`
   }
 `;
 
-const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
+// Pass `triage` (see IssueRow) to show status, assignee and comment controls
+const IssueTable = ({ issues, onIssueToggle, expandedIssues, triage = null, title = 'Accessibility Issues' }) => {
   const [sortField, setSortField] = useState('severity');
   const [sortDirection, setSortDirection] = useState('desc');
   const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const [filters, setFilters] = useState({
     severity: [],
     category: [],
     wcagLevel: [],
+    wcagVersion: [],
     disabilityGroup: []
   });
   const [currentPage, setCurrentPage] = useState(1);
@@ -212,6 +226,11 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
         if (!matchesSearch) return false;
       }
       
+      // Triage status filter
+      if (statusFilter && (issue.triage?.status || 'open') !== statusFilter) {
+        return false;
+      }
+
       // Severity filter
       if (filters.severity.length > 0 && !filters.severity.includes(issue.severity)) {
         return false;
@@ -227,17 +246,23 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
         return false;
       }
       
+      // WCAG version filter, an issue counts when one of its criteria is part of the version
+      if (filters.wcagVersion.length > 0 &&
+          !filters.wcagVersion.some(version => (issue.wcagVersions || []).includes(version))) {
+        return false;
+      }
+      
       // Disability Group filter
       if (filters.disabilityGroup.length > 0) {
         const hasMatchingGroup = filters.disabilityGroup.some(group => 
-          issue.disabilityGroups.includes(group)
+          (issue.disabilityGroups || []).includes(group)
         );
         if (!hasMatchingGroup) return false;
       }
       
       return true;
     });
-  }, [sortedIssues, searchTerm, filters]);
+  }, [sortedIssues, searchTerm, filters, statusFilter]);
 
   // Pagination
   const totalPages = Math.ceil(filteredIssues.length / itemsPerPage);
@@ -283,7 +308,7 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
     <TableContainer>
       <TableHeader>
         <TableTitle>
-          Accessibility Issues ({filteredIssues.length} of {issues.length})
+          {title} ({filteredIssues.length} of {issues.length})
         </TableTitle>
         <TableControls>
           <SearchInput
@@ -292,6 +317,21 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
             value={searchTerm}
             onChange={handleSearch}
           />
+          {triage && (
+            <StatusSelect
+              aria-label="Filter by status"
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+            >
+              <option value="">All statuses</option>
+              {TRIAGE_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </StatusSelect>
+          )}
           <FilterToggle 
             onClick={() => setShowFilters(!showFilters)}
             className={showFilters ? 'active' : ''}
@@ -344,6 +384,11 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
             <TableHeaderCell>
               Disability Groups
             </TableHeaderCell>
+            {triage && (
+              <TableHeaderCell>
+                Triage
+              </TableHeaderCell>
+            )}
             <TableHeaderCell>
               Actions
             </TableHeaderCell>
@@ -356,6 +401,7 @@ const IssueTable = ({ issues, onIssueToggle, expandedIssues }) => {
               issue={issue}
               isExpanded={expandedIssues.includes(issue.id)}
               onToggle={() => onIssueToggle(issue.id)}
+              triage={triage}
             />
           ))}
         </TableBody>
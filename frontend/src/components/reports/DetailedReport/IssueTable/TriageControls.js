@@ -0,0 +1,76 @@
+import React from 'react';
+import styled from 'styled-components';
+import { FaComment } from 'react-icons/fa';
+import { TRIAGE_STATUSES } from '../../../../hooks/useIssueTriage';
+
+const Controls = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-xs);
+  min-width: 150px;
+`;
+
+const Select = styled.select`
+  padding: var(--spacing-xs) var(--spacing-sm);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-primary);
+  color: var(--color-text-primary);
+  font-size: var(--font-size-xs);
+  font-family: var(--font-family-secondary);
+
+  &:focus {
+    outline: none;
+    border-color: var(--color-interactive-primary);
+  }
+`;
+
+const CommentCount = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  font-size: var(--font-size-xs);
+  color: var(--color-text-tertiary);
+`;
+
+/**
+ * Status and assignee pickers for one issue row
+ */
+const TriageControls = ({ issue, members, onChange }) => {
+  const triage = issue.triage || { status: 'open', assigneeId: null, commentCount: 0 };
+
+  // Selects live inside a clickable row; keep clicks from expanding it
+  const stopPropagation = (e) => e.stopPropagation();
+
+  return (
+    <Controls onClick={stopPropagation}>
+      <Select
+        aria-label={`Status of ${issue.title}`}
+        value={triage.status}
+        onChange={(e) => onChange(issue, { status: e.target.value })}
+      >
+        {TRIAGE_STATUSES.map(status => (
+          <option key={status.value} value={status.value}>{status.label}</option>
+        ))}
+      </Select>
+      <Select
+        aria-label={`Assignee of ${issue.title}`}
+        value={triage.assigneeId || ''}
+        onChange={(e) => onChange(issue, { assigneeId: e.target.value || null })}
+      >
+        <option value="">Unassigned</option>
+        {members.map(member => (
+          <option key={member.userId} value={member.userId}>{member.name || member.email}</option>
+        ))}
+      </Select>
+      {triage.commentCount > 0 && (
+        <CommentCount>
+          <FaComment />
+          {triage.commentCount}
+        </CommentCount>
+      )}
+    </Controls>
+  );
+};
+
+export default TriageControls;
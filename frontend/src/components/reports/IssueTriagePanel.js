@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import IssueTable from './DetailedReport/IssueTable/IssueTable';
+import LoadingSpinner from '../LoadingSpinner';
+import { useIssueTriage } from '../../hooks/useIssueTriage';
+
+const Muted = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0;
+`;
+
+/**
+ * Issue triage for one analysis: every issue with its status, assignee and comments.
+ * Triage belongs to the website, so decisions carry over to later scans of the same issue.
+ */
+const IssueTriagePanel = ({ analysisId, workspaceId, websiteId }) => {
+  const [expandedIssues, setExpandedIssues] = useState([]);
+  const {
+    issues,
+    members,
+    loading,
+    error,
+    updateTriage,
+    changeCommentCount
+  } = useIssueTriage({ workspaceId, websiteId, analysisId });
+
+  const toggleIssue = (issueId) => {
+    setExpandedIssues(previous => (
+      previous.includes(issueId)
+        ? previous.filter(id => id !== issueId)
+        : [...previous, issueId]
+    ));
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <Muted>Failed to load issues for triage.</Muted>;
+  }
+
+  return (
+    <IssueTable
+      title="Issues"
+      issues={issues}
+      expandedIssues={expandedIssues}
+      onIssueToggle={toggleIssue}
+      triage={{
+        workspaceId,
+        websiteId,
+        members,
+        onChange: updateTriage,
+        onCommentCountChange: changeCommentCount
+      }}
+    />
+  );
+};
+
+export default IssueTriagePanel;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { FaExclamationCircle, FaRandom } from 'react-icons/fa';
+import { analysisAPI } from '../../services/api';
+import LoadingSpinner from '../LoadingSpinner';
+
+const FLAGS = {
+  unnamed: { label: 'No accessible name', icon: FaExclamationCircle, color: 'var(--color-error)' },
+  'reading-order': { label: 'Confusing reading order', icon: FaRandom, color: 'var(--color-warning)' }
+};
+
+const LANDMARK_NAMES = {
+  banner: 'Banner',
+  navigation: 'Navigation',
+  main: 'Main',
+  complementary: 'Complementary',
+  contentinfo: 'Content info',
+  search: 'Search',
+  region: 'Region',
+  form: 'Form'
+};
+
+// Long pages are cut off; the outline links still jump to any line once expanded
+const VISIBLE_LINES = 300;
+
+const Summary = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0 0 var(--spacing-lg);
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: var(--spacing-sm);
+  margin-bottom: var(--spacing-lg);
+`;
+
+const FilterButton = styled.button`
+  padding: var(--spacing-xs) var(--spacing-md);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-full);
+  background: ${props => props.$active ? 'var(--color-interactive-primary)' : 'transparent'};
+  color: ${props => props.$active ? 'var(--color-text-inverse)' : 'var(--color-text-primary)'};
+  font-size: var(--font-size-sm);
+  cursor: pointer;
+`;
+
+const PageSelect = styled.select`
+  margin-left: auto;
+  padding: var(--spacing-xs) var(--spacing-sm);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-primary);
+  color: var(--color-text-primary);
+  font-size: var(--font-size-sm);
+  max-width: 320px;
+`;
+
+const Layout = styled.div`
+  display: grid;
+  grid-template-columns: minmax(200px, 1fr) 3fr;
+  gap: var(--spacing-xl);
+
+  @media (max-width: 900px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const Outline = styled.nav`
+  font-size: var(--font-size-sm);
+`;
+
+const OutlineTitle = styled.h3`
+  font-size: var(--font-size-base);
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+  margin: 0 0 var(--spacing-sm);
+`;
+
+const OutlineList = styled.ul`
+  list-style: none;
+  margin: 0 0 var(--spacing-lg);
+  padding: 0;
+`;
+
+const OutlineLink = styled.a`
+  display: block;
+  padding: 2px 0 2px ${props => (props.$level - 1) * 12}px;
+  color: var(--color-text-primary);
+  text-decoration: none;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+
+  &:hover {
+    color: var(--color-interactive-primary);
+  }
+`;
+
+const Lines = styled.ol`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  font-family: var(--font-family-mono, monospace);
+  font-size: var(--font-size-sm);
+`;
+
+const Line = styled.li`
+  padding: var(--spacing-xs) var(--spacing-sm) var(--spacing-xs) ${props => 8 + props.$depth * 16}px;
+  border-left: 4px solid ${props => props.$color || 'transparent'};
+  background: ${props => props.$color ? 'var(--color-surface-secondary)' : 'transparent'};
+  color: ${props => props.$structural ? 'var(--color-text-secondary)' : 'var(--color-text-primary)'};
+  scroll-margin-top: 80px;
+`;
+
+const LineNote = styled.div`
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  margin-top: var(--spacing-xs);
+  font-family: var(--font-family-base, inherit);
+  color: ${props => props.$color};
+
+  code {
+    color: var(--color-text-secondary);
+  }
+`;
+
+const Muted = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0;
+`;
+
+const ShowMoreButton = styled.button`
+  margin-top: var(--spacing-sm);
+  border: none;
+  background: none;
+  color: var(--color-interactive-primary);
+  cursor: pointer;
+  font-size: var(--font-size-sm);
+`;
+
+const STRUCTURAL_ROLES = ['list', 'table', 'grid', 'dialog', 'alertdialog', 'tablist', 'menu', 'menubar', 'listbox', 'radiogroup', 'tree', ...Object.keys(LANDMARK_NAMES)];
+
+const pageLabel = (page) => page.flowStep || (page.pageIndex === 0 ? `${page.url} (requested page)` : page.url);
+
+/**
+ * Screen reader view: the page as assistive technology reads it, with the heading and landmark
+ * outline. Unnamed controls and content that is read out of visual order are highlighted.
+ */
+const ScreenReaderTranscript = ({ analysisId }) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pageId, setPageId] = useState(null);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTranscript = async () => {
+      setLoading(true);
+      try {
+        const response = await analysisAPI.getScreenReaderTranscript(analysisId, pageId);
+        if (!cancelled) {
+          setResult(response.data);
+          setError(null);
+        }
+      } catch (loadError) {
+        if (!cancelled) setError(loadError);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadTranscript();
+    return () => {
+      cancelled = true;
+    };
+  }, [analysisId, pageId]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error?.code === 'TRANSCRIPT_NOT_FOUND') {
+    return <Muted>No screen reader transcript was recorded for this page. It is created for analyses run after the screen reader view was added.</Muted>;
+  }
+  if (error || !result) {
+    return <Muted>Failed to load the screen reader transcript.</Muted>;
+  }
+
+  const { transcript, pages, page } = result;
+  const lines = problemsOnly ? transcript.lines.filter(line => line.flags.length > 0) : transcript.lines;
+  const visible = expanded ? lines : lines.slice(0, VISIBLE_LINES);
+
+  const jumpTo = (index) => (event) => {
+    event.preventDefault();
+    if (!expanded && index >= VISIBLE_LINES) setExpanded(true);
+    setProblemsOnly(false);
+    // Wait for the line to render when the list had to expand
+    setTimeout(() => {
+      document.getElementById(`sr-line-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 0);
+  };
+
+  return (
+    <div>
+      <Summary>
+        {transcript.summary.lines} lines read, {transcript.summary.unnamed} without an accessible name and{' '}
+        {transcript.summary.readingOrder} read out of visual order.
+        {transcript.truncated && ' The page is longer than the transcript limit, so the end is missing.'}
+      </Summary>
+
+      <Toolbar>
+        <FilterButton $active={!problemsOnly} onClick={() => setProblemsOnly(false)}>
+          All lines
+        </FilterButton>
+        <FilterButton $active={problemsOnly} onClick={() => setProblemsOnly(true)}>
+          Problems only ({transcript.summary.unnamed + transcript.summary.readingOrder})
+        </FilterButton>
+        {pages.length > 1 && (
+          <PageSelect
+            aria-label="Page"
+            value={page.id}
+            onChange={(event) => {
+              setExpanded(false);
+              setPageId(event.target.value);
+            }}
+          >
+            {pages.map(option => (
+              <option key={option.id} value={option.id}>{pageLabel(option)}</option>
+            ))}
+          </PageSelect>
+        )}
+      </Toolbar>
+
+      <Layout>
+        <Outline aria-label="Page outline">
+          <OutlineTitle>Headings</OutlineTitle>
+          {transcript.headings.length === 0 ? (
+            <Muted>No headings</Muted>
+          ) : (
+            <OutlineList>
+              {transcript.headings.map(heading => (
+                <li key={heading.line}>
+                  <OutlineLink href={`#sr-line-${heading.line}`} $level={heading.level} onClick={jumpTo(heading.line)}>
+                    H{heading.level} {heading.name || '(empty heading)'}
+                  </OutlineLink>
+                </li>
+              ))}
+            </OutlineList>
+          )}
+
+          <OutlineTitle>Landmarks</OutlineTitle>
+          {transcript.landmarks.length === 0 ? (
+            <Muted>No landmarks</Muted>
+          ) : (
+            <OutlineList>
+              {transcript.landmarks.map(landmark => (
+                <li key={landmark.line}>
+                  <OutlineLink href={`#sr-line-${landmark.line}`} $level={1} onClick={jumpTo(landmark.line)}>
+                    {LANDMARK_NAMES[landmark.role] || landmark.role}{landmark.name ? `: ${landmark.name}` : ''}
+                  </OutlineLink>
+                </li>
+              ))}
+            </OutlineList>
+          )}
+        </Outline>
+
+        <div>
+          {lines.length === 0 ? (
+            <Muted>{problemsOnly ? 'No unnamed controls or reading order problems on this page.' : 'The page has no readable content.'}</Muted>
+          ) : (
+            <Lines>
+              {visible.map(line => {
+                const flag = FLAGS[line.flags[0]];
+                return (
+                  <Line
+                    key={line.index}
+                    id={`sr-line-${line.index}`}
+                    $depth={line.depth}
+                    $color={flag?.color}
+                    $structural={STRUCTURAL_ROLES.includes(line.role)}
+                  >
+                    {line.announcement}
+                    {line.flags.map(key => {
+                      const Icon = FLAGS[key].icon;
+                      return (
+                        <LineNote key={key} $color={FLAGS[key].color}>
+                          <Icon aria-hidden="true" />
+                          <span>{FLAGS[key].label}{line.note ? `: ${line.note}` : ''}</span>
+                          {line.selector && <code>{line.selector}</code>}
+                        </LineNote>
+                      );
+                    })}
+                  </Line>
+                );
+              })}
+            </Lines>
+          )}
+          {lines.length > VISIBLE_LINES && (
+            <ShowMoreButton onClick={() => setExpanded(!expanded)}>
+              {expanded ? 'Show fewer' : `Show all ${lines.length} lines`}
+            </ShowMoreButton>
+          )}
+        </div>
+      </Layout>
+    </div>
+  );
+};
+
+export default ScreenReaderTranscript;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { toast } from 'react-toastify';
+import { FaLink, FaCopy, FaBan, FaLock } from 'react-icons/fa';
+import { reportAPI } from '../../services/api';
+import { isUpgradeRequiredError } from '../../hooks/useEntitlements';
+
+const Panel = styled.div`
+  background: var(--color-surface-secondary);
+  border: 1px solid var(--color-border-secondary);
+  border-radius: var(--border-radius-lg);
+  padding: var(--spacing-lg);
+  margin-top: var(--spacing-lg);
+`;
+
+const PanelTitle = styled.h3`
+  font-size: var(--font-size-lg);
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+  margin: 0 0 var(--spacing-md);
+  display: flex;
+  align-items: center;
+  gap: var(--spacing-sm);
+`;
+
+const FormRow = styled.form`
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--spacing-sm);
+  align-items: flex-end;
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-xs);
+  font-size: var(--font-size-sm);
+  color: var(--color-text-secondary);
+`;
+
+const Select = styled.select`
+  padding: var(--spacing-sm);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-elevated);
+  color: var(--color-text-primary);
+`;
+
+const Input = styled.input`
+  padding: var(--spacing-sm);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-elevated);
+  color: var(--color-text-primary);
+`;
+
+const Button = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: var(--spacing-xs);
+  padding: var(--spacing-sm) var(--spacing-md);
+  border: none;
+  border-radius: var(--border-radius-md);
+  background: ${props => props.$variant ? 'transparent' : 'var(--color-interactive-primary)'};
+  color: ${props => {
+    if (props.$variant === 'danger') return 'var(--color-error)';
+    if (props.$variant === 'ghost') return 'var(--color-text-secondary)';
+    return 'var(--color-text-on-brand)';
+  }};
+  cursor: pointer;
+  font-size: var(--font-size-sm);
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+`;
+
+const LinkList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: var(--spacing-md) 0 0;
+`;
+
+const LinkItem = styled.li`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: var(--spacing-sm);
+  padding: var(--spacing-sm) 0;
+  border-top: 1px solid var(--color-border-secondary);
+  font-size: var(--font-size-sm);
+  color: ${props => props.$inactive ? 'var(--color-text-tertiary)' : 'var(--color-text-primary)'};
+`;
+
+const LinkUrl = styled.code`
+  word-break: break-all;
+`;
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' }
+];
+
+const describeLink = (link) => {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt && new Date(link.expiresAt) <= new Date()) return 'expired';
+  return link.expiresAt ? `until ${new Date(link.expiresAt).toLocaleDateString()}` : 'no expiry';
+};
+
+const ShareReportPanel = ({ analysisId }) => {
+  const [links, setLinks] = useState([]);
+  const [type, setType] = useState('free');
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [password, setPassword] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const response = await reportAPI.getShareLinks(analysisId);
+      setLinks(response.data || []);
+    } catch (error) {
+      // Listing is informational only, creating a link still works
+      setLinks([]);
+    }
+  }, [analysisId]);
+
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks]);
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied to clipboard');
+    } catch (error) {
+      toast.info(url);
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+    try {
+      const response = await reportAPI.createShareLink(analysisId, {
+        type,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+        password: password || undefined
+      });
+      setPassword('');
+      await copyLink(response.data.url);
+      loadLinks();
+    } catch (error) {
+      if (isUpgradeRequiredError(error)) {
+        toast.error('A report credit or a plan with detailed reports is required to share a detailed report');
+      } else {
+        toast.error(error.message || 'Failed to create share link');
+      }
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    try {
+      await reportAPI.revokeShareLink(key);
+      toast.success('Share link revoked');
+      loadLinks();
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke share link');
+    }
+  };
+
+  return (
+    <Panel>
+      <PanelTitle>
+        <FaLink />
+        Share this report
+      </PanelTitle>
+      <FormRow onSubmit={handleCreate}>
+        <Field>
+          Report
+          <Select value={type} onChange={(event) => setType(event.target.value)}>
+            <option value="free">Summary</option>
+            <option value="detailed">Detailed</option>
+          </Select>
+        </Field>
+        <Field>
+          Expires
+          <Select value={expiresInDays} onChange={(event) => setExpiresInDays(event.target.value)}>
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Select>
+        </Field>
+        <Field>
+          Password (optional)
+          <Input
+            type="password"
+            minLength={6}
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+          />
+        </Field>
+        <Button type="submit" disabled={creating}>
+          <FaLink />
+          {creating ? 'Creating...' : 'Create link'}
+        </Button>
+      </FormRow>
+
+      {links.length > 0 && (
+        <LinkList>
+          {links.map(link => {
+            const status = describeLink(link);
+            const inactive = status === 'revoked' || status === 'expired';
+            return (
+              <LinkItem key={link.key} $inactive={inactive}>
+                <div>
+                  <LinkUrl>{link.url}</LinkUrl>
+                  <div>
+                    {link.type === 'detailed' ? 'Detailed' : 'Summary'} · {status} · {link.viewCount} views
+                    {link.passwordProtected && <> · <FaLock aria-label="Password protected" /></>}
+                  </div>
+                </div>
+                {!inactive && (
+                  <div>
+                    <Button type="button" $variant="ghost" onClick={() => copyLink(link.url)} aria-label="Copy link">
+                      <FaCopy />
+                    </Button>
+                    <Button type="button" $variant="danger" onClick={() => handleRevoke(link.key)}>
+                      <FaBan />
+                      Revoke
+                    </Button>
+                  </div>
+                )}
+              </LinkItem>
+            );
+          })}
+        </LinkList>
+      )}
+    </Panel>
+  );
+};
+
+export default ShareReportPanel;
@@ -0,0 +1,106 @@
+import React from 'react';
+import styled from 'styled-components';
+
+const MODULES = [
+  { key: 'accessibility', label: 'Accessibility' },
+  { key: 'seo', label: 'SEO' },
+  { key: 'performance', label: 'Performance' }
+];
+
+const Summary = styled.p`
+  color: var(--color-text-secondary);
+  margin: 0 0 var(--spacing-lg);
+`;
+
+const Group = styled.section`
+  margin-bottom: var(--spacing-xl);
+`;
+
+const GroupTitle = styled.h3`
+  font-size: var(--font-size-lg);
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+  margin: 0 0 var(--spacing-md);
+`;
+
+const IssueList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  display: flex;
+  flex-direction: column;
+  gap: var(--spacing-sm);
+`;
+
+const IssueItem = styled.li`
+  border: 1px solid var(--color-border-secondary);
+  border-left: 4px solid var(--color-text-secondary);
+  border-radius: var(--border-radius-md);
+  padding: var(--spacing-sm) var(--spacing-md);
+  font-size: var(--font-size-sm);
+`;
+
+const IssueName = styled.div`
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+`;
+
+const IssueMeta = styled.div`
+  color: var(--color-text-secondary);
+  margin-top: var(--spacing-xs);
+  word-break: break-all;
+`;
+
+const Reason = styled.div`
+  margin-top: var(--spacing-xs);
+  color: var(--color-text-primary);
+  font-style: italic;
+`;
+
+/**
+ * Issues hidden by a workspace suppression. They are not part of the scores but stay
+ * visible here so it is clear what was left out and why.
+ */
+const SuppressedIssues = ({ suppressedIssues }) => {
+  const groups = MODULES
+    .map(module => ({ ...module, issues: suppressedIssues?.[module.key] || [] }))
+    .filter(group => group.issues.length > 0);
+
+  if (groups.length === 0) {
+    return <Summary>No issues of this analysis matched a suppression rule.</Summary>;
+  }
+
+  return (
+    <div>
+      <Summary>
+        These issues matched a suppression rule of your workspace and are not counted in the scores.
+      </Summary>
+
+      {groups.map(group => (
+        <Group key={group.key}>
+          <GroupTitle>{group.label} ({group.issues.length})</GroupTitle>
+          <IssueList>
+            {group.issues.map(issue => (
+              <IssueItem key={issue.id}>
+                <IssueName>
+                  [{issue.severity}] {issue.rules?.name || issue.rules?.rule_key || 'Unknown rule'}
+                </IssueName>
+                {issue.message && <IssueMeta>{issue.message}</IssueMeta>}
+                {(issue.dom_path || issue.location_path) && (
+                  <IssueMeta>
+                    <code>{issue.dom_path || issue.location_path}</code>
+                  </IssueMeta>
+                )}
+                {issue.issue_suppressions?.reason && (
+                  <Reason>Suppressed: {issue.issue_suppressions.reason}</Reason>
+                )}
+              </IssueItem>
+            ))}
+          </IssueList>
+        </Group>
+      ))}
+    </div>
+  );
+};
+
+export default SuppressedIssues;
@@ -73,7 +73,9 @@ const CategorySection = ({
   isExpanded,
   onToggle,
   expandedIssues,
-  onToggleIssue
+  onToggleIssue,
+  focusedIssueId,
+  markerNumbers
 }) => {
   const CategoryIconComponent = category.icon;
 
@@ -105,6 +107,8 @@ const CategorySection = ({
               issue={issue}
               isExpanded={expandedIssues.has(issue.id)}
               onToggle={() => onToggleIssue(issue.id)}
+              focusedIssueId={focusedIssueId}
+              markerNumbers={markerNumbers}
             />
           ))}
         </IssuesList>
@@ -8,6 +8,7 @@ import {
   FaChevronDown,
   FaChevronUp
 } from 'react-icons/fa';
+import { issueRowId } from '../../utils/screenshotMarkers';
 
 const IssueCard = styled.div`
   background: var(--color-surface-primary);
@@ -97,9 +98,31 @@ const OccurrenceList = styled.div`
 
 const OccurrenceItem = styled.div`
   background: var(--color-surface-secondary);
-  border: 1px solid var(--color-border-tertiary);
+  border: 1px solid ${props => props.$focused ? 'var(--color-error)' : 'var(--color-border-tertiary)'};
+  box-shadow: ${props => props.$focused ? '0 0 0 2px var(--color-error)' : 'none'};
   border-radius: var(--border-radius-md);
   padding: var(--spacing-md);
+  scroll-margin: var(--spacing-xl);
+
+  &:focus {
+    outline: none;
+  }
+`;
+
+// Same number as the issue's marker on the screenshots
+const MarkerBadge = styled.span`
+  display: inline-block;
+  min-width: 22px;
+  height: 22px;
+  padding: 0 var(--spacing-xs);
+  margin-right: var(--spacing-sm);
+  border-radius: 11px;
+  background: var(--color-error);
+  color: white;
+  font-size: var(--font-size-xs);
+  font-weight: var(--font-weight-semibold);
+  line-height: 22px;
+  text-align: center;
 `;
 
 const OccurrenceLocation = styled.div`
@@ -166,7 +189,7 @@ const getSeverityIcon = (severity) => {
   }
 };
 
-const CollapsibleIssueCard = ({ issue, isExpanded, onToggle }) => {
+const CollapsibleIssueCard = ({ issue, isExpanded, onToggle, focusedIssueId, markerNumbers = {} }) => {
   const occurrenceCount = issue.count || issue.occurrences?.length || 1;
   
   return (
@@ -205,23 +228,41 @@ const CollapsibleIssueCard = ({ issue, isExpanded, onToggle }) => {
           {/* If we have structured occurrences */}
           {issue.occurrences && issue.occurrences.length > 0 && (
             <OccurrenceList>
-              {issue.occurrences.map((occurrence, index) => (
-                <OccurrenceItem key={index}>
-                  {occurrence.location && (
-                    <OccurrenceLocation>
-                      📍 {occurrence.location}
-                    </OccurrenceLocation>
-                  )}
-                  
-                  {occurrence.code && (
-                    <OccurrenceCode>{occurrence.code}</OccurrenceCode>
-                  )}
-                  
-                  {occurrence.fix && (
-                    <OccurrenceFix>{occurrence.fix}</OccurrenceFix>
-                  )}
-                </OccurrenceItem>
-              ))}
+              {issue.occurrences.map((occurrence, index) => {
+                const issueId = occurrence.original_issue?.id;
+                return (
+                  <OccurrenceItem
+                    key={index}
+                    id={issueId ? issueRowId(issueId) : undefined}
+                    tabIndex={issueId ? -1 : undefined}
+                    $focused={Boolean(issueId) && issueId === focusedIssueId}
+                  >
+                    {markerNumbers[issueId] && (
+                      <MarkerBadge title="Marked on the screenshots">{markerNumbers[issueId]}</MarkerBadge>
+                    )}
+
+                    {occurrence.location && (
+                      <OccurrenceLocation>
+                        📍 {occurrence.location}
+                      </OccurrenceLocation>
+                    )}
+
+                    {occurrence.flowStep && (
+                      <OccurrenceLocation>
+                        🧭 Flow step: {occurrence.flowStep}
+                      </OccurrenceLocation>
+                    )}
+                    
+                    {occurrence.code && (
+                      <OccurrenceCode>{occurrence.code}</OccurrenceCode>
+                    )}
+                    
+                    {occurrence.fix && (
+                      <OccurrenceFix>{occurrence.fix}</OccurrenceFix>
+                    )}
+                  </OccurrenceItem>
+                );
+              })}
             </OccurrenceList>
           )}
           
@@ -233,6 +274,12 @@ const CollapsibleIssueCard = ({ issue, isExpanded, onToggle }) => {
                   📍 {issue.location_path || issue.location}
                 </OccurrenceLocation>
               )}
+
+              {issue.flow_step && (
+                <OccurrenceLocation>
+                  🧭 Flow step: {issue.flow_step}
+                </OccurrenceLocation>
+              )}
               
               {issue.code_snippet && (
                 <OccurrenceCode>{issue.code_snippet}</OccurrenceCode>
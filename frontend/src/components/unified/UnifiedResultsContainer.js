@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 import { 
   FaCheckCircle, 
@@ -9,6 +9,7 @@ import {
 } from 'react-icons/fa';
 import CategorySection from './CategorySection';
 import { getCategoryConfig } from './categoryConfig';
+import { issueRowId } from '../../utils/screenshotMarkers';
 
 const ResultsSection = styled.section`
   background: var(--color-surface-elevated);
@@ -117,7 +118,10 @@ const UnifiedResultsContainer = ({
   score, 
   issues, 
   type = 'accessibility',
-  emptyStateMessage
+  emptyStateMessage,
+  focusedIssue,
+  markerNumbers,
+  children
 }) => {
   // Group issues by category
   const categorizedIssues = React.useMemo(() => {
@@ -141,6 +145,28 @@ const UnifiedResultsContainer = ({
     return firstCategory ? new Set([firstCategory]) : new Set();
   });
   const [expandedIssues, setExpandedIssues] = useState(new Set());
+  const scrolledFocus = useRef(null);
+
+  // Open the card holding an issue picked on a screenshot marker
+  useEffect(() => {
+    if (!focusedIssue || !issues) return;
+    const group = issues.find(issue => issue.occurrences?.some(occurrence => occurrence.original_issue?.id === focusedIssue.issueId));
+    if (!group) return;
+
+    setExpandedCategories(previous => new Set(previous).add(group.category || 'general'));
+    setExpandedIssues(previous => new Set(previous).add(group.id));
+  }, [focusedIssue, issues]);
+
+  // Scroll once the occurrence row is rendered
+  useEffect(() => {
+    if (!focusedIssue || scrolledFocus.current === focusedIssue) return;
+    const row = document.getElementById(issueRowId(focusedIssue.issueId));
+    if (!row) return;
+
+    scrolledFocus.current = focusedIssue;
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.focus({ preventScroll: true });
+  }, [focusedIssue, expandedCategories, expandedIssues]);
 
   const toggleCategory = (categoryId) => {
     const newExpanded = new Set(expandedCategories);
@@ -192,6 +218,8 @@ const UnifiedResultsContainer = ({
           </ScoreCard>
         </HeaderSection>
 
+        {children}
+
         <EmptyState>
           <EmptyStateIcon>
             <FaCheckCircle />
@@ -258,6 +286,8 @@ const UnifiedResultsContainer = ({
         </StatusContent>
       </StatusBanner>
 
+      {children}
+
       {Object.entries(categorizedIssues).map(([categoryKey, categoryIssues]) => {
         const categoryConfig = getCategoryConfig(categoryKey);
         
@@ -274,6 +304,8 @@ const UnifiedResultsContainer = ({
             onToggle={() => toggleCategory(categoryKey)}
             expandedIssues={expandedIssues}
             onToggleIssue={toggleIssue}
+            focusedIssueId={focusedIssue?.issueId}
+            markerNumbers={markerNumbers}
           />
         );
       })}
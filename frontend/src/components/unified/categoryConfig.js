@@ -11,10 +11,14 @@ import {
   FaUniversalAccess,
   FaHandPointer,
   FaMobileAlt,
-  FaGlobe
+  FaGlobe,
+  FaTachometerAlt,
+  FaBoxOpen,
+  FaServer,
+  FaJs
 } from 'react-icons/fa';
 
-// Configuration for all category types across SEO and Accessibility
+// Configuration for all category types across SEO, Accessibility and Performance
 export const CATEGORY_CONFIG = {
   // SEO Categories
   technical: { 
@@ -92,6 +96,32 @@ export const CATEGORY_CONFIG = {
     description: 'Mobile-specific accessibility issues'
   },
   
+  // Performance Categories
+  vitals: {
+    icon: FaTachometerAlt,
+    color: '#ef4444',
+    label: 'Core Web Vitals',
+    description: 'Loading, interactivity and visual stability metrics'
+  },
+  resources: {
+    icon: FaBoxOpen,
+    color: '#f59e0b',
+    label: 'Resource Optimization',
+    description: 'Images, stylesheets, scripts and fonts that slow down loading'
+  },
+  caching: {
+    icon: FaServer,
+    color: '#3b82f6',
+    label: 'Caching & Delivery',
+    description: 'Browser caching, compression and CDN usage'
+  },
+  javascript: {
+    icon: FaJs,
+    color: '#8b5cf6',
+    label: 'JavaScript Execution',
+    description: 'Main thread work and script payload issues'
+  },
+  
   // General/Fallback
   general: {
     icon: FaGlobe,
@@ -119,6 +149,12 @@ export const determineCategoryFromIssue = (issue) => {
   if (ruleKey.startsWith('SEO_SCHEMA_')) return 'schema';
   if (ruleKey.startsWith('SEO_AI_')) return 'ai';
   
+  // Performance rule key patterns
+  if (ruleKey.startsWith('PERF_CWV_')) return 'vitals';
+  if (ruleKey.startsWith('PERF_RES_')) return 'resources';
+  if (ruleKey.startsWith('PERF_CACHE_')) return 'caching';
+  if (ruleKey.startsWith('PERF_JS_')) return 'javascript';
+  
   // Accessibility patterns based on rule keys
   if (ruleKey.includes('alt-text') || ruleKey.includes('image')) return 'images';
   if (ruleKey.includes('form') || ruleKey.includes('input') || ruleKey.includes('label')) return 'forms';
@@ -0,0 +1,110 @@
+/**
+ * React Hook for Plan Entitlements
+ *
+ * Loads the plan_features of the current workspace from the backend so pages can show
+ * upgrade prompts before a gated request fails with 402.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { billingAPI } from '../services/api';
+
+export const PLAN_FEATURES = {
+  DETAILED_REPORTS: 'DETAILED_REPORTS',
+  API_ACCESS: 'API_ACCESS',
+  AUTO_FIXES: 'AUTO_FIXES'
+};
+
+export const FEATURE_LABELS = {
+  DETAILED_REPORTS: 'Detailed reports',
+  API_ACCESS: 'API access',
+  AUTO_FIXES: 'Automatic fixes'
+};
+
+// Codes the backend uses when a plan or credit is missing
+const UPGRADE_ERROR_CODES = ['FEATURE_NOT_IN_PLAN', 'REPORT_CREDITS_REQUIRED'];
+
+export const isUpgradeRequiredError = (error) => (
+  error?.status === 402 && (!error.code || UPGRADE_ERROR_CODES.includes(error.code))
+);
+
+// Shared between components so a page with several gated sections makes one request.
+// Keyed by user and workspace, and cleared on sign out and after a Stripe checkout.
+const requests = new Map();
+
+export const clearEntitlementsCache = () => {
+  requests.clear();
+};
+
+// Stripe sends the user back with ?session_id=... once a checkout is paid
+const isCheckoutReturn = () => new URLSearchParams(window.location.search).has('session_id');
+
+const fetchEntitlements = (userId, workspaceId, fresh) => {
+  const cacheKey = `${userId}:${workspaceId || 'default'}`;
+  if (fresh || !requests.has(cacheKey)) {
+    const request = billingAPI.getEntitlements(workspaceId).then(response => response.data);
+    request.catch(() => requests.delete(cacheKey));
+    requests.set(cacheKey, request);
+  }
+  return requests.get(cacheKey);
+};
+
+export const useEntitlements = (workspaceId = null) => {
+  const { user } = useAuth();
+  const [entitlements, setEntitlements] = useState(null);
+  const [loading, setLoading] = useState(Boolean(user));
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (fresh = false) => {
+    if (!user) {
+      clearEntitlementsCache();
+      setEntitlements(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setEntitlements(await fetchEntitlements(user.id, workspaceId, fresh || isCheckoutReturn()));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, workspaceId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Pages restored from the back/forward cache (e.g. the back button on Stripe Checkout)
+  // keep this module's state, so the plan may have changed since it was cached
+  useEffect(() => {
+    const handlePageShow = (event) => {
+      if (event.persisted) {
+        clearEntitlementsCache();
+        load(true);
+      }
+    };
+    window.addEventListener('pageshow', handlePageShow);
+    return () => window.removeEventListener('pageshow', handlePageShow);
+  }, [load]);
+
+  const hasFeature = useCallback(
+    (feature) => Boolean(entitlements?.features?.includes(feature)),
+    [entitlements]
+  );
+
+  return {
+    entitlements,
+    planName: entitlements?.planName || null,
+    subscriptionStatus: entitlements?.subscriptionStatus || null,
+    loading,
+    error,
+    hasFeature,
+    refresh: () => load(true)
+  };
+};
+
+export default useEntitlements;
@@ -0,0 +1,128 @@
+/**
+ * React Hook for Issue Triage
+ *
+ * Loads the issues of an analysis with their triage state and the workspace members that
+ * issues can be assigned to. Status and assignee changes are applied optimistically.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { triageAPI, workspaceAPI } from '../services/api';
+import { WcagLookup } from '../models/WcagCriteria';
+
+export const TRIAGE_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'fixed', label: 'Fixed' },
+  { value: 'wont_fix', label: "Won't fix" },
+  { value: 'false_positive', label: 'False positive' }
+];
+
+const parseWcagCriteria = (criteria) => (criteria || '')
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map(id => {
+    const known = WcagLookup.getCriterion(id);
+    return known
+      ? { id, title: known.title, level: known.level, version: known.version, disabilityGroups: known.disabilityGroups }
+      : { id, title: '', level: null };
+  });
+
+// Shape expected by IssueTable/IssueRow (see models/AccessibilityIssue)
+const toTableIssue = (issue) => {
+  const wcagCriteria = parseWcagCriteria(issue.wcagCriteria);
+  return {
+    id: issue.fingerprint,
+    title: issue.name,
+    description: issue.message || '',
+    severity: issue.severity,
+    category: issue.module,
+    wcagCriteria,
+    wcagLevel: WcagLookup.getHighestLevel(wcagCriteria),
+    wcagVersions: WcagLookup.getVersionsForCriteria(wcagCriteria.map(c => c.id)),
+    disabilityGroups: [...new Set(wcagCriteria.flatMap(c => c.disabilityGroups || []))],
+    elements: [{ selector: issue.selector, html: issue.codeSnippet, context: issue.pageUrl }],
+    remediation: { summary: issue.fixSuggestion },
+    fingerprint: issue.fingerprint,
+    module: issue.module,
+    ruleKey: issue.ruleKey,
+    triage: issue.triage
+  };
+};
+
+export const useIssueTriage = ({ workspaceId, websiteId, analysisId }) => {
+  const [issues, setIssues] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!workspaceId || !websiteId) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [issuesResponse, membersResponse] = await Promise.all([
+        triageAPI.getIssues(workspaceId, websiteId, analysisId),
+        workspaceAPI.getMembers(workspaceId)
+      ]);
+      setIssues(issuesResponse.data.issues.map(toTableIssue));
+      setMembers(membersResponse.data);
+      setError(null);
+    } catch (loadError) {
+      setError(loadError);
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId, websiteId, analysisId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const setIssueTriage = (fingerprint, triage) => {
+    setIssues(current => current.map(issue => (
+      issue.fingerprint === fingerprint ? { ...issue, triage: { ...issue.triage, ...triage } } : issue
+    )));
+  };
+
+  // updates: { status } and/or { assigneeId }
+  const updateTriage = async (issue, updates) => {
+    const previous = issue.triage;
+    setIssueTriage(issue.fingerprint, updates);
+
+    try {
+      const response = await triageAPI.updateIssue(workspaceId, websiteId, issue.fingerprint, {
+        ...updates,
+        module: issue.module,
+        ruleKey: issue.ruleKey
+      });
+      setIssueTriage(issue.fingerprint, response.data);
+    } catch (updateError) {
+      setIssueTriage(issue.fingerprint, previous);
+      toast.error(updateError.message || 'Failed to update issue');
+    }
+  };
+
+  const changeCommentCount = (fingerprint, delta) => {
+    setIssues(current => current.map(issue => (
+      issue.fingerprint === fingerprint
+        ? { ...issue, triage: { ...issue.triage, commentCount: Math.max(0, (issue.triage?.commentCount || 0) + delta) } }
+        : issue
+    )));
+  };
+
+  return {
+    issues,
+    members,
+    loading,
+    error,
+    updateTriage,
+    changeCommentCount,
+    refresh: load
+  };
+};
+
+export default useIssueTriage;
@@ -3,6 +3,8 @@
  * Standardized data structure for accessibility issues
  */
 
+import { WcagLookup } from './WcagCriteria';
+
 export class AccessibilityIssue {
   constructor(data) {
     this.id = data.id || this.generateId();
@@ -45,11 +47,12 @@ export class AccessibilityIssue {
   }
 
   get wcagLevel() {
-    const levels = this.wcagCriteria.map(c => c.level).filter(Boolean);
-    if (levels.includes('AAA')) return 'AAA';
-    if (levels.includes('AA')) return 'AA';
-    if (levels.includes('A')) return 'A';
-    return 'Unknown';
+    return WcagLookup.getHighestLevel(this.wcagCriteria);
+  }
+
+  // WCAG versions (2.0, 2.1, 2.2) the issue's criteria belong to
+  get wcagVersions() {
+    return WcagLookup.getVersionsForCriteria(this.wcagCriteria.map(c => c.id));
   }
 
   get severityScore() {
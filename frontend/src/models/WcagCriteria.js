@@ -1,13 +1,26 @@
 /**
  * WCAG Criteria Model and Lookup
- * Comprehensive WCAG 2.1 success criteria mapping
+ * Comprehensive WCAG 2.0, 2.1 and 2.2 success criteria mapping
  */
 
+// Published WCAG versions, oldest first
+export const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+// Success criteria added after WCAG 2.0, so criteria without an entry in WCAG_CRITERIA
+// still get the right versions
+const CRITERIA_ADDED_IN = {
+  '2.1': ['1.3.4', '1.3.5', '1.3.6', '1.4.10', '1.4.11', '1.4.12', '1.4.13', '2.1.4', '2.2.6', '2.3.3',
+    '2.5.1', '2.5.2', '2.5.3', '2.5.4', '2.5.5', '2.5.6', '4.1.3'],
+  '2.2': ['2.4.11', '2.4.12', '2.4.13', '2.5.7', '2.5.8', '3.2.6', '3.3.7', '3.3.8', '3.3.9']
+};
+
 export class WcagCriterion {
   constructor(data) {
     this.id = data.id;
     this.title = data.title;
     this.level = data.level; // A, AA, AAA
+    this.version = data.version || '2.0'; // WCAG version that introduced the criterion
+    this.removedIn = data.removedIn || null; // WCAG version that made it obsolete
     this.guideline = data.guideline;
     this.principle = data.principle;
     this.description = data.description;
@@ -18,7 +31,13 @@ export class WcagCriterion {
   }
 
   get url() {
-    return `https://www.w3.org/WAI/WCAG21/Understanding/${this.id.replace('.', '-')}.html`;
+    const docs = this.version === '2.2' ? 'WCAG22' : 'WCAG21';
+    return `https://www.w3.org/WAI/${docs}/Understanding/${this.id.replace('.', '-')}.html`;
+  }
+
+  // Whether the criterion is part of the given WCAG version
+  isPartOf(version) {
+    return this.version <= version && (!this.removedIn || version < this.removedIn);
   }
 
   get shortDescription() {
@@ -26,7 +45,7 @@ export class WcagCriterion {
   }
 }
 
-// WCAG 2.1 Success Criteria Database
+// WCAG Success Criteria Database
 export const WCAG_CRITERIA = {
   // Principle 1: Perceivable
   '1.1.1': new WcagCriterion({
@@ -162,6 +181,71 @@ export const WCAG_CRITERIA = {
     failures: ['F63', 'F89']
   }),
 
+  '2.4.11': new WcagCriterion({
+    id: '2.4.11',
+    title: 'Focus Not Obscured (Minimum)',
+    level: 'AA',
+    version: '2.2',
+    guideline: 'Navigable',
+    principle: 'Operable',
+    description: 'When a user interface component receives keyboard focus, it is not entirely hidden due to author-created content.',
+    disabilityGroups: ['Low Vision', 'Motor', 'Cognitive'],
+    techniques: ['C43'],
+    failures: ['F110']
+  }),
+
+  '2.4.12': new WcagCriterion({
+    id: '2.4.12',
+    title: 'Focus Not Obscured (Enhanced)',
+    level: 'AAA',
+    version: '2.2',
+    guideline: 'Navigable',
+    principle: 'Operable',
+    description: 'When a user interface component receives keyboard focus, no part of the component is hidden by author-created content.',
+    disabilityGroups: ['Low Vision', 'Motor', 'Cognitive'],
+    techniques: ['C43'],
+    failures: ['F110']
+  }),
+
+  '2.4.13': new WcagCriterion({
+    id: '2.4.13',
+    title: 'Focus Appearance',
+    level: 'AAA',
+    version: '2.2',
+    guideline: 'Navigable',
+    principle: 'Operable',
+    description: 'The keyboard focus indicator is at least as large as a 2 CSS pixel thick perimeter and has a contrast ratio of at least 3:1 between focused and unfocused states.',
+    disabilityGroups: ['Low Vision', 'Motor'],
+    techniques: ['C40', 'C41'],
+    failures: []
+  }),
+
+  '2.5.7': new WcagCriterion({
+    id: '2.5.7',
+    title: 'Dragging Movements',
+    level: 'AA',
+    version: '2.2',
+    guideline: 'Input Modalities',
+    principle: 'Operable',
+    description: 'All functionality that uses a dragging movement can be achieved by a single pointer without dragging.',
+    disabilityGroups: ['Motor'],
+    techniques: ['G219'],
+    failures: ['F108']
+  }),
+
+  '2.5.8': new WcagCriterion({
+    id: '2.5.8',
+    title: 'Target Size (Minimum)',
+    level: 'AA',
+    version: '2.2',
+    guideline: 'Input Modalities',
+    principle: 'Operable',
+    description: 'The size of the target for pointer inputs is at least 24 by 24 CSS pixels, unless it is sufficiently spaced, inline or essential.',
+    disabilityGroups: ['Motor', 'Low Vision'],
+    techniques: ['C42'],
+    failures: []
+  }),
+
   // Principle 3: Understandable
   '3.1.1': new WcagCriterion({
     id: '3.1.1',
@@ -187,6 +271,19 @@ export const WCAG_CRITERIA = {
     failures: ['F55']
   }),
 
+  '3.2.6': new WcagCriterion({
+    id: '3.2.6',
+    title: 'Consistent Help',
+    level: 'A',
+    version: '2.2',
+    guideline: 'Predictable',
+    principle: 'Understandable',
+    description: 'Help mechanisms that are repeated on multiple pages occur in the same order relative to other page content.',
+    disabilityGroups: ['Cognitive'],
+    techniques: ['G220'],
+    failures: []
+  }),
+
   '3.3.1': new WcagCriterion({
     id: '3.3.1',
     title: 'Error Identification',
@@ -211,11 +308,51 @@ export const WCAG_CRITERIA = {
     failures: ['F82']
   }),
 
+  '3.3.7': new WcagCriterion({
+    id: '3.3.7',
+    title: 'Redundant Entry',
+    level: 'A',
+    version: '2.2',
+    guideline: 'Input Assistance',
+    principle: 'Understandable',
+    description: 'Information previously entered by or provided to the user in the same process is either auto-populated or available to select.',
+    disabilityGroups: ['Cognitive', 'Motor'],
+    techniques: ['G221'],
+    failures: []
+  }),
+
+  '3.3.8': new WcagCriterion({
+    id: '3.3.8',
+    title: 'Accessible Authentication (Minimum)',
+    level: 'AA',
+    version: '2.2',
+    guideline: 'Input Assistance',
+    principle: 'Understandable',
+    description: 'A cognitive function test is not required for any step in an authentication process unless an alternative or assistance mechanism is available.',
+    disabilityGroups: ['Cognitive'],
+    techniques: ['G218', 'H100'],
+    failures: ['F109']
+  }),
+
+  '3.3.9': new WcagCriterion({
+    id: '3.3.9',
+    title: 'Accessible Authentication (Enhanced)',
+    level: 'AAA',
+    version: '2.2',
+    guideline: 'Input Assistance',
+    principle: 'Understandable',
+    description: 'A cognitive function test, including object or personal content recognition, is not required for any step in an authentication process.',
+    disabilityGroups: ['Cognitive'],
+    techniques: ['G218', 'H100'],
+    failures: ['F109']
+  }),
+
   // Principle 4: Robust
   '4.1.1': new WcagCriterion({
     id: '4.1.1',
     title: 'Parsing',
     level: 'A',
+    removedIn: '2.2',
     guideline: 'Compatible',
     principle: 'Robust',
     description: 'Content implemented using markup languages has complete start/end tags and proper nesting.',
@@ -255,8 +392,34 @@ export const WcagLookup = {
     return Object.values(WCAG_CRITERIA).filter(c => c.principle === principle);
   },
   
+  getCriteriaByVersion: (version) => {
+    return Object.values(WCAG_CRITERIA).filter(c => c.isPartOf(version));
+  },
+  
   getAllCriteria: () => Object.values(WCAG_CRITERIA),
   
+  // Strictest conformance level among the given criteria
+  getHighestLevel: (criteria) => {
+    const levels = criteria.map(c => c.level).filter(Boolean);
+    if (levels.includes('AAA')) return 'AAA';
+    if (levels.includes('AA')) return 'AA';
+    if (levels.includes('A')) return 'A';
+    return 'Unknown';
+  },
+  
+  // Whether a criterion id is part of the given WCAG version
+  isCriterionPartOf: (id, version) => {
+    if (WCAG_CRITERIA[id]) return WCAG_CRITERIA[id].isPartOf(version);
+    if (!/^[1-4]\.\d+\.\d+$/.test(id)) return false;
+    const addedIn = Object.keys(CRITERIA_ADDED_IN).find(v => CRITERIA_ADDED_IN[v].includes(id)) || '2.0';
+    return addedIn <= version;
+  },
+  
+  // WCAG versions that include at least one of the given criterion ids
+  getVersionsForCriteria: (ids) => {
+    return WCAG_VERSIONS.filter(version => ids.some(id => WcagLookup.isCriterionPartOf(id, version)));
+  },
+  
   getDisabilityGroups: () => {
     const groups = new Set();
     Object.values(WCAG_CRITERIA).forEach(criterion => {
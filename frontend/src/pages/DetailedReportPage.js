@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { toast } from 'react-toastify';
@@ -6,17 +6,30 @@ import {
   FaAccessibleIcon, 
   FaSearch, 
   FaRocket, 
-  FaCheckCircle,
   FaTimes,
   FaArrowLeft,
-  FaGlobe
+  FaGlobe,
+  FaFilePdf,
+  FaHistory,
+  FaTasks,
+  FaEyeSlash,
+  FaHeadphones
 } from 'react-icons/fa';
 import { useTranslation } from 'react-i18next';
-import { analysisAPI } from '../services/api';
+import { analysisAPI, reportAPI } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ScreenshotCard from '../components/ScreenshotCard';
 import SeoResults from '../components/SeoResults';
 import AccessibilityResults from '../components/AccessibilityResults';
+import PerformanceResults from '../components/PerformanceResults';
+import ShareReportPanel from '../components/reports/ShareReportPanel';
+import ChangesSinceLastScan from '../components/reports/ChangesSinceLastScan';
+import ScreenReaderTranscript from '../components/reports/ScreenReaderTranscript';
+import IssueTriagePanel from '../components/reports/IssueTriagePanel';
+import SuppressedIssues from '../components/reports/SuppressedIssues';
+import UpgradePrompt from '../components/UpgradePrompt';
+import { useEntitlements, isUpgradeRequiredError, PLAN_FEATURES } from '../hooks/useEntitlements';
+import { buildScreenshotMarkers, markerNumbersByIssue } from '../utils/screenshotMarkers';
 
 const ReportContainer = styled.div`
   min-height: calc(100vh - 160px);
@@ -62,6 +75,32 @@ const BackButton = styled.button`
   }
 `;
 
+const HeaderActions = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: var(--spacing-md);
+`;
+
+const DownloadButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: var(--spacing-sm);
+  padding: var(--spacing-sm) var(--spacing-md);
+  border: none;
+  background: var(--color-interactive-primary);
+  color: var(--color-text-on-brand);
+  border-radius: var(--border-radius-md);
+  cursor: pointer;
+  font-size: var(--font-size-sm);
+  transition: all var(--transition-fast);
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+`;
+
 const Title = styled.h1`
   font-size: var(--font-size-3xl);
   font-weight: var(--font-weight-extrabold);
@@ -210,12 +249,6 @@ const SectionContent = styled.div`
 
 
 
-const EmptyState = styled.div`
-  text-align: center;
-  padding: var(--spacing-2xl);
-  color: var(--color-text-secondary);
-`;
-
 const LoadingState = styled.div`
   text-align: center;
   padding: var(--spacing-4xl);
@@ -276,6 +309,11 @@ const DetailedReportPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('accessibility');
+  // Issue picked on a screenshot marker; a new object on every click so the row scrolls again
+  const [focusedIssue, setFocusedIssue] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+  const { hasFeature, planName, loading: entitlementsLoading } = useEntitlements();
 
   const { t } = useTranslation(['results', 'common']);
 
@@ -303,24 +341,44 @@ const DetailedReportPage = () => {
   };
 
 
-  const renderPerformanceResults = (performanceData, score) => {
-    // TODO: Create PerformanceResults component later
-    if (!performanceData || performanceData.length === 0) {
-      return (
-        <EmptyState>
-          <FaCheckCircle size={48} style={{ color: 'var(--color-success)', marginBottom: 'var(--spacing-md)' }} />
-          <h3>No performance issues found!</h3>
-          <p>Great job! Your website meets all performance requirements we tested.</p>
-        </EmptyState>
-      );
+  const handleDownloadPdf = async () => {
+    setDownloadingPdf(true);
+    try {
+      const blob = await reportAPI.downloadPdf(id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `report-${id}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (downloadError) {
+      if (isUpgradeRequiredError(downloadError)) {
+        setUpgradeRequired(true);
+        toast.error('A report credit or a plan with detailed reports is required to export a PDF');
+      } else {
+        toast.error('Failed to generate PDF report');
+      }
+    } finally {
+      setDownloadingPdf(false);
     }
-    
-    return (
-      <div>
-        <p>Performance analysis results will be displayed here.</p>
-      </div>
-    );
   };
+
+  // Numbered markers for issues the analyzers located on the screenshots
+  const screenshotMarkers = useMemo(() => buildScreenshotMarkers(analysis?.issues), [analysis]);
+  const markerNumbers = useMemo(() => markerNumbersByIssue(screenshotMarkers), [screenshotMarkers]);
+
+  const selectTab = (tab) => {
+    setActiveTab(tab);
+    setFocusedIssue(null);
+  };
+
+  const handleMarkerClick = (marker) => {
+    setActiveTab(marker.tab);
+    setFocusedIssue({ issueId: marker.issueId });
+  };
+
   if (loading) {
     return (
       <ReportContainer>
@@ -368,14 +426,22 @@ const DetailedReportPage = () => {
     performance: []
   };
 
+  const suppressedCount = analysis.summary?.suppressedIssues || 0;
+
   return (
     <ReportContainer>
       <ContentContainer>
         <Header>
-          <BackButton onClick={() => navigate('/results')}>
-            <FaArrowLeft />
-            Back to Results
-          </BackButton>
+          <HeaderActions>
+            <BackButton onClick={() => navigate('/results')}>
+              <FaArrowLeft />
+              Back to Results
+            </BackButton>
+            <DownloadButton onClick={handleDownloadPdf} disabled={downloadingPdf}>
+              <FaFilePdf />
+              {downloadingPdf ? 'Generating PDF...' : 'Download PDF'}
+            </DownloadButton>
+          </HeaderActions>
           
           <Title>Detailed Accessibility Report</Title>
           
@@ -420,16 +486,30 @@ const DetailedReportPage = () => {
             
             {/* Screenshots in the same row */}
             {analysis.screenshots && analysis.screenshots.length > 0 && (
-              <ScreenshotCard screenshots={analysis.screenshots} />
+              <ScreenshotCard
+                screenshots={analysis.screenshots}
+                markers={screenshotMarkers}
+                onMarkerClick={handleMarkerClick}
+              />
             )}
           </ScoreAndScreenshotRow>
+
+          {!entitlementsLoading && !hasFeature(PLAN_FEATURES.DETAILED_REPORTS) && (
+            <UpgradePrompt feature={PLAN_FEATURES.DETAILED_REPORTS} planName={planName}>
+              {upgradeRequired
+                ? 'You have no report credits left. Buy credits or upgrade to export and share detailed reports.'
+                : 'Exporting or sharing the detailed report uses one report credit the first time.'}
+            </UpgradePrompt>
+          )}
+
+          {analysis.status === 'completed' && <ShareReportPanel analysisId={id} />}
         </Header>
 
         <TabContainer>
           <TabList>
             <TabButton
               active={activeTab === 'accessibility'}
-              onClick={() => setActiveTab('accessibility')}
+              onClick={() => selectTab('accessibility')}
             >
               <FaAccessibleIcon />
               Accessibility
@@ -440,7 +520,7 @@ const DetailedReportPage = () => {
             
             <TabButton
               active={activeTab === 'seo'}
-              onClick={() => setActiveTab('seo')}
+              onClick={() => selectTab('seo')}
             >
               <FaSearch />
               SEO
@@ -451,7 +531,7 @@ const DetailedReportPage = () => {
             
             <TabButton
               active={activeTab === 'performance'}
-              onClick={() => setActiveTab('performance')}
+              onClick={() => selectTab('performance')}
             >
               <FaRocket />
               Performance
@@ -459,6 +539,42 @@ const DetailedReportPage = () => {
                 {groupedIssues.performance.length}
               </IssueCount>
             </TabButton>
+
+            <TabButton
+              active={activeTab === 'changes'}
+              onClick={() => selectTab('changes')}
+            >
+              <FaHistory />
+              Changes since last scan
+            </TabButton>
+
+            <TabButton
+              active={activeTab === 'screenReader'}
+              onClick={() => selectTab('screenReader')}
+            >
+              <FaHeadphones />
+              Screen reader
+            </TabButton>
+
+            {analysis.websites?.workspace_id && (
+              <TabButton
+                active={activeTab === 'triage'}
+                onClick={() => selectTab('triage')}
+              >
+                <FaTasks />
+                Triage
+              </TabButton>
+            )}
+
+            {suppressedCount > 0 && (
+              <TabButton
+                active={activeTab === 'suppressed'}
+                onClick={() => selectTab('suppressed')}
+              >
+                <FaEyeSlash />
+                Suppressed ({suppressedCount})
+              </TabButton>
+            )}
           </TabList>
           
           <TabContent>
@@ -466,15 +582,43 @@ const DetailedReportPage = () => {
               <AccessibilityResults 
                 accessibilityData={groupedIssues.accessibility} 
                 score={scores.accessibility}
+                focusedIssue={focusedIssue}
+                markerNumbers={markerNumbers}
               />
             )}
             {activeTab === 'seo' && (
               <SeoResults 
                 seoData={groupedIssues.seo} 
                 score={scores.seo}
+                focusedIssue={focusedIssue}
+                markerNumbers={markerNumbers}
               />
             )}
-            {activeTab === 'performance' && renderPerformanceResults(groupedIssues.performance, scores.performance)}
+            {activeTab === 'performance' && (
+              <PerformanceResults
+                performanceData={groupedIssues.performance}
+                score={scores.performance}
+                metrics={analysis.performance}
+                focusedIssue={focusedIssue}
+                markerNumbers={markerNumbers}
+              />
+            )}
+            {activeTab === 'changes' && (
+              <ChangesSinceLastScan analysisId={id} />
+            )}
+            {activeTab === 'screenReader' && (
+              <ScreenReaderTranscript analysisId={id} />
+            )}
+            {activeTab === 'triage' && (
+              <IssueTriagePanel
+                analysisId={id}
+                workspaceId={analysis.websites.workspace_id}
+                websiteId={analysis.websites.id}
+              />
+            )}
+            {activeTab === 'suppressed' && (
+              <SuppressedIssues suppressedIssues={analysis.suppressedIssues} />
+            )}
           </TabContent>
         </TabContainer>
       </ContentContainer>
@@ -1,7 +1,9 @@
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import styled from 'styled-components';
 import { FaCheck, FaTimes, FaStar, FaArrowRight, FaPhoneAlt } from 'react-icons/fa';
+import UpgradePrompt from '../components/UpgradePrompt';
+import { useEntitlements, FEATURE_LABELS, PLAN_FEATURES } from '../hooks/useEntitlements';
 
 const PricingContainer = styled.div`
   min-height: 100vh;
@@ -77,6 +79,32 @@ const SectionTitle = styled.h2`
   text-align: center;
 `;
 
+const CurrentPlanCard = styled.div`
+  background-color: var(--color-surface-elevated);
+  border-radius: var(--border-radius-xl);
+  padding: var(--spacing-xl);
+  margin-bottom: var(--spacing-3xl);
+  box-shadow: var(--shadow-md);
+  border: 1px solid var(--color-border-primary);
+`;
+
+const CurrentPlanTitle = styled.h3`
+  font-size: var(--font-size-xl);
+  font-weight: var(--font-weight-bold);
+  font-family: var(--font-family-primary);
+  color: var(--color-text-primary);
+  margin-bottom: var(--spacing-md);
+`;
+
+const PlanFeatureList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--spacing-lg);
+`;
+
 const ServiceCards = styled.div`
   display: grid;
   grid-template-columns: 1fr;
@@ -341,6 +369,10 @@ const ContactButton = styled(Link)`
 `;
 
 const PricingPage = () => {
+  const [searchParams] = useSearchParams();
+  const { entitlements, planName, subscriptionStatus, hasFeature } = useEntitlements();
+  const requestedFeature = searchParams.get('feature');
+
   return (
     <PricingContainer>
       <HeroSection>
@@ -355,6 +387,30 @@ const PricingPage = () => {
       <PricingSection>
         <PricingContent>
           <SectionTitle>Our Services & Pricing</SectionTitle>
+
+          {entitlements && (
+            <CurrentPlanCard>
+              <CurrentPlanTitle>
+                Your plan: {planName || 'Free'}
+                {subscriptionStatus && subscriptionStatus !== 'active' && ` (${subscriptionStatus.replace('_', ' ')})`}
+              </CurrentPlanTitle>
+              <PlanFeatureList>
+                {Object.values(PLAN_FEATURES).map(feature => (
+                  <TierFeature key={feature}>
+                    <FeatureIcon included={hasFeature(feature)}>
+                      {hasFeature(feature) ? <FaCheck /> : <FaTimes />}
+                    </FeatureIcon>
+                    <span>{FEATURE_LABELS[feature]}</span>
+                  </TierFeature>
+                ))}
+              </PlanFeatureList>
+              {requestedFeature && !hasFeature(requestedFeature) && (
+                <UpgradePrompt feature={requestedFeature} planName={planName} showLink={false}>
+                  Upgrade your plan or contact us to unlock it for your workspace.
+                </UpgradePrompt>
+              )}
+            </CurrentPlanCard>
+          )}
           
           <ServiceCards>
             {/* Accessibility Service */}
@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import styled from 'styled-components';
+import { FaGlobe, FaLock, FaExclamationTriangle } from 'react-icons/fa';
+import { reportAPI } from '../services/api';
+import LoadingSpinner from '../components/LoadingSpinner';
+import AccessibilityResults from '../components/AccessibilityResults';
+import SeoResults from '../components/SeoResults';
+import PerformanceResults from '../components/PerformanceResults';
+
+const ReportContainer = styled.div`
+  min-height: calc(100vh - 160px);
+  background: var(--color-surface-primary);
+  padding: var(--spacing-xl);
+
+  @media (max-width: 768px) {
+    padding: var(--spacing-md);
+  }
+`;
+
+const ContentContainer = styled.div`
+  max-width: var(--container-max-width);
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  background: var(--color-surface-elevated);
+  border-radius: var(--border-radius-xl);
+  padding: var(--spacing-2xl);
+  margin-bottom: var(--spacing-xl);
+  box-shadow: var(--shadow-md);
+  border: 1px solid var(--color-border-primary);
+`;
+
+const Title = styled.h1`
+  font-size: var(--font-size-3xl);
+  font-weight: var(--font-weight-extrabold);
+  color: var(--color-text-primary);
+  margin-bottom: var(--spacing-md);
+  font-family: var(--font-family-primary);
+`;
+
+const WebsiteInfo = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: var(--spacing-md);
+  margin-bottom: var(--spacing-lg);
+`;
+
+const WebsiteUrl = styled.div`
+  font-size: var(--font-size-lg);
+  color: var(--color-text-secondary);
+  word-break: break-all;
+`;
+
+const MutedText = styled.div`
+  font-size: var(--font-size-sm);
+  color: var(--color-text-tertiary);
+`;
+
+const ScoreRow = styled.div`
+  display: flex;
+  gap: var(--spacing-md);
+  flex-wrap: wrap;
+`;
+
+const ScoreItem = styled.div`
+  text-align: center;
+  flex: 1;
+  min-width: 100px;
+`;
+
+const ScoreValue = styled.div`
+  font-size: var(--font-size-2xl);
+  font-weight: var(--font-weight-bold);
+  color: ${props => {
+    if (props.$score >= 80) return 'var(--color-success)';
+    if (props.$score >= 60) return 'var(--color-warning)';
+    return 'var(--color-error)';
+  }};
+`;
+
+const ScoreLabel = styled.div`
+  font-size: var(--font-size-sm);
+  color: var(--color-text-secondary);
+  margin-top: var(--spacing-xs);
+`;
+
+const Card = styled.div`
+  background: var(--color-surface-elevated);
+  border-radius: var(--border-radius-xl);
+  padding: var(--spacing-xl);
+  margin-bottom: var(--spacing-xl);
+  box-shadow: var(--shadow-md);
+  border: 1px solid var(--color-border-primary);
+`;
+
+const CardTitle = styled.h2`
+  font-size: var(--font-size-xl);
+  font-weight: var(--font-weight-semibold);
+  color: var(--color-text-primary);
+  margin: 0 0 var(--spacing-md);
+`;
+
+const SummaryTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th, td {
+    text-align: left;
+    padding: var(--spacing-sm);
+    border-bottom: 1px solid var(--color-border-secondary);
+    color: var(--color-text-primary);
+  }
+
+  th {
+    color: var(--color-text-secondary);
+    font-weight: var(--font-weight-medium);
+  }
+`;
+
+const CenteredState = styled.div`
+  text-align: center;
+  padding: var(--spacing-4xl);
+  color: var(--color-text-secondary);
+`;
+
+const PasswordForm = styled.form`
+  display: flex;
+  gap: var(--spacing-sm);
+  justify-content: center;
+  margin-top: var(--spacing-lg);
+  flex-wrap: wrap;
+`;
+
+const PasswordInput = styled.input`
+  padding: var(--spacing-sm) var(--spacing-md);
+  border: 1px solid var(--color-border-primary);
+  border-radius: var(--border-radius-md);
+  background: var(--color-surface-secondary);
+  color: var(--color-text-primary);
+  font-size: var(--font-size-base);
+  min-width: 240px;
+`;
+
+const SubmitButton = styled.button`
+  padding: var(--spacing-sm) var(--spacing-lg);
+  border: none;
+  border-radius: var(--border-radius-md);
+  background: var(--color-interactive-primary);
+  color: var(--color-text-on-brand);
+  cursor: pointer;
+  font-size: var(--font-size-base);
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+`;
+
+const ErrorText = styled.p`
+  color: var(--color-error);
+  margin-top: var(--spacing-sm);
+`;
+
+const MODULE_LABELS = {
+  accessibility: 'Accessibility',
+  seo: 'SEO',
+  performance: 'Performance'
+};
+
+// Detailed report issues are flat; the results components expect one entry per rule with occurrences
+const groupReportIssues = (issues = []) => {
+  const groups = new Map();
+
+  issues.forEach(issue => {
+    const groupKey = `${issue.ruleKey}:${issue.severity}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        id: groupKey,
+        rule: { rule_key: issue.ruleKey, name: issue.rule, description: issue.description },
+        message: issue.message,
+        severity: issue.severity,
+        description: issue.description,
+        occurrences: [],
+        count: 0
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.occurrences.push({
+      location: issue.pageUrl ? `${issue.location || ''} (${issue.pageUrl})` : issue.location,
+      code: issue.codeSnippet,
+      fix: issue.fixSuggestion,
+      message: issue.message
+    });
+    group.count = group.occurrences.length;
+  });
+
+  return Array.from(groups.values());
+};
+
+const SharedReportPage = () => {
+  const { key } = useParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+
+  const loadReport = useCallback(async (sharePassword = null) => {
+    setLoading(true);
+    try {
+      const response = await reportAPI.getSharedReport(key, sharePassword);
+      setReport(response.data);
+      setNeedsPassword(false);
+      setError(null);
+    } catch (fetchError) {
+      if (fetchError.code === 'SHARE_PASSWORD_REQUIRED') {
+        setNeedsPassword(true);
+      } else if (fetchError.code === 'SHARE_PASSWORD_INVALID') {
+        setNeedsPassword(true);
+        setPasswordError('Incorrect password, please try again.');
+      } else if (fetchError.code === 'SHARE_EXPIRED') {
+        setError('This report link has expired. Ask the sender for a new link.');
+      } else if (fetchError.status === 404) {
+        setError('This report link does not exist or has been revoked.');
+      } else {
+        setError(fetchError.message || 'Failed to load the shared report.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [key]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handlePasswordSubmit = (event) => {
+    event.preventDefault();
+    setPasswordError(null);
+    loadReport(password);
+  };
+
+  if (loading && !needsPassword) {
+    return (
+      <ReportContainer>
+        <ContentContainer>
+          <CenteredState>
+            <LoadingSpinner size="large" />
+            <Title>Loading Report...</Title>
+          </CenteredState>
+        </ContentContainer>
+      </ReportContainer>
+    );
+  }
+
+  if (needsPassword) {
+    return (
+      <ReportContainer>
+        <ContentContainer>
+          <Card>
+            <CenteredState>
+              <FaLock size={40} />
+              <Title>This report is password protected</Title>
+              <p>Enter the password you received together with the link.</p>
+              <PasswordForm onSubmit={handlePasswordSubmit}>
+                <PasswordInput
+                  type="password"
+                  aria-label="Report password"
+                  value={password}
+                  onChange={(event) => setPassword(event.target.value)}
+                  autoFocus
+                />
+                <SubmitButton type="submit" disabled={loading || !password}>
+                  {loading ? 'Checking...' : 'View Report'}
+                </SubmitButton>
+              </PasswordForm>
+              {passwordError && <ErrorText role="alert">{passwordError}</ErrorText>}
+            </CenteredState>
+          </Card>
+        </ContentContainer>
+      </ReportContainer>
+    );
+  }
+
+  if (error || !report) {
+    return (
+      <ReportContainer>
+        <ContentContainer>
+          <CenteredState>
+            <FaExclamationTriangle size={40} style={{ color: 'var(--color-error)' }} />
+            <Title>Report Unavailable</Title>
+            <p>{error || 'The shared report could not be found.'}</p>
+          </CenteredState>
+        </ContentContainer>
+      </ReportContainer>
+    );
+  }
+
+  const isDetailed = report.type === 'detailed';
+
+  return (
+    <ReportContainer>
+      <ContentContainer>
+        <Header>
+          <Title>Website Analysis Report</Title>
+          <WebsiteInfo>
+            <WebsiteUrl>
+              <FaGlobe style={{ marginRight: 'var(--spacing-sm)' }} />
+              {report.website}
+            </WebsiteUrl>
+            <MutedText>
+              Analyzed {new Date(report.analyzedAt).toLocaleDateString()}
+              {report.shared?.expiresAt && ` · Link valid until ${new Date(report.shared.expiresAt).toLocaleDateString()}`}
+            </MutedText>
+          </WebsiteInfo>
+          <ScoreRow>
+            {['overall', 'accessibility', 'seo', 'performance'].map(module => (
+              <ScoreItem key={module}>
+                <ScoreValue $score={report.scores[module]}>{report.scores[module]}/100</ScoreValue>
+                <ScoreLabel>{module === 'overall' ? 'Overall' : MODULE_LABELS[module]}</ScoreLabel>
+              </ScoreItem>
+            ))}
+          </ScoreRow>
+        </Header>
+
+        <Card>
+          <CardTitle>Summary</CardTitle>
+          <SummaryTable>
+            <thead>
+              <tr>
+                <th>Module</th>
+                <th>Issues</th>
+                <th>Critical</th>
+                <th>Serious</th>
+                <th>Moderate</th>
+                <th>Minor</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(report.summary.modules).map(([module, counts]) => (
+                <tr key={module}>
+                  <td>{MODULE_LABELS[module] || module}</td>
+                  <td>{counts.totalIssues}</td>
+                  <td>{counts.severity.critical}</td>
+                  <td>{counts.severity.serious}</td>
+                  <td>{counts.severity.moderate}</td>
+                  <td>{counts.severity.minor}</td>
+                </tr>
+              ))}
+            </tbody>
+          </SummaryTable>
+        </Card>
+
+        {isDetailed ? (
+          <>
+            <AccessibilityResults
+              accessibilityData={groupReportIssues(report.modules.accessibility?.issues)}
+              score={report.scores.accessibility}
+            />
+            <SeoResults
+              seoData={groupReportIssues(report.modules.seo?.issues)}
+              score={report.scores.seo}
+            />
+            <PerformanceResults
+              performanceData={groupReportIssues(report.modules.performance?.issues)}
+              score={report.scores.performance}
+              metrics={report.performance}
+            />
+          </>
+        ) : (
+          <Card>
+            <CardTitle>Top Issues</CardTitle>
+            <SummaryTable>
+              <thead>
+                <tr>
+                  <th>Issue</th>
+                  <th>Severity</th>
+                  <th>Occurrences</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.topIssues.map(issue => (
+                  <tr key={`${issue.ruleKey}:${issue.severity}`}>
+                    <td>{issue.name}</td>
+                    <td>{issue.severity}</td>
+                    <td>{issue.occurrences}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </SummaryTable>
+          </Card>
+        )}
+      </ContentContainer>
+    </ReportContainer>
+  );
+};
+
+export default SharedReportPage;
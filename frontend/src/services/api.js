@@ -138,6 +138,14 @@ api.interceptors.request.use(
   }
 );
 
+// Keep the HTTP status and backend error code on rejected requests so callers can branch on them
+const createApiError = (message, status, data) => {
+  const apiError = new Error(message);
+  apiError.status = status;
+  apiError.code = data?.code;
+  return apiError;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
@@ -156,7 +164,10 @@ api.interceptors.response.use(
       // Server responded with error status
       const { status, data } = error.response;
       
-      if (status === 401) {
+      if (status === 401 && data?.code?.startsWith('SHARE_PASSWORD')) {
+        // Password-protected share link, not a session problem
+        throw createApiError(data.message, status, data);
+      } else if (status === 401) {
         // Authentication error - token may be expired
         debugWarn('🔐 Authentication error detected, clearing session');
 
@@ -181,9 +192,9 @@ api.interceptors.response.use(
       } else if (status === 400) {
         throw new Error(data.message || 'Invalid request. Please check your input.');
       } else if (status >= 500) {
-        throw new Error('Server error. Please try again later.');
+        throw createApiError('Server error. Please try again later.', status, data);
       } else {
-        throw new Error(data.message || 'An unexpected error occurred.');
+        throw createApiError(data?.message || 'An unexpected error occurred.', status, data);
       }
     } else if (error.request) {
       // Network error
@@ -291,18 +302,19 @@ export const analysisAPI = {
       throw error;
     }
   },
-  startAnalysis: async (websiteId, forceNew = false) => {
+  // crawl: optional { enabled, maxPages, maxDepth, includePatterns, excludePatterns, useSitemap }
+  startAnalysis: async (websiteId, forceNew = false, crawl = undefined) => {
     try {
-      const response = await api.post('/api/analyses', { websiteId, forceNew });
+      const response = await api.post('/api/analyses', { websiteId, forceNew, crawl });
       return response.data;
     } catch (error) {
       throw error;
     }
   },
 
-  startAnalysisWithUrl: async (url, forceNew = false) => {
+  startAnalysisWithUrl: async (url, forceNew = false, crawl = undefined) => {
     try {
-      const response = await api.post('/api/analyses', { url, forceNew });
+      const response = await api.post('/api/analyses', { url, forceNew, crawl });
       return response.data;
     } catch (error) {
       throw error;
@@ -351,6 +363,30 @@ export const analysisAPI = {
     }
   },
 
+  // Compare with an earlier analysis of the same website; otherId "previous" picks the last completed one
+  compare: async (analysisId, otherId = 'previous') => {
+    try {
+      const response = await api.get(`/api/analyses/${analysisId}/compare/${otherId}`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: compare failed', error);
+      throw error;
+    }
+  },
+
+  // Screen reader transcript of the requested URL, or of another page of a crawled analysis
+  getScreenReaderTranscript: async (analysisId, pageId) => {
+    try {
+      const response = await api.get(`/api/analyses/${analysisId}/screen-reader`, {
+        params: pageId ? { pageId } : {}
+      });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getScreenReaderTranscript failed', error);
+      throw error;
+    }
+  },
+
   // Get analysis statistics
   getStats: async () => {
     try {
@@ -385,6 +421,88 @@ export const analysisAPI = {
   }
 };
 
+export const reportAPI = {
+  // type: 'free' | 'detailed'. Detailed reports answer 402 when no credit or plan covers them
+  getReport: async (analysisId, type = 'free') => {
+    try {
+      const response = await api.get(`/api/reports/${analysisId}?type=${type}`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getReport failed', error);
+      throw error;
+    }
+  },
+
+  // Branded PDF of the detailed report, returned as a Blob
+  downloadPdf: async (analysisId) => {
+    try {
+      const response = await api.get(`/api/reports/${analysisId}/pdf`, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: downloadPdf failed', error);
+      throw error;
+    }
+  },
+
+  // options: { type, expiresInDays, expiresAt, password }
+  createShareLink: async (analysisId, options = {}) => {
+    try {
+      const response = await api.post(`/api/reports/${analysisId}/share`, options);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: createShareLink failed', error);
+      throw error;
+    }
+  },
+
+  getShareLinks: async (analysisId) => {
+    try {
+      const response = await api.get(`/api/reports/${analysisId}/shares`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getShareLinks failed', error);
+      throw error;
+    }
+  },
+
+  revokeShareLink: async (key) => {
+    try {
+      const response = await api.delete(`/api/reports/shared/${key}`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: revokeShareLink failed', error);
+      throw error;
+    }
+  },
+
+  // Public, works without a session. Answers 401 with code SHARE_PASSWORD_REQUIRED for protected links
+  getSharedReport: async (key, password = null) => {
+    try {
+      const headers = password ? { 'X-Share-Password': password } : {};
+      const response = await api.get(`/api/reports/shared/${key}`, { headers });
+      return response.data;
+    } catch (error) {
+      debugError('❌ API: getSharedReport failed', error);
+      throw error;
+    }
+  },
+};
+
+export const billingAPI = {
+  // Plan, subscription status and plan_features keys of a workspace (defaults to the user's own)
+  getEntitlements: async (workspaceId = null) => {
+    try {
+      const response = await api.get('/api/billing/entitlements', {
+        params: workspaceId ? { workspaceId } : {}
+      });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getEntitlements failed', error);
+      throw error;
+    }
+  },
+};
+
 export const websiteAPI = {
   getWebsites: async () => {
     try {
@@ -396,4 +514,126 @@ export const websiteAPI = {
   },
 };
 
-export default api;
\ No newline at end of file
+export const workspaceAPI = {
+  getMembers: async (workspaceId) => {
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}/members`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getMembers failed', error);
+      throw error;
+    }
+  },
+};
+
+// Triage is stored per website and issue fingerprint, so it applies to the same issue in later scans
+export const triageAPI = {
+  getIssues: async (workspaceId, websiteId, analysisId = null) => {
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}/websites/${websiteId}/issues`, {
+        params: analysisId ? { analysisId } : {}
+      });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getIssues failed', error);
+      throw error;
+    }
+  },
+
+  // updates: { status, assigneeId, module, ruleKey }
+  updateIssue: async (workspaceId, websiteId, fingerprint, updates) => {
+    try {
+      const response = await api.patch(`/api/workspaces/${workspaceId}/websites/${websiteId}/issues/${fingerprint}`, updates);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: updateIssue failed', error);
+      throw error;
+    }
+  },
+
+  getComments: async (workspaceId, websiteId, fingerprint) => {
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}/websites/${websiteId}/issues/${fingerprint}/comments`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getComments failed', error);
+      throw error;
+    }
+  },
+
+  addComment: async (workspaceId, websiteId, fingerprint, comment) => {
+    try {
+      const response = await api.post(`/api/workspaces/${workspaceId}/websites/${websiteId}/issues/${fingerprint}/comments`, comment);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: addComment failed', error);
+      throw error;
+    }
+  },
+
+  deleteComment: async (workspaceId, websiteId, fingerprint, commentId) => {
+    try {
+      const response = await api.delete(`/api/workspaces/${workspaceId}/websites/${websiteId}/issues/${fingerprint}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: deleteComment failed', error);
+      throw error;
+    }
+  },
+};
+
+// Suppressions hide known false positives from scores; matching issues are listed separately in reports
+export const suppressionAPI = {
+  getAll: async (workspaceId, params = {}) => {
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}/suppressions`, { params });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: getSuppressions failed', error);
+      throw error;
+    }
+  },
+
+  // suppression: { websiteId, ruleKey, selectorPattern, urlPattern, fingerprint, reason, expiresAt }
+  create: async (workspaceId, suppression) => {
+    try {
+      const response = await api.post(`/api/workspaces/${workspaceId}/suppressions`, suppression);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: createSuppression failed', error);
+      throw error;
+    }
+  },
+
+  update: async (workspaceId, suppressionId, updates) => {
+    try {
+      const response = await api.patch(`/api/workspaces/${workspaceId}/suppressions/${suppressionId}`, updates);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: updateSuppression failed', error);
+      throw error;
+    }
+  },
+
+  delete: async (workspaceId, suppressionId) => {
+    try {
+      const response = await api.delete(`/api/workspaces/${workspaceId}/suppressions/${suppressionId}`);
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: deleteSuppression failed', error);
+      throw error;
+    }
+  },
+
+  applyToAnalysis: async (workspaceId, analysisId) => {
+    try {
+      const response = await api.post(`/api/workspaces/${workspaceId}/suppressions/apply`, { analysisId });
+      return response.data;
+    } catch (error) {
+      prodError('❌ API: applySuppressions failed', error);
+      throw error;
+    }
+  },
+};
+
+export default api;
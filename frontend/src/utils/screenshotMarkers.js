@@ -0,0 +1,33 @@
+// Numbered markers for issues the analyzers located on the analysis screenshots
+
+const ISSUE_TABS = ['accessibility', 'seo', 'performance'];
+
+// DOM id of the occurrence row an issue is rendered in
+export const issueRowId = (issueId) => `issue-${issueId}`;
+
+/**
+ * One marker per issue with a screenshot_highlight. `boxes` holds its position on each
+ * screenshot it is visible on ({ screenshot_id, x, y, width, height, viewport_width, viewport_height }).
+ */
+export const buildScreenshotMarkers = (issues = {}) => {
+  const markers = [];
+
+  ISSUE_TABS.forEach(tab => {
+    (issues[tab] || []).forEach(issue => {
+      const highlight = issue.screenshot_highlight;
+      if (!highlight) return;
+
+      const boxes = [highlight, ...(highlight.other_screenshots || [])]
+        .filter(box => box.screenshot_id && box.viewport_width && box.viewport_height);
+      if (boxes.length === 0) return;
+
+      markers.push({ number: markers.length + 1, issueId: issue.id, tab, boxes });
+    });
+  });
+
+  return markers;
+};
+
+// Marker number by issue id, shown next to the matching occurrence rows
+export const markerNumbersByIssue = (markers = []) =>
+  markers.reduce((numbers, marker) => ({ ...numbers, [marker.issueId]: marker.number }), {});